@@ -26,7 +26,7 @@ const supabase = createClient(
 );
 
 // Games to process
-const GAMES = ['solitaire', 'garbage', 'yahtzee', 'blackjack', 'backgammon'];
+const GAMES = ['solitaire', 'freecell', 'spider', 'garbage', 'yahtzee', 'blackjack', 'backgammon'];
 
 // ===== Adding New Games ===== //
 //
@@ -0,0 +1,110 @@
+/**
+ * Seed Batch Cron Job
+ *
+ * Runs hourly. Keeps at least one batch's worth of unassigned server
+ * secrets available to /api/game/start: when fewer than SEED_BATCH_SIZE
+ * remain, generates a new batch and stores its Merkle root (readable by
+ * anyone from seed_batches). If a server wallet is configured, the root is
+ * also posted to Ergo so it's timestamped before any secret is used.
+ *
+ * Vercel Cron: configured in vercel.json
+ *
+ * Environment Variables Required:
+ *   NEXT_PUBLIC_SUPABASE_URL
+ *   SUPABASE_SERVICE_KEY (not anon - seed_batch_secrets is service-only)
+ *   SEED_BATCH_SIZE (optional - default 10000)
+ *   ERGO_SERVER_MNEMONIC, ERGO_GAME_ADDRESS (optional - to post roots)
+ *   CRON_SECRET (optional - for securing endpoint)
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { postSeedBatchRoot } from '../../src/lib/ergo-tx.js';
+import {
+  getSeedBatchSize,
+  createSeedBatch,
+  recordBatchPublication,
+  countRemainingSecrets
+} from '../../lib/seed-batches.js';
+
+// Use service key for server-side operations
+const supabase = createClient(
+  process.env.NEXT_PUBLIC_SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+/**
+ * Vercel API handler
+ */
+export default async function handler(req, res) {
+  // Only allow POST (from Vercel cron) or GET with secret
+  if (req.method !== 'POST' && req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // Verify cron secret if configured
+  const cronSecret = process.env.CRON_SECRET;
+  if (cronSecret) {
+    const authHeader = req.headers.authorization;
+    if (authHeader !== `Bearer ${cronSecret}`) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+  }
+
+  try {
+    const batchSize = getSeedBatchSize();
+    const { remaining, error: countError } = await countRemainingSecrets(supabase);
+
+    if (countError) {
+      throw new Error(`Failed to count remaining secrets: ${countError.message}`);
+    }
+
+    if (remaining >= batchSize) {
+      return res.status(200).json({ success: true, created: false, remaining });
+    }
+
+    const { batch, error: createError } = await createSeedBatch(supabase, batchSize);
+
+    if (createError) {
+      throw new Error(`Failed to create seed batch: ${createError.message}`);
+    }
+
+    // Posting is best-effort: the stored root is already public, and a
+    // failed post shouldn't leave start.js without secrets
+    let publishedTxId = null;
+    if (process.env.ERGO_SERVER_MNEMONIC) {
+      try {
+        publishedTxId = await postSeedBatchRoot({
+          batchId: batch.batch_id,
+          merkleRoot: batch.merkle_root,
+          size: batch.size
+        });
+
+        const { error: recordError } = await recordBatchPublication(supabase, batch.batch_id, publishedTxId);
+        if (recordError) {
+          console.error('Failed to record seed batch publication:', recordError);
+        }
+      } catch (error) {
+        console.error('Failed to post seed batch root:', error);
+      }
+    }
+
+    console.log(`Seed batch created: ${batch.batch_id} (${batch.size} secrets, root ${batch.merkle_root})`);
+
+    return res.status(200).json({
+      success: true,
+      created: true,
+      batchId: batch.batch_id,
+      merkleRoot: batch.merkle_root,
+      size: batch.size,
+      publishedTxId,
+      remaining: remaining + batch.size
+    });
+
+  } catch (error) {
+    console.error('Seed batch cron failed:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
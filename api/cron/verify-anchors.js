@@ -0,0 +1,126 @@
+/**
+ * Anchor Reorg Check Cron Job
+ *
+ * Runs every 15 minutes. Re-fetches the anchor block of recently anchored
+ * sessions from the beacon they committed to:
+ * - a different block at the anchor height → anchor_status 'orphaned'
+ *   (the game can no longer be verified against the main chain, and the
+ *   leaderboard refuses it)
+ * - same block, ANCHOR_FINALITY_DEPTH deep (or a beacon without reorgs)
+ *   → 'confirmed', no longer checked
+ * - otherwise stays 'unchecked' for the next run
+ *
+ * Vercel Cron: configured in vercel.json
+ *
+ * Environment Variables Required:
+ *   NEXT_PUBLIC_SUPABASE_URL
+ *   SUPABASE_SERVICE_KEY (not anon - game_sessions is only writable by the API)
+ *   ANCHOR_FINALITY_DEPTH (optional - default 30)
+ *   CRON_SECRET (optional - for securing endpoint)
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { fetchUncheckedAnchors, recordAnchorCheck } from '../../lib/game-sessions.js';
+import {
+  ANCHOR_STATUS_ORPHANED,
+  ANCHOR_STATUS_CONFIRMED,
+  getCurrentHeight,
+  checkAnchor
+} from '../../lib/block-anchor.js';
+
+// Use service key for server-side operations
+const supabase = createClient(
+  process.env.NEXT_PUBLIC_SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+// Sessions older than this are left as they are
+const CHECK_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Sessions checked per run (oldest first)
+const CHECK_LIMIT = 200;
+
+/**
+ * Vercel API handler
+ */
+export default async function handler(req, res) {
+  // Only allow POST (from Vercel cron) or GET with secret
+  if (req.method !== 'POST' && req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // Verify cron secret if configured
+  const cronSecret = process.env.CRON_SECRET;
+  if (cronSecret) {
+    const authHeader = req.headers.authorization;
+    if (authHeader !== `Bearer ${cronSecret}`) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+  }
+
+  try {
+    const { sessions, error: fetchError } = await fetchUncheckedAnchors(supabase, {
+      since: new Date(Date.now() - CHECK_WINDOW_MS).toISOString(),
+      limit: CHECK_LIMIT
+    });
+
+    if (fetchError) {
+      throw new Error(`Failed to fetch anchored sessions: ${fetchError.message}`);
+    }
+
+    // One height lookup per beacon; a beacon that's down is skipped this run
+    const heights = {};
+    const unreachable = new Set();
+    const orphaned = [];
+    let confirmed = 0;
+    let failed = 0;
+
+    for (const session of sessions) {
+      if (unreachable.has(session.beacon)) {
+        failed++;
+        continue;
+      }
+
+      try {
+        if (heights[session.beacon] === undefined) {
+          heights[session.beacon] = await getCurrentHeight(session.beacon);
+        }
+
+        const result = await checkAnchor(session, heights[session.beacon]);
+        const { error: recordError } = await recordAnchorCheck(supabase, session.session_id, result);
+
+        if (recordError) {
+          throw new Error(recordError.message);
+        }
+
+        if (result.status === ANCHOR_STATUS_ORPHANED) {
+          console.warn(`Session ${session.session_id} anchor ${session.block_height}/${session.block_hash} orphaned by ${result.replacedBy}`);
+          orphaned.push(session.session_id);
+        } else if (result.status === ANCHOR_STATUS_CONFIRMED) {
+          confirmed++;
+        }
+      } catch (error) {
+        console.error(`Failed to check anchor of session ${session.session_id}:`, error);
+        if (heights[session.beacon] === undefined) {
+          unreachable.add(session.beacon);
+        }
+        failed++;
+      }
+    }
+
+    return res.status(200).json({
+      success: true,
+      checked: sessions.length - failed,
+      confirmed,
+      orphaned,
+      failed
+    });
+
+  } catch (error) {
+    console.error('Anchor check cron failed:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
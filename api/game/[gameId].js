@@ -49,6 +49,7 @@ export default async function handler(req, res) {
       blockHash: data.block_hash,
       txHash: data.tx_hash,
       timestamp: data.block_timestamp,
+      rngVersion: data.rng_version,
       score: data.score,
       moves: data.moves,
       timeSeconds: data.time_seconds,
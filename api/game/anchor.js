@@ -0,0 +1,98 @@
+/**
+ * POST /api/game/anchor
+ *
+ * Anchors a session to the block at the height committed by /api/game/start.
+ *
+ * Flow:
+ * 1. Client polls with its session ID after starting a game
+ * 2. Until the target block is mined (and has ANCHOR_CONFIRMATIONS blocks
+ *    on top, for Ergo beacons), returns 202 { ready: false }
+ * 3. Once it exists, the server fetches it from the session's randomness
+ *    beacon (Ergo explorer by default), stores the block data on the
+ *    session and returns it
+ *
+ * Security:
+ * - The block is fetched server-side; clients cannot supply block data
+ * - The target height was fixed before the block existed
+ * - Beacon failures are hard errors (no unverified fallback)
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { fetchSession, anchorSession } from '../../lib/game-sessions.js';
+import { fetchConfirmedAnchorBlock, sessionBlockData } from '../../lib/block-anchor.js';
+
+// Service key: sessions are only writable by the API routes
+const supabase = createClient(
+  process.env.NEXT_PUBLIC_SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  // Handle OPTIONS preflight request
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Only accept POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { sessionId } = req.body;
+
+    if (!sessionId) {
+      return res.status(400).json({ error: 'Missing sessionId' });
+    }
+
+    const { session, error: fetchError } = await fetchSession(supabase, sessionId);
+
+    if (fetchError || !session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    // Already anchored - return the stored block
+    const anchored = sessionBlockData(session);
+    if (anchored) {
+      return res.status(200).json({ ready: true, beacon: session.beacon, blockData: anchored });
+    }
+
+    if (!session.target_block_height) {
+      return res.status(409).json({ error: 'Session has no committed target block' });
+    }
+
+    let blockData;
+    try {
+      blockData = await fetchConfirmedAnchorBlock(session.target_block_height, session.beacon);
+    } catch (error) {
+      console.error('Failed to fetch anchor block:', error);
+      return res.status(502).json({ error: 'Cannot verify target block on randomness beacon' });
+    }
+
+    // Not mined or not confirmed yet - client keeps polling
+    if (!blockData) {
+      return res.status(202).json({
+        ready: false,
+        targetBlockHeight: session.target_block_height
+      });
+    }
+
+    const { session: updated, error: anchorError } = await anchorSession(supabase, sessionId, blockData);
+
+    if (anchorError || !updated) {
+      console.error('Failed to anchor session:', anchorError);
+      return res.status(500).json({ error: 'Failed to anchor session' });
+    }
+
+    return res.status(200).json({ ready: true, beacon: session.beacon, blockData: sessionBlockData(updated) });
+
+  } catch (error) {
+    console.error('Anchor session error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
@@ -0,0 +1,101 @@
+/**
+ * POST /api/game/chain
+ *
+ * Reveals the next link of a hash-chain session (see src/core/hashChain.js).
+ *
+ * Flow:
+ * 1. Client provides session ID
+ * 2. Server recomputes link (position + 1) from the chain seed
+ * 3. Server advances the session's chain position
+ * 4. Client checks SHA256(link) === previous link and derives the round's
+ *    random value locally from the link + anchored block
+ *
+ * Security:
+ * - Links are revealed strictly in order, one per request
+ * - Every link is a preimage of the one before, so the server can't change
+ *   a round after committing to the chain end at /api/game/start
+ * - Revealing the seed at /api/game/end proves the whole chain at once
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { RNG_MODE_HASH_CHAIN, hashChainLink } from '../../src/core/hashChain.js';
+import { fetchSession, advanceChain } from '../../lib/game-sessions.js';
+import { sessionBlockData } from '../../lib/block-anchor.js';
+
+// Service key: the chain seed lives in game_session_secrets
+const supabase = createClient(
+  process.env.NEXT_PUBLIC_SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  // Handle OPTIONS preflight request
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Only accept POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { sessionId } = req.body;
+
+    if (!sessionId) {
+      return res.status(400).json({ error: 'Missing sessionId' });
+    }
+
+    const { session, error: fetchError } = await fetchSession(supabase, sessionId, { withSecret: true });
+
+    if (fetchError || !session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    if (session.rng_mode !== RNG_MODE_HASH_CHAIN) {
+      return res.status(409).json({ error: 'Session is not in hash-chain mode' });
+    }
+
+    if (session.ended_at) {
+      return res.status(400).json({ error: 'Session already ended' });
+    }
+
+    // Links are only useful once the committed block is mined
+    const blockData = sessionBlockData(session);
+    if (!blockData) {
+      return res.status(409).json({ error: 'Session not anchored yet', targetBlockHeight: session.target_block_height });
+    }
+
+    const position = session.chain_position;
+    if (position >= session.chain_length) {
+      return res.status(409).json({ error: 'Hash chain exhausted', chainLength: session.chain_length });
+    }
+
+    const { advanced, error: advanceError } = await advanceChain(supabase, sessionId, position);
+
+    if (advanceError) {
+      console.error('Failed to advance hash chain:', advanceError);
+      return res.status(500).json({ error: 'Failed to advance hash chain' });
+    }
+
+    if (!advanced) {
+      return res.status(409).json({ error: 'Concurrent chain request' });
+    }
+
+    const index = position + 1;
+    return res.status(200).json({
+      index,
+      link: hashChainLink(session.server_secret, session.chain_length, index),
+      chainLength: session.chain_length
+    });
+
+  } catch (error) {
+    console.error('Hash chain error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
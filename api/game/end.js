@@ -7,7 +7,10 @@
  * 1. Client sends session ID + final game data
  * 2. Server marks session as ended
  * 3. Server reveals the server secret (first time client sees it!)
- * 4. Client verifies: SHA256(secret) === commitment hash
+ * 4. Server reveals the random request ledger (every value served, by nonce)
+ *    and the Merkle proof that the secret is in its published seed batch
+ * 5. Client verifies: SHA256(secret) === commitment hash, and the proof
+ *    against the batch root
  *
  * Security:
  * - Secret only revealed AFTER game ends
@@ -17,11 +20,14 @@
  */
 
 import { createClient } from '@supabase/supabase-js';
+import { fetchSession, fetchRandomLedger } from '../../lib/game-sessions.js';
+import { fetchBatchProof } from '../../lib/seed-batches.js';
 
-// Initialize Supabase client
+// Service key: server secrets live in game_session_secrets, which the
+// anon key cannot read (supabase-migrations/005)
 const supabase = createClient(
   process.env.NEXT_PUBLIC_SUPABASE_URL,
-  process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY
+  process.env.SUPABASE_SERVICE_KEY
 );
 
 export default async function handler(req, res) {
@@ -48,17 +54,34 @@ export default async function handler(req, res) {
       return res.status(400).json({ error: 'Missing sessionId' });
     }
 
-    // Fetch session from database
-    const { data: session, error: fetchError } = await supabase
-      .from('game_sessions')
-      .select('*')
-      .eq('session_id', sessionId)
-      .single();
+    // Fetch session (with its secret) from database
+    const { session, error: fetchError } = await fetchSession(supabase, sessionId, { withSecret: true });
 
     if (fetchError || !session) {
       return res.status(404).json({ error: 'Session not found' });
     }
 
+    // Every random value served during the game, for replay against the secret
+    const { ledger, error: ledgerError } = await fetchRandomLedger(supabase, sessionId);
+
+    if (ledgerError) {
+      console.error('Failed to fetch random ledger:', ledgerError);
+      return res.status(500).json({ error: 'Failed to read random request ledger' });
+    }
+
+    // Inclusion proof for sessions whose secret came from a seed batch
+    let seedBatch = null;
+    if (session.seed_batch_id) {
+      const { seedBatch: batchProof, error: batchError } =
+        await fetchBatchProof(supabase, session.seed_batch_id, session.seed_batch_index);
+
+      if (batchError) {
+        console.error('Failed to fetch seed batch proof:', batchError);
+        return res.status(500).json({ error: 'Failed to read seed batch proof' });
+      }
+      seedBatch = batchProof;
+    }
+
     // Check if already ended
     if (session.ended_at) {
       // Already ended - just return the reveal data
@@ -66,12 +89,21 @@ export default async function handler(req, res) {
         sessionId: session.session_id,
         serverSecret: session.server_secret,
         secretHash: session.secret_hash,
+        clientSeed: session.client_seed,
+        rngMode: session.rng_mode,
+        chainLength: session.chain_length,
+        chainPosition: session.chain_position,
+        rngVersion: session.rng_version,
+        beacon: session.beacon,
+        targetBlockHeight: session.target_block_height,
         blockHash: session.block_hash,
         blockHeight: session.block_height,
         txHash: session.tx_hash,
         txIndex: session.tx_index,
         timestamp: session.timestamp,
         txCount: session.tx_count,
+        ledger,
+        seedBatch,
         endedAt: session.ended_at,
         alreadyEnded: true
       });
@@ -82,7 +114,10 @@ export default async function handler(req, res) {
       .from('game_sessions')
       .update({
         ended_at: new Date().toISOString(),
-        game_data: gameData || null
+        game_data: gameData || null,
+        // Finished games can't be resumed
+        resume_state: null,
+        resume_saved_at: null
       })
       .eq('session_id', sessionId)
       .select()
@@ -98,10 +133,23 @@ export default async function handler(req, res) {
       sessionId: updatedSession.session_id,
 
       // Server secret (REVEALED!)
-      serverSecret: updatedSession.server_secret,
+      serverSecret: session.server_secret,
       secretHash: updatedSession.secret_hash,
 
-      // Blockchain anchoring data
+      // Player's seed, mixed into every derivation
+      clientSeed: updatedSession.client_seed,
+
+      // Hash-chain sessions: SHA256^chainLength(serverSecret) === secretHash
+      rngMode: updatedSession.rng_mode,
+      chainLength: updatedSession.chain_length,
+      chainPosition: updatedSession.chain_position,
+
+      // Shuffle RNG version the session's games were dealt with
+      rngVersion: updatedSession.rng_version,
+
+      // Blockchain anchoring data (a drand round for drand sessions)
+      beacon: updatedSession.beacon,
+      targetBlockHeight: updatedSession.target_block_height,
       blockHash: updatedSession.block_hash,
       blockHeight: updatedSession.block_height,
       txHash: updatedSession.tx_hash,
@@ -109,6 +157,12 @@ export default async function handler(req, res) {
       timestamp: updatedSession.timestamp,
       txCount: updatedSession.tx_count,
 
+      // Random request ledger (nonce, purpose, random, requestedAt)
+      ledger,
+
+      // Merkle proof: SHA256(serverSecret) is in the pre-published batch
+      seedBatch,
+
       // Metadata
       gameType: updatedSession.game_type,
       startedAt: updatedSession.created_at,
@@ -116,7 +170,9 @@ export default async function handler(req, res) {
 
       // Verification instructions
       verification: {
-        message: 'Verify: SHA256(serverSecret) === secretHash',
+        message: updatedSession.rng_mode === 'hash-chain'
+          ? 'Verify: SHA256 applied chainLength times to serverSecret === secretHash'
+          : 'Verify: SHA256(serverSecret) === secretHash',
         exploreBlock: updatedSession.block_hash
           ? `https://explorer.ergoplatform.com/en/blocks/${updatedSession.block_hash}`
           : null,
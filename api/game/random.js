@@ -4,64 +4,38 @@
  * Generates deterministic random value for game.
  *
  * Flow:
- * 1. Client provides session ID + blockchain data + purpose
- * 2. Server fetches secret from database
- * 3. Server verifies blockchain data is real (call Ergo API)
- * 4. Server combines: secret + blockchain fan + purpose
- * 5. Returns SHA256 hash (but NOT the secret)
+ * 1. Client provides session ID + purpose
+ * 2. Server fetches secret and anchor block from database
+ *    (anchored by /api/game/anchor to the committed target height)
+ * 3. Server checks the purpose is the next one in the game's schema
+ *    (src/core/purposes.js) given the session's request ledger
+ * 4. Server combines: secret + blockchain data + client seed + purpose
+ * 5. Appends the request to the ledger with the next nonce
+ * 6. Returns SHA256 hash (but NOT the secret)
  *
  * Security:
  * - Server secret remains hidden
- * - Blockchain data verified on-chain
+ * - Block data comes from the session anchor, never from the client
+ * - Every value served is in the ledger revealed by /api/game/end, and
+ *   repeated or out-of-order purposes are rejected
  * - Same inputs always produce same output (deterministic)
  * - Client can't predict output without secret
  */
 
 import { createClient } from '@supabase/supabase-js';
-import crypto from 'crypto';
-
-// Initialize Supabase client
+import { deriveRandomValue } from '../../src/core/seed.js';
+import { validateNextPurpose } from '../../src/core/purposes.js';
+import { RNG_MODE_HASH_CHAIN } from '../../src/core/hashChain.js';
+import { fetchSession, fetchRandomLedger, appendRandomRequest } from '../../lib/game-sessions.js';
+import { sessionBlockData } from '../../lib/block-anchor.js';
+
+// Service key: server secrets live in game_session_secrets, which the
+// anon key cannot read (supabase-migrations/005)
 const supabase = createClient(
   process.env.NEXT_PUBLIC_SUPABASE_URL,
-  process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY
+  process.env.SUPABASE_SERVICE_KEY
 );
 
-// Ergo API for blockchain verification
-const ERGO_API_BASE = 'https://api.ergoplatform.com/api/v1';
-
-/**
- * Verify that blockchain data is real by querying Ergo API
- * Uses native fetch (available in Node.js 18+)
- */
-async function verifyBlockchainData(blockData) {
-  try {
-    const { blockHash, blockHeight } = blockData;
-
-    // Fetch block from Ergo blockchain using native fetch
-    const response = await fetch(`${ERGO_API_BASE}/blocks/${blockHash}`);
-
-    if (!response.ok) {
-      if (response.status === 404) {
-        return { valid: false, error: 'Block not found on Ergo blockchain' };
-      }
-      return { valid: false, error: `Ergo API error: ${response.status}` };
-    }
-
-    const data = await response.json();
-    const block = data.block;
-
-    // Verify height matches
-    if (block.header.height !== blockHeight) {
-      return { valid: false, error: 'Block height mismatch' };
-    }
-
-    return { valid: true };
-  } catch (error) {
-    console.error('Blockchain verification error:', error);
-    return { valid: false, error: 'Failed to verify blockchain data' };
-  }
-}
-
 export default async function handler(req, res) {
   // Set CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
@@ -82,7 +56,7 @@ export default async function handler(req, res) {
     console.log('📥 /api/game/random request received');
     console.log('Request body:', JSON.stringify(req.body, null, 2));
 
-    const { sessionId, blockData, purpose } = req.body;
+    const { sessionId, purpose } = req.body;
 
     // Validate inputs
     if (!sessionId) {
@@ -90,20 +64,12 @@ export default async function handler(req, res) {
       return res.status(400).json({ error: 'Missing sessionId' });
     }
 
-    if (!blockData || !blockData.blockHash || !blockData.blockHeight) {
-      return res.status(400).json({ error: 'Missing or invalid blockData' });
-    }
-
     if (!purpose) {
       return res.status(400).json({ error: 'Missing purpose parameter' });
     }
 
-    // Fetch session from database
-    const { data: session, error: fetchError } = await supabase
-      .from('game_sessions')
-      .select('*')
-      .eq('session_id', sessionId)
-      .single();
+    // Fetch session (with its secret) from database
+    const { session, error: fetchError } = await fetchSession(supabase, sessionId, { withSecret: true });
 
     if (fetchError || !session) {
       return res.status(404).json({ error: 'Session not found' });
@@ -114,40 +80,28 @@ export default async function handler(req, res) {
       return res.status(400).json({ error: 'Session already ended' });
     }
 
-    // Verify blockchain data is real (prevents fake block data)
-    // Make this non-critical for now - just log warnings
-    let blockchainVerified = false;
-    try {
-      const verification = await verifyBlockchainData(blockData);
-      if (!verification.valid) {
-        console.warn('⚠️ Blockchain verification failed:', verification.error);
-        console.warn('Continuing anyway for testing purposes');
-      } else {
-        blockchainVerified = true;
-      }
-    } catch (verifyError) {
-      console.error('❌ Blockchain verification error:', verifyError);
-      console.warn('Continuing anyway for testing purposes');
+    // Hash-chain sessions derive values client-side from /api/game/chain links
+    if (session.rng_mode === RNG_MODE_HASH_CHAIN) {
+      return res.status(409).json({ error: 'Session is in hash-chain mode; use /api/game/chain' });
     }
 
-    // Store blockchain data on first use (establishes anchor)
-    if (!session.block_hash) {
-      const { error: updateError } = await supabase
-        .from('game_sessions')
-        .update({
-          block_hash: blockData.blockHash,
-          block_height: blockData.blockHeight,
-          tx_hash: blockData.txHash || null,
-          tx_index: blockData.txIndex || null,
-          timestamp: blockData.timestamp || null,
-          tx_count: blockData.txCount || null
-        })
-        .eq('session_id', sessionId);
-
-      if (updateError) {
-        console.error('Failed to update session with blockchain data:', updateError);
-        // Continue anyway - this is not critical
-      }
+    // Randomness is only available once the committed block is mined
+    const blockData = sessionBlockData(session);
+    if (!blockData) {
+      return res.status(409).json({ error: 'Session not anchored yet', targetBlockHeight: session.target_block_height });
+    }
+
+    // Only the next purpose in the game's schema may be requested
+    const { ledger, error: ledgerError } = await fetchRandomLedger(supabase, sessionId);
+
+    if (ledgerError) {
+      console.error('Failed to fetch random ledger:', ledgerError);
+      return res.status(500).json({ error: 'Failed to read random request ledger' });
+    }
+
+    const purposeCheck = validateNextPurpose(session.game_type, ledger, purpose);
+    if (!purposeCheck.valid) {
+      return res.status(409).json({ error: 'Random request rejected', reason: purposeCheck.reason });
     }
 
     // Combine ALL entropy sources:
@@ -156,27 +110,28 @@ export default async function handler(req, res) {
     // - Transaction hash (additional blockchain entropy)
     // - Timestamp (temporal anchor)
     // - Transaction index (deterministic selection proof)
+    // - Client seed (player's own entropy, fixed at session start)
     // - Purpose (unique per random request)
-    const components = [
-      session.server_secret,
-      blockData.blockHash,
-      blockData.txHash || '',
-      String(blockData.timestamp || ''),
-      String(blockData.txIndex || ''),
-      purpose
-    ];
-
-    const combinedInput = components.join(':');
-
-    // Generate deterministic random value
-    const random = crypto
-      .createHash('sha256')
-      .update(combinedInput)
-      .digest('hex');
+    // Same derivation the client verifier uses (shared provably-fair core)
+    const random = deriveRandomValue(session.server_secret, blockData, purpose, session.client_seed);
+
+    // Record before serving: a value that isn't in the ledger is never returned
+    const nonce = ledger.length > 0 ? ledger[ledger.length - 1].nonce + 1 : 1;
+    const { error: appendError } = await appendRandomRequest(supabase, sessionId, { nonce, purpose, random });
+
+    if (appendError) {
+      if (appendError.code === '23505') {
+        // Another request took this nonce or purpose first
+        return res.status(409).json({ error: 'Random request rejected', reason: 'Concurrent or repeated request' });
+      }
+      console.error('Failed to record random request:', appendError);
+      return res.status(500).json({ error: 'Failed to record random request' });
+    }
 
     // Return random value (but NOT the server secret!)
     return res.status(200).json({
       random,
+      nonce,
       purpose,
       blockHash: blockData.blockHash,
       blockHeight: blockData.blockHeight
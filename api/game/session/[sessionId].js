@@ -0,0 +1,153 @@
+/**
+ * GET /api/game/session/:sessionId
+ * PUT /api/game/session/:sessionId
+ *
+ * Resumes an in-progress game session after a reload or on another device.
+ *
+ * GET returns everything the client needs to carry on, but never the secret:
+ * - the commitment (secret hash, client seed, mode)
+ * - the anchored block (null until /api/game/anchor has run) and whether
+ *   it has since been confirmed or orphaned (anchorStatus)
+ * - the ledger of random values already served, in nonce order
+ * - hash-chain sessions: the last revealed link, to verify the next one against
+ * - the latest game snapshot saved with PUT
+ *
+ * PUT { state } saves the game snapshot. Only active sessions accept one.
+ *
+ * Security:
+ * - The snapshot is player-supplied and only used to redraw the game; random
+ *   values always come from the ledger, which rejects repeated purposes, so
+ *   reloading can't re-roll anything
+ * - Everything returned here is already public (or revealed) data
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { RNG_MODE_HASH_CHAIN, hashChainLink } from '../../../src/core/hashChain.js';
+import { fetchSession, fetchRandomLedger, saveResumeState } from '../../../lib/game-sessions.js';
+import { sessionBlockData } from '../../../lib/block-anchor.js';
+
+// Service key: the chain seed lives in game_session_secrets
+const supabase = createClient(
+  process.env.NEXT_PUBLIC_SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+// Snapshots are stored as JSONB on the session row
+const MAX_RESUME_STATE_BYTES = 256 * 1024;
+
+/**
+ * Session lifecycle as seen by a resuming client
+ * @param {Object} session - game_sessions row
+ * @returns {'active'|'ended'|'expired'}
+ */
+function sessionStatus(session) {
+  if (session.ended_at) return 'ended';
+  if (new Date(session.expires_at) <= new Date()) return 'expired';
+  return 'active';
+}
+
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, PUT, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  // Handle OPTIONS preflight request
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET' && req.method !== 'PUT') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { sessionId } = req.query;
+
+    if (!sessionId) {
+      return res.status(400).json({ error: 'Missing sessionId parameter' });
+    }
+
+    if (req.method === 'PUT') {
+      const { state } = req.body || {};
+
+      if (!state || typeof state !== 'object') {
+        return res.status(400).json({ error: 'Missing state' });
+      }
+
+      if (JSON.stringify(state).length > MAX_RESUME_STATE_BYTES) {
+        return res.status(413).json({ error: 'Snapshot too large', maxBytes: MAX_RESUME_STATE_BYTES });
+      }
+
+      const { savedAt, error: saveError } = await saveResumeState(supabase, sessionId, state);
+
+      if (saveError) {
+        console.error('Failed to save resume state:', saveError);
+        return res.status(500).json({ error: 'Failed to save snapshot' });
+      }
+
+      if (!savedAt) {
+        return res.status(409).json({ error: 'Session is not active' });
+      }
+
+      return res.status(200).json({ sessionId, savedAt });
+    }
+
+    // Hash-chain sessions need the secret to recompute the last revealed link
+    const { session, error: fetchError } = await fetchSession(supabase, sessionId, { withSecret: true });
+
+    if (fetchError || !session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const { ledger, error: ledgerError } = await fetchRandomLedger(supabase, sessionId);
+
+    if (ledgerError) {
+      console.error('Failed to fetch random ledger:', ledgerError);
+      return res.status(500).json({ error: 'Failed to read random request ledger' });
+    }
+
+    const chainLink = session.rng_mode === RNG_MODE_HASH_CHAIN
+      ? hashChainLink(session.server_secret, session.chain_length, session.chain_position)
+      : null;
+
+    return res.status(200).json({
+      sessionId: session.session_id,
+      gameType: session.game_type,
+      status: sessionStatus(session),
+
+      // Commitment (the secret stays hidden until /api/game/end)
+      secretHash: session.secret_hash,
+      clientSeed: session.client_seed,
+      rngMode: session.rng_mode,
+      chainLength: session.chain_length,
+      chainPosition: session.chain_position,
+      chainLink,
+      seedBatchId: session.seed_batch_id,
+      seedBatchIndex: session.seed_batch_index,
+      tableRules: session.table_rules,
+      gameOptions: session.game_options,
+      startingBalance: session.starting_balance,
+
+      // Anchor
+      beacon: session.beacon,
+      targetBlockHeight: session.target_block_height,
+      blockData: sessionBlockData(session),
+      anchorStatus: session.anchor_status,
+
+      // Random values already served (nonce, purpose, random, requestedAt)
+      ledger,
+
+      // Latest client snapshot
+      resumeState: session.resume_state,
+      resumeSavedAt: session.resume_saved_at,
+
+      createdAt: session.created_at,
+      expiresAt: session.expires_at
+    });
+
+  } catch (error) {
+    console.error('Session resume error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
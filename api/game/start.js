@@ -4,28 +4,75 @@
  * Initiates a new game session with commit-reveal security.
  *
  * Flow:
- * 1. Server generates random secret (client never sees this)
- * 2. Server computes hash commitment
- * 3. Stores secret in database
- * 4. Returns only the hash to client (commitment)
+ * 1. Commits to a future block height (current height + BLOCK_ANCHOR_DEPTH)
+ *    on the configured randomness beacon (RANDOMNESS_BEACON, see
+ *    src/core/beacons)
+ * 2. Server claims the next secret from a pre-published seed batch (client
+ *    never sees this) and records the player's client seed, which is
+ *    mixed into every derivation
+ * 3. Server computes hash commitment
+ * 4. Stores secret in database
+ * 5. Returns only the hash and target height to client (commitment)
  *
  * Security:
  * - Secret is hidden until game ends
  * - Hash commitment prevents server from changing secret later
- * - Client fetches blockchain data AFTER receiving commitment
+ * - Secrets come from a batch whose Merkle root was published before use,
+ *   so the server can't pick one for a particular session
+ * - Anchor block is mined AFTER the commitment and fetched by the server,
+ *   so neither side can choose it
+ *
+ * Blackjack sessions also commit the table rules (body.tableRules, see
+ * src/core/games/blackjack/tableRules.js; missing fields take the default
+ * table). The validator replays every round under them. Solitaire sessions
+ * commit the game options the same way (body.gameOptions, see
+ * src/core/games/solitaire/variants.js).
+ *
+ * Modes (body.mode):
+ * - 'commit-reveal' (default): commitment = SHA256(secret), values from
+ *   /api/game/random
+ * - 'hash-chain': commitment = SHA256^chainLength(secret), one link per
+ *   round from /api/game/chain (see src/core/hashChain.js)
+ *
+ * Solitaire Vegas cumulative games carry the balance of an earlier submitted
+ * game (body.carryBalanceFrom = its session ID). The balance is read from
+ * that game's leaderboard row, as the validator replayed it, and committed
+ * with the session; each balance carries into one game only. Only the player
+ * who submitted that game (body.playerName) may carry it, and the new game
+ * must be submitted under the same name.
  */
 
 import { createClient } from '@supabase/supabase-js';
 import crypto from 'crypto';
+import {
+  RNG_MODE_COMMIT_REVEAL,
+  RNG_MODE_HASH_CHAIN,
+  DEFAULT_CHAIN_LENGTH,
+  MAX_CHAIN_LENGTH,
+  hashChainCommitment
+} from '../../src/core/hashChain.js';
+import { normalizeTableRules, validateTableRules } from '../../src/core/games/blackjack/tableRules.js';
+import {
+  getVariantOptions,
+  normalizeGameOptions,
+  validateGameOptions
+} from '../../src/core/games/solitaire/variants.js';
+import { createSession } from '../../lib/game-sessions.js';
+import { claimBatchSecret } from '../../lib/seed-batches.js';
+import { getAnchorDepth, getBeaconName, getCurrentHeight } from '../../lib/block-anchor.js';
 
-// Initialize Supabase client
+// Service key: server secrets live in game_session_secrets, which the
+// anon key cannot read (supabase-migrations/005)
 const supabase = createClient(
   process.env.NEXT_PUBLIC_SUPABASE_URL,
-  process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY
+  process.env.SUPABASE_SERVICE_KEY
 );
 
+// Client seeds: short, URL-safe, chosen or generated by the player
+const CLIENT_SEED_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
 // Valid game types
-const VALID_GAME_TYPES = ['backgammon', 'blackjack', 'solitaire', 'yahtzee', 'garbage', '2048'];
+const VALID_GAME_TYPES = ['backgammon', 'blackjack', 'solitaire', 'yahtzee', 'garbage', 'freecell', 'spider', '2048'];
 
 export default async function handler(req, res) {
   // Set CORS headers
@@ -44,7 +91,16 @@ export default async function handler(req, res) {
   }
 
   try {
-    const { gameType } = req.body;
+    const {
+      gameType,
+      mode = RNG_MODE_COMMIT_REVEAL,
+      chainLength = DEFAULT_CHAIN_LENGTH,
+      clientSeed = null,
+      tableRules = null,
+      gameOptions = null,
+      carryBalanceFrom = null,
+      playerName = null
+    } = req.body;
 
     // Validate game type
     if (!gameType) {
@@ -58,26 +114,156 @@ export default async function handler(req, res) {
       });
     }
 
-    // Generate server secret (32 bytes = 64 hex characters)
-    // This is the ONLY time the secret exists in plaintext outside the database
-    const serverSecret = crypto.randomBytes(32).toString('hex');
+    if (mode !== RNG_MODE_COMMIT_REVEAL && mode !== RNG_MODE_HASH_CHAIN) {
+      return res.status(400).json({
+        error: 'Invalid mode',
+        validModes: [RNG_MODE_COMMIT_REVEAL, RNG_MODE_HASH_CHAIN]
+      });
+    }
+
+    if (clientSeed !== null && (typeof clientSeed !== 'string' || !CLIENT_SEED_PATTERN.test(clientSeed))) {
+      return res.status(400).json({ error: 'clientSeed must be 1-64 characters of A-Z, a-z, 0-9, _ or -' });
+    }
+
+    let committedRules = null;
+    if (gameType === 'blackjack') {
+      committedRules = normalizeTableRules(tableRules);
+      const rulesCheck = validateTableRules(committedRules);
+      if (!rulesCheck.valid) {
+        return res.status(400).json({ error: `Invalid table rules: ${rulesCheck.reason}` });
+      }
+    } else if (tableRules !== null) {
+      return res.status(400).json({ error: 'tableRules only applies to blackjack' });
+    }
+
+    let committedOptions = null;
+    if (gameType === 'solitaire') {
+      committedOptions = normalizeGameOptions(gameOptions);
+      const optionsCheck = validateGameOptions(committedOptions);
+      if (!optionsCheck.valid) {
+        return res.status(400).json({ error: `Invalid game options: ${optionsCheck.reason}` });
+      }
+    } else if (gameOptions !== null) {
+      return res.status(400).json({ error: 'gameOptions only applies to solitaire' });
+    }
+
+    const isHashChain = mode === RNG_MODE_HASH_CHAIN;
+    if (isHashChain && (!Number.isInteger(chainLength) || chainLength < 1 || chainLength > MAX_CHAIN_LENGTH)) {
+      return res.status(400).json({ error: `chainLength must be an integer from 1 to ${MAX_CHAIN_LENGTH}` });
+    }
+
+    let startingBalance = 0;
+    if (carryBalanceFrom !== null) {
+      if (gameType !== 'solitaire') {
+        return res.status(400).json({ error: 'carryBalanceFrom only applies to solitaire' });
+      }
+
+      if (committedOptions.scoring !== 'vegas-cumulative') {
+        return res.status(400).json({ error: 'carryBalanceFrom only applies to Vegas cumulative games' });
+      }
+
+      const { data: previous, error: previousError } = await supabase
+        .from('LeaderBoard')
+        .select('balance, ruleset, player_name')
+        .eq('game', 'solitaire')
+        .eq('session_id', carryBalanceFrom)
+        .single();
+
+      if (previousError || !previous || !Number.isInteger(previous.balance)
+          || getVariantOptions(previous.ruleset)?.scoring !== 'vegas-cumulative') {
+        return res.status(400).json({ error: 'No submitted Vegas cumulative game to carry a balance from' });
+      }
+
+      // Anonymous games belong to no one, so their balance can't be carried
+      if (!playerName || playerName === 'Anonymous' || previous.player_name !== playerName) {
+        return res.status(403).json({ error: 'That balance belongs to another player' });
+      }
+
+      // The unique carried_from_session_id also catches a concurrent carry
+      // at insert; check first so a spent balance doesn't claim a secret
+      const { count: carried, error: carriedError } = await supabase
+        .from('game_sessions')
+        .select('*', { count: 'exact', head: true })
+        .eq('carried_from_session_id', carryBalanceFrom);
+
+      if (carriedError) {
+        console.error('Failed to check carried balance:', carriedError);
+        return res.status(500).json({ error: 'Failed to check carried balance' });
+      }
+
+      if (carried > 0) {
+        return res.status(409).json({ error: 'That balance was already carried into another game' });
+      }
+
+      startingBalance = previous.balance;
+    }
+
+    let beacon;
+    try {
+      beacon = getBeaconName();
+    } catch (error) {
+      console.error('Randomness beacon misconfigured:', error);
+      return res.status(500).json({ error: 'Randomness beacon misconfigured' });
+    }
+
+    // Commit to a block that doesn't exist yet: the session is anchored to
+    // whatever is mined at this height, fetched server-side by /api/game/anchor.
+    // Read before claiming a secret, so a beacon outage doesn't spend one
+    let currentHeight;
+    try {
+      currentHeight = await getCurrentHeight(beacon);
+    } catch (error) {
+      console.error(`Failed to read ${beacon} height:`, error);
+      return res.status(502).json({ error: 'Cannot reach randomness beacon to commit a target block' });
+    }
+    const targetBlockHeight = currentHeight + getAnchorDepth();
+
+    // Claim the next pre-generated secret (32 bytes = 64 hex characters)
+    // Batches are created and published by /api/cron/seed-batches
+    const { claim, error: claimError } = await claimBatchSecret(supabase);
+
+    if (claimError) {
+      console.error('Failed to claim seed batch secret:', claimError);
+      return res.status(500).json({ error: 'Failed to assign server secret' });
+    }
+
+    if (!claim) {
+      return res.status(503).json({ error: 'No published seed batch available' });
+    }
+
+    const serverSecret = claim.serverSecret;
 
     // Compute commitment hash (this is what client sees)
-    const secretHash = crypto
-      .createHash('sha256')
-      .update(serverSecret)
-      .digest('hex');
-
-    // Store in database
-    const { data, error } = await supabase
-      .from('game_sessions')
-      .insert({
-        game_type: gameType,
-        server_secret: serverSecret,
-        secret_hash: secretHash
-      })
-      .select('session_id, secret_hash, created_at')
-      .single();
+    // Hash-chain sessions commit to the end of the chain instead
+    const secretHash = isHashChain
+      ? hashChainCommitment(serverSecret, chainLength)
+      : crypto
+        .createHash('sha256')
+        .update(serverSecret)
+        .digest('hex');
+
+    // Store in database (secret goes to the service-only secrets table)
+    const { session: data, error } = await createSession(supabase, {
+      gameType,
+      serverSecret,
+      secretHash,
+      targetBlockHeight,
+      rngMode: mode,
+      chainLength: isHashChain ? chainLength : null,
+      clientSeed,
+      seedBatchId: claim.batchId,
+      seedBatchIndex: claim.index,
+      beacon,
+      tableRules: committedRules,
+      gameOptions: committedOptions,
+      startingBalance,
+      carriedFromSessionId: carryBalanceFrom,
+      playerName: carryBalanceFrom !== null ? playerName : null
+    });
+
+    if (error?.code === '23505') {
+      return res.status(409).json({ error: 'That balance was already carried into another game' });
+    }
 
     if (error) {
       console.error('Database error creating session:', error);
@@ -88,8 +274,19 @@ export default async function handler(req, res) {
     return res.status(200).json({
       sessionId: data.session_id,
       secretHash: data.secret_hash,
+      targetBlockHeight: data.target_block_height,
+      rngMode: data.rng_mode,
+      chainLength: data.chain_length,
+      clientSeed: data.client_seed,
+      seedBatchId: data.seed_batch_id,
+      seedBatchIndex: data.seed_batch_index,
+      beacon: data.beacon,
+      tableRules: data.table_rules,
+      gameOptions: data.game_options,
+      startingBalance: data.starting_balance,
+      rngVersion: data.rng_version,
       timestamp: data.created_at,
-      message: 'Session created. Fetch blockchain data and begin game.'
+      message: 'Session created. Poll /api/game/anchor until the target block is mined.'
     });
 
   } catch (error) {
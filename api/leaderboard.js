@@ -2,10 +2,23 @@
  * GET /api/leaderboard?game=solitaire&limit=10
  * 
  * Returns top scores for a game.
+ *
+ * Blackjack is ranked per table ruleset (&ruleset=6D-S17-3:2-DAS-RSA-NS-SP4-PEN75,
+ * see src/core/games/blackjack/tableRules.js); without one, the default
+ * table's leaderboard is returned.
+ *
+ * Solitaire is ranked per variant (&ruleset=D3-VEGAS-P3, see
+ * src/core/games/solitaire/variants.js); without one, draw-1 standard
+ * scoring with unlimited passes. Vegas variants are ordered by balance.
+ *
+ * Spider is ranked per suit count (&ruleset=2-SUIT); without one, one suit.
  */
 
 import { createClient } from '@supabase/supabase-js';
 import { withLogging } from '../lib/api-logger.js';
+import { DEFAULT_RULESET_ID } from '../src/core/games/blackjack/tableRules.js';
+import { DEFAULT_VARIANT_ID, getVariantOptions, isVegasScoring } from '../src/core/games/solitaire/variants.js';
+import { DEFAULT_VARIANT_ID as DEFAULT_SPIDER_VARIANT_ID } from '../src/core/games/spider/gameLogic.js';
 
 // SECURITY: Credentials must be set in environment variables
 // Never use fallback values for credentials - fail fast if not configured
@@ -18,7 +31,7 @@ const supabase = createClient(
   process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY
 );
 
-const VALID_GAMES = ['solitaire', 'garbage', 'yahtzee', 'blackjack', '2048', 'backgammon'];
+const VALID_GAMES = ['solitaire', 'freecell', 'spider', 'garbage', 'yahtzee', 'blackjack', '2048', 'backgammon'];
 
 async function handler(req, res) {
   // Only allow GET
@@ -33,7 +46,7 @@ async function handler(req, res) {
   res.setHeader('X-Cache-Time', new Date().toISOString());
 
   try {
-    const { game, limit = 10, gameId } = req.query;
+    const { game, limit = 10, gameId, ruleset } = req.query;
 
     // Validate game type
     if (!game || !VALID_GAMES.includes(game)) {
@@ -64,11 +77,28 @@ async function handler(req, res) {
     }
 
     // Fetch top scores
-    const { data, error } = await supabase
+    let query = supabase
       .from('LeaderBoard')
       .select('*')
-      .eq('game', game)
-      .order('score', { ascending: false })
+      .eq('game', game);
+
+    // Games ranked per rule set, and the board shown without one
+    const defaultRuleset = {
+      blackjack: DEFAULT_RULESET_ID,
+      solitaire: DEFAULT_VARIANT_ID,
+      spider: DEFAULT_SPIDER_VARIANT_ID
+    }[game];
+
+    if (defaultRuleset) {
+      query = query.eq('ruleset', ruleset || defaultRuleset);
+    }
+
+    // Solitaire Vegas variants are ranked by cash balance
+    const variantOptions = game === 'solitaire' ? getVariantOptions(ruleset || defaultRuleset) : null;
+    const orderColumn = variantOptions && isVegasScoring(variantOptions) ? 'balance' : 'score';
+
+    const { data, error } = await query
+      .order(orderColumn, { ascending: false })
       .limit(parseInt(limit));
 
     if (error) {
@@ -83,6 +113,7 @@ async function handler(req, res) {
 
     return res.status(200).json({
       game,
+      ...(defaultRuleset && { ruleset: ruleset || defaultRuleset }),
       entries,
       total: entries.length
     });
@@ -5,17 +5,35 @@
  *
  * Verification steps:
  * 1. Rate limiting check
- * 2. Game ID format validation
- * 3. Blockchain verification (optional but recommended)
- * 4. Game-specific history validation
- * 5. Fraud detection
- * 6. Save to database with validation metadata
+ * 2. Session binding (commit-reveal games: session exists, ended, same game
+ *    and block; every served random value and the dealt seed recomputed from
+ *    the revealed secret)
+ * 3. Game ID format validation
+ * 4. Blockchain verification (optional but recommended)
+ * 5. Game-specific history validation
+ * 6. Fraud detection
+ * 7. Save to database with validation metadata (one row per session)
+ *
+ * Blackjack rows record the session's table ruleset and are ranked only
+ * against the same ruleset. They also record whether counting aids (count
+ * overlay or count-based hints) were on.
+ *
+ * Solitaire rows record the variant (draw count, scoring, stock passes)
+ * committed with the session in the same ruleset column and are ranked per
+ * variant. Vegas rows
+ * also record the replayed cash balance and are ranked by it. Spider
+ * rows record their suit count there (e.g. "2-SUIT").
  */
 
 import { createClient } from '@supabase/supabase-js';
 import { validateGameSubmission, ValidationLevel } from '../lib/validation/index.js';
 import { withLogging } from '../lib/api-logger.js';
 import { checkRateLimit } from '../lib/validation/shared/fraudDetection.js';
+import { requiresSession, sessionRngVersion, validateSessionBinding } from '../lib/validation/shared/sessionBinding.js';
+import { fetchSession, fetchRandomLedger } from '../lib/game-sessions.js';
+import { getRulesetId, normalizeTableRules } from '../src/core/games/blackjack/tableRules.js';
+import { getVariantId, normalizeGameOptions, isVegasScoring } from '../src/core/games/solitaire/variants.js';
+import { getVariantId as getSpiderVariantId } from '../src/core/games/spider/gameLogic.js';
 
 // SECURITY: Credentials must be set in environment variables
 // Never use fallback values for credentials - fail fast if not configured
@@ -28,6 +46,13 @@ const supabase = createClient(
   process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY
 );
 
+// Session lookups need the service key: server secrets (backgammon dice
+// replay) are not readable with the anon key
+const sessionStore = createClient(
+  process.env.NEXT_PUBLIC_SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
 // Configuration
 const VALIDATION_LEVEL = process.env.VALIDATION_LEVEL || ValidationLevel.FULL;
 const ENABLE_RATE_LIMITING = process.env.ENABLE_RATE_LIMITING !== 'false';
@@ -61,6 +86,52 @@ async function getPlayerHistory(playerName, limit = 10) {
   }
 }
 
+/**
+ * Fetch the commit-reveal session a game's randomness came from
+ */
+async function getGameSession(sessionId) {
+  if (!sessionId) {
+    return null;
+  }
+
+  try {
+    const { session, error } = await fetchSession(sessionStore, sessionId, { withSecret: true });
+
+    if (error) {
+      console.error('Error fetching game session:', error);
+      return null;
+    }
+
+    return session;
+  } catch (error) {
+    console.error('Error fetching game session:', error);
+    return null;
+  }
+}
+
+/**
+ * Fetch the random values a session served, in nonce order
+ */
+async function getRandomLedger(sessionId) {
+  if (!sessionId) {
+    return null;
+  }
+
+  try {
+    const { ledger, error } = await fetchRandomLedger(sessionStore, sessionId);
+
+    if (error) {
+      console.error('Error fetching random ledger:', error);
+      return null;
+    }
+
+    return ledger;
+  } catch (error) {
+    console.error('Error fetching random ledger:', error);
+    return null;
+  }
+}
+
 /**
  * Main handler
  */
@@ -86,17 +157,25 @@ async function handler(req, res) {
       blockTimestamp,
       txIndex,
       seed,
+      rngVersion,
+      sessionId,
       // Game-specific history fields
-      rollHistory,      // Yahtzee
+      rollHistory,      // Yahtzee, Backgammon
       scorecard,        // Yahtzee
       roundHistory,     // Blackjack
-      moveHistory,      // 2048, Backgammon, Chess (SAN notation)
+      reshuffleSeeds,   // Blackjack
+      countingAids,     // Blackjack
+      moveHistory,      // 2048, Solitaire, FreeCell, Spider, Backgammon, Chess (SAN notation)
+      balance,          // Solitaire (Vegas)
+      dealNumber,       // FreeCell
+      suits,            // Spider
       highestTile,      // 2048
       winType,          // Backgammon
       difficulty,       // Backgammon, Garbage
       cubeValue,        // Backgammon
       loserPipCount,    // Backgammon
       rounds,           // Garbage
+      turnHistory,      // Garbage
       // Chess-specific fields
       playerColor,      // Chess
       result,           // Chess
@@ -140,26 +219,53 @@ async function handler(req, res) {
       blockTimestamp,
       txIndex,
       seed,
+      rngVersion,
+      sessionId,
       // Game-specific fields
       rollHistory,
       scorecard,
       roundHistory,
+      reshuffleSeeds,
       moveHistory,
+      balance,
+      dealNumber,
+      suits,
       highestTile,
       winType,
       difficulty,
       cubeValue,
       loserPipCount,
       rounds,
+      turnHistory,
       // Chess-specific fields
       playerColor,
       result,
       aiSettings,
       colorAssignment,
-      aiCommitment,
-      moves: moveHistory // Chess uses moveHistory as moves array
+      aiCommitment
     };
 
+    // Chess uses moveHistory as moves array
+    if (game === 'chess') {
+      submission.moves = moveHistory;
+    }
+
+    // SESSION BINDING: Scores for commit-reveal games must come from a
+    // finished session anchored to the block the submission claims, dealt
+    // from the values its ledger served
+    const session = requiresSession(game) ? await getGameSession(sessionId) : null;
+
+    if (requiresSession(game)) {
+      const ledger = session ? await getRandomLedger(sessionId) : null;
+      const binding = validateSessionBinding(session, submission, ledger);
+      if (!binding.valid) {
+        return res.status(400).json({
+          error: 'Session verification failed',
+          reason: binding.reason
+        });
+      }
+    }
+
     // Fetch player history for fraud detection
     const playerHistory = ENABLE_FRAUD_DETECTION
       ? await getPlayerHistory(playerName)
@@ -169,7 +275,8 @@ async function handler(req, res) {
     const validationOptions = {
       skipBlockchain: !blockHash || !blockHeight, // Skip if no blockchain data
       skipFraud: !ENABLE_FRAUD_DETECTION,
-      playerHistory
+      playerHistory,
+      session
     };
 
     const validation = await validateGameSubmission(submission, validationOptions);
@@ -227,6 +334,14 @@ async function handler(req, res) {
     if (seed) {
       insertData.seed = seed;
     }
+    if (session) {
+      insertData.rng_version = sessionRngVersion(session);
+    } else if (rngVersion !== undefined) {
+      insertData.rng_version = rngVersion;
+    }
+    if (session) {
+      insertData.session_id = session.session_id;
+    }
 
     // Add game-specific history fields
     if (game === 'yahtzee' && rollHistory && Array.isArray(rollHistory)) {
@@ -237,6 +352,28 @@ async function handler(req, res) {
       insertData.round_history = roundHistory;
     }
 
+    if (game === 'blackjack') {
+      insertData.ruleset = getRulesetId(normalizeTableRules(session?.table_rules));
+      insertData.counting_aids = countingAids === true;
+    }
+
+    if ((game === 'solitaire' || game === 'freecell' || game === 'spider') && Array.isArray(moveHistory)) {
+      insertData.move_history = moveHistory;
+    }
+
+    // The session's options, as the validator replayed them
+    if (game === 'solitaire') {
+      const solitaireOptions = normalizeGameOptions(session?.game_options);
+      insertData.ruleset = getVariantId(solitaireOptions);
+      if (isVegasScoring(solitaireOptions)) {
+        insertData.balance = balance;
+      }
+    }
+
+    if (game === 'spider') {
+      insertData.ruleset = getSpiderVariantId(suits);
+    }
+
     if (game === '2048') {
       if (moveHistory) {
         insertData.move_history = moveHistory;
@@ -250,6 +387,10 @@ async function handler(req, res) {
       insertData.difficulty = difficulty;
     }
 
+    if (game === 'garbage' && Array.isArray(turnHistory)) {
+      insertData.turn_history = turnHistory;
+    }
+
     if (game === 'backgammon') {
       if (winType) {
         insertData.win_type = winType;
@@ -291,7 +432,7 @@ async function handler(req, res) {
     if (error) {
       if (error.code === '23505') {
         return res.status(409).json({
-          error: 'Score already submitted for this game',
+          error: 'Score already submitted for this game or session',
           duplicate: true
         });
       }
@@ -307,12 +448,20 @@ async function handler(req, res) {
       .select('*', { count: 'exact', head: true })
       .eq('game', game);
 
+    // Blackjack tables, Solitaire variants and Spider suit counts are ranked separately
+    if (insertData.ruleset) {
+      rankQuery = rankQuery.eq('ruleset', insertData.ruleset);
+    }
+
     // Game-specific ranking logic
-    if (['blackjack', 'yahtzee', '2048', 'backgammon', 'garbage', 'chess'].includes(game)) {
+    if (insertData.balance !== undefined) {
+      // Solitaire Vegas variants: higher balance = better rank
+      rankQuery = rankQuery.gt('balance', insertData.balance);
+    } else if (['blackjack', 'yahtzee', '2048', 'backgammon', 'garbage', 'chess', 'spider'].includes(game)) {
       // Higher score = better rank
       rankQuery = rankQuery.gt('score', score);
     } else {
-      // Solitaire: higher cards + lower time = better (simplified)
+      // Solitaire, FreeCell: higher cards + lower time = better (simplified)
       rankQuery = rankQuery.gt('score', score);
     }
 
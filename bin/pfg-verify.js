@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+/**
+ * pfg-verify - Offline verifier for finished provably fair games
+ *
+ * Usage:
+ *   pfg-verify <game> <file.json|gameId> [--blocks blocks.json] [--json] [--api URL]
+ *
+ * <file.json> is the reveal payload from /api/game/end (or the client's
+ * session export with purposes and gameData) or a leaderboard row from
+ * /api/game/[gameId]. A bare gameId is fetched from --api (the only network
+ * access, and only when asked). Block data always comes from --blocks.
+ *
+ * Exit codes: 0 = pass, 1 = fail, 2 = usage or input error
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { parseArgs } from 'util';
+import { verifyRecord, formatReport } from '../lib/verifier/index.js';
+import { loadBlockCache } from '../lib/verifier/blockCache.js';
+
+const GAMES = ['solitaire', 'freecell', 'spider', 'garbage', 'blackjack', 'yahtzee', 'backgammon', '2048', 'chess'];
+
+const USAGE = `Usage: pfg-verify <game> <file.json|gameId> [options]
+
+Games: ${GAMES.join(', ')}
+
+Options:
+  --blocks <file>  Local JSON block cache (Ergo explorer block responses)
+  --json           Print a machine-readable JSON report
+  --api <url>      Site base URL, used only to fetch a bare gameId
+                   (default: $PFG_API_URL)
+  -h, --help       Show this help`;
+
+/**
+ * Load the game record from a file or, for a bare gameId, from the API
+ * @param {string} target - File path or gameId
+ * @param {string} [apiBase] - Site base URL
+ * @returns {Promise<Object>} Raw record
+ */
+async function loadRecord(target, apiBase) {
+  if (existsSync(target)) {
+    return JSON.parse(readFileSync(target, 'utf8'));
+  }
+
+  if (!apiBase) {
+    throw new Error(`No file named ${target}; pass --api <url> to fetch it by gameId`);
+  }
+
+  const response = await fetch(`${apiBase.replace(/\/$/, '')}/api/game/${encodeURIComponent(target)}`);
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(data.error || `Failed to fetch game ${target}`);
+  }
+
+  return data;
+}
+
+async function main() {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      allowPositionals: true,
+      options: {
+        blocks: { type: 'string' },
+        json: { type: 'boolean', default: false },
+        api: { type: 'string' },
+        help: { type: 'boolean', short: 'h', default: false }
+      }
+    });
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  const { values, positionals } = parsed;
+  const [game, target] = positionals;
+
+  if (values.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  if (!game || !target || !GAMES.includes(game)) {
+    console.error(USAGE);
+    return 2;
+  }
+
+  let record;
+  let blockCache = null;
+  try {
+    record = await loadRecord(target, values.api || process.env.PFG_API_URL);
+    if (values.blocks) {
+      blockCache = loadBlockCache(values.blocks);
+    }
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    return 2;
+  }
+
+  const report = await verifyRecord(game, record, { blockCache });
+
+  console.log(values.json ? JSON.stringify(report, null, 2) : formatReport(report));
+  return report.passed ? 0 : 1;
+}
+
+main().then(code => {
+  process.exitCode = code;
+});
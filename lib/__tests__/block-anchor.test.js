@@ -0,0 +1,278 @@
+/**
+ * Tests for Future-Block Anchoring
+ */
+
+import {
+  DEFAULT_ANCHOR_DEPTH,
+  DEFAULT_ANCHOR_CONFIRMATIONS,
+  ANCHOR_STATUS_UNCHECKED,
+  ANCHOR_STATUS_CONFIRMED,
+  ANCHOR_STATUS_ORPHANED,
+  getAnchorDepth,
+  getAnchorConfirmations,
+  getBeaconName,
+  fetchAnchorBlock,
+  fetchConfirmedAnchorBlock,
+  checkAnchor,
+  sessionBlockData
+} from '../block-anchor.js';
+import { localMockRound } from '../../src/core/beacons/index.js';
+import { ergoClient } from '../../src/core/ergoClient.js';
+
+// ============================================
+// TEST HELPERS
+// ============================================
+
+const BLOCK_ID = 'c3'.repeat(32);
+const HEIGHT = 1500000;
+
+function jsonResponse(body, status = 200) {
+  return { ok: status >= 200 && status < 300, status, json: async () => body };
+}
+
+function createBlock(overrides = {}) {
+  return {
+    block: {
+      header: { id: BLOCK_ID, height: HEIGHT, timestamp: 1700000000005 },
+      blockTransactions: [{ id: 'tx-0' }, { id: 'tx-1' }, { id: 'tx-2' }],
+      ...overrides
+    }
+  };
+}
+
+/**
+ * Route explorer paths to canned responses
+ */
+function mockExplorer(routes) {
+  global.fetch = jest.fn(async (url) => {
+    const path = Object.keys(routes).find(key => url.endsWith(key));
+    return path ? routes[path] : jsonResponse({}, 404);
+  });
+}
+
+const originalFetch = global.fetch;
+const originalDepth = process.env.BLOCK_ANCHOR_DEPTH;
+const originalBeacon = process.env.RANDOMNESS_BEACON;
+const originalConfirmations = process.env.ANCHOR_CONFIRMATIONS;
+
+afterEach(() => {
+  global.fetch = originalFetch;
+  // Blocks are cached by ID; each test serves its own version of BLOCK_ID
+  ergoClient.cache.clear();
+  if (originalBeacon === undefined) {
+    delete process.env.RANDOMNESS_BEACON;
+  } else {
+    process.env.RANDOMNESS_BEACON = originalBeacon;
+  }
+  if (originalDepth === undefined) {
+    delete process.env.BLOCK_ANCHOR_DEPTH;
+  } else {
+    process.env.BLOCK_ANCHOR_DEPTH = originalDepth;
+  }
+  if (originalConfirmations === undefined) {
+    delete process.env.ANCHOR_CONFIRMATIONS;
+  } else {
+    process.env.ANCHOR_CONFIRMATIONS = originalConfirmations;
+  }
+});
+
+// ============================================
+// ANCHOR DEPTH
+// ============================================
+
+describe('getAnchorDepth', () => {
+  test('defaults when unset or invalid', () => {
+    delete process.env.BLOCK_ANCHOR_DEPTH;
+    expect(getAnchorDepth()).toBe(DEFAULT_ANCHOR_DEPTH);
+
+    process.env.BLOCK_ANCHOR_DEPTH = '0';
+    expect(getAnchorDepth()).toBe(DEFAULT_ANCHOR_DEPTH);
+  });
+
+  test('reads BLOCK_ANCHOR_DEPTH', () => {
+    process.env.BLOCK_ANCHOR_DEPTH = '3';
+    expect(getAnchorDepth()).toBe(3);
+  });
+});
+
+// ============================================
+// BEACON
+// ============================================
+
+describe('getBeaconName', () => {
+  test('defaults to the Ergo explorer', () => {
+    delete process.env.RANDOMNESS_BEACON;
+    expect(getBeaconName()).toBe('ergo-explorer');
+  });
+
+  test('reads RANDOMNESS_BEACON', () => {
+    process.env.RANDOMNESS_BEACON = 'drand';
+    expect(getBeaconName()).toBe('drand');
+  });
+
+  test('rejects unknown beacons', () => {
+    process.env.RANDOMNESS_BEACON = 'coin-flip';
+    expect(() => getBeaconName()).toThrow('Unknown RANDOMNESS_BEACON');
+  });
+});
+
+// ============================================
+// ANCHOR BLOCK
+// ============================================
+
+describe('fetchAnchorBlock', () => {
+  test('returns null while the target block is not mined', async () => {
+    mockExplorer({ [`/blocks/at/${HEIGHT}`]: jsonResponse([]) });
+    await expect(fetchAnchorBlock(HEIGHT)).resolves.toBeNull();
+  });
+
+  test('selects the transaction at timestamp % txCount', async () => {
+    mockExplorer({
+      [`/blocks/at/${HEIGHT}`]: jsonResponse([BLOCK_ID]),
+      [`/blocks/${BLOCK_ID}`]: jsonResponse(createBlock())
+    });
+
+    await expect(fetchAnchorBlock(HEIGHT)).resolves.toEqual({
+      blockHeight: HEIGHT,
+      blockHash: BLOCK_ID,
+      timestamp: 1700000000005,
+      txCount: 3,
+      txHash: 'tx-1',
+      txIndex: 1
+    });
+  });
+
+  test('throws when the explorer returns a block at another height', async () => {
+    mockExplorer({
+      [`/blocks/at/${HEIGHT}`]: jsonResponse([BLOCK_ID]),
+      [`/blocks/${BLOCK_ID}`]: jsonResponse(createBlock({ header: { id: BLOCK_ID, height: HEIGHT + 1, timestamp: 1 } }))
+    });
+
+    await expect(fetchAnchorBlock(HEIGHT)).rejects.toThrow('inconsistent data');
+  });
+
+  test('fetches from the beacon the session committed to', async () => {
+    mockExplorer({ [`/blocks/at/${HEIGHT}`]: jsonResponse([]) });
+    await fetchAnchorBlock(HEIGHT, 'ergo-node');
+    expect(global.fetch.mock.calls[0][0]).toBe(`http://213.239.193.208:9053/blocks/at/${HEIGHT}`);
+  });
+
+  test('throws when the explorer is unavailable', async () => {
+    mockExplorer({ [`/blocks/at/${HEIGHT}`]: jsonResponse({}, 503) });
+    await expect(fetchAnchorBlock(HEIGHT)).rejects.toThrow('Cannot reach Ergo API');
+  });
+});
+
+describe('getAnchorConfirmations', () => {
+  test('defaults when unset or invalid', () => {
+    delete process.env.ANCHOR_CONFIRMATIONS;
+    expect(getAnchorConfirmations()).toBe(DEFAULT_ANCHOR_CONFIRMATIONS);
+
+    process.env.ANCHOR_CONFIRMATIONS = '-1';
+    expect(getAnchorConfirmations()).toBe(DEFAULT_ANCHOR_CONFIRMATIONS);
+  });
+
+  test('reads ANCHOR_CONFIRMATIONS', () => {
+    process.env.ANCHOR_CONFIRMATIONS = '2';
+    expect(getAnchorConfirmations()).toBe(2);
+  });
+});
+
+describe('fetchConfirmedAnchorBlock', () => {
+  test('waits until the target has enough blocks on top', async () => {
+    mockExplorer({
+      '/blocks?limit=1': jsonResponse({ items: [{ height: HEIGHT + 1 }] }),
+      [`/blocks/at/${HEIGHT}`]: jsonResponse([BLOCK_ID]),
+      [`/blocks/${BLOCK_ID}`]: jsonResponse(createBlock())
+    });
+
+    await expect(fetchConfirmedAnchorBlock(HEIGHT, 'ergo-explorer', 2)).resolves.toBeNull();
+    await expect(fetchConfirmedAnchorBlock(HEIGHT, 'ergo-explorer', 1)).resolves.toMatchObject({ blockHash: BLOCK_ID });
+  });
+
+  test('waits for confirmations by default', async () => {
+    mockExplorer({
+      '/blocks?limit=1': jsonResponse({ items: [{ height: HEIGHT }] }),
+      [`/blocks/at/${HEIGHT}`]: jsonResponse([BLOCK_ID]),
+      [`/blocks/${BLOCK_ID}`]: jsonResponse(createBlock())
+    });
+
+    expect(DEFAULT_ANCHOR_CONFIRMATIONS).toBeGreaterThan(0);
+    await expect(fetchConfirmedAnchorBlock(HEIGHT, 'ergo-explorer')).resolves.toBeNull();
+  });
+
+  test('does not wait for beacons without reorgs', async () => {
+    global.fetch = jest.fn();
+    await expect(fetchConfirmedAnchorBlock(7, 'local-mock', 5)).resolves.toEqual(localMockRound(7));
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+});
+
+// ============================================
+// REORG CHECK
+// ============================================
+
+describe('checkAnchor', () => {
+  const session = { beacon: 'ergo-explorer', block_height: HEIGHT, block_hash: BLOCK_ID };
+
+  test('flags an anchor whose block was replaced', async () => {
+    const otherId = 'd4'.repeat(32);
+    mockExplorer({
+      [`/blocks/at/${HEIGHT}`]: jsonResponse([otherId]),
+      [`/blocks/${otherId}`]: jsonResponse(createBlock({ header: { id: otherId, height: HEIGHT, timestamp: 1 } }))
+    });
+
+    await expect(checkAnchor(session, HEIGHT + 5, 30)).resolves.toEqual({
+      status: ANCHOR_STATUS_ORPHANED,
+      replacedBy: otherId
+    });
+  });
+
+  test('confirms an anchor once it is final', async () => {
+    mockExplorer({
+      [`/blocks/at/${HEIGHT}`]: jsonResponse([BLOCK_ID]),
+      [`/blocks/${BLOCK_ID}`]: jsonResponse(createBlock())
+    });
+
+    await expect(checkAnchor(session, HEIGHT + 5, 30)).resolves.toEqual({ status: ANCHOR_STATUS_UNCHECKED, replacedBy: null });
+    await expect(checkAnchor(session, HEIGHT + 30, 30)).resolves.toEqual({ status: ANCHOR_STATUS_CONFIRMED, replacedBy: null });
+  });
+
+  test('checks again later when the block is missing', async () => {
+    mockExplorer({ [`/blocks/at/${HEIGHT}`]: jsonResponse([]) });
+    await expect(checkAnchor(session, HEIGHT, 30)).resolves.toEqual({ status: ANCHOR_STATUS_UNCHECKED, replacedBy: null });
+  });
+
+  test('confirms rounds of beacons without reorgs right away', async () => {
+    const round = localMockRound(7);
+    const mockSession = { beacon: 'local-mock', block_height: 7, block_hash: round.blockHash };
+
+    await expect(checkAnchor(mockSession, 7, 30)).resolves.toEqual({ status: ANCHOR_STATUS_CONFIRMED, replacedBy: null });
+  });
+});
+
+describe('sessionBlockData', () => {
+  test('returns null for an unanchored session', () => {
+    expect(sessionBlockData({ block_hash: null, target_block_height: HEIGHT })).toBeNull();
+  });
+
+  test('maps the stored anchor columns', () => {
+    const session = {
+      block_hash: BLOCK_ID,
+      block_height: HEIGHT,
+      timestamp: 1700000000005,
+      tx_count: 3,
+      tx_hash: 'tx-2',
+      tx_index: 2
+    };
+
+    expect(sessionBlockData(session)).toEqual({
+      blockHeight: HEIGHT,
+      blockHash: BLOCK_ID,
+      timestamp: 1700000000005,
+      txCount: 3,
+      txHash: 'tx-2',
+      txIndex: 2
+    });
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * Tests for Seed Batches
+ */
+
+import {
+  DEFAULT_SEED_BATCH_SIZE,
+  getSeedBatchSize,
+  generateSeedBatch
+} from '../seed-batches.js';
+import { hashSecret } from '../../src/core/seed.js';
+import { verifyMerkleProof } from '../../src/core/merkle.js';
+
+// ============================================
+// BATCH SIZE
+// ============================================
+
+describe('getSeedBatchSize', () => {
+  const original = process.env.SEED_BATCH_SIZE;
+
+  afterEach(() => {
+    if (original === undefined) {
+      delete process.env.SEED_BATCH_SIZE;
+    } else {
+      process.env.SEED_BATCH_SIZE = original;
+    }
+  });
+
+  test('defaults when unset or invalid', () => {
+    delete process.env.SEED_BATCH_SIZE;
+    expect(getSeedBatchSize()).toBe(DEFAULT_SEED_BATCH_SIZE);
+
+    process.env.SEED_BATCH_SIZE = '0';
+    expect(getSeedBatchSize()).toBe(DEFAULT_SEED_BATCH_SIZE);
+  });
+
+  test('reads SEED_BATCH_SIZE', () => {
+    process.env.SEED_BATCH_SIZE = '250';
+    expect(getSeedBatchSize()).toBe(250);
+  });
+});
+
+// ============================================
+// GENERATION
+// ============================================
+
+describe('generateSeedBatch', () => {
+  test('creates distinct 64-char hex secrets', () => {
+    const { secrets } = generateSeedBatch(16);
+
+    expect(secrets).toHaveLength(16);
+    expect(new Set(secrets).size).toBe(16);
+    secrets.forEach(secret => expect(secret).toMatch(/^[0-9a-f]{64}$/));
+  });
+
+  test('every stored proof ties its secret to the batch root', () => {
+    const { secrets, proofs, merkleRoot } = generateSeedBatch(11);
+
+    secrets.forEach((secret, index) => {
+      expect(verifyMerkleProof(hashSecret(secret), proofs[index], merkleRoot)).toBe(true);
+    });
+  });
+
+  test('a proof does not verify another secret', () => {
+    const { secrets, proofs, merkleRoot } = generateSeedBatch(4);
+    expect(verifyMerkleProof(hashSecret(secrets[1]), proofs[0], merkleRoot)).toBe(false);
+  });
+});
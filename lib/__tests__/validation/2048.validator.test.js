@@ -0,0 +1,144 @@
+/**
+ * Tests for 2048 Replay Validator
+ */
+
+import {
+  validate2048Game,
+  replay2048Game
+} from '../../validation/games/2048/scoreValidator.js';
+
+import { createEmptyGrid, slideGrid, canMove } from '../../../src/core/games/2048/gridLogic.js';
+import { spawnTile } from '../../../src/core/games/2048/spawnLogic.js';
+
+// ============================================
+// TEST HELPERS
+// ============================================
+
+const BLOCK_HASH = 'c0ffee'.repeat(10) + 'c0ff';
+const GAME_ID = '2048-1a2b3c4d-1700000000000-9f8e';
+
+const DIRECTION_ORDER = [['L', 'left'], ['D', 'down'], ['R', 'right'], ['U', 'up']];
+
+/**
+ * First direction (in L, D, R, U order) that moves a tile
+ */
+function firstMovingSlide(grid) {
+  return DIRECTION_ORDER
+    .map(([letter, direction]) => [letter, slideGrid(grid, direction)])
+    .find(([, result]) => result.moved);
+}
+
+/**
+ * Play a game the way the reducer does, always taking the first direction
+ * that moves a tile
+ */
+function playGame(maxMoves = 200) {
+  let grid = createEmptyGrid();
+  let spawnIndex = 0;
+  let score = 0;
+  let moves = '';
+
+  grid = spawnTile(grid, BLOCK_HASH, GAME_ID, spawnIndex++).grid;
+  grid = spawnTile(grid, BLOCK_HASH, GAME_ID, spawnIndex++).grid;
+
+  while (moves.length < maxMoves && canMove(grid)) {
+    const [letter, slide] = firstMovingSlide(grid);
+
+    moves += letter;
+    score += slide.score;
+    grid = spawnTile(slide.grid, BLOCK_HASH, GAME_ID, spawnIndex++).grid;
+  }
+
+  const highestTile = Math.max(...grid.flat().map(cell => cell.value));
+  return { moves, score, highestTile };
+}
+
+const PLAYED = playGame();
+
+function createSubmission(overrides = {}) {
+  return {
+    score: PLAYED.score,
+    highestTile: PLAYED.highestTile,
+    moveHistory: PLAYED.moves,
+    blockHash: BLOCK_HASH,
+    gameId: GAME_ID,
+    ...overrides
+  };
+}
+
+// ============================================
+// REPLAY
+// ============================================
+
+describe('replay2048Game', () => {
+  test('recomputes score and highest tile exactly', () => {
+    expect(replay2048Game(BLOCK_HASH, GAME_ID, PLAYED.moves)).toEqual({
+      valid: true,
+      score: PLAYED.score,
+      highestTile: PLAYED.highestTile
+    });
+  });
+
+  test('rejects a no-op move', () => {
+    // Keep sliding left until the spawns stop opening gaps on that side
+    const opening = replay2048Game(BLOCK_HASH, GAME_ID, '');
+    expect(opening.valid).toBe(true);
+
+    let history = '';
+    let result = { valid: true };
+    while (result.valid && history.length < 50) {
+      history += 'L';
+      result = replay2048Game(BLOCK_HASH, GAME_ID, history);
+    }
+    expect(result.valid).toBe(false);
+    expect(result.reason).toContain('does not move any tile');
+  });
+
+  test('rejects invalid direction characters', () => {
+    const result = replay2048Game(BLOCK_HASH, GAME_ID, 'LX');
+    expect(result.valid).toBe(false);
+    expect(result.reason).toContain("invalid direction 'X'");
+  });
+
+  test('spawns depend on the game ID', () => {
+    const other = replay2048Game(BLOCK_HASH, '2048-00000000-1700000000000-0000', PLAYED.moves);
+    expect(other.valid && other.score === PLAYED.score && other.highestTile === PLAYED.highestTile).toBe(false);
+  });
+});
+
+// ============================================
+// SUBMISSION VALIDATION
+// ============================================
+
+describe('validate2048Game', () => {
+  test('accepts an honest submission', () => {
+    expect(validate2048Game(createSubmission()).valid).toBe(true);
+  });
+
+  test('rejects an inflated score', () => {
+    const result = validate2048Game(createSubmission({ score: PLAYED.score + 4 }));
+    expect(result.valid).toBe(false);
+    expect(result.reason).toContain('Score mismatch');
+    expect(result.calculatedScore).toBe(PLAYED.score);
+  });
+
+  test('rejects a claimed highest tile the replay never reached', () => {
+    const result = validate2048Game(createSubmission({
+      highestTile: PLAYED.highestTile * 2,
+      score: PLAYED.score
+    }));
+    expect(result.valid).toBe(false);
+  });
+
+  test('rejects submissions without a block hash', () => {
+    const result = validate2048Game(createSubmission({ blockHash: undefined }));
+    expect(result.valid).toBe(false);
+    expect(result.reason).toBe('Missing block hash');
+  });
+
+  test('rejects submissions without move history', () => {
+    const result = validate2048Game(createSubmission({ moveHistory: undefined }));
+    expect(result.valid).toBe(false);
+    expect(result.reason).toBe('Missing move history');
+  });
+});
@@ -0,0 +1,281 @@
+/**
+ * Tests for Backgammon Dice Replay Validator
+ */
+
+import {
+  validateBackgammonGame,
+  replayBackgammonGame
+} from '../../validation/games/backgammon/historyValidator.js';
+import { validateTurn } from '../../validation/games/backgammon/moveValidation.js';
+
+import { deriveRandomValue, hashSecret } from '../../../src/core/seed.js';
+import { rollDiceFromHash } from '../../../src/core/dice.js';
+import {
+  createInitialGameState,
+  checkGameOver,
+  detectWinType,
+  getPipCount,
+  calculateGameScore
+} from '../../../src/core/games/backgammon/gameLogic.js';
+import { getAllLegalMoves, applyMove } from '../../../src/core/games/backgammon/moveValidation.js';
+
+// ============================================
+// TEST HELPERS
+// ============================================
+
+const BLOCK_DATA = {
+  blockHash: '5e'.repeat(32),
+  blockHeight: 1500000,
+  txHash: 'tx-backgammon',
+  txIndex: 3,
+  timestamp: 1700000000003
+};
+
+function createSession(serverSecret, overrides = {}) {
+  return {
+    session_id: 'session-bg-1',
+    game_type: 'backgammon',
+    server_secret: serverSecret,
+    secret_hash: hashSecret(serverSecret),
+    block_hash: BLOCK_DATA.blockHash,
+    block_height: BLOCK_DATA.blockHeight,
+    tx_hash: BLOCK_DATA.txHash,
+    tx_index: BLOCK_DATA.txIndex,
+    timestamp: BLOCK_DATA.timestamp,
+    ended_at: '2026-01-01T00:00:00.000Z',
+    ...overrides
+  };
+}
+
+/**
+ * Play both sides with the first legal move, rolling `roll-N` the way
+ * rollDiceSecure does and recording rolls and moves like the reducer
+ */
+function playGame(serverSecret) {
+  let state = createInitialGameState();
+  const rollHistory = [];
+  const moveHistory = [];
+
+  for (let turn = 1; turn <= 1000; turn++) {
+    const player = state.currentPlayer;
+    const dice = rollDiceFromHash(deriveRandomValue(serverSecret, BLOCK_DATA, `roll-${turn}`), 2);
+    rollHistory.push({ player, dice });
+
+    state = {
+      ...state,
+      dice: dice[0] === dice[1] ? [dice[0], dice[0], dice[0], dice[0]] : dice,
+      diceUsed: dice[0] === dice[1] ? [false, false, false, false] : [false, false]
+    };
+
+    let legal = getAllLegalMoves(state);
+    while (legal.length > 0 && !checkGameOver(state).isOver) {
+      const move = legal[0];
+      moveHistory.push({ player, from: move.from, to: move.to, dieUsed: move.dieValue });
+      state = applyMove(state, move);
+      legal = getAllLegalMoves(state);
+    }
+
+    const gameOver = checkGameOver(state);
+    if (gameOver.isOver) {
+      return { serverSecret, rollHistory, moveHistory, winner: gameOver.winner, state };
+    }
+
+    state = { ...state, currentPlayer: player === 'white' ? 'black' : 'white', dice: null, diceUsed: [false, false] };
+  }
+
+  throw new Error('Game did not finish');
+}
+
+/**
+ * First secret (in a fixed sequence) where white wins
+ */
+function findWhiteWin() {
+  for (let i = 0; i < 64; i++) {
+    const game = playGame('b9'.repeat(31) + i.toString(16).padStart(2, '0'));
+    if (game.winner === 'white') {
+      return game;
+    }
+  }
+  throw new Error('No white win found');
+}
+
+const PLAYED = findWhiteWin();
+const WIN_TYPE = detectWinType(PLAYED.state, 'black');
+const LOSER_PIPS = getPipCount(PLAYED.state, 'black');
+const SESSION = createSession(PLAYED.serverSecret);
+
+function createSubmission(overrides = {}) {
+  const winTypeScore = calculateGameScore(WIN_TYPE, 1, 'normal');
+  return {
+    score: Math.round(winTypeScore * Math.min(2, 1 + LOSER_PIPS / 200)),
+    winType: WIN_TYPE,
+    cubeValue: 1,
+    difficulty: 'normal',
+    loserPipCount: LOSER_PIPS,
+    sessionId: SESSION.session_id,
+    rollHistory: PLAYED.rollHistory,
+    moveHistory: PLAYED.moveHistory,
+    ...overrides
+  };
+}
+
+function replay(rollHistory = PLAYED.rollHistory, moveHistory = PLAYED.moveHistory) {
+  return replayBackgammonGame(PLAYED.serverSecret, BLOCK_DATA, rollHistory, moveHistory);
+}
+
+// ============================================
+// TURN VALIDATION
+// ============================================
+
+describe('validateTurn', () => {
+  test('requires every die that can be played', () => {
+    const result = validateTurn(createInitialGameState(), [6, 5], [{ from: 23, to: 17 }]);
+    expect(result.valid).toBe(false);
+    expect(result.error).toBe('white stopped with a legal move remaining');
+  });
+
+  test('rejects a move the dice do not allow', () => {
+    const result = validateTurn(createInitialGameState(), [6, 5], [{ from: 23, to: 20 }]);
+    expect(result.valid).toBe(false);
+    expect(result.error).toContain('Move 1 is not legal');
+  });
+
+  test('applies a complete turn', () => {
+    const result = validateTurn(createInitialGameState(), [6, 5], [{ from: 23, to: 17 }, { from: 17, to: 12 }]);
+    expect(result.valid).toBe(true);
+    expect(result.state.points[12].checkers).toBe(6);
+  });
+});
+
+// ============================================
+// REPLAY
+// ============================================
+
+describe('replayBackgammonGame', () => {
+  test('replays a real game to the same final board', () => {
+    const result = replay();
+    expect(result.valid).toBe(true);
+    expect(result.winner).toBe('white');
+    expect(result.turns).toBe(PLAYED.rollHistory.length);
+    expect(getPipCount(result.state, 'black')).toBe(LOSER_PIPS);
+  });
+
+  test('rejects dice that were not rolled from the revealed secret', () => {
+    const rollHistory = PLAYED.rollHistory.map((roll, i) =>
+      (i === 4 ? { ...roll, dice: [roll.dice[0] % 6 + 1, roll.dice[1]] } : roll));
+
+    const result = replay(rollHistory);
+    expect(result.valid).toBe(false);
+    expect(result.reason).toMatch(/^Roll 5: dice .* do not match revealed roll/);
+  });
+
+  test('rejects the history when the session has a client seed it was not rolled with', () => {
+    const result = replayBackgammonGame(PLAYED.serverSecret, BLOCK_DATA, PLAYED.rollHistory, PLAYED.moveHistory, 'player-seed');
+    expect(result.valid).toBe(false);
+    expect(result.reason).toMatch(/^Roll \d+: dice/);
+  });
+
+  test('rejects the history against a different secret', () => {
+    const result = replayBackgammonGame('00'.repeat(32), BLOCK_DATA, PLAYED.rollHistory, PLAYED.moveHistory);
+    expect(result.valid).toBe(false);
+    expect(result.reason).toMatch(/^Roll \d+: dice/);
+  });
+
+  test('rejects an illegal move', () => {
+    const index = PLAYED.moveHistory.findIndex(move => move.player === 'white' && typeof move.from === 'number');
+    const moveHistory = PLAYED.moveHistory.map((move, i) => (i === index ? { ...move, to: move.from } : move));
+
+    const result = replay(PLAYED.rollHistory, moveHistory);
+    expect(result.valid).toBe(false);
+    expect(result.reason).toMatch(/^Roll \d+: Move \d+ is not legal/);
+  });
+
+  test('rejects a turn that stops early', () => {
+    // Drop the last move of black's first turn
+    const first = PLAYED.moveHistory.findIndex(move => move.player === 'black');
+    const last = PLAYED.moveHistory.findIndex((move, i) => i > first && move.player === 'white') - 1;
+    const moveHistory = [...PLAYED.moveHistory.slice(0, last), ...PLAYED.moveHistory.slice(last + 1)];
+
+    const result = replay(PLAYED.rollHistory, moveHistory);
+    expect(result.valid).toBe(false);
+    expect(result.reason).toBe('Roll 2: black stopped with a legal move remaining');
+  });
+
+  test('rejects rolls after the game was won', () => {
+    const result = replay([...PLAYED.rollHistory, { player: 'black', dice: [1, 1] }]);
+    expect(result.valid).toBe(false);
+    expect(result.reason).toContain('already won by white');
+  });
+
+  test('rejects moves left over after the last roll', () => {
+    const result = replay(PLAYED.rollHistory.slice(0, 10));
+    expect(result.valid).toBe(false);
+    expect(result.reason).toContain("was not made on its player's roll");
+  });
+});
+
+// ============================================
+// SUBMISSION VALIDATION
+// ============================================
+
+describe('validateBackgammonGame', () => {
+  test('accepts an honest submission', () => {
+    const result = validateBackgammonGame(createSubmission(), { session: SESSION });
+    expect(result.valid).toBe(true);
+    expect(result.details.endedBy).toBe('bearOff');
+  });
+
+  test('rejects a claimed win type the board does not show', () => {
+    const winType = WIN_TYPE === 'backgammon' ? 'normal' : 'backgammon';
+    const winTypeScore = calculateGameScore(winType, 1, 'normal');
+    const result = validateBackgammonGame(createSubmission({
+      winType,
+      score: Math.round(winTypeScore * Math.min(2, 1 + LOSER_PIPS / 200))
+    }), { session: SESSION });
+    expect(result.valid).toBe(false);
+    expect(result.reason).toContain('Win type mismatch');
+  });
+
+  test('rejects an inflated pip count', () => {
+    const result = validateBackgammonGame(createSubmission({ loserPipCount: LOSER_PIPS + 40 }), { session: SESSION });
+    expect(result.valid).toBe(false);
+    expect(result.reason).toContain('Pip count mismatch');
+  });
+
+  test('rejects a session that has not been revealed', () => {
+    const result = validateBackgammonGame(createSubmission(), { session: createSession(PLAYED.serverSecret, { ended_at: null }) });
+    expect(result.valid).toBe(false);
+    expect(result.reason).toContain('has not ended');
+  });
+
+  test('rejects a secret that does not match its commitment', () => {
+    const session = { ...SESSION, secret_hash: hashSecret('other') };
+    const result = validateBackgammonGame(createSubmission(), { session });
+    expect(result.valid).toBe(false);
+    expect(result.reason).toContain('does not match its commitment');
+  });
+
+  test('rejects a session from another game', () => {
+    const result = validateBackgammonGame(createSubmission(), { session: createSession(PLAYED.serverSecret, { game_type: 'yahtzee' }) });
+    expect(result.valid).toBe(false);
+    expect(result.reason).toContain('not backgammon');
+  });
+
+  test('rejects submissions without a session ID', () => {
+    const result = validateBackgammonGame(createSubmission({ sessionId: undefined }), { session: SESSION });
+    expect(result.valid).toBe(false);
+    expect(result.reason).toBe('Missing session ID');
+  });
+
+  test('rejects submissions whose session was not found', () => {
+    const result = validateBackgammonGame(createSubmission());
+    expect(result.valid).toBe(false);
+    expect(result.reason).toBe('Missing game session');
+  });
+
+  test('rejects submissions without a roll history', () => {
+    const result = validateBackgammonGame(createSubmission({ rollHistory: undefined }), { session: SESSION });
+    expect(result.valid).toBe(false);
+    expect(result.reason).toBe('Missing roll history');
+  });
+});
@@ -0,0 +1,385 @@
+/**
+ * Tests for Blackjack Shoe Replay Validator
+ */
+
+import {
+  validateBlackjackGame,
+  replayBlackjackGame
+} from '../../validation/games/blackjack/historyValidator.js';
+
+import { shuffleArray } from '../../../src/core/shuffle.js';
+import { deriveRandomValue, hashSecret } from '../../../src/core/seed.js';
+import {
+  calculateHandValue,
+  canDoubleDown,
+  canHit,
+  canSplit,
+  canSurrender,
+  canTakeInsurance,
+  shouldDealerHit,
+  isBlackjack,
+  isBust,
+  compareHands,
+  calculatePayout,
+  calculateInsurancePayout
+} from '../../../src/core/games/blackjack/gameLogic.js';
+import { DEFAULT_TABLE_RULES, getRulesetId } from '../../../src/core/games/blackjack/tableRules.js';
+import {
+  blackjackReducer,
+  initialState,
+  createShoe,
+  dealCard
+} from '../../../src/games/blackjack/gameState.js';
+
+// ============================================
+// TEST HELPERS
+// ============================================
+
+const BLOCK_DATA = {
+  blockHash: '4b'.repeat(32),
+  blockHeight: 1500000,
+  txHash: 'tx-blackjack',
+  txIndex: 1,
+  timestamp: 1700000000001
+};
+
+function createGameSession(sessionId, serverSecret, overrides = {}) {
+  return {
+    session_id: sessionId,
+    game_type: 'blackjack',
+    server_secret: serverSecret,
+    secret_hash: hashSecret(serverSecret),
+    block_hash: BLOCK_DATA.blockHash,
+    block_height: BLOCK_DATA.blockHeight,
+    tx_hash: BLOCK_DATA.txHash,
+    tx_index: BLOCK_DATA.txIndex,
+    timestamp: BLOCK_DATA.timestamp,
+    table_rules: null,
+    ended_at: '2026-01-01T00:00:00.000Z',
+    ...overrides
+  };
+}
+
+// 'shoe-shuffle', then 'reshuffle-1', 'reshuffle-2', ... as BlackjackGame requests them
+function sessionShoeSeeds(session, count) {
+  return Array.from({ length: count }, (_, i) => deriveRandomValue(
+    session.server_secret, BLOCK_DATA, i === 0 ? 'shoe-shuffle' : `reshuffle-${i}`
+  ));
+}
+
+const GAME_SESSION = createGameSession('session-bj-1', '1f'.repeat(32));
+const SEEDS = sessionShoeSeeds(GAME_SESSION, 3);
+const BET = 10;
+
+// Small shoe, H17, 6:5, late surrender, no DAS, no resplitting Aces
+const HOUSE_RULES = {
+  decks: 2,
+  dealerHitsSoft17: true,
+  lateSurrender: true,
+  doubleAfterSplit: false,
+  maxHands: 3,
+  resplitAces: false,
+  blackjackPayout: '6:5',
+  penetration: 0.6
+};
+const HOUSE_SESSION = createGameSession('session-bj-2', '2e'.repeat(32), { table_rules: HOUSE_RULES });
+const HOUSE_SEEDS = sessionShoeSeeds(HOUSE_SESSION, 16);
+
+/**
+ * Pick the next action the way a simple player would, using the same
+ * helpers the table uses to enable its buttons
+ */
+function chooseAction(state) {
+  const index = state.activeHandIndex;
+  const hand = state.playerHands[index];
+  const bet = state.handBets[index];
+  const rules = state.tableRules;
+  const { value } = calculateHandValue(hand);
+
+  if (state.actions.length === 0 && state.insuranceBet === 0
+      && canTakeInsurance(state.dealerHand, state.phase)) {
+    return 'TAKE_INSURANCE';
+  }
+  if ((value === 15 || value === 16) && canSurrender(hand, state.playerHands.length, state.actions, rules)) {
+    return 'SURRENDER';
+  }
+  if (canSplit(hand, state.chipBalance, bet, state.playerHands.length, state.splitAcesHands, index, rules)) return 'SPLIT';
+  if ((value === 10 || value === 11)
+      && canDoubleDown(hand, state.chipBalance, bet, state.splitAcesHands, index, state.playerHands.length, rules)) {
+    return 'DOUBLE_DOWN';
+  }
+  if (value < 17 && canHit(hand, state.splitAcesHands, index)) return 'HIT';
+  return 'STAND';
+}
+
+/**
+ * Pay out a finished round the way BlackjackGame.resolveRound does
+ */
+function resolveRound(state, dealerHand) {
+  const results = state.playerHands.map((hand, idx) => {
+    const result = compareHands(hand, dealerHand, false, state.surrendered);
+    const payout = calculatePayout(result, state.handBets[idx], state.tableRules);
+    return { handIndex: idx, outcome: result, bet: state.handBets[idx], payout };
+  });
+  const insurancePayout = calculateInsurancePayout(isBlackjack(dealerHand), state.insuranceBet);
+  const totalPayout = results.reduce((sum, res) => sum + res.payout, 0) + insurancePayout;
+
+  return blackjackReducer(state, {
+    type: 'RESOLVE_ROUND',
+    payload: {
+      results,
+      totalPayout,
+      blackjackCount: 0,
+      insuranceBet: state.insuranceBet,
+      insurancePayout,
+      handBets: state.handBets,
+      playerHands: state.playerHands,
+      dealerHand
+    }
+  });
+}
+
+/**
+ * Play rounds through blackjackReducer, with the dealer and payouts handled
+ * the way BlackjackGame does
+ */
+function playSession(rounds, { seeds = SEEDS, tableRules = DEFAULT_TABLE_RULES } = {}) {
+  let reshuffles = 0;
+  let state = blackjackReducer(initialState, {
+    type: 'INIT_SHOE',
+    payload: {
+      shuffledShoe: shuffleArray(createShoe(tableRules.decks), seeds[0], 2),
+      blockchainData: {},
+      gameId: 'BJK-test',
+      tableRules
+    }
+  });
+
+  for (let r = 0; r < rounds; r++) {
+    if (state.shoePosition >= state.cutCardPosition) {
+      reshuffles++;
+      state = blackjackReducer(state, {
+        type: 'RESHUFFLE',
+        payload: { shuffledShoe: shuffleArray(createShoe(tableRules.decks), seeds[reshuffles], 2), blockchainData: {} }
+      });
+    }
+
+    state = blackjackReducer(state, { type: 'NEW_ROUND' });
+    state = blackjackReducer(state, { type: 'PLACE_BET', payload: { amount: BET } });
+    state = blackjackReducer(state, { type: 'DEAL_INITIAL' });
+
+    while (state.phase === 'playerTurn') {
+      state = blackjackReducer(state, { type: chooseAction(state) });
+    }
+
+    let dealerHand = state.dealerHand.map(card => ({ ...card, faceUp: true }));
+    let pos = state.shoePosition;
+    if (!state.surrendered && !state.playerHands.every(hand => isBust(hand))) {
+      while (shouldDealerHit(dealerHand, tableRules)) {
+        const { card, newPosition } = dealCard(state.shoe, pos);
+        dealerHand = [...dealerHand, card];
+        pos = newPosition;
+      }
+    }
+    state = blackjackReducer(state, { type: 'DEALER_PLAY', payload: { dealerHand, shoePosition: pos } });
+
+    state = resolveRound(state, dealerHand);
+  }
+
+  return { state, reshuffleSeeds: seeds.slice(1, reshuffles + 1) };
+}
+
+const SESSION = playSession(60);
+const HISTORY = SESSION.state.roundHistory;
+
+function createSubmission(overrides = {}) {
+  return {
+    score: SESSION.state.chipBalance,
+    roundHistory: HISTORY,
+    seed: SEEDS[0],
+    reshuffleSeeds: SESSION.reshuffleSeeds,
+    sessionId: GAME_SESSION.session_id,
+    rngVersion: 2,
+    ...overrides
+  };
+}
+
+function withRound(index, changes) {
+  return HISTORY.map((round, i) => (i === index ? { ...round, ...changes } : round));
+}
+
+// ============================================
+// REPLAY
+// ============================================
+
+describe('replayBlackjackGame', () => {
+  test('session covers reshuffles, splits, doubles and insurance', () => {
+    const actions = HISTORY.flatMap(round => round.actions);
+    expect(SESSION.reshuffleSeeds.length).toBeGreaterThan(0);
+    expect(actions).toEqual(expect.arrayContaining(['split', 'double', 'insurance', 'hit', 'stand']));
+  });
+
+  test('re-deals every round to the same balance', () => {
+    const result = replayBlackjackGame([SEEDS[0], ...SESSION.reshuffleSeeds], HISTORY, { rngVersion: 2 });
+    expect(result.valid).toBe(true);
+    expect(result.balance).toBe(SESSION.state.chipBalance);
+    expect(result.shoesUsed).toBe(SESSION.reshuffleSeeds.length + 1);
+  });
+
+  test('rejects a player card the shoe did not deal', () => {
+    const hands = HISTORY[3].playerHands.map(hand => [...hand]);
+    const card = hands[0][0];
+    hands[0][0] = { ...card, id: card.id === 'AS-1' ? 'AH-1' : 'AS-1', rank: 'A', suit: 'spades' };
+
+    const result = replayBlackjackGame([SEEDS[0], ...SESSION.reshuffleSeeds], withRound(3, { playerHands: hands }), { rngVersion: 2 });
+    expect(result.valid).toBe(false);
+    expect(result.reason).toBe('Round 4: player hand 1 does not match the shoe');
+  });
+
+  test('rejects a dealer that stopped drawing early', () => {
+    const index = HISTORY.findIndex(round => round.dealerHand.length > 2);
+    const dealerHand = HISTORY[index].dealerHand.slice(0, -1);
+
+    const result = replayBlackjackGame([SEEDS[0], ...SESSION.reshuffleSeeds], withRound(index, { dealerHand }), { rngVersion: 2 });
+    expect(result.valid).toBe(false);
+    expect(result.reason).toContain('dealer hand does not match the shoe');
+  });
+
+  test('rejects an illegal action', () => {
+    const index = HISTORY.findIndex(round => !round.actions.includes('split')
+      && round.playerHands[0][0].rank !== round.playerHands[0][1].rank);
+
+    const result = replayBlackjackGame([SEEDS[0], ...SESSION.reshuffleSeeds],
+      withRound(index, { actions: ['split', ...HISTORY[index].actions] }), { rngVersion: 2 });
+    expect(result.valid).toBe(false);
+    expect(result.reason).toBe(`Round ${index + 1}: cannot split hand 1`);
+  });
+
+  test('rejects insurance when the dealer does not show an Ace', () => {
+    const index = HISTORY.findIndex(round => round.dealerHand[0].rank !== 'A');
+
+    const result = replayBlackjackGame([SEEDS[0], ...SESSION.reshuffleSeeds],
+      withRound(index, { actions: ['insurance', ...HISTORY[index].actions] }), { rngVersion: 2 });
+    expect(result.valid).toBe(false);
+    expect(result.reason).toContain('insurance not offered');
+  });
+
+  test('rejects a round left unfinished', () => {
+    const result = replayBlackjackGame([SEEDS[0], ...SESSION.reshuffleSeeds], withRound(0, { actions: [] }), { rngVersion: 2 });
+    expect(result.valid).toBe(false);
+    expect(result.reason).toBe('Round 1: hand 1 was never finished');
+  });
+
+  test('requires a seed for every reshuffle', () => {
+    const result = replayBlackjackGame([SEEDS[0]], HISTORY, { rngVersion: 2 });
+    expect(result.valid).toBe(false);
+    expect(result.reason).toContain('Missing reshuffle seed 1');
+  });
+});
+
+// ============================================
+// SUBMISSION VALIDATION
+// ============================================
+
+describe('validateBlackjackGame', () => {
+  test('accepts an honest submission', () => {
+    const result = validateBlackjackGame(createSubmission(), { session: GAME_SESSION });
+    expect(result.valid).toBe(true);
+    expect(result.calculatedBalance).toBe(SESSION.state.chipBalance);
+  });
+
+  test('rejects an inflated balance', () => {
+    const result = validateBlackjackGame(createSubmission({ score: SESSION.state.chipBalance + 100 }), { session: GAME_SESSION });
+    expect(result.valid).toBe(false);
+    expect(result.reason).toContain('Balance mismatch');
+  });
+
+  test('rejects a first shoe the session did not shuffle', () => {
+    const result = validateBlackjackGame(createSubmission({ seed: 'ff'.repeat(32) }), { session: GAME_SESSION });
+    expect(result.valid).toBe(false);
+    expect(result.reason).toBe("Seed mismatch: submission was not dealt from the session's shoe-shuffle value");
+  });
+
+  test('rejects a reshuffle the session did not serve', () => {
+    const reshuffleSeeds = ['ff'.repeat(32), ...SESSION.reshuffleSeeds.slice(1)];
+    const result = validateBlackjackGame(createSubmission({ reshuffleSeeds }), { session: GAME_SESSION });
+    expect(result.valid).toBe(false);
+    expect(result.reason).toBe("Seed mismatch: submission was not dealt from the session's reshuffle-1 value");
+  });
+
+  test('rejects submissions without a revealed session', () => {
+    expect(validateBlackjackGame(createSubmission()).reason).toBe('Missing game session');
+
+    const live = validateBlackjackGame(createSubmission(), { session: { ...GAME_SESSION, ended_at: null } });
+    expect(live.valid).toBe(false);
+    expect(live.reason).toContain('Session has not ended');
+  });
+
+  test('rejects submissions without a seed', () => {
+    const result = validateBlackjackGame(createSubmission({ seed: undefined }), { session: GAME_SESSION });
+    expect(result.valid).toBe(false);
+    expect(result.reason).toBe('Missing seed');
+  });
+});
+
+// ============================================
+// TABLE RULES
+// ============================================
+
+describe('table rules', () => {
+  const HOUSE = playSession(40, { seeds: HOUSE_SEEDS, tableRules: HOUSE_RULES });
+  const HOUSE_HISTORY = HOUSE.state.roundHistory;
+
+  function createHouseSubmission(overrides = {}) {
+    return {
+      score: HOUSE.state.chipBalance,
+      roundHistory: HOUSE_HISTORY,
+      seed: HOUSE_SEEDS[0],
+      reshuffleSeeds: HOUSE.reshuffleSeeds,
+      sessionId: HOUSE_SESSION.session_id,
+      rngVersion: 2,
+      ...overrides
+    };
+  }
+
+  test('records the ruleset on every round', () => {
+    expect(HOUSE_HISTORY.every(round => round.rules === getRulesetId(HOUSE_RULES))).toBe(true);
+    expect(HISTORY.every(round => round.rules === getRulesetId(DEFAULT_TABLE_RULES))).toBe(true);
+  });
+
+  test('session covers surrenders and reshuffles of the smaller shoe', () => {
+    expect(HOUSE_HISTORY.flatMap(round => round.actions)).toContain('surrender');
+    expect(HOUSE.reshuffleSeeds.length).toBeGreaterThan(2);
+  });
+
+  test('replays a session under the rules it committed', () => {
+    const result = validateBlackjackGame(createHouseSubmission(), { session: HOUSE_SESSION });
+    expect(result.valid).toBe(true);
+    expect(result.calculatedBalance).toBe(HOUSE.state.chipBalance);
+    expect(result.details.ruleset).toBe(getRulesetId(HOUSE_RULES));
+  });
+
+  test('rejects rounds played under other rules than the session committed', () => {
+    const result = validateBlackjackGame(createHouseSubmission(), { session: { ...HOUSE_SESSION, table_rules: null } });
+    expect(result.valid).toBe(false);
+    expect(result.reason).toBe(`Round 1: played under ruleset ${getRulesetId(HOUSE_RULES)}, session committed ${getRulesetId(DEFAULT_TABLE_RULES)}`);
+  });
+
+  test('ignores submitted rules when the session committed its own', () => {
+    const result = validateBlackjackGame(createSubmission({ tableRules: HOUSE_RULES }), { session: GAME_SESSION });
+    expect(result.valid).toBe(true);
+  });
+
+  test('rejects a surrender at a table without surrender', () => {
+    const result = replayBlackjackGame([SEEDS[0], ...SESSION.reshuffleSeeds],
+      withRound(0, { actions: ['surrender'] }), { rngVersion: 2 });
+    expect(result.valid).toBe(false);
+    expect(result.reason).toBe('Round 1: surrender not allowed');
+  });
+
+  test('rejects invalid committed rules', () => {
+    const result = validateBlackjackGame(createSubmission(), { session: { ...GAME_SESSION, table_rules: { decks: 3 } } });
+    expect(result.valid).toBe(false);
+    expect(result.reason).toBe('Invalid session table rules: decks must be one of 1, 2, 6, 8');
+  });
+});
@@ -0,0 +1,185 @@
+/**
+ * Tests for FreeCell Replay Validator
+ */
+
+import {
+  validateFreeCellGame,
+  replayFreeCellGame
+} from '../../validation/games/freecell/scoreValidator.js';
+
+import {
+  dealCards,
+  freecellReducer,
+  getFoundationCount
+} from '../../../src/core/games/freecell/gameState.js';
+import { getDealNumber, getHint } from '../../../src/core/games/freecell/gameLogic.js';
+import { deriveRandomValue, hashSecret } from '../../../src/core/seed.js';
+
+// ============================================
+// TEST HELPERS
+// ============================================
+
+const SERVER_SECRET = 'a3f1c9e27b5d48e6a3f1c9e27b5d48e6a3f1c9e27b5d48e6a3f1c9e27b5d48e6';
+
+const BLOCK_DATA = {
+  blockHash: '7f'.repeat(32),
+  blockHeight: 1500000,
+  txHash: 'tx-freecell',
+  txIndex: 5,
+  timestamp: 1700000000005
+};
+
+const SESSION = {
+  session_id: 'session-freecell-1',
+  game_type: 'freecell',
+  server_secret: SERVER_SECRET,
+  secret_hash: hashSecret(SERVER_SECRET),
+  block_hash: BLOCK_DATA.blockHash,
+  block_height: BLOCK_DATA.blockHeight,
+  tx_hash: BLOCK_DATA.txHash,
+  tx_index: BLOCK_DATA.txIndex,
+  timestamp: BLOCK_DATA.timestamp,
+  client_seed: 'player-seed',
+  ended_at: '2026-01-01T00:00:00.000Z'
+};
+
+const SEED = deriveRandomValue(SERVER_SECRET, BLOCK_DATA, 'deck-shuffle', SESSION.client_seed);
+const DEAL = getDealNumber(SEED);
+
+const MOVE_ACTIONS = {
+  tableau: to => ({ type: 'MOVE_TO_TABLEAU', payload: { targetIndex: to.index } }),
+  freecell: to => ({ type: 'MOVE_TO_FREECELL', payload: { cellIndex: to.index } }),
+  foundation: to => ({ type: 'MOVE_TO_FOUNDATION', payload: { suit: to.suit } })
+};
+
+/**
+ * Follow the hints through the reducer, so the move log is exactly what a
+ * client would submit
+ */
+function playGreedyGame(dealNumber, maxSteps = 200) {
+  let state = dealCards(dealNumber);
+
+  for (let step = 0; step < maxSteps; step++) {
+    const hint = getHint(state);
+    if (!hint) break;
+
+    state = freecellReducer(state, { type: 'SELECT_CARDS', payload: { cards: hint.cards, source: hint.from } });
+    state = freecellReducer(state, MOVE_ACTIONS[hint.to.type](hint.to));
+  }
+
+  return state;
+}
+
+function createSubmission(state, overrides = {}) {
+  return {
+    score: getFoundationCount(state.foundations),
+    moves: state.moves,
+    timeSeconds: state.moves * 2,
+    seed: SEED,
+    sessionId: SESSION.session_id,
+    dealNumber: DEAL,
+    moveHistory: state.moveLog,
+    ...overrides
+  };
+}
+
+const PLAYED = playGreedyGame(DEAL);
+
+// ============================================
+// REPLAY
+// ============================================
+
+describe('replayFreeCellGame', () => {
+  test('replays a real game to the same foundation count', () => {
+    const result = replayFreeCellGame(DEAL, PLAYED.moveLog);
+    expect(PLAYED.moves).toBeGreaterThan(0);
+    expect(result.valid).toBe(true);
+    expect(result.foundationCount).toBe(getFoundationCount(PLAYED.foundations));
+    expect(result.moves).toBe(PLAYED.moves);
+  });
+
+  test('rejects a log replayed against a different deal', () => {
+    const result = replayFreeCellGame(DEAL === 1 ? 2 : 1, PLAYED.moveLog);
+    expect(result.valid).toBe(false);
+    expect(result.reason).toMatch(/^Move \d+:/);
+  });
+
+  test('rejects parking a card in an occupied free cell', () => {
+    const result = replayFreeCellGame(1, [
+      { type: 'MOVE_TO_FREECELL', source: { type: 'tableau', index: 0 }, cellIndex: 0 },
+      { type: 'MOVE_TO_FREECELL', source: { type: 'tableau', index: 1 }, cellIndex: 0 }
+    ]);
+    expect(result).toEqual({ valid: false, reason: 'Move 2: Free cell 0 is not available' });
+  });
+
+  test('rejects moving cards that are not a built run', () => {
+    // Deal 1, column 1 as dealt is not in sequence
+    const result = replayFreeCellGame(1, [
+      { type: 'MOVE_TO_TABLEAU', source: { type: 'tableau', index: 0 }, count: 7, targetIndex: 1 }
+    ]);
+    expect(result).toEqual({ valid: false, reason: 'Move 1: Source cannot supply the moved cards' });
+  });
+
+  test('rejects unknown move types', () => {
+    const result = replayFreeCellGame(DEAL, [{ type: 'AUTO_WIN' }]);
+    expect(result.valid).toBe(false);
+    expect(result.reason).toContain('Unknown move type');
+  });
+});
+
+// ============================================
+// SUBMISSION VALIDATION
+// ============================================
+
+describe('validateFreeCellGame', () => {
+  test('accepts an honest submission', () => {
+    const result = validateFreeCellGame(createSubmission(PLAYED), { session: SESSION });
+    expect(result.valid).toBe(true);
+    expect(result.details.dealNumber).toBe(DEAL);
+  });
+
+  test('rejects a deal number the seed does not pick', () => {
+    const result = validateFreeCellGame(createSubmission(PLAYED, { dealNumber: DEAL + 1 }), { session: SESSION });
+    expect(result.valid).toBe(false);
+    expect(result.reason).toBe(`Deal mismatch: seed deals game #${DEAL}, claimed #${DEAL + 1}`);
+  });
+
+  test('rejects an inflated score', () => {
+    const submission = createSubmission(PLAYED);
+    const result = validateFreeCellGame({ ...submission, score: submission.score + 1 }, { session: SESSION });
+    expect(result.valid).toBe(false);
+    expect(result.reason).toContain('Score mismatch');
+  });
+
+  test('rejects a mismatched move count', () => {
+    const submission = createSubmission(PLAYED);
+    const result = validateFreeCellGame({ ...submission, moves: submission.moves + 5, timeSeconds: 1000 }, { session: SESSION });
+    expect(result.valid).toBe(false);
+    expect(result.reason).toContain('Move count mismatch');
+  });
+
+  test('rejects submissions without a move log', () => {
+    const result = validateFreeCellGame(createSubmission(PLAYED, { moveHistory: undefined }), { session: SESSION });
+    expect(result.valid).toBe(false);
+    expect(result.reason).toBe('Missing move history');
+  });
+
+  test('rejects submissions without a seed', () => {
+    const result = validateFreeCellGame(createSubmission(PLAYED, { seed: undefined }), { session: SESSION });
+    expect(result.valid).toBe(false);
+    expect(result.reason).toBe('Missing seed');
+  });
+
+  test('rejects a deal the session did not pick', () => {
+    const seed = deriveRandomValue(SERVER_SECRET, BLOCK_DATA, 'deck-shuffle');
+    const result = validateFreeCellGame(createSubmission(PLAYED, { seed, dealNumber: undefined }), { session: SESSION });
+    expect(result.valid).toBe(false);
+    expect(result.reason).toContain('Seed mismatch');
+  });
+
+  test('rejects submissions without a revealed session', () => {
+    expect(validateFreeCellGame(createSubmission(PLAYED)).reason).toBe('Missing game session');
+    expect(validateFreeCellGame(createSubmission(PLAYED), { session: { ...SESSION, game_type: 'spider' } }).reason)
+      .toBe('Session is for spider, not freecell');
+  });
+});
@@ -0,0 +1,245 @@
+/**
+ * Tests for Garbage Replay Validator
+ */
+
+import {
+  validateGarbageGame,
+  replayGarbageGame
+} from '../../validation/games/garbage/scoreValidator.js';
+
+import { shuffleDeckStrings } from '../../../src/core/shuffle.js';
+import { deriveRandomValue, hashSecret } from '../../../src/core/seed.js';
+import { dealInitialCards } from '../../../src/core/games/garbage/game-logic.js';
+import { makeMove } from '../../../src/games/garbage/ai.js';
+
+// ============================================
+// TEST HELPERS
+// ============================================
+
+const BLOCK_DATA = {
+  blockHash: '6a'.repeat(32),
+  blockHeight: 1500000,
+  txHash: 'tx-garbage',
+  txIndex: 4,
+  timestamp: 1700000000004
+};
+
+function createGameSession(serverSecret) {
+  return {
+    session_id: 'session-garbage-1',
+    game_type: 'garbage',
+    server_secret: serverSecret,
+    secret_hash: hashSecret(serverSecret),
+    block_hash: BLOCK_DATA.blockHash,
+    block_height: BLOCK_DATA.blockHeight,
+    tx_hash: BLOCK_DATA.txHash,
+    tx_index: BLOCK_DATA.txIndex,
+    timestamp: BLOCK_DATA.timestamp,
+    ended_at: '2026-01-01T00:00:00.000Z'
+  };
+}
+
+/**
+ * Play both sides with the (deterministic) normal AI, recording turns the
+ * way GarbageGame does
+ */
+function playGame(seed) {
+  const dealt = dealInitialCards(shuffleDeckStrings(seed, 2));
+  const sides = {
+    player: { cards: dealt.playerCards, hidden: dealt.playerHidden },
+    ai: { cards: dealt.aiCards, hidden: dealt.aiHidden }
+  };
+  let drawPile = dealt.drawPile;
+  let discardPile = [];
+  const turnHistory = [];
+
+  for (let i = 0; i < 200; i++) {
+    const by = i % 2 === 0 ? 'player' : 'ai';
+    const result = makeMove(sides[by].cards, sides[by].hidden, drawPile, discardPile, 'normal');
+
+    sides[by] = { cards: result.newAiCards, hidden: result.newAiHidden };
+    drawPile = result.newDrawPile;
+    discardPile = result.newDiscardPile;
+    turnHistory.push({
+      by,
+      source: result.action === 'take_discard' ? 'discard' : 'draw',
+      placements: result.placements,
+      endCard: result.discarded
+    });
+
+    if (result.endedWith === 'complete') {
+      return { winner: by, turnHistory };
+    }
+  }
+
+  return { winner: null, turnHistory };
+}
+
+/**
+ * First session (in a fixed sequence of secrets) whose deal the player wins
+ */
+function findPlayerWin() {
+  for (let i = 0; i < 256; i++) {
+    const serverSecret = 'ab'.repeat(31) + i.toString(16).padStart(2, '0');
+    const seed = deriveRandomValue(serverSecret, BLOCK_DATA, 'deck-shuffle');
+    const game = playGame(seed);
+    if (game.winner === 'player') {
+      return { session: createGameSession(serverSecret), seed, ...game };
+    }
+  }
+  throw new Error('No player win found');
+}
+
+function findAiWin() {
+  for (let i = 0; i < 256; i++) {
+    const serverSecret = 'cd'.repeat(31) + i.toString(16).padStart(2, '0');
+    const seed = deriveRandomValue(serverSecret, BLOCK_DATA, 'deck-shuffle');
+    const game = playGame(seed);
+    if (game.winner === 'ai') {
+      return { session: createGameSession(serverSecret), seed, ...game };
+    }
+  }
+  throw new Error('No AI win found');
+}
+
+const PLAYED = findPlayerWin();
+const ROUNDS = PLAYED.turnHistory.filter(turn => turn.by === 'player').length;
+
+function createSubmission(overrides = {}) {
+  return {
+    score: 1500,
+    rounds: ROUNDS,
+    moves: ROUNDS,
+    timeSeconds: ROUNDS * 5,
+    difficulty: 'normal',
+    seed: PLAYED.seed,
+    sessionId: PLAYED.session.session_id,
+    rngVersion: 2,
+    turnHistory: PLAYED.turnHistory,
+    ...overrides
+  };
+}
+
+function withTurn(index, changes) {
+  return PLAYED.turnHistory.map((turn, i) => (i === index ? { ...turn, ...changes } : turn));
+}
+
+// ============================================
+// REPLAY
+// ============================================
+
+describe('replayGarbageGame', () => {
+  test('replays a real game to the same winner and round count', () => {
+    expect(replayGarbageGame(PLAYED.seed, PLAYED.turnHistory, 2)).toEqual({
+      valid: true,
+      winner: 'player',
+      rounds: ROUNDS
+    });
+  });
+
+  test('rejects a transcript replayed against a different deal', () => {
+    const result = replayGarbageGame('ff'.repeat(32), PLAYED.turnHistory, 2);
+    expect(result.valid).toBe(false);
+    expect(result.reason).toMatch(/^Turn \d+:/);
+  });
+
+  test('rejects turns out of order', () => {
+    const result = replayGarbageGame(PLAYED.seed, withTurn(0, { by: 'ai' }), 2);
+    expect(result.valid).toBe(false);
+    expect(result.reason).toBe('Turn 1: expected player to play');
+  });
+
+  test('rejects a placement in the wrong position', () => {
+    const index = PLAYED.turnHistory.findIndex(turn =>
+      turn.placements.some(p => !p.card.startsWith('J')));
+    const turn = PLAYED.turnHistory[index];
+    const placements = turn.placements.map(p =>
+      (p.card.startsWith('J') ? p : { ...p, position: p.position % 10 + 1 }));
+
+    const result = replayGarbageGame(PLAYED.seed, withTurn(index, { placements }), 2);
+    expect(result.valid).toBe(false);
+    expect(result.reason).toContain('cannot place');
+  });
+
+  test('rejects a turn that ends with a card other than the one held', () => {
+    const index = PLAYED.turnHistory.findIndex(turn => turn.endCard);
+    const endCard = PLAYED.turnHistory[index].endCard === 'K♠' ? 'Q♠' : 'K♠';
+
+    const result = replayGarbageGame(PLAYED.seed, withTurn(index, { endCard }), 2);
+    expect(result.valid).toBe(false);
+    expect(result.reason).toContain('while holding');
+  });
+
+  test('rejects turns after the game was won', () => {
+    const history = [...PLAYED.turnHistory, { by: 'ai', source: 'draw', placements: [], endCard: null }];
+    const result = replayGarbageGame(PLAYED.seed, history, 2);
+    expect(result.valid).toBe(false);
+    expect(result.reason).toContain('already won by player');
+  });
+
+  test('rejects an AI that discards a playable card', () => {
+    const index = PLAYED.turnHistory.findIndex(turn => turn.by === 'ai' && turn.placements.length > 0);
+    const turn = PLAYED.turnHistory[index];
+
+    const result = replayGarbageGame(PLAYED.seed, [
+      ...PLAYED.turnHistory.slice(0, index),
+      { ...turn, placements: [], endCard: turn.placements[0].card }
+    ], 2);
+    expect(result.valid).toBe(false);
+    expect(result.reason).toContain('AI discarded playable');
+  });
+});
+
+// ============================================
+// SUBMISSION VALIDATION
+// ============================================
+
+describe('validateGarbageGame', () => {
+  test('accepts an honest submission', () => {
+    expect(validateGarbageGame(createSubmission(), { session: PLAYED.session }).valid).toBe(true);
+  });
+
+  test('rejects a game the AI won', () => {
+    const aiWin = findAiWin();
+    const rounds = aiWin.turnHistory.filter(turn => turn.by === 'player').length;
+    const result = validateGarbageGame(createSubmission({
+      seed: aiWin.seed,
+      turnHistory: aiWin.turnHistory,
+      rounds,
+      moves: rounds,
+      timeSeconds: rounds * 5
+    }), { session: aiWin.session });
+    expect(result.valid).toBe(false);
+    expect(result.reason).toContain('Winner mismatch');
+  });
+
+  test('rejects a mismatched round count', () => {
+    const result = validateGarbageGame(createSubmission({ rounds: ROUNDS + 1, timeSeconds: (ROUNDS + 1) * 5 }), { session: PLAYED.session });
+    expect(result.valid).toBe(false);
+    expect(result.reason).toContain('Round count mismatch');
+  });
+
+  test('rejects submissions without a turn history', () => {
+    const result = validateGarbageGame(createSubmission({ turnHistory: undefined }), { session: PLAYED.session });
+    expect(result.valid).toBe(false);
+    expect(result.reason).toBe('Missing turn history');
+  });
+
+  test('rejects submissions without a seed', () => {
+    const result = validateGarbageGame(createSubmission({ seed: undefined }), { session: PLAYED.session });
+    expect(result.valid).toBe(false);
+    expect(result.reason).toBe('Missing seed');
+  });
+
+  test('rejects a deck the session did not deal', () => {
+    const result = validateGarbageGame(createSubmission(), { session: findAiWin().session });
+    expect(result.valid).toBe(false);
+    expect(result.reason).toContain('Seed mismatch');
+  });
+
+  test('rejects submissions without a revealed session', () => {
+    expect(validateGarbageGame(createSubmission()).reason).toBe('Missing game session');
+    expect(validateGarbageGame(createSubmission({ sessionId: undefined }), { session: PLAYED.session }).reason)
+      .toBe('Missing session ID');
+  });
+});
@@ -0,0 +1,220 @@
+/**
+ * Tests for Leaderboard Session Binding
+ */
+
+import {
+  requiresSession,
+  validateSessionBinding,
+  validateSessionSeed
+} from '../../validation/shared/sessionBinding.js';
+
+import { deriveRandomValue, hashSecret } from '../../../src/core/seed.js';
+import { RNG_MODE_HASH_CHAIN, hashChainCommitment, revealedChainRandom } from '../../../src/core/hashChain.js';
+import { sessionBlockData } from '../../block-anchor.js';
+
+// ============================================
+// TEST HELPERS
+// ============================================
+
+const SERVER_SECRET = '5d'.repeat(32);
+
+const SESSION = {
+  session_id: '6f1c2b7e-1d2a-4c3b-9e8f-0a1b2c3d4e5f',
+  game_type: 'solitaire',
+  server_secret: SERVER_SECRET,
+  secret_hash: hashSecret(SERVER_SECRET),
+  block_hash: 'a4'.repeat(32),
+  block_height: 1400000,
+  tx_hash: 'tx-solitaire',
+  tx_index: 0,
+  timestamp: 1700000000000,
+  client_seed: 'player-seed',
+  ended_at: '2026-01-01T00:00:00.000Z'
+};
+
+function random(purpose, session = SESSION) {
+  return deriveRandomValue(SERVER_SECRET, sessionBlockData(session), purpose, session.client_seed);
+}
+
+const SEED = random('deck-shuffle');
+const LEDGER = [{ purpose: 'deck-shuffle', random: SEED }];
+
+function createSubmission(overrides = {}) {
+  return {
+    game: 'solitaire',
+    sessionId: SESSION.session_id,
+    blockHash: SESSION.block_hash,
+    blockHeight: SESSION.block_height,
+    txHash: SESSION.tx_hash,
+    seed: SEED,
+    ...overrides
+  };
+}
+
+// ============================================
+// SESSION BINDING
+// ============================================
+
+describe('requiresSession', () => {
+  test('covers every commit-reveal game', () => {
+    ['backgammon', 'blackjack', 'solitaire', 'yahtzee', 'garbage'].forEach(game => {
+      expect(requiresSession(game)).toBe(true);
+    });
+  });
+
+  test('skips games without server randomness', () => {
+    expect(requiresSession('2048')).toBe(false);
+    expect(requiresSession('chess')).toBe(false);
+  });
+});
+
+describe('validateSessionBinding', () => {
+  test('accepts a finished session anchored to the same block', () => {
+    expect(validateSessionBinding(SESSION, createSubmission(), LEDGER)).toEqual({ valid: true });
+  });
+
+  test('accepts a block height sent as a string', () => {
+    expect(validateSessionBinding(SESSION, createSubmission({ blockHeight: '1400000' }), LEDGER).valid).toBe(true);
+  });
+
+  test('rejects submissions without a session ID', () => {
+    const result = validateSessionBinding(SESSION, createSubmission({ sessionId: undefined }), LEDGER);
+    expect(result.valid).toBe(false);
+    expect(result.reason).toBe('Missing session ID');
+  });
+
+  test('rejects an unknown session', () => {
+    const result = validateSessionBinding(null, createSubmission(), LEDGER);
+    expect(result.valid).toBe(false);
+    expect(result.reason).toBe('Game session not found');
+  });
+
+  test('rejects a session from another game', () => {
+    const result = validateSessionBinding({ ...SESSION, game_type: 'blackjack' }, createSubmission(), LEDGER);
+    expect(result.valid).toBe(false);
+    expect(result.reason).toBe('Session is for blackjack, not solitaire');
+  });
+
+  test('rejects a session that has not ended', () => {
+    const result = validateSessionBinding({ ...SESSION, ended_at: null }, createSubmission(), LEDGER);
+    expect(result.valid).toBe(false);
+    expect(result.reason).toBe('Session has not ended');
+  });
+
+  test('rejects a session that never drew a random value', () => {
+    const result = validateSessionBinding({ ...SESSION, block_hash: null, block_height: null }, createSubmission(), LEDGER);
+    expect(result.valid).toBe(false);
+    expect(result.reason).toContain('never anchored');
+  });
+
+  test('rejects a session anchored away from its committed height', () => {
+    const result = validateSessionBinding({ ...SESSION, target_block_height: 1399999 }, createSubmission(), LEDGER);
+    expect(result.valid).toBe(false);
+    expect(result.reason).toContain('committed to 1399999');
+  });
+
+  test('accepts a session anchored at its committed height', () => {
+    expect(validateSessionBinding({ ...SESSION, target_block_height: 1400000 }, createSubmission(), LEDGER).valid).toBe(true);
+  });
+
+  test('rejects a session whose anchor block was reorged out', () => {
+    const result = validateSessionBinding({ ...SESSION, anchor_status: 'orphaned' }, createSubmission(), LEDGER);
+    expect(result.valid).toBe(false);
+    expect(result.reason).toContain('orphaned by a chain reorganization');
+  });
+
+  test('accepts a session whose anchor is confirmed or not yet checked', () => {
+    expect(validateSessionBinding({ ...SESSION, anchor_status: 'confirmed' }, createSubmission(), LEDGER).valid).toBe(true);
+    expect(validateSessionBinding({ ...SESSION, anchor_status: 'unchecked' }, createSubmission(), LEDGER).valid).toBe(true);
+  });
+
+  test('rejects a submission claiming a different block', () => {
+    const result = validateSessionBinding(SESSION, createSubmission({ blockHash: 'ff'.repeat(32) }), LEDGER);
+    expect(result.valid).toBe(false);
+    expect(result.reason).toContain('Block mismatch');
+  });
+
+  test('rejects a submission claiming a different height', () => {
+    const result = validateSessionBinding(SESSION, createSubmission({ blockHeight: 1400001 }), LEDGER);
+    expect(result.valid).toBe(false);
+    expect(result.reason).toContain('Block mismatch');
+  });
+
+  test('rejects a submission claiming a different transaction', () => {
+    const result = validateSessionBinding(SESSION, createSubmission({ txHash: 'tx-other' }), LEDGER);
+    expect(result.valid).toBe(false);
+    expect(result.reason).toContain('Transaction mismatch');
+  });
+});
+
+describe('validateSessionBinding ledger', () => {
+  test('rejects a secret that does not match its commitment', () => {
+    const result = validateSessionBinding({ ...SESSION, server_secret: 'ff'.repeat(32) }, createSubmission(), LEDGER);
+    expect(result).toEqual({ valid: false, reason: 'Server secret does not match its commitment' });
+  });
+
+  test('rejects a session without its ledger', () => {
+    expect(validateSessionBinding(SESSION, createSubmission(), null).reason).toBe('Session random ledger not found');
+  });
+
+  test('rejects a served value the secret does not produce', () => {
+    const result = validateSessionBinding(SESSION, createSubmission(), [{ purpose: 'deck-shuffle', random: 'ff'.repeat(32) }]);
+    expect(result).toEqual({
+      valid: false,
+      reason: 'Ledger entry 1: value for "deck-shuffle" does not match the revealed secret'
+    });
+  });
+
+  test('rejects purposes outside the game schema', () => {
+    const result = validateSessionBinding(SESSION, createSubmission(), [...LEDGER, { purpose: 'deck-shuffle-2', random: random('deck-shuffle-2') }]);
+    expect(result.valid).toBe(false);
+    expect(result.reason).toMatch(/^Ledger entry 2: /);
+  });
+
+  test('rejects a seed the session did not deal', () => {
+    const result = validateSessionBinding(SESSION, createSubmission({ seed: 'ab'.repeat(32) }), LEDGER);
+    expect(result).toEqual({ valid: false, reason: "Seed mismatch: submission was not dealt from the session's deck-shuffle value" });
+  });
+
+  test('rejects a seed the session never served', () => {
+    expect(validateSessionBinding(SESSION, createSubmission(), []).reason).toBe('Session never served its deck-shuffle value');
+  });
+
+  test('checks every roll of a dice session', () => {
+    const session = { ...SESSION, game_type: 'backgammon' };
+    const ledger = ['roll-1', 'roll-2', 'roll-3'].map(purpose => ({ purpose, random: random(purpose) }));
+    const submission = createSubmission({ game: 'backgammon', seed: undefined });
+
+    expect(validateSessionBinding(session, submission, ledger)).toEqual({ valid: true });
+    expect(validateSessionBinding(session, submission, [ledger[0], ledger[2]]).reason)
+      .toBe('Ledger entry 2: Purpose "roll-3" is out of order (expected roll-2)');
+  });
+});
+
+describe('hash-chain sessions', () => {
+  const CHAIN_SESSION = {
+    ...SESSION,
+    rng_mode: RNG_MODE_HASH_CHAIN,
+    chain_length: 20,
+    chain_position: 3,
+    secret_hash: hashChainCommitment(SERVER_SECRET, 20)
+  };
+  const ROUND_1 = revealedChainRandom(SERVER_SECRET, 20, sessionBlockData(SESSION), 1, SESSION.client_seed);
+
+  test('checks the secret against the chain commitment', () => {
+    expect(validateSessionBinding(CHAIN_SESSION, createSubmission({ seed: ROUND_1 }), [])).toEqual({ valid: true });
+    expect(validateSessionBinding({ ...CHAIN_SESSION, secret_hash: hashSecret(SERVER_SECRET) }, createSubmission({ seed: ROUND_1 }), []).reason)
+      .toBe('Server secret does not match its commitment');
+  });
+
+  test('deals from the first round', () => {
+    expect(validateSessionBinding(CHAIN_SESSION, createSubmission(), []).reason)
+      .toBe("Seed mismatch: submission was not dealt from the session's first hash-chain round");
+    expect(validateSessionSeed(CHAIN_SESSION, SESSION.session_id, 'solitaire', ROUND_1, 'deck-shuffle')).toEqual({ valid: true });
+  });
+
+  test('rejects a deal before any link was served', () => {
+    expect(validateSessionSeed({ ...CHAIN_SESSION, chain_position: 0 }, SESSION.session_id, 'solitaire', ROUND_1, 'deck-shuffle').reason)
+      .toBe('Session never served its deck-shuffle value');
+  });
+});
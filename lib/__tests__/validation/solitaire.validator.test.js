@@ -0,0 +1,305 @@
+/**
+ * Tests for Solitaire Replay Validator
+ */
+
+import {
+  validateSolitaireGame,
+  replaySolitaireGame
+} from '../../validation/games/solitaire/scoreValidator.js';
+
+import { shuffleDeck } from '../../../src/core/shuffle.js';
+import { deriveRandomValue, hashSecret } from '../../../src/core/seed.js';
+import {
+  dealCards,
+  solitaireReducer,
+  getFoundationCount
+} from '../../../src/core/games/solitaire/gameState.js';
+import { getHint, canRecycleStock } from '../../../src/core/games/solitaire/gameLogic.js';
+import { DEFAULT_GAME_OPTIONS } from '../../../src/core/games/solitaire/variants.js';
+
+// ============================================
+// TEST HELPERS
+// ============================================
+
+const SERVER_SECRET = 'a3f1c9e27b5d48e6a3f1c9e27b5d48e6a3f1c9e27b5d48e6a3f1c9e27b5d48e6';
+
+const BLOCK_DATA = {
+  blockHash: '3c'.repeat(32),
+  blockHeight: 1500000,
+  txHash: 'tx-solitaire',
+  txIndex: 2,
+  timestamp: 1700000000002
+};
+
+const SESSION = {
+  session_id: 'session-sol-1',
+  game_type: 'solitaire',
+  server_secret: SERVER_SECRET,
+  secret_hash: hashSecret(SERVER_SECRET),
+  block_hash: BLOCK_DATA.blockHash,
+  block_height: BLOCK_DATA.blockHeight,
+  tx_hash: BLOCK_DATA.txHash,
+  tx_index: BLOCK_DATA.txIndex,
+  timestamp: BLOCK_DATA.timestamp,
+  client_seed: 'player-seed',
+  ended_at: '2026-01-01T00:00:00.000Z'
+};
+
+const SEED = deriveRandomValue(SERVER_SECRET, BLOCK_DATA, 'deck-shuffle', SESSION.client_seed);
+
+/**
+ * Play a game the way the UI does (flip, hint, draw, recycle) through the
+ * reducer, so the move log is exactly what a client would submit
+ */
+function playGreedyGame(seed, options = DEFAULT_GAME_OPTIONS, startingBalance = 0, maxSteps = 400) {
+  let state = dealCards(shuffleDeck(seed, 2), options, startingBalance);
+
+  for (let step = 0; step < maxSteps; step++) {
+    const faceDown = state.tableau.findIndex(col => col.length > 0 && !col[col.length - 1].faceUp);
+    if (faceDown !== -1) {
+      state = solitaireReducer(state, { type: 'FLIP_CARD', payload: { columnIndex: faceDown } });
+      continue;
+    }
+
+    const hint = getHint(state);
+    if (hint) {
+      state = solitaireReducer(state, { type: 'SELECT_CARDS', payload: { cards: hint.cards, source: hint.from } });
+      state = hint.to.type === 'foundation'
+        ? solitaireReducer(state, { type: 'MOVE_TO_FOUNDATION', payload: { suit: hint.to.suit } })
+        : solitaireReducer(state, { type: 'MOVE_TO_TABLEAU', payload: { targetIndex: hint.to.index } });
+      continue;
+    }
+
+    if (state.stock.length > 0) {
+      state = solitaireReducer(state, { type: 'DRAW_FROM_STOCK' });
+    } else if (canRecycleStock(state.stock, state.waste, state.recycleCount, options.stockPasses) && state.recycleCount < 3) {
+      state = solitaireReducer(state, { type: 'RECYCLE_STOCK' });
+    } else {
+      break;
+    }
+  }
+
+  return state;
+}
+
+function createSubmission(state, overrides = {}) {
+  return {
+    score: getFoundationCount(state.foundations),
+    moves: state.moves,
+    timeSeconds: state.moves * 2,
+    seed: SEED,
+    sessionId: SESSION.session_id,
+    rngVersion: 2,
+    moveHistory: state.moveLog,
+    ...overrides
+  };
+}
+
+const PLAYED = playGreedyGame(SEED);
+
+// ============================================
+// REPLAY
+// ============================================
+
+describe('replaySolitaireGame', () => {
+  test('replays a real game to the same foundation count', () => {
+    const result = replaySolitaireGame(SEED, PLAYED.moveLog, 2);
+    expect(result.valid).toBe(true);
+    expect(result.foundationCount).toBe(getFoundationCount(PLAYED.foundations));
+    expect(result.moves).toBe(PLAYED.moves);
+  });
+
+  test('empty log replays to an empty foundation', () => {
+    expect(replaySolitaireGame(SEED, [], 2)).toEqual({ valid: true, foundationCount: 0, moves: 0, score: 0 });
+  });
+
+  test('rejects a log replayed against a different deal', () => {
+    const result = replaySolitaireGame('ff'.repeat(32), PLAYED.moveLog, 2);
+    expect(result.valid).toBe(false);
+    expect(result.reason).toMatch(/^Move \d+:/);
+  });
+
+  test('rejects a foundation move of the wrong card', () => {
+    const result = replaySolitaireGame(SEED, [
+      { type: 'MOVE_TO_FOUNDATION', source: { type: 'tableau', index: 6 }, suit: 'spades' },
+      { type: 'MOVE_TO_FOUNDATION', source: { type: 'tableau', index: 6 }, suit: 'spades' }
+    ], 2);
+    expect(result.valid).toBe(false);
+  });
+
+  test('rejects moving face-down cards', () => {
+    const result = replaySolitaireGame(SEED, [
+      { type: 'MOVE_TO_TABLEAU', source: { type: 'tableau', index: 6 }, count: 2, targetIndex: 0 }
+    ], 2);
+    expect(result.valid).toBe(false);
+    expect(result.reason).toContain('Source cannot supply');
+  });
+
+  test('rejects unknown move types', () => {
+    const result = replaySolitaireGame(SEED, [{ type: 'AUTO_WIN' }], 2);
+    expect(result.valid).toBe(false);
+    expect(result.reason).toContain('Unknown move type');
+  });
+
+  test('undo is reflected in the log', () => {
+    let state = dealCards(shuffleDeck(SEED, 2));
+    state = solitaireReducer(state, { type: 'DRAW_FROM_STOCK' });
+    state = solitaireReducer(state, { type: 'DRAW_FROM_STOCK' });
+    state = solitaireReducer(state, { type: 'UNDO' });
+
+    expect(state.moveLog).toEqual([{ type: 'DRAW_FROM_STOCK' }]);
+    expect(replaySolitaireGame(SEED, state.moveLog, 2)).toMatchObject({ valid: true, moves: 1 });
+  });
+});
+
+// ============================================
+// SUBMISSION VALIDATION
+// ============================================
+
+describe('validateSolitaireGame', () => {
+  test('accepts an honest submission', () => {
+    const result = validateSolitaireGame(createSubmission(PLAYED), { session: SESSION });
+    expect(result.valid).toBe(true);
+  });
+
+  test('rejects an inflated score', () => {
+    const submission = createSubmission(PLAYED);
+    const result = validateSolitaireGame({ ...submission, score: submission.score + 1 }, { session: SESSION });
+    expect(result.valid).toBe(false);
+    expect(result.reason).toContain('Score mismatch');
+  });
+
+  test('rejects a mismatched move count', () => {
+    const submission = createSubmission(PLAYED);
+    const result = validateSolitaireGame({ ...submission, moves: submission.moves + 5 }, { session: SESSION });
+    expect(result.valid).toBe(false);
+    expect(result.reason).toContain('Move count mismatch');
+  });
+
+  test('rejects submissions without a move log', () => {
+    const result = validateSolitaireGame(createSubmission(PLAYED, { moveHistory: undefined }), { session: SESSION });
+    expect(result.valid).toBe(false);
+    expect(result.reason).toBe('Missing move history');
+  });
+
+  test('rejects submissions without a seed', () => {
+    const result = validateSolitaireGame(createSubmission(PLAYED, { seed: undefined }), { session: SESSION });
+    expect(result.valid).toBe(false);
+    expect(result.reason).toBe('Missing seed');
+  });
+
+  test('rejects a deck the session did not deal', () => {
+    const seed = deriveRandomValue(SERVER_SECRET, BLOCK_DATA, 'deck-shuffle');
+    const result = validateSolitaireGame(createSubmission(playGreedyGame(seed), { seed }), { session: SESSION });
+    expect(result.valid).toBe(false);
+    expect(result.reason).toContain('Seed mismatch');
+  });
+
+  test('replays with the session RNG version, not the submitted one', () => {
+    expect(validateSolitaireGame(createSubmission(PLAYED, { rngVersion: 1 }), { session: SESSION }).valid).toBe(true);
+
+    const legacy = validateSolitaireGame(createSubmission(PLAYED), { session: { ...SESSION, rng_version: 1 } });
+    expect(legacy.valid).toBe(false);
+  });
+
+  test('rejects submissions without a revealed session', () => {
+    expect(validateSolitaireGame(createSubmission(PLAYED)).reason).toBe('Missing game session');
+    expect(validateSolitaireGame(createSubmission(PLAYED, { sessionId: undefined }), { session: SESSION }).reason)
+      .toBe('Missing session ID');
+
+    const live = validateSolitaireGame(createSubmission(PLAYED), { session: { ...SESSION, ended_at: null } });
+    expect(live.valid).toBe(false);
+    expect(live.reason).toContain('Session has not ended');
+  });
+});
+
+// ============================================
+// VARIANTS
+// ============================================
+
+describe('Solitaire variants', () => {
+  const DRAW_3 = { drawCount: 3, scoring: 'vegas', stockPasses: 3 };
+  const PLAYED_DRAW_3 = playGreedyGame(SEED, DRAW_3);
+
+  const DRAW_3_SESSION = { ...SESSION, game_options: DRAW_3 };
+
+  test('replays a draw-3 game under its options', () => {
+    const result = validateSolitaireGame(createSubmission(PLAYED_DRAW_3, { balance: PLAYED_DRAW_3.score }), { session: DRAW_3_SESSION });
+    expect(result.valid).toBe(true);
+    expect(result.variant).toBe('D3-VEGAS-P3');
+  });
+
+  test('sessions without options are draw 1 with unlimited passes', () => {
+    expect(validateSolitaireGame(createSubmission(PLAYED), { session: SESSION }).variant).toBe('D1-STD-PU');
+  });
+
+  test('rejects a draw-3 log from a draw-1 session', () => {
+    const result = validateSolitaireGame(createSubmission(PLAYED_DRAW_3, { balance: PLAYED_DRAW_3.score }), { session: { ...DRAW_3_SESSION, game_options: { ...DRAW_3, drawCount: 1 } } });
+    expect(result.valid).toBe(false);
+  });
+
+  test('replays under the session options, not the submitted ones', () => {
+    expect(validateSolitaireGame(createSubmission(PLAYED, { gameOptions: DRAW_3 }), { session: SESSION })).toMatchObject({
+      valid: true,
+      variant: 'D1-STD-PU'
+    });
+  });
+
+  test('rejects recycling past the pass limit', () => {
+    const throughStock = Array(24).fill({ type: 'DRAW_FROM_STOCK' });
+    const moveLog = [...throughStock, { type: 'RECYCLE_STOCK' }];
+
+    expect(replaySolitaireGame(SEED, moveLog, 2, { ...DEFAULT_GAME_OPTIONS, stockPasses: 3 }).valid).toBe(true);
+    expect(replaySolitaireGame(SEED, moveLog, 2, { ...DEFAULT_GAME_OPTIONS, stockPasses: 1 })).toEqual({
+      valid: false,
+      reason: 'Move 25: Recycle past the 1-pass stock limit'
+    });
+  });
+
+  test('rejects invalid options', () => {
+    const result = validateSolitaireGame(createSubmission(PLAYED), { session: { ...SESSION, game_options: { drawCount: 2 } } });
+    expect(result.valid).toBe(false);
+    expect(result.reason).toBe('Invalid game options: Draw count must be one of 1, 3');
+  });
+
+  test('Vegas games must submit their balance', () => {
+    const result = validateSolitaireGame(createSubmission(PLAYED_DRAW_3), { session: DRAW_3_SESSION });
+    expect(result).toEqual({ valid: false, reason: 'Missing Vegas balance' });
+  });
+
+  test('Vegas cumulative balance must follow from the balance the session carried in', () => {
+    const cumulative = { ...DRAW_3, scoring: 'vegas-cumulative' };
+    const carried = { ...SESSION, game_options: cumulative, starting_balance: 100, carried_from_session_id: 'session-sol-0', player_name: 'alice' };
+    const played = playGreedyGame(SEED, cumulative, 100);
+    const submission = createSubmission(played, { balance: played.score, playerName: 'alice' });
+
+    expect(played.score).toBe(PLAYED_DRAW_3.score + 100);
+    expect(validateSolitaireGame(submission, { session: carried }).valid).toBe(true);
+
+    const inflated = validateSolitaireGame({ ...submission, balance: played.score + 50 }, { session: carried });
+    expect(inflated.valid).toBe(false);
+    expect(inflated.reason).toContain('Balance mismatch');
+  });
+
+  test('a carried balance must be submitted by the player it belongs to', () => {
+    const cumulative = { ...DRAW_3, scoring: 'vegas-cumulative' };
+    const carried = { ...SESSION, game_options: cumulative, starting_balance: 100, carried_from_session_id: 'session-sol-0', player_name: 'alice' };
+    const played = playGreedyGame(SEED, cumulative, 100);
+    const submission = createSubmission(played, { balance: played.score, playerName: 'mallory' });
+
+    expect(validateSolitaireGame(submission, { session: carried })).toEqual({
+      valid: false,
+      reason: 'Carried balance belongs to alice'
+    });
+  });
+
+  test('a client-supplied starting balance is ignored', () => {
+    const cumulative = { ...DRAW_3, scoring: 'vegas-cumulative' };
+    const played = playGreedyGame(SEED, cumulative, 1000000);
+    const submission = createSubmission(played, { startingBalance: 1000000, balance: played.score });
+
+    const result = validateSolitaireGame(submission, { session: { ...SESSION, game_options: cumulative } });
+    expect(result.valid).toBe(false);
+    expect(result.reason).toBe(`Balance mismatch: replay ended on $${PLAYED_DRAW_3.score}, claimed $${played.score}`);
+  });
+});
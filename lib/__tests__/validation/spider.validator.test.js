@@ -0,0 +1,186 @@
+/**
+ * Tests for Spider Replay Validator
+ */
+
+import {
+  validateSpiderGame,
+  replaySpiderGame
+} from '../../validation/games/spider/scoreValidator.js';
+
+import { dealCards, spiderReducer } from '../../../src/core/games/spider/gameState.js';
+import { createSpiderDeck, getHint } from '../../../src/core/games/spider/gameLogic.js';
+import { deriveRandomValue, hashSecret } from '../../../src/core/seed.js';
+
+// ============================================
+// TEST HELPERS
+// ============================================
+
+const SERVER_SECRET = 'a3f1c9e27b5d48e6a3f1c9e27b5d48e6a3f1c9e27b5d48e6a3f1c9e27b5d48e6';
+
+const BLOCK_DATA = {
+  blockHash: '8e'.repeat(32),
+  blockHeight: 1500000,
+  txHash: 'tx-spider',
+  txIndex: 6,
+  timestamp: 1700000000006
+};
+
+const SESSION = {
+  session_id: 'session-spider-1',
+  game_type: 'spider',
+  server_secret: SERVER_SECRET,
+  secret_hash: hashSecret(SERVER_SECRET),
+  block_hash: BLOCK_DATA.blockHash,
+  block_height: BLOCK_DATA.blockHeight,
+  tx_hash: BLOCK_DATA.txHash,
+  tx_index: BLOCK_DATA.txIndex,
+  timestamp: BLOCK_DATA.timestamp,
+  client_seed: 'player-seed',
+  ended_at: '2026-01-01T00:00:00.000Z'
+};
+
+const SEED = deriveRandomValue(SERVER_SECRET, BLOCK_DATA, 'deck-shuffle', SESSION.client_seed);
+
+/**
+ * Follow the hints (deals included) through the reducer, so the move log is
+ * exactly what a client would submit
+ */
+function playGreedyGame(seed, suits = 1, maxSteps = 150) {
+  let state = dealCards(createSpiderDeck(seed, 2, suits), suits);
+
+  for (let step = 0; step < maxSteps; step++) {
+    const hint = getHint(state);
+    if (!hint) break;
+
+    if (hint.from.type === 'stock') {
+      state = spiderReducer(state, { type: 'DEAL_FROM_STOCK' });
+      continue;
+    }
+
+    state = spiderReducer(state, { type: 'SELECT_CARDS', payload: { cards: hint.cards, source: hint.from } });
+    state = spiderReducer(state, { type: 'MOVE_TO_TABLEAU', payload: { targetIndex: hint.to.index } });
+  }
+
+  return state;
+}
+
+function createSubmission(state, overrides = {}) {
+  return {
+    score: state.score,
+    moves: state.moves,
+    timeSeconds: state.moves * 2,
+    seed: SEED,
+    sessionId: SESSION.session_id,
+    rngVersion: 2,
+    suits: state.suits,
+    moveHistory: state.moveLog,
+    ...overrides
+  };
+}
+
+const PLAYED = playGreedyGame(SEED);
+
+// ============================================
+// REPLAY
+// ============================================
+
+describe('replaySpiderGame', () => {
+  test('replays a real game to the same score', () => {
+    const result = replaySpiderGame(SEED, PLAYED.moveLog, 2, 1);
+    expect(PLAYED.moves).toBeGreaterThan(0);
+    expect(result.valid).toBe(true);
+    expect(result.score).toBe(PLAYED.score);
+    expect(result.moves).toBe(PLAYED.moves);
+    expect(result.completedRuns).toBe(PLAYED.completed.length);
+  });
+
+  test('empty log replays to the starting score', () => {
+    expect(replaySpiderGame(SEED, [], 2, 1)).toEqual({ valid: true, score: 500, moves: 0, completedRuns: 0 });
+  });
+
+  test('rejects a log replayed against a different deck', () => {
+    const result = replaySpiderGame('ff'.repeat(32), PLAYED.moveLog, 2, 1);
+    expect(result.valid).toBe(false);
+    expect(result.reason).toMatch(/^Move \d+:/);
+  });
+
+  test('rejects dealing once the stock is spent', () => {
+    const result = replaySpiderGame(SEED, Array(6).fill({ type: 'DEAL_FROM_STOCK' }), 2, 1);
+    expect(result).toEqual({ valid: false, reason: 'Move 6: Deal with an empty stock or an empty column' });
+  });
+
+  test('rejects moving face-down cards', () => {
+    const result = replaySpiderGame(SEED, [
+      { type: 'MOVE_TO_TABLEAU', source: { type: 'tableau', index: 0 }, count: 2, targetIndex: 1 }
+    ], 2, 1);
+    expect(result.valid).toBe(false);
+  });
+
+  test('rejects unknown move types', () => {
+    const result = replaySpiderGame(SEED, [{ type: 'AUTO_WIN' }], 2, 1);
+    expect(result.valid).toBe(false);
+    expect(result.reason).toContain('Unknown move type');
+  });
+});
+
+// ============================================
+// SUBMISSION VALIDATION
+// ============================================
+
+describe('validateSpiderGame', () => {
+  test('accepts an honest submission, ranked per suit count', () => {
+    const result = validateSpiderGame(createSubmission(PLAYED), { session: SESSION });
+    expect(result.valid).toBe(true);
+    expect(result.variant).toBe('1-SUIT');
+  });
+
+  test('replays a 4-suit game under its suit count', () => {
+    const played = playGreedyGame(SEED, 4);
+    expect(validateSpiderGame(createSubmission(played), { session: SESSION }).variant).toBe('4-SUIT');
+  });
+
+  test('rejects a 1-suit game submitted as 4 suits', () => {
+    const result = validateSpiderGame(createSubmission(PLAYED, { suits: 4 }), { session: SESSION });
+    expect(result.valid).toBe(false);
+    expect(result.reason).toMatch(/^Move \d+:/);
+  });
+
+  test('rejects an inflated score', () => {
+    const submission = createSubmission(PLAYED);
+    const result = validateSpiderGame({ ...submission, score: submission.score + 100 }, { session: SESSION });
+    expect(result.valid).toBe(false);
+    expect(result.reason).toContain('Score mismatch');
+  });
+
+  test('rejects a mismatched move count', () => {
+    const submission = createSubmission(PLAYED);
+    const result = validateSpiderGame({ ...submission, moves: submission.moves + 5, timeSeconds: 1000 }, { session: SESSION });
+    expect(result.valid).toBe(false);
+    expect(result.reason).toContain('Move count mismatch');
+  });
+
+  test('rejects an unsupported suit count', () => {
+    const result = validateSpiderGame(createSubmission(PLAYED, { suits: 3 }), { session: SESSION });
+    expect(result.valid).toBe(false);
+    expect(result.reason).toMatch(/^Invalid suits:/);
+  });
+
+  test('rejects submissions without a move log', () => {
+    const result = validateSpiderGame(createSubmission(PLAYED, { moveHistory: undefined }), { session: SESSION });
+    expect(result.valid).toBe(false);
+    expect(result.reason).toBe('Missing move history');
+  });
+
+  test('rejects a deck the session did not deal', () => {
+    const seed = deriveRandomValue(SERVER_SECRET, BLOCK_DATA, 'deck-shuffle');
+    const result = validateSpiderGame(createSubmission(playGreedyGame(seed), { seed }), { session: SESSION });
+    expect(result.valid).toBe(false);
+    expect(result.reason).toContain('Seed mismatch');
+  });
+
+  test('rejects submissions without a revealed session', () => {
+    expect(validateSpiderGame(createSubmission(PLAYED)).reason).toBe('Missing game session');
+    expect(validateSpiderGame(createSubmission(PLAYED, { sessionId: undefined }), { session: SESSION }).reason)
+      .toBe('Missing session ID');
+  });
+});
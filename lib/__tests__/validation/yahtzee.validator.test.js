@@ -4,12 +4,25 @@
 
 import {
   validateYahtzeeGame,
+  replayYahtzeeRolls,
+  validateTurnScores,
   validateRollSequence,
   validateCategoryScore,
   calculateMaxPossibleScore
 } from '../../validation/games/yahtzee/historyValidator.js';
 
-import { createEmptyScorecard } from '../../validation/games/yahtzee/scoringLogic.js';
+import {
+  createEmptyScorecard,
+  calculateCategoryScore,
+  calculateGrandTotal,
+  calculateUpperTotal,
+  calculateLowerTotal,
+  calculateUpperBonus,
+  UPPER_CATEGORIES,
+  LOWER_CATEGORIES
+} from '../../../src/core/games/yahtzee/scoringLogic.js';
+import { deriveRandomValue, hashSecret } from '../../../src/core/seed.js';
+import { calculateDieValue } from '../../../src/core/dice.js';
 
 // ============================================
 // TEST HELPERS
@@ -27,6 +40,90 @@ function createMockRoll(turn, rollNumber, diceValues) {
   };
 }
 
+const SERVER_SECRET = 'yahtzee-server-secret';
+const CLIENT_SEED = 'player-seed';
+
+const BLOCK_DATA = {
+  blockHash: '7a'.repeat(32),
+  blockHeight: 1500000,
+  txHash: 'tx-yahtzee',
+  txIndex: 2,
+  timestamp: 1700000000002
+};
+
+function createSession(overrides = {}) {
+  return {
+    session_id: 'session-yz-1',
+    game_type: 'yahtzee',
+    server_secret: SERVER_SECRET,
+    secret_hash: hashSecret(SERVER_SECRET),
+    client_seed: CLIENT_SEED,
+    block_hash: BLOCK_DATA.blockHash,
+    block_height: BLOCK_DATA.blockHeight,
+    tx_hash: BLOCK_DATA.txHash,
+    tx_index: BLOCK_DATA.txIndex,
+    timestamp: BLOCK_DATA.timestamp,
+    ended_at: '2026-01-01T00:00:00.000Z',
+    ...overrides
+  };
+}
+
+// Turn N is scored in the Nth category
+const CATEGORY_ORDER = [...UPPER_CATEGORIES, ...LOWER_CATEGORIES];
+
+/**
+ * Roll every turn the way YahtzeeGame does: `turn-N-roll-K`, with the
+ * held dice keeping their value, recorded like createRollRecord, and the
+ * scored category on the turn's last roll like handleScore
+ * @param {number} rollsPerTurn - Rolls taken each turn
+ * @param {boolean[]} held - Dice held before rolls 2 and 3
+ * @param {number} turns - Turns played
+ */
+function playRolls(rollsPerTurn = 1, held = [false, false, false, false, false], turns = 13) {
+  const rollHistory = [];
+
+  for (let turn = 1; turn <= turns; turn++) {
+    let values = null;
+    for (let roll = 1; roll <= rollsPerTurn; roll++) {
+      const heldNow = roll === 1 ? [false, false, false, false, false] : held;
+      const random = deriveRandomValue(SERVER_SECRET, BLOCK_DATA, `turn-${turn}-roll-${roll}`, CLIENT_SEED);
+      values = values === null
+        ? [0, 1, 2, 3, 4].map(i => calculateDieValue(random, i))
+        : values.map((value, i) => (heldNow[i] ? value : calculateDieValue(random, i)));
+      rollHistory.push({ turn, roll, held: heldNow, diceValues: values });
+    }
+    rollHistory[rollHistory.length - 1].category = CATEGORY_ORDER[turn - 1];
+  }
+
+  return rollHistory;
+}
+
+/**
+ * Score each turn's final dice in its recorded category
+ * @param {Array} rollHistory - Rolls from playRolls
+ * @returns {Object} Scorecard
+ */
+function scoreRolls(rollHistory) {
+  const scorecard = createEmptyScorecard();
+  for (const roll of rollHistory) {
+    if (roll.category) {
+      const dice = roll.diceValues.map((value, id) => ({ id, value, isHeld: false }));
+      scorecard[roll.category] = calculateCategoryScore(roll.category, dice);
+    }
+  }
+  return scorecard;
+}
+
+/**
+ * Validate a complete game played from the test session
+ */
+function validateSessionGame(scorecard, score, rollHistory = playRolls(), session = createSession()) {
+  return validateYahtzeeGame(
+    { sessionId: 'session-yz-1', rollHistory, scorecard, score },
+    { session }
+  );
+}
+
 function createCompleteScorecard() {
   return {
     ones: 3,
@@ -52,19 +149,13 @@ function createCompleteScorecard() {
 
 describe('validateYahtzeeGame', () => {
   test('validates complete valid game', () => {
-    const scorecard = createCompleteScorecard();
-    const rollHistory = Array.from({ length: 13 }, (_, i) =>
-      createMockRoll(i + 1, 1, [1, 2, 3, 4, 5])
-    );
+    const scorecard = scoreRolls(playRolls());
+    const score = calculateGrandTotal(scorecard);
 
-    const result = validateYahtzeeGame({
-      rollHistory,
-      scorecard,
-      score: 248
-    });
+    const result = validateSessionGame(scorecard, score);
 
     expect(result.valid).toBe(true);
-    expect(result.calculatedScore).toBe(248);
+    expect(result.calculatedScore).toBe(score);
   });
 
   test('rejects missing roll history', () => {
@@ -179,54 +270,210 @@ describe('validateYahtzeeGame', () => {
   });
 
   test('includes detailed score breakdown', () => {
-    const scorecard = createCompleteScorecard();
-    const rollHistory = Array.from({ length: 13 }, (_, i) =>
-      createMockRoll(i + 1, 1, [1, 2, 3, 4, 5])
-    );
+    const scorecard = scoreRolls(playRolls());
+    const score = calculateGrandTotal(scorecard);
 
-    const result = validateYahtzeeGame({
-      rollHistory,
-      scorecard,
-      score: 248
-    });
+    const result = validateSessionGame(scorecard, score);
 
     expect(result.valid).toBe(true);
-    expect(result.details.upperTotal).toBe(98);
-    expect(result.details.lowerTotal).toBe(150);
-    expect(result.details.upperBonus).toBe(35);
-    expect(result.details.grandTotal).toBe(248);
-  });
-
-  test('validates perfect game (375)', () => {
-    const scorecard = {
-      ones: 5,
-      twos: 10,
-      threes: 15,
-      fours: 20,
-      fives: 25,
-      sixes: 30,  // Upper = 105 + 35 bonus = 140
-      threeOfAKind: 30,
-      fourOfAKind: 30,
-      fullHouse: 25,
-      smallStraight: 30,
-      largeStraight: 40,
-      yahtzee: 50,
-      chance: 30,
-      yahtzeeBonusCount: 0  // Lower = 235, Total = 375
-    };
+    expect(result.details.upperTotal).toBe(calculateUpperTotal(scorecard));
+    expect(result.details.lowerTotal).toBe(calculateLowerTotal(scorecard));
+    expect(result.details.upperBonus).toBe(calculateUpperBonus(scorecard));
+    expect(result.details.grandTotal).toBe(score);
+  });
 
-    const rollHistory = Array.from({ length: 13 }, (_, i) =>
-      createMockRoll(i + 1, 1, [6, 6, 6, 6, 6])
-    );
+  test('validates a game with held dice and three rolls per turn', () => {
+    const rollHistory = playRolls(3, [true, true, false, false, true]);
+    const scorecard = scoreRolls(rollHistory);
+    const score = calculateGrandTotal(scorecard);
 
-    const result = validateYahtzeeGame({
-      rollHistory,
-      scorecard,
-      score: 375
-    });
+    const result = validateSessionGame(scorecard, score, rollHistory);
 
     expect(result.valid).toBe(true);
-    expect(result.calculatedScore).toBe(375);
+    expect(result.calculatedScore).toBe(score);
+  });
+});
+
+// ============================================
+// SESSION REPLAY TESTS
+// ============================================
+
+describe('validateYahtzeeGame session replay', () => {
+  test('requires a session ID', () => {
+    const result = validateYahtzeeGame({ rollHistory: playRolls(), scorecard: createCompleteScorecard(), score: 248 });
+
+    expect(result.valid).toBe(false);
+    expect(result.reason).toBe('Missing session ID');
+  });
+
+  test('requires the revealed session', () => {
+    const result = validateSessionGame(createCompleteScorecard(), 248, playRolls(), null);
+
+    expect(result.valid).toBe(false);
+    expect(result.reason).toBe('Missing game session');
+  });
+
+  test('rejects a session that has not been revealed', () => {
+    const result = validateSessionGame(createCompleteScorecard(), 248, playRolls(), createSession({ ended_at: null }));
+
+    expect(result.valid).toBe(false);
+    expect(result.reason).toContain('has not ended');
+  });
+
+  test('rejects a secret that does not match its commitment', () => {
+    const result = validateSessionGame(createCompleteScorecard(), 248, playRolls(), createSession({ server_secret: 'forged' }));
+
+    expect(result.valid).toBe(false);
+    expect(result.reason).toContain('does not match its commitment');
+  });
+
+  test('rejects a session from another game', () => {
+    const result = validateSessionGame(createCompleteScorecard(), 248, playRolls(), createSession({ game_type: 'backgammon' }));
+
+    expect(result.valid).toBe(false);
+    expect(result.reason).toContain('not yahtzee');
+  });
+
+  test('rejects dice that did not come from the session', () => {
+    const rollHistory = playRolls();
+    rollHistory[4] = { ...rollHistory[4], diceValues: [6, 6, 6, 6, 6] };
+
+    const result = validateSessionGame(createCompleteScorecard(), 248, rollHistory);
+
+    expect(result.valid).toBe(false);
+    expect(result.reason).toContain('Roll turn-5-roll-1');
+    expect(result.reason).toContain('do not match revealed roll');
+  });
+
+  test('rejects a game that skipped turns', () => {
+    const result = validateSessionGame(createCompleteScorecard(), 248, playRolls(3, [false, false, false, false, false], 12));
+
+    expect(result.valid).toBe(false);
+    expect(result.reason).toBe('Expected 13 turns, got 12');
+  });
+});
+
+// ============================================
+// TURN SCORE TESTS
+// ============================================
+
+describe('validateYahtzeeGame turn scores', () => {
+  test('rejects a category score the final dice do not give', () => {
+    const rollHistory = playRolls();
+    const scorecard = scoreRolls(rollHistory);
+    scorecard.chance += 1;
+
+    const result = validateSessionGame(scorecard, calculateGrandTotal(scorecard), rollHistory);
+
+    expect(result.valid).toBe(false);
+    expect(result.reason).toBe(
+      `Turn 13: Category chance score mismatch: expected ${scorecard.chance - 1}, got ${scorecard.chance}`
+    );
+  });
+
+  test('rejects a turn without a scored category', () => {
+    const rollHistory = playRolls();
+    const scorecard = scoreRolls(rollHistory);
+    delete rollHistory[4].category;
+
+    const result = validateSessionGame(scorecard, calculateGrandTotal(scorecard), rollHistory);
+
+    expect(result.valid).toBe(false);
+    expect(result.reason).toBe('Turn 5 has no scored category');
+  });
+
+  test('rejects a category scored twice', () => {
+    const rollHistory = playRolls();
+    const scorecard = scoreRolls(rollHistory);
+    rollHistory[1].category = 'ones';
+
+    const result = validateSessionGame(scorecard, calculateGrandTotal(scorecard), rollHistory);
+
+    expect(result.valid).toBe(false);
+    expect(result.reason).toBe('Turn 2 scored ones a second time');
+  });
+
+  test('rejects a Yahtzee bonus that was never rolled', () => {
+    const rollHistory = playRolls();
+    const scorecard = { ...scoreRolls(rollHistory), yahtzeeBonusCount: 1 };
+
+    const result = validateSessionGame(scorecard, calculateGrandTotal(scorecard), rollHistory);
+
+    expect(result.valid).toBe(false);
+    expect(result.reason).toBe('Yahtzee bonus mismatch: claimed 1, rolled 0');
+  });
+});
+
+describe('validateTurnScores', () => {
+  const yahtzeeTurn = (turn, category, value) => ({ turn, roll: 1, category, diceValues: [value, value, value, value, value] });
+
+  test('counts extra Yahtzees after a 50 in the yahtzee box', () => {
+    const rollHistory = [yahtzeeTurn(1, 'yahtzee', 4), yahtzeeTurn(2, 'fours', 4), yahtzeeTurn(3, 'chance', 2)];
+    const scorecard = { ...createEmptyScorecard(), yahtzee: 50, fours: 20, chance: 10 };
+
+    expect(validateTurnScores(rollHistory, scorecard).reason).toBe('Yahtzee bonus mismatch: claimed 0, rolled 2');
+    expect(validateTurnScores(rollHistory, { ...scorecard, yahtzeeBonusCount: 2 })).toEqual({ valid: true });
+  });
+
+  test('gives no bonus for a Yahtzee rolled before the yahtzee box was filled', () => {
+    const rollHistory = [yahtzeeTurn(1, 'fours', 4), yahtzeeTurn(2, 'yahtzee', 4)];
+    const scorecard = { ...createEmptyScorecard(), yahtzee: 50, fours: 20 };
+
+    expect(validateTurnScores(rollHistory, scorecard)).toEqual({ valid: true });
+  });
+});
+
+describe('replayYahtzeeRolls', () => {
+  const replay = rollHistory => replayYahtzeeRolls(SERVER_SECRET, BLOCK_DATA, rollHistory, CLIENT_SEED);
+
+  test('keeps held dice and re-rolls the rest', () => {
+    expect(replay(playRolls(3, [true, false, true, false, false]))).toEqual({ valid: true, turns: 13 });
+  });
+
+  test('rejects a held die that changed value', () => {
+    const rollHistory = playRolls(2, [true, false, false, false, false], 1);
+    const claimed = [...rollHistory[1].diceValues];
+    claimed[0] = (claimed[0] % 6) + 1;
+    rollHistory[1] = { ...rollHistory[1], diceValues: claimed };
+
+    expect(replay(rollHistory).reason).toContain('Roll turn-1-roll-2: dice');
+  });
+
+  test('rejects re-rolled dice claimed from the previous roll', () => {
+    const rollHistory = playRolls(2, [false, false, false, false, false], 1);
+    rollHistory[1] = { ...rollHistory[1], diceValues: rollHistory[0].diceValues };
+
+    expect(replay(rollHistory).valid).toBe(false);
+  });
+
+  test('rejects holds before the first roll of a turn', () => {
+    const rollHistory = playRolls(1, undefined, 1);
+    rollHistory[0] = { ...rollHistory[0], held: [true, false, false, false, false] };
+
+    expect(replay(rollHistory).reason).toContain('cannot be held before the first roll');
+  });
+
+  test('rejects rolls out of order', () => {
+    const rollHistory = playRolls(1, undefined, 3);
+
+    expect(replay([rollHistory[0], rollHistory[2]]).reason)
+      .toBe('Roll turn-3-roll-1 is out of order (expected turn-1-roll-2 or turn-2-roll-1)');
+  });
+
+  test('rejects rolls derived without the player seed', () => {
+    const result = replayYahtzeeRolls(SERVER_SECRET, BLOCK_DATA, playRolls(1, undefined, 1), null);
+
+    expect(result.valid).toBe(false);
+  });
+
+  test('accepts dice objects', () => {
+    const rollHistory = playRolls(1, undefined, 1).map(roll => ({
+      turn: roll.turn,
+      rollNumber: roll.roll,
+      dice: roll.diceValues.map((value, id) => ({ id, value, isHeld: false }))
+    }));
+
+    expect(replay(rollHistory).valid).toBe(true);
   });
 });
 
@@ -0,0 +1,328 @@
+/**
+ * Tests for the Offline Game Verifier
+ */
+
+import { verifyRecord, normalizeRecord, formatReport } from '../../verifier/index.js';
+import { createBlockCache, verifyCachedBlock } from '../../verifier/blockCache.js';
+
+import { deriveRandomValue, hashSecret } from '../../../src/core/seed.js';
+import { shuffleDeck } from '../../../src/core/shuffle.js';
+import { rollDiceFromHash } from '../../../src/core/dice.js';
+import { hashChainCommitment, revealedChainRandom } from '../../../src/core/hashChain.js';
+
+// ============================================
+// TEST HELPERS
+// ============================================
+
+const SERVER_SECRET = '7a'.repeat(32);
+const TX_IDS = ['tx-a', 'tx-b', 'tx-c', 'tx-d', 'tx-e'];
+const TIMESTAMP = 1700000000002; // % 5 → tx-c
+
+const BLOCK_DATA = {
+  blockHash: 'b1'.repeat(32),
+  blockHeight: 1234567,
+  txHash: 'tx-c',
+  txIndex: 2,
+  timestamp: TIMESTAMP
+};
+
+// Explorer /api/v1/blocks/{id} response shape
+const BLOCK_CACHE = createBlockCache([{
+  block: {
+    header: { id: BLOCK_DATA.blockHash, height: BLOCK_DATA.blockHeight, timestamp: TIMESTAMP },
+    blockTransactions: TX_IDS.map(id => ({ id }))
+  }
+}]);
+
+function random(purpose) {
+  return deriveRandomValue(SERVER_SECRET, BLOCK_DATA, purpose);
+}
+
+function createRevealPayload(overrides = {}) {
+  return {
+    sessionId: 'session-1',
+    serverSecret: SERVER_SECRET,
+    secretHash: hashSecret(SERVER_SECRET),
+    ...BLOCK_DATA,
+    rngVersion: 2,
+    ...overrides
+  };
+}
+
+// Response body of /api/game/end (api/game/end.js), as saved by the player
+function createEndResponse(ledger) {
+  return {
+    sessionId: 'session-1',
+    serverSecret: SERVER_SECRET,
+    secretHash: hashSecret(SERVER_SECRET),
+    clientSeed: null,
+    rngMode: 'commit-reveal',
+    chainLength: null,
+    chainPosition: 0,
+    rngVersion: 2,
+    beacon: 'ergo-explorer',
+    targetBlockHeight: BLOCK_DATA.blockHeight,
+    ...BLOCK_DATA,
+    txCount: TX_IDS.length,
+    ledger,
+    seedBatch: null,
+    gameType: 'solitaire',
+    startedAt: '2026-01-01T00:00:00.000Z',
+    endedAt: '2026-01-01T00:05:00.000Z',
+    verification: {
+      message: 'Verify: SHA256(serverSecret) === secretHash',
+      exploreBlock: `https://explorer.ergoplatform.com/en/blocks/${BLOCK_DATA.blockHash}`,
+      exploreTx: `https://explorer.ergoplatform.com/en/transactions/${BLOCK_DATA.txHash}`
+    }
+  };
+}
+
+function statusOf(report, name) {
+  return report.checks.find(c => c.name === name)?.status;
+}
+
+// ============================================
+// BLOCK CACHE
+// ============================================
+
+describe('verifyCachedBlock', () => {
+  test('accepts matching anchor data', () => {
+    expect(verifyCachedBlock(BLOCK_CACHE, BLOCK_DATA).valid).toBe(true);
+  });
+
+  test('rejects unknown block', () => {
+    const result = verifyCachedBlock(BLOCK_CACHE, { ...BLOCK_DATA, blockHash: 'ff'.repeat(32) });
+    expect(result.valid).toBe(false);
+    expect(result.reason).toContain('not in local cache');
+  });
+
+  test('rejects height mismatch', () => {
+    expect(verifyCachedBlock(BLOCK_CACHE, { ...BLOCK_DATA, blockHeight: 1 }).valid).toBe(false);
+  });
+
+  test('rejects transaction not selected by timestamp', () => {
+    const result = verifyCachedBlock(BLOCK_CACHE, { ...BLOCK_DATA, txHash: 'tx-a', txIndex: 0 });
+    expect(result.valid).toBe(false);
+    expect(result.reason).toContain('deterministically');
+  });
+
+  test('accepts flat cache entries keyed by hash', () => {
+    const cache = createBlockCache({
+      [BLOCK_DATA.blockHash]: { ...BLOCK_DATA, txIds: TX_IDS }
+    });
+    expect(verifyCachedBlock(cache, BLOCK_DATA).valid).toBe(true);
+  });
+});
+
+// ============================================
+// RECORD NORMALIZATION
+// ============================================
+
+describe('normalizeRecord', () => {
+  test('reads a client session export', () => {
+    const record = normalizeRecord({
+      sessionId: 'session-1',
+      blockData: BLOCK_DATA,
+      purposes: [{ purpose: 'deck-shuffle', random: 'abc' }],
+      revealed: createRevealPayload()
+    }, 'solitaire');
+
+    expect(record.kind).toBe('reveal');
+    expect(record.blockData.blockHash).toBe(BLOCK_DATA.blockHash);
+    expect(record.purposes).toEqual([{ purpose: 'deck-shuffle', random: 'abc' }]);
+  });
+
+  test('reads the served values from an /api/game/end ledger', () => {
+    const record = normalizeRecord(createEndResponse([
+      { nonce: 1, purpose: 'deck-shuffle', random: 'abc', requestedAt: '2026-01-01T00:00:01.000Z' }
+    ]), 'solitaire');
+
+    expect(record.game).toBe('solitaire');
+    expect(record.purposes).toEqual([{ purpose: 'deck-shuffle', random: 'abc' }]);
+    expect(record.submission.ledger).toBeUndefined();
+  });
+
+  test('deals revealed sessions with v2 unless they record a version', () => {
+    const { rngVersion, ...unversioned } = createEndResponse([]);
+    expect(normalizeRecord(unversioned, 'solitaire').rngVersion).toBe(rngVersion);
+    expect(normalizeRecord({ ...unversioned, rngVersion: 1 }, 'solitaire').rngVersion).toBe(1);
+  });
+
+  test('treats rows without a secret as leaderboard rows', () => {
+    const record = normalizeRecord({ gameId: 'SOL-1-abc', game: 'solitaire', ...BLOCK_DATA, score: 10 });
+    expect(record.kind).toBe('leaderboard');
+    expect(record.rngVersion).toBe(1);
+    expect(record.submission.score).toBe(10);
+  });
+});
+
+// ============================================
+// FULL VERIFICATION
+// ============================================
+
+describe('verifyRecord', () => {
+  test('passes an honest solitaire game', async () => {
+    const deck = shuffleDeck(random('deck-shuffle'), 2);
+    const report = await verifyRecord('solitaire', createRevealPayload({
+      gameId: 'SOL-1700000000000-abc123',
+      purposes: [{ purpose: 'deck-shuffle', random: random('deck-shuffle') }],
+      gameData: { deck, seed: random('deck-shuffle'), moveHistory: [], score: 0, moves: 0, timeSeconds: 30 }
+    }), { blockCache: BLOCK_CACHE });
+
+    expect(report.passed).toBe(true);
+    expect(statusOf(report, 'commitment')).toBe('pass');
+    expect(statusOf(report, 'block')).toBe('pass');
+    expect(statusOf(report, 'random values')).toBe('pass');
+    expect(statusOf(report, 'deck')).toBe('pass');
+    expect(statusOf(report, 'rules')).toBe('pass');
+  });
+
+  test('fails when the secret does not match the commitment', async () => {
+    const report = await verifyRecord('solitaire', createRevealPayload({ secretHash: hashSecret('other') }));
+    expect(report.passed).toBe(false);
+    expect(statusOf(report, 'commitment')).toBe('fail');
+  });
+
+  test('checks hash-chain sessions against the chain commitment', async () => {
+    const round1 = revealedChainRandom(SERVER_SECRET, 20, BLOCK_DATA, 1);
+    const round2 = revealedChainRandom(SERVER_SECRET, 20, BLOCK_DATA, 2);
+    const deck = shuffleDeck(round1, 2);
+    const report = await verifyRecord('solitaire', createRevealPayload({
+      gameId: 'SOL-1700000000000-abc123',
+      secretHash: hashChainCommitment(SERVER_SECRET, 20),
+      rngMode: 'hash-chain',
+      chainLength: 20,
+      chainPosition: 2,
+      purposes: [{ nonce: 1, purpose: 'chain-1', random: round1 }, { nonce: 2, purpose: 'chain-2', random: round2 }],
+      gameData: { deck, seed: round1, moveHistory: [], score: 0, moves: 0, timeSeconds: 30 }
+    }), { blockCache: BLOCK_CACHE });
+
+    expect(statusOf(report, 'commitment')).toBe('pass');
+    expect(statusOf(report, 'random values')).toBe('pass');
+    expect(statusOf(report, 'deck')).toBe('pass');
+    expect(report.passed).toBe(true);
+
+    const unchained = await verifyRecord('solitaire', createRevealPayload({ rngMode: 'hash-chain', chainLength: 20 }));
+    expect(statusOf(unchained, 'commitment')).toBe('fail');
+  });
+
+  test('verifies an /api/game/end response', async () => {
+    const ledger = [{ nonce: 1, purpose: 'deck-shuffle', random: random('deck-shuffle'), requestedAt: '2026-01-01T00:00:01.000Z' }];
+    const report = await verifyRecord('solitaire', createEndResponse(ledger), { blockCache: BLOCK_CACHE });
+
+    expect(statusOf(report, 'commitment')).toBe('pass');
+    expect(statusOf(report, 'block')).toBe('pass');
+    expect(statusOf(report, 'random values')).toBe('pass');
+    expect(report.passed).toBe(true);
+
+    const tampered = await verifyRecord('solitaire', createEndResponse([{ ...ledger[0], random: 'ff'.repeat(32) }]));
+    expect(statusOf(tampered, 'random values')).toBe('fail');
+  });
+
+  test('fails when a served random value was tampered with', async () => {
+    const report = await verifyRecord('solitaire', createRevealPayload({
+      purposes: [{ purpose: 'deck-shuffle', random: 'ff'.repeat(32) }]
+    }));
+    expect(statusOf(report, 'random values')).toBe('fail');
+  });
+
+  test('recomputes random values with the client seed', async () => {
+    const seeded = deriveRandomValue(SERVER_SECRET, BLOCK_DATA, 'deck-shuffle', 'player-seed');
+
+    const report = await verifyRecord('solitaire', createRevealPayload({
+      clientSeed: 'player-seed',
+      purposes: [{ purpose: 'deck-shuffle', random: seeded }]
+    }));
+    expect(statusOf(report, 'random values')).toBe('pass');
+
+    const unseeded = await verifyRecord('solitaire', createRevealPayload({
+      purposes: [{ purpose: 'deck-shuffle', random: seeded }]
+    }));
+    expect(statusOf(unseeded, 'random values')).toBe('fail');
+  });
+
+  test('fails when the dealt deck differs from the recomputed shuffle', async () => {
+    const deck = shuffleDeck(random('deck-shuffle'), 2);
+    [deck[0], deck[1]] = [deck[1], deck[0]];
+
+    const report = await verifyRecord('solitaire', createRevealPayload({ gameData: { deck } }));
+    expect(statusOf(report, 'deck')).toBe('fail');
+  });
+
+  test('checks backgammon dice against roll history', async () => {
+    const rolls = [1, 2, 3].map(n => rollDiceFromHash(random(`roll-${n}`), 2));
+    const rollHistory = rolls.map(dice => ({ dice }));
+    rollHistory[2] = { dice: [rolls[2][0] % 6 + 1, rolls[2][1]] };
+
+    const report = await verifyRecord('backgammon', createRevealPayload({
+      purposes: ['roll-1', 'roll-2', 'roll-3'],
+      gameData: { rollHistory }
+    }));
+
+    expect(statusOf(report, 'dice roll-1')).toBe('pass');
+    expect(statusOf(report, 'dice roll-2')).toBe('pass');
+    expect(statusOf(report, 'dice roll-3')).toBe('fail');
+  });
+
+  test('fails leaderboard rows that reveal no secret', async () => {
+    const report = await verifyRecord('solitaire', {
+      gameId: 'SOL-1700000000000-abc123',
+      game: 'solitaire',
+      ...BLOCK_DATA,
+      score: 10,
+      moves: 40,
+      timeSeconds: 200
+    }, { blockCache: BLOCK_CACHE });
+
+    expect(report.passed).toBe(false);
+    expect(statusOf(report, 'commitment')).toBe('fail');
+    expect(statusOf(report, 'random values')).toBe('fail');
+    expect(statusOf(report, 'deck')).toBe('skip');
+    expect(statusOf(report, 'block')).toBe('pass');
+  });
+
+  test('fails a made-up record', async () => {
+    const report = await verifyRecord('solitaire', {
+      game: 'solitaire',
+      gameId: 'SOL-1700000000000-abc123',
+      score: 52,
+      blockHash: 'abc'
+    });
+
+    expect(report.passed).toBe(false);
+    expect(statusOf(report, 'commitment')).toBe('fail');
+    expect(statusOf(report, 'block')).toBe('fail');
+  });
+
+  test('fails a record with every field missing', async () => {
+    const report = await verifyRecord('solitaire', {}, { blockCache: BLOCK_CACHE });
+
+    expect(report.passed).toBe(false);
+    expect(statusOf(report, 'commitment')).toBe('fail');
+    expect(statusOf(report, 'block')).toBe('fail');
+    expect(statusOf(report, 'random values')).toBe('fail');
+    expect(formatReport(report)).toContain('Result: FAIL');
+  });
+
+  test('fails a revealed secret without its purposes', async () => {
+    const report = await verifyRecord('solitaire', createRevealPayload());
+    expect(report.passed).toBe(false);
+    expect(statusOf(report, 'commitment')).toBe('pass');
+    expect(statusOf(report, 'random values')).toBe('fail');
+  });
+
+  test('skips secret checks for games without a session', async () => {
+    const report = await verifyRecord('2048', { gameId: '2048-1700000000000-abc123', ...BLOCK_DATA });
+    expect(statusOf(report, 'commitment')).toBe('skip');
+    expect(statusOf(report, 'random values')).toBe('skip');
+  });
+
+  test('formats a readable report', async () => {
+    const report = await verifyRecord('solitaire', createRevealPayload({
+      purposes: [{ purpose: 'deck-shuffle', random: random('deck-shuffle') }]
+    }));
+    const text = formatReport(report);
+    expect(text).toContain('[PASS] commitment');
+    expect(text).toContain('Result: PASS');
+  });
+});
@@ -0,0 +1,192 @@
+/**
+ * Future-Block Anchoring
+ *
+ * /api/game/start commits to a target height (current height + depth)
+ * alongside the secret hash. The session is anchored to whatever block is
+ * mined at that height, fetched by the server, so neither the client nor
+ * the server can pick a favorable block after the commitment.
+ *
+ * Where blocks come from is pluggable (src/core/beacons): RANDOMNESS_BEACON
+ * picks the provider for new sessions and /api/game/start records it on the
+ * session, so a session is always anchored and verified against the beacon
+ * it committed to. Ergo transaction selection matches
+ * src/blockchain/ergo-api.js: txIndex = header timestamp % txCount.
+ *
+ * Ergo blocks can be orphaned by a reorg. Anchoring waits for
+ * ANCHOR_CONFIRMATIONS blocks on top of the target, and
+ * /api/cron/verify-anchors re-checks anchored sessions until they are
+ * ANCHOR_FINALITY_DEPTH deep, flagging any whose block left the main chain.
+ */
+
+import { DEFAULT_BEACON, BEACON_NAMES, getBeacon } from '../src/core/beacons/index.js';
+
+// Blocks between the commitment and the anchor block
+export const DEFAULT_ANCHOR_DEPTH = 1;
+
+// Blocks on top of the anchor before it's used. Each one adds ~2 minutes
+// to game start; without them, values could be served from a block that is
+// later orphaned and only flagged after the game by the reorg check
+export const DEFAULT_ANCHOR_CONFIRMATIONS = 2;
+
+// Depth after which an anchor is treated as final and no longer re-checked
+export const DEFAULT_ANCHOR_FINALITY_DEPTH = 30;
+
+// game_sessions.anchor_status (supabase-migrations/013)
+export const ANCHOR_STATUS_UNCHECKED = 'unchecked';
+export const ANCHOR_STATUS_CONFIRMED = 'confirmed';
+export const ANCHOR_STATUS_ORPHANED = 'orphaned';
+
+/**
+ * Anchor depth from BLOCK_ANCHOR_DEPTH (falls back to the default)
+ * @returns {number}
+ */
+export function getAnchorDepth() {
+  const depth = parseInt(process.env.BLOCK_ANCHOR_DEPTH, 10);
+  return Number.isInteger(depth) && depth > 0 ? depth : DEFAULT_ANCHOR_DEPTH;
+}
+
+/**
+ * Confirmations required before anchoring, from ANCHOR_CONFIRMATIONS
+ * @returns {number}
+ */
+export function getAnchorConfirmations() {
+  const confirmations = parseInt(process.env.ANCHOR_CONFIRMATIONS, 10);
+  return Number.isInteger(confirmations) && confirmations >= 0 ? confirmations : DEFAULT_ANCHOR_CONFIRMATIONS;
+}
+
+/**
+ * Finality depth from ANCHOR_FINALITY_DEPTH
+ * @returns {number}
+ */
+export function getAnchorFinalityDepth() {
+  const depth = parseInt(process.env.ANCHOR_FINALITY_DEPTH, 10);
+  return Number.isInteger(depth) && depth > 0 ? depth : DEFAULT_ANCHOR_FINALITY_DEPTH;
+}
+
+/**
+ * Beacon for new sessions from RANDOMNESS_BEACON (falls back to the default)
+ * @returns {string} Beacon name
+ * @throws {Error} If RANDOMNESS_BEACON names an unknown beacon, or the
+ *   local mock in production
+ */
+export function getBeaconName() {
+  const name = process.env.RANDOMNESS_BEACON || DEFAULT_BEACON;
+
+  if (!BEACON_NAMES.includes(name)) {
+    throw new Error(`Unknown RANDOMNESS_BEACON: ${name}`);
+  }
+
+  // Mock rounds are predictable; never anchor real games to them
+  if (name === 'local-mock' && process.env.NODE_ENV === 'production') {
+    throw new Error('The local-mock beacon cannot be used in production');
+  }
+
+  return name;
+}
+
+/**
+ * Current round (block height) of a beacon
+ * @param {string} beaconName - Beacon name (defaults to RANDOMNESS_BEACON)
+ * @returns {Promise<number>}
+ * @throws {Error} If the height cannot be read
+ */
+export async function getCurrentHeight(beaconName = getBeaconName()) {
+  return getBeacon(beaconName).getLatestRound();
+}
+
+/**
+ * Anchor data for the block (round) at a height
+ * @param {number} height - Target height
+ * @param {string} beaconName - Beacon the session committed to
+ *   (defaults to the Ergo explorer, as for sessions that predate beacons)
+ * @returns {Promise<Object|null>} blockData, or null if not mined yet
+ * @throws {Error} If the beacon is unreachable or returns bad data
+ */
+export async function fetchAnchorBlock(height, beaconName = DEFAULT_BEACON) {
+  return getBeacon(beaconName).fetchRound(height);
+}
+
+/**
+ * Anchor data for a target height once it has enough confirmations
+ * Beacons whose rounds are final (drand) don't wait.
+ * @param {number} height - Target height
+ * @param {string} beaconName - Beacon the session committed to
+ * @param {number} confirmations - Blocks required on top of the target
+ * @returns {Promise<Object|null>} blockData, or null if not mined or not yet confirmed
+ * @throws {Error} If the beacon is unreachable or returns bad data
+ */
+export async function fetchConfirmedAnchorBlock(height, beaconName = DEFAULT_BEACON, confirmations = getAnchorConfirmations()) {
+  if (confirmations > 0 && getBeacon(beaconName).reorgable) {
+    const currentHeight = await getCurrentHeight(beaconName);
+    if (currentHeight < height + confirmations) {
+      return null;
+    }
+  }
+
+  return fetchAnchorBlock(height, beaconName);
+}
+
+/**
+ * Re-check an anchored session against its beacon
+ * @param {Object} session - Anchored game_sessions row
+ * @param {number} currentHeight - Beacon's current height
+ * @param {number} finalityDepth - Depth at which the anchor is final
+ * @returns {Promise<{status: string, replacedBy: string|null}>}
+ *   orphaned: another block is now at the anchor height (replacedBy);
+ *   confirmed: still there and final; unchecked: still there, check again later
+ * @throws {Error} If the beacon is unreachable
+ */
+export async function checkAnchor(session, currentHeight, finalityDepth = getAnchorFinalityDepth()) {
+  const beacon = getBeacon(session.beacon);
+  const current = await beacon.fetchRound(Number(session.block_height));
+
+  // Chain briefly shorter than the anchor height mid-reorg: look again later
+  if (!current) {
+    return { status: ANCHOR_STATUS_UNCHECKED, replacedBy: null };
+  }
+
+  if (current.blockHash !== session.block_hash) {
+    return { status: ANCHOR_STATUS_ORPHANED, replacedBy: current.blockHash };
+  }
+
+  const final = !beacon.reorgable || currentHeight - Number(session.block_height) >= finalityDepth;
+  return { status: final ? ANCHOR_STATUS_CONFIRMED : ANCHOR_STATUS_UNCHECKED, replacedBy: null };
+}
+
+/**
+ * Block data stored on an anchored game_sessions row
+ * @param {Object} session - game_sessions row
+ * @returns {Object|null} blockData, or null if not anchored yet
+ */
+export function sessionBlockData(session) {
+  if (!session.block_hash) {
+    return null;
+  }
+
+  return {
+    blockHeight: session.block_height,
+    blockHash: session.block_hash,
+    timestamp: session.timestamp,
+    txCount: session.tx_count,
+    txHash: session.tx_hash,
+    txIndex: session.tx_index
+  };
+}
+
+export default {
+  DEFAULT_ANCHOR_DEPTH,
+  DEFAULT_ANCHOR_CONFIRMATIONS,
+  DEFAULT_ANCHOR_FINALITY_DEPTH,
+  ANCHOR_STATUS_UNCHECKED,
+  ANCHOR_STATUS_CONFIRMED,
+  ANCHOR_STATUS_ORPHANED,
+  getAnchorDepth,
+  getAnchorConfirmations,
+  getAnchorFinalityDepth,
+  getBeaconName,
+  getCurrentHeight,
+  fetchAnchorBlock,
+  fetchConfirmedAnchorBlock,
+  checkAnchor,
+  sessionBlockData
+};
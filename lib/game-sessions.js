@@ -0,0 +1,350 @@
+/**
+ * Game Session Storage
+ *
+ * game_sessions holds the public commitment (secret hash, block anchor,
+ * lifecycle). The server secret lives in game_session_secrets, which has no
+ * anon/authenticated access (see supabase-migrations/005). API routes reach
+ * it through these helpers with a service-key client.
+ *
+ * game_random_requests is the append-only ledger of every value served by
+ * /api/game/random (see supabase-migrations/007), revealed at session end.
+ *
+ * resume_state is the client's snapshot of an in-progress game, so
+ * /api/game/session/:id can hand it back after a reload or on another
+ * device (see supabase-migrations/011).
+ *
+ * table_rules holds the Blackjack table rules committed at session start
+ * (see supabase-migrations/014), and game_options the Solitaire variant
+ * (see supabase-migrations/021).
+ *
+ * starting_balance is the Solitaire Vegas cumulative balance a session
+ * carried in from carried_from_session_id (see supabase-migrations/019), and
+ * player_name the player it belongs to (see supabase-migrations/020).
+ *
+ * rng_version is the shuffle RNG version the session's games are dealt with
+ * (see supabase-migrations/018).
+ *
+ * anchor_status tracks whether the anchor block is still on the main chain
+ * (see supabase-migrations/013 and /api/cron/verify-anchors).
+ */
+
+import { CURRENT_RNG_VERSION } from '../src/core/seed.js';
+
+/**
+ * Create a session and store its secret
+ * @param {Object} supabase - Service-key Supabase client
+ * @param {Object} params
+ * @param {string} params.gameType - Game type
+ * @param {string} params.serverSecret - Server secret (never returned to the client here)
+ * @param {string} params.secretHash - SHA256(serverSecret) commitment
+ * @param {number} params.targetBlockHeight - Height the session will be anchored to
+ * @param {string} params.rngMode - 'commit-reveal' or 'hash-chain'
+ * @param {number|null} params.chainLength - Chain length (hash-chain mode only)
+ * @param {string|null} params.clientSeed - Player's seed bound into every derivation
+ * @param {string|null} params.seedBatchId - Seed batch the secret was claimed from
+ * @param {number|null} params.seedBatchIndex - Leaf index of the secret in its batch
+ * @param {string} params.beacon - Randomness beacon the target height refers to
+ * @param {Object|null} params.tableRules - Blackjack table rules (validated by the caller)
+ * @param {Object|null} params.gameOptions - Solitaire game options (validated by the caller)
+ * @param {number} params.startingBalance - Solitaire Vegas cumulative balance carried in
+ * @param {string|null} params.carriedFromSessionId - Session the balance was carried from
+ * @param {string|null} params.playerName - Player the carried balance belongs to
+ * @param {number} params.rngVersion - Shuffle RNG version the session deals with
+ * @returns {Promise<{session: Object|null, error: Object|null}>}
+ */
+export async function createSession(supabase, {
+  gameType,
+  serverSecret,
+  secretHash,
+  targetBlockHeight,
+  rngMode = 'commit-reveal',
+  chainLength = null,
+  clientSeed = null,
+  seedBatchId = null,
+  seedBatchIndex = null,
+  beacon = 'ergo-explorer',
+  tableRules = null,
+  gameOptions = null,
+  startingBalance = 0,
+  carriedFromSessionId = null,
+  playerName = null,
+  rngVersion = CURRENT_RNG_VERSION
+}) {
+  const { data: session, error } = await supabase
+    .from('game_sessions')
+    .insert({
+      game_type: gameType,
+      secret_hash: secretHash,
+      target_block_height: targetBlockHeight,
+      rng_mode: rngMode,
+      chain_length: chainLength,
+      client_seed: clientSeed,
+      seed_batch_id: seedBatchId,
+      seed_batch_index: seedBatchIndex,
+      beacon,
+      table_rules: tableRules,
+      game_options: gameOptions,
+      starting_balance: startingBalance,
+      carried_from_session_id: carriedFromSessionId,
+      player_name: playerName,
+      rng_version: rngVersion
+    })
+    .select('session_id, secret_hash, target_block_height, rng_mode, chain_length, client_seed, seed_batch_id, seed_batch_index, beacon, table_rules, game_options, starting_balance, rng_version, created_at')
+    .single();
+
+  if (error) {
+    return { session: null, error };
+  }
+
+  const { error: secretError } = await supabase
+    .from('game_session_secrets')
+    .insert({
+      session_id: session.session_id,
+      server_secret: serverSecret
+    });
+
+  if (secretError) {
+    // Don't leave a commitment behind that nothing can ever reveal
+    await supabase.from('game_sessions').delete().eq('session_id', session.session_id);
+    return { session: null, error: secretError };
+  }
+
+  return { session, error: null };
+}
+
+/**
+ * Fetch a session's server secret
+ * @param {Object} supabase - Service-key Supabase client
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<string|null>}
+ */
+export async function fetchSessionSecret(supabase, sessionId) {
+  const { data, error } = await supabase
+    .from('game_session_secrets')
+    .select('server_secret')
+    .eq('session_id', sessionId)
+    .single();
+
+  if (error || !data) {
+    return null;
+  }
+
+  return data.server_secret;
+}
+
+/**
+ * Fetch a session row, optionally with its server secret merged in as
+ * `server_secret` (the shape the row had before the secret moved out)
+ * @param {Object} supabase - Service-key Supabase client
+ * @param {string} sessionId - Session ID
+ * @param {Object} options
+ * @param {boolean} options.withSecret - Also load the server secret
+ * @returns {Promise<{session: Object|null, error: Object|null}>}
+ */
+export async function fetchSession(supabase, sessionId, { withSecret = false } = {}) {
+  const { data: session, error } = await supabase
+    .from('game_sessions')
+    .select('*')
+    .eq('session_id', sessionId)
+    .single();
+
+  if (error || !session) {
+    return { session: null, error: error || { message: 'Session not found' } };
+  }
+
+  if (!withSecret) {
+    return { session, error: null };
+  }
+
+  const serverSecret = await fetchSessionSecret(supabase, sessionId);
+  if (!serverSecret) {
+    return { session: null, error: { message: 'Session secret not found' } };
+  }
+
+  return { session: { ...session, server_secret: serverSecret }, error: null };
+}
+
+/**
+ * Record the anchor block on a session (first writer wins)
+ * @param {Object} supabase - Service-key Supabase client
+ * @param {string} sessionId - Session ID
+ * @param {Object} blockData - Block fetched at the session's target height
+ * @returns {Promise<{session: Object|null, error: Object|null}>} The anchored row
+ */
+export async function anchorSession(supabase, sessionId, blockData) {
+  const { error } = await supabase
+    .from('game_sessions')
+    .update({
+      block_hash: blockData.blockHash,
+      block_height: blockData.blockHeight,
+      tx_hash: blockData.txHash,
+      tx_index: blockData.txIndex,
+      timestamp: blockData.timestamp,
+      tx_count: blockData.txCount
+    })
+    .eq('session_id', sessionId)
+    .is('block_hash', null);
+
+  if (error) {
+    return { session: null, error };
+  }
+
+  // Re-read so a concurrent anchor (same block) is returned as stored
+  return fetchSession(supabase, sessionId);
+}
+
+/**
+ * Move a hash-chain session to its next link (compare-and-set, so two
+ * concurrent requests can't both be served the same link)
+ * @param {Object} supabase - Service-key Supabase client
+ * @param {string} sessionId - Session ID
+ * @param {number} position - Position the caller read
+ * @returns {Promise<{advanced: boolean, error: Object|null}>}
+ */
+export async function advanceChain(supabase, sessionId, position) {
+  const { data, error } = await supabase
+    .from('game_sessions')
+    .update({ chain_position: position + 1 })
+    .eq('session_id', sessionId)
+    .eq('chain_position', position)
+    .select('chain_position');
+
+  if (error) {
+    return { advanced: false, error };
+  }
+
+  return { advanced: data.length === 1, error: null };
+}
+
+/**
+ * Fetch a session's random request ledger
+ * @param {Object} supabase - Service-key Supabase client
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<{ledger: Array|null, error: Object|null}>} Entries in nonce order
+ */
+export async function fetchRandomLedger(supabase, sessionId) {
+  const { data, error } = await supabase
+    .from('game_random_requests')
+    .select('nonce, purpose, random_value, requested_at')
+    .eq('session_id', sessionId)
+    .order('nonce', { ascending: true });
+
+  if (error) {
+    return { ledger: null, error };
+  }
+
+  return {
+    ledger: data.map(row => ({
+      nonce: row.nonce,
+      purpose: row.purpose,
+      random: row.random_value,
+      requestedAt: row.requested_at
+    })),
+    error: null
+  };
+}
+
+/**
+ * Append a served random value to the session ledger
+ * The (session_id, nonce) primary key and (session_id, purpose) unique key
+ * make a concurrent or repeated request fail with a unique violation.
+ * @param {Object} supabase - Service-key Supabase client
+ * @param {string} sessionId - Session ID
+ * @param {Object} entry
+ * @param {number} entry.nonce - Previous nonce + 1
+ * @param {string} entry.purpose - Requested purpose
+ * @param {string} entry.random - Derived random value
+ * @returns {Promise<{error: Object|null}>}
+ */
+export async function appendRandomRequest(supabase, sessionId, { nonce, purpose, random }) {
+  const { error } = await supabase
+    .from('game_random_requests')
+    .insert({
+      session_id: sessionId,
+      nonce,
+      purpose,
+      random_value: random
+    });
+
+  return { error: error || null };
+}
+
+/**
+ * Save the client's snapshot of an in-progress game
+ * Only active sessions accept a snapshot, so a finished game can't be reopened.
+ * @param {Object} supabase - Service-key Supabase client
+ * @param {string} sessionId - Session ID
+ * @param {Object} state - Opaque game snapshot
+ * @returns {Promise<{savedAt: string|null, error: Object|null}>} savedAt is null if the session is not active
+ */
+export async function saveResumeState(supabase, sessionId, state) {
+  const savedAt = new Date().toISOString();
+
+  const { data, error } = await supabase
+    .from('game_sessions')
+    .update({ resume_state: state, resume_saved_at: savedAt })
+    .eq('session_id', sessionId)
+    .is('ended_at', null)
+    .gt('expires_at', savedAt)
+    .select('session_id');
+
+  if (error) {
+    return { savedAt: null, error };
+  }
+
+  return { savedAt: data.length === 1 ? savedAt : null, error: null };
+}
+
+/**
+ * Anchored sessions whose block is still being watched for reorgs
+ * @param {Object} supabase - Service-key Supabase client
+ * @param {Object} options
+ * @param {string} options.since - Only sessions created after this (ISO timestamp)
+ * @param {number} options.limit - Maximum rows (oldest first)
+ * @returns {Promise<{sessions: Array, error: Object|null}>}
+ */
+export async function fetchUncheckedAnchors(supabase, { since, limit }) {
+  const { data, error } = await supabase
+    .from('game_sessions')
+    .select('session_id, beacon, block_height, block_hash, created_at')
+    .eq('anchor_status', 'unchecked')
+    .not('block_hash', 'is', null)
+    .gt('created_at', since)
+    .order('created_at', { ascending: true })
+    .limit(limit);
+
+  return { sessions: data || [], error: error || null };
+}
+
+/**
+ * Record the result of a reorg check
+ * @param {Object} supabase - Service-key Supabase client
+ * @param {string} sessionId - Session ID
+ * @param {{status: string, replacedBy: string|null}} result - From checkAnchor (lib/block-anchor.js)
+ * @returns {Promise<{error: Object|null}>}
+ */
+export async function recordAnchorCheck(supabase, sessionId, { status, replacedBy }) {
+  const { error } = await supabase
+    .from('game_sessions')
+    .update({
+      anchor_status: status,
+      anchor_checked_at: new Date().toISOString(),
+      anchor_replaced_by: replacedBy
+    })
+    .eq('session_id', sessionId);
+
+  return { error: error || null };
+}
+
+export default {
+  createSession,
+  fetchSession,
+  fetchSessionSecret,
+  anchorSession,
+  advanceChain,
+  fetchRandomLedger,
+  appendRandomRequest,
+  saveResumeState,
+  fetchUncheckedAnchors,
+  recordAnchorCheck
+};
@@ -0,0 +1,232 @@
+/**
+ * Seed Batches
+ *
+ * Server secrets are pre-generated in batches. The Merkle root of each
+ * batch's secret hashes is stored in seed_batches (publicly readable, and
+ * optionally posted to Ergo by /api/cron/seed-batches) before any secret is
+ * used; /api/game/start then hands secrets out strictly in order. Each
+ * reveal carries an inclusion proof (see src/core/merkle.js), so a session's
+ * secret can be shown to come from a batch fixed in advance.
+ *
+ * seed_batch_secrets holds the secrets and their proofs and, like
+ * game_session_secrets, is service-key only (see supabase-migrations/010).
+ */
+
+import crypto from 'crypto';
+import { hashSecret } from '../src/core/seed.js';
+import { buildMerkleTree, merkleRoot, merkleProof } from '../src/core/merkle.js';
+
+export const DEFAULT_SEED_BATCH_SIZE = 10000;
+
+// Rows per insert when storing a batch's secrets
+const INSERT_CHUNK_SIZE = 500;
+
+// Compare-and-set attempts before giving up on a contended claim
+const CLAIM_ATTEMPTS = 5;
+
+/**
+ * Batch size from SEED_BATCH_SIZE (falls back to the default)
+ * @returns {number}
+ */
+export function getSeedBatchSize() {
+  const size = parseInt(process.env.SEED_BATCH_SIZE, 10);
+  return Number.isInteger(size) && size > 0 ? size : DEFAULT_SEED_BATCH_SIZE;
+}
+
+/**
+ * Generate a batch of secrets with its Merkle tree
+ * @param {number} size - Number of secrets
+ * @returns {{secrets: string[], proofs: Array[], merkleRoot: string}}
+ */
+export function generateSeedBatch(size) {
+  const secrets = Array.from({ length: size }, () => crypto.randomBytes(32).toString('hex'));
+  const levels = buildMerkleTree(secrets.map(hashSecret));
+
+  return {
+    secrets,
+    proofs: secrets.map((_, index) => merkleProof(levels, index)),
+    merkleRoot: merkleRoot(levels)
+  };
+}
+
+/**
+ * Generate and store a new batch
+ * @param {Object} supabase - Service-key Supabase client
+ * @param {number} size - Number of secrets
+ * @returns {Promise<{batch: Object|null, error: Object|null}>}
+ */
+export async function createSeedBatch(supabase, size = getSeedBatchSize()) {
+  const generated = generateSeedBatch(size);
+
+  const { data: batch, error } = await supabase
+    .from('seed_batches')
+    .insert({ merkle_root: generated.merkleRoot, size })
+    .select('batch_id, merkle_root, size, created_at')
+    .single();
+
+  if (error) {
+    return { batch: null, error };
+  }
+
+  for (let start = 0; start < size; start += INSERT_CHUNK_SIZE) {
+    const rows = generated.secrets.slice(start, start + INSERT_CHUNK_SIZE).map((serverSecret, offset) => ({
+      batch_id: batch.batch_id,
+      leaf_index: start + offset,
+      server_secret: serverSecret,
+      merkle_proof: generated.proofs[start + offset]
+    }));
+
+    const { error: secretsError } = await supabase.from('seed_batch_secrets').insert(rows);
+
+    if (secretsError) {
+      // A batch with missing secrets could never be fully assigned
+      await supabase.from('seed_batches').delete().eq('batch_id', batch.batch_id);
+      return { batch: null, error: secretsError };
+    }
+  }
+
+  return { batch, error: null };
+}
+
+/**
+ * Record the Ergo transaction a batch root was posted in
+ * @param {Object} supabase - Service-key Supabase client
+ * @param {string} batchId - Batch ID
+ * @param {string} txId - Ergo transaction ID
+ * @returns {Promise<{error: Object|null}>}
+ */
+export async function recordBatchPublication(supabase, batchId, txId) {
+  const { error } = await supabase
+    .from('seed_batches')
+    .update({ published_tx_id: txId })
+    .eq('batch_id', batchId);
+
+  return { error: error || null };
+}
+
+/**
+ * Secrets not yet assigned to a session, across all batches
+ * @param {Object} supabase - Service-key Supabase client
+ * @returns {Promise<{remaining: number|null, error: Object|null}>}
+ */
+export async function countRemainingSecrets(supabase) {
+  const { data, error } = await supabase
+    .from('seed_batches')
+    .select('size, next_index');
+
+  if (error) {
+    return { remaining: null, error };
+  }
+
+  return { remaining: data.reduce((sum, batch) => sum + batch.size - batch.next_index, 0), error: null };
+}
+
+/**
+ * Claim the next unassigned secret (oldest batch first)
+ * Uses compare-and-set on next_index, so concurrent sessions never share a secret.
+ * @param {Object} supabase - Service-key Supabase client
+ * @returns {Promise<{claim: {batchId, index, serverSecret}|null, error: Object|null}>}
+ *   claim is null when every batch is used up
+ */
+export async function claimBatchSecret(supabase) {
+  for (let attempt = 0; attempt < CLAIM_ATTEMPTS; attempt++) {
+    const { data: batches, error } = await supabase
+      .from('seed_batches')
+      .select('batch_id, size, next_index')
+      .order('created_at', { ascending: true })
+      .limit(20);
+
+    if (error) {
+      return { claim: null, error };
+    }
+
+    const batch = batches.find(candidate => candidate.next_index < candidate.size);
+    if (!batch) {
+      return { claim: null, error: null };
+    }
+
+    const { data: claimed, error: claimError } = await supabase
+      .from('seed_batches')
+      .update({ next_index: batch.next_index + 1 })
+      .eq('batch_id', batch.batch_id)
+      .eq('next_index', batch.next_index)
+      .select('batch_id');
+
+    if (claimError) {
+      return { claim: null, error: claimError };
+    }
+
+    if (claimed.length === 1) {
+      const { data: secret, error: secretError } = await supabase
+        .from('seed_batch_secrets')
+        .select('server_secret')
+        .eq('batch_id', batch.batch_id)
+        .eq('leaf_index', batch.next_index)
+        .single();
+
+      if (secretError || !secret) {
+        return { claim: null, error: secretError || { message: 'Seed batch secret not found' } };
+      }
+
+      return {
+        claim: { batchId: batch.batch_id, index: batch.next_index, serverSecret: secret.server_secret },
+        error: null
+      };
+    }
+  }
+
+  return { claim: null, error: { message: 'Seed batch claim contended, try again' } };
+}
+
+/**
+ * Inclusion proof for a session's secret
+ * @param {Object} supabase - Service-key Supabase client
+ * @param {string} batchId - Batch ID
+ * @param {number} index - Leaf index
+ * @returns {Promise<{seedBatch: Object|null, error: Object|null}>}
+ *   { batchId, index, merkleRoot, proof, publishedTxId }
+ */
+export async function fetchBatchProof(supabase, batchId, index) {
+  const { data: batch, error } = await supabase
+    .from('seed_batches')
+    .select('merkle_root, published_tx_id')
+    .eq('batch_id', batchId)
+    .single();
+
+  if (error || !batch) {
+    return { seedBatch: null, error: error || { message: 'Seed batch not found' } };
+  }
+
+  const { data: leaf, error: leafError } = await supabase
+    .from('seed_batch_secrets')
+    .select('merkle_proof')
+    .eq('batch_id', batchId)
+    .eq('leaf_index', index)
+    .single();
+
+  if (leafError || !leaf) {
+    return { seedBatch: null, error: leafError || { message: 'Seed batch proof not found' } };
+  }
+
+  return {
+    seedBatch: {
+      batchId,
+      index,
+      merkleRoot: batch.merkle_root,
+      proof: leaf.merkle_proof,
+      publishedTxId: batch.published_tx_id
+    },
+    error: null
+  };
+}
+
+export default {
+  DEFAULT_SEED_BATCH_SIZE,
+  getSeedBatchSize,
+  generateSeedBatch,
+  createSeedBatch,
+  recordBatchPublication,
+  countRemainingSecrets,
+  claimBatchSecret,
+  fetchBatchProof
+};
@@ -1,9 +1,15 @@
 /**
  * 2048 Score Validator
  *
- * Validates 2048 game score and move history
+ * Validates 2048 game score and move history, then replays every move from an
+ * empty board with the same block-derived spawns the client used
  */
 
+import { createEmptyGrid, slideGrid, canMove } from '../../../../src/core/games/2048/gridLogic.js';
+import { spawnTile } from '../../../../src/core/games/2048/spawnLogic.js';
+
+const DIRECTIONS = { U: 'up', D: 'down', L: 'left', R: 'right' };
+
 /**
  * Validate 2048 game submission
  * Checks score reasonability and move sequence
@@ -11,10 +17,12 @@
  * @param {number} submission.score - Final score
  * @param {string} submission.moveHistory - Move sequence (e.g., "UDLRLLUD...")
  * @param {number} submission.highestTile - Highest tile achieved
+ * @param {string} submission.blockHash - Anchor block hash (spawn randomness)
+ * @param {string} submission.gameId - Game ID (spawn randomness)
  * @returns {{valid: boolean, reason?: string, details?: Object}}
  */
 export function validate2048Game(submission) {
-  const { score, moveHistory, highestTile } = submission;
+  const { score, moveHistory, highestTile, blockHash, gameId } = submission;
 
   // Validation 1: Basic data present
   if (score === undefined || score === null) {
@@ -76,7 +84,37 @@ export function validate2048Game(submission) {
     }
   }
 
-  // Validation 5: Score should be reasonable
+  // Validation 5: Replay the game with the real spawns
+  if (!moveHistory) {
+    return { valid: false, reason: 'Missing move history' };
+  }
+
+  if (!blockHash) {
+    return { valid: false, reason: 'Missing block hash' };
+  }
+
+  const replay = replay2048Game(blockHash, gameId, moveHistory);
+
+  if (!replay.valid) {
+    return replay;
+  }
+
+  if (replay.score !== score) {
+    return {
+      valid: false,
+      reason: `Score mismatch: replay scored ${replay.score}, claimed ${score}`,
+      calculatedScore: replay.score
+    };
+  }
+
+  if (highestTile !== undefined && highestTile !== null && replay.highestTile !== highestTile) {
+    return {
+      valid: false,
+      reason: `Highest tile mismatch: replay reached ${replay.highestTile}, claimed ${highestTile}`
+    };
+  }
+
+  // Validation 6: Score should be reasonable
   const maxReasonableScore = 100000; // Scores beyond this are rare but possible
   if (score > maxReasonableScore) {
     // This is a warning, not a hard failure
@@ -103,6 +141,50 @@ export function validate2048Game(submission) {
   };
 }
 
+/**
+ * Replay a 2048 game from an empty board
+ * Spawn n uses SHA256(blockHash + gameId + n): two opening spawns, then one per move
+ * @param {string} blockHash - Anchor block hash
+ * @param {string} gameId - Game ID
+ * @param {string} moveHistory - Move sequence (e.g., "UDLRLLUD...")
+ * @returns {{valid: boolean, reason?: string, score?: number, highestTile?: number}}
+ */
+export function replay2048Game(blockHash, gameId, moveHistory) {
+  let grid = createEmptyGrid();
+  let spawnIndex = 0;
+  let score = 0;
+
+  grid = spawnTile(grid, blockHash, gameId, spawnIndex++).grid;
+  grid = spawnTile(grid, blockHash, gameId, spawnIndex++).grid;
+
+  for (let i = 0; i < moveHistory.length; i++) {
+    const direction = DIRECTIONS[moveHistory[i]];
+
+    if (!direction) {
+      return { valid: false, reason: `Move ${i + 1}: invalid direction '${moveHistory[i]}'` };
+    }
+
+    if (!canMove(grid)) {
+      return { valid: false, reason: `Move ${i + 1}: game was already over` };
+    }
+
+    const slide = slideGrid(grid, direction);
+
+    if (!slide.moved) {
+      return { valid: false, reason: `Move ${i + 1}: ${direction} does not move any tile` };
+    }
+
+    score += slide.score;
+    grid = spawnTile(slide.grid, blockHash, gameId, spawnIndex++).grid;
+  }
+
+  return {
+    valid: true,
+    score,
+    highestTile: Math.max(...grid.flat().map(cell => cell.value))
+  };
+}
+
 /**
  * Check if number is power of 2
  * @param {number} n - Number to check
@@ -183,6 +265,7 @@ export function validateMoveConsistency(moveHistory, score, highestTile) {
 
 export default {
   validate2048Game,
+  replay2048Game,
   estimateMaxTileForMoves,
   validateMoveConsistency
 };
@@ -1,16 +1,89 @@
 /**
  * Backgammon History Validator
  *
- * Replays full game from move history to validate final result
+ * Recomputes every dice roll from the revealed commit-reveal session and
+ * replays the full move history to validate the final result
  */
 
-import { getAllLegalMoves } from './moveValidation.js';
-import {
-  applyMove,
-  createInitialGameState,
-  checkWinner,
-  getWinType
-} from './gameLogic.js';
+import { createInitialGameState, checkGameOver, detectWinType, getPipCount } from '../../../../src/core/games/backgammon/gameLogic.js';
+import { deriveRandomValue } from '../../../../src/core/seed.js';
+import { rollDiceFromHash } from '../../../../src/core/dice.js';
+import { validateTurn } from './moveValidation.js';
+import { validateRevealedSession } from '../../shared/sessionBinding.js';
+import { sessionBlockData } from '../../../block-anchor.js';
+
+const MAX_ROLLS = 1000;
+
+/**
+ * Replay a game from the revealed session
+ * Roll N is recomputed from purpose `roll-N` (see rollDiceSecure); the moves
+ * of each turn are the run of moveHistory entries made by the rolling player.
+ * @param {string} serverSecret - Revealed server secret
+ * @param {Object} blockData - Block fan the session was anchored to
+ * @param {Array<{player, dice}>} rollHistory - Rolls in order
+ * @param {Array<{player, from, to}>} moveHistory - Moves in order
+ * @param {string|null} clientSeed - Player's seed bound at session start
+ * @returns {{valid: boolean, reason?: string, winner?: string|null, state?: Object, turns?: number}}
+ */
+export function replayBackgammonGame(serverSecret, blockData, rollHistory, moveHistory, clientSeed = null) {
+  let state = createInitialGameState();
+  let winner = null;
+  let moveIndex = 0;
+
+  if (rollHistory.length > MAX_ROLLS) {
+    return { valid: false, reason: `Too many rolls: ${rollHistory.length}` };
+  }
+
+  for (let i = 0; i < rollHistory.length; i++) {
+    const turn = i + 1;
+    const roll = rollHistory[i];
+    const player = state.currentPlayer;
+
+    if (winner) {
+      return { valid: false, reason: `Roll ${turn}: game was already won by ${winner}` };
+    }
+
+    if (roll.player && roll.player !== player) {
+      return { valid: false, reason: `Roll ${turn}: expected ${player} to roll` };
+    }
+
+    const dice = rollDiceFromHash(deriveRandomValue(serverSecret, blockData, `roll-${turn}`, clientSeed), 2);
+    if (!Array.isArray(roll.dice) || roll.dice[0] !== dice[0] || roll.dice[1] !== dice[1]) {
+      return {
+        valid: false,
+        reason: `Roll ${turn}: dice [${roll.dice}] do not match revealed roll [${dice.join(', ')}]`
+      };
+    }
+
+    const moves = [];
+    while (moveIndex < moveHistory.length && moveHistory[moveIndex].player === player) {
+      moves.push(moveHistory[moveIndex++]);
+    }
+
+    const result = validateTurn(state, dice, moves);
+    if (!result.valid) {
+      return { valid: false, reason: `Roll ${turn}: ${result.error}` };
+    }
+
+    const gameOver = checkGameOver(result.state);
+    if (gameOver.isOver) {
+      winner = gameOver.winner;
+    }
+
+    state = {
+      ...result.state,
+      currentPlayer: player === 'white' ? 'black' : 'white',
+      dice: null,
+      diceUsed: [false, false]
+    };
+  }
+
+  if (moveIndex < moveHistory.length) {
+    return { valid: false, reason: `Move ${moveIndex + 1} was not made on its player's roll` };
+  }
+
+  return { valid: true, winner, state, turns: rollHistory.length };
+}
 
 /**
  * Validate Backgammon game submission
@@ -21,10 +94,15 @@ import {
  * @param {string} submission.winType - Win type (normal/gammon/backgammon)
  * @param {number} submission.cubeValue - Doubling cube value
  * @param {string} submission.difficulty - AI difficulty (easy/normal/hard)
+ * @param {string} submission.sessionId - Commit-reveal session the dice came from
+ * @param {Array} submission.rollHistory - Rolls in order ({player, dice})
+ * @param {Object} options - Validation options
+ * @param {Object} options.session - game_sessions row for submission.sessionId
  * @returns {{valid: boolean, reason?: string, finalState?: Object, calculatedScore?: number}}
  */
-export function validateBackgammonGame(submission) {
-  const { moveHistory, score, winType, cubeValue, difficulty, loserPipCount = 0 } = submission;
+export function validateBackgammonGame(submission, options = {}) {
+  const { moveHistory, rollHistory, sessionId, score, winType, cubeValue, difficulty, loserPipCount = 0 } = submission;
+  const { session = null } = options;
 
   // Validation 1: Basic data present
   if (!moveHistory || !Array.isArray(moveHistory)) {
@@ -72,18 +150,52 @@ export function validateBackgammonGame(submission) {
     };
   }
 
-  // Validation 5: Replay the game
-  let gameState = createInitialGameState();
+  // Validation 5: Replay the game from the revealed session
+  if (!sessionId) {
+    return { valid: false, reason: 'Missing session ID' };
+  }
+
+  if (!Array.isArray(rollHistory)) {
+    return { valid: false, reason: 'Missing roll history' };
+  }
 
-  // Note: We cannot fully validate move legality without dice rolls,
-  // which would require the seed and move-by-move dice generation.
-  // For now, we validate that:
-  // 1. Moves are in valid format
-  // 2. Game ends with white winning
-  // 3. Win type matches final board state
+  const sessionCheck = validateRevealedSession(session, sessionId, 'backgammon');
+  if (!sessionCheck.valid) {
+    return sessionCheck;
+  }
+
+  const replay = replayBackgammonGame(
+    session.server_secret,
+    sessionBlockData(session),
+    rollHistory,
+    moveHistory,
+    session.client_seed
+  );
+  if (!replay.valid) {
+    return replay;
+  }
 
-  // Skip full replay for now (would need dice simulation)
-  // Instead, validate end state and score calculation
+  if (replay.winner && replay.winner !== 'white') {
+    return { valid: false, reason: `Winner mismatch: replay ended with ${replay.winner} winning` };
+  }
+
+  // No checker race finished: only a declined double ends the game early,
+  // and that always scores as a normal win
+  const replayedWinType = replay.winner ? detectWinType(replay.state, 'black') : 'normal';
+  if (replayedWinType !== winType) {
+    return {
+      valid: false,
+      reason: `Win type mismatch: claimed ${winType}, replay shows ${replayedWinType}`
+    };
+  }
+
+  const replayedPipCount = getPipCount(replay.state, 'black');
+  if (replayedPipCount !== loserPipCount) {
+    return {
+      valid: false,
+      reason: `Pip count mismatch: claimed ${loserPipCount}, replay shows ${replayedPipCount}`
+    };
+  }
 
   // Validation 6: Calculate expected score (including pip bonus)
   const winTypeValue = {
@@ -127,7 +239,9 @@ export function validateBackgammonGame(submission) {
       difficultyValue,
       loserPipCount,
       pipBonus,
-      moveCount: moveHistory.length
+      moveCount: moveHistory.length,
+      rollCount: replay.turns,
+      endedBy: replay.winner ? 'bearOff' : 'declinedDouble'
     }
   };
 }
@@ -266,6 +380,7 @@ export function validateWinType(boardState, claimedWinType) {
 
 export default {
   validateBackgammonGame,
+  replayBackgammonGame,
   validateMoveFormat,
   validateMoveHistoryFormat,
   validateBackgammonSimplified,
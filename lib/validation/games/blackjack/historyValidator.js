@@ -1,27 +1,65 @@
 /**
  * Blackjack History Validator
  *
- * Validates round history and final chip balance
+ * Re-deals every shoe from its seed and replays each round of the submitted
+ * history: the cards, the player's actions and the dealer's draws must all
+ * match what the shoe produces, and the payouts must add up to the final
+ * chip balance
+ *
+ * The shoe size, cut card, dealer soft-17 rule, doubling/splitting/surrender
+ * policy and blackjack payout come from the table rules committed with the
+ * session (session.table_rules, DEFAULT_TABLE_RULES for sessions from before
+ * rules existed). Every round must be recorded under that ruleset.
+ *
+ * The shoe seeds are not taken on trust: the first must be the session's
+ * 'shoe-shuffle' value and shoe n + 1 its 'reshuffle-n' value, recomputed
+ * from the revealed server secret.
  */
 
+import { shuffleArray, createMultiDeckShoe } from '../../../../src/core/shuffle.js';
 import {
-  calculateHandValue,
   isBlackjack,
   isBust,
-  compareHands
-} from './gameLogic.js';
+  canHit,
+  canDoubleDown,
+  canSplit,
+  canSurrender,
+  canTakeInsurance,
+  shouldDealerHit,
+  compareHands,
+  calculatePayout,
+  calculateInsurancePayout
+} from '../../../../src/core/games/blackjack/gameLogic.js';
+import {
+  DEFAULT_TABLE_RULES,
+  validateTableRules,
+  normalizeTableRules,
+  getCutCardPosition,
+  getRulesetId
+} from '../../../../src/core/games/blackjack/tableRules.js';
+import { validateSessionSeed, sessionRngVersion } from '../../shared/sessionBinding.js';
+
+// Betting rules (mirror src/games/blackjack/gameState.js)
+const MIN_BET = 5;
+const MAX_ACTIONS_PER_ROUND = 100;
 
 /**
  * Validate Blackjack game submission
- * Verifies round history produces claimed chip balance
+ * Re-deals the shoe and replays every round to the claimed chip balance
  * @param {Object} submission - Game submission data
  * @param {Array} submission.roundHistory - Array of round objects
  * @param {number} submission.score - Final chip balance
+ * @param {string} submission.seed - Seed of the first shoe
+ * @param {string[]} submission.reshuffleSeeds - Seeds of later shoes, in order
+ * @param {string} submission.sessionId - Commit-reveal session the shoes came from
  * @param {number} submission.initialBalance - Starting balance (default 1000)
+ * @param {Object} options - Validation options
+ * @param {Object|null} options.session - Session the game was played in (its table_rules are used)
  * @returns {{valid: boolean, reason?: string, calculatedBalance?: number, details?: Object}}
  */
-export function validateBlackjackGame(submission) {
-  const { roundHistory, score, initialBalance = 1000 } = submission;
+export function validateBlackjackGame(submission, options = {}) {
+  const { roundHistory, score, seed, reshuffleSeeds = [], sessionId, initialBalance = 1000 } = submission;
+  const { session = null } = options;
 
   // Validation 1: Basic data present
   if (!roundHistory || !Array.isArray(roundHistory)) {
@@ -37,176 +75,316 @@ export function validateBlackjackGame(submission) {
     return { valid: false, reason: 'No rounds played' };
   }
 
-  // Validation 3: Replay all rounds and calculate balance
-  let chipBalance = initialBalance;
-  const roundResults = [];
+  // Validation 3: Round records are well formed
+  const format = validateRoundHistoryFormat(roundHistory);
+  if (!format.valid) {
+    return { valid: false, reason: format.reason };
+  }
 
-  try {
-    for (let i = 0; i < roundHistory.length; i++) {
-      const round = roundHistory[i];
-      const balanceBeforeRound = chipBalance; // Track starting balance for this round
-
-      // Validate round structure - handle both bet (single) and handBets (array)
-      const handBets = round.handBets || (round.bet ? [round.bet] : null);
-
-      if (!handBets || !round.playerHands || !round.dealerHand) {
-        return {
-          valid: false,
-          reason: `Round ${i + 1}: Missing bet, playerHands, or dealerHand`
-        };
-      }
+  if (!seed) {
+    return { valid: false, reason: 'Missing seed' };
+  }
 
-      // Validate we have bets for each hand
-      if (handBets.length !== round.playerHands.length) {
-        return {
-          valid: false,
-          reason: `Round ${i + 1}: Bet count (${handBets.length}) doesn't match hand count (${round.playerHands.length})`
-        };
-      }
+  // Validation 4: Every shoe was shuffled from the session's values
+  const shoeSeeds = [seed, ...reshuffleSeeds];
+  for (let shoe = 0; shoe < shoeSeeds.length; shoe++) {
+    const purpose = shoe === 0 ? 'shoe-shuffle' : `reshuffle-${shoe}`;
+    const seedCheck = validateSessionSeed(session, sessionId, 'blackjack', shoeSeeds[shoe], purpose);
+    if (!seedCheck.valid) {
+      return seedCheck;
+    }
+  }
 
-      // Validate bet amounts and chip deduction
-      const totalBet = handBets.reduce((sum, bet) => sum + bet, 0);
-      if (totalBet > chipBalance) {
-        return {
-          valid: false,
-          reason: `Round ${i + 1}: Total bet ${totalBet} exceeds balance ${chipBalance}`
-        };
-      }
+  // Validation 5: The committed table rules
+  const tableRules = normalizeTableRules(session.table_rules);
+  const rulesCheck = validateTableRules(tableRules);
+  if (!rulesCheck.valid) {
+    return { valid: false, reason: `Invalid session table rules: ${rulesCheck.reason}` };
+  }
 
-      // Deduct bets from balance (bets are placed before dealing)
-      chipBalance -= totalBet;
+  // Validation 6: Re-deal and replay every round
+  let replay;
+  try {
+    replay = replayBlackjackGame(shoeSeeds, roundHistory, {
+      rngVersion: sessionRngVersion(session),
+      initialBalance,
+      tableRules
+    });
+  } catch (error) {
+    return {
+      valid: false,
+      reason: `Validation error: ${error.message}`,
+      error: error.toString()
+    };
+  }
 
-    // Process each player hand (can be multiple due to splits)
-    let totalPayout = 0;
+  if (!replay.valid) {
+    return replay;
+  }
 
-    for (let handIndex = 0; handIndex < round.playerHands.length; handIndex++) {
-      const playerHand = round.playerHands[handIndex];
-      const dealerHand = round.dealerHand;
-      const handBet = handBets[handIndex];
+  // Validation 7: Verify final balance matches score
+  if (replay.balance !== score) {
+    return {
+      valid: false,
+      reason: `Balance mismatch: calculated ${replay.balance}, claimed ${score}`,
+      calculatedBalance: replay.balance
+    };
+  }
 
-      // Validate individual bet amount
-      if (handBet <= 0) {
-        return {
-          valid: false,
-          reason: `Round ${i + 1}, Hand ${handIndex + 1}: Invalid bet amount ${handBet}`
-        };
-      }
+  return {
+    valid: true,
+    calculatedBalance: replay.balance,
+    details: {
+      initialBalance,
+      ruleset: getRulesetId(tableRules),
+      roundsPlayed: roundHistory.length,
+      shoesUsed: replay.shoesUsed,
+      finalBalance: replay.balance,
+      totalProfit: replay.balance - initialBalance,
+      roundResults: replay.roundResults
+    }
+  };
+}
+
+/**
+ * Card IDs of a recorded hand (hands are stored as card arrays or {cards})
+ * @param {Array|Object} hand - Recorded hand
+ * @returns {string[]} Card IDs
+ */
+function cardIds(hand) {
+  const cards = Array.isArray(hand) ? hand : (hand?.cards || []);
+  return cards.map(card => card?.id);
+}
 
-      // Ensure hands are arrays (defensive programming)
-      const playerCards = Array.isArray(playerHand) ? playerHand : (Array.isArray(playerHand?.cards) ? playerHand.cards : []);
-      const dealerCards = Array.isArray(dealerHand) ? dealerHand : (Array.isArray(dealerHand?.cards) ? dealerHand.cards : []);
+/**
+ * Check a recorded hand against the replayed one
+ * @returns {boolean} True if the same cards were dealt in the same order
+ */
+function sameCards(recorded, replayed) {
+  const ids = cardIds(recorded);
+  return ids.length === replayed.length && ids.every((id, i) => id === replayed[i].id);
+}
 
-      if (playerCards.length === 0) {
-        return {
-          valid: false,
-          reason: `Round ${i + 1}, Hand ${handIndex + 1}: Player hand is empty or invalid`
-        };
+/**
+ * Apply one logged player action, mirroring blackjackReducer
+ * Legality is checked with the same gameLogic helpers the table uses to
+ * enable its buttons
+ * @param {Object} round - Replay state for the round (mutated)
+ * @param {string} action - 'insurance' | 'hit' | 'stand' | 'double' | 'split' | 'surrender'
+ * @param {function(): Object} draw - Deal the next card from the shoe
+ * @param {Object} rules - Table rules
+ * @returns {string|null} Reason the action was illegal, or null
+ */
+function applyAction(round, action, draw, rules) {
+  const index = round.activeHandIndex;
+  const hand = round.playerHands[index];
+  const bet = round.handBets[index];
+
+  switch (action) {
+    case 'insurance': {
+      const amount = Math.floor(round.bet / 2);
+      if (round.actions.length > 0 || round.insuranceBet > 0 || !canTakeInsurance(round.dealerHand, 'playerTurn')) {
+        return 'insurance not offered';
+      }
+      if (amount > round.balance) {
+        return 'insurance exceeds balance';
       }
+      round.insuranceBet = amount;
+      round.balance -= amount;
+      return null;
+    }
 
-      if (dealerCards.length === 0) {
-        return {
-          valid: false,
-          reason: `Round ${i + 1}: Dealer hand is empty or invalid`
-        };
+    case 'hit':
+      if (!canHit(hand, round.splitAcesHands, index)) {
+        return `cannot hit hand ${index + 1}`;
       }
+      hand.push(draw());
+      return null;
+
+    case 'stand':
+      round.activeHandIndex++;
+      return null;
 
-      // Calculate hand values
-      const playerValue = calculateHandValue(playerCards);
-      const dealerValue = calculateHandValue(dealerCards);
-
-      // Check for bust (pass arrays directly, not wrapped in objects)
-      const playerBust = isBust(playerCards);
-      const dealerBust = isBust(dealerCards);
-
-      // Determine outcome
-      let outcome;
-      if (playerBust) {
-        outcome = 'loss';
-      } else if (dealerBust) {
-        outcome = 'win';
-      } else {
-        const playerBlackjack = isBlackjack(playerCards);
-        const dealerBlackjack = isBlackjack(dealerCards);
-
-        if (playerBlackjack && !dealerBlackjack) {
-          outcome = 'blackjack';
-        } else if (playerValue.value > dealerValue.value) {
-          outcome = 'win';
-        } else if (playerValue.value < dealerValue.value) {
-          outcome = 'loss';
-        } else {
-          outcome = 'push';
-        }
+    case 'double':
+      if (!canDoubleDown(hand, round.balance, bet, round.splitAcesHands, index, round.playerHands.length, rules)) {
+        return `cannot double hand ${index + 1}`;
+      }
+      hand.push(draw());
+      round.balance -= bet;
+      round.handBets[index] = bet * 2;
+      round.activeHandIndex++;
+      return null;
+
+    case 'split': {
+      if (!canSplit(hand, round.balance, bet, round.playerHands.length, round.splitAcesHands, index, rules)) {
+        return `cannot split hand ${index + 1}`;
       }
+      const first = [hand[0], draw()];
+      const second = [hand[1], draw()];
+      round.playerHands.splice(index, 1, first, second);
+      round.handBets.splice(index + 1, 0, bet);
+      round.balance -= bet;
+      round.splitAcesHands = round.splitAcesHands.map(i => (i > index ? i + 1 : i));
+      if (hand[0].rank === 'A') {
+        round.splitAcesHands.push(index, index + 1);
+      }
+      return null;
+    }
 
-      // Calculate payout
-      let payout = 0;
-
-      if (outcome === 'blackjack') {
-        payout = handBet * 2.5; // Bet + 1.5x bet
-      } else if (outcome === 'win') {
-        payout = handBet * 2; // Bet + bet
-      } else if (outcome === 'push') {
-        payout = handBet; // Return bet
-      } else {
-        payout = 0; // Loss - lose bet
+    case 'surrender':
+      if (!canSurrender(hand, round.playerHands.length, round.actions, rules)) {
+        return 'surrender not allowed';
       }
+      round.surrendered = true;
+      round.activeHandIndex++;
+      return null;
 
-      totalPayout += payout;
+    default:
+      return `unknown action '${action}'`;
+  }
+}
+
+/**
+ * Re-deal the shoes and replay a round history
+ * A new shoe is shuffled before any round that would start past the cut card
+ * @param {string[]} seeds - Shoe seeds (first shoe, then each reshuffle)
+ * @param {Array} roundHistory - Round records from blackjackReducer
+ * @param {Object} options - Replay options
+ * @param {number} options.rngVersion - RNG version the shoes were shuffled with
+ * @param {number} options.initialBalance - Starting chip balance
+ * @param {Object} options.tableRules - Table rules the session was dealt under
+ * @returns {{valid: boolean, reason?: string, balance?: number, shoesUsed?: number, roundResults?: Array}}
+ */
+export function replayBlackjackGame(seeds, roundHistory, {
+  rngVersion,
+  initialBalance = 1000,
+  tableRules = DEFAULT_TABLE_RULES
+}) {
+  const rulesetId = getRulesetId(tableRules);
+  const cutCardPosition = getCutCardPosition(tableRules);
+  let shoeIndex = 0;
+  let shoe = shuffleArray(createMultiDeckShoe(tableRules.decks), seeds[0], rngVersion);
+  let position = 0;
+  let balance = initialBalance;
+  const roundResults = [];
+
+  const draw = () => {
+    if (position >= shoe.length) {
+      throw new Error(`Shoe ${shoeIndex + 1} ran out of cards`);
     }
+    return shoe[position++];
+  };
 
-    // Add insurance bet and payout if present
-    if (round.insuranceBet && round.insuranceBet > 0) {
-      chipBalance -= round.insuranceBet;
-      totalPayout += (round.insurancePayout || 0);
+  for (let i = 0; i < roundHistory.length; i++) {
+    const record = roundHistory[i];
+    const fail = reason => ({ valid: false, reason: `Round ${i + 1}: ${reason}` });
+
+    // RESHUFFLE happens between rounds once the cut card is reached
+    if (position >= cutCardPosition) {
+      shoeIndex++;
+      if (!seeds[shoeIndex]) {
+        return fail(`Missing reshuffle seed ${shoeIndex}`);
+      }
+      shoe = shuffleArray(createMultiDeckShoe(tableRules.decks), seeds[shoeIndex], rngVersion);
+      position = 0;
     }
 
-    chipBalance += totalPayout;
+    const { bet, actions } = record;
 
-    // Calculate round profit (balance change)
-    const roundProfit = chipBalance - balanceBeforeRound;
+    // Rounds from before rules were recorded were all dealt at the default table
+    if ((record.rules || getRulesetId(DEFAULT_TABLE_RULES)) !== rulesetId) {
+      return fail(`played under ruleset ${record.rules || 'default'}, session committed ${rulesetId}`);
+    }
+    if (!Array.isArray(actions)) {
+      return fail('Missing action log');
+    }
+    if (actions.length > MAX_ACTIONS_PER_ROUND) {
+      return fail(`Too many actions: ${actions.length}`);
+    }
+    if (typeof bet !== 'number' || bet < MIN_BET || bet > balance) {
+      return fail(`Invalid opening bet ${bet} with balance ${balance}`);
+    }
 
-    roundResults.push({
-      roundNumber: i + 1,
-      profit: roundProfit,
-      newBalance: chipBalance
-    });
+    // DEAL_INITIAL: player, dealer, player, dealer (hole card)
+    const p1 = draw();
+    const d1 = draw();
+    const p2 = draw();
+    const d2 = draw();
+    const round = {
+      bet,
+      balance: balance - bet,
+      playerHands: [[p1, p2]],
+      handBets: [bet],
+      dealerHand: [d1, { ...d2, faceUp: false }],
+      activeHandIndex: 0,
+      splitAcesHands: [],
+      insuranceBet: 0,
+      surrendered: false,
+      actions: []
+    };
 
-      // Balance cannot go negative
-      if (chipBalance < 0) {
-        chipBalance = 0;
-        break; // Player is out of chips
+    for (const action of actions) {
+      if (round.activeHandIndex >= round.playerHands.length) {
+        return fail(`'${action}' after every hand was finished`);
       }
+      const illegal = applyAction(round, action, draw, tableRules);
+      if (illegal) {
+        return fail(illegal);
+      }
+      round.actions.push(action);
     }
 
-    // Validation 4: Verify final balance matches score
-    if (chipBalance !== score) {
-      return {
-        valid: false,
-        reason: `Balance mismatch: calculated ${chipBalance}, claimed ${score}`,
-        calculatedBalance: chipBalance
-      };
+    if (round.activeHandIndex < round.playerHands.length) {
+      return fail(`hand ${round.activeHandIndex + 1} was never finished`);
     }
 
-    return {
-      valid: true,
-      calculatedBalance: chipBalance,
-      details: {
-        initialBalance,
-        roundsPlayed: roundHistory.length,
-        finalBalance: chipBalance,
-        totalProfit: chipBalance - initialBalance,
-        roundResults
+    // Dealer reveals and draws to 17 unless every player hand busted or was surrendered
+    const dealerHand = [d1, d2];
+    if (!round.surrendered && !round.playerHands.every(hand => isBust(hand))) {
+      while (shouldDealerHit(dealerHand, tableRules)) {
+        dealerHand.push(draw());
       }
-    };
-  } catch (error) {
-    // Catch any unexpected errors during validation
-    return {
-      valid: false,
-      reason: `Validation error: ${error.message}`,
-      error: error.toString()
-    };
+    }
+
+    // The recorded cards must be exactly what the shoe dealt
+    if (record.playerHands.length !== round.playerHands.length) {
+      return fail(`recorded ${record.playerHands.length} hands, replay has ${round.playerHands.length}`);
+    }
+    const wrongHand = round.playerHands.findIndex((hand, h) => !sameCards(record.playerHands[h], hand));
+    if (wrongHand !== -1) {
+      return fail(`player hand ${wrongHand + 1} does not match the shoe`);
+    }
+    if (!sameCards(record.dealerHand, dealerHand)) {
+      return fail('dealer hand does not match the shoe');
+    }
+    const handBets = record.handBets || [record.bet];
+    if (handBets.some((amount, h) => amount !== round.handBets[h])) {
+      return fail(`bets [${handBets.join(', ')}] do not match replay [${round.handBets.join(', ')}]`);
+    }
+
+    // RESOLVE_ROUND payouts
+    let totalPayout = round.playerHands.reduce((sum, hand, h) =>
+      sum + calculatePayout(compareHands(hand, dealerHand, false, round.surrendered), round.handBets[h], tableRules), 0);
+    if (round.insuranceBet > 0) {
+      totalPayout += calculateInsurancePayout(isBlackjack(dealerHand), round.insuranceBet);
+    }
+
+    const balanceBeforeRound = balance;
+    balance = round.balance + totalPayout;
+
+    roundResults.push({
+      roundNumber: i + 1,
+      profit: balance - balanceBeforeRound,
+      newBalance: balance
+    });
   }
+
+  return {
+    valid: true,
+    balance,
+    shoesUsed: shoeIndex + 1,
+    roundResults
+  };
 }
 
 /**
@@ -268,17 +446,15 @@ export function validateRoundFormat(round) {
 /**
  * Calculate expected balance from round history
  * @param {Array} roundHistory - Array of rounds
- * @param {number} initialBalance - Starting balance
+ * @param {string[]} seeds - Shoe seeds (first shoe, then each reshuffle)
+ * @param {Object} options - Replay options (rngVersion, initialBalance)
  * @returns {number} Final balance
  */
-export function calculateFinalBalance(roundHistory, initialBalance = 1000) {
-  const result = validateBlackjackGame({
-    roundHistory,
-    score: 0, // Dummy value, we just want the calculation
-    initialBalance
-  });
-
-  return result.calculatedBalance || initialBalance;
+export function calculateFinalBalance(roundHistory, seeds, options = {}) {
+  const { initialBalance = 1000 } = options;
+  const result = replayBlackjackGame(seeds, roundHistory, { ...options, initialBalance });
+
+  return result.valid ? result.balance : initialBalance;
 }
 
 /**
@@ -307,6 +483,7 @@ export function validateRoundHistoryFormat(roundHistory) {
 
 export default {
   validateBlackjackGame,
+  replayBlackjackGame,
   validateRoundFormat,
   calculateFinalBalance,
   validateRoundHistoryFormat
@@ -0,0 +1,257 @@
+/**
+ * FreeCell Score Validator
+ *
+ * Validates FreeCell game score and move count, then deals the Microsoft
+ * game numbered by the seed and replays the submitted move log through the
+ * shared game rules. The seed must be the session's 'deck-shuffle' value,
+ * recomputed from the revealed server secret.
+ */
+
+import {
+  dealCards,
+  freecellReducer,
+  getFoundationCount
+} from '../../../../src/core/games/freecell/gameState.js';
+import {
+  getDealNumber,
+  getMovableSequence,
+  isValidMove
+} from '../../../../src/core/games/freecell/gameLogic.js';
+import { validateSessionSeed } from '../../shared/sessionBinding.js';
+
+const MAX_LOGGED_MOVES = 5000;
+
+/**
+ * Validate FreeCell game submission
+ * @param {Object} submission - Game submission data
+ * @param {number} submission.score - Cards moved to foundation (0-52)
+ * @param {number} submission.moves - Total moves made
+ * @param {number} submission.timeSeconds - Time taken
+ * @param {string} submission.seed - Deck shuffle seed (picks the deal number)
+ * @param {string} submission.sessionId - Commit-reveal session the deck came from
+ * @param {number} submission.dealNumber - Deal number the client played, if sent
+ * @param {Array} submission.moveHistory - Move log recorded by freecellReducer
+ * @param {Object} options
+ * @param {Object} options.session - game_sessions row for submission.sessionId
+ * @returns {{valid: boolean, reason?: string, details?: Object}}
+ */
+export function validateFreeCellGame(submission, options = {}) {
+  const { score, moves, timeSeconds, seed, sessionId, dealNumber, moveHistory } = submission;
+  const { session = null } = options;
+
+  // Validation 1: Basic data present
+  if (score === undefined || score === null) {
+    return { valid: false, reason: 'Missing score' };
+  }
+
+  // Validation 2: Score must be 0-52
+  if (score < 0 || score > 52) {
+    return {
+      valid: false,
+      reason: `Invalid score: ${score} (must be 0-52 cards)`
+    };
+  }
+
+  // Validation 3: If score > 0, must have made moves
+  if (score > 0 && moves !== undefined && moves < score) {
+    return {
+      valid: false,
+      reason: `Impossible: ${score} cards to foundation with only ${moves} moves`
+    };
+  }
+
+  // Validation 4: Time should be reasonable for move count
+  if (timeSeconds && moves) {
+    const avgTimePerMove = timeSeconds / moves;
+
+    // Each move should take at least 0.3 seconds (human speed limit)
+    if (avgTimePerMove < 0.3) {
+      return {
+        valid: false,
+        reason: `Average ${avgTimePerMove.toFixed(2)}s per move is too fast (min: 0.3s)`
+      };
+    }
+  }
+
+  // Validation 5: Replay the move log from the numbered deal
+  if (!seed) {
+    return { valid: false, reason: 'Missing seed' };
+  }
+
+  const seedCheck = validateSessionSeed(session, sessionId, 'freecell', seed, 'deck-shuffle');
+  if (!seedCheck.valid) {
+    return seedCheck;
+  }
+
+  if (!Array.isArray(moveHistory)) {
+    return { valid: false, reason: 'Missing move history' };
+  }
+
+  let seedDeal;
+  try {
+    seedDeal = getDealNumber(seed);
+  } catch (err) {
+    return { valid: false, reason: err.message };
+  }
+
+  if (dealNumber !== undefined && dealNumber !== seedDeal) {
+    return {
+      valid: false,
+      reason: `Deal mismatch: seed deals game #${seedDeal}, claimed #${dealNumber}`
+    };
+  }
+
+  const replay = replayFreeCellGame(seedDeal, moveHistory);
+
+  if (!replay.valid) {
+    return replay;
+  }
+
+  if (replay.foundationCount !== score) {
+    return {
+      valid: false,
+      reason: `Score mismatch: replay reached ${replay.foundationCount} foundation cards, claimed ${score}`,
+      calculatedScore: replay.foundationCount
+    };
+  }
+
+  if (moves !== undefined && replay.moves !== moves) {
+    return {
+      valid: false,
+      reason: `Move count mismatch: replay made ${replay.moves} moves, claimed ${moves}`
+    };
+  }
+
+  return {
+    valid: true,
+    calculatedScore: score,
+    details: {
+      score,
+      moves,
+      dealNumber: seedDeal,
+      timeSeconds,
+      avgTimePerMove: timeSeconds && moves ? (timeSeconds / moves).toFixed(2) : null,
+      replayedMoves: moveHistory.length
+    }
+  };
+}
+
+/**
+ * Get the cards a logged move picks up, or null if the source can't supply them
+ * Mirrors what FreeCellBoard allows the player to select
+ * @param {Object} state - Current game state
+ * @param {Object} source - Move source ({type: 'tableau'|'freecell', index})
+ * @param {number} count - Number of cards (tableau sequences only)
+ * @returns {Array|null} Selected cards
+ */
+function selectSourceCards(state, source, count = 1) {
+  if (!source) return null;
+
+  if (source.type === 'tableau') {
+    const column = state.tableau[source.index];
+    if (!column || !Number.isInteger(count) || count < 1 || count > column.length) return null;
+    return getMovableSequence(column, column.length - count);
+  }
+
+  if (source.type === 'freecell') {
+    const card = state.freeCells[source.index];
+    return card && count === 1 ? [card] : null;
+  }
+
+  return null;
+}
+
+/**
+ * Check a single logged move against the current state
+ * @param {Object} state - Current game state
+ * @param {Object} move - Logged move
+ * @returns {{valid: boolean, reason?: string, cards?: Array}}
+ */
+function checkLoggedMove(state, move) {
+  switch (move?.type) {
+    case 'MOVE_TO_TABLEAU': {
+      const cards = selectSourceCards(state, move.source, move.count);
+      if (!cards) {
+        return { valid: false, reason: 'Source cannot supply the moved cards' };
+      }
+      if (move.source.type === 'tableau' && move.source.index === move.targetIndex) {
+        return { valid: false, reason: 'Move onto the same column' };
+      }
+      if (!isValidMove(cards, { type: 'tableau', index: move.targetIndex }, state)) {
+        return { valid: false, reason: `Illegal tableau move: ${cards.length} card(s) from ${cards[0].id} to column ${move.targetIndex}` };
+      }
+      return { valid: true, cards };
+    }
+
+    case 'MOVE_TO_FREECELL': {
+      const cards = selectSourceCards(state, move.source);
+      if (!cards || move.source.type !== 'tableau') {
+        return { valid: false, reason: 'Source cannot supply the moved card' };
+      }
+      if (!isValidMove(cards, { type: 'freecell', index: move.cellIndex }, state)) {
+        return { valid: false, reason: `Free cell ${move.cellIndex} is not available` };
+      }
+      return { valid: true, cards };
+    }
+
+    case 'MOVE_TO_FOUNDATION': {
+      const cards = selectSourceCards(state, move.source);
+      if (!cards) {
+        return { valid: false, reason: 'Source cannot supply the moved card' };
+      }
+      if (!isValidMove(cards, { type: 'foundation', suit: move.suit }, state)) {
+        return { valid: false, reason: `Illegal foundation move: ${cards[0].id} to ${move.suit}` };
+      }
+      return { valid: true, cards };
+    }
+
+    default:
+      return { valid: false, reason: `Unknown move type: ${move?.type}` };
+  }
+}
+
+/**
+ * Deal a numbered game and replay a move log
+ * Each move is checked with the game rules, then applied by freecellReducer
+ * @param {number} dealNumber - Microsoft deal number (1-32000)
+ * @param {Array} moveLog - Move log recorded by freecellReducer
+ * @returns {{valid: boolean, reason?: string, foundationCount?: number, moves?: number}}
+ */
+export function replayFreeCellGame(dealNumber, moveLog) {
+  if (moveLog.length > MAX_LOGGED_MOVES) {
+    return { valid: false, reason: `Move log too long: ${moveLog.length} entries (max ${MAX_LOGGED_MOVES})` };
+  }
+
+  let state = dealCards(dealNumber);
+
+  for (let i = 0; i < moveLog.length; i++) {
+    const move = moveLog[i];
+    const check = checkLoggedMove(state, move);
+
+    if (!check.valid) {
+      return { valid: false, reason: `Move ${i + 1}: ${check.reason}` };
+    }
+
+    state = freecellReducer(state, {
+      type: 'SELECT_CARDS',
+      payload: { cards: check.cards, source: move.source }
+    });
+
+    const payload = move.type === 'MOVE_TO_TABLEAU' ? { targetIndex: move.targetIndex }
+      : move.type === 'MOVE_TO_FREECELL' ? { cellIndex: move.cellIndex }
+      : { suit: move.suit };
+
+    state = freecellReducer(state, { type: move.type, payload });
+  }
+
+  return {
+    valid: true,
+    foundationCount: getFoundationCount(state.foundations),
+    moves: state.moves
+  };
+}
+
+export default {
+  validateFreeCellGame,
+  replayFreeCellGame
+};
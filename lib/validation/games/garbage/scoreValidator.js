@@ -1,7 +1,34 @@
 /**
  * Garbage Score Validator
  *
- * Validates Garbage card game score
+ * Validates Garbage card game score, then re-deals the deck from the seed and
+ * replays the turn transcript (player and AI) through the shared game rules.
+ * The seed must be the session's 'deck-shuffle' value, recomputed from the
+ * revealed server secret.
+ */
+
+import { shuffleDeckStrings } from '../../../../src/core/shuffle.js';
+import {
+  dealInitialCards,
+  canPlaceCard,
+  checkWin,
+  getValidPositions,
+  isGarbage
+} from '../../../../src/core/games/garbage/game-logic.js';
+import { validateSessionSeed, sessionRngVersion } from '../../shared/sessionBinding.js';
+
+const MAX_TURNS = 500;
+
+/**
+ * One turn of the transcript recorded by GarbageGame (player and AI alternate,
+ * player first)
+ * @typedef {Object} GarbageTurn
+ * @property {'player'|'ai'} by - Who played the turn
+ * @property {'draw'|'discard'} source - Where the first card came from
+ * @property {Array<{card: string, position: number}>} placements - Chain in order;
+ *   entries with a Jack are wild placements (the only free position choice)
+ * @property {string|null} endCard - Card discarded to end the turn, or null
+ *   when the turn completed the board (or the AI found the draw pile empty)
  */
 
 /**
@@ -11,10 +38,17 @@
  * @param {number} submission.rounds - Rounds completed
  * @param {number} submission.timeSeconds - Time taken
  * @param {string} submission.difficulty - AI difficulty
+ * @param {number} submission.moves - Player turns taken
+ * @param {string} submission.seed - Deck shuffle seed
+ * @param {string} submission.sessionId - Commit-reveal session the deck came from
+ * @param {GarbageTurn[]} submission.turnHistory - Turn transcript
+ * @param {Object} options
+ * @param {Object} options.session - game_sessions row for submission.sessionId
  * @returns {{valid: boolean, reason?: string, details?: Object}}
  */
-export function validateGarbageGame(submission) {
-  const { score, rounds, timeSeconds, difficulty } = submission;
+export function validateGarbageGame(submission, options = {}) {
+  const { score, rounds, timeSeconds, difficulty, moves, seed, sessionId, turnHistory } = submission;
+  const { session = null } = options;
 
   // Validation 1: Basic data present
   if (score === undefined || score === null) {
@@ -90,6 +124,47 @@ export function validateGarbageGame(submission) {
     }
   }
 
+  // Validation 6: Replay every turn from the dealt deck
+  if (!seed) {
+    return { valid: false, reason: 'Missing seed' };
+  }
+
+  const seedCheck = validateSessionSeed(session, sessionId, 'garbage', seed, 'deck-shuffle');
+  if (!seedCheck.valid) {
+    return seedCheck;
+  }
+
+  if (!Array.isArray(turnHistory)) {
+    return { valid: false, reason: 'Missing turn history' };
+  }
+
+  const replay = replayGarbageGame(seed, turnHistory, sessionRngVersion(session));
+
+  if (!replay.valid) {
+    return replay;
+  }
+
+  if (replay.winner !== 'player') {
+    return {
+      valid: false,
+      reason: replay.winner ? 'Winner mismatch: replay ends with an AI win' : 'Winner mismatch: replay ends without a winner'
+    };
+  }
+
+  if (rounds !== undefined && replay.rounds !== rounds) {
+    return {
+      valid: false,
+      reason: `Round count mismatch: replay has ${replay.rounds} rounds, claimed ${rounds}`
+    };
+  }
+
+  if (moves !== undefined && replay.rounds !== moves) {
+    return {
+      valid: false,
+      reason: `Move count mismatch: replay has ${replay.rounds} player turns, claimed ${moves}`
+    };
+  }
+
   return {
     valid: true,
     calculatedScore: score,
@@ -98,8 +173,130 @@ export function validateGarbageGame(submission) {
       rounds,
       timeSeconds,
       difficulty,
-      avgTimePerRound: timeSeconds && rounds ? (timeSeconds / rounds).toFixed(1) : null
+      avgTimePerRound: timeSeconds && rounds ? (timeSeconds / rounds).toFixed(1) : null,
+      replayedTurns: turnHistory.length
+    }
+  };
+}
+
+/**
+ * Take the first card of a turn from the draw or discard pile
+ * Mirrors GarbageGame (player) and makeMove (AI)
+ * @param {Object} game - Replay state (mutated)
+ * @param {GarbageTurn} turn - Logged turn
+ * @returns {{valid: boolean, reason?: string, card?: string}}
+ */
+function takeFirstCard(game, turn) {
+  if (turn.source === 'draw') {
+    if (game.drawPile.length === 0 && turn.by === 'player') {
+      return { valid: false, reason: 'Draw from empty draw pile' };
+    }
+    return { valid: true, card: game.drawPile.shift() || null };
+  }
+
+  if (turn.source === 'discard') {
+    const top = game.discardPile[game.discardPile.length - 1];
+    if (!top || isGarbage(top)) {
+      return { valid: false, reason: `Cannot take ${top || 'from empty discard pile'}` };
+    }
+    // The player may only pick up a card they can place; easy AI sometimes misjudges
+    if (turn.by === 'player' && getValidPositions(top, game.boards.player.cards).length === 0) {
+      return { valid: false, reason: `Took ${top} from discard with no valid position` };
+    }
+    return { valid: true, card: game.discardPile.pop() };
+  }
+
+  return { valid: false, reason: `Unknown draw source: ${turn.source}` };
+}
+
+/**
+ * Re-deal the deck from the seed and replay a turn transcript
+ * Each placement is checked with canPlaceCard and the flipped card must start
+ * the next one; checkWin ends the game
+ * @param {string} seed - Deck shuffle seed
+ * @param {GarbageTurn[]} turnHistory - Turn transcript
+ * @param {number} rngVersion - RNG version the deck was shuffled with
+ * @returns {{valid: boolean, reason?: string, winner?: string|null, rounds?: number}}
+ */
+export function replayGarbageGame(seed, turnHistory, rngVersion) {
+  if (turnHistory.length > MAX_TURNS) {
+    return { valid: false, reason: `Turn history too long: ${turnHistory.length} turns (max ${MAX_TURNS})` };
+  }
+
+  const dealt = dealInitialCards(shuffleDeckStrings(seed, rngVersion));
+  const game = {
+    boards: {
+      player: { cards: dealt.playerCards, hidden: [...dealt.playerHidden] },
+      ai: { cards: dealt.aiCards, hidden: [...dealt.aiHidden] }
+    },
+    drawPile: [...dealt.drawPile],
+    discardPile: []
+  };
+  let winner = null;
+
+  for (let i = 0; i < turnHistory.length; i++) {
+    const turn = turnHistory[i];
+    const expected = i % 2 === 0 ? 'player' : 'ai';
+    const fail = reason => ({ valid: false, reason: `Turn ${i + 1}: ${reason}` });
+
+    if (winner) {
+      return fail(`game was already won by ${winner}`);
     }
+    if (turn?.by !== expected) {
+      return fail(`expected ${expected} to play`);
+    }
+    if (!Array.isArray(turn.placements)) {
+      return fail('missing placements');
+    }
+
+    const board = game.boards[turn.by];
+    const first = takeFirstCard(game, turn);
+    if (!first.valid) {
+      return fail(first.reason);
+    }
+
+    let held = first.card;
+
+    for (const { card, position } of turn.placements) {
+      if (winner) {
+        return fail('placement after the board was complete');
+      }
+      if (card !== held) {
+        return fail(`placed ${card} while holding ${held}`);
+      }
+      if (!canPlaceCard(card, position, board.cards)) {
+        return fail(`cannot place ${card} in position ${position}`);
+      }
+
+      // Placing a card flips the face-down card under it into the hand
+      const index = position - 1;
+      held = board.hidden[index];
+      board.cards[index] = card;
+      board.hidden[index] = null;
+
+      if (checkWin(board.cards)) {
+        winner = turn.by;
+        held = null;
+      }
+    }
+
+    if ((turn.endCard ?? null) !== (held ?? null)) {
+      return fail(`ended with ${turn.endCard ?? 'no card'} while holding ${held ?? 'no card'}`);
+    }
+
+    if (held) {
+      // The AI always plays a card it can place; the player may discard at will
+      if (turn.by === 'ai' && getValidPositions(held, board.cards).length > 0) {
+        return fail(`AI discarded playable ${held}`);
+      }
+      game.discardPile.push(held);
+    }
+  }
+
+  return {
+    valid: true,
+    winner,
+    rounds: turnHistory.filter(turn => turn.by === 'player').length
   };
 }
 
@@ -170,6 +367,7 @@ export function estimateScoreRange(rounds) {
 
 export default {
   validateGarbageGame,
+  replayGarbageGame,
   calculateGarbageScore,
   validateRoundCount,
   estimateScoreRange
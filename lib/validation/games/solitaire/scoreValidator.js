@@ -1,19 +1,64 @@
 /**
  * Solitaire Score Validator
  *
- * Validates Solitaire game score and move count
+ * Validates Solitaire game score and move count, then re-deals the deck from
+ * the seed and replays the submitted move log through the shared game rules,
+ * under the game options (draw count, scoring, stock passes) committed with
+ * the session (game_sessions.game_options), never the options the client
+ * submits. Sessions without options were played under the defaults.
+ * The seed itself must be the session's 'deck-shuffle' value, recomputed
+ * from the revealed server secret.
+ *
+ * Vegas games must submit their cash balance, which has to match the replay.
+ * A Vegas cumulative game starts from the balance its session carried in
+ * (game_sessions.starting_balance), never from a client-supplied amount, and
+ * must be submitted by the player that balance belongs to
+ * (game_sessions.player_name).
  */
 
+import { shuffleDeck } from '../../../../src/core/shuffle.js';
+import {
+  dealCards,
+  solitaireReducer,
+  getFoundationCount
+} from '../../../../src/core/games/solitaire/gameState.js';
+import {
+  isValidMove,
+  canPlaceOnFoundation,
+  getMovableSequence,
+  canDrawFromStock,
+  canRecycleStock
+} from '../../../../src/core/games/solitaire/gameLogic.js';
+import {
+  DEFAULT_GAME_OPTIONS,
+  validateGameOptions,
+  normalizeGameOptions,
+  isVegasScoring,
+  getVariantId
+} from '../../../../src/core/games/solitaire/variants.js';
+import { validateSessionSeed, sessionRngVersion } from '../../shared/sessionBinding.js';
+
+const MAX_LOGGED_MOVES = 5000;
+
 /**
  * Validate Solitaire game submission
  * @param {Object} submission - Game submission data
  * @param {number} submission.score - Cards moved to foundation (0-52)
  * @param {number} submission.moves - Total moves made
  * @param {number} submission.timeSeconds - Time taken
- * @returns {{valid: boolean, reason?: string, details?: Object}}
+ * @param {string} submission.seed - Deck shuffle seed
+ * @param {string} submission.sessionId - Commit-reveal session the deck came from
+ * @param {Array} submission.moveHistory - Move log recorded by solitaireReducer
+ * @param {number} submission.balance - Vegas modes: cash balance at the end of the game
+ * @param {string} submission.playerName - Player submitting the game
+ * @param {Object} options
+ * @param {Object} options.session - game_sessions row for submission.sessionId
+ *   (game_options: committed game options, defaults if missing)
+ * @returns {{valid: boolean, reason?: string, variant?: string, details?: Object}}
  */
-export function validateSolitaireGame(submission) {
-  const { score, moves, timeSeconds } = submission;
+export function validateSolitaireGame(submission, options = {}) {
+  const { score, moves, timeSeconds, seed, sessionId, moveHistory, balance } = submission;
+  const { session = null } = options;
 
   // Validation 1: Basic data present
   if (score === undefined || score === null) {
@@ -68,15 +113,215 @@ export function validateSolitaireGame(submission) {
     }
   }
 
+  // Validation 6: Replay the move log from the dealt deck
+  if (!seed) {
+    return { valid: false, reason: 'Missing seed' };
+  }
+
+  const seedCheck = validateSessionSeed(session, sessionId, 'solitaire', seed, 'deck-shuffle');
+  if (!seedCheck.valid) {
+    return seedCheck;
+  }
+
+  if (session.carried_from_session_id && submission.playerName !== session.player_name) {
+    return { valid: false, reason: `Carried balance belongs to ${session.player_name}` };
+  }
+
+  if (!Array.isArray(moveHistory)) {
+    return { valid: false, reason: 'Missing move history' };
+  }
+
+  const gameOptions = normalizeGameOptions(session.game_options);
+  const gameOptionsCheck = validateGameOptions(gameOptions);
+  if (!gameOptionsCheck.valid) {
+    return { valid: false, reason: `Invalid game options: ${gameOptionsCheck.reason}` };
+  }
+
+  if (isVegasScoring(gameOptions) && !Number.isInteger(balance)) {
+    return { valid: false, reason: 'Missing Vegas balance' };
+  }
+
+  const startingBalance = session.starting_balance || 0;
+
+  const replay = replaySolitaireGame(seed, moveHistory, sessionRngVersion(session), gameOptions, startingBalance);
+
+  if (!replay.valid) {
+    return replay;
+  }
+
+  if (replay.foundationCount !== score) {
+    return {
+      valid: false,
+      reason: `Score mismatch: replay reached ${replay.foundationCount} foundation cards, claimed ${score}`,
+      calculatedScore: replay.foundationCount
+    };
+  }
+
+  if (moves !== undefined && replay.moves !== moves) {
+    return {
+      valid: false,
+      reason: `Move count mismatch: replay made ${replay.moves} moves, claimed ${moves}`
+    };
+  }
+
+  if (isVegasScoring(gameOptions) && replay.score !== balance) {
+    return {
+      valid: false,
+      reason: `Balance mismatch: replay ended on $${replay.score}, claimed $${balance}`
+    };
+  }
+
   return {
     valid: true,
     calculatedScore: score,
+    variant: getVariantId(gameOptions),
     details: {
       score,
       moves,
+      variant: getVariantId(gameOptions),
+      ...(isVegasScoring(gameOptions) && { balance: replay.score }),
       timeSeconds,
-      avgTimePerMove: timeSeconds && moves ? (timeSeconds / moves).toFixed(2) : null
+      avgTimePerMove: timeSeconds && moves ? (timeSeconds / moves).toFixed(2) : null,
+      replayedMoves: moveHistory.length
+    }
+  };
+}
+
+/**
+ * Get the cards a logged move picks up, or null if the source can't supply them
+ * Mirrors what SolitaireBoard allows the player to select
+ * @param {Object} state - Current game state
+ * @param {Object} source - Move source ({type: 'waste'|'tableau'|'foundation', index?, suit?})
+ * @param {number} count - Number of cards (tableau sequences only)
+ * @returns {Array|null} Selected cards
+ */
+function selectSourceCards(state, source, count = 1) {
+  if (!source) return null;
+
+  if (source.type === 'waste') {
+    return state.waste.length > 0 ? [state.waste[state.waste.length - 1]] : null;
+  }
+
+  if (source.type === 'tableau') {
+    const column = state.tableau[source.index];
+    if (!column || count < 1 || count > column.length) return null;
+    return getMovableSequence(column, column.length - count);
+  }
+
+  if (source.type === 'foundation') {
+    const pile = state.foundations[source.suit];
+    return pile && pile.length > 0 ? [pile[pile.length - 1]] : null;
+  }
+
+  return null;
+}
+
+/**
+ * Check a single logged move against the current state
+ * @param {Object} state - Current game state
+ * @param {Object} move - Logged move
+ * @returns {{valid: boolean, reason?: string, cards?: Array}}
+ */
+function checkLoggedMove(state, move) {
+  switch (move?.type) {
+    case 'DRAW_FROM_STOCK':
+      return canDrawFromStock(state.stock)
+        ? { valid: true }
+        : { valid: false, reason: 'Draw from empty stock' };
+
+    case 'RECYCLE_STOCK':
+      if (state.stock.length > 0 || state.waste.length === 0) {
+        return { valid: false, reason: 'Recycle while stock is not empty' };
+      }
+      return canRecycleStock(state.stock, state.waste, state.recycleCount, state.options.stockPasses)
+        ? { valid: true }
+        : { valid: false, reason: `Recycle past the ${state.options.stockPasses}-pass stock limit` };
+
+    case 'FLIP_CARD': {
+      const column = state.tableau[move.columnIndex];
+      if (!column || column.length === 0 || column[column.length - 1].faceUp) {
+        return { valid: false, reason: `No face-down card to flip in column ${move.columnIndex}` };
+      }
+      return { valid: true };
+    }
+
+    case 'MOVE_TO_TABLEAU': {
+      const cards = selectSourceCards(state, move.source, move.count);
+      if (!cards) {
+        return { valid: false, reason: 'Source cannot supply the moved cards' };
+      }
+      if (move.source.type === 'tableau' && move.source.index === move.targetIndex) {
+        return { valid: false, reason: 'Move onto the same column' };
+      }
+      if (!isValidMove(cards, { type: 'tableau', index: move.targetIndex }, state)) {
+        return { valid: false, reason: `Illegal tableau move: ${cards[0].id} to column ${move.targetIndex}` };
+      }
+      return { valid: true, cards };
+    }
+
+    case 'MOVE_TO_FOUNDATION': {
+      const cards = selectSourceCards(state, move.source);
+      if (!cards || move.source.type === 'foundation') {
+        return { valid: false, reason: 'Source cannot supply the moved card' };
+      }
+      const pile = state.foundations[move.suit];
+      if (!pile || !canPlaceOnFoundation(cards[0], pile, move.suit)
+          || !isValidMove(cards, { type: 'foundation', suit: move.suit }, state)) {
+        return { valid: false, reason: `Illegal foundation move: ${cards[0].id} to ${move.suit}` };
+      }
+      return { valid: true, cards };
     }
+
+    default:
+      return { valid: false, reason: `Unknown move type: ${move?.type}` };
+  }
+}
+
+/**
+ * Re-deal the deck from the seed and replay a move log
+ * Each move is checked with the game rules, then applied by solitaireReducer
+ * @param {string} seed - Deck shuffle seed
+ * @param {Array} moveLog - Move log recorded by solitaireReducer
+ * @param {number} rngVersion - RNG version the deck was shuffled with
+ * @param {Object} options - Game options the deal was played under
+ * @param {number} startingBalance - Vegas cumulative balance before the buy-in
+ * @returns {{valid: boolean, reason?: string, foundationCount?: number, moves?: number, score?: number}}
+ */
+export function replaySolitaireGame(seed, moveLog, rngVersion, options = DEFAULT_GAME_OPTIONS, startingBalance = 0) {
+  if (moveLog.length > MAX_LOGGED_MOVES) {
+    return { valid: false, reason: `Move log too long: ${moveLog.length} entries (max ${MAX_LOGGED_MOVES})` };
+  }
+
+  let state = dealCards(shuffleDeck(seed, rngVersion), options, startingBalance);
+
+  for (let i = 0; i < moveLog.length; i++) {
+    const move = moveLog[i];
+    const check = checkLoggedMove(state, move);
+
+    if (!check.valid) {
+      return { valid: false, reason: `Move ${i + 1}: ${check.reason}` };
+    }
+
+    if (check.cards) {
+      state = solitaireReducer(state, {
+        type: 'SELECT_CARDS',
+        payload: { cards: check.cards, source: move.source }
+      });
+    }
+
+    const payload = move.type === 'MOVE_TO_TABLEAU' ? { targetIndex: move.targetIndex }
+      : move.type === 'MOVE_TO_FOUNDATION' ? { suit: move.suit }
+      : move.type === 'FLIP_CARD' ? { columnIndex: move.columnIndex }
+      : undefined;
+
+    state = solitaireReducer(state, { type: move.type, payload });
+  }
+
+  return {
+    valid: true,
+    foundationCount: getFoundationCount(state.foundations),
+    moves: state.moves,
+    score: state.score
   };
 }
 
@@ -122,6 +367,7 @@ export function validateMoveCount(score, moves) {
 
 export default {
   validateSolitaireGame,
+  replaySolitaireGame,
   estimateMinMovesForScore,
   validateMoveCount
 };
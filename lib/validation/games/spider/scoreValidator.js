@@ -0,0 +1,213 @@
+/**
+ * Spider Score Validator
+ *
+ * Validates Spider game score and move count, then re-deals the 104-card
+ * deck from the seed with the submitted suit count and replays the move log
+ * through the shared game rules. The score is recomputed by the replay. The
+ * seed must be the session's 'deck-shuffle' value, recomputed from the
+ * revealed server secret.
+ */
+
+import {
+  dealCards,
+  spiderReducer
+} from '../../../../src/core/games/spider/gameState.js';
+import {
+  createSpiderDeck,
+  validateSuitCount,
+  getVariantId,
+  getMovableSequence,
+  canDealFromStock,
+  isValidMove,
+  SCORING,
+  RUNS_TO_WIN
+} from '../../../../src/core/games/spider/gameLogic.js';
+import { validateSessionSeed, sessionRngVersion } from '../../shared/sessionBinding.js';
+
+const MAX_LOGGED_MOVES = 5000;
+const MAX_SCORE = SCORING.startingScore + SCORING.perRun * RUNS_TO_WIN;
+
+/**
+ * Validate Spider game submission
+ * @param {Object} submission - Game submission data
+ * @param {number} submission.score - 500 - moves + 100 per completed run
+ * @param {number} submission.moves - Total moves made (deals included)
+ * @param {number} submission.timeSeconds - Time taken
+ * @param {string} submission.seed - Deck shuffle seed
+ * @param {string} submission.sessionId - Commit-reveal session the deck came from
+ * @param {number} submission.suits - Suits in play (1, 2 or 4)
+ * @param {Array} submission.moveHistory - Move log recorded by spiderReducer
+ * @param {Object} options
+ * @param {Object} options.session - game_sessions row for submission.sessionId
+ * @returns {{valid: boolean, reason?: string, variant?: string, details?: Object}}
+ */
+export function validateSpiderGame(submission, options = {}) {
+  const { score, moves, timeSeconds, seed, sessionId, suits, moveHistory } = submission;
+  const { session = null } = options;
+
+  // Validation 1: Basic data present
+  if (score === undefined || score === null) {
+    return { valid: false, reason: 'Missing score' };
+  }
+
+  // Validation 2: Score must be within the scoring range
+  if (score < 0 || score > MAX_SCORE) {
+    return {
+      valid: false,
+      reason: `Invalid score: ${score} (must be 0-${MAX_SCORE})`
+    };
+  }
+
+  // Validation 3: Time should be reasonable for move count
+  if (timeSeconds && moves) {
+    const avgTimePerMove = timeSeconds / moves;
+
+    // Each move should take at least 0.3 seconds (human speed limit)
+    if (avgTimePerMove < 0.3) {
+      return {
+        valid: false,
+        reason: `Average ${avgTimePerMove.toFixed(2)}s per move is too fast (min: 0.3s)`
+      };
+    }
+  }
+
+  // Validation 4: Replay the move log from the dealt deck
+  if (!seed) {
+    return { valid: false, reason: 'Missing seed' };
+  }
+
+  const seedCheck = validateSessionSeed(session, sessionId, 'spider', seed, 'deck-shuffle');
+  if (!seedCheck.valid) {
+    return seedCheck;
+  }
+
+  if (!Array.isArray(moveHistory)) {
+    return { valid: false, reason: 'Missing move history' };
+  }
+
+  const suitCheck = validateSuitCount(suits);
+  if (!suitCheck.valid) {
+    return { valid: false, reason: `Invalid suits: ${suitCheck.reason}` };
+  }
+
+  const replay = replaySpiderGame(seed, moveHistory, sessionRngVersion(session), suits);
+
+  if (!replay.valid) {
+    return replay;
+  }
+
+  if (replay.score !== score) {
+    return {
+      valid: false,
+      reason: `Score mismatch: replay scored ${replay.score}, claimed ${score}`,
+      calculatedScore: replay.score
+    };
+  }
+
+  if (moves !== undefined && replay.moves !== moves) {
+    return {
+      valid: false,
+      reason: `Move count mismatch: replay made ${replay.moves} moves, claimed ${moves}`
+    };
+  }
+
+  return {
+    valid: true,
+    calculatedScore: score,
+    variant: getVariantId(suits),
+    details: {
+      score,
+      moves,
+      variant: getVariantId(suits),
+      completedRuns: replay.completedRuns,
+      timeSeconds,
+      avgTimePerMove: timeSeconds && moves ? (timeSeconds / moves).toFixed(2) : null,
+      replayedMoves: moveHistory.length
+    }
+  };
+}
+
+/**
+ * Check a single logged move against the current state
+ * @param {Object} state - Current game state
+ * @param {Object} move - Logged move
+ * @returns {{valid: boolean, reason?: string, cards?: Array}}
+ */
+function checkLoggedMove(state, move) {
+  switch (move?.type) {
+    case 'DEAL_FROM_STOCK':
+      return canDealFromStock(state.stock, state.tableau)
+        ? { valid: true }
+        : { valid: false, reason: 'Deal with an empty stock or an empty column' };
+
+    case 'MOVE_TO_TABLEAU': {
+      const column = move.source?.type === 'tableau' ? state.tableau[move.source.index] : null;
+      const { count } = move;
+      if (!column || !Number.isInteger(count) || count < 1 || count > column.length) {
+        return { valid: false, reason: 'Source cannot supply the moved cards' };
+      }
+      const cards = getMovableSequence(column, column.length - count);
+      if (!cards) {
+        return { valid: false, reason: 'Moved cards are not a face-up run of one suit' };
+      }
+      if (move.source.index === move.targetIndex) {
+        return { valid: false, reason: 'Move onto the same column' };
+      }
+      if (!isValidMove(cards, { type: 'tableau', index: move.targetIndex }, state)) {
+        return { valid: false, reason: `Illegal tableau move: ${cards[0].id} to column ${move.targetIndex}` };
+      }
+      return { valid: true, cards };
+    }
+
+    default:
+      return { valid: false, reason: `Unknown move type: ${move?.type}` };
+  }
+}
+
+/**
+ * Re-deal the deck from the seed and replay a move log
+ * Each move is checked with the game rules, then applied by spiderReducer
+ * @param {string} seed - Deck shuffle seed
+ * @param {Array} moveLog - Move log recorded by spiderReducer
+ * @param {number} rngVersion - RNG version the deck was shuffled with
+ * @param {number} suits - Suits in play
+ * @returns {{valid: boolean, reason?: string, score?: number, moves?: number, completedRuns?: number}}
+ */
+export function replaySpiderGame(seed, moveLog, rngVersion, suits) {
+  if (moveLog.length > MAX_LOGGED_MOVES) {
+    return { valid: false, reason: `Move log too long: ${moveLog.length} entries (max ${MAX_LOGGED_MOVES})` };
+  }
+
+  let state = dealCards(createSpiderDeck(seed, rngVersion, suits), suits);
+
+  for (let i = 0; i < moveLog.length; i++) {
+    const move = moveLog[i];
+    const check = checkLoggedMove(state, move);
+
+    if (!check.valid) {
+      return { valid: false, reason: `Move ${i + 1}: ${check.reason}` };
+    }
+
+    if (check.cards) {
+      state = spiderReducer(state, {
+        type: 'SELECT_CARDS',
+        payload: { cards: check.cards, source: move.source }
+      });
+    }
+
+    const payload = move.type === 'MOVE_TO_TABLEAU' ? { targetIndex: move.targetIndex } : undefined;
+    state = spiderReducer(state, { type: move.type, payload });
+  }
+
+  return {
+    valid: true,
+    score: state.score,
+    moves: state.moves,
+    completedRuns: state.completed.length
+  };
+}
+
+export default {
+  validateSpiderGame,
+  replaySpiderGame
+};
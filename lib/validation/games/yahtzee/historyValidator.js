@@ -1,7 +1,9 @@
 /**
  * Yahtzee History Validator
  *
- * Validates that roll history correctly produces claimed final score
+ * Recomputes every roll from the revealed commit-reveal session (honoring
+ * the dice held between rolls), checks each turn's category score against
+ * its final dice, and validates the claimed final score
  */
 
 import {
@@ -12,20 +14,157 @@ import {
   calculateUpperBonus,
   isGameComplete,
   createEmptyScorecard,
-  canScoreCategory
-} from './scoringLogic.js';
+  canScoreCategory,
+  isYahtzee,
+  UPPER_CATEGORIES,
+  LOWER_CATEGORIES
+} from '../../../../src/core/games/yahtzee/scoringLogic.js';
+import { deriveRandomValue } from '../../../../src/core/seed.js';
+import { calculateDieValue } from '../../../../src/core/dice.js';
+import { getNextPurposes } from '../../../../src/core/purposes.js';
+import { validateRevealedSession } from '../../shared/sessionBinding.js';
+import { sessionBlockData } from '../../../block-anchor.js';
+
+const DICE_COUNT = 5;
+
+/**
+ * Dice values of a roll record ({diceValues} from the game, or {dice})
+ * @param {Object} roll - Roll record
+ * @returns {number[]|null}
+ */
+function getRollValues(roll) {
+  const dice = roll.diceValues || roll.dice;
+  if (!Array.isArray(dice)) return null;
+  return dice.map(die => (typeof die === 'object' ? die.value : die));
+}
+
+/**
+ * Recompute a game's rolls from the revealed session
+ * Roll K of turn N comes from purpose `turn-N-roll-K` (see YahtzeeGame
+ * handleRoll). Dice listed in a roll's `held` flags keep their value from the
+ * previous roll of the turn; every other die is calculateDieValue(random, i).
+ * @param {string} serverSecret - Revealed server secret
+ * @param {Object} blockData - Block fan the session was anchored to
+ * @param {Array<{turn, roll, held, diceValues}>} rollHistory - Rolls in order
+ * @param {string|null} clientSeed - Player's seed bound at session start
+ * @returns {{valid: boolean, reason?: string, turns?: number}}
+ */
+export function replayYahtzeeRolls(serverSecret, blockData, rollHistory, clientSeed = null) {
+  let lastPurpose = null;
+  let values = null;
+  let turns = 0;
+
+  for (const roll of rollHistory) {
+    const turn = roll.turn || roll.turnNumber;
+    const rollNumber = roll.roll || roll.rollNumber;
+    const purpose = `turn-${turn}-roll-${rollNumber}`;
+
+    const allowed = getNextPurposes('yahtzee', lastPurpose);
+    if (!allowed.includes(purpose)) {
+      return {
+        valid: false,
+        reason: `Roll ${purpose} is out of order (expected ${allowed.length > 0 ? allowed.join(' or ') : 'no further rolls'})`
+      };
+    }
+
+    const held = Array.isArray(roll.held) ? roll.held : [];
+    if (rollNumber === 1 && held.some(Boolean)) {
+      return { valid: false, reason: `Roll ${purpose}: dice cannot be held before the first roll of a turn` };
+    }
+
+    const random = deriveRandomValue(serverSecret, blockData, purpose, clientSeed);
+    const previous = values;
+    const expected = Array.from({ length: DICE_COUNT }, (_, i) => (
+      held[i] ? previous[i] : calculateDieValue(random, i)
+    ));
+
+    const claimed = getRollValues(roll);
+    if (!claimed || claimed.length !== DICE_COUNT || claimed.some((value, i) => value !== expected[i])) {
+      return {
+        valid: false,
+        reason: `Roll ${purpose}: dice [${claimed}] do not match revealed roll [${expected.join(', ')}]`
+      };
+    }
+
+    if (rollNumber === 1) turns++;
+    lastPurpose = purpose;
+    values = expected;
+  }
+
+  return { valid: true, turns };
+}
+
+/**
+ * Check every turn's scored category against that turn's final dice
+ * YahtzeeGame handleScore records the category on the last roll of the turn.
+ * Each category must be scored exactly once, with the score
+ * calculateCategoryScore gives for the final dice, and the Yahtzee bonus
+ * count must match the extra Yahtzees rolled after a 50 in the yahtzee box.
+ * @param {Array<{turn, category, diceValues}>} rollHistory - Replayed rolls in order
+ * @param {Object} scorecard - Final scorecard
+ * @returns {{valid: boolean, reason?: string}}
+ */
+export function validateTurnScores(rollHistory, scorecard) {
+  const finalRolls = new Map();
+  for (const roll of rollHistory) {
+    finalRolls.set(roll.turn || roll.turnNumber, roll);
+  }
+
+  const categories = [...UPPER_CATEGORIES, ...LOWER_CATEGORIES];
+  const scored = new Set();
+  let yahtzeeBonusCount = 0;
+
+  for (const [turn, roll] of finalRolls) {
+    const { category } = roll;
+    if (!category) {
+      return { valid: false, reason: `Turn ${turn} has no scored category` };
+    }
+    if (!categories.includes(category)) {
+      return { valid: false, reason: `Turn ${turn} scored unknown category ${category}` };
+    }
+    if (scored.has(category)) {
+      return { valid: false, reason: `Turn ${turn} scored ${category} a second time` };
+    }
+
+    const values = getRollValues(roll);
+    const check = validateCategoryScore(category, values, scorecard[category]);
+    if (!check.valid) {
+      return { valid: false, reason: `Turn ${turn}: ${check.reason}` };
+    }
+
+    const dice = values.map(value => ({ value }));
+    if (category !== 'yahtzee' && isYahtzee(dice) && scored.has('yahtzee') && scorecard.yahtzee === 50) {
+      yahtzeeBonusCount++;
+    }
+    scored.add(category);
+  }
+
+  if ((scorecard.yahtzeeBonusCount || 0) !== yahtzeeBonusCount) {
+    return {
+      valid: false,
+      reason: `Yahtzee bonus mismatch: claimed ${scorecard.yahtzeeBonusCount || 0}, rolled ${yahtzeeBonusCount}`
+    };
+  }
+
+  return { valid: true };
+}
 
 /**
  * Validate Yahtzee game submission
- * Verifies roll history matches scorecard and final score
+ * Verifies every roll against the revealed session, and the scorecard
+ * against the final score
  * @param {Object} submission - Game submission data
  * @param {Array} submission.rollHistory - Array of roll objects
  * @param {Object} submission.scorecard - Final scorecard
  * @param {number} submission.score - Claimed final score
+ * @param {string} submission.sessionId - Commit-reveal session the dice came from
+ * @param {Object} options - Validation options
+ * @param {Object} options.session - game_sessions row for submission.sessionId
  * @returns {{valid: boolean, reason?: string, calculatedScore?: number, details?: Object}}
  */
-export function validateYahtzeeGame(submission) {
-  const { rollHistory, scorecard, score } = submission;
+export function validateYahtzeeGame(submission, options = {}) {
+  const { rollHistory, scorecard, score, sessionId } = submission;
+  const { session = null } = options;
 
   // Validation 1: Basic data present
   if (!rollHistory || !Array.isArray(rollHistory)) {
@@ -104,7 +243,37 @@ export function validateYahtzeeGame(submission) {
     };
   }
 
-  // Validation 6: Verify bonus calculation
+  // Validation 6: Recompute every roll from the revealed session
+  if (!sessionId) {
+    return { valid: false, reason: 'Missing session ID' };
+  }
+
+  const sessionCheck = validateRevealedSession(session, sessionId, 'yahtzee');
+  if (!sessionCheck.valid) {
+    return sessionCheck;
+  }
+
+  const replay = replayYahtzeeRolls(
+    session.server_secret,
+    sessionBlockData(session),
+    rollHistory,
+    session.client_seed
+  );
+  if (!replay.valid) {
+    return replay;
+  }
+
+  if (replay.turns !== 13) {
+    return { valid: false, reason: `Expected 13 turns, got ${replay.turns}` };
+  }
+
+  // Validation 7: Each turn's category score must come from its final dice
+  const turnScores = validateTurnScores(rollHistory, scorecard);
+  if (!turnScores.valid) {
+    return turnScores;
+  }
+
+  // Validation 8: Verify bonus calculation
   const expectedUpperBonus = calculateUpperBonus(scorecard);
   const expectedUpperTotal = calculateUpperTotal(scorecard);
   const expectedLowerTotal = calculateLowerTotal(scorecard);
@@ -286,6 +455,8 @@ export function calculateMaxPossibleScore(rollHistory) {
 
 export default {
   validateYahtzeeGame,
+  replayYahtzeeRolls,
+  validateTurnScores,
   validateRollSequence,
   validateCategoryScore,
   calculateMaxPossibleScore
@@ -11,20 +11,52 @@ import { validateBlackjackGame } from './games/blackjack/historyValidator.js';
 import { validate2048Game } from './games/2048/scoreValidator.js';
 import { validateSolitaireGame } from './games/solitaire/scoreValidator.js';
 import { validateGarbageGame } from './games/garbage/scoreValidator.js';
+import { validateFreeCellGame } from './games/freecell/scoreValidator.js';
+import { validateSpiderGame } from './games/spider/scoreValidator.js';
 import { validateChessGame } from './games/chess/historyValidator.js';
 
+// Shared provably-fair core (same module the React games use)
+import { getNextPurposes } from '../../src/core/purposes.js';
+
 // Import shared utilities
 import {
   verifyBlock,
-  verifySeed,
   validateGameIdFormat
 } from './shared/blockchainUtils.js';
+import { requiresSession, validateSessionSeed } from './shared/sessionBinding.js';
+
+import { getBeacon, verifyBeaconRound } from '../../src/core/beacons/index.js';
+import { sessionBlockData } from '../block-anchor.js';
 
 import {
   calculateFraudRisk,
   checkRateLimit
 } from './shared/fraudDetection.js';
 
+/**
+ * Verify the block a submission claims against the session's beacon
+ * Ergo blocks are looked up on the explorer (with a main-chain check);
+ * other beacons (drand, local mock) check the anchor stored on the session.
+ * @param {Object} submission - Full game submission
+ * @param {Object|null} session - game_sessions row
+ * @returns {Promise<{valid: boolean, reason?: string}>}
+ */
+async function verifyAnchor(submission, session) {
+  const blockData = session ? sessionBlockData(session) : null;
+
+  if (!blockData || getBeacon(session.beacon).reorgable) {
+    return verifyBlock(submission.blockHash, submission.blockHeight);
+  }
+
+  try {
+    return await verifyBeaconRound(blockData, session.beacon)
+      ? { valid: true, txCount: blockData.txCount, timestamp: blockData.timestamp }
+      : { valid: false, reason: `Anchor does not match ${session.beacon} round ${blockData.blockHeight}` };
+  } catch (error) {
+    return { valid: false, reason: `Failed to fetch ${session.beacon} round: ${error.message}` };
+  }
+}
+
 /**
  * Validate complete game submission
  * Performs all validation checks: blockchain, game logic, fraud detection
@@ -33,13 +65,15 @@ import {
  * @param {boolean} options.skipBlockchain - Skip blockchain verification (for testing)
  * @param {boolean} options.skipFraud - Skip fraud detection
  * @param {Array} options.playerHistory - Recent games from player (for fraud detection)
+ * @param {Object} options.session - game_sessions row for submission.sessionId (replayed from its revealed secret)
  * @returns {Promise<{valid: boolean, reason?: string, details?: Object, riskScore?: number}>}
  */
 export async function validateGameSubmission(submission, options = {}) {
   const {
     skipBlockchain = false,
     skipFraud = false,
-    playerHistory = []
+    playerHistory = [],
+    session = null
   } = options;
 
   const validationResults = {
@@ -49,7 +83,7 @@ export async function validateGameSubmission(submission, options = {}) {
   };
 
   // Step 1: Validate game type
-  const validGameTypes = ['backgammon', 'yahtzee', 'blackjack', '2048', 'solitaire', 'garbage', 'chess'];
+  const validGameTypes = ['backgammon', 'yahtzee', 'blackjack', '2048', 'solitaire', 'garbage', 'chess', 'freecell', 'spider'];
   if (!validGameTypes.includes(submission.game)) {
     return {
       valid: false,
@@ -69,10 +103,7 @@ export async function validateGameSubmission(submission, options = {}) {
 
   // Step 3: Blockchain verification (optional)
   if (!skipBlockchain && submission.blockHash && submission.blockHeight) {
-    const blockVerification = await verifyBlock(
-      submission.blockHash,
-      submission.blockHeight
-    );
+    const blockVerification = await verifyAnchor(submission, session);
 
     validationResults.blockchain = blockVerification;
 
@@ -83,38 +114,37 @@ export async function validateGameSubmission(submission, options = {}) {
         validationResults
       };
     }
+  }
 
-    // Verify seed if provided
-    if (submission.seed) {
-      const blockData = {
-        blockHash: submission.blockHash,
-        txHash: submission.txHash,
-        timestamp: submission.blockTimestamp,
-        txIndex: submission.txIndex || 0
-      };
+  // Step 4: Session games deal from the revealed session, never from a seed
+  // the client derived itself
+  if (requiresSession(submission.game) && submission.seed) {
+    const [dealPurpose] = getNextPurposes(submission.game, null);
+    const seedCheck = validateSessionSeed(session, submission.sessionId, submission.game, submission.seed, dealPurpose);
 
-      const seedValid = verifySeed(submission.seed, blockData, submission.gameId);
-      if (!seedValid) {
-        validationResults.blockchain.seedMismatch = true;
-        // Warning but not failure - could be timing/format issue
-      }
+    if (!seedCheck.valid) {
+      return {
+        valid: false,
+        reason: `Session verification failed: ${seedCheck.reason}`,
+        validationResults
+      };
     }
   }
 
-  // Step 4: Game-specific validation
+  // Step 5: Game-specific validation
   let gameValidation;
 
   switch (submission.game) {
     case 'backgammon':
-      gameValidation = validateBackgammonGame(submission);
+      gameValidation = validateBackgammonGame(submission, { session });
       break;
 
     case 'yahtzee':
-      gameValidation = validateYahtzeeGame(submission);
+      gameValidation = validateYahtzeeGame(submission, { session });
       break;
 
     case 'blackjack':
-      gameValidation = validateBlackjackGame(submission);
+      gameValidation = validateBlackjackGame(submission, { session });
       break;
 
     case '2048':
@@ -122,17 +152,25 @@ export async function validateGameSubmission(submission, options = {}) {
       break;
 
     case 'solitaire':
-      gameValidation = validateSolitaireGame(submission);
+      gameValidation = validateSolitaireGame(submission, { session });
       break;
 
     case 'garbage':
-      gameValidation = validateGarbageGame(submission);
+      gameValidation = validateGarbageGame(submission, { session });
       break;
 
     case 'chess':
       gameValidation = validateChessGame(submission);
       break;
 
+    case 'freecell':
+      gameValidation = validateFreeCellGame(submission, { session });
+      break;
+
+    case 'spider':
+      gameValidation = validateSpiderGame(submission, { session });
+      break;
+
     default:
       return {
         valid: false,
@@ -151,7 +189,7 @@ export async function validateGameSubmission(submission, options = {}) {
     };
   }
 
-  // Step 5: Fraud detection (optional)
+  // Step 6: Fraud detection (optional)
   if (!skipFraud) {
     const fraudAnalysis = calculateFraudRisk(submission, playerHistory);
     validationResults.fraudDetection = fraudAnalysis;
@@ -185,12 +223,14 @@ export async function validateGameSubmission(submission, options = {}) {
  * Quick validation (game logic only, no blockchain/fraud)
  * Useful for testing or pre-submission validation
  * @param {Object} submission - Game submission
+ * @param {Object|null} session - Revealed game_sessions row (session-dealt games)
  * @returns {{valid: boolean, reason?: string}}
  */
-export function validateGameLogicOnly(submission) {
+export function validateGameLogicOnly(submission, session = null) {
   return validateGameSubmission(submission, {
     skipBlockchain: true,
-    skipFraud: true
+    skipFraud: true,
+    session
   });
 }
 
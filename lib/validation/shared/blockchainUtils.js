@@ -7,25 +7,28 @@
  * - Block data fetching
  */
 
-const ERGO_API = 'https://api.ergoplatform.com/api/v1';
+import { generateSeed, RNG_VERSION_LEGACY } from '../../../src/core/seed.js';
+import { ergoClient } from '../../../src/core/ergoClient.js';
+
+// Seed derivation is shared with the client (provably-fair core)
+export { generateSeed, RNG_VERSION_LEGACY, RNG_VERSION_SHA256 } from '../../../src/core/seed.js';
 
 /**
  * Verify block exists on Ergo blockchain
+ * The block must also be the one every reachable endpoint has at that
+ * height (see the consensus check in src/core/ergoClient.js).
  * @param {string} blockHash - Block hash to verify
  * @param {number} blockHeight - Expected block height
  * @returns {Promise<{valid: boolean, reason?: string, txCount?: number, timestamp?: number}>}
  */
 export async function verifyBlock(blockHash, blockHeight) {
   try {
-    const response = await fetch(`${ERGO_API}/blocks/${blockHash}`);
+    const block = await ergoClient.getBlock(blockHash);
 
-    if (!response.ok) {
+    if (!block) {
       return { valid: false, reason: 'Block not found on blockchain' };
     }
 
-    const data = await response.json();
-    const block = data.block;
-
     // Verify height matches
     if (block.header.height !== blockHeight) {
       return {
@@ -34,6 +37,11 @@ export async function verifyBlock(blockHash, blockHeight) {
       };
     }
 
+    const canonicalId = await ergoClient.getBlockIdAtHeight(blockHeight, { consensus: true });
+    if (canonicalId !== blockHash) {
+      return { valid: false, reason: `Block ${blockHash} is not on the main chain at height ${blockHeight}` };
+    }
+
     return {
       valid: true,
       txCount: block.blockTransactions?.length || 0,
@@ -47,44 +55,6 @@ export async function verifyBlock(blockHash, blockHeight) {
   }
 }
 
-/**
- * Simple hash function (MUST match client-side shuffle.js)
- * Used for deterministic seed generation
- * @param {string} str - String to hash
- * @returns {string} Hex hash string
- */
-function simpleHash(str) {
-  let hash = 0;
-  for (let i = 0; i < str.length; i++) {
-    const char = str.charCodeAt(i);
-    hash = ((hash << 5) - hash) + char;
-    hash = hash & hash; // Convert to 32-bit integer
-  }
-  return Math.abs(hash).toString(16);
-}
-
-/**
- * Generate seed from blockchain data and game ID
- * MUST match client-side implementation exactly for verification
- * @param {Object} blockData - Block data object
- * @param {string} blockData.blockHash - Block hash
- * @param {string} blockData.txHash - Transaction hash
- * @param {number} blockData.timestamp - Block timestamp
- * @param {number} blockData.txIndex - Transaction index in block
- * @param {string} gameId - Unique game identifier
- * @returns {string} Deterministic seed string
- */
-export function generateSeed(blockData, gameId) {
-  const { blockHash, txHash, timestamp, txIndex } = blockData;
-  const combined = `${blockHash}${txHash || ''}${timestamp || ''}${gameId}${txIndex || 0}`;
-
-  let seed = '';
-  for (let i = 0; i < 4; i++) {
-    seed += simpleHash(combined + i);
-  }
-  return seed;
-}
-
 /**
  * Fetch full block data including transactions
  * Useful for deep verification of transaction-based seeds
@@ -93,14 +63,13 @@ export function generateSeed(blockData, gameId) {
  */
 export async function getBlockData(blockHash) {
   try {
-    const response = await fetch(`${ERGO_API}/blocks/${blockHash}`);
+    const block = await ergoClient.getBlock(blockHash);
 
-    if (!response.ok) {
+    if (!block) {
       return { valid: false, reason: 'Block not found' };
     }
 
-    const data = await response.json();
-    return { valid: true, block: data.block };
+    return { valid: true, block };
   } catch (error) {
     return {
       valid: false,
@@ -145,10 +114,11 @@ export async function verifyTransaction(blockHash, txHash, expectedIndex) {
  * @param {string} seed - Claimed seed from client
  * @param {Object} blockData - Block data used to generate seed
  * @param {string} gameId - Game identifier
+ * @param {number} rngVersion - RNG version the game was dealt with (default: legacy v1)
  * @returns {boolean} True if seed is valid
  */
-export function verifySeed(seed, blockData, gameId) {
-  const regeneratedSeed = generateSeed(blockData, gameId);
+export function verifySeed(seed, blockData, gameId, rngVersion = RNG_VERSION_LEGACY) {
+  const regeneratedSeed = generateSeed(blockData, gameId, rngVersion);
   return seed === regeneratedSeed;
 }
 
@@ -177,7 +147,9 @@ export function validateGameIdFormat(gameId, gameType) {
     blackjack: /^BJK-\d+-\w+$/,
     '2048': /^2048-\w{8}-\d+-\w{4}$/,
     backgammon: /^BGM-\d+-\w{9}$/,
-    chess: /^CHS-\d+-\w+$/
+    chess: /^CHS-\d+-\w+$/,
+    freecell: /^FRC-\d+-\w+$/,
+    spider: /^SPD-\d+-\w+$/
   };
 
   const pattern = patterns[gameType];
@@ -66,6 +66,14 @@ export function detectSuspiciousScore(game, score, timeSeconds, moves) {
       minTimePerCard: 0.5,  // seconds per card moved to foundation
       maxScore: 52
     },
+    freecell: {
+      minTimePerCard: 0.5,  // seconds per card moved to foundation
+      maxScore: 52
+    },
+    spider: {
+      minTimePerMove: 0.3, // seconds per move
+      maxScore: 1300       // 500 + 8 runs × 100
+    },
     garbage: {
       minTimePerRound: 2,  // seconds per round
       maxScore: 10000  // arbitrary high value
@@ -100,7 +108,7 @@ export function detectSuspiciousScore(game, score, timeSeconds, moves) {
 
   // Check 2: Time too fast
   if (timeSeconds !== undefined && timeSeconds > 0) {
-    if (game === 'solitaire' && score > 0) {
+    if ((game === 'solitaire' || game === 'freecell') && score > 0) {
       const minTime = score * threshold.minTimePerCard;
       if (timeSeconds < minTime) {
         flags.push(`Completed ${score} cards in ${timeSeconds}s (min expected: ${minTime}s)`);
@@ -123,7 +131,7 @@ export function detectSuspiciousScore(game, score, timeSeconds, moves) {
         flags.push(`Played ${moves} hands in ${timeSeconds}s (min expected: ${minTime}s)`);
         confidence += 25;
       }
-    } else if (game === '2048' && moves > 0) {
+    } else if ((game === '2048' || game === 'spider') && moves > 0) {
       const minTime = moves * threshold.minTimePerMove;
       if (timeSeconds < minTime) {
         flags.push(`Made ${moves} moves in ${timeSeconds}s (min expected: ${minTime}s)`);
@@ -150,7 +158,7 @@ export function detectSuspiciousScore(game, score, timeSeconds, moves) {
   }
 
   // Check 4: Move count vs score consistency
-  if (game === 'solitaire' && score > 0 && moves < score) {
+  if ((game === 'solitaire' || game === 'freecell') && score > 0 && moves < score) {
     flags.push(`Impossible: ${score} cards moved with only ${moves} moves`);
     confidence += 40;
   }
@@ -178,7 +186,7 @@ export function analyzeSubmissionPattern(playerName, recentGames) {
 
   // Check 1: Too many perfect/near-perfect scores
   const perfectScores = recentGames.filter(g => {
-    if (g.game === 'solitaire') return g.score === 52;
+    if (g.game === 'solitaire' || g.game === 'freecell') return g.score === 52;
     if (g.game === 'yahtzee') return g.score >= 350;
     if (g.game === 'backgammon') return g.score >= 500;
     return false;
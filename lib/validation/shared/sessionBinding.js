@@ -0,0 +1,259 @@
+/**
+ * Session Binding for Leaderboard Submissions
+ *
+ * Ties a submitted score to the commit-reveal session (game_sessions row)
+ * its randomness came from, so scores can't be posted for games that were
+ * never dealt by /api/game/start.
+ */
+
+import { deriveRandomValue, CURRENT_RNG_VERSION } from '../../../src/core/seed.js';
+import { validateNextPurpose, getNextPurposes } from '../../../src/core/purposes.js';
+import { RNG_MODE_HASH_CHAIN, revealedChainRandom, verifySessionCommitment } from '../../../src/core/hashChain.js';
+import { sessionBlockData } from '../../block-anchor.js';
+
+/**
+ * Games whose randomness comes from a commit-reveal session
+ * (2048 spawns from the block hash alone; chess has no randomness)
+ */
+export const SESSION_GAME_TYPES = ['backgammon', 'blackjack', 'solitaire', 'yahtzee', 'garbage', 'freecell', 'spider'];
+
+/**
+ * Check whether a game type must be bound to a session
+ * @param {string} game - Game type
+ * @returns {boolean}
+ */
+export function requiresSession(game) {
+  return SESSION_GAME_TYPES.includes(game);
+}
+
+/**
+ * RNG version a session's games were dealt with
+ * Session games replay with the session's version, never the submission's.
+ * @param {Object} session - game_sessions row
+ * @returns {number} RNG version
+ */
+export function sessionRngVersion(session) {
+  return session?.rng_version || CURRENT_RNG_VERSION;
+}
+
+/**
+ * Validate that a submission belongs to a finished session
+ * Reuse (one session → several leaderboard rows) is enforced by the unique
+ * LeaderBoard.session_id index, not here.
+ *
+ * Once the secret is revealed, every value in the session's random ledger is
+ * recomputed, and a submitted seed must be the value the ledger served for
+ * the game's first purpose (the deal).
+ * @param {Object|null} session - game_sessions row for submission.sessionId
+ * @param {Object} submission - Game submission
+ * @param {Array<{purpose: string, random: string}>|null} ledger - Session random ledger, in nonce order
+ * @returns {{valid: boolean, reason?: string}}
+ */
+export function validateSessionBinding(session, submission, ledger) {
+  const { game, sessionId, blockHash, blockHeight, txHash } = submission;
+
+  if (!sessionId) {
+    return { valid: false, reason: 'Missing session ID' };
+  }
+
+  if (!session) {
+    return { valid: false, reason: 'Game session not found' };
+  }
+
+  if (session.session_id !== sessionId) {
+    return { valid: false, reason: 'Session ID does not match the game session' };
+  }
+
+  if (session.game_type !== game) {
+    return { valid: false, reason: `Session is for ${session.game_type}, not ${game}` };
+  }
+
+  if (!session.ended_at) {
+    return { valid: false, reason: 'Session has not ended' };
+  }
+
+  if (!session.block_hash) {
+    return { valid: false, reason: 'Session was never anchored to a block' };
+  }
+
+  // Anchored anywhere but the height committed at start means the block was picked late
+  if (session.target_block_height != null && Number(session.target_block_height) !== Number(session.block_height)) {
+    return { valid: false, reason: `Session anchored to ${session.block_height}, but committed to ${session.target_block_height}` };
+  }
+
+  // Flagged by /api/cron/verify-anchors: the block is no longer on the main chain
+  if (session.anchor_status === 'orphaned') {
+    return { valid: false, reason: `Session anchor block ${session.block_height} was orphaned by a chain reorganization` };
+  }
+
+  if (session.block_hash !== blockHash || Number(session.block_height) !== Number(blockHeight)) {
+    return {
+      valid: false,
+      reason: `Block mismatch: session anchored to ${session.block_height}/${session.block_hash}, submission claims ${blockHeight}/${blockHash}`
+    };
+  }
+
+  if (session.tx_hash && txHash && session.tx_hash !== txHash) {
+    return { valid: false, reason: 'Transaction mismatch: submission was not anchored to the session transaction' };
+  }
+
+  return validateSessionLedger(session, submission, ledger);
+}
+
+/**
+ * Recompute a revealed session's random ledger and tie the submitted seed to it
+ * @param {Object} session - Anchored, ended game_sessions row
+ * @param {Object} submission - Game submission
+ * @param {Array<{purpose: string, random: string}>|null} ledger - Session random ledger, in nonce order
+ * @returns {{valid: boolean, reason?: string}}
+ */
+function validateSessionLedger(session, submission, ledger) {
+  const { game, seed } = submission;
+
+  if (!verifySessionCommitment(session.server_secret, session.secret_hash, session.rng_mode, session.chain_length)) {
+    return { valid: false, reason: 'Server secret does not match its commitment' };
+  }
+
+  const blockData = sessionBlockData(session);
+
+  // Hash-chain sessions are served links from /api/game/chain, not a ledger
+  if (session.rng_mode === RNG_MODE_HASH_CHAIN) {
+    if (seed && seed !== servedValue(session, blockData, game, getNextPurposes(game, null)[0])) {
+      return { valid: false, reason: "Seed mismatch: submission was not dealt from the session's first hash-chain round" };
+    }
+    return { valid: true };
+  }
+
+  if (!Array.isArray(ledger)) {
+    return { valid: false, reason: 'Session random ledger not found' };
+  }
+
+  for (let i = 0; i < ledger.length; i++) {
+    const { purpose, random } = ledger[i];
+
+    const order = validateNextPurpose(game, ledger.slice(0, i), purpose);
+    if (!order.valid) {
+      return { valid: false, reason: `Ledger entry ${i + 1}: ${order.reason}` };
+    }
+
+    if (random !== deriveRandomValue(session.server_secret, blockData, purpose, session.client_seed)) {
+      return { valid: false, reason: `Ledger entry ${i + 1}: value for "${purpose}" does not match the revealed secret` };
+    }
+  }
+
+  if (seed) {
+    const [dealPurpose] = getNextPurposes(game, null);
+    const dealt = ledger.find(entry => entry.purpose === dealPurpose);
+
+    if (!dealt) {
+      return { valid: false, reason: `Session never served its ${dealPurpose} value` };
+    }
+
+    if (dealt.random !== seed) {
+      return { valid: false, reason: `Seed mismatch: submission was not dealt from the session's ${dealPurpose} value` };
+    }
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Recompute the value a revealed session served for a purpose
+ * Hash-chain sessions serve numbered rounds instead of purposes; the game's
+ * deal is round 1, and nothing else can be bound to a purpose.
+ * @param {Object} session - Revealed game_sessions row
+ * @param {Object} blockData - Session anchor block
+ * @param {string} game - Game type
+ * @param {string} purpose - Purpose the value was requested for
+ * @returns {string|null} Value, or null if the session never served it
+ */
+function servedValue(session, blockData, game, purpose) {
+  if (session.rng_mode !== RNG_MODE_HASH_CHAIN) {
+    return deriveRandomValue(session.server_secret, blockData, purpose, session.client_seed);
+  }
+
+  const [dealPurpose] = getNextPurposes(game, null);
+  if (purpose !== dealPurpose || !(session.chain_position >= 1)) {
+    return null;
+  }
+
+  return revealedChainRandom(session.server_secret, session.chain_length, blockData, 1, session.client_seed);
+}
+
+/**
+ * Check that a game_sessions row belongs to a game and has been revealed,
+ * before its random values are recomputed from the secret
+ * @param {Object|null} session - game_sessions row
+ * @param {string} sessionId - Session ID from the submission
+ * @param {string} gameType - Game being validated
+ * @returns {{valid: boolean, reason?: string}}
+ */
+export function validateRevealedSession(session, sessionId, gameType) {
+  if (!session) {
+    return { valid: false, reason: 'Missing game session' };
+  }
+
+  if (session.session_id !== sessionId) {
+    return { valid: false, reason: 'Session ID does not match the game session' };
+  }
+
+  if (session.game_type !== gameType) {
+    return { valid: false, reason: `Session is for ${session.game_type}, not ${gameType}` };
+  }
+
+  if (!session.ended_at) {
+    return { valid: false, reason: 'Session has not ended (server secret not revealed)' };
+  }
+
+  if (!verifySessionCommitment(session.server_secret, session.secret_hash, session.rng_mode, session.chain_length)) {
+    return { valid: false, reason: 'Server secret does not match its commitment' };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Check that a submitted seed is the value the revealed session derived for
+ * a purpose, so a card game can't be replayed from a deck the player picked
+ * @param {Object|null} session - game_sessions row
+ * @param {string} sessionId - Session ID from the submission
+ * @param {string} gameType - Game being validated
+ * @param {string} seed - Seed the submission was dealt from
+ * @param {string} purpose - Purpose the seed was requested for (src/core/purposes.js)
+ * @returns {{valid: boolean, reason?: string}}
+ */
+export function validateSessionSeed(session, sessionId, gameType, seed, purpose) {
+  if (!sessionId) {
+    return { valid: false, reason: 'Missing session ID' };
+  }
+
+  const sessionCheck = validateRevealedSession(session, sessionId, gameType);
+  if (!sessionCheck.valid) {
+    return sessionCheck;
+  }
+
+  const blockData = sessionBlockData(session);
+  if (!blockData) {
+    return { valid: false, reason: 'Session was never anchored to a block' };
+  }
+
+  const expected = servedValue(session, blockData, gameType, purpose);
+  if (!expected) {
+    return { valid: false, reason: `Session never served its ${purpose} value` };
+  }
+
+  if (seed !== expected) {
+    return { valid: false, reason: `Seed mismatch: submission was not dealt from the session's ${purpose} value` };
+  }
+
+  return { valid: true };
+}
+
+export default {
+  SESSION_GAME_TYPES,
+  requiresSession,
+  sessionRngVersion,
+  validateSessionBinding,
+  validateRevealedSession,
+  validateSessionSeed
+};
@@ -0,0 +1,131 @@
+/**
+ * Offline Block Cache
+ *
+ * Loads Ergo block data from a local JSON file so games can be audited
+ * without network access. The file may hold:
+ * - Explorer responses saved from /api/v1/blocks/{id} ({ block: {...} })
+ * - Explorer block objects ({ header, blockTransactions })
+ * - Flat entries ({ blockHash, blockHeight, timestamp, txIds })
+ * either as an array or as an object keyed by block hash.
+ */
+
+import { readFileSync } from 'fs';
+
+/**
+ * Normalize one cached block into { blockHash, blockHeight, timestamp, txIds }
+ * @param {Object} entry - Cached block in any supported shape
+ * @returns {Object|null} Normalized block or null if unrecognized
+ */
+export function normalizeBlock(entry) {
+  if (!entry || typeof entry !== 'object') return null;
+
+  const block = entry.block || entry;
+
+  if (block.header) {
+    return {
+      blockHash: block.header.id,
+      blockHeight: block.header.height,
+      timestamp: block.header.timestamp,
+      txIds: (block.blockTransactions || []).map(tx => tx.id)
+    };
+  }
+
+  const blockHash = block.blockHash || block.id || block.hash;
+  if (!blockHash) return null;
+
+  return {
+    blockHash,
+    blockHeight: block.blockHeight ?? block.height,
+    timestamp: block.timestamp,
+    txIds: block.txIds || (block.transactions || []).map(tx => (typeof tx === 'string' ? tx : tx.id))
+  };
+}
+
+/**
+ * Build a block cache from parsed JSON
+ * @param {Array|Object} json - Array of blocks or object keyed by block hash
+ * @returns {Map<string, Object>} Block hash → normalized block
+ */
+export function createBlockCache(json) {
+  const cache = new Map();
+  const entries = Array.isArray(json) ? json : Object.values(json || {});
+
+  for (const entry of entries) {
+    const block = normalizeBlock(entry);
+    if (block) {
+      cache.set(block.blockHash, block);
+    }
+  }
+
+  return cache;
+}
+
+/**
+ * Load a block cache file from disk
+ * @param {string} filePath - Path to JSON cache file
+ * @returns {Map<string, Object>} Block hash → normalized block
+ */
+export function loadBlockCache(filePath) {
+  return createBlockCache(JSON.parse(readFileSync(filePath, 'utf8')));
+}
+
+/**
+ * Check claimed anchor data against a cached block
+ * Mirrors ergo-api.js: txIndex = timestamp % txCount, txHash = tx at txIndex
+ * @param {Map<string, Object>} cache - Block cache
+ * @param {Object} blockData - Claimed block fields
+ * @returns {{valid: boolean, reason?: string, block?: Object}}
+ */
+export function verifyCachedBlock(cache, blockData) {
+  const block = cache.get(blockData.blockHash);
+
+  if (!block) {
+    return { valid: false, reason: `Block ${blockData.blockHash} not in local cache` };
+  }
+
+  if (blockData.blockHeight != null && block.blockHeight !== Number(blockData.blockHeight)) {
+    return {
+      valid: false,
+      reason: `Block height mismatch: expected ${block.blockHeight}, got ${blockData.blockHeight}`
+    };
+  }
+
+  if (blockData.timestamp != null && block.timestamp !== Number(blockData.timestamp)) {
+    return {
+      valid: false,
+      reason: `Block timestamp mismatch: expected ${block.timestamp}, got ${blockData.timestamp}`
+    };
+  }
+
+  if (blockData.txHash) {
+    const txIndex = block.txIds.indexOf(blockData.txHash);
+
+    if (txIndex === -1) {
+      return { valid: false, reason: 'Transaction not found in block' };
+    }
+
+    if (blockData.txIndex != null && txIndex !== Number(blockData.txIndex)) {
+      return {
+        valid: false,
+        reason: `Transaction index mismatch: expected ${txIndex}, got ${blockData.txIndex}`
+      };
+    }
+
+    const expectedIndex = block.timestamp % block.txIds.length;
+    if (txIndex !== expectedIndex) {
+      return {
+        valid: false,
+        reason: `Transaction was not selected deterministically: expected index ${expectedIndex}, got ${txIndex}`
+      };
+    }
+  }
+
+  return { valid: true, block };
+}
+
+export default {
+  normalizeBlock,
+  createBlockCache,
+  loadBlockCache,
+  verifyCachedBlock
+};
@@ -0,0 +1,313 @@
+/**
+ * Offline Game Verifier
+ *
+ * Audits a finished game without trusting the website:
+ * 1. Commitment → SHA256(serverSecret) === secretHash
+ *    (hash-chain sessions: SHA256 applied chainLength times)
+ * 2. Anchor → claimed block fields match a locally cached Ergo block
+ * 3. Random values → every purpose recomputed exactly like verifyRandomValue
+ * 4. Replay → decks/shoes/dice rebuilt from the recomputed values
+ * 5. Rules → score checked by the server validators (lib/validation)
+ *
+ * Accepts the reveal payload from /api/game/end (optionally wrapped in the
+ * client's session export with purposes and gameData) or a leaderboard row
+ * from /api/game/[gameId].
+ *
+ * For commit-reveal games a record that can't be checked fails: a missing
+ * secret, block or list of purposes is a FAIL, never a SKIP.
+ */
+
+import {
+  deriveRandomValue,
+  resolveRngVersion,
+  CURRENT_RNG_VERSION
+} from '../../src/core/seed.js';
+import { RNG_MODE_HASH_CHAIN, revealedChainRandom, verifySessionCommitment } from '../../src/core/hashChain.js';
+import { getNextPurposes } from '../../src/core/purposes.js';
+import { verifyCachedBlock } from './blockCache.js';
+import { replayGame, check } from './replay.js';
+import { validateGameLogicOnly } from '../validation/index.js';
+import { requiresSession } from '../validation/shared/sessionBinding.js';
+
+// Fields that are verification metadata rather than game results
+const NON_GAME_FIELDS = [
+  'revealed', 'gameData', 'purposes', 'blockData', 'blockchainData',
+  'serverSecret', 'secretHash', 'clientSeed', 'verification',
+  'rngMode', 'chainLength', 'chainPosition', 'ledger', 'seedBatch'
+];
+
+/**
+ * Normalize any supported input into one record shape
+ * @param {Object} raw - Reveal payload, session export or leaderboard row
+ * @param {string} [game] - Game type (overrides the record's own)
+ * @returns {Object} Normalized record
+ */
+export function normalizeRecord(raw, game) {
+  const source = { ...raw, ...(raw.revealed || {}) };
+  const gameData = { ...(raw.gameData || {}), ...(raw.revealed?.gameData || {}) };
+  const block = raw.blockData || raw.blockchainData || source;
+
+  // Session exports list purposes; the /api/game/end reveal carries its ledger
+  const served = source.purposes?.length ? source.purposes : (source.ledger || []);
+  const purposes = served.map(p => (
+    typeof p === 'string'
+      ? { purpose: p, random: null }
+      : { purpose: p.purpose, random: p.random ?? null }
+  ));
+
+  const fields = Object.fromEntries(
+    Object.entries(source).filter(([key]) => !NON_GAME_FIELDS.includes(key))
+  );
+
+  return {
+    kind: source.serverSecret ? 'reveal' : 'leaderboard',
+    game: game || source.game || source.gameType,
+    gameId: source.gameId || gameData.gameId || null,
+    sessionId: source.sessionId || null,
+    serverSecret: source.serverSecret || null,
+    secretHash: source.secretHash || null,
+    clientSeed: source.clientSeed || null,
+    rngMode: source.rngMode || null,
+    chainLength: source.chainLength ?? null,
+    chainPosition: source.chainPosition ?? null,
+    // Revealed sessions deal with v2 unless the reveal records otherwise
+    rngVersion: source.serverSecret && !source.rngVersion ? CURRENT_RNG_VERSION : resolveRngVersion(source),
+    blockData: {
+      blockHash: block.blockHash,
+      blockHeight: block.blockHeight,
+      txHash: block.txHash,
+      txIndex: block.txIndex,
+      timestamp: block.timestamp
+    },
+    purposes,
+    gameData,
+    // Blackjack table rules and Solitaire game options committed with the session
+    tableRules: source.tableRules || block.tableRules || gameData.tableRules || null,
+    gameOptions: source.gameOptions || gameData.gameOptions || null,
+    submission: {
+      ...fields,
+      ...gameData,
+      score: source.score ?? gameData.score ?? gameData.finalScore
+    }
+  };
+}
+
+/**
+ * Recompute the value a revealed session served for a purpose
+ * Hash-chain sessions serve rounds ("chain-<n>"); the game's deal is round 1.
+ * @param {Object} record - Normalized record with a revealed secret
+ * @param {string} purpose - Purpose to recompute
+ * @returns {string|null} Value, or null if the session can't have served it
+ */
+function recomputeValue(record, purpose) {
+  if (record.rngMode !== RNG_MODE_HASH_CHAIN) {
+    return deriveRandomValue(record.serverSecret, record.blockData, purpose, record.clientSeed);
+  }
+
+  const [dealPurpose] = getNextPurposes(record.game, null);
+  const round = purpose === dealPurpose ? 1 : Number(/^chain-(\d+)$/.exec(purpose)?.[1]);
+  if (!(round >= 1 && round <= record.chainLength)) {
+    return null;
+  }
+
+  return revealedChainRandom(record.serverSecret, record.chainLength, record.blockData, round, record.clientSeed);
+}
+
+/**
+ * Describe the commitment a record is checked against
+ * @param {Object} record - Normalized record
+ * @returns {string}
+ */
+function commitmentFormula(record) {
+  return record.rngMode === RNG_MODE_HASH_CHAIN
+    ? `SHA256^${record.chainLength}(serverSecret)`
+    : 'SHA256(serverSecret)';
+}
+
+/**
+ * Check every claimed random value against its recomputed value
+ * @returns {Object} Check result
+ */
+function checkRandomValues(record, randomFor) {
+  const claimed = record.purposes.filter(p => p.random);
+
+  if (!requiresSession(record.game)) {
+    return check('random values', 'skip', `No commit-reveal session for ${record.game}`);
+  }
+  if (!record.serverSecret) {
+    return check('random values', 'fail', 'No server secret revealed');
+  }
+  if (record.purposes.length === 0) {
+    return check('random values', 'fail', 'No random purposes recorded');
+  }
+  if (claimed.length === 0) {
+    return check('random values', 'skip', `${record.purposes.length} purposes recorded without their served values`);
+  }
+
+  const mismatch = claimed.find(p => randomFor(p.purpose) !== p.random);
+  if (mismatch) {
+    return check('random values', 'fail', `Value for "${mismatch.purpose}" does not match recomputed value`);
+  }
+
+  return check('random values', 'pass', `${claimed.length}/${claimed.length} recomputed values match`);
+}
+
+/**
+ * Shape a revealed record like the game_sessions row the server validators
+ * recompute session-dealt seeds from
+ * @param {Object} record - Normalized record
+ * @returns {Object|null} Session row, or null without a revealed secret
+ */
+function revealedSession(record) {
+  if (!record.serverSecret) {
+    return null;
+  }
+
+  return {
+    session_id: record.sessionId,
+    game_type: record.game,
+    server_secret: record.serverSecret,
+    secret_hash: record.secretHash,
+    client_seed: record.clientSeed,
+    rng_mode: record.rngMode,
+    chain_length: record.chainLength,
+    chain_position: record.chainPosition,
+    rng_version: record.rngVersion,
+    block_hash: record.blockData.blockHash,
+    block_height: record.blockData.blockHeight,
+    tx_hash: record.blockData.txHash,
+    tx_index: record.blockData.txIndex,
+    timestamp: record.blockData.timestamp,
+    table_rules: record.tableRules,
+    game_options: record.gameOptions,
+    // Solitaire Vegas cumulative: balance the session carried in
+    starting_balance: record.submission.startingBalance || 0,
+    // The secret is only revealed once the session has ended
+    ended_at: true
+  };
+}
+
+/**
+ * Run the server-side rules validator on the record's game results
+ * @returns {Promise<Object>} Check result
+ */
+async function checkRules(record) {
+  if (record.submission.score === undefined || record.submission.score === null) {
+    return check('rules', 'skip', 'No score recorded');
+  }
+
+  const result = await validateGameLogicOnly({
+    ...record.submission,
+    game: record.game,
+    gameId: record.gameId,
+    ...(record.tableRules && { tableRules: record.tableRules })
+  }, revealedSession(record));
+
+  if (result.valid) {
+    return check('rules', 'pass', `Score ${record.submission.score} is consistent with game rules`);
+  }
+
+  // Reveal payloads only carry what the client sent to /api/game/end
+  if (/: Missing /.test(result.reason)) {
+    return check('rules', 'skip', `Incomplete record (${result.reason})`);
+  }
+
+  return check('rules', 'fail', result.reason);
+}
+
+/**
+ * Verify a finished game
+ * @param {string} game - Game type (solitaire, blackjack, ...)
+ * @param {Object} raw - Reveal payload, session export or leaderboard row
+ * @param {Object} options - Verification options
+ * @param {Map} [options.blockCache] - Offline block cache (see blockCache.js)
+ * @returns {Promise<{game, gameId, sessionId, kind, passed, checks}>}
+ */
+export async function verifyRecord(game, raw, options = {}) {
+  const { blockCache = null } = options;
+  const record = normalizeRecord(raw, game);
+  const checks = [];
+
+  // Memoized recomputation (same derivation as secureRng.verifyRandomValue)
+  const recomputed = new Map();
+  const randomFor = (purpose) => {
+    if (!record.serverSecret) return null;
+    if (!recomputed.has(purpose)) {
+      recomputed.set(purpose, recomputeValue(record, purpose));
+    }
+    return recomputed.get(purpose);
+  };
+
+  // 1. Commitment
+  if (!requiresSession(record.game)) {
+    checks.push(check('commitment', 'skip', `No commit-reveal session for ${record.game}`));
+  } else if (!record.serverSecret) {
+    checks.push(check('commitment', 'fail', 'No server secret revealed'));
+  } else if (verifySessionCommitment(record.serverSecret, record.secretHash, record.rngMode, record.chainLength)) {
+    checks.push(check('commitment', 'pass', `${commitmentFormula(record)} matches secretHash`));
+  } else {
+    checks.push(check('commitment', 'fail', `${commitmentFormula(record)} does not match secretHash`));
+  }
+
+  // 2. Block anchor
+  if (!record.blockData.blockHash) {
+    checks.push(check('block', 'fail', 'Record has no block hash'));
+  } else if (record.blockData.blockHeight === undefined || record.blockData.blockHeight === null) {
+    checks.push(check('block', 'fail', 'Record has no block height'));
+  } else if (!blockCache) {
+    checks.push(check('block', 'skip', 'No block cache provided'));
+  } else {
+    const anchor = verifyCachedBlock(blockCache, record.blockData);
+    checks.push(anchor.valid
+      ? check('block', 'pass', `Block ${record.blockData.blockHeight} (${record.blockData.blockHash.slice(0, 16)}...) matches cache`)
+      : check('block', 'fail', anchor.reason));
+  }
+
+  // 3. Random values
+  checks.push(checkRandomValues(record, randomFor));
+
+  // 4. Replay
+  checks.push(...replayGame(record.game, { record, randomFor, rngVersion: record.rngVersion }));
+
+  // 5. Rules
+  checks.push(await checkRules(record));
+
+  return {
+    game: record.game,
+    gameId: record.gameId,
+    sessionId: record.sessionId,
+    kind: record.kind,
+    rngVersion: record.rngVersion,
+    passed: checks.every(c => c.status !== 'fail'),
+    checks
+  };
+}
+
+/**
+ * Format a verification report for the terminal
+ * @param {Object} report - Result of verifyRecord
+ * @returns {string} Multi-line report
+ */
+export function formatReport(report) {
+  const tags = { pass: 'PASS', fail: 'FAIL', skip: 'SKIP' };
+  const width = Math.max(...report.checks.map(c => c.name.length));
+
+  const lines = [
+    `Game:     ${report.game}`,
+    `Game ID:  ${report.gameId || '-'}`,
+    `Session:  ${report.sessionId || '-'}`,
+    `Source:   ${report.kind === 'reveal' ? 'reveal payload' : 'leaderboard row'} (RNG v${report.rngVersion})`,
+    '',
+    ...report.checks.map(c => `  [${tags[c.status]}] ${c.name.padEnd(width)}  ${c.detail}`),
+    '',
+    report.passed ? 'Result: PASS' : 'Result: FAIL'
+  ];
+
+  return lines.join('\n');
+}
+
+export default {
+  normalizeRecord,
+  verifyRecord,
+  formatReport
+};
@@ -0,0 +1,232 @@
+/**
+ * Per-Game Replay for the Offline Verifier
+ *
+ * Rebuilds each game's randomness (decks, shoes, dice) from recomputed
+ * commit-reveal values using the shared provably-fair core, then compares
+ * it with what the record claims was dealt or rolled.
+ *
+ * Every replayer receives a context and returns a list of checks:
+ * - ctx.record → normalized record (see verifier/index.js)
+ * - ctx.randomFor(purpose) → recomputed random value, or null without a secret
+ * - ctx.rngVersion → RNG version the game was dealt with
+ */
+
+import {
+  shuffleDeck,
+  shuffleDeckStrings,
+  shuffleArray,
+  createMultiDeckShoe
+} from '../../src/core/shuffle.js';
+import { normalizeTableRules } from '../../src/core/games/blackjack/tableRules.js';
+import { rollDiceFromHash, calculateDieValue } from '../../src/core/dice.js';
+import { getDealNumber, createMicrosoftDeal } from '../../src/core/games/freecell/gameLogic.js';
+import { createSpiderDeck, DEFAULT_SUIT_COUNT } from '../../src/core/games/spider/gameLogic.js';
+
+const YAHTZEE_PURPOSE = /^turn-(\d+)-roll-(\d+)$/;
+const BACKGAMMON_PURPOSE = /^roll-(\d+)$/;
+
+/**
+ * Build a check result
+ * @param {string} name - Check name
+ * @param {'pass'|'fail'|'skip'} status - Outcome
+ * @param {string} detail - Human readable detail
+ * @returns {{name: string, status: string, detail: string}}
+ */
+export function check(name, status, detail) {
+  return { name, status, detail };
+}
+
+/** Card identity for comparing dealt cards (objects by id, strings as-is) */
+function cardKey(card) {
+  return typeof card === 'object' && card !== null ? card.id : card;
+}
+
+/**
+ * Compare a recomputed deck with a claimed one (if the record has one)
+ * @returns {Object} Check result
+ */
+function compareDeck(name, expected, claimed) {
+  if (!Array.isArray(claimed)) {
+    return check(name, 'pass', `Recomputed ${expected.length} cards (top: ${cardKey(expected[0])})`);
+  }
+
+  const mismatch = expected.findIndex((card, i) => cardKey(card) !== cardKey(claimed[i]));
+  if (mismatch !== -1 || claimed.length !== expected.length) {
+    const at = mismatch === -1 ? expected.length : mismatch;
+    return check(name, 'fail', `Dealt cards differ from recomputed shuffle at position ${at}`);
+  }
+
+  return check(name, 'pass', `All ${expected.length} cards match recomputed shuffle`);
+}
+
+/**
+ * Replay a single-deck shuffle from the 'deck-shuffle' purpose
+ * @param {Object} ctx - Replay context
+ * @param {function(string, number): Array} shuffle - Core shuffle for the game
+ * @returns {Array} Checks
+ */
+function replayDeckShuffle(ctx, shuffle) {
+  const seed = ctx.randomFor('deck-shuffle');
+  if (!seed) {
+    return [check('deck', 'skip', 'No server secret: shuffle cannot be recomputed')];
+  }
+
+  const deck = shuffle(seed, ctx.rngVersion);
+  return [compareDeck('deck', deck, ctx.record.gameData.deck)];
+}
+
+function replaySolitaire(ctx) {
+  return replayDeckShuffle(ctx, shuffleDeck);
+}
+
+function replayGarbage(ctx) {
+  return replayDeckShuffle(ctx, shuffleDeckStrings);
+}
+
+function replayFreeCell(ctx) {
+  const seed = ctx.randomFor('deck-shuffle');
+  if (!seed) {
+    return [check('deal', 'skip', 'No server secret: deal number cannot be recomputed')];
+  }
+
+  const dealNumber = getDealNumber(seed);
+  const claimed = ctx.record.gameData.dealNumber;
+  if (claimed !== undefined && claimed !== dealNumber) {
+    return [check('deal', 'fail', `Recorded deal #${claimed}, recomputed #${dealNumber}`)];
+  }
+
+  return [
+    check('deal', 'pass', `Microsoft deal #${dealNumber}`),
+    compareDeck('deck', createMicrosoftDeal(dealNumber), ctx.record.gameData.deck)
+  ];
+}
+
+function replaySpider(ctx) {
+  const suits = ctx.record.gameData.suits ?? ctx.record.submission.suits ?? DEFAULT_SUIT_COUNT;
+  return replayDeckShuffle(ctx, (seed, rngVersion) => createSpiderDeck(seed, rngVersion, suits));
+}
+
+function replayBlackjack(ctx) {
+  const purposes = ctx.record.purposes
+    .map(p => p.purpose)
+    .filter(purpose => purpose === 'shoe-shuffle' || purpose.startsWith('reshuffle-'));
+
+  if (purposes.length === 0) purposes.push('shoe-shuffle');
+
+  const { decks } = normalizeTableRules(ctx.record.tableRules);
+
+  return purposes.map((purpose, index) => {
+    const seed = ctx.randomFor(purpose);
+    if (!seed) {
+      return check(`shoe ${purpose}`, 'skip', 'No server secret: shoe cannot be recomputed');
+    }
+
+    const shoe = shuffleArray(createMultiDeckShoe(decks), seed, ctx.rngVersion);
+    const claimed = index === 0 ? ctx.record.gameData.shoe : undefined;
+    return compareDeck(`shoe ${purpose}`, shoe, claimed);
+  });
+}
+
+function replayYahtzee(ctx) {
+  const rolls = (ctx.record.gameData.rollHistory || []).filter(roll => YAHTZEE_PURPOSE.test(roll.purpose || ''));
+
+  if (rolls.length === 0) {
+    return [check('dice', 'skip', 'No secure-rng rolls in roll history')];
+  }
+
+  const checks = [];
+  const previousDice = {};
+
+  for (const roll of rolls) {
+    const seed = ctx.randomFor(roll.purpose);
+    if (!seed) {
+      checks.push(check(`dice ${roll.purpose}`, 'skip', 'No server secret: roll cannot be recomputed'));
+      continue;
+    }
+
+    if (roll.seed && roll.seed !== seed) {
+      checks.push(check(`dice ${roll.purpose}`, 'fail', 'Recorded seed does not match recomputed value'));
+      continue;
+    }
+
+    // Held dice keep the value from the previous roll of the same turn
+    const held = previousDice[roll.turn] || [];
+    const dice = roll.diceValues || roll.dice || [];
+    const badDie = dice.findIndex((value, i) => {
+      const faceValue = typeof value === 'object' ? value.value : value;
+      return faceValue !== calculateDieValue(seed, i) && faceValue !== held[i];
+    });
+
+    previousDice[roll.turn] = dice.map(value => (typeof value === 'object' ? value.value : value));
+
+    checks.push(badDie === -1
+      ? check(`dice ${roll.purpose}`, 'pass', `[${previousDice[roll.turn].join(', ')}]`)
+      : check(`dice ${roll.purpose}`, 'fail', `Die ${badDie} does not match recomputed value`));
+  }
+
+  return checks;
+}
+
+function replayBackgammon(ctx) {
+  const purposes = ctx.record.purposes
+    .map(p => p.purpose)
+    .filter(purpose => BACKGAMMON_PURPOSE.test(purpose))
+    .sort((a, b) => Number(a.match(BACKGAMMON_PURPOSE)[1]) - Number(b.match(BACKGAMMON_PURPOSE)[1]));
+
+  if (purposes.length === 0) {
+    return [check('dice', 'skip', 'No dice rolls recorded')];
+  }
+
+  const rollHistory = ctx.record.gameData.rollHistory || [];
+
+  return purposes.map(purpose => {
+    const seed = ctx.randomFor(purpose);
+    if (!seed) {
+      return check(`dice ${purpose}`, 'skip', 'No server secret: roll cannot be recomputed');
+    }
+
+    const dice = rollDiceFromHash(seed, 2);
+    const turn = Number(purpose.match(BACKGAMMON_PURPOSE)[1]);
+    const claimed = rollHistory[turn - 1]?.dice;
+
+    if (claimed && (claimed[0] !== dice[0] || claimed[1] !== dice[1])) {
+      return check(`dice ${purpose}`, 'fail', `Recorded [${claimed.slice(0, 2).join(', ')}], recomputed [${dice.join(', ')}]`);
+    }
+
+    return check(`dice ${purpose}`, 'pass', `[${dice.join(', ')}]`);
+  });
+}
+
+/**
+ * Replayers keyed by game type
+ * Games without server randomness (2048, chess) have no entry
+ */
+export const replayers = {
+  solitaire: replaySolitaire,
+  garbage: replayGarbage,
+  freecell: replayFreeCell,
+  spider: replaySpider,
+  blackjack: replayBlackjack,
+  yahtzee: replayYahtzee,
+  backgammon: replayBackgammon
+};
+
+/**
+ * Replay a game's randomness
+ * @param {string} game - Game type
+ * @param {Object} ctx - Replay context
+ * @returns {Array} Checks
+ */
+export function replayGame(game, ctx) {
+  const replayer = replayers[game];
+  if (!replayer) {
+    return [check('replay', 'skip', `No randomness replay for ${game}`)];
+  }
+  return replayer(ctx);
+}
+
+export default {
+  replayers,
+  replayGame,
+  check
+};
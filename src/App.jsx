@@ -16,6 +16,10 @@ import UpdatePrompt from './components/UpdatePrompt';
 const GarbageGame = lazy(() => import('./games/garbage/GarbageGame'));
 const SolitaireGame = lazy(() => import('./games/solitaire/SolitaireGame'));
 const SolitaireVerification = lazy(() => import('./games/solitaire/VerificationPage'));
+const FreeCellGame = lazy(() => import('./games/freecell/FreeCellGame'));
+const FreeCellVerification = lazy(() => import('./games/freecell/VerificationPage'));
+const SpiderGame = lazy(() => import('./games/spider/SpiderGame'));
+const SpiderVerification = lazy(() => import('./games/spider/VerificationPage'));
 const YahtzeeGame = lazy(() => import('./games/yahtzee/YahtzeeGame'));
 const YahtzeeVerification = lazy(() => import('./games/yahtzee/VerificationPage'));
 const YahtzeeRules = lazy(() => import('./games/yahtzee/RulesPage'));
@@ -114,6 +118,8 @@ function Header() {
       }>
         <Link to="/garbage" style={isMobile ? styles.linkMobile : styles.link} onClick={closeMenu}>Garbage</Link>
         <Link to="/solitaire" style={isMobile ? styles.linkMobile : styles.link} onClick={closeMenu}>Solitaire</Link>
+        <Link to="/freecell" style={isMobile ? styles.linkMobile : styles.link} onClick={closeMenu}>FreeCell</Link>
+        <Link to="/spider" style={isMobile ? styles.linkMobile : styles.link} onClick={closeMenu}>Spider</Link>
         <Link to="/blackjack" style={isMobile ? styles.linkMobile : styles.link} onClick={closeMenu}>Blackjack</Link>
         <Link to="/yahtzee" style={isMobile ? styles.linkMobile : styles.link} onClick={closeMenu}>Yahtzee</Link>
         <Link to="/backgammon" style={isMobile ? styles.linkMobile : styles.link} onClick={closeMenu}>Backgammon</Link>
@@ -152,6 +158,12 @@ function App() {
             <Route path="/solitaire" element={<SolitaireGame />} />
             <Route path="/solitaire/verify/:gameId" element={<SolitaireVerification />} />
             <Route path="/verify/solitaire/:gameId" element={<SolitaireVerification />} />
+            <Route path="/freecell" element={<FreeCellGame />} />
+            <Route path="/freecell/verify/:gameId" element={<FreeCellVerification />} />
+            <Route path="/verify/freecell/:gameId" element={<FreeCellVerification />} />
+            <Route path="/spider" element={<SpiderGame />} />
+            <Route path="/spider/verify/:gameId" element={<SpiderVerification />} />
+            <Route path="/verify/spider/:gameId" element={<SpiderVerification />} />
             <Route path="/blackjack" element={<BlackjackGame />} />
             <Route path="/play/blackjack" element={<BlackjackGame />} />
             <Route path="/blackjack/verify/:gameId" element={<BlackjackVerification />} />
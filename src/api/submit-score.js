@@ -11,24 +11,21 @@
  */
 
 import { createClient } from '@supabase/supabase-js';
+import { generateSeed } from '../core/seed';
+import { ergoClient } from '../core/ergoClient';
 
 const supabase = createClient(
   process.env.NEXT_PUBLIC_SUPABASE_URL || 'https://rmutcncnppyzirywzozc.supabase.co',
   process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY || 'sb_publishable_K-KApBISA6IiiNE9CCnjNA_3qhuNg8k'
 );
 
-const ERGO_API = 'https://api.ergoplatform.com/api/v1';
-
 /**
  * Fetch block from Ergo blockchain to verify it exists
  */
 async function verifyBlock(blockHash, blockHeight) {
   try {
-    const response = await fetch(`${ERGO_API}/blocks/${blockHash}`);
-    if (!response.ok) return { valid: false, reason: 'Block not found on blockchain' };
-    
-    const data = await response.json();
-    const block = data.block;
+    const block = await ergoClient.getBlock(blockHash);
+    if (!block) return { valid: false, reason: 'Block not found on blockchain' };
     
     if (block.header.height !== blockHeight) {
       return { valid: false, reason: 'Block height mismatch' };
@@ -44,33 +41,6 @@ async function verifyBlock(blockHash, blockHeight) {
   }
 }
 
-/**
- * Simple hash function (must match client-side shuffle.js)
- */
-function simpleHash(str) {
-  let hash = 0;
-  for (let i = 0; i < str.length; i++) {
-    const char = str.charCodeAt(i);
-    hash = ((hash << 5) - hash) + char;
-    hash = hash & hash;
-  }
-  return Math.abs(hash).toString(16);
-}
-
-/**
- * Generate seed (must match client-side shuffle.js)
- */
-function generateSeed(blockData, gameId) {
-  const { blockHash, txHash, timestamp, txIndex } = blockData;
-  const combined = `${blockHash}${txHash || ''}${timestamp || ''}${gameId}${txIndex || 0}`;
-  
-  let seed = '';
-  for (let i = 0; i < 4; i++) {
-    seed += simpleHash(combined + i);
-  }
-  return seed;
-}
-
 /**
  * Validate score is plausible
  */
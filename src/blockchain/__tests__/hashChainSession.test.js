@@ -0,0 +1,108 @@
+/**
+ * Hash-Chain Session Tests
+ *
+ * Tests:
+ * - Each link served by /api/game/chain is checked against the previous one
+ * - Round values are derived locally from the verified link
+ * - Whole-chain verification from the revealed seed
+ */
+
+import { getChainRandom, verifyHashChain } from '../secureRng';
+import { hashChainLink, hashChainCommitment, deriveChainRandom } from '../../core/hashChain';
+
+// ============================================
+// TEST HELPERS
+// ============================================
+
+const SESSION_ID = '00000000-0000-4000-8000-000000000002';
+const SEED = '9c'.repeat(32);
+const LENGTH = 10;
+
+const BLOCK_DATA = {
+  blockHeight: 1500000,
+  blockHash: 'a1'.repeat(32),
+  txHash: 'b2'.repeat(32),
+  timestamp: 1700000000000,
+  txIndex: 1
+};
+
+function jsonResponse(body, status = 200) {
+  return { ok: status >= 200 && status < 300, status, json: async () => body };
+}
+
+function chainResponse(index, link = hashChainLink(SEED, LENGTH, index)) {
+  return jsonResponse({ index, link, chainLength: LENGTH });
+}
+
+function storedSession() {
+  return JSON.parse(localStorage.getItem(`session_${SESSION_ID}`));
+}
+
+beforeEach(() => {
+  localStorage.clear();
+  global.fetch = jest.fn();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  localStorage.setItem(`session_${SESSION_ID}`, JSON.stringify({
+    sessionId: SESSION_ID,
+    secretHash: hashChainCommitment(SEED, LENGTH),
+    rngMode: 'hash-chain',
+    chainLength: LENGTH,
+    clientSeed: 'player-seed',
+    blockData: BLOCK_DATA,
+    purposes: [],
+    chain: { index: 0, link: hashChainCommitment(SEED, LENGTH) }
+  }));
+});
+
+afterEach(() => {
+  delete global.fetch;
+  jest.restoreAllMocks();
+});
+
+// ============================================
+// PER-LINK VERIFICATION
+// ============================================
+
+describe('getChainRandom', () => {
+  test('accepts links that hash to the previous one', async () => {
+    global.fetch.mockResolvedValueOnce(chainResponse(1)).mockResolvedValueOnce(chainResponse(2));
+
+    const first = await getChainRandom(SESSION_ID);
+    const second = await getChainRandom(SESSION_ID);
+
+    expect(first).toEqual({
+      index: 1,
+      random: deriveChainRandom(hashChainLink(SEED, LENGTH, 1), BLOCK_DATA, 1, 'player-seed')
+    });
+    expect(second.index).toBe(2);
+    expect(storedSession().chain).toEqual({ index: 2, link: hashChainLink(SEED, LENGTH, 2) });
+    expect(storedSession().purposes.map(p => p.purpose)).toEqual(['chain-1', 'chain-2']);
+  });
+
+  test('rejects a link that does not hash to the previous one', async () => {
+    global.fetch.mockResolvedValueOnce(chainResponse(1, 'ff'.repeat(32)));
+
+    await expect(getChainRandom(SESSION_ID)).rejects.toThrow('Hash-chain link 1 does not follow link 0');
+    expect(storedSession().chain.index).toBe(0);
+  });
+
+  test('rejects a skipped link', async () => {
+    global.fetch.mockResolvedValueOnce(chainResponse(2));
+
+    await expect(getChainRandom(SESSION_ID)).rejects.toThrow('Hash-chain link 2 does not follow link 0');
+  });
+
+  test('surfaces server errors', async () => {
+    global.fetch.mockResolvedValueOnce(jsonResponse({ error: 'Hash chain exhausted' }, 409));
+
+    await expect(getChainRandom(SESSION_ID)).rejects.toThrow('Hash chain exhausted');
+  });
+});
+
+describe('verifyHashChain', () => {
+  test('proves the whole chain from the revealed seed', () => {
+    expect(verifyHashChain(SEED, LENGTH, hashChainCommitment(SEED, LENGTH))).toBe(true);
+    expect(verifyHashChain(SEED, LENGTH - 1, hashChainCommitment(SEED, LENGTH))).toBe(false);
+  });
+});
@@ -0,0 +1,231 @@
+/**
+ * Resumable Game Tests
+ *
+ * Tests:
+ * - Local-only snapshots (games without a secure session)
+ * - Resuming a secure session: status check, newest snapshot, pending ledger values
+ * - Throttled server saves
+ */
+
+import {
+  saveResumableGame,
+  clearResumableGame,
+  loadResumableGame
+} from '../sessionResume';
+
+// ============================================
+// TEST HELPERS
+// ============================================
+
+const SESSION_ID = '00000000-0000-4000-8000-000000000001';
+
+const BLOCK_DATA = {
+  blockHeight: 1500000,
+  blockHash: 'a1'.repeat(32),
+  txHash: 'b2'.repeat(32),
+  timestamp: 1700000000000,
+  txIndex: 1,
+  txCount: 3
+};
+
+const LEDGER = [
+  { nonce: 1, purpose: 'turn-1-roll-1', random: 'c3'.repeat(32), requestedAt: '2026-01-01T00:00:00Z' },
+  { nonce: 2, purpose: 'turn-1-roll-2', random: 'd4'.repeat(32), requestedAt: '2026-01-01T00:00:05Z' }
+];
+
+function jsonResponse(body, status = 200) {
+  return { ok: status >= 200 && status < 300, status, json: async () => body };
+}
+
+function serverSession(overrides = {}) {
+  return {
+    sessionId: SESSION_ID,
+    gameType: 'yahtzee',
+    status: 'active',
+    secretHash: 'e5'.repeat(32),
+    clientSeed: 'seed',
+    rngMode: 'commit-reveal',
+    chainLength: null,
+    chainPosition: 0,
+    chainLink: null,
+    blockData: BLOCK_DATA,
+    ledger: LEDGER,
+    resumeState: null,
+    createdAt: '2026-01-01T00:00:00Z',
+    ...overrides
+  };
+}
+
+function saveLocal(gameType, snapshot) {
+  localStorage.setItem(`resume_${gameType}`, JSON.stringify({ savedAt: Date.now(), ...snapshot }));
+}
+
+beforeEach(() => {
+  localStorage.clear();
+  global.fetch = jest.fn();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  delete global.fetch;
+});
+
+// ============================================
+// LOCAL-ONLY GAMES
+// ============================================
+
+describe('games without a session', () => {
+  test('restore from this device only', async () => {
+    saveResumableGame('2048', null, { score: 128 });
+
+    const resumed = await loadResumableGame('2048', null);
+
+    expect(resumed).toEqual({ session: null, state: { score: 128 }, pendingRandom: [] });
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  test('nothing to resume after clearing', async () => {
+    saveResumableGame('2048', null, { score: 128 });
+    clearResumableGame('2048');
+
+    expect(await loadResumableGame('2048', null)).toBeNull();
+  });
+
+  test('ignores snapshots older than a session can live', async () => {
+    saveLocal('2048', { sessionId: null, state: { score: 4 }, ledgerLength: 0, savedAt: Date.now() - 25 * 60 * 60 * 1000 });
+
+    expect(await loadResumableGame('2048', null)).toBeNull();
+  });
+});
+
+// ============================================
+// SECURE SESSIONS
+// ============================================
+
+describe('resuming a secure session', () => {
+  test('returns ledger values the snapshot has not seen', async () => {
+    saveLocal('yahtzee', { sessionId: SESSION_ID, state: { currentTurn: 1 }, ledgerLength: 1 });
+    global.fetch.mockResolvedValue(jsonResponse(serverSession()));
+
+    const resumed = await loadResumableGame('yahtzee', null);
+
+    expect(global.fetch).toHaveBeenCalledWith(`/api/game/session/${SESSION_ID}`);
+    expect(resumed.state).toEqual({ currentTurn: 1 });
+    expect(resumed.pendingRandom).toEqual([LEDGER[1]]);
+  });
+
+  test('rebuilds the local session record from the server', async () => {
+    saveLocal('yahtzee', { sessionId: SESSION_ID, state: {}, ledgerLength: 2 });
+    global.fetch.mockResolvedValue(jsonResponse(serverSession()));
+
+    await loadResumableGame('yahtzee', null);
+
+    const sessionData = JSON.parse(localStorage.getItem(`session_${SESSION_ID}`));
+    expect(sessionData.blockData).toEqual(BLOCK_DATA);
+    expect(sessionData.clientSeed).toBe('seed');
+    expect(sessionData.purposes.map(entry => entry.purpose)).toEqual(['turn-1-roll-1', 'turn-1-roll-2']);
+  });
+
+  test('keeps the balance a Vegas cumulative session carried in', async () => {
+    const gameOptions = { drawCount: 3, scoring: 'vegas-cumulative', stockPasses: 3 };
+    saveLocal('solitaire', { sessionId: SESSION_ID, state: {}, ledgerLength: 0 });
+    global.fetch.mockResolvedValue(jsonResponse(serverSession({
+      gameType: 'solitaire',
+      ledger: [],
+      gameOptions,
+      startingBalance: 148
+    })));
+
+    await loadResumableGame('solitaire', null);
+
+    const sessionData = JSON.parse(localStorage.getItem(`session_${SESSION_ID}`));
+    expect(sessionData.startingBalance).toBe(148);
+    expect(sessionData.gameOptions).toEqual(gameOptions);
+  });
+
+  test('prefers the newer snapshot saved from another device', async () => {
+    const savedAt = Date.now();
+    saveLocal('yahtzee', { sessionId: SESSION_ID, state: { currentTurn: 1 }, ledgerLength: 0, savedAt });
+    global.fetch.mockResolvedValue(jsonResponse(serverSession({
+      resumeState: { sessionId: SESSION_ID, state: { currentTurn: 2 }, ledgerLength: 2, savedAt: savedAt + 1000 }
+    })));
+
+    const resumed = await loadResumableGame('yahtzee', null);
+
+    expect(resumed.state).toEqual({ currentTurn: 2 });
+    expect(resumed.pendingRandom).toEqual([]);
+  });
+
+  test('resumes on a device with no snapshot of its own', async () => {
+    global.fetch.mockResolvedValue(jsonResponse(serverSession({
+      resumeState: { sessionId: SESSION_ID, state: { currentTurn: 3 }, ledgerLength: 2, savedAt: 2000 }
+    })));
+
+    const resumed = await loadResumableGame('yahtzee', SESSION_ID);
+
+    expect(resumed.session.sessionId).toBe(SESSION_ID);
+    expect(resumed.state).toEqual({ currentTurn: 3 });
+  });
+
+  test('does not resume an ended session and forgets its snapshot', async () => {
+    saveLocal('yahtzee', { sessionId: SESSION_ID, state: {}, ledgerLength: 0 });
+    global.fetch.mockResolvedValue(jsonResponse(serverSession({ status: 'ended' })));
+
+    expect(await loadResumableGame('yahtzee', null)).toBeNull();
+    expect(localStorage.getItem('resume_yahtzee')).toBeNull();
+  });
+
+  test('does not resume another game type', async () => {
+    global.fetch.mockResolvedValue(jsonResponse(serverSession({ gameType: 'blackjack' })));
+
+    expect(await loadResumableGame('yahtzee', SESSION_ID)).toBeNull();
+  });
+
+  test('gives up when the session cannot be loaded', async () => {
+    global.fetch.mockResolvedValue(jsonResponse({ error: 'Session not found' }, 404));
+
+    expect(await loadResumableGame('yahtzee', SESSION_ID)).toBeNull();
+  });
+});
+
+// ============================================
+// SAVING
+// ============================================
+
+describe('saveResumableGame', () => {
+  test('records how many ledger values the snapshot has consumed', () => {
+    localStorage.setItem(`session_${SESSION_ID}`, JSON.stringify({ purposes: LEDGER }));
+    global.fetch.mockResolvedValue(jsonResponse({ savedAt: '2026-01-01T00:00:10Z' }));
+
+    saveResumableGame('yahtzee', SESSION_ID, { currentTurn: 1 });
+
+    expect(JSON.parse(localStorage.getItem('resume_yahtzee')).ledgerLength).toBe(2);
+  });
+
+  test('sends only the latest snapshot to the server per interval', () => {
+    jest.useFakeTimers();
+    localStorage.setItem(`session_${SESSION_ID}`, JSON.stringify({ purposes: [] }));
+    global.fetch.mockResolvedValue(jsonResponse({ savedAt: '2026-01-01T00:00:10Z' }));
+
+    saveResumableGame('blackjack', SESSION_ID, { timeRemaining: 300 });
+    saveResumableGame('blackjack', SESSION_ID, { timeRemaining: 299 });
+    jest.runOnlyPendingTimers();
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    const [url, init] = global.fetch.mock.calls[0];
+    expect(url).toBe(`/api/game/session/${SESSION_ID}`);
+    expect(init.method).toBe('PUT');
+    expect(JSON.parse(init.body).state.state).toEqual({ timeRemaining: 299 });
+  });
+
+  test('a cleared game is not sent', () => {
+    jest.useFakeTimers();
+    localStorage.setItem(`session_${SESSION_ID}`, JSON.stringify({ purposes: [] }));
+
+    saveResumableGame('garbage', SESSION_ID, { moves: 1 });
+    clearResumableGame('garbage');
+    jest.runOnlyPendingTimers();
+
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+});
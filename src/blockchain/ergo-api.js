@@ -6,47 +6,62 @@
  * 
  * Enhanced anti-spoofing: Uses block hash + random TX hash + timestamp
  * to make seed prediction practically impossible.
+ *
+ * Requests go through the shared Ergo client (src/core/ergoClient.js):
+ * timeouts, retries, failover across explorers/nodes and a block cache.
  */
 
-import axios from 'axios';
-
-// Ergo public API endpoint (free, no auth required)
-const ERGO_API_BASE = 'https://api.ergoplatform.com/api/v1';
+import { ergoClient } from '../core/ergoClient';
 
 // Minimum transactions required in a block (for anti-spoofing)
 const MIN_TX_COUNT = 3;
 
+// Blocks on top of the chosen block, so a freshly mined block that may
+// still be orphaned by a reorg is never used
+export const MIN_CONFIRMATIONS = 3;
+
+// Candidate blocks searched for one with enough transactions
+const CANDIDATE_BLOCKS = 10;
+
 /**
  * Fetches block details including transaction list
- * API returns: { block: { header: {...}, blockTransactions: [...] }, references: {...} }
  * @param {string} blockId - Block hash/ID
- * @returns {Promise<object>} Block data with transactions
+ * @returns {Promise<object>} Block data: { header: {...}, blockTransactions: [...] }
+ * @throws {Error} If no endpoint knows the block
  */
 async function getBlockWithTransactions(blockId) {
-  const response = await axios.get(`${ERGO_API_BASE}/blocks/${blockId}`);
-  // The actual block data is nested under response.data.block
-  return response.data.block;
+  const block = await ergoClient.getBlock(blockId);
+  if (!block) {
+    throw new Error(`Block ${blockId} not found`);
+  }
+  return block;
 }
 
 /**
  * Fetches recent blocks and finds one with enough transactions
  * @param {number} minTxCount - Minimum transaction count required
+ * @param {number} minConfirmations - Blocks required on top of the chosen one
  * @returns {Promise<object>} Block summary with sufficient TXs
  */
-async function findSuitableBlock(minTxCount = MIN_TX_COUNT) {
-  // Fetch last 10 blocks to find one with enough TXs
-  const response = await axios.get(`${ERGO_API_BASE}/blocks?limit=10`);
-  const blocks = response.data.items;
-  
+async function findSuitableBlock(minTxCount = MIN_TX_COUNT, minConfirmations = MIN_CONFIRMATIONS) {
+  // Fetch the last blocks, plus the unconfirmed ones that get skipped
+  const blocks = await ergoClient.getRecentBlocks(CANDIDATE_BLOCKS + minConfirmations);
+  const maxHeight = blocks[0].height - minConfirmations;
+  const confirmed = blocks.filter(block => block.height <= maxHeight);
+
+  if (confirmed.length === 0) {
+    throw new Error(`No block with ${minConfirmations} confirmations`);
+  }
+
   // Find first block with enough transactions
-  for (const block of blocks) {
+  for (const block of confirmed) {
     if (block.transactionsCount >= minTxCount) {
       return block;
     }
   }
   
-  // Fallback: use most recent block even if low TX count
-  return blocks[0];
+  // Fallback: use most recent confirmed block even if low TX count
+  return confirmed[0];
 }
 
 /**
@@ -73,6 +88,8 @@ function selectDeterministicTx(transactions, timestamp) {
  * Fetches the latest suitable block with transaction data
  * Returns all data needed for enhanced anti-spoofing seed generation
  * 
+ * @param {Object} options
+ * @param {number} options.minConfirmations - Blocks required on top (default MIN_CONFIRMATIONS)
  * @returns {Promise<{
  *   blockHeight: number,
  *   blockHash: string,
@@ -83,10 +100,10 @@ function selectDeterministicTx(transactions, timestamp) {
  * }>}
  * @throws {Error} If API request fails
  */
-export async function getLatestBlock() {
+export async function getLatestBlock({ minConfirmations = MIN_CONFIRMATIONS } = {}) {
   try {
-    // 1. Find a block with enough transactions
-    const blockSummary = await findSuitableBlock(MIN_TX_COUNT);
+    // 1. Find a confirmed block with enough transactions
+    const blockSummary = await findSuitableBlock(MIN_TX_COUNT, minConfirmations);
     
     // 2. Fetch full block details with TX list
     const blockData = await getBlockWithTransactions(blockSummary.id);
@@ -106,41 +123,35 @@ export async function getLatestBlock() {
       txIndex: txIndex
     };
   } catch (error) {
-    // Re-throw with user-friendly message
-    if (error.response) {
-      throw new Error(`Ergo API error: ${error.response.status}`);
-    } else if (error.request) {
-      throw new Error('Cannot reach Ergo API. Check your internet connection.');
-    } else {
-      throw new Error(`Failed to fetch block: ${error.message}`);
-    }
+    // Every endpoint failed ("Cannot reach Ergo API (...)") or returned bad data
+    throw new Error(`Failed to fetch block: ${error.message}`);
   }
 }
 
 /**
  * Fetches a specific block by height (for verification)
+ * Endpoints must agree on which block is at that height.
  * @param {number} height - Block height
  * @returns {Promise<object>} Block data with TX info
  */
 export async function getBlockByHeight(height) {
   try {
     // Get block ID by height
-    const response = await axios.get(`${ERGO_API_BASE}/blocks/at/${height}`);
-    const blockIds = response.data;
+    const blockId = await ergoClient.getBlockIdAtHeight(height, { consensus: true });
     
-    if (!blockIds || blockIds.length === 0) {
+    if (!blockId) {
       throw new Error(`No block found at height ${height}`);
     }
     
     // Fetch full block details
-    const blockData = await getBlockWithTransactions(blockIds[0]);
+    const blockData = await getBlockWithTransactions(blockId);
     const transactions = blockData.blockTransactions || [];
     const timestamp = blockData.header.timestamp;
     const { txHash, txIndex } = selectDeterministicTx(transactions, timestamp);
     
     return {
       blockHeight: height,
-      blockHash: blockIds[0],
+      blockHash: blockId,
       timestamp: timestamp,
       txCount: transactions.length,
       txHash: txHash,
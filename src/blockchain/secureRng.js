@@ -4,39 +4,106 @@
  * Implements commit-reveal protocol for provably fair games.
  *
  * Architecture:
- * 1. Server commits secret (hash) BEFORE blockchain fetch
- * 2. Client fetches blockchain data AFTER commitment
- * 3. Server combines secret + blockchain for RNG (secret hidden)
+ * 1. Server commits secret (hash) and a future block height
+ * 2. Server anchors the session to that block once it is mined
+ * 3. Server combines secret + blockchain + player client seed for RNG (secret hidden)
  * 4. Server reveals secret at game end for verification
  *
+ * Hash-chain mode (startSecureGame(type, { mode: 'hash-chain' })) commits to
+ * the end of a SHA-256 chain instead; getChainRandom checks each revealed
+ * link against the previous one and derives the round's value locally.
+ *
+ * resumeSecureSession rebuilds the local session record from the server
+ * (GET /api/game/session/:id) after a reload or on another device.
+ *
  * Security Properties:
  * - Player can't cheat (doesn't know server secret)
+ * - Player contributes entropy (client seed fixed before the block exists)
  * - Server can't cheat (committed to hash, blockchain anchored)
  * - Fully verifiable after reveal
  * - Preserves blockchain tie-in (uses Ergo block data)
  */
 
-import { getLatestBlock } from './ergo-api';
-import CryptoJS from 'crypto-js';
+import { deriveRandomValue, hashSecret } from '../core/seed';
+import {
+  RNG_MODE_HASH_CHAIN,
+  hashChainLink,
+  verifyChainStep,
+  verifyChainLink,
+  deriveChainRandom
+} from '../core/hashChain';
+import { verifyMerkleProof } from '../core/merkle';
+
+// Ergo targets ~2 minute blocks; give the target block a few intervals
+const ANCHOR_POLL_INTERVAL_MS = 10000;
+const ANCHOR_TIMEOUT_MS = 10 * 60 * 1000;
+
+/**
+ * Generate a client seed for players who don't choose their own
+ * @returns {string} 32-char hex seed
+ */
+export function generateClientSeed() {
+  const bytes = new Uint8Array(16);
+  crypto.getRandomValues(bytes);
+  return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Wait for the server to anchor a session to its committed block
+ *
+ * @param {string} sessionId - Session ID from /api/game/start
+ * @returns {Promise<object>} blockData fetched by the server
+ */
+async function waitForAnchor(sessionId) {
+  const deadline = Date.now() + ANCHOR_TIMEOUT_MS;
+
+  while (Date.now() < deadline) {
+    const response = await fetch('/api/game/anchor', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ sessionId })
+    });
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to anchor session');
+    }
+
+    const { ready, blockData } = await response.json();
+    if (ready) {
+      return blockData;
+    }
+
+    await new Promise(resolve => setTimeout(resolve, ANCHOR_POLL_INTERVAL_MS));
+  }
+
+  throw new Error('Timed out waiting for the committed block to be mined');
+}
 
 /**
  * Start a secure game session
  *
  * Flow:
- * 1. Server commits secret (returns hash only)
- * 2. Client fetches blockchain data (after commitment)
+ * 1. Server commits secret and target block height (returns hash only) and
+ *    binds the player's client seed (generated here if not supplied)
+ * 2. Waits until the server has anchored the session to that block
  * 3. Returns both for game initialization
  *
  * @param {string} gameType - Game type ('backgammon', 'blackjack', etc.)
- * @returns {Promise<{sessionId, secretHash, blockData, timestamp}>}
+ * @param {object} options - { mode: 'commit-reveal' | 'hash-chain', chainLength, clientSeed, tableRules (blackjack), gameOptions (solitaire), carryBalanceFrom and playerName (solitaire Vegas cumulative) }
+ * @returns {Promise<{sessionId, secretHash, clientSeed, targetBlockHeight, rngMode, chainLength, beacon, tableRules, gameOptions, startingBalance, blockData, timestamp}>}
  */
-export async function startSecureGame(gameType) {
+export async function startSecureGame(gameType, options = {}) {
   try {
     // Step 1: Request server commitment (server generates secret)
     const startResponse = await fetch('/api/game/start', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ gameType })
+      body: JSON.stringify({
+        gameType,
+        ...options,
+        clientSeed: options.clientSeed || generateClientSeed()
+      })
     });
 
     if (!startResponse.ok) {
@@ -44,19 +111,40 @@ export async function startSecureGame(gameType) {
       throw new Error(error.error || 'Failed to start secure session');
     }
 
-    const { sessionId, secretHash, timestamp } = await startResponse.json();
+    const {
+      sessionId,
+      secretHash,
+      clientSeed,
+      targetBlockHeight,
+      rngMode,
+      chainLength,
+      beacon,
+      tableRules,
+      gameOptions,
+      startingBalance,
+      timestamp
+    } = await startResponse.json();
 
-    // Step 2: NOW fetch blockchain data (after server commitment)
-    const blockData = await getLatestBlock();
+    // Step 2: Wait for the committed block (fetched server-side)
+    const blockData = await waitForAnchor(sessionId);
 
     // Step 3: Store session data for verification later
     const sessionData = {
       sessionId,
       secretHash,
       gameType,
+      clientSeed,
+      targetBlockHeight,
+      rngMode,
+      chainLength,
+      beacon,
+      tableRules,
+      gameOptions,
+      startingBalance,
       blockData,
       commitTimestamp: timestamp,
-      purposes: [] // Track all random requests for verification
+      purposes: [], // Track all random requests for verification
+      chain: { index: 0, link: secretHash } // Last verified hash-chain link
     };
 
     localStorage.setItem(`session_${sessionId}`, JSON.stringify(sessionData));
@@ -64,6 +152,14 @@ export async function startSecureGame(gameType) {
     return {
       sessionId,
       secretHash,
+      clientSeed,
+      targetBlockHeight,
+      rngMode,
+      chainLength,
+      beacon,
+      tableRules,
+      gameOptions,
+      startingBalance,
       blockData,
       timestamp
     };
@@ -73,6 +169,89 @@ export async function startSecureGame(gameType) {
   }
 }
 
+/**
+ * Resume a session started earlier (after a reload or on another device)
+ *
+ * Rebuilds the local session record from the server's copy: commitment,
+ * anchored block, the ledger of values already served and, in hash-chain
+ * mode, the last revealed link. The secret is not part of it.
+ *
+ * @param {string} sessionId - Session ID from startSecureGame
+ * @returns {Promise<object>} Server session ({ status, gameType, blockData, ledger, resumeState, ... });
+ *   only 'active' sessions are stored locally
+ */
+export async function resumeSecureSession(sessionId) {
+  try {
+    const response = await fetch(`/api/game/session/${encodeURIComponent(sessionId)}`);
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to load session');
+    }
+
+    const session = await response.json();
+
+    if (session.status !== 'active') {
+      return session;
+    }
+
+    // Started but never anchored (e.g. reloaded while waiting for the block)
+    const blockData = session.blockData || await waitForAnchor(sessionId);
+
+    const sessionData = {
+      sessionId,
+      secretHash: session.secretHash,
+      gameType: session.gameType,
+      clientSeed: session.clientSeed,
+      targetBlockHeight: session.targetBlockHeight,
+      rngMode: session.rngMode,
+      chainLength: session.chainLength,
+      beacon: session.beacon,
+      tableRules: session.tableRules,
+      gameOptions: session.gameOptions,
+      startingBalance: session.startingBalance,
+      blockData,
+      commitTimestamp: session.createdAt,
+      purposes: session.ledger.map(({ nonce, purpose, random }) => ({ nonce, purpose, random })),
+      chain: { index: session.chainPosition, link: session.chainLink || session.secretHash }
+    };
+
+    localStorage.setItem(`session_${sessionId}`, JSON.stringify(sessionData));
+
+    return { ...session, blockData };
+  } catch (error) {
+    console.error('Failed to resume secure session:', error);
+    throw error;
+  }
+}
+
+/**
+ * Save a snapshot of an in-progress game with its session
+ *
+ * @param {string} sessionId - Session ID
+ * @param {object} state - Game snapshot (JSON-serializable)
+ * @returns {Promise<string|null>} Server save time, or null if the session is no longer active
+ */
+export async function saveSessionSnapshot(sessionId, state) {
+  const response = await fetch(`/api/game/session/${encodeURIComponent(sessionId)}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ state })
+  });
+
+  if (response.status === 409) {
+    return null;
+  }
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || 'Failed to save snapshot');
+  }
+
+  const { savedAt } = await response.json();
+  return savedAt;
+}
+
 /**
  * Get secure random value for specific purpose
  *
@@ -94,13 +273,12 @@ export async function getSecureRandom(sessionId, purpose) {
 
     const sessionData = JSON.parse(sessionDataStr);
 
-    // Request random from server (server combines secret + blockchain)
+    // Request random from server (server combines secret + anchored block)
     const response = await fetch('/api/game/random', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
         sessionId,
-        blockData: sessionData.blockData,
         purpose
       })
     });
@@ -110,10 +288,10 @@ export async function getSecureRandom(sessionId, purpose) {
       throw new Error(error.error || 'Failed to get random value');
     }
 
-    const { random } = await response.json();
+    const { random, nonce } = await response.json();
 
-    // Track purpose for verification
-    sessionData.purposes.push({ purpose, random });
+    // Track purpose for verification (nonce = position in the server ledger)
+    sessionData.purposes.push({ nonce, purpose, random });
     localStorage.setItem(`session_${sessionId}`, JSON.stringify(sessionData));
 
     return random;
@@ -123,10 +301,72 @@ export async function getSecureRandom(sessionId, purpose) {
   }
 }
 
+/**
+ * Get the next round's random value in a hash-chain session
+ *
+ * The server reveals one link per call; it must hash to the previous link
+ * (the commitment for the first round) before it is used.
+ *
+ * @param {string} sessionId - Session ID from startSecureGame (hash-chain mode)
+ * @returns {Promise<{index: number, random: string}>} Round index and 64-char hex value
+ */
+export async function getChainRandom(sessionId) {
+  try {
+    const sessionDataStr = localStorage.getItem(`session_${sessionId}`);
+
+    if (!sessionDataStr) {
+      throw new Error('Session not found in local storage');
+    }
+
+    const sessionData = JSON.parse(sessionDataStr);
+
+    const response = await fetch('/api/game/chain', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ sessionId })
+    });
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to get hash-chain link');
+    }
+
+    const { index, link } = await response.json();
+
+    if (index !== sessionData.chain.index + 1 || !verifyChainStep(link, sessionData.chain.link)) {
+      throw new Error(`🚨 VERIFICATION FAILED! Hash-chain link ${index} does not follow link ${sessionData.chain.index}`);
+    }
+
+    const random = deriveChainRandom(link, sessionData.blockData, index, sessionData.clientSeed);
+
+    sessionData.chain = { index, link };
+    sessionData.purposes.push({ nonce: index, purpose: `chain-${index}`, random });
+    localStorage.setItem(`session_${sessionId}`, JSON.stringify(sessionData));
+
+    return { index, random };
+  } catch (error) {
+    console.error('Failed to get hash-chain random:', error);
+    throw error;
+  }
+}
+
+/**
+ * Verify a whole hash-chain session from its revealed seed
+ *
+ * @param {string} serverSecret - Revealed chain seed
+ * @param {number} chainLength - Chain length committed at start
+ * @param {string} secretHash - Commitment (link 0)
+ * @returns {boolean} True if SHA256^chainLength(serverSecret) === secretHash
+ */
+export function verifyHashChain(serverSecret, chainLength, secretHash) {
+  return verifyChainLink(serverSecret, chainLength, secretHash);
+}
+
 /**
  * End session and verify commitment
  *
- * Server reveals secret, client verifies hash matches commitment.
+ * Server reveals secret, client verifies hash matches commitment and that
+ * every value in the server's random request ledger derives from it.
  *
  * @param {string} sessionId - Session ID
  * @param {object} gameData - Final game data to store (optional)
@@ -147,10 +387,13 @@ export async function endSecureSession(sessionId, gameData = null) {
     }
 
     const revealData = await response.json();
-    const { serverSecret, secretHash } = revealData;
+    const { serverSecret, secretHash, rngMode, chainLength } = revealData;
 
     // Verify commitment: SHA256(serverSecret) === secretHash
-    const calculatedHash = CryptoJS.SHA256(serverSecret).toString();
+    // (hash-chain sessions: SHA256 applied chainLength times)
+    const calculatedHash = rngMode === RNG_MODE_HASH_CHAIN
+      ? hashChainLink(serverSecret, chainLength, 0)
+      : hashSecret(serverSecret);
 
     if (calculatedHash !== secretHash) {
       // CRITICAL: Server cheated by changing secret!
@@ -160,18 +403,48 @@ export async function endSecureSession(sessionId, gameData = null) {
       throw new Error('🚨 VERIFICATION FAILED! Server changed secret after commitment!');
     }
 
+    // Every ledger entry must be the value the revealed secret produces
+    const blockData = {
+      blockHash: revealData.blockHash,
+      txHash: revealData.txHash,
+      timestamp: revealData.timestamp,
+      txIndex: revealData.txIndex
+    };
+    const ledger = revealData.ledger || [];
+    const ledgerVerified = ledger.every(entry =>
+      deriveRandomValue(serverSecret, blockData, entry.purpose, revealData.clientSeed) === entry.random);
+
+    if (!ledgerVerified) {
+      console.error('🚨 Random ledger does not match the revealed secret');
+    }
+
+    // The secret must be a leaf of the batch published before the session
+    // (null for sessions created before seed batches)
+    const { seedBatch } = revealData;
+    const batchVerified = seedBatch
+      ? verifyMerkleProof(hashSecret(serverSecret), seedBatch.proof, seedBatch.merkleRoot)
+      : null;
+
+    if (batchVerified === false) {
+      console.error('🚨 Server secret is not in its published seed batch');
+    }
+
     // Store revealed data for verification page
     const sessionDataStr = localStorage.getItem(`session_${sessionId}`);
     if (sessionDataStr) {
       const sessionData = JSON.parse(sessionDataStr);
       sessionData.revealed = revealData;
       sessionData.verified = true;
+      sessionData.ledgerVerified = ledgerVerified;
+      sessionData.batchVerified = batchVerified;
       localStorage.setItem(`session_${sessionId}`, JSON.stringify(sessionData));
     }
 
     return {
       ...revealData,
-      verified: true
+      verified: true,
+      ledgerVerified,
+      batchVerified
     };
   } catch (error) {
     console.error('Failed to end session:', error);
@@ -186,21 +459,12 @@ export async function endSecureSession(sessionId, gameData = null) {
  * @param {string} serverSecret - Revealed server secret
  * @param {object} blockData - Blockchain data
  * @param {string} purpose - Purpose string
+ * @param {string|null} clientSeed - Player's client seed (null for older sessions)
  * @returns {string} Expected random value (64-char hex)
  */
-export function verifyRandomValue(serverSecret, blockData, purpose) {
-  // Combine same way server does
-  const components = [
-    serverSecret,
-    blockData.blockHash,
-    blockData.txHash || '',
-    String(blockData.timestamp || ''),
-    String(blockData.txIndex || ''),
-    purpose
-  ];
-
-  const combinedInput = components.join(':');
-  return CryptoJS.SHA256(combinedInput).toString();
+export function verifyRandomValue(serverSecret, blockData, purpose, clientSeed = null) {
+  // Same derivation the server uses (shared provably-fair core)
+  return deriveRandomValue(serverSecret, blockData, purpose, clientSeed);
 }
 
 /**
@@ -0,0 +1,177 @@
+/**
+ * Resumable Games
+ *
+ * Keeps a snapshot of each game's in-progress state so it survives a reload
+ * and can be picked up on another device (open the game with
+ * ?resume=<sessionId>). Snapshots live in localStorage under
+ * `resume_${gameType}` and, for secure sessions, on the server via
+ * PUT /api/game/session/:id.
+ *
+ * A snapshot only carries what the player did and what's on screen. Random
+ * values come from the session ledger: `ledgerLength` records how many the
+ * snapshot had consumed, and loadResumableGame hands back anything served
+ * after it (e.g. a roll requested just before the tab closed) as
+ * `pendingRandom`, for the game to apply on top of the restored state.
+ */
+
+import { resumeSecureSession, saveSessionSnapshot, getSessionData } from './secureRng';
+
+const STORAGE_KEY_PREFIX = 'resume_';
+
+// Sessions expire 24 hours after they start (supabase-migrations/001)
+const MAX_AGE = 24 * 60 * 60 * 1000;
+
+// At most one server save per game in this window (latest snapshot wins)
+const SERVER_SAVE_INTERVAL_MS = 3000;
+
+const pendingServerSaves = {};
+
+/**
+ * Send the latest queued snapshot for a game to the server
+ * @param {string} gameType - Game type
+ */
+function flushServerSave(gameType) {
+  const pending = pendingServerSaves[gameType];
+  delete pendingServerSaves[gameType];
+
+  if (pending) {
+    saveSessionSnapshot(pending.sessionId, pending.snapshot).catch(error => {
+      console.warn('Failed to save game snapshot to server:', error);
+    });
+  }
+}
+
+/**
+ * Read this device's snapshot for a game
+ * @param {string} gameType - Game type
+ * @returns {object|null} { sessionId, state, ledgerLength, savedAt }
+ */
+function readLocalSnapshot(gameType) {
+  try {
+    const saved = localStorage.getItem(`${STORAGE_KEY_PREFIX}${gameType}`);
+    if (!saved) return null;
+
+    const snapshot = JSON.parse(saved);
+    if (Date.now() - snapshot.savedAt > MAX_AGE) {
+      clearResumableGame(gameType);
+      return null;
+    }
+
+    return snapshot;
+  } catch (error) {
+    console.warn('Failed to read game snapshot:', error);
+    return null;
+  }
+}
+
+/**
+ * Session ID from the ?resume= query parameter
+ * @returns {string|null}
+ */
+export function getResumeParam() {
+  return new URLSearchParams(window.location.search).get('resume');
+}
+
+/**
+ * Save a game's in-progress state
+ *
+ * @param {string} gameType - Game type
+ * @param {string|null} sessionId - Secure session ID (null for games without one, e.g. 2048)
+ * @param {object} state - JSON-serializable game state
+ */
+export function saveResumableGame(gameType, sessionId, state) {
+  const sessionData = sessionId ? getSessionData(sessionId) : null;
+  const snapshot = {
+    sessionId,
+    state,
+    ledgerLength: sessionData ? sessionData.purposes.length : 0,
+    savedAt: Date.now()
+  };
+
+  try {
+    localStorage.setItem(`${STORAGE_KEY_PREFIX}${gameType}`, JSON.stringify(snapshot));
+  } catch (error) {
+    // LocalStorage might be full or disabled
+    console.warn('Failed to save game snapshot:', error);
+  }
+
+  if (!sessionId) return;
+
+  const queued = Boolean(pendingServerSaves[gameType]);
+  pendingServerSaves[gameType] = { sessionId, snapshot };
+  if (!queued) {
+    setTimeout(() => flushServerSave(gameType), SERVER_SAVE_INTERVAL_MS);
+  }
+}
+
+/**
+ * Forget a game's snapshot (game over or abandoned)
+ * @param {string} gameType - Game type
+ */
+export function clearResumableGame(gameType) {
+  delete pendingServerSaves[gameType];
+
+  try {
+    localStorage.removeItem(`${STORAGE_KEY_PREFIX}${gameType}`);
+  } catch (error) {
+    console.warn('Failed to clear game snapshot:', error);
+  }
+}
+
+/**
+ * Load a game to resume
+ *
+ * Uses the session from ?resume= if present, else this device's snapshot.
+ * Secure sessions are checked with the server first: ended or expired ones
+ * are not resumed, and the newer of this device's and the server's snapshot
+ * wins.
+ *
+ * @param {string} gameType - Game type
+ * @param {string|null} sessionId - Session to resume (defaults to ?resume=)
+ * @returns {Promise<{session: object|null, state: object, pendingRandom: Array}|null>}
+ *   session is the resumed server session (null for games without one);
+ *   pendingRandom holds ledger entries ({ nonce, purpose, random }) newer than the snapshot
+ */
+export async function loadResumableGame(gameType, sessionId = getResumeParam()) {
+  const local = readLocalSnapshot(gameType);
+  const id = sessionId || (local && local.sessionId);
+
+  if (!id) {
+    return local ? { session: null, state: local.state, pendingRandom: [] } : null;
+  }
+
+  let session;
+  try {
+    session = await resumeSecureSession(id);
+  } catch (error) {
+    return null;
+  }
+
+  const localForSession = local && local.sessionId === id ? local : null;
+
+  if (session.status !== 'active' || session.gameType !== gameType) {
+    if (localForSession) clearResumableGame(gameType);
+    return null;
+  }
+
+  const snapshot = [localForSession, session.resumeState]
+    .filter(Boolean)
+    .reduce((newest, candidate) => (!newest || candidate.savedAt > newest.savedAt ? candidate : newest), null);
+
+  if (!snapshot) {
+    return null;
+  }
+
+  return {
+    session,
+    state: snapshot.state,
+    pendingRandom: session.ledger.slice(snapshot.ledgerLength)
+  };
+}
+
+export default {
+  getResumeParam,
+  saveResumableGame,
+  clearResumableGame,
+  loadResumableGame
+};
@@ -6,6 +6,48 @@
 
 import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
+import {
+  TABLE_RULE_PRESETS,
+  DEFAULT_RULESET_ID,
+  getRulesetId
+} from '../core/games/blackjack/tableRules';
+import {
+  DEFAULT_VARIANT_ID,
+  listVariants,
+  getVariantOptions,
+  isVegasScoring,
+  describeGameOptions
+} from '../core/games/solitaire/variants';
+import {
+  SUIT_COUNTS,
+  DEFAULT_VARIANT_ID as DEFAULT_SPIDER_VARIANT_ID,
+  getVariantId as getSpiderVariantId
+} from '../core/games/spider/gameLogic';
+
+// Blackjack tables offered in the picker, one leaderboard each
+const BLACKJACK_RULESETS = Object.values(TABLE_RULE_PRESETS).map(preset => ({
+  name: preset.name,
+  id: getRulesetId(preset.rules)
+}));
+
+// Solitaire variants (draw count × scoring × stock passes), one leaderboard each
+const SOLITAIRE_VARIANTS = listVariants().map(({ id, options }) => ({
+  name: describeGameOptions(options).join(', '),
+  id
+}));
+
+// Spider suit counts, one leaderboard each
+const SPIDER_VARIANTS = SUIT_COUNTS.map(suits => ({
+  name: suits === 1 ? '1 suit' : `${suits} suits`,
+  id: getSpiderVariantId(suits)
+}));
+
+// Leaderboard shown before a rule set is picked
+const DEFAULT_RULESETS = {
+  blackjack: DEFAULT_RULESET_ID,
+  solitaire: DEFAULT_VARIANT_ID,
+  spider: DEFAULT_SPIDER_VARIANT_ID
+};
 
 const formatTime = (seconds) => {
   const mins = Math.floor(seconds / 60);
@@ -42,22 +84,24 @@ const getTimeSince = (date) => {
   return `${hours} hours ago`;
 };
 
-export default function Leaderboard({ game, currentGameId = null }) {
+export default function Leaderboard({ game, currentGameId = null, initialRuleset = null }) {
   const [entries, setEntries] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [cacheTime, setCacheTime] = useState(null);
+  const [ruleset, setRuleset] = useState(initialRuleset || DEFAULT_RULESETS[game] || null);
 
   useEffect(() => {
     fetchLeaderboard();
-  }, [game]);
+  }, [game, ruleset]);
 
   const fetchLeaderboard = async () => {
     setLoading(true);
     setError(null);
 
     try {
-      const response = await fetch(`/api/leaderboard?game=${game}&limit=20`);
+      const rulesetParam = ruleset ? `&ruleset=${encodeURIComponent(ruleset)}` : '';
+      const response = await fetch(`/api/leaderboard?game=${game}&limit=20${rulesetParam}`);
       const data = await response.json();
 
       if (!response.ok) {
@@ -100,13 +144,28 @@ export default function Leaderboard({ game, currentGameId = null }) {
   }
 
   const isSolitaire = game === 'solitaire';
+  const isFreeCell = game === 'freecell';
+  const isSpider = game === 'spider';
   const isYahtzee = game === 'yahtzee';
   const isBlackjack = game === 'blackjack';
   const isChess = game === 'chess';
   const isBackgammon = game === 'backgammon';
+  const solitaireOptions = isSolitaire ? getVariantOptions(ruleset) : null;
+  const isVegas = Boolean(solitaireOptions && isVegasScoring(solitaireOptions));
 
   const getScoreDisplay = (entry) => {
-    if (isSolitaire) {
+    if (isVegas) {
+      const balance = entry.balance ?? 0;
+      return (
+        <span style={{ display: 'flex', flexDirection: 'column', gap: '2px' }}>
+          <span style={{ color: balance > 0 ? '#4caf50' : balance < 0 ? '#f87171' : '#64b5f6', fontWeight: 'bold' }}>
+            {balance < 0 ? `-$${Math.abs(balance)}` : `$${balance}`}
+          </span>
+          <span style={{ color: '#888', fontSize: '10px' }}>{entry.score}/52</span>
+        </span>
+      );
+    }
+    if (isSolitaire || isFreeCell) {
       const isWin = entry.score === 52;
       return (
         <span style={{ color: isWin ? '#4caf50' : '#64b5f6', fontWeight: 'bold' }}>
@@ -127,6 +186,7 @@ export default function Leaderboard({ game, currentGameId = null }) {
       return (
         <span style={{ color: isProfit ? '#4caf50' : entry.score < 1000 ? '#f87171' : '#64b5f6', fontWeight: 'bold' }}>
           ${entry.score.toLocaleString()}
+          {entry.counting_aids && <span style={styles.aidsBadge} title="Played with counting aids on"> 🧮</span>}
         </span>
       );
     }
@@ -187,21 +247,57 @@ export default function Leaderboard({ game, currentGameId = null }) {
       </div>
 
       {isSolitaire && (
+        <p style={styles.subtitle}>{isVegas ? 'Ranked by: Balance' : 'Ranked by: Cards → Time → Moves'}</p>
+      )}
+      {isSolitaire && (
+        <label style={{ ...styles.subtitle, display: 'block' }}>
+          Variant:{' '}
+          <select value={ruleset} onChange={(e) => setRuleset(e.target.value)} style={styles.rulesetSelect}>
+            {SOLITAIRE_VARIANTS.map(({ name, id }) => (
+              <option key={id} value={id}>{name}</option>
+            ))}
+          </select>
+        </label>
+      )}
+      {isFreeCell && (
         <p style={styles.subtitle}>Ranked by: Cards → Time → Moves</p>
       )}
+      {isSpider && (
+        <p style={styles.subtitle}>Ranked by: Score → Time</p>
+      )}
+      {isSpider && (
+        <label style={{ ...styles.subtitle, display: 'block' }}>
+          Suits:{' '}
+          <select value={ruleset} onChange={(e) => setRuleset(e.target.value)} style={styles.rulesetSelect}>
+            {SPIDER_VARIANTS.map(({ name, id }) => (
+              <option key={id} value={id}>{name}</option>
+            ))}
+          </select>
+        </label>
+      )}
       {isYahtzee && (
         <p style={styles.subtitle}>Ranked by: Score → Time</p>
       )}
       {isBlackjack && (
         <p style={styles.subtitle}>Ranked by: Balance → Hands Won → Blackjacks</p>
       )}
+      {isBlackjack && (
+        <label style={{ ...styles.subtitle, display: 'block' }}>
+          Table:{' '}
+          <select value={ruleset} onChange={(e) => setRuleset(e.target.value)} style={styles.rulesetSelect}>
+            {BLACKJACK_RULESETS.map(({ name, id }) => (
+              <option key={id} value={id}>{name} ({id})</option>
+            ))}
+          </select>
+        </label>
+      )}
       {isChess && (
         <p style={styles.subtitle}>Ranked by: Score → AI Difficulty → Moves</p>
       )}
       {isBackgammon && (
         <p style={styles.subtitle}>Ranked by: Score (WinType × Cube × Difficulty × PipBonus) → Time</p>
       )}
-      {!isSolitaire && !isYahtzee && !isBlackjack && !isChess && !isBackgammon && (
+      {!isSolitaire && !isFreeCell && !isSpider && !isYahtzee && !isBlackjack && !isChess && !isBackgammon && (
         <p style={styles.subtitle}>Ranked by: Score → Time → Moves</p>
       )}
 
@@ -224,7 +320,7 @@ export default function Leaderboard({ game, currentGameId = null }) {
               <tr>
                 <th style={styles.th}>Rank</th>
                 <th style={styles.th}>Player</th>
-                <th style={styles.th}>{isSolitaire ? 'Cards' : isBlackjack ? 'Balance' : 'Score'}</th>
+                <th style={styles.th}>{isVegas || isBlackjack ? 'Balance' : isSolitaire || isFreeCell ? 'Cards' : 'Score'}</th>
                 <th style={styles.th}>Time</th>
                 {!isYahtzee && <th style={styles.th}>{isBlackjack ? 'Hands' : 'Moves'}</th>}
                 <th style={styles.th}>Date</th>
@@ -322,6 +418,14 @@ const styles = {
     fontSize: '12px',
     color: '#4ade80'
   },
+  rulesetSelect: {
+    backgroundColor: '#2a3a5e',
+    color: '#ddd',
+    border: 'none',
+    borderRadius: '4px',
+    padding: '4px 8px',
+    fontSize: '12px'
+  },
   refreshBtn: {
     padding: '6px 12px',
     backgroundColor: '#2a3a5e',
@@ -392,6 +496,11 @@ const styles = {
     fontWeight: 'normal',
     fontSize: '12px'
   },
+  aidsBadge: {
+    fontWeight: 'normal',
+    fontSize: '12px',
+    cursor: 'help'
+  },
   proofLink: {
     color: '#64b5f6',
     textDecoration: 'none',
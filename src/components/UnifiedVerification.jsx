@@ -7,6 +7,9 @@
 
 import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
+import { hashSecret } from '../core/seed';
+import { verifyMerkleProof } from '../core/merkle';
+import { describeBeaconRound } from '../core/beacons';
 
 // ============================================
 // STYLING TOKENS (from spec)
@@ -32,6 +35,8 @@ const tokens = {
 // ============================================
 const GAME_META = {
   solitaire: { name: 'Solitaire', icon: '♠', randomizes: '52-card deck shuffle' },
+  freecell: { name: 'FreeCell', icon: '♣', randomizes: 'Deal number (Microsoft deals 1-32000)' },
+  spider: { name: 'Spider', icon: '🕷', randomizes: '104-card double deck shuffle' },
   blackjack: { name: 'Blackjack', icon: '♠♥', randomizes: '312-card shoe (6 decks)' },
   yahtzee: { name: 'Yahtzee', icon: '🎲', randomizes: 'Dice rolls (5 dice per roll)' },
   garbage: { name: 'Garbage', icon: '♣', randomizes: 'Card deal (player, AI, draw pile)' },
@@ -134,24 +139,13 @@ const generatePythonScript = (game, data) => {
   const gameSpecificCode = {
     solitaire: `
 # Solitaire-specific: shuffle 52 cards
-# Uses commit-reveal system: SHA256(serverSecret + blockHash + timestamp + 'deck-shuffle')
-# Then LCG + Fisher-Yates shuffle (matches JavaScript exactly)
+# Uses commit-reveal system: SHA256(serverSecret:blockHash:txHash:timestamp:txIndex[:clientSeed]:'deck-shuffle')
+# Then Fisher-Yates shuffle for rng_version (matches JavaScript exactly)
 
 RANKS = ['A', '2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K']
 SUITS_NAMES = ['hearts', 'diamonds', 'clubs', 'spades']
 SUITS_SYMBOLS = ['\\u2665', '\\u2666', '\\u2663', '\\u2660']
 
-class SeededRandom:
-    """Linear Congruential Generator (matches JavaScript seedRandom, glibc constants)"""
-    def __init__(self, seed_hex):
-        self.state = int(seed_hex[:8], 16)
-        self.a = 1103515245
-        self.c = 12345
-        self.m = 2**31
-    def random(self):
-        self.state = (self.a * self.state + self.c) % self.m
-        return self.state / self.m
-
 def create_deck():
     deck = []
     for suit in SUITS_NAMES:
@@ -159,15 +153,6 @@ def create_deck():
             deck.append({'rank': rank, 'suit': suit})
     return deck
 
-def shuffle_array(array, seed_hex):
-    """Fisher-Yates shuffle matching JavaScript"""
-    result = array.copy()
-    rng = SeededRandom(seed_hex)
-    for i in range(len(result) - 1, 0, -1):
-        j = int(rng.random() * (i + 1))
-        result[i], result[j] = result[j], result[i]
-    return result
-
 def format_card(card_obj):
     suit_idx = SUITS_NAMES.index(card_obj['suit'])
     return f"{card_obj['rank']}{SUITS_SYMBOLS[suit_idx]}"
@@ -176,7 +161,7 @@ if not server_secret:
     print("Server secret not available - cannot verify shuffle.")
     print("The server secret is revealed after the game ends.")
 else:
-    seed = generate_commit_reveal_seed(server_secret, block_hash, timestamp, 'deck-shuffle')
+    seed = generate_commit_reveal_seed(server_secret, 'deck-shuffle')
     print(f"Commit-reveal seed: {seed[:32]}...")
     print(f"Purpose: 'deck-shuffle'")
 
@@ -187,27 +172,85 @@ else:
     for i in range(10):
         print(f"  {i+1}. {format_card(shuffled_deck[i])}")
     print(f"  ... ({len(shuffled_deck) - 10} more cards)")
+`,
+    freecell: `
+# FreeCell-specific: pick a Microsoft deal number, then deal it
+# Uses commit-reveal system: SHA256(serverSecret:blockHash:txHash:timestamp:txIndex[:clientSeed]:'deck-shuffle')
+# Deal number = first 8 hex chars of the seed mod 32000, plus 1
+
+RANKS = ['A', '2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K']
+SUITS_SYMBOLS = ['\\u2663', '\\u2666', '\\u2665', '\\u2660']  # clubs, diamonds, hearts, spades
+
+def microsoft_deal(deal_number):
+    """Classic Microsoft FreeCell deal: 31-bit LCG, top 15 bits"""
+    state = deal_number
+    cards = list(range(51, -1, -1))
+    for i in range(52):
+        state = (state * 214013 + 2531011) % 2147483648
+        j = 51 - ((state >> 16) % (52 - i))
+        cards[i], cards[j] = cards[j], cards[i]
+    return [f"{RANKS[c // 4]}{SUITS_SYMBOLS[c % 4]}" for c in cards]
+
+if not server_secret:
+    print("Server secret not available - cannot verify the deal.")
+    print("The server secret is revealed after the game ends.")
+else:
+    seed = generate_commit_reveal_seed(server_secret, 'deck-shuffle')
+    print(f"Commit-reveal seed: {seed[:32]}...")
+    print(f"Purpose: 'deck-shuffle'")
+
+    deal_number = int(seed[:8], 16) % 32000 + 1
+    print(f"\\nDeal #{deal_number} (card k goes to column k % 8):")
+    deal = microsoft_deal(deal_number)
+    for row in range(0, 52, 8):
+        print("  " + " ".join(f"{card:>4}" for card in deal[row:row + 8]))
+`,
+    spider: `
+# Spider-specific: shuffle 104 cards (2 decks) played as 1, 2 or 4 suits
+# Uses commit-reveal system: SHA256(serverSecret:blockHash:txHash:timestamp:txIndex[:clientSeed]:'deck-shuffle')
+# Then Fisher-Yates shuffle for rng_version (matches JavaScript exactly)
+
+RANKS = ['A', '2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K']
+SUITS_NAMES = ['hearts', 'diamonds', 'clubs', 'spades']
+SUITS_SYMBOLS = {'hearts': '\\u2665', 'diamonds': '\\u2666', 'clubs': '\\u2663', 'spades': '\\u2660'}
+suits = ${data.suits || 1}
+
+def played_suit(suit):
+    if suits == 1:
+        return 'spades'
+    if suits == 2:
+        return 'spades' if suit in ('clubs', 'spades') else 'hearts'
+    return suit
+
+def create_spider_deck():
+    """Two decks in the same order as JavaScript createMultiDeckShoe(2)"""
+    return [{'rank': rank, 'suit': played_suit(suit)}
+            for deck in range(2) for suit in SUITS_NAMES for rank in RANKS]
+
+if not server_secret:
+    print("Server secret not available - cannot verify shuffle.")
+    print("The server secret is revealed after the game ends.")
+else:
+    seed = generate_commit_reveal_seed(server_secret, 'deck-shuffle')
+    print(f"Commit-reveal seed: {seed[:32]}...")
+    print(f"Purpose: 'deck-shuffle'")
+
+    shuffled = shuffle_array(create_spider_deck(), seed)
+    print(f"\\n{suits}-suit deal: 54 cards to 10 columns, then 5 deals of 10")
+    for i in range(10):
+        card = shuffled[i]
+        print(f"  {i+1}. {card['rank']}{SUITS_SYMBOLS[card['suit']]}")
+    print(f"  ... ({len(shuffled) - 10} more cards)")
 `,
     blackjack: `
 # Blackjack-specific: shuffle 312 cards (6 decks)
-# Uses commit-reveal system: SHA256(serverSecret + blockHash + timestamp + 'shoe-shuffle')
-# Then LCG + Fisher-Yates shuffle (matches JavaScript exactly)
+# Uses commit-reveal system: SHA256(serverSecret:blockHash:txHash:timestamp:txIndex[:clientSeed]:'shoe-shuffle')
+# Then Fisher-Yates shuffle for rng_version (matches JavaScript exactly)
 
 RANKS = ['A', '2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K']
 SUITS_NAMES = ['hearts', 'diamonds', 'clubs', 'spades']
 SUITS_SYMBOLS = ['\\u2665', '\\u2666', '\\u2663', '\\u2660']
 
-class SeededRandom:
-    """Linear Congruential Generator (matches JavaScript seedRandom, glibc constants)"""
-    def __init__(self, seed_hex):
-        self.state = int(seed_hex[:8], 16)
-        self.a = 1103515245
-        self.c = 12345
-        self.m = 2**31
-    def random(self):
-        self.state = (self.a * self.state + self.c) % self.m
-        return self.state / self.m
-
 def create_shoe():
     """Create 6-deck shoe in same order as JavaScript"""
     shoe = []
@@ -217,15 +260,6 @@ def create_shoe():
                 shoe.append({'rank': rank, 'suit': suit, 'deck': deck})
     return shoe
 
-def shuffle_array(array, seed_hex):
-    """Fisher-Yates shuffle matching JavaScript"""
-    result = array.copy()
-    rng = SeededRandom(seed_hex)
-    for i in range(len(result) - 1, 0, -1):
-        j = int(rng.random() * (i + 1))
-        result[i], result[j] = result[j], result[i]
-    return result
-
 def format_card(card_obj):
     suit_idx = SUITS_NAMES.index(card_obj['suit'])
     return f"{card_obj['rank']}{SUITS_SYMBOLS[suit_idx]}"
@@ -234,7 +268,7 @@ if not server_secret:
     print("Server secret not available - cannot verify shuffle.")
     print("The server secret is revealed after the game ends.")
 else:
-    seed = generate_commit_reveal_seed(server_secret, block_hash, timestamp, 'shoe-shuffle')
+    seed = generate_commit_reveal_seed(server_secret, 'shoe-shuffle')
     print(f"Commit-reveal seed: {seed[:32]}...")
     print(f"Purpose: 'shoe-shuffle'")
 
@@ -248,7 +282,7 @@ else:
 `,
     yahtzee: `
 # Yahtzee-specific: generate dice rolls
-# Uses commit-reveal system: SHA256(serverSecret + blockHash + timestamp + purpose)
+# Uses commit-reveal system: SHA256(serverSecret:blockHash:txHash:timestamp:txIndex[:clientSeed]:purpose)
 # Purpose format: 'turn-{N}-roll-{M}' (e.g., 'turn-1-roll-1')
 # Each die: SHA256(seed + dieIndex) -> first 8 hex -> mod 6 + 1
 
@@ -269,7 +303,7 @@ else:
     print("-" * 50)
     for turn in range(1, 4):
         purpose = f"turn-{turn}-roll-1"
-        seed = generate_commit_reveal_seed(server_secret, block_hash, timestamp, purpose)
+        seed = generate_commit_reveal_seed(server_secret, purpose)
         dice = roll_five_dice(seed)
         print(f"  Turn {turn}, Roll 1: {dice}")
         print(f"    Purpose: '{purpose}'")
@@ -280,7 +314,7 @@ else:
 `,
     backgammon: `
 # Backgammon-specific: generate dice rolls
-# Uses commit-reveal system: SHA256(serverSecret + blockHash + timestamp + purpose)
+# Uses commit-reveal system: SHA256(serverSecret:blockHash:txHash:timestamp:txIndex[:clientSeed]:purpose)
 # Purpose format: 'roll-{N}' (e.g., 'roll-1', 'roll-2', ...)
 # Rejection sampling eliminates modulo bias (matches JavaScript exactly)
 
@@ -303,7 +337,7 @@ else:
     print("-" * 50)
     for turn in range(1, 6):
         purpose = f"roll-{turn}"
-        seed = generate_commit_reveal_seed(server_secret, block_hash, timestamp, purpose)
+        seed = generate_commit_reveal_seed(server_secret, purpose)
         dice = calculate_dice_from_seed(seed)
         print(f"  Turn {turn}: {dice}")
         if turn == 1:
@@ -521,24 +555,13 @@ else:
 `,
     garbage: `
 # Garbage-specific: shuffle and deal 52 cards
-# Uses commit-reveal system: SHA256(serverSecret + blockHash + timestamp + 'deck-shuffle')
-# Then LCG + Fisher-Yates shuffle (matches JavaScript exactly)
+# Uses commit-reveal system: SHA256(serverSecret:blockHash:txHash:timestamp:txIndex[:clientSeed]:'deck-shuffle')
+# Then Fisher-Yates shuffle for rng_version (matches JavaScript exactly)
 # Deal: player (10), AI (10), draw pile (32)
 
 SUITS = ['\\u2660', '\\u2665', '\\u2666', '\\u2663']  # spades, hearts, diamonds, clubs
 RANKS = ['A', '2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K']
 
-class SeededRandom:
-    """Linear Congruential Generator (matches JavaScript seedRandom, glibc constants)"""
-    def __init__(self, seed_hex):
-        self.state = int(seed_hex[:8], 16)
-        self.a = 1103515245
-        self.c = 12345
-        self.m = 2**31
-    def random(self):
-        self.state = (self.a * self.state + self.c) % self.m
-        return self.state / self.m
-
 def create_deck_strings():
     """Create 52-card deck as strings (matches JavaScript createDeckStrings)"""
     deck = []
@@ -547,20 +570,11 @@ def create_deck_strings():
             deck.append(f"{rank}{suit}")
     return deck
 
-def shuffle_array(array, seed_hex):
-    """Fisher-Yates shuffle matching JavaScript"""
-    result = array.copy()
-    rng = SeededRandom(seed_hex)
-    for i in range(len(result) - 1, 0, -1):
-        j = int(rng.random() * (i + 1))
-        result[i], result[j] = result[j], result[i]
-    return result
-
 if not server_secret:
     print("Server secret not available - cannot verify shuffle.")
     print("The server secret is revealed after the game ends.")
 else:
-    seed = generate_commit_reveal_seed(server_secret, block_hash, timestamp, 'deck-shuffle')
+    seed = generate_commit_reveal_seed(server_secret, 'deck-shuffle')
     print(f"Commit-reveal seed: {seed[:32]}...")
     print(f"Purpose: 'deck-shuffle'")
 
@@ -601,20 +615,27 @@ tx_hash = "${data.txHash || ''}"
 tx_index = ${data.txIndex ?? 0}
 timestamp = ${data.timestamp || 'None'}
 game_id = "${data.gameId}"
+rng_version = ${data.rngVersion || 1}  # 1 = legacy LCG, 2 = SHA-256 counter mode
 
 # Commit-reveal system data (if available)
 server_secret = "${data.serverSecret || ''}"
 secret_hash = "${data.secretHash || ''}"
+client_seed = "${data.clientSeed || ''}"
 
 # ============================================
 # SEED GENERATION
 # ============================================
 
-def generate_commit_reveal_seed(secret, bh, ts, purpose):
-    """Commit-reveal formula: SHA256(serverSecret + blockHash + timestamp + purpose)
-    This is the CURRENT system used by most games."""
-    input_str = secret + bh + str(ts) + purpose
-    return hashlib.sha256(input_str.encode()).hexdigest()
+def generate_commit_reveal_seed(secret, purpose):
+    """Commit-reveal formula (matches deriveRandomValue in src/core/seed.js):
+    SHA256(serverSecret:blockHash:txHash:timestamp:txIndex[:clientSeed]:purpose)
+    Missing (or zero) block fields are empty strings; sessions without a
+    client seed leave it out. This is the CURRENT system used by most games."""
+    components = [secret, block_hash, tx_hash or '', str(timestamp or ''), str(tx_index or '')]
+    if client_seed:
+        components.append(client_seed)
+    components.append(purpose)
+    return hashlib.sha256(':'.join(components).encode()).hexdigest()
 
 def simple_hash(input_str):
     """Simple hash function matching JavaScript simpleHash (legacy)"""
@@ -639,6 +660,50 @@ def generate_seed_legacy(block_hash, tx_hash, timestamp, game_id, tx_index):
     hex4 = format(hash4, '08x')
     return (hex1 + hex2 + hex3 + hex4 + hex1 + hex2 + hex3 + hex4)[:64]
 
+# ============================================
+# SHUFFLE (matches JavaScript shuffleArray)
+# ============================================
+
+class LegacyRandom:
+    """RNG v1: Linear Congruential Generator (glibc constants, first 8 hex chars of seed)"""
+    def __init__(self, seed_hex):
+        self.state = int(seed_hex[:8], 16)
+        self.a = 1103515245
+        self.c = 12345
+        self.m = 2**31
+    def random_int(self, max_value):
+        self.state = (self.a * self.state + self.c) % self.m
+        return int(self.state / self.m * max_value)
+
+class Sha256Random:
+    """RNG v2: SHA256(seed + ':' + counter) blocks read as big-endian uint32 words,
+    with rejection sampling for unbiased integers"""
+    def __init__(self, seed_hex):
+        self.seed = seed_hex
+        self.counter = 0
+        self.words = []
+    def next_uint32(self):
+        if not self.words:
+            digest = hashlib.sha256(f"{self.seed}:{self.counter}".encode()).digest()
+            self.words = [int.from_bytes(digest[i:i + 4], 'big') for i in range(0, 32, 4)]
+            self.counter += 1
+        return self.words.pop(0)
+    def random_int(self, max_value):
+        limit = 2**32 - (2**32 % max_value)
+        value = self.next_uint32()
+        while value >= limit:
+            value = self.next_uint32()
+        return value % max_value
+
+def shuffle_array(array, seed_hex):
+    """Fisher-Yates shuffle matching JavaScript"""
+    result = array.copy()
+    rng = Sha256Random(seed_hex) if rng_version == 2 else LegacyRandom(seed_hex)
+    for i in range(len(result) - 1, 0, -1):
+        j = rng.random_int(i + 1)
+        result[i], result[j] = result[j], result[i]
+    return result
+
 print("=" * 60)
 print("VERIFICATION RESULTS")
 print("=" * 60)
@@ -777,6 +842,10 @@ export default function UnifiedVerification({
     );
   }
 
+  // Anchor source (Ergo explorer for sessions that predate beacons)
+  const anchorRound = describeBeaconRound(data, data.beacon);
+  const isErgoAnchor = anchorRound.siteName === 'Ergo Explorer';
+
   return (
     <div style={styles.container}>
       {/* Header */}
@@ -800,6 +869,12 @@ export default function UnifiedVerification({
         </DataRow>
         <DataRow label="Played:" value={formatDate(data.timestamp)} />
         <DataRow label="What's randomized:" value={gameMeta.randomizes} />
+        {data.rngVersion && (
+          <DataRow
+            label="RNG:"
+            value={data.rngVersion === 1 ? 'v1 (legacy LCG)' : `v${data.rngVersion} (SHA-256 counter mode)`}
+          />
+        )}
       </div>
 
       {/* Verification Badge */}
@@ -809,11 +884,15 @@ export default function UnifiedVerification({
       <div style={styles.section}>
         <h3 style={styles.sectionTitle}>⚓ Blockchain Anchor</h3>
 
+        <DataRow label="Beacon:" value={anchorRound.label} />
+
         <DataRow label="Block Height:">
           <span style={styles.mono}>{formatNumber(data.blockHeight)}</span>
-          <ExplorerLink type="block" hash={data.blockHash}>
-            View on Explorer →
-          </ExplorerLink>
+          {anchorRound.url && (
+            <a href={anchorRound.url} target="_blank" rel="noopener noreferrer" style={styles.link}>
+              View on {anchorRound.siteName} →
+            </a>
+          )}
         </DataRow>
 
         <DataRow label="Block Hash:">
@@ -837,9 +916,11 @@ export default function UnifiedVerification({
               onToggle={() => setShowFullTxHash(!showFullTxHash)}
             />
             <CopyButton text={data.txHash} label="txHash" copied={copied} onCopy={copyToClipboard} />
-            <ExplorerLink type="tx" hash={data.txHash}>
-              View TX →
-            </ExplorerLink>
+            {isErgoAnchor && (
+              <ExplorerLink type="tx" hash={data.txHash}>
+                View TX →
+              </ExplorerLink>
+            )}
           </DataRow>
         )}
 
@@ -854,6 +935,33 @@ export default function UnifiedVerification({
         <DataRow label="Timestamp:" value={data.timestamp?.toString()} mono />
       </div>
 
+      {/* Seed Batch - secret drawn from a pre-published Merkle root */}
+      {data.seedBatch && data.serverSecret && (
+        <div style={styles.section}>
+          <h3 style={styles.sectionTitle}>🌳 Seed Batch</h3>
+
+          <DataRow label="Merkle Root:">
+            <span style={styles.mono}>{truncateHash(data.seedBatch.merkleRoot)}</span>
+            <CopyButton text={data.seedBatch.merkleRoot} label="merkleRoot" copied={copied} onCopy={copyToClipboard} />
+            {data.seedBatch.publishedTxId && (
+              <ExplorerLink type="tx" hash={data.seedBatch.publishedTxId}>
+                Published TX →
+              </ExplorerLink>
+            )}
+          </DataRow>
+
+          <DataRow label="Secret Index:" value={formatNumber(data.seedBatch.index)} mono />
+
+          <DataRow label="Inclusion Proof:">
+            {verifyMerkleProof(hashSecret(data.serverSecret), data.seedBatch.proof, data.seedBatch.merkleRoot) ? (
+              <span style={{ color: tokens.success }}>✓ Secret is in the published batch</span>
+            ) : (
+              <span style={{ color: tokens.error }}>✗ Proof does not match the root</span>
+            )}
+          </DataRow>
+        </div>
+      )}
+
       {/* Anti-Spoofing / Seed Formula - game-specific */}
       <CollapsibleSection title="🔐 Seed Formula (Anti-Spoofing)">
         <div style={styles.seedBox}>
@@ -879,18 +987,40 @@ export default function UnifiedVerification({
                 User seed is generated client-side (Date.now) before blockchain fetch.
               </p>
             </>
+          ) : data.clientSeed ? (
+            <>
+              <code style={styles.codeBlock}>
+                seed = SHA256(serverSecret:blockHash:txHash:timestamp:txIndex:clientSeed:purpose)
+              </code>
+              <p style={styles.seedNote}>
+                Commit-reveal system: server commits secret hash BEFORE blockchain fetch.
+                Your client seed was fixed at the same time, so the server could not pick
+                a secret that favors it. After game ends, server reveals secret for
+                independent verification.
+              </p>
+            </>
           ) : (
             <>
               <code style={styles.codeBlock}>
-                seed = SHA256(serverSecret + blockHash + timestamp + purpose)
+                seed = SHA256(serverSecret:blockHash:txHash:timestamp:txIndex:purpose)
               </code>
               <p style={styles.seedNote}>
                 Commit-reveal system: server commits secret hash BEFORE blockchain fetch.
                 After game ends, server reveals secret for independent verification.
-                4 independent inputs = virtually impossible to manipulate.
+                5 independent inputs = virtually impossible to manipulate.
               </p>
             </>
           )}
+          {data.clientSeed && (
+            <div style={{ marginTop: 12 }}>
+              <DataRow label="Client Seed:">
+                <span style={{ ...styles.mono, fontSize: 10, wordBreak: 'break-all' }}>
+                  {data.clientSeed}
+                </span>
+                <CopyButton text={data.clientSeed} label="clientSeed" copied={copied} onCopy={copyToClipboard} />
+              </DataRow>
+            </div>
+          )}
           {data.seed && (
             <div style={{ marginTop: 12 }}>
               <DataRow label="Generated Seed:">
@@ -932,10 +1062,12 @@ export default function UnifiedVerification({
         <ol style={styles.stepsList}>
           <li>
             Look up{' '}
-            <ExplorerLink type="block" hash={data.blockHash}>
-              block #{formatNumber(data.blockHeight)}
-            </ExplorerLink>
-            {' '}on Ergo Explorer
+            {anchorRound.url ? (
+              <a href={anchorRound.url} target="_blank" rel="noopener noreferrer" style={styles.link}>
+                {isErgoAnchor ? 'block' : 'round'} #{formatNumber(data.blockHeight)}
+              </a>
+            ) : `round #${formatNumber(data.blockHeight)}`}
+            {' '}on {anchorRound.siteName || anchorRound.label}
           </li>
           <li>Confirm the block hash matches: <code style={styles.miniCode}>{truncateHash(data.blockHash)}</code></li>
           {data.txHash && (
@@ -6,7 +6,7 @@
  */
 
 import React, { useState } from 'react';
-import { generateSeed, shuffleDeck } from '../blockchain/shuffle';
+import { generateSeed, shuffleDeck, resolveRngVersion } from '../core/shuffle';
 
 function Verification({
   gameId = '',
@@ -69,8 +69,9 @@ function Verification({
     setVerificationResult(null);
     try {
       await new Promise(resolve => setTimeout(resolve, 300));
-      const seed = generateSeed(blockData, gameId);
-      const expectedDeck = shuffleDeck(seed);
+      const rngVersion = resolveRngVersion(blockData);
+      const seed = generateSeed(blockData, gameId, rngVersion);
+      const expectedDeck = shuffleDeck(seed, rngVersion);
       const isMatch = shuffledDeck.length === expectedDeck.length &&
         shuffledDeck.every((card, i) => card === expectedDeck[i]);
       setVerificationResult(isMatch ? 'verified' : 'failed');
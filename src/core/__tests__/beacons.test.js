@@ -0,0 +1,252 @@
+/**
+ * Randomness Beacon Tests
+ *
+ * Tests:
+ * - Provider registry and verification page descriptions
+ * - Ergo node anchors (same selection as the explorer)
+ * - Ergo explorer failover through the shared Ergo client
+ * - drand rounds: anchor mapping, randomness check, future rounds
+ * - Local mock determinism
+ */
+
+import CryptoJS from 'crypto-js';
+import {
+  DEFAULT_BEACON,
+  BEACON_NAMES,
+  getBeacon,
+  verifyBeaconRound,
+  describeBeaconRound
+} from '../beacons';
+import { DRAND_DEFAULT_CHAIN, drandRoundTime, verifyDrandRandomness } from '../beacons/drand';
+import { localMockRound } from '../beacons/localMock';
+import { ERGO_EXPLORER_API } from '../ergoClient';
+
+// ============================================
+// TEST HELPERS
+// ============================================
+
+const BLOCK_ID = 'c3'.repeat(32);
+const HEIGHT = 1500000;
+
+function jsonResponse(body, status = 200) {
+  return { ok: status >= 200 && status < 300, status, json: async () => body };
+}
+
+/**
+ * Route request paths to canned responses
+ */
+function mockFetch(routes) {
+  global.fetch = jest.fn(async (url) => {
+    const path = Object.keys(routes).find(key => url.endsWith(key));
+    return path ? routes[path] : jsonResponse({}, 404);
+  });
+}
+
+function drandRound(round, signature = 'ab'.repeat(48)) {
+  return {
+    round,
+    signature,
+    randomness: CryptoJS.SHA256(CryptoJS.enc.Hex.parse(signature)).toString()
+  };
+}
+
+const originalFetch = global.fetch;
+
+afterEach(() => {
+  global.fetch = originalFetch;
+});
+
+// ============================================
+// REGISTRY
+// ============================================
+
+describe('getBeacon', () => {
+  test('defaults to the Ergo explorer', () => {
+    expect(DEFAULT_BEACON).toBe('ergo-explorer');
+    expect(getBeacon().name).toBe('ergo-explorer');
+    expect(getBeacon(null).name).toBe('ergo-explorer');
+  });
+
+  test('knows every provider', () => {
+    expect(BEACON_NAMES).toEqual(['ergo-explorer', 'ergo-node', 'drand', 'local-mock']);
+    BEACON_NAMES.forEach(name => expect(getBeacon(name).name).toBe(name));
+  });
+
+  test('rejects unknown providers', () => {
+    expect(() => getBeacon('coin-flip')).toThrow('Unknown randomness beacon: coin-flip');
+  });
+});
+
+describe('describeBeaconRound', () => {
+  test('links Ergo anchors to the explorer', () => {
+    expect(describeBeaconRound({ blockHash: BLOCK_ID }, 'ergo-node')).toEqual({
+      label: 'Ergo Node',
+      siteName: 'Ergo Explorer',
+      url: `https://explorer.ergoplatform.com/en/blocks/${BLOCK_ID}`
+    });
+  });
+
+  test('has no link for the local mock or unknown beacons', () => {
+    expect(describeBeaconRound({ blockHash: BLOCK_ID }, 'local-mock').url).toBeNull();
+    expect(describeBeaconRound({ blockHash: BLOCK_ID }, 'coin-flip')).toEqual({
+      label: 'coin-flip',
+      siteName: null,
+      url: null
+    });
+  });
+});
+
+// ============================================
+// ERGO NODE
+// ============================================
+
+describe('ergo-node beacon', () => {
+  const beacon = getBeacon('ergo-node');
+
+  test('reads the full-block height', async () => {
+    mockFetch({ '/info': jsonResponse({ fullHeight: HEIGHT }) });
+    await expect(beacon.getLatestRound()).resolves.toBe(HEIGHT);
+  });
+
+  test('selects the transaction at timestamp % txCount', async () => {
+    mockFetch({
+      [`/blocks/at/${HEIGHT}`]: jsonResponse([BLOCK_ID]),
+      [`/blocks/${BLOCK_ID}`]: jsonResponse({
+        header: { id: BLOCK_ID, height: HEIGHT, timestamp: 1700000000005 },
+        blockTransactions: { transactions: [{ id: 'tx-0' }, { id: 'tx-1' }, { id: 'tx-2' }] }
+      })
+    });
+
+    await expect(beacon.fetchRound(HEIGHT)).resolves.toEqual({
+      blockHeight: HEIGHT,
+      blockHash: BLOCK_ID,
+      timestamp: 1700000000005,
+      txCount: 3,
+      txHash: 'tx-1',
+      txIndex: 1
+    });
+  });
+
+  test('returns null while the block is not mined', async () => {
+    mockFetch({ [`/blocks/at/${HEIGHT}`]: jsonResponse([]) });
+    await expect(beacon.fetchRound(HEIGHT)).resolves.toBeNull();
+  });
+});
+
+describe('ergo-explorer beacon', () => {
+  const beacon = getBeacon('ergo-explorer');
+  const blockId = 'd4'.repeat(32);
+
+  test('fails over to the node when the explorer rejects requests', async () => {
+    const nodeRoutes = {
+      [`/blocks/at/${HEIGHT}`]: jsonResponse([blockId]),
+      [`/blocks/${blockId}`]: jsonResponse({
+        header: { id: blockId, height: HEIGHT, timestamp: 1700000000004 },
+        blockTransactions: { transactions: [{ id: 'tx-0' }, { id: 'tx-1' }] }
+      })
+    };
+    global.fetch = jest.fn(async (url) => {
+      if (url.startsWith(ERGO_EXPLORER_API)) return jsonResponse({}, 400);
+      const path = Object.keys(nodeRoutes).find(key => url.endsWith(key));
+      return path ? nodeRoutes[path] : jsonResponse({}, 404);
+    });
+
+    await expect(beacon.fetchRound(HEIGHT)).resolves.toEqual({
+      blockHeight: HEIGHT,
+      blockHash: blockId,
+      timestamp: 1700000000004,
+      txCount: 2,
+      txHash: 'tx-0',
+      txIndex: 0
+    });
+    expect(global.fetch.mock.calls[0][0].startsWith(ERGO_EXPLORER_API)).toBe(true);
+  });
+
+  test('rejects a block from the wrong height', async () => {
+    mockFetch({
+      [`/blocks/at/${HEIGHT + 1}`]: jsonResponse([BLOCK_ID]),
+      [`/blocks/${BLOCK_ID}`]: jsonResponse({
+        block: { header: { id: BLOCK_ID, height: HEIGHT, timestamp: 1 }, blockTransactions: [{ id: 'tx-0' }] }
+      })
+    });
+
+    await expect(beacon.fetchRound(HEIGHT + 1)).rejects.toThrow('inconsistent data');
+  });
+});
+
+// ============================================
+// DRAND
+// ============================================
+
+describe('drand beacon', () => {
+  const beacon = getBeacon('drand');
+
+  test('maps a round onto the anchor fields', async () => {
+    const published = drandRound(1000);
+    mockFetch({ '/public/1000': jsonResponse(published) });
+
+    await expect(beacon.fetchRound(1000)).resolves.toEqual({
+      blockHeight: 1000,
+      blockHash: published.randomness,
+      timestamp: drandRoundTime(DRAND_DEFAULT_CHAIN, 1000),
+      txCount: 1,
+      txHash: published.signature,
+      txIndex: 0
+    });
+  });
+
+  test('does not ask for rounds that are not published yet', async () => {
+    global.fetch = jest.fn();
+    const future = Math.ceil((Date.now() / 1000 - DRAND_DEFAULT_CHAIN.genesisTime) / DRAND_DEFAULT_CHAIN.period) + 10;
+
+    await expect(beacon.fetchRound(future)).resolves.toBeNull();
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  test('rejects randomness that does not match the signature', async () => {
+    mockFetch({ '/public/1000': jsonResponse({ ...drandRound(1000), randomness: 'ff'.repeat(32) }) });
+    await expect(beacon.fetchRound(1000)).rejects.toThrow('inconsistent data');
+  });
+
+  test('randomness is SHA256 of the signature', () => {
+    expect(verifyDrandRandomness(drandRound(1))).toBe(true);
+    expect(verifyDrandRandomness({ ...drandRound(1), signature: 'cd'.repeat(48) })).toBe(false);
+  });
+
+  test('verifies a stored round against the beacon', async () => {
+    const published = drandRound(1000);
+    mockFetch({ '/public/1000': jsonResponse(published) });
+    const stored = await beacon.fetchRound(1000);
+
+    await expect(verifyBeaconRound(stored, 'drand')).resolves.toBe(true);
+    await expect(verifyBeaconRound({ ...stored, timestamp: stored.timestamp + 1 }, 'drand')).resolves.toBe(false);
+  });
+});
+
+// ============================================
+// LOCAL MOCK
+// ============================================
+
+describe('local-mock beacon', () => {
+  const beacon = getBeacon('local-mock');
+
+  test('rounds are deterministic per seed', () => {
+    expect(localMockRound(42, 'a')).toEqual(localMockRound(42, 'a'));
+    expect(localMockRound(42, 'a').blockHash).not.toBe(localMockRound(42, 'b').blockHash);
+    expect(localMockRound(42, 'a').blockHash).not.toBe(localMockRound(43, 'a').blockHash);
+  });
+
+  test('serves past rounds and not future ones', async () => {
+    const latest = await beacon.getLatestRound();
+
+    await expect(beacon.fetchRound(latest)).resolves.toEqual(localMockRound(latest));
+    await expect(beacon.fetchRound(latest + 100)).resolves.toBeNull();
+  });
+
+  test('verifies by recomputing', async () => {
+    const round = localMockRound(7);
+
+    await expect(verifyBeaconRound(round, 'local-mock')).resolves.toBe(true);
+    await expect(verifyBeaconRound({ ...round, txHash: 'tx' }, 'local-mock')).resolves.toBe(false);
+  });
+});
@@ -0,0 +1,185 @@
+/**
+ * Provably Fair Core Conformance Tests
+ *
+ * The client games, the /api routes and lib/validation must derive identical
+ * randomness from identical inputs. These tests pin that down:
+ * - Server seed helpers (lib/validation) are the core implementations
+ * - deriveRandomValue matches an independent Node crypto implementation
+ * - Known-answer vectors for seeds, shuffles and dice
+ */
+
+import crypto from 'crypto';
+import {
+  generateSeed,
+  deriveRandomValue,
+  hashSecret,
+  verifyCommitment,
+  shuffleArray,
+  createMultiDeckShoe,
+  rollDiceFromHash,
+  calculateDieValue,
+  RNG_VERSION_LEGACY,
+  RNG_VERSION_SHA256,
+  yahtzeeScoring
+} from '../index';
+import * as serverUtils from '../../../lib/validation/shared/blockchainUtils';
+import { validateCategoryScore } from '../../../lib/validation/games/yahtzee/historyValidator';
+
+// ============================================
+// TEST HELPERS
+// ============================================
+
+const BLOCK_DATA = {
+  blockHash: 'a1b2c3d4e5f60718293a4b5c6d7e8f90a1b2c3d4e5f60718293a4b5c6d7e8f90',
+  txHash: '0f1e2d3c4b5a69788796a5b4c3d2e1f00f1e2d3c4b5a69788796a5b4c3d2e1f0',
+  timestamp: 1700000000000,
+  txIndex: 3
+};
+const GAME_ID = 'SOL-1700000000000-abc123xyz';
+const SERVER_SECRET = '5e'.repeat(32);
+
+/** Independent re-implementation of the /api/game/random derivation */
+function nodeDerive(serverSecret, blockData, purpose) {
+  const input = [
+    serverSecret,
+    blockData.blockHash,
+    blockData.txHash || '',
+    String(blockData.timestamp || ''),
+    String(blockData.txIndex || ''),
+    purpose
+  ].join(':');
+  return crypto.createHash('sha256').update(input).digest('hex');
+}
+
+// ============================================
+// SERVER / CLIENT PARITY
+// ============================================
+
+describe('server validators use the core', () => {
+  test('lib/validation generateSeed is the core generateSeed', () => {
+    expect(serverUtils.generateSeed).toBe(generateSeed);
+  });
+
+  test.each([RNG_VERSION_LEGACY, RNG_VERSION_SHA256])('verifySeed accepts core seeds (v%i)', (version) => {
+    const seed = generateSeed(BLOCK_DATA, GAME_ID, version);
+    expect(serverUtils.verifySeed(seed, BLOCK_DATA, GAME_ID, version)).toBe(true);
+  });
+
+  test('verifySeed rejects a seed from the other RNG version', () => {
+    const seed = generateSeed(BLOCK_DATA, GAME_ID, RNG_VERSION_SHA256);
+    expect(serverUtils.verifySeed(seed, BLOCK_DATA, GAME_ID, RNG_VERSION_LEGACY)).toBe(false);
+  });
+
+  test('yahtzee validator scores with core scoring logic', () => {
+    const dice = [3, 3, 3, 5, 5];
+    const score = yahtzeeScoring.calculateCategoryScore(
+      'fullHouse',
+      dice.map((value, id) => ({ id, value, isHeld: false }))
+    );
+    expect(score).toBe(25);
+    expect(validateCategoryScore('fullHouse', dice, score).valid).toBe(true);
+  });
+});
+
+describe('commit-reveal derivation', () => {
+  test.each(['deck-shuffle', 'roll-1', 'turn:3:roll:0'])('matches Node crypto for purpose %s', (purpose) => {
+    expect(deriveRandomValue(SERVER_SECRET, BLOCK_DATA, purpose))
+      .toBe(nodeDerive(SERVER_SECRET, BLOCK_DATA, purpose));
+  });
+
+  test('matches Node crypto when optional block fields are missing', () => {
+    const partial = { blockHash: BLOCK_DATA.blockHash };
+    expect(deriveRandomValue(SERVER_SECRET, partial, 'roll-1'))
+      .toBe(nodeDerive(SERVER_SECRET, partial, 'roll-1'));
+  });
+
+  test('binds the client seed before the purpose', () => {
+    const input = [
+      SERVER_SECRET,
+      BLOCK_DATA.blockHash,
+      BLOCK_DATA.txHash,
+      String(BLOCK_DATA.timestamp),
+      String(BLOCK_DATA.txIndex),
+      'player-seed',
+      'roll-1'
+    ].join(':');
+    const expected = crypto.createHash('sha256').update(input).digest('hex');
+
+    expect(deriveRandomValue(SERVER_SECRET, BLOCK_DATA, 'roll-1', 'player-seed')).toBe(expected);
+    expect(deriveRandomValue(SERVER_SECRET, BLOCK_DATA, 'roll-1', 'other-seed')).not.toBe(expected);
+  });
+
+  test('sessions without a client seed keep the original derivation', () => {
+    expect(deriveRandomValue(SERVER_SECRET, BLOCK_DATA, 'roll-1', null))
+      .toBe(nodeDerive(SERVER_SECRET, BLOCK_DATA, 'roll-1'));
+  });
+
+  test('commitment hash matches Node crypto', () => {
+    const expected = crypto.createHash('sha256').update(SERVER_SECRET).digest('hex');
+    expect(hashSecret(SERVER_SECRET)).toBe(expected);
+    expect(verifyCommitment(SERVER_SECRET, expected)).toBe(true);
+    expect(verifyCommitment('tampered', expected)).toBe(false);
+  });
+});
+
+// ============================================
+// KNOWN-ANSWER VECTORS
+// ============================================
+
+describe('known-answer vectors', () => {
+  test('v2 seed is SHA-256 of the colon-joined seed input', () => {
+    const input = `${BLOCK_DATA.blockHash}:${BLOCK_DATA.txHash}:${BLOCK_DATA.timestamp}:${GAME_ID}:${BLOCK_DATA.txIndex}`;
+    const expected = crypto.createHash('sha256').update(input).digest('hex');
+    expect(generateSeed(BLOCK_DATA, GAME_ID, RNG_VERSION_SHA256)).toBe(expected);
+  });
+
+  test('v2 shuffle uses SHA-256 counter-mode words with rejection sampling', () => {
+    const seed = 'conformance-seed';
+    // Re-implement Fisher-Yates over SHA256(seed:counter) uint32 words
+    const words = [];
+    let counter = 0;
+    const next = () => {
+      if (words.length === 0) {
+        const digest = crypto.createHash('sha256').update(`${seed}:${counter++}`).digest();
+        for (let i = 0; i < 32; i += 4) words.push(digest.readUInt32BE(i));
+      }
+      return words.shift();
+    };
+    const pick = (max) => {
+      const limit = 2 ** 32 - (2 ** 32 % max);
+      let value = next();
+      while (value >= limit) value = next();
+      return value % max;
+    };
+    const expected = Array.from({ length: 52 }, (_, i) => i);
+    for (let i = expected.length - 1; i > 0; i--) {
+      const j = pick(i + 1);
+      [expected[i], expected[j]] = [expected[j], expected[i]];
+    }
+
+    const input = Array.from({ length: 52 }, (_, i) => i);
+    expect(shuffleArray(input, seed, RNG_VERSION_SHA256)).toEqual(expected);
+  });
+
+  test('six-deck shoe shuffles identically on repeated runs', () => {
+    const seed = generateSeed(BLOCK_DATA, GAME_ID);
+    const a = shuffleArray(createMultiDeckShoe(6), seed);
+    const b = shuffleArray(createMultiDeckShoe(6), seed);
+    expect(a).toHaveLength(312);
+    expect(a).toEqual(b);
+  });
+
+  test('dice skip bytes at or above 252', () => {
+    // fc (252) and ff (255) are rejected; 00 → 1, 05 → 6
+    expect(rollDiceFromHash('fcff0005', 2)).toEqual([1, 6]);
+    expect(rollDiceFromHash('fb00', 2)).toEqual([6, 1]);
+  });
+
+  test('yahtzee die value is first 32 bits of SHA256(seed + index) mod 6', () => {
+    const seed = generateSeed(BLOCK_DATA, GAME_ID);
+    for (let i = 0; i < 5; i++) {
+      const digest = crypto.createHash('sha256').update(seed + i).digest();
+      expect(calculateDieValue(seed, i)).toBe((digest.readUInt32BE(0) % 6) + 1);
+    }
+  });
+});
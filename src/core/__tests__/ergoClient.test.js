@@ -0,0 +1,235 @@
+/**
+ * Ergo API Client Tests
+ *
+ * Tests:
+ * - LRU cache eviction
+ * - Retries, failover and response normalization across explorers and nodes
+ * - Caching of immutable data only
+ * - Consensus on the block at a height
+ */
+
+import { createErgoClient, createLruCache, ENDPOINT_EXPLORER, ENDPOINT_NODE } from '../ergoClient';
+
+// ============================================
+// TEST HELPERS
+// ============================================
+
+const PRIMARY = { url: 'https://primary', kind: ENDPOINT_EXPLORER };
+const MIRROR = { url: 'https://mirror', kind: ENDPOINT_EXPLORER };
+const NODE = { url: 'http://node', kind: ENDPOINT_NODE };
+
+const BLOCK_ID = 'c3'.repeat(32);
+const OTHER_BLOCK_ID = 'd4'.repeat(32);
+const HEIGHT = 1500000;
+const HEADER = { id: BLOCK_ID, height: HEIGHT, timestamp: 1700000000005 };
+
+function jsonResponse(body, status = 200) {
+  return { ok: status >= 200 && status < 300, status, json: async () => body };
+}
+
+/**
+ * Route full URLs to canned responses (a function is called per request)
+ */
+function mockFetch(routes) {
+  global.fetch = jest.fn(async (url) => {
+    const route = routes[url];
+    if (route instanceof Error) throw route;
+    if (typeof route === 'function') return route();
+    return route || jsonResponse({}, 404);
+  });
+}
+
+function createClient(endpoints) {
+  return createErgoClient({ endpoints, backoffMs: 0, retries: 1 });
+}
+
+const originalFetch = global.fetch;
+
+afterEach(() => {
+  global.fetch = originalFetch;
+});
+
+// ============================================
+// LRU CACHE
+// ============================================
+
+describe('createLruCache', () => {
+  test('evicts the least recently used entry', () => {
+    const cache = createLruCache(2);
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.get('a');
+    cache.set('c', 3);
+
+    expect(cache.get('a')).toBe(1);
+    expect(cache.get('b')).toBeUndefined();
+    expect(cache.get('c')).toBe(3);
+    expect(cache.size).toBe(2);
+  });
+});
+
+// ============================================
+// RETRIES AND FAILOVER
+// ============================================
+
+describe('failover', () => {
+  test('retries a transient failure on the same endpoint', async () => {
+    let calls = 0;
+    mockFetch({
+      'https://primary/blocks?limit=1': () => (++calls === 1 ? jsonResponse({}, 503) : jsonResponse({ items: [HEADER] }))
+    });
+
+    await expect(createClient([PRIMARY, MIRROR]).getLatestHeight()).resolves.toBe(HEIGHT);
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test('fails over to the next endpoint when one is down', async () => {
+    mockFetch({
+      'https://primary/blocks?limit=1': new TypeError('fetch failed'),
+      'https://mirror/blocks?limit=1': jsonResponse({ items: [HEADER] })
+    });
+
+    await expect(createClient([PRIMARY, MIRROR]).getLatestHeight()).resolves.toBe(HEIGHT);
+  });
+
+  test('does not retry client errors', async () => {
+    mockFetch({
+      'https://primary/blocks?limit=1': jsonResponse({}, 400),
+      'https://mirror/blocks?limit=1': jsonResponse({ items: [HEADER] })
+    });
+
+    await createClient([PRIMARY, MIRROR]).getLatestHeight();
+    expect(global.fetch.mock.calls.map(([url]) => url)).toEqual([
+      'https://primary/blocks?limit=1',
+      'https://mirror/blocks?limit=1'
+    ]);
+  });
+
+  test('reports every endpoint when all fail', async () => {
+    mockFetch({});
+    global.fetch.mockRejectedValue(new TypeError('fetch failed'));
+
+    await expect(createClient([PRIMARY, NODE]).getLatestHeight())
+      .rejects.toThrow('Cannot reach Ergo API (https://primary unreachable: fetch failed; http://node unreachable: fetch failed)');
+  });
+
+  test('times out slow endpoints', async () => {
+    global.fetch = jest.fn((url, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(new Error('aborted')));
+    }));
+    const client = createErgoClient({ endpoints: [PRIMARY], timeoutMs: 10, retries: 0 });
+
+    await expect(client.getLatestHeight()).rejects.toThrow('https://primary timed out after 10ms');
+  });
+
+  test('normalizes node responses to explorer shapes', async () => {
+    mockFetch({
+      [`https://primary/blocks/${BLOCK_ID}`]: jsonResponse({}, 500),
+      [`http://node/blocks/${BLOCK_ID}`]: jsonResponse({
+        header: HEADER,
+        blockTransactions: { transactions: [{ id: 'tx-0' }] }
+      }),
+      'http://node/blocks/lastHeaders/2': jsonResponse([{ ...HEADER, height: HEIGHT - 1 }, HEADER])
+    });
+    const client = createClient([PRIMARY, NODE]);
+
+    await expect(client.getBlock(BLOCK_ID)).resolves.toEqual({ header: HEADER, blockTransactions: [{ id: 'tx-0' }] });
+
+    const recent = await createClient([NODE]).getRecentBlocks(2);
+    expect(recent.map(block => block.height)).toEqual([HEIGHT, HEIGHT - 1]);
+  });
+
+  test('rejects a block that is not the one asked for', async () => {
+    mockFetch({
+      [`https://primary/blocks/${BLOCK_ID}`]: jsonResponse({ block: { header: { ...HEADER, id: OTHER_BLOCK_ID } } }),
+      [`https://mirror/blocks/${BLOCK_ID}`]: jsonResponse({ block: { header: HEADER, blockTransactions: [] } })
+    });
+
+    await expect(createClient([PRIMARY, MIRROR]).getBlock(BLOCK_ID)).resolves.toEqual({ header: HEADER, blockTransactions: [] });
+  });
+});
+
+// ============================================
+// CACHING
+// ============================================
+
+describe('caching', () => {
+  test('serves a block by id from the cache', async () => {
+    mockFetch({ [`https://primary/blocks/${BLOCK_ID}`]: jsonResponse({ block: { header: HEADER, blockTransactions: [] } }) });
+    const client = createClient([PRIMARY]);
+
+    await client.getBlock(BLOCK_ID);
+    await client.getBlock(BLOCK_ID);
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('caches confirmed transactions only', async () => {
+    mockFetch({
+      'https://primary/transactions/confirmed': jsonResponse({ id: 'confirmed', blockId: BLOCK_ID }),
+      'https://primary/transactions/pending': jsonResponse({ id: 'pending' })
+    });
+    const client = createClient([PRIMARY]);
+
+    await client.getTransaction('confirmed');
+    await client.getTransaction('confirmed');
+    await client.getTransaction('pending');
+    await client.getTransaction('pending');
+
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+  });
+
+  test('does not cache misses', async () => {
+    mockFetch({});
+    const client = createClient([PRIMARY]);
+
+    await expect(client.getBlock(BLOCK_ID)).resolves.toBeNull();
+    expect(client.cache.size).toBe(0);
+  });
+});
+
+// ============================================
+// CONSENSUS
+// ============================================
+
+describe('getBlockIdAtHeight with consensus', () => {
+  test('accepts a block the endpoints agree on', async () => {
+    mockFetch({
+      [`https://primary/blocks/at/${HEIGHT}`]: jsonResponse([BLOCK_ID]),
+      [`https://mirror/blocks/at/${HEIGHT}`]: jsonResponse([BLOCK_ID])
+    });
+
+    await expect(createClient([PRIMARY, MIRROR, NODE]).getBlockIdAtHeight(HEIGHT, { consensus: true }))
+      .resolves.toBe(BLOCK_ID);
+    // Two agreeing endpoints are enough
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test('rejects a block the endpoints disagree on', async () => {
+    mockFetch({
+      [`https://primary/blocks/at/${HEIGHT}`]: jsonResponse([BLOCK_ID]),
+      [`https://mirror/blocks/at/${HEIGHT}`]: jsonResponse([OTHER_BLOCK_ID])
+    });
+
+    await expect(createClient([PRIMARY, MIRROR]).getBlockIdAtHeight(HEIGHT, { consensus: true }))
+      .rejects.toThrow(`Ergo endpoints disagree on block ${HEIGHT}`);
+  });
+
+  test('skips endpoints that are down or have not seen the block', async () => {
+    mockFetch({
+      [`https://primary/blocks/at/${HEIGHT}`]: jsonResponse([BLOCK_ID]),
+      [`https://mirror/blocks/at/${HEIGHT}`]: jsonResponse([]),
+      [`http://node/blocks/at/${HEIGHT}`]: new TypeError('fetch failed')
+    });
+
+    await expect(createClient([PRIMARY, MIRROR, NODE]).getBlockIdAtHeight(HEIGHT, { consensus: true }))
+      .resolves.toBe(BLOCK_ID);
+  });
+
+  test('returns null when no endpoint has the block yet', async () => {
+    mockFetch({ [`https://primary/blocks/at/${HEIGHT}`]: jsonResponse([]) });
+
+    await expect(createClient([PRIMARY, MIRROR]).getBlockIdAtHeight(HEIGHT, { consensus: true }))
+      .resolves.toBeNull();
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * Hash Chain Mode Tests
+ *
+ * Tests:
+ * - Chain construction and commitment
+ * - Step-by-step link verification
+ * - Whole-chain verification from the seed
+ * - Per-round random derivation
+ * - Session commitments in either mode
+ */
+
+import {
+  hashChainLink,
+  hashChainCommitment,
+  verifyChainStep,
+  verifyChainLink,
+  deriveChainRandom,
+  revealedChainRandom,
+  verifySessionCommitment,
+  RNG_MODE_COMMIT_REVEAL,
+  RNG_MODE_HASH_CHAIN
+} from '../hashChain';
+import { hashSecret, deriveRandomValue } from '../seed';
+
+// ============================================
+// TEST HELPERS
+// ============================================
+
+const SEED = '0123456789abcdef0123456789abcdef0123456789abcdef0123456789abcdef';
+const LENGTH = 50;
+const COMMITMENT = hashChainCommitment(SEED, LENGTH);
+
+const BLOCK_DATA = {
+  blockHash: 'a1b2c3d4e5f60718293a4b5c6d7e8f90a1b2c3d4e5f60718293a4b5c6d7e8f90',
+  txHash: 'ffeeddccbbaa99887766554433221100ffeeddccbbaa99887766554433221100',
+  timestamp: 1700000000000,
+  txIndex: 2
+};
+
+// ============================================
+// CHAIN
+// ============================================
+
+describe('hashChainLink', () => {
+  test('the seed is the last link and each link hashes to the one before', () => {
+    expect(hashChainLink(SEED, LENGTH, LENGTH)).toBe(SEED);
+    expect(hashSecret(hashChainLink(SEED, LENGTH, 7))).toBe(hashChainLink(SEED, LENGTH, 6));
+  });
+
+  test('commits to link 0', () => {
+    expect(COMMITMENT).toBe(hashChainLink(SEED, LENGTH, 0));
+    expect(hashSecret(hashChainLink(SEED, LENGTH, 1))).toBe(COMMITMENT);
+  });
+});
+
+describe('verifyChainStep', () => {
+  test('accepts links revealed in order', () => {
+    let previous = COMMITMENT;
+    for (let i = 1; i <= 5; i++) {
+      const link = hashChainLink(SEED, LENGTH, i);
+      expect(verifyChainStep(link, previous)).toBe(true);
+      previous = link;
+    }
+  });
+
+  test('rejects a skipped or forged link', () => {
+    expect(verifyChainStep(hashChainLink(SEED, LENGTH, 2), COMMITMENT)).toBe(false);
+    expect(verifyChainStep('ff'.repeat(32), COMMITMENT)).toBe(false);
+    expect(verifyChainStep(null, COMMITMENT)).toBe(false);
+  });
+});
+
+describe('verifyChainLink', () => {
+  test('proves every round from the revealed seed', () => {
+    expect(verifyChainLink(SEED, LENGTH, COMMITMENT)).toBe(true);
+  });
+
+  test('accepts any link at its own index', () => {
+    expect(verifyChainLink(hashChainLink(SEED, LENGTH, 20), 20, COMMITMENT)).toBe(true);
+  });
+
+  test('rejects a seed with the wrong length or commitment', () => {
+    expect(verifyChainLink(SEED, LENGTH - 1, COMMITMENT)).toBe(false);
+    expect(verifyChainLink(SEED, LENGTH, hashSecret(SEED))).toBe(false);
+  });
+});
+
+// ============================================
+// DERIVATION
+// ============================================
+
+describe('deriveChainRandom', () => {
+  test('combines the link with the anchored block and round index', () => {
+    const link = hashChainLink(SEED, LENGTH, 3);
+    expect(deriveChainRandom(link, BLOCK_DATA, 3)).toBe(deriveRandomValue(link, BLOCK_DATA, 'chain-3'));
+  });
+
+  test('differs per round', () => {
+    const values = [1, 2, 3].map(i => deriveChainRandom(hashChainLink(SEED, LENGTH, i), BLOCK_DATA, i));
+    expect(new Set(values).size).toBe(3);
+  });
+});
+
+describe('revealedChainRandom', () => {
+  test('matches the value derived from the served link', () => {
+    const link = hashChainLink(SEED, LENGTH, 4);
+    expect(revealedChainRandom(SEED, LENGTH, BLOCK_DATA, 4, 'player')).toBe(deriveChainRandom(link, BLOCK_DATA, 4, 'player'));
+  });
+});
+
+// ============================================
+// SESSION COMMITMENT
+// ============================================
+
+describe('verifySessionCommitment', () => {
+  test('hash-chain sessions commit to the end of the chain', () => {
+    expect(verifySessionCommitment(SEED, COMMITMENT, RNG_MODE_HASH_CHAIN, LENGTH)).toBe(true);
+    expect(verifySessionCommitment(SEED, hashSecret(SEED), RNG_MODE_HASH_CHAIN, LENGTH)).toBe(false);
+  });
+
+  test('hash-chain sessions need their chain length', () => {
+    expect(verifySessionCommitment(SEED, COMMITMENT, RNG_MODE_HASH_CHAIN, null)).toBe(false);
+  });
+
+  test('commit-reveal sessions commit to SHA256(secret)', () => {
+    expect(verifySessionCommitment(SEED, hashSecret(SEED), RNG_MODE_COMMIT_REVEAL)).toBe(true);
+    expect(verifySessionCommitment(SEED, COMMITMENT, RNG_MODE_COMMIT_REVEAL)).toBe(false);
+  });
+
+  test('rows without a mode are commit-reveal', () => {
+    expect(verifySessionCommitment(SEED, hashSecret(SEED), undefined)).toBe(true);
+  });
+});
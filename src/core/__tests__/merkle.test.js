@@ -0,0 +1,107 @@
+/**
+ * Seed Batch Merkle Tree Tests
+ *
+ * Tests:
+ * - Tree construction and root
+ * - Inclusion proofs for every leaf, including odd-sized batches
+ * - Rejection of tampered secrets, proofs and roots
+ */
+
+import {
+  merkleLeaf,
+  merkleNode,
+  buildMerkleTree,
+  merkleRoot,
+  merkleProof,
+  verifyMerkleProof
+} from '../merkle';
+import { hashSecret } from '../seed';
+
+// ============================================
+// TEST HELPERS
+// ============================================
+
+const makeSecretHashes = count =>
+  Array.from({ length: count }, (_, i) => hashSecret(`secret-${i}`));
+
+// ============================================
+// TREE
+// ============================================
+
+describe('buildMerkleTree', () => {
+  test('hashes each leaf and pairs them up to a single root', () => {
+    const hashes = makeSecretHashes(4);
+    const levels = buildMerkleTree(hashes);
+
+    expect(levels.map(level => level.length)).toEqual([4, 2, 1]);
+    expect(merkleRoot(levels)).toBe(merkleNode(
+      merkleNode(merkleLeaf(hashes[0]), merkleLeaf(hashes[1])),
+      merkleNode(merkleLeaf(hashes[2]), merkleLeaf(hashes[3]))
+    ));
+  });
+
+  test('promotes an odd node unchanged', () => {
+    const hashes = makeSecretHashes(3);
+    const levels = buildMerkleTree(hashes);
+
+    expect(levels[1][1]).toBe(merkleLeaf(hashes[2]));
+  });
+
+  test('a single secret is its own root', () => {
+    const [hash] = makeSecretHashes(1);
+    expect(merkleRoot(buildMerkleTree([hash]))).toBe(merkleLeaf(hash));
+  });
+
+  test('leaves and nodes are domain-separated', () => {
+    const [a, b] = makeSecretHashes(2);
+    expect(merkleLeaf(a)).not.toBe(hashSecret(a));
+    expect(merkleNode(a, b)).not.toBe(merkleLeaf(a + b));
+  });
+
+  test('rejects an empty batch', () => {
+    expect(() => buildMerkleTree([])).toThrow();
+  });
+});
+
+// ============================================
+// PROOFS
+// ============================================
+
+describe('merkleProof / verifyMerkleProof', () => {
+  test.each([1, 2, 5, 8, 13])('proves every leaf of a %i-secret batch', size => {
+    const hashes = makeSecretHashes(size);
+    const levels = buildMerkleTree(hashes);
+    const root = merkleRoot(levels);
+
+    hashes.forEach((hash, index) => {
+      expect(verifyMerkleProof(hash, merkleProof(levels, index), root)).toBe(true);
+    });
+  });
+
+  test('rejects a secret that is not in the batch', () => {
+    const levels = buildMerkleTree(makeSecretHashes(8));
+    expect(verifyMerkleProof(hashSecret('other'), merkleProof(levels, 3), merkleRoot(levels))).toBe(false);
+  });
+
+  test('rejects a proof for a different index', () => {
+    const hashes = makeSecretHashes(8);
+    const levels = buildMerkleTree(hashes);
+    expect(verifyMerkleProof(hashes[2], merkleProof(levels, 3), merkleRoot(levels))).toBe(false);
+  });
+
+  test('rejects a tampered proof or root', () => {
+    const hashes = makeSecretHashes(8);
+    const levels = buildMerkleTree(hashes);
+    const proof = merkleProof(levels, 5);
+    const tampered = proof.map((step, i) => (i === 1 ? { ...step, hash: 'ff'.repeat(32) } : step));
+
+    expect(verifyMerkleProof(hashes[5], tampered, merkleRoot(levels))).toBe(false);
+    expect(verifyMerkleProof(hashes[5], proof, merkleRoot(buildMerkleTree(makeSecretHashes(9))))).toBe(false);
+  });
+
+  test('rejects missing inputs', () => {
+    const levels = buildMerkleTree(makeSecretHashes(2));
+    expect(verifyMerkleProof(null, merkleProof(levels, 0), merkleRoot(levels))).toBe(false);
+    expect(verifyMerkleProof(makeSecretHashes(1)[0], null, merkleRoot(levels))).toBe(false);
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Random Request Purpose Tests
+ *
+ * Tests:
+ * - Per-game schema parsing
+ * - Sequential purposes per game
+ * - Duplicate and out-of-order rejection
+ */
+
+import { getNextPurposes, validateNextPurpose } from '../purposes';
+
+// ============================================
+// TEST HELPERS
+// ============================================
+
+function ledgerOf(...purposes) {
+  return purposes.map((purpose, i) => ({ nonce: i + 1, purpose }));
+}
+
+// ============================================
+// NEXT PURPOSES
+// ============================================
+
+describe('getNextPurposes', () => {
+  test('starts each game at its first purpose', () => {
+    expect(getNextPurposes('backgammon', null)).toEqual(['roll-1']);
+    expect(getNextPurposes('yahtzee', null)).toEqual(['turn-1-roll-1']);
+    expect(getNextPurposes('blackjack', null)).toEqual(['shoe-shuffle']);
+    expect(getNextPurposes('solitaire', null)).toEqual(['deck-shuffle']);
+    expect(getNextPurposes('freecell', null)).toEqual(['deck-shuffle']);
+    expect(getNextPurposes('spider', null)).toEqual(['deck-shuffle']);
+  });
+
+  test('allows another roll or the next Yahtzee turn', () => {
+    expect(getNextPurposes('yahtzee', 'turn-4-roll-2')).toEqual(['turn-4-roll-3', 'turn-5-roll-1']);
+    expect(getNextPurposes('yahtzee', 'turn-4-roll-3')).toEqual(['turn-5-roll-1']);
+    expect(getNextPurposes('yahtzee', 'turn-13-roll-3')).toEqual([]);
+  });
+
+  test('numbers blackjack reshuffles after the first shoe', () => {
+    expect(getNextPurposes('blackjack', 'shoe-shuffle')).toEqual(['reshuffle-1']);
+    expect(getNextPurposes('blackjack', 'reshuffle-2')).toEqual(['reshuffle-3']);
+  });
+
+  test('allows a single deck shuffle', () => {
+    expect(getNextPurposes('garbage', 'deck-shuffle')).toEqual([]);
+  });
+});
+
+// ============================================
+// VALIDATION
+// ============================================
+
+describe('validateNextPurpose', () => {
+  test('accepts the next purpose in order', () => {
+    expect(validateNextPurpose('backgammon', ledgerOf('roll-1', 'roll-2'), 'roll-3')).toEqual({ valid: true });
+    expect(validateNextPurpose('yahtzee', ledgerOf('turn-1-roll-1'), 'turn-2-roll-1').valid).toBe(true);
+  });
+
+  test('rejects a purpose outside the game schema', () => {
+    const result = validateNextPurpose('backgammon', ledgerOf('roll-1'), 'roll-2-retry');
+    expect(result.valid).toBe(false);
+    expect(result.reason).toContain('does not match backgammon schema (roll-{n})');
+  });
+
+  test('rejects a repeated purpose', () => {
+    const result = validateNextPurpose('backgammon', ledgerOf('roll-1', 'roll-2'), 'roll-2');
+    expect(result.valid).toBe(false);
+    expect(result.reason).toBe('Purpose "roll-2" was already requested');
+  });
+
+  test('rejects a purpose that skips ahead', () => {
+    const result = validateNextPurpose('backgammon', ledgerOf('roll-1'), 'roll-5');
+    expect(result.valid).toBe(false);
+    expect(result.reason).toBe('Purpose "roll-5" is out of order (expected roll-2)');
+  });
+
+  test('rejects a fourth Yahtzee roll', () => {
+    const ledger = ledgerOf('turn-1-roll-1', 'turn-1-roll-2', 'turn-1-roll-3');
+    expect(validateNextPurpose('yahtzee', ledger, 'turn-1-roll-4').valid).toBe(false);
+  });
+
+  test('rejects a second deck shuffle', () => {
+    const result = validateNextPurpose('solitaire', ledgerOf('deck-shuffle'), 'deck-shuffle');
+    expect(result.valid).toBe(false);
+    expect(result.reason).toContain('already requested');
+  });
+
+  test('rejects games without a schema', () => {
+    expect(validateNextPurpose('chess', [], 'roll-1').reason).toBe('No random purposes defined for chess');
+  });
+});
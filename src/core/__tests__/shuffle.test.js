@@ -0,0 +1,173 @@
+/**
+ * Shuffle Module Tests
+ *
+ * Tests:
+ * - Seed generation for both RNG versions
+ * - SHA-256 (v2) shuffle determinism and full-seed sensitivity
+ * - Legacy (v1) shuffle replay
+ * - Shuffle verification with rngVersion
+ */
+
+import {
+  generateSeed,
+  shuffleArray,
+  shuffleDeck,
+  shuffleDeckStrings,
+  createMultiDeckShoe,
+  verifyShuffle,
+  getSeedComponents,
+  resolveRngVersion,
+  RNG_VERSION_LEGACY,
+  RNG_VERSION_SHA256,
+  CURRENT_RNG_VERSION
+} from '../shuffle';
+
+// ============================================
+// TEST HELPERS
+// ============================================
+
+const BLOCK_DATA = {
+  blockHash: 'a1b2c3d4e5f60718293a4b5c6d7e8f90a1b2c3d4e5f60718293a4b5c6d7e8f90',
+  txHash: 'ffeeddccbbaa99887766554433221100ffeeddccbbaa99887766554433221100',
+  timestamp: 1700000000000,
+  txIndex: 2
+};
+
+const SEED = '0123456789abcdef0123456789abcdef0123456789abcdef0123456789abcdef';
+
+function ids(deck) {
+  return deck.map(card => card.id);
+}
+
+// ============================================
+// SEED GENERATION
+// ============================================
+
+describe('generateSeed', () => {
+  test('defaults to the current RNG version', () => {
+    expect(CURRENT_RNG_VERSION).toBe(RNG_VERSION_SHA256);
+    expect(generateSeed(BLOCK_DATA, 'SOL-1-abc')).toBe(
+      generateSeed(BLOCK_DATA, 'SOL-1-abc', RNG_VERSION_SHA256)
+    );
+  });
+
+  test('v2 seed is the SHA-256 of the colon-joined input', () => {
+    const seed = generateSeed(BLOCK_DATA, 'SOL-1-abc', RNG_VERSION_SHA256);
+    expect(seed).toMatch(/^[0-9a-f]{64}$/);
+    // No repeated halves (v1 seeds repeat their first 32 chars)
+    expect(seed.slice(0, 32)).not.toBe(seed.slice(32));
+  });
+
+  test('v1 seed keeps the legacy repeated-hash layout', () => {
+    const seed = generateSeed(BLOCK_DATA, 'SOL-1-abc', RNG_VERSION_LEGACY);
+    expect(seed).toHaveLength(64);
+    expect(seed.slice(0, 32)).toBe(seed.slice(32));
+  });
+
+  test('different game IDs give different v2 seeds', () => {
+    expect(generateSeed(BLOCK_DATA, 'SOL-1-abc')).not.toBe(generateSeed(BLOCK_DATA, 'SOL-1-abd'));
+  });
+
+  test('getSeedComponents reports the RNG version', () => {
+    const components = getSeedComponents(BLOCK_DATA, 'SOL-1-abc');
+    expect(components.rngVersion).toBe(CURRENT_RNG_VERSION);
+    expect(components.combinedInput).toBe(
+      `${BLOCK_DATA.blockHash}:${BLOCK_DATA.txHash}:${BLOCK_DATA.timestamp}:SOL-1-abc:${BLOCK_DATA.txIndex}`
+    );
+  });
+});
+
+// ============================================
+// SHA-256 SHUFFLE (v2)
+// ============================================
+
+describe('shuffleArray (v2)', () => {
+  test('is deterministic for the same seed', () => {
+    expect(ids(shuffleDeck(SEED))).toEqual(ids(shuffleDeck(SEED)));
+  });
+
+  test('keeps every card exactly once', () => {
+    const deck = shuffleDeck(SEED);
+    expect(new Set(ids(deck)).size).toBe(52);
+  });
+
+  test('depends on characters beyond the first 8 of the seed', () => {
+    const altered = SEED.slice(0, 63) + (SEED[63] === 'f' ? 'e' : 'f');
+    expect(ids(shuffleDeck(altered))).not.toEqual(ids(shuffleDeck(SEED)));
+  });
+
+  test('shuffles a full 6-deck shoe', () => {
+    const shoe = shuffleArray(createMultiDeckShoe(6), SEED);
+    expect(shoe).toHaveLength(312);
+    expect(new Set(ids(shoe)).size).toBe(312);
+  });
+
+  test('produces roughly uniform first positions', () => {
+    const counts = new Array(4).fill(0);
+    for (let i = 0; i < 400; i++) {
+      const seed = generateSeed(BLOCK_DATA, `GAME-${i}`);
+      counts[shuffleArray([0, 1, 2, 3], seed)[0]]++;
+    }
+    counts.forEach(count => {
+      expect(count).toBeGreaterThan(60);
+      expect(count).toBeLessThan(140);
+    });
+  });
+
+  test('throws on an unknown RNG version', () => {
+    expect(() => shuffleArray([1, 2, 3], SEED, 99)).toThrow('Unsupported RNG version: 99');
+  });
+});
+
+// ============================================
+// LEGACY SHUFFLE (v1)
+// ============================================
+
+describe('shuffleArray (v1 legacy)', () => {
+  test('only depends on the first 8 hex chars of the seed', () => {
+    const altered = SEED.slice(0, 8) + 'f'.repeat(56);
+    expect(shuffleDeckStrings(altered, RNG_VERSION_LEGACY)).toEqual(
+      shuffleDeckStrings(SEED, RNG_VERSION_LEGACY)
+    );
+  });
+
+  test('differs from the v2 shuffle', () => {
+    expect(shuffleDeckStrings(SEED, RNG_VERSION_LEGACY)).not.toEqual(
+      shuffleDeckStrings(SEED, RNG_VERSION_SHA256)
+    );
+  });
+});
+
+// ============================================
+// VERIFICATION
+// ============================================
+
+describe('verifyShuffle', () => {
+  test('replays legacy games by default', () => {
+    const seed = generateSeed(BLOCK_DATA, 'GRB-1-abc', RNG_VERSION_LEGACY);
+    const deck = shuffleDeckStrings(seed, RNG_VERSION_LEGACY);
+    expect(verifyShuffle(BLOCK_DATA, 'GRB-1-abc', deck)).toBe(true);
+  });
+
+  test('verifies v2 decks when given the version', () => {
+    const deck = shuffleDeck(generateSeed(BLOCK_DATA, 'SOL-1-abc'));
+    expect(verifyShuffle(BLOCK_DATA, 'SOL-1-abc', deck, RNG_VERSION_SHA256)).toBe(true);
+    expect(verifyShuffle(BLOCK_DATA, 'SOL-1-abc', deck, RNG_VERSION_LEGACY)).toBe(false);
+  });
+
+  test('verifies v2 multi-deck shoes', () => {
+    const shoe = shuffleArray(createMultiDeckShoe(6), generateSeed(BLOCK_DATA, 'BJK-1-abc'));
+    expect(verifyShuffle(BLOCK_DATA, 'BJK-1-abc', shoe, RNG_VERSION_SHA256)).toBe(true);
+  });
+});
+
+describe('resolveRngVersion', () => {
+  test('treats records without a version as legacy', () => {
+    expect(resolveRngVersion({})).toBe(RNG_VERSION_LEGACY);
+    expect(resolveRngVersion(null)).toBe(RNG_VERSION_LEGACY);
+  });
+
+  test('returns the recorded version', () => {
+    expect(resolveRngVersion({ rngVersion: RNG_VERSION_SHA256 })).toBe(RNG_VERSION_SHA256);
+  });
+});
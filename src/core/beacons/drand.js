@@ -0,0 +1,168 @@
+/**
+ * Provably Fair Core - drand Beacon
+ *
+ * Rounds from a drand-style public randomness beacon (League of Entropy
+ * mainnet by default). Mapped onto the anchor fields so seed derivation is
+ * unchanged:
+ *
+ *   blockHeight = round, blockHash = randomness, txHash = signature,
+ *   timestamp = round time (ms), txIndex = 0, txCount = 1
+ *
+ * verifyRound checks randomness = SHA256(signature) and that the beacon
+ * still serves the same round. It does not check the BLS signature against
+ * the group key; use a drand client for that.
+ *
+ * Config: DRAND_URL, DRAND_CHAIN_HASH (chain info is fetched for chains
+ * other than the default)
+ */
+
+import CryptoJS from 'crypto-js';
+import { readBeaconEnv, fetchBeaconJson, sameAnchor } from './shared.js';
+
+export const DRAND_API = 'https://api.drand.sh';
+
+// League of Entropy mainnet (30 second rounds)
+export const DRAND_DEFAULT_CHAIN = {
+  hash: '8990e7a9aaed2ffed73dbd7092123d6f289930540d7651336225dc172e51b2ce',
+  period: 30,
+  genesisTime: 1595431050
+};
+
+const chainInfoCache = {};
+
+/**
+ * Beacon base URL and chain hash
+ * @returns {{url: string, chainHash: string}}
+ */
+export function getDrandConfig() {
+  return {
+    url: readBeaconEnv('DRAND_URL') || DRAND_API,
+    chainHash: readBeaconEnv('DRAND_CHAIN_HASH') || DRAND_DEFAULT_CHAIN.hash
+  };
+}
+
+/**
+ * Round period and genesis time of the configured chain
+ * @returns {Promise<{period: number, genesisTime: number}>}
+ */
+async function getChainInfo() {
+  const { url, chainHash } = getDrandConfig();
+
+  if (chainHash === DRAND_DEFAULT_CHAIN.hash) {
+    return DRAND_DEFAULT_CHAIN;
+  }
+
+  if (!chainInfoCache[chainHash]) {
+    const info = await fetchBeaconJson(`${url}/${chainHash}/info`, 'drand');
+    if (!info || !Number.isInteger(info.period) || !Number.isInteger(info.genesis_time)) {
+      throw new Error(`drand returned no chain info for ${chainHash}`);
+    }
+    chainInfoCache[chainHash] = { period: info.period, genesisTime: info.genesis_time };
+  }
+
+  return chainInfoCache[chainHash];
+}
+
+/**
+ * Time a round is published (ms)
+ * @param {{period: number, genesisTime: number}} chain - Chain info
+ * @param {number} round - Round number (first round is 1)
+ * @returns {number}
+ */
+export function drandRoundTime(chain, round) {
+  return (chain.genesisTime + (round - 1) * chain.period) * 1000;
+}
+
+/**
+ * Whether a round's randomness matches its signature
+ * @param {{randomness: string, signature: string}} beaconRound
+ * @returns {boolean}
+ */
+export function verifyDrandRandomness({ randomness, signature }) {
+  if (!randomness || !signature) {
+    return false;
+  }
+  return CryptoJS.SHA256(CryptoJS.enc.Hex.parse(signature)).toString() === randomness;
+}
+
+async function fetchDrand(path) {
+  const { url, chainHash } = getDrandConfig();
+  return fetchBeaconJson(`${url}/${chainHash}/public/${path}`, 'drand');
+}
+
+/**
+ * Latest published round
+ * @returns {Promise<number>}
+ * @throws {Error} If the beacon cannot be read
+ */
+async function getLatestRound() {
+  const latest = await fetchDrand('latest');
+
+  if (!Number.isInteger(latest?.round)) {
+    throw new Error('drand returned no latest round');
+  }
+
+  return latest.round;
+}
+
+/**
+ * Anchor data for a round
+ * @param {number} round - Round number
+ * @returns {Promise<Object|null>} blockData, or null if not published yet
+ * @throws {Error} If the beacon is unreachable or returns bad data
+ */
+async function fetchRound(round) {
+  const chain = await getChainInfo();
+  const timestamp = drandRoundTime(chain, round);
+
+  // Future rounds are rejected by the beacon; don't ask
+  if (timestamp > Date.now()) {
+    return null;
+  }
+
+  const beaconRound = await fetchDrand(round);
+  if (!beaconRound) {
+    return null;
+  }
+
+  if (beaconRound.round !== round || !verifyDrandRandomness(beaconRound)) {
+    throw new Error(`drand returned inconsistent data for round ${round}`);
+  }
+
+  return {
+    blockHeight: round,
+    blockHash: beaconRound.randomness,
+    timestamp,
+    txCount: 1,
+    txHash: beaconRound.signature,
+    txIndex: 0
+  };
+}
+
+/**
+ * Check a stored round's randomness and re-fetch it
+ * @param {Object} blockData - Stored anchor
+ * @returns {Promise<boolean>}
+ */
+async function verifyRound(blockData) {
+  if (!verifyDrandRandomness({ randomness: blockData.blockHash, signature: blockData.txHash })) {
+    return false;
+  }
+  return sameAnchor(await fetchRound(blockData.blockHeight), blockData);
+}
+
+export const drandBeacon = {
+  name: 'drand',
+  label: 'drand',
+  reorgable: false,
+  getLatestRound,
+  fetchRound,
+  verifyRound,
+  siteName: 'drand',
+  roundUrl: (blockData) => {
+    const { url, chainHash } = getDrandConfig();
+    return `${url}/${chainHash}/public/${blockData.blockHeight}`;
+  }
+};
+
+export default drandBeacon;
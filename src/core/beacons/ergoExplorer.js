@@ -0,0 +1,58 @@
+/**
+ * Provably Fair Core - Ergo Explorer Beacon
+ *
+ * The original entropy source: blocks read from the public Ergo explorer
+ * API. A round is a block height; the anchor transaction is the one at
+ * header timestamp % txCount.
+ *
+ * Reads go through the shared Ergo client (timeouts, retries, block cache,
+ * failover to ERGO_EXPLORER_FALLBACK_URLS and then the node).
+ *
+ * Config: ERGO_EXPLORER_URL (defaults to the public explorer)
+ */
+
+import { ergoClient, ERGO_EXPLORER_API, getErgoExplorerUrl } from '../ergoClient.js';
+import { fetchErgoAnchor, sameAnchor } from './shared.js';
+
+export { ERGO_EXPLORER_API, getErgoExplorerUrl };
+
+/**
+ * Current chain height
+ * @returns {Promise<number>}
+ * @throws {Error} If the height cannot be read
+ */
+async function getLatestRound() {
+  return ergoClient.getLatestHeight();
+}
+
+/**
+ * Anchor data for the block at a height
+ * @param {number} height - Block height
+ * @returns {Promise<Object|null>} blockData, or null if not mined yet
+ * @throws {Error} If the explorer is unreachable or returns bad data
+ */
+async function fetchRound(height) {
+  return fetchErgoAnchor(ergoClient, height);
+}
+
+/**
+ * Re-fetch a stored anchor and compare
+ * @param {Object} blockData - Stored anchor
+ * @returns {Promise<boolean>}
+ */
+async function verifyRound(blockData) {
+  return sameAnchor(await fetchRound(blockData.blockHeight), blockData);
+}
+
+export const ergoExplorerBeacon = {
+  name: 'ergo-explorer',
+  label: 'Ergo Explorer',
+  reorgable: true,
+  getLatestRound,
+  fetchRound,
+  verifyRound,
+  siteName: 'Ergo Explorer',
+  roundUrl: (blockData) => `https://explorer.ergoplatform.com/en/blocks/${blockData.blockHash}`
+};
+
+export default ergoExplorerBeacon;
@@ -0,0 +1,73 @@
+/**
+ * Provably Fair Core - Ergo Node Beacon
+ *
+ * Same blocks and transaction selection as the explorer beacon, read from
+ * an Ergo node's REST API instead, for deployments that run their own node
+ * rather than trusting the public explorer.
+ *
+ * Reads go through an Ergo client that asks the node first and fails over
+ * to the explorers only when the node can't be reached.
+ *
+ * Config: ERGO_NODE_URL (defaults to a public node)
+ */
+
+import {
+  createErgoClient,
+  getDefaultEndpoints,
+  ENDPOINT_NODE,
+  ERGO_NODE_API,
+  getErgoNodeUrl
+} from '../ergoClient.js';
+import { fetchErgoAnchor, sameAnchor } from './shared.js';
+
+export { ERGO_NODE_API, getErgoNodeUrl };
+
+const endpoints = getDefaultEndpoints();
+const nodeClient = createErgoClient({
+  endpoints: [
+    ...endpoints.filter(endpoint => endpoint.kind === ENDPOINT_NODE),
+    ...endpoints.filter(endpoint => endpoint.kind !== ENDPOINT_NODE)
+  ]
+});
+
+/**
+ * Current full-block height
+ * @returns {Promise<number>}
+ * @throws {Error} If the height cannot be read
+ */
+async function getLatestRound() {
+  return nodeClient.getLatestHeight();
+}
+
+/**
+ * Anchor data for the block at a height
+ * @param {number} height - Block height
+ * @returns {Promise<Object|null>} blockData, or null if not mined yet
+ * @throws {Error} If the node is unreachable or returns bad data
+ */
+async function fetchRound(height) {
+  return fetchErgoAnchor(nodeClient, height);
+}
+
+/**
+ * Re-fetch a stored anchor and compare
+ * @param {Object} blockData - Stored anchor
+ * @returns {Promise<boolean>}
+ */
+async function verifyRound(blockData) {
+  return sameAnchor(await fetchRound(blockData.blockHeight), blockData);
+}
+
+export const ergoNodeBeacon = {
+  name: 'ergo-node',
+  label: 'Ergo Node',
+  reorgable: true,
+  getLatestRound,
+  fetchRound,
+  verifyRound,
+  siteName: 'Ergo Explorer',
+  // Node blocks are the same chain, so the public explorer can show them
+  roundUrl: (blockData) => `https://explorer.ergoplatform.com/en/blocks/${blockData.blockHash}`
+};
+
+export default ergoNodeBeacon;
@@ -0,0 +1,92 @@
+/**
+ * Provably Fair Core - Randomness Beacons
+ *
+ * Where a session's anchor entropy comes from. Every provider exposes:
+ *
+ * - getLatestRound() → current round (block height, drand round, ...)
+ * - fetchRound(round) → blockData, or null if the round doesn't exist yet
+ * - verifyRound(blockData) → whether a stored anchor is genuine
+ * - roundUrl(blockData) → public page for the round on siteName (null if none)
+ * - reorgable → whether a published round can still be replaced (Ergo
+ *   blocks can be orphaned; drand rounds are final)
+ *
+ * blockData always has the Ergo anchor shape (blockHeight, blockHash,
+ * timestamp, txCount, txHash, txIndex), so seed derivation is the same for
+ * every beacon. The server picks one with RANDOMNESS_BEACON and records it
+ * on the session (game_sessions.beacon).
+ */
+
+import { ergoExplorerBeacon } from './ergoExplorer.js';
+import { ergoNodeBeacon } from './ergoNode.js';
+import { drandBeacon } from './drand.js';
+import { localMockBeacon } from './localMock.js';
+
+export { ERGO_EXPLORER_API, getErgoExplorerUrl } from './ergoExplorer.js';
+export { ERGO_NODE_API, getErgoNodeUrl } from './ergoNode.js';
+export { DRAND_API, DRAND_DEFAULT_CHAIN, verifyDrandRandomness } from './drand.js';
+export { localMockRound } from './localMock.js';
+
+// Sessions created before beacons were configurable used the explorer
+export const DEFAULT_BEACON = ergoExplorerBeacon.name;
+
+const BEACONS = {
+  [ergoExplorerBeacon.name]: ergoExplorerBeacon,
+  [ergoNodeBeacon.name]: ergoNodeBeacon,
+  [drandBeacon.name]: drandBeacon,
+  [localMockBeacon.name]: localMockBeacon
+};
+
+export const BEACON_NAMES = Object.keys(BEACONS);
+
+/**
+ * Look up a beacon provider
+ * @param {string} [name] - Provider name (defaults to the Ergo explorer)
+ * @returns {Object} Provider
+ * @throws {Error} If no provider has that name
+ */
+export function getBeacon(name = DEFAULT_BEACON) {
+  const beacon = BEACONS[name || DEFAULT_BEACON];
+  if (!beacon) {
+    throw new Error(`Unknown randomness beacon: ${name}`);
+  }
+  return beacon;
+}
+
+/**
+ * Check a stored anchor against the beacon that produced it
+ * @param {Object} blockData - Stored anchor
+ * @param {string|null} beaconName - Beacon recorded with the session
+ * @returns {Promise<boolean>}
+ */
+export function verifyBeaconRound(blockData, beaconName = DEFAULT_BEACON) {
+  return getBeacon(beaconName).verifyRound(blockData);
+}
+
+/**
+ * How to show an anchor on a verification page
+ * Unknown names (e.g. from a newer server) are shown as-is, without a link.
+ * @param {Object} blockData - Stored anchor
+ * @param {string|null} beaconName - Beacon recorded with the session
+ * @returns {{label: string, siteName: string|null, url: string|null}}
+ */
+export function describeBeaconRound(blockData, beaconName = DEFAULT_BEACON) {
+  const beacon = BEACONS[beaconName || DEFAULT_BEACON];
+
+  if (!beacon) {
+    return { label: beaconName, siteName: null, url: null };
+  }
+
+  return {
+    label: beacon.label,
+    siteName: beacon.siteName,
+    url: blockData?.blockHash ? beacon.roundUrl(blockData) : null
+  };
+}
+
+export default {
+  DEFAULT_BEACON,
+  BEACON_NAMES,
+  getBeacon,
+  verifyBeaconRound,
+  describeBeaconRound
+};
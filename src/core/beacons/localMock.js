@@ -0,0 +1,80 @@
+/**
+ * Provably Fair Core - Local Mock Beacon
+ *
+ * Deterministic rounds for tests and offline development: every field is
+ * derived from LOCAL_BEACON_SEED and the round number, and a new round
+ * "publishes" every LOCAL_MOCK_PERIOD seconds. Anyone who knows the seed
+ * can predict every round, so sessions anchored to it are not fair.
+ *
+ * Config: LOCAL_BEACON_SEED (default 'local')
+ */
+
+import CryptoJS from 'crypto-js';
+import { readBeaconEnv, sameAnchor } from './shared.js';
+
+export const LOCAL_MOCK_PERIOD = 2;
+export const LOCAL_MOCK_GENESIS_TIME = 1700000000;
+export const LOCAL_MOCK_TX_COUNT = 4;
+
+function mockHash(seed, round, field) {
+  return CryptoJS.SHA256(`local-mock:${seed}:${round}:${field}`).toString();
+}
+
+/**
+ * Anchor data for a round, whether or not it has been reached
+ * @param {number} round - Round number
+ * @param {string} seed - Mock seed
+ * @returns {Object} blockData
+ */
+export function localMockRound(round, seed = readBeaconEnv('LOCAL_BEACON_SEED') || 'local') {
+  const timestamp = (LOCAL_MOCK_GENESIS_TIME + round * LOCAL_MOCK_PERIOD) * 1000;
+  const txIndex = timestamp % LOCAL_MOCK_TX_COUNT;
+
+  return {
+    blockHeight: round,
+    blockHash: mockHash(seed, round, 'block'),
+    timestamp,
+    txCount: LOCAL_MOCK_TX_COUNT,
+    txHash: mockHash(seed, round, `tx-${txIndex}`),
+    txIndex
+  };
+}
+
+/**
+ * Latest round by the clock
+ * @returns {Promise<number>}
+ */
+async function getLatestRound() {
+  return Math.floor((Date.now() / 1000 - LOCAL_MOCK_GENESIS_TIME) / LOCAL_MOCK_PERIOD);
+}
+
+/**
+ * Anchor data for a round
+ * @param {number} round - Round number
+ * @returns {Promise<Object|null>} blockData, or null if the round is in the future
+ */
+async function fetchRound(round) {
+  return round > await getLatestRound() ? null : localMockRound(round);
+}
+
+/**
+ * Recompute a stored round
+ * @param {Object} blockData - Stored anchor
+ * @returns {Promise<boolean>}
+ */
+async function verifyRound(blockData) {
+  return sameAnchor(localMockRound(blockData.blockHeight), blockData);
+}
+
+export const localMockBeacon = {
+  name: 'local-mock',
+  label: 'Local mock (not fair)',
+  reorgable: false,
+  getLatestRound,
+  fetchRound,
+  verifyRound,
+  siteName: null,
+  roundUrl: () => null
+};
+
+export default localMockBeacon;
@@ -0,0 +1,98 @@
+/**
+ * Provably Fair Core - Beacon Helpers
+ *
+ * Shared by the randomness beacon providers in this directory.
+ */
+
+/**
+ * Read a configuration variable
+ * Server routes set these in the environment; in the browser (where CRA
+ * only exposes REACT_APP_* variables) every provider falls back to its
+ * public default.
+ * @param {string} name - Variable name
+ * @returns {string|undefined}
+ */
+export function readBeaconEnv(name) {
+  return typeof process !== 'undefined' && process.env ? process.env[name] : undefined;
+}
+
+/**
+ * GET a JSON resource
+ * @param {string} url - Resource URL
+ * @param {string} source - Name used in error messages (e.g. 'Ergo API')
+ * @returns {Promise<Object|null>} Parsed body, or null on 404
+ * @throws {Error} On network or non-404 API errors
+ */
+export async function fetchBeaconJson(url, source) {
+  const response = await fetch(url);
+
+  if (response.status === 404) {
+    return null;
+  }
+
+  if (!response.ok) {
+    throw new Error(`${source} error: ${response.status}`);
+  }
+
+  return response.json();
+}
+
+/**
+ * Anchor data for the Ergo block at a height
+ * The anchor transaction is the one at header timestamp % txCount.
+ * @param {Object} client - Ergo API client (src/core/ergoClient.js)
+ * @param {number} height - Block height
+ * @returns {Promise<Object|null>} blockData, or null if not mined yet
+ * @throws {Error} If no endpoint is reachable or the block data is bad
+ */
+export async function fetchErgoAnchor(client, height) {
+  const blockId = await client.getBlockIdAtHeight(height);
+  if (!blockId) {
+    return null;
+  }
+
+  const block = await client.getBlock(blockId);
+  if (!block?.header || block.header.height !== height) {
+    throw new Error(`Ergo API returned inconsistent data for block ${height}`);
+  }
+
+  const transactions = block.blockTransactions;
+  if (transactions.length === 0) {
+    throw new Error(`Block ${height} has no transactions`);
+  }
+
+  const timestamp = block.header.timestamp;
+  const txIndex = timestamp % transactions.length;
+
+  return {
+    blockHeight: height,
+    blockHash: block.header.id,
+    timestamp,
+    txCount: transactions.length,
+    txHash: transactions[txIndex].id,
+    txIndex
+  };
+}
+
+/**
+ * Whether two anchors describe the same round
+ * Compares every field that goes into seed derivation.
+ * @param {Object} expected - blockData as fetched from the beacon
+ * @param {Object} actual - blockData as stored with the game
+ * @returns {boolean}
+ */
+export function sameAnchor(expected, actual) {
+  return Boolean(expected && actual) &&
+    expected.blockHeight === actual.blockHeight &&
+    expected.blockHash === actual.blockHash &&
+    expected.txHash === actual.txHash &&
+    expected.timestamp === actual.timestamp &&
+    expected.txIndex === actual.txIndex;
+}
+
+export default {
+  readBeaconEnv,
+  fetchBeaconJson,
+  fetchErgoAnchor,
+  sameAnchor
+};
@@ -0,0 +1,61 @@
+/**
+ * Provably Fair Core - Dice
+ *
+ * Turns 64-char hex random values into die faces. Shared by the React games
+ * and lib/validation so a replayed roll always matches the original.
+ */
+
+import CryptoJS from 'crypto-js';
+
+// 252 = 42 * 6: bytes at or above this would bias the modulo
+const UNBIASED_BYTE_LIMIT = 252;
+
+/**
+ * Reads dice from a hex hash using rejection sampling (Backgammon)
+ * Each byte below 252 becomes (byte % 6) + 1; larger bytes are skipped
+ * @param {string} hash - Hex hash string
+ * @param {number} count - Number of dice to produce
+ * @param {string} fallbackInput - Input re-hashed if the bytes run out (default: hash)
+ * @returns {number[]} Dice values (1-6 each)
+ */
+export function rollDiceFromHash(hash, count = 2, fallbackInput = hash) {
+  const dice = [];
+  let byteIndex = 0;
+
+  while (dice.length < count && byteIndex < hash.length - 1) {
+    const byte = parseInt(hash.substring(byteIndex, byteIndex + 2), 16);
+    byteIndex += 2;
+
+    if (byte < UNBIASED_BYTE_LIMIT) {
+      dice.push((byte % 6) + 1);
+    }
+  }
+
+  // Fallback if we run out of bytes (extremely unlikely)
+  while (dice.length < count) {
+    const extraHash = CryptoJS.SHA256(fallbackInput + dice.length).toString(CryptoJS.enc.Hex);
+    const byte = parseInt(extraHash.substring(0, 2), 16);
+    if (byte < UNBIASED_BYTE_LIMIT) {
+      dice.push((byte % 6) + 1);
+    }
+  }
+
+  return dice;
+}
+
+/**
+ * Calculate a single die value from seed and die index (Yahtzee)
+ * @param {string} seed - SHA256 seed string
+ * @param {number} dieIndex - Die index (0-4)
+ * @returns {number} Die value (1-6)
+ */
+export function calculateDieValue(seed, dieIndex) {
+  const dieHash = CryptoJS.SHA256(seed + dieIndex.toString()).toString();
+  const numericValue = parseInt(dieHash.slice(0, 8), 16);
+  return (numericValue % 6) + 1;
+}
+
+export default {
+  rollDiceFromHash,
+  calculateDieValue
+};
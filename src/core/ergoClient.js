@@ -0,0 +1,376 @@
+/**
+ * Provably Fair Core - Ergo API Client
+ *
+ * One client for every Ergo read, in the browser (src/blockchain,
+ * src/games) and in the serverless routes (lib/validation):
+ *
+ * - Per-request timeout, retries with exponential backoff on timeouts,
+ *   network errors, 429 and 5xx
+ * - Failover across a list of endpoints: explorers first, then nodes.
+ *   Responses are normalized to the explorer's shapes, so callers don't
+ *   care which one answered
+ * - LRU cache for immutable data (blocks by id, confirmed transactions)
+ * - Consensus check: a block looked up by height is rejected if two
+ *   endpoints disagree on its hash
+ *
+ * Config: ERGO_EXPLORER_URL, ERGO_EXPLORER_FALLBACK_URLS (comma-separated),
+ * ERGO_NODE_URL. The browser uses the public defaults.
+ */
+
+import { readBeaconEnv } from './beacons/shared.js';
+
+export const ERGO_EXPLORER_API = 'https://api.ergoplatform.com/api/v1';
+export const ERGO_NODE_API = 'http://213.239.193.208:9053';
+
+export const ENDPOINT_EXPLORER = 'explorer';
+export const ENDPOINT_NODE = 'node';
+
+export const DEFAULT_TIMEOUT_MS = 8000;
+export const DEFAULT_RETRIES = 2;
+export const DEFAULT_BACKOFF_MS = 250;
+export const DEFAULT_CACHE_SIZE = 500;
+
+// Endpoints that must agree on a block looked up by height
+const CONSENSUS_QUORUM = 2;
+
+/**
+ * Fixed-size least-recently-used cache
+ * @param {number} maxEntries - Entries kept before the oldest is evicted
+ * @returns {{get, set, clear, size}}
+ */
+export function createLruCache(maxEntries) {
+  const entries = new Map();
+
+  return {
+    get(key) {
+      if (!entries.has(key)) return undefined;
+      // Re-insert to mark as most recently used
+      const value = entries.get(key);
+      entries.delete(key);
+      entries.set(key, value);
+      return value;
+    },
+    set(key, value) {
+      entries.delete(key);
+      entries.set(key, value);
+      if (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    clear() {
+      entries.clear();
+    },
+    get size() {
+      return entries.size;
+    }
+  };
+}
+
+/**
+ * Explorer API base URL
+ * @returns {string}
+ */
+export function getErgoExplorerUrl() {
+  return readBeaconEnv('ERGO_EXPLORER_URL') || ERGO_EXPLORER_API;
+}
+
+/**
+ * Node API base URL
+ * @returns {string}
+ */
+export function getErgoNodeUrl() {
+  return readBeaconEnv('ERGO_NODE_URL') || ERGO_NODE_API;
+}
+
+/**
+ * Endpoint list from the environment (public defaults otherwise)
+ * @returns {Array<{url: string, kind: string}>}
+ */
+export function getDefaultEndpoints() {
+  const fallbacks = (readBeaconEnv('ERGO_EXPLORER_FALLBACK_URLS') || '')
+    .split(',')
+    .map(url => url.trim())
+    .filter(Boolean);
+
+  return [
+    { url: getErgoExplorerUrl(), kind: ENDPOINT_EXPLORER },
+    ...fallbacks.map(url => ({ url, kind: ENDPOINT_EXPLORER })),
+    { url: getErgoNodeUrl(), kind: ENDPOINT_NODE }
+  ];
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function isRetryable(error) {
+  return error.retryable === true;
+}
+
+/**
+ * Create a client
+ * @param {Object} options
+ * @param {Array<{url: string, kind: string}>} options.endpoints - Tried in order
+ * @param {number} options.timeoutMs - Per-request timeout
+ * @param {number} options.retries - Retries per endpoint before failing over
+ * @param {number} options.backoffMs - First retry delay (doubles each retry)
+ * @param {number} options.cacheSize - Cached blocks and transactions
+ * @returns {Object} Client
+ */
+export function createErgoClient({
+  endpoints = getDefaultEndpoints(),
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  retries = DEFAULT_RETRIES,
+  backoffMs = DEFAULT_BACKOFF_MS,
+  cacheSize = DEFAULT_CACHE_SIZE
+} = {}) {
+  if (endpoints.length === 0) {
+    throw new Error('Ergo client needs at least one endpoint');
+  }
+
+  const cache = createLruCache(cacheSize);
+
+  /**
+   * GET JSON from one endpoint
+   * @returns {Promise<Object|null>} Parsed body, or null on 404
+   * @throws {Error} error.retryable is set for timeouts, network errors, 429 and 5xx
+   */
+  async function getJson(endpoint, path) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+    let response;
+    try {
+      response = await fetch(`${endpoint.url}${path}`, { signal: controller.signal });
+    } catch (cause) {
+      const error = new Error(controller.signal.aborted
+        ? `${endpoint.url} timed out after ${timeoutMs}ms`
+        : `${endpoint.url} unreachable: ${cause.message}`);
+      error.retryable = true;
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (response.status === 404) {
+      return null;
+    }
+
+    if (!response.ok) {
+      const error = new Error(`${endpoint.url} returned ${response.status}`);
+      error.retryable = response.status === 429 || response.status >= 500;
+      throw error;
+    }
+
+    return response.json();
+  }
+
+  /**
+   * Run a read against one endpoint, retrying transient failures
+   */
+  async function withRetries(endpoint, read) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await read(endpoint);
+      } catch (error) {
+        if (!isRetryable(error) || attempt >= retries) {
+          throw error;
+        }
+        await sleep(backoffMs * 2 ** attempt);
+      }
+    }
+  }
+
+  /**
+   * Run a read against each endpoint in turn until one answers
+   * @param {Function} read - (endpoint) => Promise<result>
+   * @returns {Promise<*>} First answer (null answers count)
+   * @throws {Error} If every endpoint fails
+   */
+  async function withFailover(read) {
+    const failures = [];
+
+    for (const endpoint of endpoints) {
+      try {
+        return await withRetries(endpoint, read);
+      } catch (error) {
+        failures.push(error.message);
+      }
+    }
+
+    throw new Error(`Cannot reach Ergo API (${failures.join('; ')})`);
+  }
+
+  /**
+   * Current full-block height
+   * @returns {Promise<number>}
+   */
+  async function getLatestHeight() {
+    return withFailover(async (endpoint) => {
+      const height = endpoint.kind === ENDPOINT_NODE
+        ? (await getJson(endpoint, '/info'))?.fullHeight
+        : (await getJson(endpoint, '/blocks?limit=1'))?.items?.[0]?.height;
+
+      if (!Number.isInteger(height)) {
+        throw new Error(`${endpoint.url} returned no current height`);
+      }
+      return height;
+    });
+  }
+
+  /**
+   * Most recent block summaries, newest first
+   * Nodes don't report transaction counts (transactionsCount is undefined).
+   * @param {number} limit - Number of blocks
+   * @returns {Promise<Array<{id, height, timestamp, transactionsCount}>>}
+   */
+  async function getRecentBlocks(limit) {
+    return withFailover(async (endpoint) => {
+      if (endpoint.kind === ENDPOINT_NODE) {
+        const headers = await getJson(endpoint, `/blocks/lastHeaders/${limit}`);
+        if (!Array.isArray(headers) || headers.length === 0) {
+          throw new Error(`${endpoint.url} returned no recent blocks`);
+        }
+        return headers
+          .map(({ id, height, timestamp }) => ({ id, height, timestamp, transactionsCount: undefined }))
+          .sort((a, b) => b.height - a.height);
+      }
+
+      const items = (await getJson(endpoint, `/blocks?limit=${limit}`))?.items;
+      if (!Array.isArray(items) || items.length === 0) {
+        throw new Error(`${endpoint.url} returned no recent blocks`);
+      }
+      return items;
+    });
+  }
+
+  /**
+   * Block IDs at a height from one endpoint
+   */
+  async function readBlockIds(endpoint, height) {
+    const blockIds = await getJson(endpoint, `/blocks/at/${height}`);
+    return blockIds && blockIds.length > 0 ? blockIds[0] : null;
+  }
+
+  /**
+   * ID of the block at a height
+   *
+   * With consensus, asks endpoints until CONSENSUS_QUORUM of them know the
+   * block (or every endpoint has been tried) and throws if any two
+   * disagree. Endpoints that haven't seen the block yet don't count.
+   *
+   * @param {number} height - Block height
+   * @param {{consensus: boolean}} options
+   * @returns {Promise<string|null>} Block ID, or null if not mined yet
+   * @throws {Error} If endpoints disagree, or none can be reached
+   */
+  async function getBlockIdAtHeight(height, { consensus = false } = {}) {
+    if (!consensus) {
+      return withFailover(endpoint => readBlockIds(endpoint, height));
+    }
+
+    const answers = [];
+    const failures = [];
+
+    for (const endpoint of endpoints) {
+      try {
+        const blockId = await withRetries(endpoint, current => readBlockIds(current, height));
+        if (blockId) answers.push({ url: endpoint.url, blockId });
+      } catch (error) {
+        failures.push(error.message);
+        continue;
+      }
+      if (answers.length >= CONSENSUS_QUORUM) break;
+    }
+
+    if (answers.length === 0 && failures.length === endpoints.length) {
+      throw new Error(`Cannot reach Ergo API (${failures.join('; ')})`);
+    }
+
+    const disagreeing = answers.find(answer => answer.blockId !== answers[0]?.blockId);
+    if (disagreeing) {
+      throw new Error(
+        `Ergo endpoints disagree on block ${height}: ` +
+        `${answers[0].url} has ${answers[0].blockId}, ${disagreeing.url} has ${disagreeing.blockId}`
+      );
+    }
+
+    return answers.length > 0 ? answers[0].blockId : null;
+  }
+
+  /**
+   * Full block with transactions (cached)
+   * @param {string} blockId - Block ID
+   * @returns {Promise<{header: Object, blockTransactions: Array}|null>} null if unknown
+   */
+  async function getBlock(blockId) {
+    const key = `block:${blockId}`;
+    const cached = cache.get(key);
+    if (cached) return cached;
+
+    const block = await withFailover(async (endpoint) => {
+      const data = await getJson(endpoint, `/blocks/${blockId}`);
+      if (!data) return null;
+
+      const normalized = endpoint.kind === ENDPOINT_NODE
+        ? { header: data.header, blockTransactions: data.blockTransactions?.transactions || [] }
+        : { header: data.block?.header, blockTransactions: data.block?.blockTransactions || [] };
+
+      // A block that isn't the one asked for is a bad answer, not a miss
+      if (normalized.header?.id !== blockId) {
+        throw new Error(`${endpoint.url} returned inconsistent data for block ${blockId}`);
+      }
+      return normalized;
+    });
+
+    if (block) cache.set(key, block);
+    return block;
+  }
+
+  /**
+   * Transaction by ID (cached once confirmed)
+   * Node fallbacks need the node's extra index (/blockchain API).
+   * @param {string} txId - Transaction ID
+   * @returns {Promise<Object|null>} Explorer-shaped transaction ({ id, blockId, inputs, ... }), null if unknown
+   */
+  async function getTransaction(txId) {
+    const key = `tx:${txId}`;
+    const cached = cache.get(key);
+    if (cached) return cached;
+
+    const tx = await withFailover(endpoint => getJson(endpoint, endpoint.kind === ENDPOINT_NODE
+      ? `/blockchain/transaction/byId/${txId}`
+      : `/transactions/${txId}`));
+
+    // Unconfirmed transactions can still be dropped or included elsewhere
+    if (tx?.blockId) cache.set(key, tx);
+    return tx;
+  }
+
+  /**
+   * Box by ID (not cached: spending changes it)
+   * @param {string} boxId - Box ID
+   * @returns {Promise<Object|null>} Box ({ boxId, transactionId, ... }), null if unknown
+   */
+  async function getBox(boxId) {
+    return withFailover(endpoint => getJson(endpoint, endpoint.kind === ENDPOINT_NODE
+      ? `/blockchain/box/byId/${boxId}`
+      : `/boxes/${boxId}`));
+  }
+
+  return {
+    endpoints,
+    cache,
+    getLatestHeight,
+    getRecentBlocks,
+    getBlockIdAtHeight,
+    getBlock,
+    getTransaction,
+    getBox
+  };
+}
+
+// Shared client (one cache per browser tab / serverless instance)
+export const ergoClient = createErgoClient();
+
+export default ergoClient;
@@ -4,7 +4,7 @@
  */
 
 import CryptoJS from 'crypto-js';
-import { cloneGrid, getEmptyCells } from './gridLogic';
+import { cloneGrid, getEmptyCells } from './gridLogic.js';
 
 /**
  * Generate master seed from blockchain data
@@ -1,18 +1,21 @@
 /**
  * Backgammon Game Logic
- * 
+ *
  * Core rules, dice functions, movement helpers, and win detection.
  * Uses blockchain hash for provably fair dice rolls.
+ * Shared by the React game and lib/validation (no browser-only imports).
  */
 
 import CryptoJS from 'crypto-js';
+import { rollDiceFromHash } from '../../dice.js';
 
 // ============================================
 // DICE FUNCTIONS
 // ============================================
 
 /**
- * Generate provably fair dice values from blockchain data
+ * Generate provably fair dice values from blockchain data (LEGACY)
+ * Uses rejection sampling to eliminate modulo bias
  * @param {string} blockHash - Blockchain block hash
  * @param {string} gameId - Unique game identifier
  * @param {number} turnNumber - Current turn number for uniqueness
@@ -22,14 +25,8 @@ export function rollDiceValues(blockHash, gameId, turnNumber) {
   // Create deterministic seed from blockchain + game data
   const seedInput = `${blockHash}${gameId}${turnNumber}`;
   const hash = CryptoJS.SHA256(seedInput).toString(CryptoJS.enc.Hex);
-  
-  // Use first two bytes for dice values
-  const byte1 = parseInt(hash.substring(0, 2), 16);
-  const byte2 = parseInt(hash.substring(2, 4), 16);
-  
-  const die1 = (byte1 % 6) + 1;
-  const die2 = (byte2 % 6) + 1;
-  
+
+  const [die1, die2] = rollDiceFromHash(hash, 2, seedInput);
   return [die1, die2];
 }
 
@@ -468,7 +465,7 @@ export function generateVerificationData(blockHash, gameId, turnNumber, dice) {
 export function verifyDiceRoll(verificationData) {
   const { blockHash, gameId, turnNumber, dice } = verificationData;
   const expectedDice = rollDiceValues(blockHash, gameId, turnNumber);
-
+  
   return dice[0] === expectedDice[0] && dice[1] === expectedDice[1];
 }
 
@@ -512,14 +509,14 @@ export default {
   isDoubles,
   getAvailableDice,
   expandDiceForDoubles,
-
+  
   // Movement
   getDirection,
   calculateDestination,
   getHomeRange,
   getBarEntryPoint,
   getPipCount,
-
+  
   // Board queries
   hasCheckersOnBar,
   allCheckersInHome,
@@ -529,14 +526,14 @@ export default {
   hasCheckersRemaining,
   getTotalCheckers,
   getFurthestChecker,
-
+  
   // Win detection
   detectWinType,
   checkGameOver,
-
+  
   // Scoring
   calculateGameScore,
-
+  
   // Doubling cube
   canOfferDouble,
   getDoubleValue,
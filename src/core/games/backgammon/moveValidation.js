@@ -20,7 +20,7 @@ import {
   isBlot,
   getAvailableDice,
   getFurthestChecker
-} from './gameLogic';
+} from './gameLogic.js';
 
 // ============================================
 // BAR ENTRY
@@ -726,7 +726,7 @@ export function getMoveDescription(move) {
  * Validate move sequence - ensure moves use dice correctly
  * @param {object} initialState - Starting state
  * @param {Array} moves - Sequence of moves
- * @returns {{valid: boolean, error: string|null}}
+ * @returns {{valid: boolean, error: string|null, state?: object}} state after the last move
  */
 export function validateMoveSequence(initialState, moves) {
   let currentState = initialState;
@@ -749,7 +749,7 @@ export function validateMoveSequence(initialState, moves) {
     currentState = applyMove(currentState, move);
   }
   
-  return { valid: true, error: null };
+  return { valid: true, error: null, state: currentState };
 }
 
 export default {
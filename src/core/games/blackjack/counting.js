@@ -0,0 +1,183 @@
+/**
+ * Blackjack Card Counting - Running and true counts over the cards seen
+ *
+ * Counts restart at every reshuffle. Live counts come from the shoe (cards
+ * dealt since the last RESHUFFLE, minus a face-down hole card). Round
+ * histories don't record the shoe, so the cards seen before each round are
+ * rebuilt from the dealt hands and the table's cut card (a new shoe starts
+ * once a round ends past it).
+ */
+
+import { getCutCardPosition } from './tableRules.js';
+
+/**
+ * Tag per rank for each system (10-value cards share the '10' tag).
+ * KO is unbalanced: it starts from an initial running count of 4 - 4 × decks
+ * and is played off the running count, so it has no true count.
+ */
+export const COUNT_SYSTEMS = {
+  'hi-lo': {
+    name: 'Hi-Lo',
+    balanced: true,
+    tags: { 2: 1, 3: 1, 4: 1, 5: 1, 6: 1, 7: 0, 8: 0, 9: 0, 10: -1, A: -1 }
+  },
+  'ko': {
+    name: 'KO',
+    balanced: false,
+    tags: { 2: 1, 3: 1, 4: 1, 5: 1, 6: 1, 7: 1, 8: 0, 9: 0, 10: -1, A: -1 }
+  },
+  'omega-ii': {
+    name: 'Omega II',
+    balanced: true,
+    tags: { 2: 1, 3: 1, 4: 2, 5: 2, 6: 2, 7: 1, 8: 0, 9: -1, 10: -2, A: 0 }
+  }
+};
+
+export const DEFAULT_COUNT_SYSTEM = 'hi-lo';
+
+/** Rank groups of the remaining-composition chart */
+export const COMPOSITION_RANKS = ['A', '2', '3', '4', '5', '6', '7', '8', '9', '10'];
+
+/** '10' for every 10-value card */
+function countRank(card) {
+  return ['J', 'Q', 'K'].includes(card.rank) ? '10' : card.rank;
+}
+
+/**
+ * @param {Object} card - Card ({ rank })
+ * @param {string} system - Count system key
+ * @returns {number} Count tag
+ */
+export function getCountTag(card, system = DEFAULT_COUNT_SYSTEM) {
+  return COUNT_SYSTEMS[system].tags[countRank(card)];
+}
+
+/**
+ * Count of a fresh shoe (0 for balanced systems)
+ * @param {string} system - Count system key
+ * @param {number} decks - Decks in the shoe
+ * @returns {number}
+ */
+export function getInitialRunningCount(system, decks) {
+  return COUNT_SYSTEMS[system].balanced ? 0 : 4 - 4 * decks;
+}
+
+/**
+ * @param {Array} cards - Cards seen since the last reshuffle
+ * @param {string} system - Count system key
+ * @returns {number} Sum of the cards' tags
+ */
+export function getRunningCount(cards, system = DEFAULT_COUNT_SYSTEM) {
+  return cards.reduce((count, card) => count + getCountTag(card, system), 0);
+}
+
+/**
+ * Running count per deck still to be dealt
+ * @param {number} runningCount - Running count
+ * @param {number} cardsRemaining - Cards not yet seen
+ * @returns {number} True count (unrounded)
+ */
+export function getTrueCount(runningCount, cardsRemaining) {
+  return runningCount / Math.max(cardsRemaining / 52, 0.5);
+}
+
+/**
+ * Cards the player has seen in the current shoe
+ * @param {Array} shoe - Shoe since the last RESHUFFLE
+ * @param {number} shoePosition - Cards dealt from it
+ * @param {Array} dealerHand - Dealer's cards (the hole card may be face down)
+ * @returns {Array} Dealt cards without a face-down hole card
+ */
+export function getSeenShoeCards(shoe, shoePosition, dealerHand = []) {
+  const dealt = shoe.slice(0, shoePosition);
+  const hole = dealerHand[1];
+  if (!hole || hole.faceUp) return dealt;
+  const holeIndex = dealt.map(card => card.id).lastIndexOf(hole.id);
+  return dealt.filter((_, idx) => idx !== holeIndex);
+}
+
+/**
+ * Count and remaining composition of a shoe
+ * @param {Array} seen - Cards seen since the last reshuffle
+ * @param {Object} options
+ * @param {number} options.decks - Decks in the shoe
+ * @param {string} options.system - Count system key
+ * @returns {{runningCount: number, trueCount: number|null, cardsRemaining: number, decksRemaining: number,
+ *   composition: Array<{rank: string, remaining: number, total: number}>}} trueCount is null for unbalanced systems
+ */
+export function getCountSummary(seen, { decks, system = DEFAULT_COUNT_SYSTEM }) {
+  const cardsRemaining = decks * 52 - seen.length;
+  const runningCount = getInitialRunningCount(system, decks) + getRunningCount(seen, system);
+
+  const seenByRank = {};
+  for (const card of seen) {
+    const rank = countRank(card);
+    seenByRank[rank] = (seenByRank[rank] || 0) + 1;
+  }
+  const composition = COMPOSITION_RANKS.map(rank => {
+    const total = decks * (rank === '10' ? 16 : 4);
+    return { rank, remaining: total - (seenByRank[rank] || 0), total };
+  });
+
+  return {
+    runningCount,
+    trueCount: COUNT_SYSTEMS[system].balanced ? getTrueCount(runningCount, cardsRemaining) : null,
+    cardsRemaining,
+    decksRemaining: cardsRemaining / 52,
+    composition
+  };
+}
+
+/** Card arrays of a recorded hand (hands are stored as card arrays or {cards}) */
+function handCards(hand) {
+  return Array.isArray(hand) ? hand : (hand?.cards || []);
+}
+
+/**
+ * Cards seen since the last reshuffle before each round of a history
+ * @param {Array} roundHistory - Round records from blackjackReducer
+ * @param {Object} rules - Table rules
+ * @returns {Array<{shoe: number, seen: Array}>} One entry per round (shoe = 1-based shoe number)
+ */
+export function getCardsSeenBeforeRounds(roundHistory, rules) {
+  const cutCardPosition = getCutCardPosition(rules);
+  let shoe = 1;
+  let seen = [];
+
+  return roundHistory.map(round => {
+    // RESHUFFLE happens between rounds once the cut card is reached
+    if (seen.length >= cutCardPosition) {
+      shoe++;
+      seen = [];
+    }
+    const before = { shoe, seen };
+    seen = [...seen, ...round.playerHands.flatMap(handCards), ...handCards(round.dealerHand)];
+    return before;
+  });
+}
+
+/**
+ * Count at the start of every round of a history
+ * @param {Array} roundHistory - Round records from blackjackReducer
+ * @param {Object} rules - Table rules
+ * @param {string} system - Count system key
+ * @returns {Array<Object>} getCountSummary() plus the shoe number, per round
+ */
+export function getRoundCounts(roundHistory, rules, system = DEFAULT_COUNT_SYSTEM) {
+  return getCardsSeenBeforeRounds(roundHistory, rules).map(({ shoe, seen }) => ({
+    shoe,
+    ...getCountSummary(seen, { decks: rules.decks, system })
+  }));
+}
+
+export default {
+  COUNT_SYSTEMS,
+  getCountTag,
+  getInitialRunningCount,
+  getRunningCount,
+  getTrueCount,
+  getSeenShoeCards,
+  getCountSummary,
+  getCardsSeenBeforeRounds,
+  getRoundCounts
+};
@@ -1,7 +1,13 @@
 /**
  * Blackjack Game Logic - Hand evaluation, player options, dealer rules, payouts
+ *
+ * Table-dependent rules (soft 17, doubling and splitting policy, surrender,
+ * payout ratio) come from the session's table rules (see tableRules.js) and
+ * default to DEFAULT_TABLE_RULES.
  */
 
+import { DEFAULT_TABLE_RULES, BLACKJACK_PAYOUTS } from './tableRules.js';
+
 // =============================================================================
 // CARD VALUES
 // =============================================================================
@@ -65,20 +71,42 @@ export function canStand() {
   return true;
 }
 
-/** @returns {boolean} True if exactly 2 cards, has chips to double, and not split Aces */
-export function canDoubleDown(hand, chipBalance, currentBet, splitAcesHands = [], handIndex = 0) {
+/**
+ * @returns {boolean} True if exactly 2 cards, has chips to double, not split Aces,
+ * and (after a split) the table allows doubling after split
+ */
+export function canDoubleDown(hand, chipBalance, currentBet, splitAcesHands = [], handIndex = 0,
+  numHands = 1, rules = DEFAULT_TABLE_RULES) {
   // Can't double on split Aces
   if (splitAcesHands.includes(handIndex)) return false;
+  if (numHands > 1 && !rules.doubleAfterSplit) return false;
   return hand.length === 2 && chipBalance >= currentBet;
 }
 
-/** @returns {boolean} True if pair, has chips, and under 4 hands */
-export function canSplit(hand, chipBalance, currentBet, numHands) {
-  if (hand.length !== 2 || numHands >= 4 || chipBalance < currentBet) return false;
+/** @returns {boolean} True if pair, has chips, under the table's hand limit, and Aces may be resplit */
+export function canSplit(hand, chipBalance, currentBet, numHands, splitAcesHands = [], handIndex = 0,
+  rules = DEFAULT_TABLE_RULES) {
+  if (hand.length !== 2 || numHands >= rules.maxHands || chipBalance < currentBet) return false;
+  if (splitAcesHands.includes(handIndex) && !rules.resplitAces) return false;
   // Must be same RANK, not same VALUE (K-Q-J all have value 10 but can't split)
   return hand[0].rank === hand[1].rank;
 }
 
+/**
+ * Late surrender: give up half the bet as the first decision on the opening
+ * hand (insurance may come before it). Lost in full if the dealer turns out
+ * to have blackjack.
+ * @param {Array} hand - Active hand
+ * @param {number} numHands - Hands in play
+ * @param {string[]} actions - Actions taken this round
+ * @param {Object} rules - Table rules
+ * @returns {boolean}
+ */
+export function canSurrender(hand, numHands, actions = [], rules = DEFAULT_TABLE_RULES) {
+  if (!rules.lateSurrender || numHands !== 1 || hand.length !== 2) return false;
+  return actions.every(action => action === 'insurance');
+}
+
 /** @returns {boolean} True if dealer shows Ace and it's player turn */
 export function canTakeInsurance(dealerHand, phase) {
   if (phase !== 'playerTurn') return false;
@@ -87,17 +115,18 @@ export function canTakeInsurance(dealerHand, phase) {
 }
 
 // =============================================================================
-// DEALER LOGIC (Stand on soft 17)
+// DEALER LOGIC (Stand on soft 17 unless the table hits it)
 // =============================================================================
 
 /** @returns {boolean} True if dealer must hit */
-export function shouldDealerHit(dealerHand) {
-  return calculateHandValue(dealerHand).value < 17;
+export function shouldDealerHit(dealerHand, rules = DEFAULT_TABLE_RULES) {
+  const { value, isSoft } = calculateHandValue(dealerHand);
+  return value < 17 || (value === 17 && isSoft && rules.dealerHitsSoft17);
 }
 
 /** @returns {'hit'|'stand'} */
-export function getDealerAction(dealerHand) {
-  return shouldDealerHit(dealerHand) ? 'hit' : 'stand';
+export function getDealerAction(dealerHand, rules = DEFAULT_TABLE_RULES) {
+  return shouldDealerHit(dealerHand, rules) ? 'hit' : 'stand';
 }
 
 // =============================================================================
@@ -109,9 +138,13 @@ export function getDealerAction(dealerHand) {
  * @param {Array} playerHand
  * @param {Array} dealerHand
  * @param {boolean} isSplitAcesHand - If true, 21 is not considered blackjack
- * @returns {'player_blackjack'|'player_win'|'dealer_win'|'push'|'player_bust'|'dealer_bust'}
+ * @param {boolean} surrendered - Player surrendered the hand
+ * @returns {'player_blackjack'|'player_win'|'dealer_win'|'push'|'player_bust'|'dealer_bust'|'player_surrender'}
  */
-export function compareHands(playerHand, dealerHand, isSplitAcesHand = false) {
+export function compareHands(playerHand, dealerHand, isSplitAcesHand = false, surrendered = false) {
+  // Late surrender doesn't save the bet against a dealer blackjack
+  if (surrendered) return isBlackjack(dealerHand) ? 'dealer_win' : 'player_surrender';
+
   // Split Aces getting 21 is NOT a blackjack (just 21)
   const playerBJ = !isSplitAcesHand && isBlackjack(playerHand);
   const dealerBJ = isBlackjack(dealerHand);
@@ -130,15 +163,16 @@ export function compareHands(playerHand, dealerHand, isSplitAcesHand = false) {
 
 /**
  * Calculate payout for a hand result
- * @param {string} result @param {number} betAmount
+ * @param {string} result @param {number} betAmount @param {Object} rules - Table rules
  * @returns {number} Total returned (including original bet if won)
  */
-export function calculatePayout(result, betAmount) {
+export function calculatePayout(result, betAmount, rules = DEFAULT_TABLE_RULES) {
   switch (result) {
-    case 'player_blackjack': return betAmount * 2.5;  // 3:2
+    case 'player_blackjack': return betAmount * (1 + BLACKJACK_PAYOUTS[rules.blackjackPayout]); // 3:2 or 6:5
     case 'player_win':       return betAmount * 2;    // 1:1
     case 'dealer_bust':      return betAmount * 2;    // 1:1
     case 'push':             return betAmount;        // Return bet
+    case 'player_surrender': return betAmount / 2;    // Half back
     default:                 return 0;                // Lose bet
   }
 }
@@ -0,0 +1,545 @@
+/**
+ * Blackjack Strategy - Basic strategy tables, count index plays and
+ * mistake analysis of a played session
+ *
+ * Tables are generated per table rules from expected values computed over an
+ * infinite deck (every rank 1/13, 10-values 4/13), so deck count and
+ * penetration don't change them. The dealer never peeks here: a dealer
+ * blackjack takes every bet on the table, doubles and splits included, which
+ * is why the tables are more cautious about doubling and splitting against a
+ * 10 or an Ace than the usual printed charts.
+ *
+ * Split hands are played without resplitting, and 21 on a split Ace is not a
+ * blackjack.
+ */
+
+import {
+  calculateHandValue,
+  canHit,
+  canDoubleDown,
+  canSplit,
+  canSurrender,
+  canTakeInsurance
+} from './gameLogic.js';
+import { getCardsSeenBeforeRounds, getRunningCount, getTrueCount } from './counting.js';
+import { DEFAULT_TABLE_RULES, getRulesetId } from './tableRules.js';
+
+export const ACTIONS = ['hit', 'stand', 'double', 'split', 'surrender'];
+
+/** Display names of the decisions (insurance included) */
+export const ACTION_LABELS = {
+  hit: 'Hit',
+  stand: 'Stand',
+  double: 'Double',
+  split: 'Split',
+  surrender: 'Surrender',
+  insurance: 'Take insurance',
+  decline: 'No insurance'
+};
+
+// Column order of the tables (1 = Ace)
+export const UPCARDS = [2, 3, 4, 5, 6, 7, 8, 9, 10, 1];
+
+// Card values 1 (Ace) to 10 with their draw probability
+const DRAWS = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10].map(value => ({ value, p: value === 10 ? 4 / 13 : 1 / 13 }));
+
+// Chance the hole card makes a dealer blackjack is priced into insurance
+const TEN_PROBABILITY = 4 / 13;
+
+/**
+ * Hi-Lo index plays: the Illustrious 18 and the Fab 4 surrenders.
+ * A play is made at true count >= min (or <= max) and avoided otherwise;
+ * surrenders come first so they decide before the hit/stand indices.
+ */
+export const INDEX_PLAYS = [
+  { hand: 'hard', total: 14, up: 10, action: 'surrender', min: 3 },
+  { hand: 'hard', total: 15, up: 10, action: 'surrender', min: 0 },
+  { hand: 'hard', total: 15, up: 9, action: 'surrender', min: 2 },
+  { hand: 'hard', total: 15, up: 1, action: 'surrender', min: 1 },
+  { hand: 'hard', total: 16, up: 10, action: 'stand', min: 0 },
+  { hand: 'hard', total: 15, up: 10, action: 'stand', min: 4 },
+  { hand: 'pair', total: 20, up: 5, action: 'split', min: 5 },
+  { hand: 'pair', total: 20, up: 6, action: 'split', min: 4 },
+  { hand: 'hard', total: 10, up: 10, action: 'double', min: 4 },
+  { hand: 'hard', total: 12, up: 3, action: 'stand', min: 2 },
+  { hand: 'hard', total: 12, up: 2, action: 'stand', min: 3 },
+  { hand: 'hard', total: 11, up: 1, action: 'double', min: 1 },
+  { hand: 'hard', total: 9, up: 2, action: 'double', min: 1 },
+  { hand: 'hard', total: 10, up: 1, action: 'double', min: 4 },
+  { hand: 'hard', total: 9, up: 7, action: 'double', min: 3 },
+  { hand: 'hard', total: 16, up: 9, action: 'stand', min: 5 },
+  { hand: 'hard', total: 13, up: 2, action: 'hit', max: -1 },
+  { hand: 'hard', total: 12, up: 4, action: 'hit', max: -1 },
+  { hand: 'hard', total: 12, up: 5, action: 'hit', max: -2 },
+  { hand: 'hard', total: 12, up: 6, action: 'hit', max: -1 },
+  { hand: 'hard', total: 13, up: 3, action: 'hit', max: -2 }
+];
+
+/** Insurance pays once a third of the remaining cards are tens */
+export const INSURANCE_INDEX = 3;
+
+/**
+ * @param {Object} play - Entry of INDEX_PLAYS (or the insurance index)
+ * @returns {string} e.g. "16 vs 10: Stand at TC ≥ 0"
+ */
+export function describeIndexPlay(play) {
+  const threshold = play.min !== undefined ? `≥ ${play.min}` : `≤ ${play.max}`;
+  if (play.action === 'insurance') return `Insurance at TC ${threshold}`;
+  const hand = play.hand === 'pair' ? `${play.total / 2},${play.total / 2}` : play.total;
+  return `${hand} vs ${play.up === 1 ? 'A' : play.up}: ${ACTION_LABELS[play.action]} at TC ${threshold}`;
+}
+
+// =============================================================================
+// EXPECTED VALUES
+// =============================================================================
+
+/** Best value of a hard total with (possibly) an Ace that can count 11 */
+function handTotal(hard, hasAce) {
+  return hasAce && hard + 10 <= 21 ? hard + 10 : hard;
+}
+
+/** Card value 1-10 of a card (Ace = 1) */
+function drawValue(card) {
+  if (card.rank === 'A') return 1;
+  if (['J', 'Q', 'K'].includes(card.rank)) return 10;
+  return parseInt(card.rank, 10);
+}
+
+/**
+ * Dealer's final totals for an upcard
+ * @returns {Object} Probabilities keyed 17-21, 'bust' and 'blackjack'
+ */
+function dealerOutcomes(up, rules) {
+  const memo = new Map();
+
+  const drawOut = (hard, hasAce) => {
+    const key = `${hard}-${hasAce}`;
+    if (memo.has(key)) return memo.get(key);
+
+    const total = handTotal(hard, hasAce);
+    let outcome;
+    if (hard > 21) {
+      outcome = { bust: 1 };
+    } else if (total > 17 || (total === 17 && !(rules.dealerHitsSoft17 && total !== hard))) {
+      outcome = { [total]: 1 };
+    } else {
+      outcome = {};
+      for (const { value, p } of DRAWS) {
+        const next = drawOut(hard + value, hasAce || value === 1);
+        for (const [final, q] of Object.entries(next)) {
+          outcome[final] = (outcome[final] || 0) + p * q;
+        }
+      }
+    }
+    memo.set(key, outcome);
+    return outcome;
+  };
+
+  const outcomes = {};
+  for (const { value, p } of DRAWS) {
+    const hard = up + value;
+    const hasAce = up === 1 || value === 1;
+    const next = handTotal(hard, hasAce) === 21 ? { blackjack: 1 } : drawOut(hard, hasAce);
+    for (const [final, q] of Object.entries(next)) {
+      outcomes[final] = (outcomes[final] || 0) + p * q;
+    }
+  }
+  return outcomes;
+}
+
+/**
+ * Expected values (per unit of the hand's bet) for one upcard
+ * @returns {Object} { stand(total), hit(hard, hasAce), double(hard, hasAce), split(value), surrender }
+ */
+function upcardEvaluator(up, rules) {
+  const dealer = dealerOutcomes(up, rules);
+
+  // A dealer blackjack beats every hand that isn't itself a natural
+  const stand = (total) => {
+    if (total > 21) return -1;
+    let ev = -(dealer.blackjack || 0);
+    for (const [final, p] of Object.entries(dealer)) {
+      if (final === 'blackjack') continue;
+      if (final === 'bust' || Number(final) < total) ev += p;
+      else if (Number(final) > total) ev -= p;
+    }
+    return ev;
+  };
+
+  // Best of standing and hitting on, once doubling is off the table
+  const play = new Map();
+  const best = (hard, hasAce) => {
+    if (hard > 21) return -1;
+    const key = `${hard}-${hasAce}`;
+    if (!play.has(key)) {
+      play.set(key, Math.max(stand(handTotal(hard, hasAce)), hit(hard, hasAce)));
+    }
+    return play.get(key);
+  };
+
+  const hit = (hard, hasAce) =>
+    DRAWS.reduce((ev, { value, p }) => ev + p * best(hard + value, hasAce || value === 1), 0);
+
+  const double = (hard, hasAce) =>
+    2 * DRAWS.reduce((ev, { value, p }) => {
+      const next = hard + value;
+      return ev + p * (next > 21 ? -1 : stand(handTotal(next, hasAce || value === 1)));
+    }, 0);
+
+  // Both hands of a split, one card each to start (Aces get no more)
+  const split = (value) => 2 * DRAWS.reduce((ev, draw) => {
+    const hard = value + draw.value;
+    const hasAce = value === 1 || draw.value === 1;
+    if (value === 1) return ev + draw.p * stand(handTotal(hard, hasAce));
+    const options = [best(hard, hasAce)];
+    if (rules.doubleAfterSplit) options.push(double(hard, hasAce));
+    return ev + draw.p * Math.max(...options);
+  }, 0);
+
+  const surrender = -0.5 * (1 - (dealer.blackjack || 0)) - (dealer.blackjack || 0);
+
+  return { stand, hit, double, split, surrender };
+}
+
+// =============================================================================
+// STRATEGY TABLES
+// =============================================================================
+
+const tableCache = new Map();
+
+/** Highest-EV action of a set of EVs */
+function bestAction(evs) {
+  return Object.keys(evs).reduce((a, b) => (evs[b] > evs[a] ? b : a));
+}
+
+/**
+ * Basic strategy tables for a set of table rules
+ * Each cell holds the EV of every action available on a first decision and
+ * the best of them.
+ * @param {Object} rules - Table rules
+ * @returns {{hard: Object, soft: Object, pairs: Object}} Cells keyed [total|pair value][upcard]
+ */
+export function generateStrategyTable(rules = DEFAULT_TABLE_RULES) {
+  const rulesetId = getRulesetId(rules);
+  if (tableCache.has(rulesetId)) return tableCache.get(rulesetId);
+
+  const table = { hard: {}, soft: {}, pairs: {} };
+
+  const cell = (evaluator, hard, hasAce, pairValue) => {
+    const evs = {
+      hit: evaluator.hit(hard, hasAce),
+      stand: evaluator.stand(handTotal(hard, hasAce)),
+      double: evaluator.double(hard, hasAce)
+    };
+    if (pairValue && rules.maxHands > 1) evs.split = evaluator.split(pairValue);
+    if (rules.lateSurrender) evs.surrender = evaluator.surrender;
+    return { action: bestAction(evs), evs };
+  };
+
+  for (const up of UPCARDS) {
+    const evaluator = upcardEvaluator(up, rules);
+
+    for (let total = 4; total <= 20; total++) {
+      table.hard[total] = table.hard[total] || {};
+      table.hard[total][up] = cell(evaluator, total, false);
+    }
+    // Soft 12 is A,A (or a hand that can't split them any more)
+    for (let total = 12; total <= 20; total++) {
+      table.soft[total] = table.soft[total] || {};
+      table.soft[total][up] = cell(evaluator, total - 10, true);
+    }
+    for (let value = 1; value <= 10; value++) {
+      table.pairs[value] = table.pairs[value] || {};
+      table.pairs[value][up] = cell(evaluator, value * 2, value === 1, value);
+    }
+  }
+
+  tableCache.set(rulesetId, table);
+  return table;
+}
+
+/**
+ * Table cell for a hand
+ * @param {Array} hand - Player cards
+ * @param {Object} dealerUpCard - Dealer's face-up card
+ * @param {Object} rules - Table rules
+ * @returns {{type: 'hard'|'soft'|'pair', total: number, cell: Object}}
+ */
+export function lookupStrategyCell(hand, dealerUpCard, rules = DEFAULT_TABLE_RULES) {
+  const table = generateStrategyTable(rules);
+  const up = drawValue(dealerUpCard);
+  const { value, isSoft } = calculateHandValue(hand);
+
+  if (hand.length === 2 && hand[0].rank === hand[1].rank) {
+    return { type: 'pair', total: value, cell: table.pairs[drawValue(hand[0])][up] };
+  }
+  if (isSoft) return { type: 'soft', total: value, cell: table.soft[value][up] };
+  return { type: 'hard', total: value, cell: table.hard[value][up] };
+}
+
+// =============================================================================
+// DECISIONS
+// =============================================================================
+
+/**
+ * Index play that changes the basic action at this count, if any
+ * @returns {{action: string, indexPlay: Object|null}}
+ */
+function applyIndexPlays(type, total, up, evs, basicAction, trueCount) {
+  const count = Math.floor(trueCount);
+  let action = basicAction;
+  let indexPlay = null;
+
+  for (const play of INDEX_PLAYS) {
+    // Pairs that aren't split play as hard totals
+    const matches = play.up === up && play.total === total &&
+      (play.hand === type || (play.hand === 'hard' && type === 'pair'));
+    if (!matches || !(play.action in evs)) continue;
+    // Hit/stand indices don't override a surrender or split
+    if (['surrender', 'split'].includes(action) && play.action !== action) continue;
+
+    const inRange = play.min !== undefined ? count >= play.min : count <= play.max;
+    if (inRange && action !== play.action) {
+      action = play.action;
+      indexPlay = play;
+    } else if (!inRange && action === play.action) {
+      const { [play.action]: _, ...others } = evs;
+      action = bestAction(others);
+      indexPlay = play;
+    }
+  }
+  return { action, indexPlay };
+}
+
+/**
+ * Best action for the active hand
+ * @param {Object} situation
+ * @param {Array} situation.hand - Active hand
+ * @param {Object} situation.dealerUpCard - Dealer's face-up card
+ * @param {number} situation.numHands - Hands in play
+ * @param {number} situation.handIndex - Index of the active hand
+ * @param {number[]} situation.splitAcesHands - Hands from split Aces
+ * @param {string[]} situation.actions - Actions taken this round
+ * @param {number} situation.chipBalance - Chips not on the table
+ * @param {number} situation.bet - Active hand's bet
+ * @param {Object} situation.rules - Table rules
+ * @param {number|null} situation.trueCount - Hi-Lo true count (null = basic strategy only)
+ * @returns {{action: string, basicAction: string, evs: Object, indexPlay: Object|null}|null}
+ *   null when there is nothing to decide (21, bust or a single legal action)
+ */
+export function getOptimalAction({
+  hand, dealerUpCard, numHands = 1, handIndex = 0, splitAcesHands = [], actions = [],
+  chipBalance = Infinity, bet = 0, rules = DEFAULT_TABLE_RULES, trueCount = null
+}) {
+  if (hand.length < 2 || calculateHandValue(hand).value >= 21) return null;
+
+  const { type, total, cell } = lookupStrategyCell(hand, dealerUpCard, rules);
+  const legal = {
+    hit: canHit(hand, splitAcesHands, handIndex),
+    stand: true,
+    double: canDoubleDown(hand, chipBalance, bet, splitAcesHands, handIndex, numHands, rules),
+    split: canSplit(hand, chipBalance, bet, numHands, splitAcesHands, handIndex, rules),
+    surrender: canSurrender(hand, numHands, actions, rules)
+  };
+
+  const evs = {};
+  for (const action of ACTIONS) {
+    if (legal[action] && action in cell.evs) evs[action] = cell.evs[action];
+  }
+  if (Object.keys(evs).length < 2) return null;
+
+  const basicAction = bestAction(evs);
+  if (trueCount === null || trueCount === undefined) {
+    return { action: basicAction, basicAction, evs, indexPlay: null };
+  }
+  const { action, indexPlay } = applyIndexPlays(type, total, drawValue(dealerUpCard), evs, basicAction, trueCount);
+  return { action, basicAction, evs, indexPlay };
+}
+
+/**
+ * Insurance decision (basic strategy never insures)
+ * @param {number|null} trueCount - Hi-Lo true count
+ * @returns {{action: 'insurance'|'decline', ev: number, indexPlay: Object|null}} ev = EV per chip of insurance taken
+ */
+export function getInsuranceAction(trueCount = null) {
+  const insure = trueCount !== null && trueCount !== undefined && Math.floor(trueCount) >= INSURANCE_INDEX;
+  return {
+    action: insure ? 'insurance' : 'decline',
+    ev: 3 * TEN_PROBABILITY - 1,
+    indexPlay: insure ? { action: 'insurance', min: INSURANCE_INDEX } : null
+  };
+}
+
+// =============================================================================
+// SESSION ANALYSIS
+// =============================================================================
+
+/**
+ * Walk a round's actions and capture the state of every player decision
+ * Cards aren't in the action log; a hand's cards at any point are a prefix
+ * of its final cards, except for a hand split again later, whose two cards
+ * became the first cards of its two children.
+ */
+function roundDecisions(round, balanceBefore, rules) {
+  const newHand = (length, bet) => ({ length, bet, children: null });
+  let hands = [newHand(2, round.bet)];
+  let splitAcesHands = [];
+  let chipBalance = balanceBefore - round.bet;
+  let active = 0;
+  const taken = [];
+  const decisions = [];
+
+  const snapshot = () => hands.map(hand => ({ hand, length: hand.length }));
+
+  for (const action of round.actions || []) {
+    if (action === 'insurance') {
+      chipBalance -= Math.floor(round.bet / 2);
+      taken.push(action);
+      continue;
+    }
+
+    const hand = hands[active];
+    decisions.push({
+      action, hand, length: hand.length, bet: hand.bet, handIndex: active, numHands: hands.length,
+      splitAcesHands: [...splitAcesHands], actions: [...taken], chipBalance, visible: snapshot()
+    });
+    taken.push(action);
+
+    if (action === 'hit') {
+      hand.length++;
+    } else if (action === 'stand') {
+      active++;
+    } else if (action === 'double') {
+      chipBalance -= hand.bet;
+      hand.length++;
+      hand.bet *= 2;
+      active++;
+    } else if (action === 'split') {
+      chipBalance -= hand.bet;
+      hand.children = [newHand(2, hand.bet), newHand(2, hand.bet)];
+      hands = [...hands.slice(0, active), ...hand.children, ...hands.slice(active + 1)];
+      const splitAt = active;
+      splitAcesHands = splitAcesHands.map(idx => (idx > splitAt ? idx + 1 : idx));
+      if (round.playerHands[splitAt]?.[0]?.rank === 'A') splitAcesHands.push(splitAt, splitAt + 1);
+    } else if (action === 'surrender') {
+      break;
+    }
+  }
+
+  // Final hands line up with the recorded ones
+  hands.forEach((hand, idx) => { hand.cards = round.playerHands[idx] || []; });
+  const cardsOf = (hand, length) => (hand.children
+    ? [cardsOf(hand.children[0], 1)[0], cardsOf(hand.children[1], 1)[0]]
+    : hand.cards.slice(0, length));
+
+  return decisions.map(({ hand, length, visible, ...decision }) => ({
+    ...decision,
+    cards: cardsOf(hand, length),
+    visibleCards: visible.flatMap(entry => cardsOf(entry.hand, entry.length))
+  }));
+}
+
+/**
+ * Compare every decision of a session with the strategy
+ * EV cost is priced against the basic strategy EVs (infinite deck): a missed
+ * index play counts as a mistake but costs nothing in this model, and
+ * following one is never a mistake.
+ * @param {Array} roundHistory - Round records from blackjackReducer
+ * @param {Object} options
+ * @param {Object} options.rules - Table rules the session was dealt under
+ * @param {number} options.initialBalance - Balance before the first round
+ * @param {boolean} options.useIndexPlays - Recommend Hi-Lo index plays
+ * @returns {Object} { rounds: [{round, decisions, mistakes, evCost}], totalDecisions, totalMistakes, totalEvCost }
+ */
+export function analyzeRoundHistory(roundHistory, { rules = DEFAULT_TABLE_RULES, initialBalance = 1000, useIndexPlays = false } = {}) {
+  const seenBefore = getCardsSeenBeforeRounds(roundHistory, rules);
+  const shoeSize = rules.decks * 52;
+  let balance = initialBalance;
+
+  const rounds = roundHistory.map((round, idx) => {
+    const dealerCards = Array.isArray(round.dealerHand) ? round.dealerHand : (round.dealerHand?.cards || []);
+    const upCard = dealerCards[0];
+    const seen = seenBefore[idx].seen;
+    const countWith = (cards) => {
+      const visible = [...seen, ...cards, upCard];
+      return getTrueCount(getRunningCount(visible), shoeSize - visible.length);
+    };
+    const balanceBefore = balance;
+    balance = round.balanceAfter ?? balance;
+    const decisions = [];
+
+    // Insurance is offered before anything else when the dealer shows an Ace
+    const initialCards = (round.playerHands[0] || []).slice(0, 2);
+    const insuranceAffordable = Math.floor(round.bet / 2) <= balanceBefore - round.bet;
+    if (upCard && canTakeInsurance([upCard], 'playerTurn') && insuranceAffordable) {
+      const trueCount = countWith(initialCards);
+      const chosen = (round.actions || []).includes('insurance') ? 'insurance' : 'decline';
+      const advice = getInsuranceAction(useIndexPlays ? trueCount : null);
+      const cost = chosen === 'insurance' && advice.action === 'decline'
+        ? -advice.ev * Math.floor(round.bet / 2)
+        : 0;
+      decisions.push({
+        handIndex: 0, cards: initialCards, chosen, optimal: advice.action, basicAction: 'decline',
+        indexPlay: advice.indexPlay,
+        trueCount, mistake: chosen !== advice.action, evCost: cost
+      });
+    }
+
+    for (const decision of roundDecisions(round, balanceBefore, rules)) {
+      const trueCount = countWith(decision.visibleCards);
+      const advice = getOptimalAction({
+        hand: decision.cards,
+        dealerUpCard: upCard,
+        numHands: decision.numHands,
+        handIndex: decision.handIndex,
+        splitAcesHands: decision.splitAcesHands,
+        actions: decision.actions,
+        chipBalance: decision.chipBalance,
+        bet: decision.bet,
+        rules,
+        trueCount: useIndexPlays ? trueCount : null
+      });
+      if (!advice) continue;
+
+      const chosenEv = advice.evs[decision.action] ?? advice.evs[advice.basicAction];
+      const followedIndex = advice.indexPlay && decision.action === advice.action;
+      decisions.push({
+        handIndex: decision.handIndex,
+        cards: decision.cards,
+        chosen: decision.action,
+        optimal: advice.action,
+        basicAction: advice.basicAction,
+        indexPlay: advice.indexPlay,
+        trueCount,
+        mistake: decision.action !== advice.action,
+        evCost: followedIndex ? 0 : Math.max(0, advice.evs[advice.basicAction] - chosenEv) * decision.bet
+      });
+    }
+
+    const mistakes = decisions.filter(decision => decision.mistake);
+    return {
+      round: round.roundNumber ?? idx + 1,
+      shoe: seenBefore[idx].shoe,
+      dealerUpCard: upCard,
+      decisions,
+      mistakes: mistakes.length,
+      evCost: mistakes.reduce((sum, decision) => sum + decision.evCost, 0)
+    };
+  });
+
+  return {
+    rounds,
+    totalDecisions: rounds.reduce((sum, round) => sum + round.decisions.length, 0),
+    totalMistakes: rounds.reduce((sum, round) => sum + round.mistakes, 0),
+    totalEvCost: rounds.reduce((sum, round) => sum + round.evCost, 0)
+  };
+}
+
+export default {
+  describeIndexPlay,
+  generateStrategyTable,
+  lookupStrategyCell,
+  getOptimalAction,
+  getInsuranceAction,
+  analyzeRoundHistory
+};
@@ -0,0 +1,152 @@
+/**
+ * Blackjack Table Rules - The rule set a session is dealt under
+ *
+ * Chosen by the player at session start, committed with the session
+ * (game_sessions.table_rules), recorded on every round and replayed by the
+ * server validator. Sessions committed before rules existed were dealt under
+ * DEFAULT_TABLE_RULES.
+ */
+
+export const DECK_COUNTS = [1, 2, 6, 8];
+
+// Winnings per unit bet on a natural
+export const BLACKJACK_PAYOUTS = { '3:2': 1.5, '6:5': 1.2 };
+
+// Share of the shoe dealt before the cut card
+export const MIN_PENETRATION = 0.5;
+export const MAX_PENETRATION = 0.9;
+
+// Hands a player can end up with after splitting (1 = no splits)
+export const MAX_SPLIT_HANDS = 4;
+
+/** Six decks, dealer stands on soft 17, 3:2, DAS, resplit to 4 hands incl. Aces, no surrender */
+export const DEFAULT_TABLE_RULES = Object.freeze({
+  decks: 6,
+  dealerHitsSoft17: false,
+  lateSurrender: false,
+  doubleAfterSplit: true,
+  maxHands: 4,
+  resplitAces: true,
+  blackjackPayout: '3:2',
+  penetration: 0.75
+});
+
+/** Named tables offered in the rules picker */
+export const TABLE_RULE_PRESETS = {
+  'vegas-strip': { name: 'Vegas Strip', rules: { ...DEFAULT_TABLE_RULES, lateSurrender: true } },
+  'downtown': { name: 'Downtown', rules: { ...DEFAULT_TABLE_RULES, decks: 2, dealerHitsSoft17: true, penetration: 0.65 } },
+  'atlantic-city': { name: 'Atlantic City', rules: { ...DEFAULT_TABLE_RULES, decks: 8, lateSurrender: true, resplitAces: false } },
+  'single-deck': {
+    name: 'Single Deck 6:5',
+    rules: { ...DEFAULT_TABLE_RULES, decks: 1, dealerHitsSoft17: true, doubleAfterSplit: false, maxHands: 2, resplitAces: false, blackjackPayout: '6:5', penetration: 0.6 }
+  },
+  'classic': { name: 'Classic', rules: { ...DEFAULT_TABLE_RULES } }
+};
+
+/**
+ * Check a rules object
+ * @param {Object} rules - Table rules (every field required)
+ * @returns {{valid: boolean, reason?: string}}
+ */
+export function validateTableRules(rules) {
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    return { valid: false, reason: 'Table rules must be an object' };
+  }
+
+  const unknown = Object.keys(rules).find(key => !(key in DEFAULT_TABLE_RULES));
+  if (unknown) {
+    return { valid: false, reason: `Unknown table rule '${unknown}'` };
+  }
+
+  if (!DECK_COUNTS.includes(rules.decks)) {
+    return { valid: false, reason: `decks must be one of ${DECK_COUNTS.join(', ')}` };
+  }
+
+  for (const flag of ['dealerHitsSoft17', 'lateSurrender', 'doubleAfterSplit', 'resplitAces']) {
+    if (typeof rules[flag] !== 'boolean') {
+      return { valid: false, reason: `${flag} must be true or false` };
+    }
+  }
+
+  if (!Number.isInteger(rules.maxHands) || rules.maxHands < 1 || rules.maxHands > MAX_SPLIT_HANDS) {
+    return { valid: false, reason: `maxHands must be an integer from 1 to ${MAX_SPLIT_HANDS}` };
+  }
+
+  if (!(rules.blackjackPayout in BLACKJACK_PAYOUTS)) {
+    return { valid: false, reason: `blackjackPayout must be one of ${Object.keys(BLACKJACK_PAYOUTS).join(', ')}` };
+  }
+
+  if (typeof rules.penetration !== 'number' || rules.penetration < MIN_PENETRATION || rules.penetration > MAX_PENETRATION) {
+    return { valid: false, reason: `penetration must be between ${MIN_PENETRATION} and ${MAX_PENETRATION}` };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Fill in missing fields from the defaults (null = legacy session)
+ * @param {Object|null} rules - Partial table rules
+ * @returns {Object} Complete rules (not validated)
+ */
+export function normalizeTableRules(rules) {
+  return { ...DEFAULT_TABLE_RULES, ...(rules || {}) };
+}
+
+/**
+ * Cards dealt before the cut card
+ * @param {Object} rules - Table rules
+ * @returns {number} Shoe position that triggers a reshuffle after the round
+ */
+export function getCutCardPosition(rules) {
+  return Math.floor(rules.decks * 52 * rules.penetration);
+}
+
+/**
+ * Stable identifier of a rule set, used to keep leaderboards apart
+ * e.g. "6D-S17-3:2-DAS-RSA-NS-SP4-PEN75"
+ * @param {Object} rules - Table rules
+ * @returns {string}
+ */
+export function getRulesetId(rules) {
+  return [
+    `${rules.decks}D`,
+    rules.dealerHitsSoft17 ? 'H17' : 'S17',
+    rules.blackjackPayout,
+    rules.doubleAfterSplit ? 'DAS' : 'NDAS',
+    rules.resplitAces ? 'RSA' : 'NRSA',
+    rules.lateSurrender ? 'LS' : 'NS',
+    `SP${rules.maxHands}`,
+    `PEN${Math.round(rules.penetration * 100)}`
+  ].join('-');
+}
+
+/** The ruleset ID of DEFAULT_TABLE_RULES (legacy games and leaderboard default) */
+export const DEFAULT_RULESET_ID = getRulesetId(DEFAULT_TABLE_RULES);
+
+/**
+ * Short labels for the table display
+ * @param {Object} rules - Table rules
+ * @returns {string[]} e.g. ["6 decks", "Dealer stands on soft 17", ...]
+ */
+export function describeTableRules(rules) {
+  return [
+    rules.decks === 1 ? 'Single deck' : `${rules.decks} decks`,
+    rules.dealerHitsSoft17 ? 'Dealer hits soft 17' : 'Dealer stands on soft 17',
+    `Blackjack pays ${rules.blackjackPayout}`,
+    rules.doubleAfterSplit ? 'Double after split' : 'No double after split',
+    rules.maxHands > 1 ? `Split to ${rules.maxHands} hands` : 'No splitting',
+    rules.resplitAces ? 'Resplit Aces' : 'No resplitting Aces',
+    rules.lateSurrender ? 'Late surrender' : 'No surrender',
+    `${Math.round(rules.penetration * 100)}% penetration`
+  ];
+}
+
+export default {
+  DEFAULT_TABLE_RULES,
+  TABLE_RULE_PRESETS,
+  validateTableRules,
+  normalizeTableRules,
+  getCutCardPosition,
+  getRulesetId,
+  describeTableRules
+};
@@ -0,0 +1,253 @@
+/**
+ * FreeCell Game Logic
+ *
+ * Deals and rules for FreeCell. Deals use the classic Microsoft numbering
+ * (games 1-32000): the block seed picks the deal number, and the deal is
+ * generated with the same LCG shuffle as the original Windows game, so any
+ * FreeCell program can replay it.
+ *
+ * Pure functions with no side effects - safe to use anywhere.
+ */
+
+import {
+  isOppositeColor,
+  isOneLower,
+  getMovableSequence,
+  canPlaceOnFoundation,
+  checkWinCondition
+} from '../solitaire/gameLogic.js';
+
+export { getMovableSequence, canPlaceOnFoundation, checkWinCondition };
+
+export const TABLEAU_COLUMNS = 8;
+export const FREE_CELLS = 4;
+export const MAX_DEAL_NUMBER = 32000;
+
+const MS_RANKS = ['A', '2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K'];
+const MS_SUITS = ['clubs', 'diamonds', 'hearts', 'spades'];
+
+// ============ DEALING ============
+
+/**
+ * Map a block seed onto a classic deal number
+ * @param {string} seed - Hex seed
+ * @returns {number} Deal number (1-32000)
+ */
+export function getDealNumber(seed) {
+  const value = parseInt(String(seed).slice(0, 8), 16);
+  if (Number.isNaN(value)) {
+    throw new Error(`Seed is not hex: ${seed}`);
+  }
+  return (value % MAX_DEAL_NUMBER) + 1;
+}
+
+/**
+ * Cards of a Microsoft deal, in dealing order (card k goes to column k % 8)
+ * @param {number} dealNumber - Deal number (1-32000)
+ * @returns {Object[]} 52 face-up card objects
+ */
+export function createMicrosoftDeal(dealNumber) {
+  if (!Number.isInteger(dealNumber) || dealNumber < 1 || dealNumber > MAX_DEAL_NUMBER) {
+    throw new Error(`Deal number must be 1-${MAX_DEAL_NUMBER}: ${dealNumber}`);
+  }
+
+  // Microsoft C runtime rand(): 31-bit LCG, top 15 bits returned
+  let state = dealNumber;
+  const rand = () => {
+    state = (state * 214013 + 2531011) % 2147483648;
+    return state >>> 16;
+  };
+
+  // Card index = rank * 4 + suit; the deck starts with the King of spades
+  const cards = Array.from({ length: 52 }, (_, i) => 51 - i);
+  for (let i = 0; i < 52; i++) {
+    const j = 51 - (rand() % (52 - i));
+    [cards[i], cards[j]] = [cards[j], cards[i]];
+  }
+
+  return cards.map(index => {
+    const rank = MS_RANKS[Math.floor(index / 4)];
+    const suit = MS_SUITS[index % 4];
+    return { id: `${rank}${suit[0].toUpperCase()}`, rank, suit, faceUp: true };
+  });
+}
+
+/**
+ * Deal the cards into 8 columns (the first four get 7 cards, the rest 6)
+ * @param {Object[]} cards - Cards in dealing order
+ * @returns {Array<Object[]>} Tableau columns
+ */
+export function dealTableau(cards) {
+  const tableau = Array.from({ length: TABLEAU_COLUMNS }, () => []);
+  cards.forEach((card, i) => tableau[i % TABLEAU_COLUMNS].push({ ...card }));
+  return tableau;
+}
+
+// ============ MOVE VALIDATION ============
+
+/**
+ * Any card can start an empty column
+ */
+export function canPlaceOnTableau(card, targetColumn) {
+  if (targetColumn.length === 0) return true;
+
+  const topCard = targetColumn[targetColumn.length - 1];
+  return isOppositeColor(card, topCard) && isOneLower(card, topCard);
+}
+
+/**
+ * Longest sequence that can move at once, one card at a time through the
+ * free cells and empty columns: (free cells + 1) × 2^(empty columns)
+ * @param {Array} freeCells - Free cells (null when empty)
+ * @param {Array<Object[]>} tableau - Tableau columns
+ * @param {number} targetIndex - Destination column (not counted if empty)
+ * @returns {number}
+ */
+export function getMaxMovableCards(freeCells, tableau, targetIndex) {
+  const emptyCells = freeCells.filter(cell => cell === null).length;
+  const emptyColumns = tableau.filter((column, i) => column.length === 0 && i !== targetIndex).length;
+  return (emptyCells + 1) * 2 ** emptyColumns;
+}
+
+export const canMoveToFreeCell = (freeCells, cellIndex) => freeCells[cellIndex] === null;
+
+// ============ HINTS AND STUCK DETECTION ============
+
+/**
+ * First useful move: foundation plays, then column-to-column builds, then
+ * parking a card in a free cell
+ * @param {Object} state - Current game state
+ * @returns {{from: Object, to: Object, cards: Array}|null}
+ */
+export function getHint(state) {
+  const { tableau, freeCells, foundations } = state;
+
+  const sources = [
+    ...freeCells.map((card, index) => card && { card, from: { type: 'freecell', index } }),
+    ...tableau.map((column, index) => column.length > 0 && { card: column[column.length - 1], from: { type: 'tableau', index } })
+  ].filter(Boolean);
+
+  for (const { card, from } of sources) {
+    if (canPlaceOnFoundation(card, foundations[card.suit], card.suit)) {
+      return { from, to: { type: 'foundation', suit: card.suit }, cards: [card] };
+    }
+  }
+
+  for (const { card, from } of sources.filter(source => source.from.type === 'freecell')) {
+    const target = tableau.findIndex(column => column.length > 0 && canPlaceOnTableau(card, column));
+    if (target !== -1) {
+      return { from, to: { type: 'tableau', index: target }, cards: [card] };
+    }
+  }
+
+  for (let fromCol = 0; fromCol < tableau.length; fromCol++) {
+    const column = tableau[fromCol];
+    // Only the whole run: moving part of it off a card it is built on gets nowhere
+    for (let start = 0; start < column.length; start++) {
+      const sequence = getMovableSequence(column, start);
+      if (!sequence) continue;
+
+      for (let toCol = 0; toCol < tableau.length; toCol++) {
+        const target = tableau[toCol];
+        // Moving a whole column into an empty one gets nowhere
+        if (toCol === fromCol || target.length === 0) continue;
+        if (sequence.length <= getMaxMovableCards(freeCells, tableau, toCol) && canPlaceOnTableau(sequence[0], target)) {
+          return { from: { type: 'tableau', index: fromCol }, to: { type: 'tableau', index: toCol }, cards: sequence };
+        }
+      }
+      break;
+    }
+  }
+
+  // Park a card that isn't already built on the card beneath it
+  const freeCell = freeCells.indexOf(null);
+  if (freeCell !== -1) {
+    const fromCol = tableau.findIndex(column =>
+      column.length > 1 && !canPlaceOnTableau(column[column.length - 1], column.slice(0, -1)));
+    if (fromCol !== -1) {
+      const column = tableau[fromCol];
+      return { from: { type: 'tableau', index: fromCol }, to: { type: 'freecell', index: freeCell }, cards: [column[column.length - 1]] };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check if any card can move to a foundation or onto another column
+ * @param {Object} state - Current game state
+ * @returns {boolean} True if at least one such move is possible
+ */
+export function hasValidMoves(state) {
+  const { tableau, freeCells, foundations } = state;
+
+  const loose = [...freeCells.filter(Boolean), ...tableau.filter(column => column.length > 0).map(column => column[column.length - 1])];
+  if (loose.some(card => canPlaceOnFoundation(card, foundations[card.suit], card.suit))) return true;
+  if (freeCells.some(card => card && tableau.some(column => canPlaceOnTableau(card, column)))) return true;
+
+  return tableau.some((column, fromCol) =>
+    column.some((_, start) => {
+      const sequence = getMovableSequence(column, start);
+      return sequence && tableau.some((target, toCol) =>
+        toCol !== fromCol
+        && sequence.length <= getMaxMovableCards(freeCells, tableau, toCol)
+        && canPlaceOnTableau(sequence[0], target));
+    }));
+}
+
+/**
+ * Stuck when every free cell is full, no column is empty and no card can
+ * move to a foundation or onto another column
+ * @param {Object} state - Current game state
+ * @returns {boolean}
+ */
+export function isGameStuck(state) {
+  const { tableau, freeCells } = state;
+  if (freeCells.includes(null) || tableau.some(column => column.length === 0)) return false;
+  return !hasValidMoves(state);
+}
+
+// ============ VALID MOVE CHECKER ============
+
+/**
+ * @param {Array} cards - Cards being moved
+ * @param {Object} destination - {type: 'tableau'|'freecell'|'foundation', index?, suit?}
+ * @param {Object} state - Current game state
+ * @returns {boolean}
+ */
+export function isValidMove(cards, destination, state) {
+  if (!cards || cards.length === 0) return false;
+
+  if (destination.type === 'tableau') {
+    const targetColumn = state.tableau[destination.index];
+    if (!targetColumn) return false;
+    return cards.length <= getMaxMovableCards(state.freeCells, state.tableau, destination.index)
+      && canPlaceOnTableau(cards[0], targetColumn);
+  }
+
+  if (destination.type === 'freecell') {
+    return cards.length === 1 && destination.index >= 0 && destination.index < FREE_CELLS
+      && canMoveToFreeCell(state.freeCells, destination.index);
+  }
+
+  if (destination.type === 'foundation') {
+    if (cards.length !== 1) return false;
+    const pile = state.foundations[destination.suit];
+    return !!pile && canPlaceOnFoundation(cards[0], pile, destination.suit);
+  }
+
+  return false;
+}
+
+export default {
+  getDealNumber,
+  createMicrosoftDeal,
+  dealTableau,
+  canPlaceOnTableau,
+  getMaxMovableCards,
+  canMoveToFreeCell,
+  getHint,
+  hasValidMoves,
+  isGameStuck,
+  isValidMove
+};
@@ -0,0 +1,238 @@
+/**
+ * FreeCell State Management
+ *
+ * Uses React useReducer pattern for predictable state updates.
+ * Tracks cards to foundation for leaderboard ranking.
+ *
+ * Every move is also appended to a compact moveLog (the reducer action plus
+ * the selected source), which the server replays from the deal number.
+ */
+
+import { createMicrosoftDeal, dealTableau, canMoveToFreeCell, FREE_CELLS } from './gameLogic.js';
+
+// Initial state structure
+export const initialState = {
+  tableau: [[], [], [], [], [], [], [], []],
+  freeCells: [null, null, null, null],
+  foundations: {
+    hearts: [],
+    diamonds: [],
+    clubs: [],
+    spades: []
+  },
+  selectedCards: null,
+  moves: 0,
+  dealNumber: null,
+  startTime: null,
+  moveHistory: [],
+  moveLog: [],
+  gameStatus: 'playing', // 'playing' | 'won' | 'lost'
+  blockchainData: null
+};
+
+/**
+ * Get total cards in foundations
+ */
+export function getFoundationCount(foundations) {
+  return Object.values(foundations).reduce((sum, pile) => sum + pile.length, 0);
+}
+
+/**
+ * Deal a numbered Microsoft FreeCell game
+ * @param {number} dealNumber - Deal number (1-32000)
+ */
+export function dealCards(dealNumber) {
+  return {
+    ...initialState,
+    tableau: dealTableau(createMicrosoftDeal(dealNumber)),
+    freeCells: Array(FREE_CELLS).fill(null),
+    foundations: {
+      hearts: [],
+      diamonds: [],
+      clubs: [],
+      spades: []
+    },
+    dealNumber,
+    startTime: Date.now(),
+    gameStatus: 'playing'
+  };
+}
+
+/**
+ * Create snapshot for undo
+ */
+function createSnapshot(state) {
+  return {
+    tableau: state.tableau.map(col => col.map(card => ({ ...card }))),
+    freeCells: [...state.freeCells],
+    foundations: {
+      hearts: [...state.foundations.hearts],
+      diamonds: [...state.foundations.diamonds],
+      clubs: [...state.foundations.clubs],
+      spades: [...state.foundations.spades]
+    },
+    moves: state.moves,
+    moveLog: state.moveLog
+  };
+}
+
+/**
+ * Remove the selected cards from their source
+ */
+function removeFromSource(state, source, count) {
+  if (source.type === 'tableau') {
+    return {
+      tableau: state.tableau.map((col, i) =>
+        i === source.index ? col.slice(0, col.length - count) : col
+      ),
+      freeCells: state.freeCells
+    };
+  }
+  return {
+    tableau: state.tableau,
+    freeCells: state.freeCells.map((cell, i) => (i === source.index ? null : cell))
+  };
+}
+
+/**
+ * Main reducer
+ */
+export function freecellReducer(state, action) {
+  switch (action.type) {
+    case 'INIT_GAME': {
+      const { dealNumber, blockchainData } = action.payload;
+      return {
+        ...dealCards(dealNumber),
+        blockchainData,
+        moveHistory: [],
+        moveLog: []
+      };
+    }
+
+    case 'SELECT_CARDS': {
+      const { cards, source } = action.payload;
+      return {
+        ...state,
+        selectedCards: { cards, source }
+      };
+    }
+
+    case 'CLEAR_SELECTION': {
+      return {
+        ...state,
+        selectedCards: null
+      };
+    }
+
+    case 'MOVE_TO_TABLEAU': {
+      // Prevent moves when game is over
+      if (state.gameStatus !== 'playing') return state;
+
+      const { targetIndex } = action.payload;
+      const { cards, source } = state.selectedCards;
+      const snapshot = createSnapshot(state);
+      const { tableau, freeCells } = removeFromSource(state, source, cards.length);
+
+      return {
+        ...state,
+        tableau: tableau.map((col, i) => (i === targetIndex ? [...col, ...cards] : col)),
+        freeCells,
+        selectedCards: null,
+        moves: state.moves + 1,
+        moveHistory: [...state.moveHistory, snapshot],
+        moveLog: [...state.moveLog, { type: 'MOVE_TO_TABLEAU', source, count: cards.length, targetIndex }]
+      };
+    }
+
+    case 'MOVE_TO_FREECELL': {
+      // Prevent moves when game is over
+      if (state.gameStatus !== 'playing') return state;
+
+      const { cellIndex } = action.payload;
+      // An occupied cell would swallow the card already in it
+      if (!canMoveToFreeCell(state.freeCells, cellIndex)) return state;
+
+      const { cards, source } = state.selectedCards;
+      const snapshot = createSnapshot(state);
+      const { tableau, freeCells } = removeFromSource(state, source, 1);
+
+      return {
+        ...state,
+        tableau,
+        freeCells: freeCells.map((cell, i) => (i === cellIndex ? cards[0] : cell)),
+        selectedCards: null,
+        moves: state.moves + 1,
+        moveHistory: [...state.moveHistory, snapshot],
+        moveLog: [...state.moveLog, { type: 'MOVE_TO_FREECELL', source, cellIndex }]
+      };
+    }
+
+    case 'MOVE_TO_FOUNDATION': {
+      // Prevent moves when game is over
+      if (state.gameStatus !== 'playing') return state;
+
+      const { suit } = action.payload;
+      const { cards, source } = state.selectedCards;
+      const snapshot = createSnapshot(state);
+      const { tableau, freeCells } = removeFromSource(state, source, 1);
+
+      return {
+        ...state,
+        tableau,
+        freeCells,
+        foundations: {
+          ...state.foundations,
+          [suit]: [...state.foundations[suit], cards[0]]
+        },
+        selectedCards: null,
+        moves: state.moves + 1,
+        moveHistory: [...state.moveHistory, snapshot],
+        moveLog: [...state.moveLog, { type: 'MOVE_TO_FOUNDATION', source, suit }]
+      };
+    }
+
+    case 'UNDO': {
+      if (state.moveHistory.length === 0) return state;
+
+      const previousSnapshot = state.moveHistory[state.moveHistory.length - 1];
+
+      return {
+        ...state,
+        tableau: previousSnapshot.tableau,
+        freeCells: previousSnapshot.freeCells,
+        foundations: previousSnapshot.foundations,
+        moves: previousSnapshot.moves,
+        moveLog: previousSnapshot.moveLog,
+        moveHistory: state.moveHistory.slice(0, -1),
+        selectedCards: null
+      };
+    }
+
+    case 'SET_WON': {
+      return {
+        ...state,
+        gameStatus: 'won'
+      };
+    }
+
+    case 'SET_LOST': {
+      return {
+        ...state,
+        gameStatus: 'lost'
+      };
+    }
+
+    case 'RESTORE': {
+      // Resume a saved in-progress game (saved without its undo stack)
+      return {
+        ...initialState,
+        ...action.payload,
+        moveHistory: action.payload.moveHistory || [],
+        selectedCards: null
+      };
+    }
+
+    default:
+      return state;
+  }
+}
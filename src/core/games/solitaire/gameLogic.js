@@ -66,7 +66,19 @@ export function canPlaceOnFoundation(card, foundationPile, foundationSuit) {
 // ============ STOCK/WASTE VALIDATION ============
 
 export const canDrawFromStock = (stock) => stock.length > 0;
-export const canRecycleStock = (stock, waste) => stock.length === 0 && waste.length > 0;
+
+/**
+ * Whether the waste can be turned back into the stock
+ * @param {Array} stock - Stock pile
+ * @param {Array} waste - Waste pile
+ * @param {number} recycleCount - Recycles so far
+ * @param {number|null} stockPasses - Times through the stock allowed (null = unlimited)
+ * @returns {boolean}
+ */
+export function canRecycleStock(stock, waste, recycleCount = 0, stockPasses = null) {
+  if (stock.length > 0 || waste.length === 0) return false;
+  return stockPasses === null || recycleCount + 1 < stockPasses;
+}
 
 // ============ GAME STATE CHECKS ============
 
@@ -94,7 +106,7 @@ export function hasValidMoves(state) {
 
   // Can draw from stock or recycle
   if (stock.length > 0) return true;
-  if (stock.length === 0 && waste.length > 0) return true;
+  if (canRecycleStock(stock, waste, state.recycleCount, state.options?.stockPasses ?? null)) return true;
 
   // Check waste card
   if (waste.length > 0) {
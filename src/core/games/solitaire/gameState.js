@@ -3,8 +3,15 @@
  * 
  * Uses React useReducer pattern for predictable state updates.
  * Tracks cards to foundation for leaderboard ranking.
+ *
+ * Every move is also appended to a compact moveLog (the reducer action plus
+ * the selected source), which the server replays from the dealt deck under
+ * the game's options (draw count, scoring, stock passes - see variants.js).
  */
 
+import { DEFAULT_GAME_OPTIONS, isVegasScoring, normalizeGameOptions } from './variants.js';
+import { canRecycleStock } from './gameLogic.js';
+
 // Scoring constants (for display, not ranking)
 export const SCORING = {
   standard: {
@@ -19,6 +26,7 @@ export const SCORING = {
   vegas: {
     costToPlay: 52,
     perCardToFoundation: 5,
+    foundationToTableau: -5,
     name: 'Vegas'
   }
 };
@@ -37,10 +45,12 @@ export const initialState = {
   selectedCards: null,
   moves: 0,
   score: 0,
-  scoringMode: 'standard',
+  options: DEFAULT_GAME_OPTIONS,
+  startingBalance: 0, // Vegas cumulative: balance carried in from earlier games
   recycleCount: 0,
   startTime: null,
   moveHistory: [],
+  moveLog: [],
   gameStatus: 'playing', // 'playing' | 'won' | 'lost'
   blockchainData: null
 };
@@ -52,18 +62,13 @@ export function getFoundationCount(foundations) {
   return Object.values(foundations).reduce((sum, pile) => sum + pile.length, 0);
 }
 
-/**
- * Calculate Vegas score
- */
-function calculateVegasScore(foundations) {
-  const totalCards = getFoundationCount(foundations);
-  return (totalCards * SCORING.vegas.perCardToFoundation) - SCORING.vegas.costToPlay;
-}
-
 /**
  * Deal cards into initial Klondike layout
+ * @param {Array} shuffledDeck - 52 shuffled cards
+ * @param {Object} options - Game options (variants.js)
+ * @param {number} startingBalance - Vegas cumulative balance before the buy-in
  */
-export function dealCards(shuffledDeck, scoringMode = 'standard') {
+export function dealCards(shuffledDeck, options = DEFAULT_GAME_OPTIONS, startingBalance = 0) {
   const tableau = [[], [], [], [], [], [], []];
   let cardIndex = 0;
 
@@ -81,7 +86,8 @@ export function dealCards(shuffledDeck, scoringMode = 'standard') {
     faceUp: false
   }));
 
-  const initialScore = scoringMode === 'vegas' ? -SCORING.vegas.costToPlay : 0;
+  const balance = options.scoring === 'vegas-cumulative' ? startingBalance : 0;
+  const initialScore = isVegasScoring(options) ? balance - SCORING.vegas.costToPlay : 0;
 
   return {
     ...initialState,
@@ -95,7 +101,8 @@ export function dealCards(shuffledDeck, scoringMode = 'standard') {
       spades: []
     },
     score: initialScore,
-    scoringMode,
+    options,
+    startingBalance: balance,
     recycleCount: 0,
     startTime: Date.now(),
     gameStatus: 'playing'
@@ -118,7 +125,8 @@ function createSnapshot(state) {
     },
     moves: state.moves,
     score: state.score,
-    recycleCount: state.recycleCount
+    recycleCount: state.recycleCount,
+    moveLog: state.moveLog
   };
 }
 
@@ -128,19 +136,20 @@ function createSnapshot(state) {
 export function solitaireReducer(state, action) {
   switch (action.type) {
     case 'INIT_GAME': {
-      const { shuffledDeck, blockchainData, scoringMode } = action.payload;
-      const dealtState = dealCards(shuffledDeck, scoringMode || state.scoringMode);
+      const { shuffledDeck, blockchainData, options, startingBalance } = action.payload;
+      const dealtState = dealCards(shuffledDeck, options || state.options, startingBalance);
       return {
         ...dealtState,
         blockchainData,
-        moveHistory: []
+        moveHistory: [],
+        moveLog: []
       };
     }
 
-    case 'SET_SCORING_MODE': {
+    case 'SET_GAME_OPTIONS': {
       return {
         ...state,
-        scoringMode: action.payload
+        options: { ...state.options, ...action.payload }
       };
     }
 
@@ -189,12 +198,14 @@ export function solitaireReducer(state, action) {
         : state.foundations;
 
       let scoreChange = 0;
-      if (state.scoringMode === 'standard') {
+      if (state.options.scoring === 'standard') {
         if (source.type === 'waste') {
           scoreChange = SCORING.standard.wasteToTableau;
         } else if (source.type === 'foundation') {
           scoreChange = SCORING.standard.foundationToTableau;
         }
+      } else if (source.type === 'foundation') {
+        scoreChange = SCORING.vegas.foundationToTableau;
       }
 
       return {
@@ -205,7 +216,8 @@ export function solitaireReducer(state, action) {
         selectedCards: null,
         moves: state.moves + 1,
         score: state.score + scoreChange,
-        moveHistory: [...state.moveHistory, snapshot]
+        moveHistory: [...state.moveHistory, snapshot],
+        moveLog: [...state.moveLog, { type: 'MOVE_TO_TABLEAU', source, count: cards.length, targetIndex }]
       };
     }
 
@@ -235,13 +247,13 @@ export function solitaireReducer(state, action) {
       }
 
       let scoreChange = 0;
-      if (state.scoringMode === 'standard') {
+      if (state.options.scoring === 'standard') {
         if (source.type === 'waste') {
           scoreChange = SCORING.standard.wasteToFoundation;
         } else if (source.type === 'tableau') {
           scoreChange = SCORING.standard.tableauToFoundation;
         }
-      } else if (state.scoringMode === 'vegas') {
+      } else {
         scoreChange = SCORING.vegas.perCardToFoundation;
       }
 
@@ -253,7 +265,8 @@ export function solitaireReducer(state, action) {
         selectedCards: null,
         moves: state.moves + 1,
         score: state.score + scoreChange,
-        moveHistory: [...state.moveHistory, snapshot]
+        moveHistory: [...state.moveHistory, snapshot],
+        moveLog: [...state.moveLog, { type: 'MOVE_TO_FOUNDATION', source, suit }]
       };
     }
 
@@ -263,22 +276,28 @@ export function solitaireReducer(state, action) {
       if (state.stock.length === 0) return state;
       const snapshot = createSnapshot(state);
 
-      const drawnCard = { ...state.stock[state.stock.length - 1], faceUp: true };
+      // Draw 3 turns the top cards one by one, so the third lands on top
+      const count = Math.min(state.options.drawCount, state.stock.length);
+      const drawnCards = state.stock
+        .slice(-count)
+        .reverse()
+        .map(card => ({ ...card, faceUp: true }));
 
       return {
         ...state,
-        stock: state.stock.slice(0, -1),
-        waste: [...state.waste, drawnCard],
+        stock: state.stock.slice(0, -count),
+        waste: [...state.waste, ...drawnCards],
         selectedCards: null,
         moves: state.moves + 1,
-        moveHistory: [...state.moveHistory, snapshot]
+        moveHistory: [...state.moveHistory, snapshot],
+        moveLog: [...state.moveLog, { type: 'DRAW_FROM_STOCK' }]
       };
     }
 
     case 'RECYCLE_STOCK': {
       // Prevent moves when game is over
       if (state.gameStatus !== 'playing') return state;
-      if (state.stock.length > 0 || state.waste.length === 0) return state;
+      if (!canRecycleStock(state.stock, state.waste, state.recycleCount, state.options.stockPasses)) return state;
       const snapshot = createSnapshot(state);
 
       const newStock = state.waste
@@ -287,7 +306,7 @@ export function solitaireReducer(state, action) {
         .map(card => ({ ...card, faceUp: false }));
 
       let scoreChange = 0;
-      if (state.scoringMode === 'standard' && state.recycleCount > 0) {
+      if (state.options.scoring === 'standard' && state.recycleCount > 0) {
         scoreChange = SCORING.standard.recycleStock;
       }
 
@@ -299,7 +318,8 @@ export function solitaireReducer(state, action) {
         moves: state.moves + 1,
         score: state.score + scoreChange,
         recycleCount: state.recycleCount + 1,
-        moveHistory: [...state.moveHistory, snapshot]
+        moveHistory: [...state.moveHistory, snapshot],
+        moveLog: [...state.moveLog, { type: 'RECYCLE_STOCK' }]
       };
     }
 
@@ -318,12 +338,13 @@ export function solitaireReducer(state, action) {
         );
       });
 
-      const scoreChange = state.scoringMode === 'standard' ? SCORING.standard.flipCard : 0;
+      const scoreChange = state.options.scoring === 'standard' ? SCORING.standard.flipCard : 0;
 
       return {
         ...state,
         tableau: newTableau,
-        score: state.score + scoreChange
+        score: state.score + scoreChange,
+        moveLog: [...state.moveLog, { type: 'FLIP_CARD', columnIndex }]
       };
     }
 
@@ -341,6 +362,7 @@ export function solitaireReducer(state, action) {
         moves: previousSnapshot.moves,
         score: previousSnapshot.score,
         recycleCount: previousSnapshot.recycleCount,
+        moveLog: previousSnapshot.moveLog,
         moveHistory: state.moveHistory.slice(0, -1),
         selectedCards: null
       };
@@ -360,6 +382,19 @@ export function solitaireReducer(state, action) {
       };
     }
 
+    case 'RESTORE': {
+      // Resume a saved in-progress game (saved without its undo stack);
+      // saves from before options existed only had a scoring mode
+      const { scoringMode, ...saved } = action.payload;
+      return {
+        ...initialState,
+        ...saved,
+        options: normalizeGameOptions(saved.options || (scoringMode && { scoring: scoringMode })),
+        moveHistory: action.payload.moveHistory || [],
+        selectedCards: null
+      };
+    }
+
     default:
       return state;
   }
@@ -0,0 +1,147 @@
+/**
+ * Solitaire Variants - The game options a Klondike deal is played under
+ *
+ * Chosen by the player before the deal, recorded in the submission and
+ * replayed by the server validator. Scores are ranked per variant. Games
+ * submitted before options existed were draw-1, standard scoring, unlimited
+ * passes (DEFAULT_GAME_OPTIONS).
+ */
+
+// Cards turned from the stock per draw
+export const DRAW_COUNTS = [1, 3];
+
+/**
+ * Scoring modes. Vegas charges a buy-in and pays per card to foundation;
+ * Vegas cumulative carries the balance from one game to the next.
+ */
+export const SCORING_MODES = {
+  'standard': { name: 'Standard', code: 'STD' },
+  'vegas': { name: 'Vegas', code: 'VEGAS' },
+  'vegas-cumulative': { name: 'Vegas cumulative', code: 'VEGASCUM' }
+};
+
+// Times through the stock (null = unlimited); 1 means the waste is never recycled
+export const STOCK_PASS_LIMITS = [null, 3, 1];
+
+/** Draw 1, standard scoring, unlimited passes */
+export const DEFAULT_GAME_OPTIONS = Object.freeze({
+  drawCount: 1,
+  scoring: 'standard',
+  stockPasses: null
+});
+
+/**
+ * Check an options object
+ * @param {Object} options - Game options (every field required)
+ * @returns {{valid: boolean, reason?: string}}
+ */
+export function validateGameOptions(options) {
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    return { valid: false, reason: 'Game options must be an object' };
+  }
+
+  const unknown = Object.keys(options).find(key => !(key in DEFAULT_GAME_OPTIONS));
+  if (unknown) {
+    return { valid: false, reason: `Unknown game option '${unknown}'` };
+  }
+
+  if (!DRAW_COUNTS.includes(options.drawCount)) {
+    return { valid: false, reason: `Draw count must be one of ${DRAW_COUNTS.join(', ')}` };
+  }
+
+  if (!(options.scoring in SCORING_MODES)) {
+    return { valid: false, reason: `Unknown scoring mode '${options.scoring}'` };
+  }
+
+  if (!STOCK_PASS_LIMITS.includes(options.stockPasses)) {
+    return { valid: false, reason: 'Stock passes must be unlimited (null), 3 or 1' };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Fill in missing fields from the defaults (null = legacy game)
+ * @param {Object|null} options - Partial game options
+ * @returns {Object} Complete options (not validated)
+ */
+export function normalizeGameOptions(options) {
+  return { ...DEFAULT_GAME_OPTIONS, ...(options || {}) };
+}
+
+/**
+ * Whether a scoring mode keeps a cash balance
+ * @param {Object} options - Game options
+ * @returns {boolean}
+ */
+export function isVegasScoring(options) {
+  return options.scoring === 'vegas' || options.scoring === 'vegas-cumulative';
+}
+
+/**
+ * Stable identifier of a variant, used to keep leaderboards apart
+ * e.g. "D3-VEGAS-P3", "D1-STD-PU"
+ * @param {Object} options - Game options
+ * @returns {string}
+ */
+export function getVariantId(options) {
+  return [
+    `D${options.drawCount}`,
+    SCORING_MODES[options.scoring].code,
+    options.stockPasses === null ? 'PU' : `P${options.stockPasses}`
+  ].join('-');
+}
+
+/** The variant ID of DEFAULT_GAME_OPTIONS (legacy games and leaderboard default) */
+export const DEFAULT_VARIANT_ID = getVariantId(DEFAULT_GAME_OPTIONS);
+
+/**
+ * Every variant, for the leaderboard picker
+ * @returns {Array<{id: string, options: Object}>}
+ */
+export function listVariants() {
+  return DRAW_COUNTS.flatMap(drawCount =>
+    Object.keys(SCORING_MODES).flatMap(scoring =>
+      STOCK_PASS_LIMITS.map(stockPasses => {
+        const options = { drawCount, scoring, stockPasses };
+        return { id: getVariantId(options), options };
+      })
+    )
+  );
+}
+
+/**
+ * Game options of a variant ID
+ * @param {string|null} variantId - e.g. "D3-VEGAS-P3"
+ * @returns {Object|null} Options, or null for an unknown ID
+ */
+export function getVariantOptions(variantId) {
+  const variant = listVariants().find(({ id }) => id === variantId);
+  return variant ? variant.options : null;
+}
+
+/**
+ * Short labels for the game display
+ * @param {Object} options - Game options
+ * @returns {string[]} e.g. ["Draw 3", "Vegas", "3 passes"]
+ */
+export function describeGameOptions(options) {
+  return [
+    `Draw ${options.drawCount}`,
+    SCORING_MODES[options.scoring].name,
+    options.stockPasses === null ? 'Unlimited passes'
+      : options.stockPasses === 1 ? 'Single pass' : `${options.stockPasses} passes`
+  ];
+}
+
+export default {
+  DEFAULT_GAME_OPTIONS,
+  SCORING_MODES,
+  validateGameOptions,
+  normalizeGameOptions,
+  isVegasScoring,
+  getVariantId,
+  listVariants,
+  getVariantOptions,
+  describeGameOptions
+};
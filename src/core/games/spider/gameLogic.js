@@ -0,0 +1,286 @@
+/**
+ * Spider Game Logic
+ *
+ * Deals and rules for Spider: two decks (104 cards) played as 1, 2 or 4
+ * suits. Build down in any suit, move only same-suit runs, and a full
+ * King-to-Ace run of one suit is cleared off the table. Eight runs win.
+ *
+ * Pure functions with no side effects - safe to use anywhere.
+ */
+
+import { createMultiDeckShoe, shuffleArray, CURRENT_RNG_VERSION } from '../../shuffle.js';
+import { getRankValue, isOneHigher, isOneLower } from '../solitaire/gameLogic.js';
+
+export const TABLEAU_COLUMNS = 10;
+export const INITIAL_DEAL = 54;
+export const RUNS_TO_WIN = 8;
+
+// Suits in play: 1 (all spades), 2 (spades and hearts) or 4
+export const SUIT_COUNTS = [1, 2, 4];
+export const DEFAULT_SUIT_COUNT = 1;
+
+export const SCORING = {
+  startingScore: 500,
+  perMove: -1,
+  perRun: 100
+};
+
+// ============ DEALING ============
+
+/**
+ * Whether a suit count is playable
+ * @param {number} suits - Suits in play
+ * @returns {{valid: boolean, reason?: string}}
+ */
+export function validateSuitCount(suits) {
+  if (!SUIT_COUNTS.includes(suits)) {
+    return { valid: false, reason: `Suit count must be one of ${SUIT_COUNTS.join(', ')}` };
+  }
+  return { valid: true };
+}
+
+/**
+ * Leaderboard variant of a suit count, e.g. "2-SUIT"
+ * @param {number} suits - Suits in play
+ * @returns {string}
+ */
+export const getVariantId = (suits) => `${suits}-SUIT`;
+
+/** The variant ID of a one-suit game (leaderboard default) */
+export const DEFAULT_VARIANT_ID = getVariantId(DEFAULT_SUIT_COUNT);
+
+/**
+ * Suit a card is played as: one suit turns every card into spades, two
+ * suits turn black cards into spades and red cards into hearts
+ */
+function playedSuit(suit, suits) {
+  if (suits === 1) return 'spades';
+  if (suits === 2) return suit === 'clubs' || suit === 'spades' ? 'spades' : 'hearts';
+  return suit;
+}
+
+/**
+ * Create the shuffled 104-card Spider deck
+ * @param {string} seed - Hex seed
+ * @param {number} rngVersion - RNG version
+ * @param {number} suits - Suits in play (1, 2 or 4)
+ * @returns {Object[]} Face-down cards with unique IDs (e.g. "7S-3")
+ */
+export function createSpiderDeck(seed, rngVersion = CURRENT_RNG_VERSION, suits = DEFAULT_SUIT_COUNT) {
+  if (!validateSuitCount(suits).valid) {
+    throw new Error(`Unsupported suit count: ${suits}`);
+  }
+
+  // Fewer suits means more copies of each card; number them in deck order
+  const copies = {};
+  const deck = createMultiDeckShoe(2).map(card => {
+    const suit = playedSuit(card.suit, suits);
+    const key = `${card.rank}${suit[0].toUpperCase()}`;
+    copies[key] = (copies[key] || 0) + 1;
+    return { id: `${key}-${copies[key]}`, rank: card.rank, suit, faceUp: false };
+  });
+
+  return shuffleArray(deck, seed, rngVersion);
+}
+
+/**
+ * Deal 54 cards into 10 columns (the first four get 6, the rest 5) with the
+ * top card of each face up; the other 50 cards form the stock
+ * @param {Object[]} deck - Shuffled deck
+ * @returns {{tableau: Array<Object[]>, stock: Object[]}}
+ */
+export function dealTableau(deck) {
+  const tableau = Array.from({ length: TABLEAU_COLUMNS }, () => []);
+  deck.slice(0, INITIAL_DEAL).forEach((card, i) => {
+    tableau[i % TABLEAU_COLUMNS].push({ ...card, faceUp: false });
+  });
+
+  return {
+    tableau: tableau.map(flipTopCard),
+    stock: deck.slice(INITIAL_DEAL).map(card => ({ ...card, faceUp: false }))
+  };
+}
+
+/**
+ * Turn the top card of a column face up
+ * @param {Object[]} column - Tableau column
+ * @returns {Object[]} Column (same array if nothing changed)
+ */
+export function flipTopCard(column) {
+  if (column.length === 0 || column[column.length - 1].faceUp) return column;
+  return column.map((card, i) => (i === column.length - 1 ? { ...card, faceUp: true } : card));
+}
+
+// ============ MOVE VALIDATION ============
+
+/**
+ * Build down regardless of suit; any card can start an empty column
+ */
+export function canPlaceOnTableau(card, targetColumn) {
+  if (targetColumn.length === 0) return true;
+
+  const topCard = targetColumn[targetColumn.length - 1];
+  return topCard.faceUp && isOneLower(card, topCard);
+}
+
+/**
+ * Cards from fromIndex to the top, if they form a face-up same-suit run
+ * @param {Object[]} column - Tableau column
+ * @param {number} fromIndex - Index of the first card to move
+ * @returns {Object[]|null}
+ */
+export function getMovableSequence(column, fromIndex) {
+  if (fromIndex < 0 || fromIndex >= column.length) return null;
+
+  const sequence = column.slice(fromIndex);
+  if (!sequence.every(card => card.faceUp)) return null;
+
+  for (let i = 0; i < sequence.length - 1; i++) {
+    if (sequence[i].suit !== sequence[i + 1].suit || !isOneHigher(sequence[i], sequence[i + 1])) {
+      return null;
+    }
+  }
+
+  return sequence;
+}
+
+/**
+ * A new row can be dealt while the stock lasts and no column is empty
+ */
+export function canDealFromStock(stock, tableau) {
+  return stock.length > 0 && tableau.every(column => column.length > 0);
+}
+
+/**
+ * Start of a completed King-to-Ace run at the top of a column
+ * @param {Object[]} column - Tableau column
+ * @returns {number} Index of the King, or -1
+ */
+export function findCompletedRun(column) {
+  if (column.length < 13) return -1;
+
+  const start = column.length - 13;
+  const run = getMovableSequence(column, start);
+  return run && getRankValue(run[0].rank) === 13 ? start : -1;
+}
+
+// ============ GAME STATE CHECKS ============
+
+export const checkWinCondition = (completed) => completed.length === RUNS_TO_WIN;
+
+/**
+ * Score shown and ranked: 500, minus one per move, plus 100 per run
+ * @param {number} moves - Moves made (deals included)
+ * @param {number} runs - Completed runs
+ * @returns {number}
+ */
+export function calculateScore(moves, runs) {
+  return Math.max(0, SCORING.startingScore + SCORING.perMove * moves + SCORING.perRun * runs);
+}
+
+// ============ HINTS AND STUCK DETECTION ============
+
+/**
+ * Every column-to-column move that gets somewhere: not splitting a run off
+ * a card of its own suit, and not moving a whole column into an empty one
+ * @param {Array<Object[]>} tableau - Tableau columns
+ * @returns {Array<{from: number, to: number, start: number, cards: Object[]}>}
+ */
+function getUsefulMoves(tableau) {
+  const moves = [];
+
+  tableau.forEach((column, fromCol) => {
+    column.forEach((_, start) => {
+      const sequence = getMovableSequence(column, start);
+      if (!sequence) return;
+
+      const below = column[start - 1];
+      const builtOnSameSuit = below && below.faceUp && below.suit === sequence[0].suit && isOneHigher(below, sequence[0]);
+      if (builtOnSameSuit) return;
+
+      tableau.forEach((target, toCol) => {
+        if (toCol === fromCol || !canPlaceOnTableau(sequence[0], target)) return;
+        if (target.length === 0 && start === 0) return;
+        moves.push({ from: fromCol, to: toCol, start, cards: sequence });
+      });
+    });
+  });
+
+  return moves;
+}
+
+/**
+ * Best next move: build on the same suit, then any build onto a card, then
+ * into an empty column, then deal from the stock
+ * @param {Object} state - Current game state
+ * @returns {{from: Object, to: Object, cards: Array}|null}
+ */
+export function getHint(state) {
+  const { tableau, stock } = state;
+  const moves = getUsefulMoves(tableau);
+  const onto = move => tableau[move.to][tableau[move.to].length - 1];
+
+  const best = moves.find(move => onto(move) && onto(move).suit === move.cards[0].suit)
+    || moves.find(move => onto(move))
+    || moves[0];
+
+  if (best) {
+    return { from: { type: 'tableau', index: best.from }, to: { type: 'tableau', index: best.to }, cards: best.cards };
+  }
+
+  if (canDealFromStock(stock, tableau)) {
+    return { from: { type: 'stock' }, to: { type: 'tableau' }, cards: [] };
+  }
+
+  return null;
+}
+
+/**
+ * Check if any valid moves exist
+ * @param {Object} state - Current game state
+ * @returns {boolean} True if a useful move or a deal is possible
+ */
+export function hasValidMoves(state) {
+  return canDealFromStock(state.stock, state.tableau) || getUsefulMoves(state.tableau).length > 0;
+}
+
+/**
+ * Stuck when the stock is spent and no move gets anywhere
+ * @param {Object} state - Current game state
+ * @returns {boolean}
+ */
+export function isGameStuck(state) {
+  if (state.stock.length > 0) return false;
+  return !hasValidMoves(state);
+}
+
+// ============ VALID MOVE CHECKER ============
+
+export function isValidMove(cards, destination, state) {
+  if (!cards || cards.length === 0) return false;
+  if (destination.type !== 'tableau') return false;
+
+  const targetColumn = state.tableau[destination.index];
+  if (!targetColumn) return false;
+
+  return !!getMovableSequence(cards, 0) && canPlaceOnTableau(cards[0], targetColumn);
+}
+
+export default {
+  SUIT_COUNTS,
+  validateSuitCount,
+  getVariantId,
+  createSpiderDeck,
+  dealTableau,
+  flipTopCard,
+  canPlaceOnTableau,
+  getMovableSequence,
+  canDealFromStock,
+  findCompletedRun,
+  checkWinCondition,
+  calculateScore,
+  getHint,
+  hasValidMoves,
+  isGameStuck,
+  isValidMove
+};
@@ -0,0 +1,214 @@
+/**
+ * Spider State Management
+ *
+ * Uses React useReducer pattern for predictable state updates.
+ * Completed King-to-Ace runs are cleared after every move and deal, and the
+ * card they uncover is turned face up.
+ *
+ * Every move is also appended to a compact moveLog (the reducer action plus
+ * the selected source), which the server replays from the dealt deck.
+ */
+
+import {
+  dealTableau,
+  flipTopCard,
+  findCompletedRun,
+  calculateScore,
+  DEFAULT_SUIT_COUNT
+} from './gameLogic.js';
+
+// Initial state structure
+export const initialState = {
+  tableau: [[], [], [], [], [], [], [], [], [], []],
+  stock: [],
+  completed: [], // Cleared runs, each a King-to-Ace array of one suit
+  selectedCards: null,
+  moves: 0,
+  score: 0,
+  suits: DEFAULT_SUIT_COUNT,
+  startTime: null,
+  moveHistory: [],
+  moveLog: [],
+  gameStatus: 'playing', // 'playing' | 'won' | 'lost'
+  blockchainData: null
+};
+
+/**
+ * Deal a shuffled deck into the initial Spider layout
+ * @param {Array} deck - 104 shuffled cards (createSpiderDeck)
+ * @param {number} suits - Suits in play
+ */
+export function dealCards(deck, suits = DEFAULT_SUIT_COUNT) {
+  const { tableau, stock } = dealTableau(deck);
+
+  return {
+    ...initialState,
+    tableau,
+    stock,
+    completed: [],
+    score: calculateScore(0, 0),
+    suits,
+    startTime: Date.now(),
+    gameStatus: 'playing'
+  };
+}
+
+/**
+ * Create snapshot for undo
+ */
+function createSnapshot(state) {
+  return {
+    tableau: state.tableau.map(col => col.map(card => ({ ...card }))),
+    stock: state.stock.map(card => ({ ...card })),
+    completed: state.completed,
+    moves: state.moves,
+    score: state.score,
+    moveLog: state.moveLog
+  };
+}
+
+/**
+ * Clear completed runs and turn up the cards they and the move uncovered
+ */
+function settleTableau(tableau, completed) {
+  const newCompleted = [...completed];
+  const newTableau = tableau.map(column => {
+    const start = findCompletedRun(column);
+    if (start === -1) return flipTopCard(column);
+    newCompleted.push(column.slice(start));
+    return flipTopCard(column.slice(0, start));
+  });
+  return { tableau: newTableau, completed: newCompleted };
+}
+
+/**
+ * Main reducer
+ */
+export function spiderReducer(state, action) {
+  switch (action.type) {
+    case 'INIT_GAME': {
+      const { deck, suits, blockchainData } = action.payload;
+      return {
+        ...dealCards(deck, suits),
+        blockchainData,
+        moveHistory: [],
+        moveLog: []
+      };
+    }
+
+    case 'SELECT_CARDS': {
+      const { cards, source } = action.payload;
+      return {
+        ...state,
+        selectedCards: { cards, source }
+      };
+    }
+
+    case 'CLEAR_SELECTION': {
+      return {
+        ...state,
+        selectedCards: null
+      };
+    }
+
+    case 'MOVE_TO_TABLEAU': {
+      // Prevent moves when game is over
+      if (state.gameStatus !== 'playing') return state;
+
+      const { targetIndex } = action.payload;
+      const { cards, source } = state.selectedCards;
+      const snapshot = createSnapshot(state);
+
+      const movedTableau = state.tableau.map((col, i) => {
+        if (i === targetIndex) return [...col, ...cards];
+        if (i === source.index) return col.slice(0, col.length - cards.length);
+        return col;
+      });
+      const { tableau, completed } = settleTableau(movedTableau, state.completed);
+      const moves = state.moves + 1;
+
+      return {
+        ...state,
+        tableau,
+        completed,
+        selectedCards: null,
+        moves,
+        score: calculateScore(moves, completed.length),
+        moveHistory: [...state.moveHistory, snapshot],
+        moveLog: [...state.moveLog, { type: 'MOVE_TO_TABLEAU', source, count: cards.length, targetIndex }]
+      };
+    }
+
+    case 'DEAL_FROM_STOCK': {
+      // Prevent moves when game is over
+      if (state.gameStatus !== 'playing') return state;
+      if (state.stock.length === 0 || state.tableau.some(col => col.length === 0)) return state;
+      const snapshot = createSnapshot(state);
+
+      // One face-up card onto every column, from the top of the stock
+      const dealt = state.stock.slice(-state.tableau.length).reverse();
+      const { tableau, completed } = settleTableau(
+        state.tableau.map((col, i) => [...col, { ...dealt[i], faceUp: true }]),
+        state.completed
+      );
+      const moves = state.moves + 1;
+
+      return {
+        ...state,
+        tableau,
+        stock: state.stock.slice(0, -state.tableau.length),
+        completed,
+        selectedCards: null,
+        moves,
+        score: calculateScore(moves, completed.length),
+        moveHistory: [...state.moveHistory, snapshot],
+        moveLog: [...state.moveLog, { type: 'DEAL_FROM_STOCK' }]
+      };
+    }
+
+    case 'UNDO': {
+      if (state.moveHistory.length === 0) return state;
+
+      const previousSnapshot = state.moveHistory[state.moveHistory.length - 1];
+
+      return {
+        ...state,
+        tableau: previousSnapshot.tableau,
+        stock: previousSnapshot.stock,
+        completed: previousSnapshot.completed,
+        moves: previousSnapshot.moves,
+        score: previousSnapshot.score,
+        moveLog: previousSnapshot.moveLog,
+        moveHistory: state.moveHistory.slice(0, -1),
+        selectedCards: null
+      };
+    }
+
+    case 'SET_WON': {
+      return {
+        ...state,
+        gameStatus: 'won'
+      };
+    }
+
+    case 'SET_LOST': {
+      return {
+        ...state,
+        gameStatus: 'lost'
+      };
+    }
+
+    case 'RESTORE': {
+      // Resume a saved in-progress game (saved without its undo stack)
+      return {
+        ...initialState,
+        ...action.payload,
+        moveHistory: action.payload.moveHistory || [],
+        selectedCards: null
+      };
+    }
+
+    default:
+      return state;
+  }
+}
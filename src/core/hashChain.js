@@ -0,0 +1,122 @@
+/**
+ * Provably Fair Core - Hash Chain Mode
+ *
+ * Alternative to one commit-reveal request per event: the server picks a
+ * seed, hashes it `length` times and commits to the end of the chain
+ * (link 0). Round i consumes link i, the preimage of link i-1, so every
+ * step is checkable on its own and revealing the seed at the end proves
+ * the whole chain at once.
+ *
+ * link(length) = seed
+ * link(i - 1) = SHA256(link(i))
+ * commitment = link(0)
+ */
+
+import { deriveRandomValue, hashSecret, verifyCommitment } from './seed.js';
+
+export const RNG_MODE_COMMIT_REVEAL = 'commit-reveal';
+export const RNG_MODE_HASH_CHAIN = 'hash-chain';
+
+export const DEFAULT_CHAIN_LENGTH = 1000;
+export const MAX_CHAIN_LENGTH = 10000;
+
+/**
+ * Computes a link of the chain
+ * @param {string} seed - Chain seed (the server secret, link `length`)
+ * @param {number} length - Chain length
+ * @param {number} index - Link index (0 = commitment)
+ * @returns {string} 64-char hex link
+ */
+export function hashChainLink(seed, length, index) {
+  let link = seed;
+  for (let i = length; i > index; i--) {
+    link = hashSecret(link);
+  }
+  return link;
+}
+
+/**
+ * Computes the commitment published at session start
+ * @param {string} seed - Chain seed
+ * @param {number} length - Chain length
+ * @returns {string} link 0
+ */
+export function hashChainCommitment(seed, length) {
+  return hashChainLink(seed, length, 0);
+}
+
+/**
+ * Checks one step: a newly revealed link must hash to the previous one
+ * @param {string} link - Link i
+ * @param {string} previousLink - Link i-1 (the commitment for i = 1)
+ * @returns {boolean}
+ */
+export function verifyChainStep(link, previousLink) {
+  return Boolean(link) && hashSecret(link) === previousLink;
+}
+
+/**
+ * Checks a link against the commitment by hashing it back to link 0
+ * (with the revealed seed and index = length, proves every round at once)
+ * @param {string} link - Revealed link
+ * @param {number} index - Its index in the chain
+ * @param {string} commitment - Link 0 published at session start
+ * @returns {boolean}
+ */
+export function verifyChainLink(link, index, commitment) {
+  return Boolean(link) && hashChainLink(link, index, 0) === commitment;
+}
+
+/**
+ * Derives the random value for a round from its link and the anchored block
+ * @param {string} link - Link for the round
+ * @param {object} blockData - Anchor block (blockHash, txHash, timestamp, txIndex)
+ * @param {number} index - Round / link index
+ * @param {string|null} clientSeed - Player's seed bound at session start
+ * @returns {string} 64-char hex random value
+ */
+export function deriveChainRandom(link, blockData, index, clientSeed = null) {
+  return deriveRandomValue(link, blockData, `chain-${index}`, clientSeed);
+}
+
+/**
+ * Recomputes a round's value from a revealed chain seed
+ * @param {string} seed - Revealed chain seed (the server secret)
+ * @param {number} length - Chain length
+ * @param {object} blockData - Anchor block (blockHash, txHash, timestamp, txIndex)
+ * @param {number} index - Round / link index
+ * @param {string|null} clientSeed - Player's seed bound at session start
+ * @returns {string} 64-char hex random value
+ */
+export function revealedChainRandom(seed, length, blockData, index, clientSeed = null) {
+  return deriveChainRandom(hashChainLink(seed, length, index), blockData, index, clientSeed);
+}
+
+/**
+ * Checks a revealed secret against the commitment of a session in either mode
+ * @param {string} serverSecret - Revealed secret (chain seed in hash-chain mode)
+ * @param {string} secretHash - Commitment published at session start
+ * @param {string} rngMode - Session mode (RNG_MODE_COMMIT_REVEAL or RNG_MODE_HASH_CHAIN)
+ * @param {number|null} chainLength - Chain length (hash-chain mode only)
+ * @returns {boolean}
+ */
+export function verifySessionCommitment(serverSecret, secretHash, rngMode, chainLength = null) {
+  if (rngMode === RNG_MODE_HASH_CHAIN) {
+    return Number.isInteger(chainLength) && chainLength > 0 && verifyChainLink(serverSecret, chainLength, secretHash);
+  }
+  return verifyCommitment(serverSecret, secretHash);
+}
+
+export default {
+  RNG_MODE_COMMIT_REVEAL,
+  RNG_MODE_HASH_CHAIN,
+  DEFAULT_CHAIN_LENGTH,
+  MAX_CHAIN_LENGTH,
+  hashChainLink,
+  hashChainCommitment,
+  verifyChainStep,
+  verifyChainLink,
+  deriveChainRandom,
+  revealedChainRandom,
+  verifySessionCommitment
+};
@@ -0,0 +1,35 @@
+/**
+ * Provably Fair Core
+ *
+ * Isomorphic module shared by the React games (src/games), the API routes
+ * (api/) and the server validators (lib/validation). Only depends on
+ * crypto-js (and fetch, for the beacons), so the same code runs in the
+ * browser and in Node.
+ *
+ * - seed.js → seed derivation, commit-reveal random values, commitments
+ * - shuffle.js → versioned RNG, Fisher-Yates shuffles, deck/shoe builders
+ * - dice.js → dice from hex random values
+ * - purposes.js → per-game schema for commit-reveal random requests
+ * - hashChain.js → hash-chain session mode (one link per round)
+ * - merkle.js → seed batch Merkle roots and inclusion proofs
+ * - beacons/* → randomness beacon providers (Ergo explorer, Ergo node, drand, local mock)
+ * - ergoClient.js → Ergo API client (timeouts, retries, failover, cache, consensus)
+ * - games/* → per-game rules replayed by the server validators
+ */
+
+export * from './seed.js';
+export * from './shuffle.js';
+export * from './dice.js';
+export * from './purposes.js';
+export * from './hashChain.js';
+export * from './merkle.js';
+export * from './beacons/index.js';
+export * from './ergoClient.js';
+
+export * as backgammonRules from './games/backgammon/gameLogic.js';
+export * as backgammonMoves from './games/backgammon/moveValidation.js';
+export * as blackjackRules from './games/blackjack/gameLogic.js';
+export * as blackjackTableRules from './games/blackjack/tableRules.js';
+export * as blackjackCounting from './games/blackjack/counting.js';
+export * as blackjackStrategy from './games/blackjack/strategy.js';
+export * as yahtzeeScoring from './games/yahtzee/scoringLogic.js';
@@ -0,0 +1,120 @@
+/**
+ * Provably Fair Core - Seed Batch Merkle Trees
+ *
+ * The server pre-generates batches of secrets and publishes the Merkle root
+ * of their hashes before any of them is used. Each reveal carries an
+ * inclusion proof, so a player can check their secret was one of the
+ * published batch and not picked for their session.
+ *
+ * leaf = SHA256('leaf:' + SHA256(secret))
+ * node = SHA256('node:' + left + right)
+ * An odd node at the end of a level is promoted unchanged.
+ */
+
+import { hashSecret } from './seed.js';
+
+/**
+ * Computes the leaf for a secret hash
+ * @param {string} secretHash - SHA256(secret) as hex
+ * @returns {string} Leaf hash
+ */
+export function merkleLeaf(secretHash) {
+  return hashSecret(`leaf:${secretHash}`);
+}
+
+/**
+ * Combines two child hashes
+ * @param {string} left - Left child
+ * @param {string} right - Right child
+ * @returns {string} Parent hash
+ */
+export function merkleNode(left, right) {
+  return hashSecret(`node:${left}${right}`);
+}
+
+/**
+ * Builds every level of the tree, leaves first
+ * @param {string[]} secretHashes - SHA256 of each secret, in assignment order
+ * @returns {string[][]} Levels; the last one holds the root
+ */
+export function buildMerkleTree(secretHashes) {
+  if (secretHashes.length === 0) {
+    throw new Error('Cannot build a Merkle tree with no leaves');
+  }
+
+  const levels = [secretHashes.map(merkleLeaf)];
+
+  while (levels[levels.length - 1].length > 1) {
+    const level = levels[levels.length - 1];
+    const parents = [];
+    for (let i = 0; i < level.length; i += 2) {
+      parents.push(i + 1 < level.length ? merkleNode(level[i], level[i + 1]) : level[i]);
+    }
+    levels.push(parents);
+  }
+
+  return levels;
+}
+
+/**
+ * Root of a built tree
+ * @param {string[][]} levels - From buildMerkleTree
+ * @returns {string} Merkle root
+ */
+export function merkleRoot(levels) {
+  return levels[levels.length - 1][0];
+}
+
+/**
+ * Inclusion proof for a leaf
+ * @param {string[][]} levels - From buildMerkleTree
+ * @param {number} index - Leaf index
+ * @returns {Array<{hash: string, position: 'left'|'right'}>} Siblings, leaf to root
+ */
+export function merkleProof(levels, index) {
+  const proof = [];
+  let position = index;
+
+  for (let depth = 0; depth < levels.length - 1; depth++) {
+    const level = levels[depth];
+    const sibling = position % 2 === 0 ? position + 1 : position - 1;
+
+    // Promoted odd nodes have no sibling at this level
+    if (sibling < level.length) {
+      proof.push({ hash: level[sibling], position: sibling < position ? 'left' : 'right' });
+    }
+
+    position = Math.floor(position / 2);
+  }
+
+  return proof;
+}
+
+/**
+ * Checks that a secret hash is in a published batch
+ * @param {string} secretHash - SHA256(revealed secret)
+ * @param {Array<{hash: string, position: string}>} proof - From merkleProof
+ * @param {string} root - Published Merkle root
+ * @returns {boolean}
+ */
+export function verifyMerkleProof(secretHash, proof, root) {
+  if (!secretHash || !Array.isArray(proof) || !root) {
+    return false;
+  }
+
+  const computed = proof.reduce(
+    (hash, step) => (step.position === 'left' ? merkleNode(step.hash, hash) : merkleNode(hash, step.hash)),
+    merkleLeaf(secretHash)
+  );
+
+  return computed === root;
+}
+
+export default {
+  merkleLeaf,
+  merkleNode,
+  buildMerkleTree,
+  merkleRoot,
+  merkleProof,
+  verifyMerkleProof
+};
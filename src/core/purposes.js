@@ -0,0 +1,125 @@
+/**
+ * Provably Fair Core - Random Request Purposes
+ *
+ * Each commit-reveal game asks /api/game/random for values under a fixed
+ * purpose schema. The server keeps a per-session ledger and only accepts the
+ * purpose that can come next, so a client can't fish for a better value by
+ * requesting the same roll or shuffle under a different name.
+ *
+ * - backgammon → roll-{n}
+ * - yahtzee → turn-{n}-roll-{k} (k = 1-3, n = 1-13)
+ * - blackjack → shoe-shuffle, then reshuffle-{n}
+ * - solitaire, garbage, freecell, spider → deck-shuffle (once)
+ */
+
+const YAHTZEE_TURNS = 13;
+const YAHTZEE_ROLLS_PER_TURN = 3;
+
+/**
+ * Per-game schema: parse(purpose) → params or null, next(params) → the
+ * purposes allowed after a request with those params (null = first request)
+ */
+export const PURPOSE_SCHEMAS = {
+  backgammon: {
+    format: 'roll-{n}',
+    parse: purpose => matchNumbers(/^roll-(\d+)$/, purpose, ['n']),
+    next: last => [`roll-${last ? last.n + 1 : 1}`]
+  },
+  yahtzee: {
+    format: 'turn-{n}-roll-{k}',
+    parse: purpose => matchNumbers(/^turn-(\d+)-roll-(\d+)$/, purpose, ['n', 'k']),
+    next: last => {
+      if (!last) return ['turn-1-roll-1'];
+      const allowed = [];
+      if (last.k < YAHTZEE_ROLLS_PER_TURN) allowed.push(`turn-${last.n}-roll-${last.k + 1}`);
+      if (last.n < YAHTZEE_TURNS) allowed.push(`turn-${last.n + 1}-roll-1`);
+      return allowed;
+    }
+  },
+  blackjack: {
+    format: 'shoe-shuffle | reshuffle-{n}',
+    parse: purpose => (purpose === 'shoe-shuffle' ? { n: 0 } : matchNumbers(/^reshuffle-(\d+)$/, purpose, ['n'])),
+    next: last => [last ? `reshuffle-${last.n + 1}` : 'shoe-shuffle']
+  },
+  solitaire: {
+    format: 'deck-shuffle',
+    parse: purpose => (purpose === 'deck-shuffle' ? {} : null),
+    next: last => (last ? [] : ['deck-shuffle'])
+  },
+  garbage: {
+    format: 'deck-shuffle',
+    parse: purpose => (purpose === 'deck-shuffle' ? {} : null),
+    next: last => (last ? [] : ['deck-shuffle'])
+  },
+  freecell: {
+    format: 'deck-shuffle',
+    parse: purpose => (purpose === 'deck-shuffle' ? {} : null),
+    next: last => (last ? [] : ['deck-shuffle'])
+  },
+  spider: {
+    format: 'deck-shuffle',
+    parse: purpose => (purpose === 'deck-shuffle' ? {} : null),
+    next: last => (last ? [] : ['deck-shuffle'])
+  }
+};
+
+/**
+ * Match a purpose against a pattern and name its numeric groups
+ * @returns {Object|null} Named params, or null if the purpose doesn't match
+ */
+function matchNumbers(pattern, purpose, names) {
+  const match = pattern.exec(purpose);
+  if (!match) return null;
+  return Object.fromEntries(names.map((name, i) => [name, parseInt(match[i + 1], 10)]));
+}
+
+/**
+ * Purposes a game may request next
+ * @param {string} gameType - Game type
+ * @param {string|null} lastPurpose - Purpose of the latest ledger entry (null if none)
+ * @returns {string[]} Allowed purposes (empty once the schema is exhausted)
+ */
+export function getNextPurposes(gameType, lastPurpose) {
+  const schema = PURPOSE_SCHEMAS[gameType];
+  if (!schema) return [];
+  return schema.next(lastPurpose ? schema.parse(lastPurpose) : null);
+}
+
+/**
+ * Check a random request against the game's schema and the session ledger
+ * @param {string} gameType - Game type
+ * @param {Array<{purpose: string}>} ledger - Earlier requests, in nonce order
+ * @param {string} purpose - Requested purpose
+ * @returns {{valid: boolean, reason?: string}}
+ */
+export function validateNextPurpose(gameType, ledger, purpose) {
+  const schema = PURPOSE_SCHEMAS[gameType];
+  if (!schema) {
+    return { valid: false, reason: `No random purposes defined for ${gameType}` };
+  }
+
+  if (!schema.parse(purpose)) {
+    return { valid: false, reason: `Purpose "${purpose}" does not match ${gameType} schema (${schema.format})` };
+  }
+
+  if (ledger.some(entry => entry.purpose === purpose)) {
+    return { valid: false, reason: `Purpose "${purpose}" was already requested` };
+  }
+
+  const last = ledger.length > 0 ? ledger[ledger.length - 1].purpose : null;
+  const allowed = getNextPurposes(gameType, last);
+  if (!allowed.includes(purpose)) {
+    return {
+      valid: false,
+      reason: `Purpose "${purpose}" is out of order (expected ${allowed.length > 0 ? allowed.join(' or ') : 'no further requests'})`
+    };
+  }
+
+  return { valid: true };
+}
+
+export default {
+  PURPOSE_SCHEMAS,
+  getNextPurposes,
+  validateNextPurpose
+};
@@ -0,0 +1,140 @@
+/**
+ * Provably Fair Core - Seed Derivation
+ *
+ * Every random value in every game starts here. Shared by the React games,
+ * the /api routes and lib/validation so client and server always derive
+ * identical seeds from identical inputs.
+ *
+ * - generateSeed(blockData, gameId, rngVersion) → shuffle seed from block data
+ * - deriveRandomValue(serverSecret, blockData, purpose, clientSeed) → commit-reveal random value
+ * - hashSecret(serverSecret) → commitment hash
+ */
+
+import CryptoJS from 'crypto-js';
+
+export const RNG_VERSION_LEGACY = 1;
+export const RNG_VERSION_SHA256 = 2;
+export const CURRENT_RNG_VERSION = RNG_VERSION_SHA256;
+
+/**
+ * Resolves the RNG version a stored game was created with
+ * @param {object} record - Game record (blockchainData, verification data, etc.)
+ * @returns {number} RNG version (records without one predate v2)
+ */
+export function resolveRngVersion(record) {
+  return record?.rngVersion || RNG_VERSION_LEGACY;
+}
+
+/**
+ * Simple hash function for combining inputs
+ * LEGACY (v1): only used to rebuild pre-v2 seeds
+ * @param {string} input - String to hash
+ * @returns {number} 32-bit hash value
+ */
+function simpleHash(input) {
+  let hash = 0;
+  for (let i = 0; i < input.length; i++) {
+    const char = input.charCodeAt(i);
+    hash = ((hash << 5) - hash) + char;
+    hash = hash & hash; // Convert to 32-bit integer
+  }
+  return Math.abs(hash);
+}
+
+/**
+ * Builds the seed input string from block data and game ID
+ * @param {object|string} blockData - Block data object or legacy blockHash string
+ * @param {string} gameId - Unique game identifier
+ * @returns {string} Colon-joined seed input
+ */
+export function buildSeedInput(blockData, gameId) {
+  // Support both object (new) and string (legacy) formats
+  if (typeof blockData === 'object' && blockData !== null) {
+    const { blockHash, hash, txHash, timestamp, txIndex } = blockData;
+    const actualHash = blockHash || hash;
+    return `${actualHash}:${txHash || ''}:${timestamp || 0}:${gameId}:${txIndex || 0}`;
+  }
+  // Legacy format: just blockHash string
+  return `${blockData}:${gameId}`;
+}
+
+/**
+ * Generates deterministic seed from block data and game ID
+ *
+ * @param {object|string} blockData - Block data object or legacy blockHash string
+ * @param {string} gameId - Unique game identifier
+ * @param {number} rngVersion - RNG version (default: current)
+ * @returns {string} 64-char hex string seed
+ */
+export function generateSeed(blockData, gameId, rngVersion = CURRENT_RNG_VERSION) {
+  const input = buildSeedInput(blockData, gameId);
+
+  if (rngVersion !== RNG_VERSION_LEGACY) {
+    return CryptoJS.SHA256(input).toString();
+  }
+
+  // Generate multiple hash rounds for better distribution
+  const hash1 = simpleHash(input);
+  const hash2 = simpleHash(input + hash1.toString());
+  const hash3 = simpleHash(hash1.toString() + hash2.toString());
+  const hash4 = simpleHash(hash2.toString() + hash3.toString());
+
+  // Combine into 64-char hex string
+  const hex1 = hash1.toString(16).padStart(8, '0');
+  const hex2 = hash2.toString(16).padStart(8, '0');
+  const hex3 = hash3.toString(16).padStart(8, '0');
+  const hex4 = hash4.toString(16).padStart(8, '0');
+
+  return (hex1 + hex2 + hex3 + hex4 + hex1 + hex2 + hex3 + hex4).slice(0, 64);
+}
+
+/**
+ * Derives a commit-reveal random value (same formula as /api/game/random)
+ * SHA256(serverSecret:blockHash:txHash:timestamp:txIndex[:clientSeed]:purpose)
+ * Sessions started without a client seed keep the original six components.
+ * @param {string} serverSecret - Server secret (hidden until reveal)
+ * @param {object} blockData - Anchored block data
+ * @param {string} purpose - Unique purpose string (e.g., 'roll-1', 'deck-shuffle')
+ * @param {string|null} clientSeed - Player's seed bound at session start
+ * @returns {string} 64-char hex random value
+ */
+export function deriveRandomValue(serverSecret, blockData, purpose, clientSeed = null) {
+  const components = [
+    serverSecret,
+    blockData.blockHash,
+    blockData.txHash || '',
+    String(blockData.timestamp || ''),
+    String(blockData.txIndex || ''),
+    ...(clientSeed ? [clientSeed] : []),
+    purpose
+  ];
+
+  return CryptoJS.SHA256(components.join(':')).toString();
+}
+
+/**
+ * Computes the commitment hash for a server secret
+ * @param {string} serverSecret - Server secret
+ * @returns {string} SHA256(serverSecret) as hex
+ */
+export function hashSecret(serverSecret) {
+  return CryptoJS.SHA256(serverSecret).toString();
+}
+
+/**
+ * Checks a revealed secret against its commitment
+ * @param {string} serverSecret - Revealed server secret
+ * @param {string} secretHash - Commitment hash published at game start
+ * @returns {boolean} True if SHA256(serverSecret) === secretHash
+ */
+export function verifyCommitment(serverSecret, secretHash) {
+  return Boolean(serverSecret) && hashSecret(serverSecret) === secretHash;
+}
+
+export default {
+  generateSeed,
+  deriveRandomValue,
+  hashSecret,
+  verifyCommitment,
+  resolveRngVersion
+};
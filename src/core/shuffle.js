@@ -1,5 +1,5 @@
 /**
- * Deterministic Card Shuffle Module (Enhanced Anti-Spoofing)
+ * Provably Fair Core - Deterministic Card Shuffle (Enhanced Anti-Spoofing)
  *
  * Uses blockchain hash + transaction hash + timestamp for provably fair shuffling.
  * Same inputs ALWAYS produce same shuffle — anyone can verify.
@@ -9,15 +9,43 @@
  * - shuffleDeckStrings(seed) → card strings "A♠", "7♥" (for Garbage)
  * - shuffleArray(array, seed) → any array shuffled (generic, for Blackjack)
  * - createMultiDeckShoe(n) → n-deck shoe for Blackjack
+ *
+ * RNG versions (recorded on every game as `rngVersion`):
+ * - v1 (legacy): 31-bit LCG seeded from the first 8 hex chars of the seed
+ * - v2: SHA-256 counter mode over the full seed with rejection sampling
+ * Games saved without an `rngVersion` are replayed with v1.
  */
 
+/* global BigInt */
+
+import CryptoJS from 'crypto-js';
+import {
+  buildSeedInput,
+  generateSeed,
+  resolveRngVersion,
+  RNG_VERSION_LEGACY,
+  RNG_VERSION_SHA256,
+  CURRENT_RNG_VERSION
+} from './seed.js';
+
+export {
+  generateSeed,
+  resolveRngVersion,
+  RNG_VERSION_LEGACY,
+  RNG_VERSION_SHA256,
+  CURRENT_RNG_VERSION
+} from './seed.js';
+
+const UINT32_RANGE = 0x100000000;
+
 /**
  * Creates a seeded pseudo-random number generator (LCG algorithm)
  * Uses BigInt for exact integer arithmetic to match Python implementation
+ * LEGACY (v1): only kept so pre-v2 games can still be replayed
  * @param {string} seed - Hex string seed
  * @returns {function(): number} Function returning random numbers 0-1
  */
-function seedRandom(seed) {
+function seedRandomLegacy(seed) {
   // Convert hex seed to numeric value (use first 8 chars for 32-bit int)
   let state = BigInt(parseInt(seed.slice(0, 8), 16));
 
@@ -33,53 +61,56 @@ function seedRandom(seed) {
 }
 
 /**
- * Simple hash function for combining inputs
- * @param {string} input - String to hash
- * @returns {number} 32-bit hash value
+ * Creates a hash-chained generator (SHA-256 in counter mode)
+ * Block n = SHA256(seed + ':' + n), consumed as eight 32-bit words
+ * @param {string} seed - Hex string seed (all characters are used)
+ * @returns {function(): number} Function returning uint32 values
  */
-function simpleHash(input) {
-  let hash = 0;
-  for (let i = 0; i < input.length; i++) {
-    const char = input.charCodeAt(i);
-    hash = ((hash << 5) - hash) + char;
-    hash = hash & hash; // Convert to 32-bit integer
-  }
-  return Math.abs(hash);
+function createSha256Generator(seed) {
+  let counter = 0;
+  let words = [];
+
+  return function() {
+    if (words.length === 0) {
+      words = CryptoJS.SHA256(`${seed}:${counter}`).words.map(w => w >>> 0);
+      counter++;
+    }
+    return words.shift();
+  };
 }
 
 /**
- * Generates deterministic seed from block data and game ID
- *
- * @param {object|string} blockData - Block data object or legacy blockHash string
- * @param {string} gameId - Unique game identifier
- * @returns {string} 64-char hex string seed
+ * Draws an unbiased integer in [0, max) using rejection sampling
+ * @param {function(): number} nextUint32 - Generator from createSha256Generator
+ * @param {number} max - Exclusive upper bound (1 to 2^32)
+ * @returns {number} Uniform integer in [0, max)
  */
-export function generateSeed(blockData, gameId) {
-  let input;
-
-  // Support both object (new) and string (legacy) formats
-  if (typeof blockData === 'object' && blockData !== null) {
-    const { blockHash, hash, txHash, timestamp, txIndex } = blockData;
-    const actualHash = blockHash || hash;
-    input = `${actualHash}:${txHash || ''}:${timestamp || 0}:${gameId}:${txIndex || 0}`;
-  } else {
-    // Legacy format: just blockHash string
-    input = `${blockData}:${gameId}`;
-  }
-
-  // Generate multiple hash rounds for better distribution
-  const hash1 = simpleHash(input);
-  const hash2 = simpleHash(input + hash1.toString());
-  const hash3 = simpleHash(hash1.toString() + hash2.toString());
-  const hash4 = simpleHash(hash2.toString() + hash3.toString());
-
-  // Combine into 64-char hex string
-  const hex1 = hash1.toString(16).padStart(8, '0');
-  const hex2 = hash2.toString(16).padStart(8, '0');
-  const hex3 = hash3.toString(16).padStart(8, '0');
-  const hex4 = hash4.toString(16).padStart(8, '0');
+function randomInt(nextUint32, max) {
+  // Largest multiple of max that fits in 32 bits; anything above is rejected
+  const limit = UINT32_RANGE - (UINT32_RANGE % max);
+  let value;
+  do {
+    value = nextUint32();
+  } while (value >= limit);
+  return value % max;
+}
 
-  return (hex1 + hex2 + hex3 + hex4 + hex1 + hex2 + hex3 + hex4).slice(0, 64);
+/**
+ * Creates an index picker for Fisher-Yates for the given RNG version
+ * @param {string} seed - Hex string seed
+ * @param {number} rngVersion - RNG version
+ * @returns {function(number): number} Function returning an integer in [0, max)
+ */
+function createIndexPicker(seed, rngVersion) {
+  if (rngVersion === RNG_VERSION_LEGACY) {
+    const random = seedRandomLegacy(seed);
+    return (max) => Math.floor(random() * max);
+  }
+  if (rngVersion === RNG_VERSION_SHA256) {
+    const nextUint32 = createSha256Generator(seed);
+    return (max) => randomInt(nextUint32, max);
+  }
+  throw new Error(`Unsupported RNG version: ${rngVersion}`);
 }
 
 /**
@@ -154,14 +185,15 @@ export function createMultiDeckShoe(numDecks = 6) {
  * Shuffles any array using seeded random (Fisher-Yates)
  * @param {Array} array - Array to shuffle (will be copied)
  * @param {string} seed - Hex seed string
+ * @param {number} rngVersion - RNG version (default: current)
  * @returns {Array} New shuffled array
  */
-export function shuffleArray(array, seed) {
+export function shuffleArray(array, seed, rngVersion = CURRENT_RNG_VERSION) {
   const result = [...array];
-  const random = seedRandom(seed);
+  const pickIndex = createIndexPicker(seed, rngVersion);
 
   for (let i = result.length - 1; i > 0; i--) {
-    const j = Math.floor(random() * (i + 1));
+    const j = pickIndex(i + 1);
     [result[i], result[j]] = [result[j], result[i]];
   }
 
@@ -171,19 +203,21 @@ export function shuffleArray(array, seed) {
 /**
  * Shuffles deck as strings (for Garbage)
  * @param {string} seed - Hex string seed
+ * @param {number} rngVersion - RNG version (default: current)
  * @returns {string[]} Shuffled deck of card strings
  */
-export function shuffleDeckStrings(seed) {
-  return shuffleArray(createDeckStrings(), seed);
+export function shuffleDeckStrings(seed, rngVersion = CURRENT_RNG_VERSION) {
+  return shuffleArray(createDeckStrings(), seed, rngVersion);
 }
 
 /**
  * Shuffles deck as objects (for Solitaire)
  * @param {string} seed - Hex string seed
+ * @param {number} rngVersion - RNG version (default: current)
  * @returns {Object[]} Shuffled deck of card objects
  */
-export function shuffleDeck(seed) {
-  return shuffleArray(createDeck(), seed);
+export function shuffleDeck(seed, rngVersion = CURRENT_RNG_VERSION) {
+  return shuffleArray(createDeck(), seed, rngVersion);
 }
 
 /**
@@ -192,24 +226,25 @@ export function shuffleDeck(seed) {
  * @param {object|string} blockData - Block data object or legacy blockHash string
  * @param {string} gameId - Game identifier
  * @param {Array} claimedDeck - Deck order to verify (strings or objects)
+ * @param {number} rngVersion - RNG version the game was dealt with (default: legacy v1)
  * @returns {boolean} True if deck matches expected shuffle
  */
-export function verifyShuffle(blockData, gameId, claimedDeck) {
+export function verifyShuffle(blockData, gameId, claimedDeck, rngVersion = RNG_VERSION_LEGACY) {
   if (!claimedDeck || claimedDeck.length < 1) {
     return false;
   }
 
-  const seed = generateSeed(blockData, gameId);
+  const seed = generateSeed(blockData, gameId, rngVersion);
   const isObjectFormat = typeof claimedDeck[0] === 'object';
 
   // Determine expected deck based on length and format
   let expectedDeck;
   if (claimedDeck.length === 52) {
-    expectedDeck = isObjectFormat ? shuffleDeck(seed) : shuffleDeckStrings(seed);
+    expectedDeck = isObjectFormat ? shuffleDeck(seed, rngVersion) : shuffleDeckStrings(seed, rngVersion);
   } else {
     // Multi-deck shoe (e.g., 312 cards for 6 decks)
     const numDecks = Math.round(claimedDeck.length / 52);
-    expectedDeck = shuffleArray(createMultiDeckShoe(numDecks), seed);
+    expectedDeck = shuffleArray(createMultiDeckShoe(numDecks), seed, rngVersion);
   }
 
   for (let i = 0; i < expectedDeck.length; i++) {
@@ -231,9 +266,10 @@ export function verifyShuffle(blockData, gameId, claimedDeck) {
  * Extracts seed components for display/verification
  * @param {object} blockData - Block data object
  * @param {string} gameId - Game ID
+ * @param {number} rngVersion - RNG version (default: current)
  * @returns {object} Seed components for transparency
  */
-export function getSeedComponents(blockData, gameId) {
+export function getSeedComponents(blockData, gameId, rngVersion = CURRENT_RNG_VERSION) {
   const { blockHash, hash, txHash, timestamp, txIndex } = blockData;
   const actualHash = blockHash || hash;
   return {
@@ -242,13 +278,15 @@ export function getSeedComponents(blockData, gameId) {
     timestamp,
     txIndex,
     gameId,
-    combinedInput: `${actualHash}:${txHash || ''}:${timestamp || 0}:${gameId}:${txIndex || 0}`,
-    seed: generateSeed(blockData, gameId)
+    rngVersion,
+    combinedInput: buildSeedInput(blockData, gameId),
+    seed: generateSeed(blockData, gameId, rngVersion)
   };
 }
 
 export default { 
   generateSeed, 
+  resolveRngVersion,
   createDeck, 
   createDeckStrings,
   createMultiDeckShoe,
@@ -17,6 +17,7 @@ import { useGameState, encodeMoveHistory, getHighestTile } from './gameState';
 import Grid from './Grid';
 import GameControls from './GameControls';
 import { getLatestBlock } from '../../blockchain/ergo-api';
+import { loadResumableGame, saveResumableGame, clearResumableGame } from '../../blockchain/sessionResume';
 import { submitScore } from '../../services/leaderboard';
 
 /**
@@ -28,7 +29,8 @@ const Game2048 = () => {
     initGame,
     move,
     continueAfterWin,
-    newGame
+    newGame,
+    restoreGame
   } = useGameState();
 
   const [isLoading, setIsLoading] = useState(false);
@@ -62,18 +64,35 @@ const Game2048 = () => {
   }, []);
 
   /**
-   * Initialize game on mount
+   * Initialize game on mount (resuming a saved game if there is one)
+   * Every dependency is a stable callback, so this runs once
    */
   useEffect(() => {
     const startGame = async () => {
-      if (state.gameId) return;
       setIsLoading(true);
-      const blockData = await fetchBlockData();
-      initGame(blockData);
+      const resumed = await loadResumableGame('2048');
+      if (resumed) {
+        restoreGame(resumed.state);
+      } else {
+        const blockData = await fetchBlockData();
+        initGame(blockData);
+      }
       setIsLoading(false);
     };
     startGame();
-  }, []);
+  }, [fetchBlockData, initGame, restoreGame]);
+
+  /**
+   * Save the game while it's in progress so a reload can resume it
+   */
+  useEffect(() => {
+    if (!state.gameId) return;
+    if (state.gameStatus === 'lost') {
+      clearResumableGame('2048');
+    } else {
+      saveResumableGame('2048', null, state);
+    }
+  }, [state]);
 
   /**
    * Prevent default touch behavior on the whole page when game is active
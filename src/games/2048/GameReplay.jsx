@@ -4,8 +4,8 @@
  */
 
 import React, { useState, useEffect, useRef, useCallback } from 'react';
-import { createEmptyGrid, cloneGrid, slideGrid, getEmptyCells, canMove, hasWon } from './gridLogic';
-import { generateMasterSeed, calculateSpawnPosition, calculateSpawnValue } from './spawnLogic';
+import { createEmptyGrid, cloneGrid, slideGrid, getEmptyCells, canMove, hasWon } from '../../core/games/2048/gridLogic';
+import { generateMasterSeed, calculateSpawnPosition, calculateSpawnValue } from '../../core/games/2048/spawnLogic';
 import Grid from './Grid';
 
 /**
@@ -6,7 +6,7 @@
 import React, { useState, useMemo, useEffect } from 'react';
 import { useParams, useLocation, useNavigate } from 'react-router-dom';
 import UnifiedVerification from '../../components/UnifiedVerification';
-import { verifySpawn } from './spawnLogic';
+import { verifySpawn } from '../../core/games/2048/spawnLogic';
 import { formatScore } from './scoreLogic';
 import { encodeMoveHistory } from './gameState';
 import GameReplay from './GameReplay';
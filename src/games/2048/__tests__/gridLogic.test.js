@@ -23,7 +23,7 @@ import {
   slideGrid,
   canMove,
   hasWon
-} from '../gridLogic';
+} from '../../../core/games/2048/gridLogic';
 
 // ============================================
 // TEST HELPERS
@@ -8,8 +8,8 @@
 
 import { useReducer, useCallback, useEffect } from 'react';
 import CryptoJS from 'crypto-js';
-import { createEmptyGrid, slideGrid, canMove, hasWon, getEmptyCells, cloneGrid } from './gridLogic';
-import { spawnTile, createSpawnRecord } from './spawnLogic';
+import { createEmptyGrid, slideGrid, canMove, hasWon, getEmptyCells, cloneGrid } from '../../core/games/2048/gridLogic';
+import { spawnTile, createSpawnRecord } from '../../core/games/2048/spawnLogic';
 
 /**
  * Generate a secure game ID using anchor block data
@@ -83,7 +83,8 @@ export const ACTIONS = {
   MOVE: 'MOVE',
   CONTINUE_AFTER_WIN: 'CONTINUE_AFTER_WIN',
   NEW_GAME: 'NEW_GAME',
-  LOAD_HIGH_SCORE: 'LOAD_HIGH_SCORE'
+  LOAD_HIGH_SCORE: 'LOAD_HIGH_SCORE',
+  RESTORE: 'RESTORE'
 };
 
 /**
@@ -257,6 +258,15 @@ export const gameReducer = (state, action) => {
       };
     }
 
+    case ACTIONS.RESTORE: {
+      // Resume a saved in-progress game (spawns re-derive from its anchor block)
+      return {
+        ...initialState,
+        ...action.state,
+        highScore: Math.max(state.highScore, action.state.highScore || 0)
+      };
+    }
+
     default:
       return state;
   }
@@ -306,13 +316,22 @@ export const useGameState = () => {
     dispatch({ type: ACTIONS.NEW_GAME });
   }, []);
 
+  /**
+   * Resume a saved in-progress game
+   * @param {Object} savedState - State saved with saveResumableGame
+   */
+  const restoreGame = useCallback((savedState) => {
+    dispatch({ type: ACTIONS.RESTORE, state: savedState });
+  }, []);
+
   return {
     state,
     dispatch,
     initGame,
     move,
     continueAfterWin,
-    newGame
+    newGame,
+    restoreGame
   };
 };
 
@@ -22,7 +22,7 @@ import {
   generateVerificationData,
   getPipCount
 } from './gameLogic';
-import { getAllLegalMoves, isTurnComplete, applyMove } from './moveValidation';
+import { getAllLegalMoves, isTurnComplete, applyMove } from '../../core/games/backgammon/moveValidation';
 import { selectMove, selectTurnSequence, shouldDouble, shouldAcceptDouble, getThinkingDelay } from './ai';
 
 // Component imports
@@ -283,7 +283,7 @@ const BackgammonGame = () => {
 
     try {
       // Initialize secure session (server commits secret, then get blockchain data)
-      const { sessionId, secretHash, blockData } = await startSecureGame('backgammon');
+      const { sessionId, secretHash, clientSeed, beacon, blockData } = await startSecureGame('backgammon');
 
       const blockchainData = {
         blockHeight: blockData.blockHeight,
@@ -293,7 +293,9 @@ const BackgammonGame = () => {
         txIndex: blockData.txIndex,
         txCount: blockData.txCount,
         sessionId,      // Add session ID
-        secretHash      // Add commitment hash
+        secretHash,     // Add commitment hash
+        clientSeed,     // Player's seed mixed into every derivation
+        beacon          // Randomness beacon the block came from
       };
 
       // Store session info
@@ -319,16 +321,19 @@ const BackgammonGame = () => {
     setErrorMessage(null);
 
     try {
-      turnNumberRef.current++;
+      // Only advance the turn counter once the roll succeeds, so roll-N
+      // always lines up with rollHistory[N-1] for server-side replay
+      const turnNumber = turnNumberRef.current + 1;
 
       // Use secure RNG (combines server secret + blockchain)
-      const dice = await rollDiceSecure(sessionId, turnNumberRef.current);
+      const dice = await rollDiceSecure(sessionId, turnNumber);
+      turnNumberRef.current = turnNumber;
 
       // Store verification data
       const verificationData = generateVerificationData(
         state.blockchainData.blockHash,
         state.gameId,
-        turnNumberRef.current,
+        turnNumber,
         dice
       );
 
@@ -388,10 +393,10 @@ const BackgammonGame = () => {
         return;
       }
 
-      turnNumberRef.current++;
+      const turnNumber = turnNumberRef.current + 1;
 
       // Use secure RNG (combines server secret + blockchain)
-      const dice = await rollDiceSecure(sessionId, turnNumberRef.current);
+      const dice = await rollDiceSecure(sessionId, turnNumber);
 
       // Check again if game ended during the async call
       if (stateRef.current.phase === 'gameOver') {
@@ -399,6 +404,8 @@ const BackgammonGame = () => {
         return;
       }
 
+      turnNumberRef.current = turnNumber;
+
       dispatch(actions.rollDice(dice, currentState.blockchainData.blockHash));
 
       // After dispatch, reset isRolling after a short delay
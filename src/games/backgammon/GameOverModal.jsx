@@ -129,7 +129,9 @@ const GameOverModal = ({
           difficulty,
           cubeValue,
           loserPipCount,
-          moveHistory: moveHistory || []
+          sessionId: blockchainData?.sessionId,
+          moveHistory: moveHistory || [],
+          rollHistory: rollHistory || []
         })
       });
 
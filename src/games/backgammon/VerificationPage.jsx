@@ -8,6 +8,8 @@ import { useParams, useLocation } from 'react-router-dom';
 import { Link } from 'react-router-dom';
 import CryptoJS from 'crypto-js';
 import BackgammonReplay from './BackgammonReplay';
+import { deriveRandomValue } from '../../core/seed';
+import { describeBeaconRound } from '../../core/beacons';
 
 // ============================================
 // COMMIT-REVEAL VERIFICATION FUNCTIONS
@@ -21,15 +23,6 @@ function verifySecretCommitment(serverSecret, secretHash) {
   return calculatedHash === secretHash;
 }
 
-/**
- * Generate seed using commit-reveal formula
- * Formula: SHA256(serverSecret + blockHash + timestamp + purpose)
- */
-function generateCommitRevealSeed(serverSecret, blockHash, timestamp, purpose) {
-  const input = serverSecret + blockHash + timestamp.toString() + purpose;
-  return CryptoJS.SHA256(input).toString();
-}
-
 /**
  * Calculate dice using rejection sampling (matches game logic)
  */
@@ -86,14 +79,17 @@ const DiceDisplay = ({ dice }) => (
 // ============================================
 // ROLL VERIFICATION (COMMIT-REVEAL)
 // ============================================
-const generateRollVerification = (roll, index, serverSecret, blockHash, timestamp) => {
+const generateRollVerification = (roll, index, serverSecret, blockData) => {
   if (!serverSecret) {
     return { verified: null, error: 'Server secret not available' };
   }
+  if (!blockData) {
+    return { verified: null, error: 'Block data not available' };
+  }
 
   // Purpose matches game logic: roll-1, roll-2, roll-3, etc.
   const purpose = `roll-${index + 1}`;
-  const seed = generateCommitRevealSeed(serverSecret, blockHash, timestamp, purpose);
+  const seed = deriveRandomValue(serverSecret, blockData, purpose, blockData.clientSeed);
   const calculatedDice = calculateDiceFromSeed(seed);
 
   return {
@@ -107,9 +103,9 @@ const generateRollVerification = (roll, index, serverSecret, blockHash, timestam
 // ============================================
 // ROLL ITEM COMPONENT
 // ============================================
-function RollItem({ roll, index, serverSecret, blockHash, timestamp }) {
+function RollItem({ roll, index, serverSecret, blockData }) {
   const [expanded, setExpanded] = useState(false);
-  const verification = generateRollVerification(roll, index, serverSecret, blockHash, timestamp);
+  const verification = generateRollVerification(roll, index, serverSecret, blockData);
 
   return (
     <div style={rollStyles.container}>
@@ -150,7 +146,7 @@ function RollItem({ roll, index, serverSecret, blockHash, timestamp }) {
           <div style={rollStyles.formula}>
             <div style={{ color: '#94a3b8', fontSize: 11, marginBottom: 6 }}>🔐 Commit-Reveal Formula:</div>
             <code style={{ color: '#22c55e', fontSize: 11, display: 'block', marginBottom: 8 }}>
-              seed = SHA256(serverSecret + blockHash + timestamp + purpose)
+              seed = SHA256(serverSecret:blockHash:txHash:timestamp:txIndex[:clientSeed]:purpose)
             </code>
             <div style={{ fontSize: 10, color: '#64748b' }}>
               <div>• Server commits hash BEFORE blockchain data</div>
@@ -486,8 +482,7 @@ export default function BackgammonVerificationPage() {
               roll={roll}
               index={index}
               serverSecret={gameData.serverSecret}
-              blockHash={gameData.blockchainData?.blockHash}
-              timestamp={gameData.blockchainData?.timestamp}
+              blockData={gameData.blockchainData}
             />
           ))}
         </div>
@@ -575,6 +570,8 @@ export default function BackgammonVerificationPage() {
     );
   }
 
+  const anchorRound = describeBeaconRound(gameData.blockchainData, gameData.blockchainData?.beacon);
+
   return (
     <div style={styles.container}>
       <div style={styles.wrapper}>
@@ -634,6 +631,7 @@ export default function BackgammonVerificationPage() {
           <div style={styles.section}>
             <h2 style={styles.sectionTitle}>⚓ Blockchain Anchor</h2>
             <div style={{ fontSize: 12, color: '#94a3b8', lineHeight: 1.8 }}>
+              <div><strong>Beacon:</strong> {anchorRound.label}</div>
               <div><strong>Block Height:</strong> #{gameData.blockchainData.blockHeight?.toLocaleString()}</div>
               <div><strong>Block Hash:</strong> <span style={styles.mono}>{truncateHash(gameData.blockchainData.blockHash, 16)}</span></div>
               <div><strong>Timestamp:</strong> {new Date(gameData.blockchainData.timestamp).toLocaleString()}</div>
@@ -641,14 +639,16 @@ export default function BackgammonVerificationPage() {
                 <div><strong>Session ID:</strong> <span style={styles.mono}>{truncateHash(gameData.sessionId, 16)}</span></div>
               )}
             </div>
-            <a
-              href={`https://explorer.ergoplatform.com/en/blocks/${gameData.blockchainData.blockHash}`}
-              target="_blank"
-              rel="noopener noreferrer"
-              style={styles.explorerLink}
-            >
-              View on Ergo Explorer ↗
-            </a>
+            {anchorRound.url && (
+              <a
+                href={anchorRound.url}
+                target="_blank"
+                rel="noopener noreferrer"
+                style={styles.explorerLink}
+              >
+                View on {anchorRound.siteName} ↗
+              </a>
+            )}
           </div>
         )}
 
@@ -12,7 +12,7 @@
  */
 
 import { selectMove } from '../ai';
-import { getAllLegalMoves } from '../moveValidation';
+import { getAllLegalMoves } from '../../../core/games/backgammon/moveValidation';
 import {
   createEmptyState,
   placeChecker,
@@ -15,7 +15,7 @@ import {
   mustEnterFromBar,
   getLegalBarEntries,
   canMoveFrom
-} from '../moveValidation';
+} from '../../../core/games/backgammon/moveValidation';
 
 import {
   getBarEntryPoint,
@@ -13,7 +13,7 @@
 import {
   canBearOff,
   getLegalBearOffMoves
-} from '../moveValidation';
+} from '../../../core/games/backgammon/moveValidation';
 
 import {
   allCheckersInHome,
@@ -19,7 +19,7 @@
 import {
   getAllLegalMoves,
   canMakeMove
-} from '../moveValidation';
+} from '../../../core/games/backgammon/moveValidation';
 
 import {
   isDoubles,
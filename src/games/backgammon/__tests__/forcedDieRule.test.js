@@ -14,7 +14,7 @@
 
 import {
   getAllLegalMoves
-} from '../moveValidation';
+} from '../../../core/games/backgammon/moveValidation';
 
 import {
   createEmptyState,
@@ -12,7 +12,7 @@
  * - Game end conditions
  */
 
-import { getAllLegalMoves, applyMove } from '../moveValidation';
+import { getAllLegalMoves, applyMove } from '../../../core/games/backgammon/moveValidation';
 import { selectMove } from '../ai';
 import {
   createEmptyState,
@@ -14,7 +14,7 @@ import {
   canMoveFrom,
   canMoveTo,
   getMovesFromPoint
-} from '../moveValidation';
+} from '../../../core/games/backgammon/moveValidation';
 
 import {
   isPointBlocked,
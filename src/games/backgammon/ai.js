@@ -14,7 +14,7 @@ import {
   getHomeRange,
   allCheckersInHome
 } from './gameLogic';
-import { applyMove, getAllLegalMoves } from './moveValidation';
+import { applyMove, getAllLegalMoves } from '../../core/games/backgammon/moveValidation';
 import { getGnubgInterface } from './gnubg/gnubg-interface';
 import { isGnubgLoaded } from './gnubg/gnubg-loader';
 
@@ -10,7 +10,7 @@
  */
 
 import CryptoJS from 'crypto-js';
-import { getAllLegalMoves } from './moveValidation';
+import { getAllLegalMoves } from '../../core/games/backgammon/moveValidation';
 import { getPipCount } from './gameLogic';
 
 // ============================================
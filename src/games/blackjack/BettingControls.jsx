@@ -1,5 +1,6 @@
 /**
- * BettingControls - Chip selection, bet display, session timer, cash out & extend
+ * BettingControls - Chip selection, bet display, session timer, cash out & extend,
+ * and the opt-in strategy hint and counting aid toggles
  */
 
 import React, { useState } from 'react';
@@ -27,7 +28,9 @@ export default function BettingControls({
   onExtendSession,
   disabled,
   timeRemaining,
-  extensionsUsed
+  extensionsUsed,
+  strategyHints,
+  onStrategyHintsChange
 }) {
   const [showExtendPrompt, setShowExtendPrompt] = useState(false);
 
@@ -151,6 +154,35 @@ export default function BettingControls({
           Clear
         </button>
       </div>
+
+      {/* Practice aids (opt-in) */}
+      <div className="hint-toggles">
+        <label>
+          <input
+            type="checkbox"
+            checked={strategyHints.hints}
+            onChange={(e) => onStrategyHintsChange({ ...strategyHints, hints: e.target.checked })}
+          />
+          Strategy hints
+        </label>
+        <label>
+          <input
+            type="checkbox"
+            checked={strategyHints.indexPlays}
+            disabled={!strategyHints.hints}
+            onChange={(e) => onStrategyHintsChange({ ...strategyHints, indexPlays: e.target.checked })}
+          />
+          Count index plays (Hi-Lo)
+        </label>
+        <label>
+          <input
+            type="checkbox"
+            checked={strategyHints.countOverlay}
+            onChange={(e) => onStrategyHintsChange({ ...strategyHints, countOverlay: e.target.checked })}
+          />
+          Count overlay
+        </label>
+      </div>
     </div>
   );
 }
@@ -1,21 +1,52 @@
 /**
  * BlackjackGame - Main game component orchestrating all game flow
+ *
+ * The table rules are picked before a session starts (menu → Table), sent
+ * to /api/game/start and committed with the session; the table plays the
+ * rules the server echoes back.
  */
 
 import React, { useReducer, useEffect, useState, useCallback, useRef } from 'react';
 import { Link } from 'react-router-dom';
 import './blackjack.css';
-import { shuffleArray } from '../../blockchain/shuffle';
+import { shuffleArray, CURRENT_RNG_VERSION } from '../../core/shuffle';
 import { startSecureGame, getSecureRandom, endSecureSession } from '../../blockchain/secureRng';
-import { blackjackReducer, initialState, createSixDeckShoe, dealCard } from './gameState';
+import { loadResumableGame, saveResumableGame, clearResumableGame } from '../../blockchain/sessionResume';
+import { blackjackReducer, initialState, createShoe, dealCard } from './gameState';
 import {
   shouldDealerHit, isBlackjack, isBust, calculateHandValue,
   compareHands, calculatePayout, calculateInsurancePayout
-} from './gameLogic';
+} from '../../core/games/blackjack/gameLogic';
+import {
+  TABLE_RULE_PRESETS, normalizeTableRules, describeTableRules, getRulesetId
+} from '../../core/games/blackjack/tableRules';
+import { DEFAULT_COUNT_SYSTEM } from '../../core/games/blackjack/counting';
 import BlackjackTable from './BlackjackTable';
 import BettingControls from './BettingControls';
+import CountOverlay from './CountOverlay';
 import GameOverModal from './GameOverModal';
 
+const TABLE_PRESET_KEY = 'blackjack_table_preset';
+const DEFAULT_TABLE_PRESET = 'classic';
+
+const STRATEGY_HINTS_KEY = 'blackjack_strategy_hints';
+const DEFAULT_STRATEGY_HINTS = { hints: false, indexPlays: false, countOverlay: false, countSystem: DEFAULT_COUNT_SYSTEM };
+
+/** Table the player last picked (applies from the next session) */
+function loadTablePreset() {
+  const saved = localStorage.getItem(TABLE_PRESET_KEY);
+  return TABLE_RULE_PRESETS[saved] ? saved : DEFAULT_TABLE_PRESET;
+}
+
+/** Practice hints and counting aids the player opted into (off by default) */
+function loadStrategyHints() {
+  try {
+    return { ...DEFAULT_STRATEGY_HINTS, ...JSON.parse(localStorage.getItem(STRATEGY_HINTS_KEY)) };
+  } catch (err) {
+    return DEFAULT_STRATEGY_HINTS;
+  }
+}
+
 export default function BlackjackGame() {
   const [state, dispatch] = useReducer(blackjackReducer, initialState);
   const [loading, setLoading] = useState(true);
@@ -23,6 +54,8 @@ export default function BlackjackGame() {
   const [showGameOver, setShowGameOver] = useState(false);
   const [insuranceDeclined, setInsuranceDeclined] = useState(false);
   const [showMenu, setShowMenu] = useState(false);
+  const [tablePreset, setTablePreset] = useState(loadTablePreset);
+  const [strategyHints, setStrategyHints] = useState(loadStrategyHints);
 
   // Secure RNG session
   const [sessionId, setSessionId] = useState(null);
@@ -40,14 +73,16 @@ export default function BlackjackGame() {
     setLoading(true);
     setError(null);
     try {
-      // Initialize secure session (server commits secret, then get blockchain data)
-      const { sessionId, secretHash, blockData } = await startSecureGame('blackjack');
+      // Initialize secure session (server commits secret and table rules, then get blockchain data)
+      const { sessionId, secretHash, clientSeed, beacon, tableRules: committedRules, blockData } =
+        await startSecureGame('blackjack', { tableRules: TABLE_RULE_PRESETS[loadTablePreset()].rules });
+      const tableRules = normalizeTableRules(committedRules);
       const newGameId = `BJK-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
 
       // Get secure random value for shoe shuffle
       const seed = await getSecureRandom(sessionId, 'shoe-shuffle');
-      const rawShoe = createSixDeckShoe();
-      const shuffledShoe = shuffleArray(rawShoe, seed);
+      const rawShoe = createShoe(tableRules.decks);
+      const shuffledShoe = shuffleArray(rawShoe, seed, CURRENT_RNG_VERSION);
 
       const blockchainData = {
         blockHeight: blockData.blockHeight,
@@ -58,7 +93,11 @@ export default function BlackjackGame() {
         txCount: blockData.txCount,
         sessionId,      // Add session ID
         secretHash,     // Add commitment hash
-        seed
+        clientSeed,     // Player's seed mixed into every derivation
+        beacon,         // Randomness beacon the block came from
+        tableRules,     // Table rules committed with the session
+        seed,
+        rngVersion: CURRENT_RNG_VERSION
       };
 
       // Store session info
@@ -70,7 +109,8 @@ export default function BlackjackGame() {
         payload: {
           shuffledShoe,
           blockchainData,
-          gameId: newGameId
+          gameId: newGameId,
+          tableRules
         }
       });
       dispatch({ type: 'START_SESSION' });
@@ -82,8 +122,50 @@ export default function BlackjackGame() {
     }
   }, []);
 
+  // Resume a saved session if there is one
+  const resumeGame = useCallback(async () => {
+    const resumed = await loadResumableGame('blackjack');
+    if (!resumed) return false;
+
+    setSessionId(resumed.session.sessionId);
+    setSecretHash(resumed.session.secretHash);
+    dispatch({ type: 'RESTORE', payload: { state: resumed.state } });
+
+    // Reshuffles served after the snapshot was saved
+    let blockchainData = resumed.state.blockchainData;
+    const { decks } = normalizeTableRules(resumed.state.tableRules);
+    for (const { purpose, random } of resumed.pendingRandom) {
+      if (!purpose.startsWith('reshuffle-')) continue;
+      const shuffledShoe = shuffleArray(createShoe(decks), random, blockchainData.rngVersion);
+      blockchainData = { ...blockchainData, reshuffleSeeds: [...(blockchainData.reshuffleSeeds || []), random] };
+      dispatch({ type: 'RESHUFFLE', payload: { shuffledShoe, blockchainData } });
+      dispatch({ type: 'NEW_ROUND' });
+    }
+    return true;
+  }, []);
+
   // Initial load
-  useEffect(() => { initGame(); }, [initGame]);
+  useEffect(() => {
+    const load = async () => {
+      setLoading(true);
+      if (!(await resumeGame())) {
+        initGame();
+      } else {
+        setLoading(false);
+      }
+    };
+    load();
+  }, [initGame, resumeGame]);
+
+  // Save the session while it's in progress so a reload can resume it
+  useEffect(() => {
+    if (!sessionId || !state.gameId) return;
+    if (state.phase === 'sessionOver') {
+      clearResumableGame('blackjack');
+    } else {
+      saveResumableGame('blackjack', sessionId, state);
+    }
+  }, [state, sessionId]);
 
   // Session timer
   useEffect(() => {
@@ -131,6 +213,7 @@ export default function BlackjackGame() {
           handsWon: state.handsWon,
           blackjacksHit: state.blackjacksHit,
           startingBalance: state.startingBalance,
+          countingAidsUsed: state.countingAidsUsed,
           serverSecret: revealedSecret,
           secretHash: secretHash,
           sessionId: sessionId,
@@ -145,7 +228,7 @@ export default function BlackjackGame() {
     }
   }, [state.phase, state.gameId, state.shoe, state.shoePosition, state.roundHistory,
       state.blockchainData, state.chipBalance, state.peakBalance, state.handsPlayed,
-      state.handsWon, state.blackjacksHit, state.startingBalance, sessionId]);
+      state.handsWon, state.blackjacksHit, state.startingBalance, state.countingAidsUsed, sessionId]);
 
   // Resolve round and calculate payouts
   const resolveRound = useCallback((finalDealerHand, currentState) => {
@@ -158,8 +241,8 @@ export default function BlackjackGame() {
     
     const results = s.playerHands.map((hand, idx) => {
       const bet = s.handBets[idx] || 0;
-      const result = compareHands(hand, dealerHand);
-      const payout = calculatePayout(result, bet);
+      const result = compareHands(hand, dealerHand, false, s.surrendered);
+      const payout = calculatePayout(result, bet, s.tableRules);
       
       if (result === 'player_blackjack') blackjackCount++;
       totalPayout += payout;
@@ -207,12 +290,12 @@ export default function BlackjackGame() {
       dealerHand = dealerHand.map((c, i) => i === 1 ? { ...c, faceUp: true } : c);
       dispatch({ type: 'DEALER_PLAY', payload: { dealerHand, shoePosition: pos } });
 
-      // Check if all player hands busted - dealer doesn't need to draw
+      // Check if all player hands busted (or the player surrendered) - dealer doesn't need to draw
       const allBusted = currentState.playerHands.every(hand => isBust(hand));
       
-      if (!allBusted) {
+      if (!allBusted && !currentState.surrendered) {
         // Step 2: Dealer draws cards one at a time with delays
-        while (shouldDealerHit(dealerHand)) {
+        while (shouldDealerHit(dealerHand, currentState.tableRules)) {
           await new Promise(r => setTimeout(r, 1000)); // 1 second between cards
           const { card, newPosition } = dealCard(currentState.shoe, pos);
           dealerHand = [...dealerHand, card];
@@ -298,6 +381,25 @@ export default function BlackjackGame() {
   const handleStand = () => dispatch({ type: 'STAND' });
   const handleDoubleDown = () => dispatch({ type: 'DOUBLE_DOWN' });
   const handleSplit = () => dispatch({ type: 'SPLIT' });
+  const handleSurrender = () => dispatch({ type: 'SURRENDER' });
+
+  const handleTablePreset = (preset) => {
+    localStorage.setItem(TABLE_PRESET_KEY, preset);
+    setTablePreset(preset);
+  };
+
+  // Sessions played with the count on screen (overlay or index play hints) are flagged on the leaderboard
+  const countingAidsOn = strategyHints.countOverlay || (strategyHints.hints && strategyHints.indexPlays);
+  useEffect(() => {
+    if (countingAidsOn && state.sessionStartTime && state.phase !== 'sessionOver' && !state.countingAidsUsed) {
+      dispatch({ type: 'USE_COUNTING_AIDS' });
+    }
+  }, [countingAidsOn, state.sessionStartTime, state.phase, state.countingAidsUsed]);
+
+  const handleStrategyHints = (hints) => {
+    localStorage.setItem(STRATEGY_HINTS_KEY, JSON.stringify(hints));
+    setStrategyHints(hints);
+  };
 
   const handleInsurance = (take) => {
     console.log('[Insurance] User clicked:', take ? 'YES' : 'NO');
@@ -314,16 +416,18 @@ export default function BlackjackGame() {
     if (needsReshuffle) {
       setLoading(true);
       try {
-        // Get secure random value for reshuffle
-        const seed = await getSecureRandom(sessionId, `reshuffle-${Date.now()}`);
-        const rawShoe = createSixDeckShoe();
-        const shuffledShoe = shuffleArray(rawShoe, seed);
+        // Get secure random value for reshuffle (numbered so the server can re-deal every shoe)
+        const reshuffleSeeds = state.blockchainData.reshuffleSeeds || [];
+        const seed = await getSecureRandom(sessionId, `reshuffle-${reshuffleSeeds.length + 1}`);
+        const rawShoe = createShoe(state.tableRules.decks);
+        const shuffledShoe = shuffleArray(rawShoe, seed, state.blockchainData.rngVersion);
 
         dispatch({
           type: 'RESHUFFLE',
           payload: {
             shuffledShoe,
-            blockchainData: state.blockchainData // Keep existing blockchain data
+            // Keep existing blockchain data
+            blockchainData: { ...state.blockchainData, reshuffleSeeds: [...reshuffleSeeds, seed] }
           }
         });
       } catch (err) {
@@ -412,11 +516,34 @@ export default function BlackjackGame() {
           <Link to="/" onClick={() => setShowMenu(false)}>
             🏠 Home
           </Link>
+          <label>
+            Table (from next session)
+            <select value={tablePreset} onChange={(e) => handleTablePreset(e.target.value)}>
+              {Object.entries(TABLE_RULE_PRESETS).map(([key, preset]) => (
+                <option key={key} value={key}>{preset.name}</option>
+              ))}
+            </select>
+          </label>
         </div>
       )}
 
+      {/* Table rules committed with this session */}
+      <div className="table-rules" title={`Ruleset ${getRulesetId(state.tableRules)}`}>
+        {describeTableRules(state.tableRules).map(label => <span key={label}>{label}</span>)}
+      </div>
+
       {/* Main Game Area */}
       <div className="game-container">
+        {strategyHints.countOverlay && (
+          <CountOverlay
+            shoe={state.shoe}
+            shoePosition={state.shoePosition}
+            dealerHand={state.dealerHand}
+            decks={state.tableRules.decks}
+            system={strategyHints.countSystem}
+            onSystemChange={(countSystem) => handleStrategyHints({ ...strategyHints, countSystem })}
+          />
+        )}
         <BlackjackTable
           state={state}
           insuranceDeclined={insuranceDeclined}
@@ -424,7 +551,9 @@ export default function BlackjackGame() {
           onStand={handleStand}
           onDoubleDown={handleDoubleDown}
           onSplit={handleSplit}
+          onSurrender={handleSurrender}
           onInsurance={handleInsurance}
+          strategyHints={strategyHints}
         />
 
         {state.phase === 'betting' && state.chipBalance >= 5 && (
@@ -437,6 +566,8 @@ export default function BlackjackGame() {
             disabled={false}
             timeRemaining={state.timeRemaining}
             extensionsUsed={state.extensionsUsed}
+            strategyHints={strategyHints}
+            onStrategyHintsChange={handleStrategyHints}
           />
         )}
 
@@ -477,6 +608,7 @@ export default function BlackjackGame() {
           roundHistory={state.roundHistory}
           shoe={state.shoe}
           shoePosition={state.shoePosition}
+          countingAids={state.countingAidsUsed}
           onPlayAgain={handleNewSession}
           onClose={() => setShowGameOver(false)}
         />
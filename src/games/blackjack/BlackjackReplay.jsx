@@ -1,10 +1,13 @@
 /**
  * Blackjack Game Replay Component
- * Replays rounds from roundHistory with step-by-step dealing visualization
+ * Replays rounds from roundHistory with step-by-step dealing visualization,
+ * followed by a per-hand report of strategy mistakes and their EV cost
  */
 
-import React, { useState, useEffect, useRef } from 'react';
-import { calculateHandValue, isBlackjack } from './gameLogic';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { calculateHandValue, isBlackjack } from '../../core/games/blackjack/gameLogic';
+import { normalizeTableRules } from '../../core/games/blackjack/tableRules';
+import { ACTION_LABELS, analyzeRoundHistory, describeIndexPlay } from '../../core/games/blackjack/strategy';
 
 const SUIT_SYMBOLS = { hearts: '♥', diamonds: '♦', clubs: '♣', spades: '♠' };
 const isRedSuit = (suit) => suit === 'hearts' || suit === 'diamonds';
@@ -240,12 +243,74 @@ const generateRoundSteps = (round, roundIndex) => {
   return steps;
 };
 
+const formatCards = (cards) => cards.map(card => `${card.rank}${SUIT_SYMBOLS[card.suit]}`).join(' ');
+
+/**
+ * Mistakes and EV cost of every hand, against the strategy for the session's table rules
+ */
+const StrategyReport = ({ roundHistory, tableRules, startingBalance, onSelectRound }) => {
+  const [useIndexPlays, setUseIndexPlays] = useState(false);
+
+  const report = useMemo(() => analyzeRoundHistory(roundHistory, {
+    rules: normalizeTableRules(tableRules),
+    initialBalance: startingBalance,
+    useIndexPlays
+  }), [roundHistory, tableRules, startingBalance, useIndexPlays]);
+
+  return (
+    <div style={styles.report}>
+      <div style={styles.header}>
+        <h4 style={styles.reportTitle}>Mistakes &amp; EV Cost</h4>
+        <label style={styles.reportToggle}>
+          <input
+            type="checkbox"
+            checked={useIndexPlays}
+            onChange={(e) => setUseIndexPlays(e.target.checked)}
+          />
+          Hi-Lo index plays
+        </label>
+      </div>
+
+      <div style={styles.reportSummary}>
+        {report.totalMistakes} mistake{report.totalMistakes === 1 ? '' : 's'} in {report.totalDecisions} decisions
+        {' · '}expected cost ${report.totalEvCost.toFixed(2)}
+      </div>
+
+      {report.rounds.map((round, idx) => (
+        <div key={idx} style={styles.reportRound}>
+          <button style={styles.reportRoundBtn} onClick={() => onSelectRound(idx)}>
+            Hand {round.round}
+          </button>
+          {round.mistakes === 0 ? (
+            <span style={styles.reportClean}>
+              {round.decisions.length > 0 ? 'No mistakes' : 'No decisions'}
+            </span>
+          ) : (
+            <div style={styles.reportMistakes}>
+              {round.decisions.filter(decision => decision.mistake).map((decision, i) => (
+                <div key={i}>
+                  {formatCards(decision.cards)} vs {formatCards([round.dealerUpCard])}:{' '}
+                  {ACTION_LABELS[decision.chosen]}, should {ACTION_LABELS[decision.optimal].toLowerCase()}
+                  {decision.indexPlay && ` (${describeIndexPlay(decision.indexPlay)})`}
+                  <span style={styles.reportCost}> −${decision.evCost.toFixed(2)}</span>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
 /**
  * BlackjackReplay Component
  */
 const BlackjackReplay = ({
   roundHistory = [],
   finalBalance,
+  tableRules,
+  startingBalance = 1000,
   onStepChange
 }) => {
   const [currentRound, setCurrentRound] = useState(0);
@@ -489,6 +554,13 @@ const BlackjackReplay = ({
           style={styles.speedSlider}
         />
       </div>
+
+      <StrategyReport
+        roundHistory={roundHistory}
+        tableRules={tableRules}
+        startingBalance={startingBalance}
+        onSelectRound={jumpToRound}
+      />
     </div>
   );
 };
@@ -653,6 +725,61 @@ const styles = {
     textAlign: 'center',
     color: '#888',
     padding: '40px'
+  },
+  report: {
+    marginTop: '20px',
+    padding: '15px',
+    backgroundColor: '#0d1525',
+    borderRadius: '8px'
+  },
+  reportTitle: {
+    fontSize: '1rem',
+    color: '#fff',
+    margin: 0
+  },
+  reportToggle: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '6px',
+    fontSize: '0.8rem',
+    color: '#888',
+    cursor: 'pointer'
+  },
+  reportSummary: {
+    color: '#ffd700',
+    fontSize: '0.9rem',
+    marginBottom: '10px'
+  },
+  reportRound: {
+    display: 'flex',
+    alignItems: 'flex-start',
+    gap: '10px',
+    padding: '6px 0',
+    borderTop: '1px solid #2a3a5e',
+    fontSize: '0.85rem'
+  },
+  reportRoundBtn: {
+    padding: '3px 8px',
+    backgroundColor: '#2a3a5e',
+    color: '#fff',
+    border: 'none',
+    borderRadius: '4px',
+    cursor: 'pointer',
+    fontSize: '12px',
+    whiteSpace: 'nowrap'
+  },
+  reportClean: {
+    color: '#4ade80'
+  },
+  reportMistakes: {
+    color: '#ddd',
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '4px'
+  },
+  reportCost: {
+    color: '#f87171',
+    fontWeight: 'bold'
   }
 };
 
@@ -1,10 +1,21 @@
 /**
  * BlackjackTable - Main table layout with dealer, player hands, and actions
+ *
+ * With strategy hints on, the best action for the active hand (basic
+ * strategy, plus Hi-Lo index plays if enabled) is shown and its button
+ * highlighted.
  */
 
 import React from 'react';
 import Hand from './Hand';
-import { canHit, canDoubleDown, canSplit, canTakeInsurance } from './gameLogic';
+import { canHit, canDoubleDown, canSplit, canSurrender, canTakeInsurance } from '../../core/games/blackjack/gameLogic';
+import {
+  ACTION_LABELS,
+  describeIndexPlay,
+  getInsuranceAction,
+  getOptimalAction
+} from '../../core/games/blackjack/strategy';
+import { getCountSummary, getSeenShoeCards } from '../../core/games/blackjack/counting';
 
 function getGameMessage(state) {
   switch (state.phase) {
@@ -38,6 +49,7 @@ function formatResults(results) {
       case 'push': return "Push - bet returned";
       case 'lose': return "Dealer wins";
       case 'bust': return "Bust - you lose";
+      case 'surrender': return `Surrendered - $${r.payout} returned`;
       default: return "";
     }
   }
@@ -49,6 +61,28 @@ function formatResults(results) {
   return "Push - bets returned";
 }
 
+/** Recommended action for the pending decision, or null (index plays use the Hi-Lo true count) */
+function getStrategyHint(state, showInsurance, useIndexPlays) {
+  const trueCount = useIndexPlays
+    ? getCountSummary(getSeenShoeCards(state.shoe, state.shoePosition, state.dealerHand), { decks: state.tableRules.decks }).trueCount
+    : null;
+  if (showInsurance) return { ...getInsuranceAction(trueCount), trueCount };
+
+  const advice = getOptimalAction({
+    hand: state.playerHands[state.activeHandIndex] || [],
+    dealerUpCard: state.dealerHand[0],
+    numHands: state.playerHands.length,
+    handIndex: state.activeHandIndex,
+    splitAcesHands: state.splitAcesHands || [],
+    actions: state.actions,
+    chipBalance: state.chipBalance,
+    bet: state.handBets[state.activeHandIndex],
+    rules: state.tableRules,
+    trueCount
+  });
+  return advice && { ...advice, trueCount };
+}
+
 export default function BlackjackTable({
   state,
   insuranceDeclined,
@@ -56,7 +90,9 @@ export default function BlackjackTable({
   onStand,
   onDoubleDown,
   onSplit,
-  onInsurance
+  onSurrender,
+  onInsurance,
+  strategyHints
 }) {
   const activeHand = state.playerHands[state.activeHandIndex] || [];
   const insuranceCost = Math.floor(state.currentBet / 2);
@@ -83,6 +119,11 @@ export default function BlackjackTable({
   // Get split Aces hands array (default to empty if not present for backwards compatibility)
   const splitAcesHands = state.splitAcesHands || [];
 
+  const hint = strategyHints?.hints && state.phase === 'playerTurn' && state.dealerHand.length > 0
+    ? getStrategyHint(state, showInsurance, strategyHints.indexPlays)
+    : null;
+  const recommended = (action) => (hint?.action === action ? ' recommended' : '');
+
   // Map results to hand outcomes for badges
   const getHandResult = (index) => {
     if (state.phase !== 'payout' || !state.roundResult) return null;
@@ -93,7 +134,8 @@ export default function BlackjackTable({
       case 'win': return 'win';
       case 'push': return 'push';
       case 'lose':
-      case 'bust': return 'lose';
+      case 'bust':
+      case 'surrender': return 'lose';
       default: return null;
     }
   };
@@ -115,6 +157,15 @@ export default function BlackjackTable({
         <p className="game-message">{getGameMessage(state)}</p>
       </div>
 
+      {/* Strategy Hint */}
+      {hint && (
+        <div className="strategy-hint">
+          Hint: <strong>{ACTION_LABELS[hint.action]}</strong>
+          {hint.indexPlay && <span className="index-play"> · {describeIndexPlay(hint.indexPlay)}</span>}
+          {hint.trueCount !== null && <span className="true-count"> · TC {hint.trueCount.toFixed(1)}</span>}
+        </div>
+      )}
+
       {/* Insurance Prompt */}
       {showInsurance && (
         <div className="insurance-prompt">
@@ -122,11 +173,11 @@ export default function BlackjackTable({
           <button
             onClick={() => onInsurance(true)}
             disabled={!canAffordInsurance}
-            className="insurance-btn yes"
+            className={`insurance-btn yes${recommended('insurance')}`}
           >
             Yes
           </button>
-          <button onClick={() => onInsurance(false)} className="insurance-btn no">No</button>
+          <button onClick={() => onInsurance(false)} className={`insurance-btn no${recommended('decline')}`}>No</button>
         </div>
       )}
 
@@ -153,30 +204,41 @@ export default function BlackjackTable({
           <button
             onClick={onHit}
             disabled={!canHit(activeHand, splitAcesHands, state.activeHandIndex)}
-            className="action-btn hit"
+            className={`action-btn hit${recommended('hit')}`}
           >
             HIT
           </button>
           <button
             onClick={onStand}
-            className="action-btn stand"
+            className={`action-btn stand${recommended('stand')}`}
           >
             STAND
           </button>
           <button
             onClick={onDoubleDown}
-            disabled={!canDoubleDown(activeHand, state.chipBalance, state.handBets[state.activeHandIndex], splitAcesHands, state.activeHandIndex)}
-            className="action-btn double"
+            disabled={!canDoubleDown(activeHand, state.chipBalance, state.handBets[state.activeHandIndex], splitAcesHands,
+              state.activeHandIndex, state.playerHands.length, state.tableRules)}
+            className={`action-btn double${recommended('double')}`}
           >
             DOUBLE
           </button>
           <button
             onClick={onSplit}
-            disabled={!canSplit(activeHand, state.chipBalance, state.handBets[state.activeHandIndex], state.playerHands.length)}
-            className="action-btn split"
+            disabled={!canSplit(activeHand, state.chipBalance, state.handBets[state.activeHandIndex], state.playerHands.length,
+              splitAcesHands, state.activeHandIndex, state.tableRules)}
+            className={`action-btn split${recommended('split')}`}
           >
             SPLIT
           </button>
+          {state.tableRules.lateSurrender && (
+            <button
+              onClick={onSurrender}
+              disabled={!canSurrender(activeHand, state.playerHands.length, state.actions, state.tableRules)}
+              className={`action-btn surrender${recommended('surrender')}`}
+            >
+              SURRENDER
+            </button>
+          )}
         </div>
       )}
     </div>
@@ -0,0 +1,55 @@
+/**
+ * CountOverlay - Optional counting aid: running and true count of the
+ * current shoe (Hi-Lo, KO or Omega II) and a chart of the cards still to come
+ *
+ * Counts the cards dealt since the last RESHUFFLE that the player has seen;
+ * a face-down hole card is still part of the remaining shoe.
+ */
+
+import React from 'react';
+import { COUNT_SYSTEMS, getCountSummary, getSeenShoeCards } from '../../core/games/blackjack/counting';
+
+/** e.g. "+3", "-1.5", "0" */
+function formatCount(count) {
+  return count > 0 ? `+${count}` : `${count}`;
+}
+
+export default function CountOverlay({
+  shoe,
+  shoePosition,
+  dealerHand,
+  decks,
+  system,
+  onSystemChange
+}) {
+  const summary = getCountSummary(getSeenShoeCards(shoe, shoePosition, dealerHand), { decks, system });
+
+  return (
+    <div className="count-overlay">
+      <div className="count-stats">
+        <select value={system} onChange={(e) => onSystemChange(e.target.value)}>
+          {Object.entries(COUNT_SYSTEMS).map(([key, { name }]) => (
+            <option key={key} value={key}>{name}</option>
+          ))}
+        </select>
+        <span>Running <strong>{formatCount(summary.runningCount)}</strong></span>
+        <span title={summary.trueCount === null ? 'KO is unbalanced: play off the running count' : 'Running count per deck remaining'}>
+          True <strong>{summary.trueCount === null ? '—' : formatCount(Number(summary.trueCount.toFixed(1)))}</strong>
+        </span>
+        <span>{summary.decksRemaining.toFixed(1)} decks left</span>
+      </div>
+
+      {/* Share of each rank still in the shoe */}
+      <div className="composition-chart">
+        {summary.composition.map(({ rank, remaining, total }) => (
+          <div key={rank} className="composition-bar" title={`${rank}: ${remaining} of ${total} left`}>
+            <div className="composition-track">
+              <div className="composition-fill" style={{ height: `${(remaining / total) * 100}%` }} />
+            </div>
+            <span>{rank}</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -5,8 +5,9 @@
 
 import React, { useState } from 'react';
 import { Link } from 'react-router-dom';
-import { generateSeed, shuffleArray } from '../../blockchain/shuffle';
-import { createSixDeckShoe } from './gameState';
+import { generateSeed, shuffleArray, resolveRngVersion } from '../../core/shuffle';
+import { createShoe } from './gameState';
+import { normalizeTableRules } from '../../core/games/blackjack/tableRules';
 
 const STARTING_BALANCE = 1000;
 const SESSION_DURATION = 300; // 5 minutes in seconds
@@ -24,6 +25,7 @@ export default function GameOverModal({
   roundHistory,
   shoe,
   shoePosition,
+  countingAids = false,
   onPlayAgain,
   onClose
 }) {
@@ -81,9 +83,10 @@ export default function GameOverModal({
         timestamp: blockchainData.timestamp,
         txIndex: blockchainData.txIndex
       };
-      const regeneratedSeed = generateSeed(blockData, gameId);
-      const rawShoe = createSixDeckShoe();
-      const regeneratedShoe = shuffleArray(rawShoe, regeneratedSeed);
+      const rngVersion = resolveRngVersion(blockchainData);
+      const regeneratedSeed = generateSeed(blockData, gameId, rngVersion);
+      const rawShoe = createShoe(normalizeTableRules(blockchainData?.tableRules).decks);
+      const regeneratedShoe = shuffleArray(rawShoe, regeneratedSeed, rngVersion);
 
       const seedsMatch = regeneratedSeed === blockchainData.seed;
       const shoeMatches = shoe?.every((card, i) => card.id === regeneratedShoe[i]?.id);
@@ -118,8 +121,13 @@ export default function GameOverModal({
           blockTimestamp: blockchainData?.timestamp,
           txIndex: blockchainData?.txIndex,
           seed: blockchainData?.seed,
+          reshuffleSeeds: blockchainData?.reshuffleSeeds || [],
+          rngVersion: blockchainData?.rngVersion,
+          sessionId: blockchainData?.sessionId,
           // Round history for detailed verification (JSONB)
-          roundHistory: roundHistory || []
+          roundHistory: roundHistory || [],
+          // Count overlay or count-based hints were used (shown on the leaderboard)
+          countingAids
         })
       });
 
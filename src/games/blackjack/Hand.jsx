@@ -4,7 +4,7 @@
  */
 
 import React from 'react';
-import { formatHandValue } from './gameLogic';
+import { formatHandValue } from '../../core/games/blackjack/gameLogic';
 
 const SUIT_SYMBOLS = { hearts: '♥', diamonds: '♦', clubs: '♣', spades: '♠' };
 const RESULT_TEXT = { blackjack: 'BLACKJACK!', win: 'WIN', lose: 'LOSE', push: 'PUSH' };
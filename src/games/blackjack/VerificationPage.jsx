@@ -6,9 +6,13 @@
 import React, { useState, useEffect } from 'react';
 import { useParams, Link } from 'react-router-dom';
 import CryptoJS from 'crypto-js';
-import { shuffleArray } from '../../blockchain/shuffle';
-import { createSixDeckShoe } from './gameState';
-import { calculateHandValue, isBlackjack } from './gameLogic';
+import { shuffleArray, resolveRngVersion } from '../../core/shuffle';
+import { deriveRandomValue } from '../../core/seed';
+import { describeBeaconRound } from '../../core/beacons';
+import { createShoe } from './gameState';
+import { normalizeTableRules } from '../../core/games/blackjack/tableRules';
+import { calculateHandValue, isBlackjack } from '../../core/games/blackjack/gameLogic';
+import { COUNT_SYSTEMS, DEFAULT_COUNT_SYSTEM, getRoundCounts } from '../../core/games/blackjack/counting';
 import BlackjackReplay from './BlackjackReplay';
 
 // ============================================
@@ -45,15 +49,6 @@ function verifySecretCommitment(serverSecret, secretHash) {
   return calculatedHash === secretHash;
 }
 
-/**
- * Generate seed using commit-reveal formula
- * Formula: SHA256(serverSecret + blockHash + timestamp + purpose)
- */
-function generateCommitRevealSeed(serverSecret, blockHash, timestamp, purpose) {
-  const input = serverSecret + blockHash + timestamp.toString() + purpose;
-  return CryptoJS.SHA256(input).toString();
-}
-
 const truncateHash = (hash, len = 12) => {
   if (!hash) return 'N/A';
   return `${hash.slice(0, len)}...${hash.slice(-6)}`;
@@ -110,7 +105,7 @@ function ShuffleBreakdown({ shuffle, index, serverSecret, blockHash, timestamp,
           <div style={shuffleStyles.formula}>
             <div style={{ color: '#94a3b8', fontSize: 11, marginBottom: 6 }}>🔐 Commit-Reveal Formula:</div>
             <code style={{ color: '#22c55e', fontSize: 11, display: 'block', marginBottom: 8 }}>
-              seed = SHA256(serverSecret + blockHash + timestamp + purpose)
+              seed = SHA256(serverSecret:blockHash:txHash:timestamp:txIndex[:clientSeed]:purpose)
             </code>
             <div style={{ fontSize: 10, color: '#64748b' }}>
               <div>• Server commits hash BEFORE blockchain data</div>
@@ -236,7 +231,14 @@ const shuffleStyles = {
 // ============================================
 // ROUND BREAKDOWN COMPONENT
 // ============================================
-function RoundBreakdown({ round, index }) {
+/** e.g. "RC +3 · TC +1.2" (no true count for unbalanced systems) */
+function formatRoundCount(count) {
+  const signed = (n) => (n > 0 ? `+${n}` : `${n}`);
+  const trueCount = count.trueCount === null ? '' : ` · TC ${signed(Number(count.trueCount.toFixed(1)))}`;
+  return `Shoe ${count.shoe} · RC ${signed(count.runningCount)}${trueCount}`;
+}
+
+function RoundBreakdown({ round, index, count }) {
   const [expanded, setExpanded] = useState(false);
   const playerValue = calculateHandValue(round.playerHands[0]);
   const dealerValue = calculateHandValue(round.dealerHand);
@@ -249,6 +251,7 @@ function RoundBreakdown({ round, index }) {
     <div style={roundStyles.card}>
       <div style={roundStyles.header} onClick={() => setExpanded(!expanded)}>
         <span style={roundStyles.number}>Round {index + 1}</span>
+        {count && <span style={roundStyles.count}>{formatRoundCount(count)}</span>}
         <span style={{
           color: netResult > 0 ? '#22c55e' : netResult < 0 ? '#ef4444' : '#94a3b8',
           fontWeight: 'bold'
@@ -295,6 +298,7 @@ const roundStyles = {
   card: { backgroundColor: 'rgba(0,0,0,0.2)', borderRadius: '6px', marginBottom: '8px', overflow: 'hidden' },
   header: { display: 'flex', justifyContent: 'space-between', alignItems: 'center', padding: '10px 12px', cursor: 'pointer', backgroundColor: 'rgba(0,0,0,0.2)' },
   number: { color: '#fbbf24', fontWeight: 'bold', fontSize: '13px' },
+  count: { color: '#64748b', fontSize: '11px', fontFamily: 'monospace' },
   details: { padding: '12px', borderTop: '1px solid rgba(255,255,255,0.1)' },
   handsRow: { display: 'flex', gap: '20px', marginBottom: '10px' },
   handColumn: { flex: 1 },
@@ -313,6 +317,7 @@ export default function BlackjackVerificationPage() {
   const [loading, setLoading] = useState(true);
   const [showReplay, setShowReplay] = useState(false);
   const [showRounds, setShowRounds] = useState(false);
+  const [countSystem, setCountSystem] = useState(DEFAULT_COUNT_SYSTEM);
   const [verificationResults, setVerificationResults] = useState({});
 
   const backLink = '/blackjack';
@@ -359,13 +364,16 @@ export default function BlackjackVerificationPage() {
           setVerificationData({
             ...data,
             shuffleHistory,
+            rngVersion: resolveRngVersion(data.blockchainData),
             anchor: {
               blockHeight: data.blockchainData?.blockHeight,
               blockHash: data.blockchainData?.blockHash,
               timestamp: data.blockchainData?.timestamp,
               txHash: data.blockchainData?.txHash,
-              txIndex: data.blockchainData?.txIndex
-            }
+              txIndex: data.blockchainData?.txIndex,
+              beacon: data.blockchainData?.beacon
+            },
+            clientSeed: data.blockchainData?.clientSeed
           });
 
           // Verify commitment if we have the server secret
@@ -401,15 +409,15 @@ export default function BlackjackVerificationPage() {
       return;
     }
 
-    const seed = generateCommitRevealSeed(
+    const seed = deriveRandomValue(
       verificationData.serverSecret,
-      verificationData.anchor.blockHash,
-      verificationData.anchor.timestamp,
-      shuffle.purpose
+      verificationData.anchor,
+      shuffle.purpose,
+      verificationData.clientSeed
     );
 
-    const rawShoe = createSixDeckShoe();
-    const calculatedShoe = shuffleArray(rawShoe, seed);
+    const rawShoe = createShoe(normalizeTableRules(verificationData.blockchainData?.tableRules).decks);
+    const calculatedShoe = shuffleArray(rawShoe, seed, verificationData.rngVersion);
     const matches = shuffle.shoe?.every((card, i) => card.id === calculatedShoe[i]?.id);
 
     setVerificationResults(prev => ({
@@ -468,6 +476,10 @@ export default function BlackjackVerificationPage() {
   const roundHistory = verificationData.roundHistory || [];
   const shuffleHistory = verificationData.shuffleHistory || [];
   const stats = getStats();
+  // Count at the start of each round, from the cards dealt since the last reshuffle
+  const roundCounts = getRoundCounts(roundHistory, normalizeTableRules(verificationData.blockchainData?.tableRules), countSystem);
+
+  const anchorRound = describeBeaconRound(verificationData.anchor, verificationData.anchor?.beacon);
 
   return (
     <div style={styles.container}>
@@ -554,6 +566,11 @@ export default function BlackjackVerificationPage() {
             <p style={{ margin: 0, color: '#94a3b8', fontSize: 12 }}>
               Cards dealt: {verificationData.shoePosition || 0} / 312
             </p>
+            {verificationData.countingAidsUsed !== undefined && (
+              <p style={{ margin: '8px 0 0 0', color: '#94a3b8', fontSize: 12 }}>
+                Counting aids: {verificationData.countingAidsUsed ? 'On' : 'Off'}
+              </p>
+            )}
           </div>
         </div>
 
@@ -561,19 +578,22 @@ export default function BlackjackVerificationPage() {
         <div style={styles.section}>
           <h2 style={styles.sectionTitle}>⚓ Blockchain Anchor</h2>
           <div style={{ fontSize: 12, color: '#94a3b8', lineHeight: 1.8 }}>
+            <div><strong>Beacon:</strong> {anchorRound.label}</div>
             <div><strong>Block Height:</strong> #{verificationData.anchor?.blockHeight?.toLocaleString()}</div>
             <div><strong>Block Hash:</strong> <span style={styles.mono}>{verificationData.anchor?.blockHash}</span></div>
             <div><strong>Timestamp:</strong> {new Date(verificationData.anchor?.timestamp).toLocaleString()}</div>
             <div><strong>Session ID:</strong> <span style={styles.mono}>{verificationData.sessionId}</span></div>
           </div>
-          <a
-            href={`https://explorer.ergoplatform.com/en/blocks/${verificationData.anchor?.blockHash}`}
-            target="_blank"
-            rel="noopener noreferrer"
-            style={styles.explorerLink}
-          >
-            View on Ergo Explorer ↗
-          </a>
+          {anchorRound.url && (
+            <a
+              href={anchorRound.url}
+              target="_blank"
+              rel="noopener noreferrer"
+              style={styles.explorerLink}
+            >
+              View on {anchorRound.siteName} ↗
+            </a>
+          )}
         </div>
 
         {/* Shuffle History */}
@@ -624,6 +644,8 @@ export default function BlackjackVerificationPage() {
                   <BlackjackReplay
                     roundHistory={roundHistory}
                     finalBalance={verificationData.finalBalance}
+                    tableRules={verificationData.blockchainData?.tableRules}
+                    startingBalance={verificationData.startingBalance || 1000}
                   />
                 </div>
               )}
@@ -638,11 +660,21 @@ export default function BlackjackVerificationPage() {
                 {showRounds ? '▼' : '▶'} Round-by-Round ({roundHistory.length} hands)
               </h4>
               {showRounds && (
-                <div style={{ maxHeight: 400, overflowY: 'auto' }}>
-                  {roundHistory.map((round, i) => (
-                    <RoundBreakdown key={i} round={round} index={i} />
-                  ))}
-                </div>
+                <>
+                  <label style={{ display: 'block', fontSize: 12, color: '#94a3b8', marginBottom: 8 }}>
+                    Count at the start of each round:{' '}
+                    <select value={countSystem} onChange={(e) => setCountSystem(e.target.value)}>
+                      {Object.entries(COUNT_SYSTEMS).map(([key, { name }]) => (
+                        <option key={key} value={key}>{name}</option>
+                      ))}
+                    </select>
+                  </label>
+                  <div style={{ maxHeight: 400, overflowY: 'auto' }}>
+                    {roundHistory.map((round, i) => (
+                      <RoundBreakdown key={i} round={round} index={i} count={roundCounts[i]} />
+                    ))}
+                  </div>
+                </>
               )}
             </div>
           </div>
@@ -0,0 +1,125 @@
+/**
+ * Blackjack Card Counting Tests
+ *
+ * Tests:
+ * - Hi-Lo, KO and Omega II tags
+ * - Cards seen in the live shoe (face-down hole card excluded)
+ * - Running/true count and remaining composition
+ * - Counts at the start of each recorded round
+ */
+
+import {
+  getCountTag,
+  getInitialRunningCount,
+  getRunningCount,
+  getSeenShoeCards,
+  getCountSummary,
+  getRoundCounts
+} from '../../../core/games/blackjack/counting';
+import { DEFAULT_TABLE_RULES } from '../../../core/games/blackjack/tableRules';
+
+// ============================================
+// TEST HELPERS
+// ============================================
+
+function createCard(rank, id = rank, faceUp = true) {
+  return { id, rank, suit: 'spades', faceUp };
+}
+
+function createHand(...ranks) {
+  return ranks.map(rank => createCard(rank));
+}
+
+// ============================================
+// SYSTEMS
+// ============================================
+
+describe('Count systems', () => {
+  const cards = createHand('2', '4', '7', '9', 'Q', 'A');
+
+  test('tags per system', () => {
+    expect(cards.map(card => getCountTag(card, 'hi-lo'))).toEqual([1, 1, 0, 0, -1, -1]);
+    expect(cards.map(card => getCountTag(card, 'ko'))).toEqual([1, 1, 1, 0, -1, -1]);
+    expect(cards.map(card => getCountTag(card, 'omega-ii'))).toEqual([1, 2, 1, -1, -2, 0]);
+  });
+
+  test('balanced systems sum to zero over a deck; KO to +4', () => {
+    const deck = ['A', '2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K']
+      .flatMap(rank => [1, 2, 3, 4].map(n => createCard(rank, `${rank}-${n}`)));
+    expect(getRunningCount(deck, 'hi-lo')).toBe(0);
+    expect(getRunningCount(deck, 'omega-ii')).toBe(0);
+    expect(getRunningCount(deck, 'ko')).toBe(4);
+  });
+
+  test('KO starts from 4 - 4 x decks', () => {
+    expect(getInitialRunningCount('ko', 6)).toBe(-20);
+    expect(getInitialRunningCount('ko', 1)).toBe(0);
+    expect(getInitialRunningCount('hi-lo', 6)).toBe(0);
+  });
+});
+
+// ============================================
+// LIVE SHOE
+// ============================================
+
+describe('getSeenShoeCards', () => {
+  // Player 5, dealer 6, player 10, dealer hole card K
+  const shoe = [createCard('5', 'p1'), createCard('6', 'd1'), createCard('10', 'p2'), createCard('K', 'd2'), createCard('3', 'next')];
+
+  test('leaves the face-down hole card out', () => {
+    const dealerHand = [shoe[1], { ...shoe[3], faceUp: false }];
+    expect(getSeenShoeCards(shoe, 4, dealerHand).map(card => card.id)).toEqual(['p1', 'd1', 'p2']);
+  });
+
+  test('counts the hole card once revealed', () => {
+    expect(getSeenShoeCards(shoe, 4, [shoe[1], shoe[3]])).toHaveLength(4);
+  });
+});
+
+describe('getCountSummary', () => {
+  test('true count from the decks still to come', () => {
+    // 26 low cards out of a double deck: +26 over 78 cards = 1.5 decks
+    const seen = Array.from({ length: 26 }, (_, i) => createCard(String(2 + (i % 5)), `low-${i}`));
+    const summary = getCountSummary(seen, { decks: 2 });
+
+    expect(summary.runningCount).toBe(26);
+    expect(summary.cardsRemaining).toBe(78);
+    expect(summary.decksRemaining).toBe(1.5);
+    expect(summary.trueCount).toBeCloseTo(26 / 1.5);
+  });
+
+  test('KO has a running count only', () => {
+    const summary = getCountSummary(createHand('2', '7'), { decks: 6, system: 'ko' });
+    expect(summary.runningCount).toBe(-18);
+    expect(summary.trueCount).toBeNull();
+  });
+
+  test('remaining composition per rank', () => {
+    const { composition } = getCountSummary(createHand('A', 'K', 'Q', '5'), { decks: 1 });
+
+    expect(composition).toHaveLength(10);
+    expect(composition.find(entry => entry.rank === 'A')).toEqual({ rank: 'A', remaining: 3, total: 4 });
+    expect(composition.find(entry => entry.rank === '10')).toEqual({ rank: '10', remaining: 14, total: 16 });
+    expect(composition.find(entry => entry.rank === '9')).toEqual({ rank: '9', remaining: 4, total: 4 });
+  });
+});
+
+// ============================================
+// ROUND HISTORY
+// ============================================
+
+describe('getRoundCounts', () => {
+  test('count before each round, reset after the cut card', () => {
+    // Single deck cut at 26 cards: 12 low cards a round, new shoe for round 4
+    const rules = { ...DEFAULT_TABLE_RULES, decks: 1, penetration: 0.5 };
+    const round = {
+      playerHands: [createHand('2', '3', '4', '5', '6', '2', '3', '4')],
+      dealerHand: createHand('5', '6', '2', '3')
+    };
+    const counts = getRoundCounts([round, round, round, round], rules);
+
+    expect(counts.map(count => count.shoe)).toEqual([1, 1, 1, 2]);
+    expect(counts.map(count => count.runningCount)).toEqual([0, 12, 24, 0]);
+    expect(counts[1].cardsRemaining).toBe(40);
+  });
+});
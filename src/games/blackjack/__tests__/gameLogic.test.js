@@ -13,6 +13,7 @@
  * - Hand comparison and winners
  * - Payouts
  * - Display helpers
+ * - Table rules (H17, 6:5, surrender, DAS, resplit limits, penetration)
  */
 
 import {
@@ -25,6 +26,7 @@ import {
   canStand,
   canDoubleDown,
   canSplit,
+  canSurrender,
   canTakeInsurance,
   shouldDealerHit,
   getDealerAction,
@@ -33,7 +35,16 @@ import {
   calculateInsurancePayout,
   formatHandValue,
   getHandDescription
-} from '../gameLogic';
+} from '../../../core/games/blackjack/gameLogic';
+import {
+  DEFAULT_TABLE_RULES,
+  DEFAULT_RULESET_ID,
+  TABLE_RULE_PRESETS,
+  validateTableRules,
+  normalizeTableRules,
+  getCutCardPosition,
+  getRulesetId
+} from '../../../core/games/blackjack/tableRules';
 
 // ============================================
 // TEST HELPERS
@@ -551,3 +562,73 @@ describe('Display Helpers', () => {
     expect(getHandDescription(hand)).toBe('A♠');
   });
 });
+
+// ============================================
+// TABLE RULES
+// ============================================
+
+describe('Table Rules', () => {
+  const rules = overrides => ({ ...DEFAULT_TABLE_RULES, ...overrides });
+
+  test('default table matches the original house rules', () => {
+    expect(DEFAULT_RULESET_ID).toBe('6D-S17-3:2-DAS-RSA-NS-SP4-PEN75');
+    expect(getCutCardPosition(DEFAULT_TABLE_RULES)).toBe(234);
+    expect(normalizeTableRules(null)).toEqual(DEFAULT_TABLE_RULES);
+  });
+
+  test('presets are valid and have distinct rulesets', () => {
+    const presets = Object.values(TABLE_RULE_PRESETS);
+    presets.forEach(preset => expect(validateTableRules(preset.rules)).toEqual({ valid: true }));
+    expect(new Set(presets.map(preset => getRulesetId(preset.rules))).size).toBe(presets.length);
+  });
+
+  test('rejects unsupported rules', () => {
+    expect(validateTableRules(rules({ decks: 4 })).reason).toBe('decks must be one of 1, 2, 6, 8');
+    expect(validateTableRules(rules({ blackjackPayout: '2:1' })).valid).toBe(false);
+    expect(validateTableRules(rules({ penetration: 0.95 })).valid).toBe(false);
+    expect(validateTableRules(rules({ maxHands: 5 })).valid).toBe(false);
+    expect(validateTableRules(rules({ noHoleCard: true })).reason).toBe("Unknown table rule 'noHoleCard'");
+  });
+
+  test('dealer hits soft 17 under H17 only', () => {
+    expect(shouldDealerHit(createHand('A', '6'), rules({ dealerHitsSoft17: true }))).toBe(true);
+    expect(shouldDealerHit(createHand('10', '7'), rules({ dealerHitsSoft17: true }))).toBe(false);
+    expect(getDealerAction(createHand('A', '6'), rules({ dealerHitsSoft17: true }))).toBe('hit');
+  });
+
+  test('blackjack pays 6:5 at a 6:5 table (bet $10, get $22)', () => {
+    expect(calculatePayout('player_blackjack', 10, rules({ blackjackPayout: '6:5' }))).toBe(22);
+  });
+
+  test('double after split follows the table', () => {
+    const hand = createHand('6', '5');
+    expect(canDoubleDown(hand, 100, 10, [], 1, 2, rules({ doubleAfterSplit: true }))).toBe(true);
+    expect(canDoubleDown(hand, 100, 10, [], 1, 2, rules({ doubleAfterSplit: false }))).toBe(false);
+    expect(canDoubleDown(hand, 100, 10, [], 0, 1, rules({ doubleAfterSplit: false }))).toBe(true);
+  });
+
+  test('split limit and resplitting Aces follow the table', () => {
+    expect(canSplit(createHand('8', '8'), 100, 10, 2, [], 0, rules({ maxHands: 2 }))).toBe(false);
+    expect(canSplit(createHand('8', '8'), 100, 10, 1, [], 0, rules({ maxHands: 1 }))).toBe(false);
+    expect(canSplit(createHand('A', 'A'), 100, 10, 2, [0, 1], 0, rules({ resplitAces: false }))).toBe(false);
+    expect(canSplit(createHand('A', 'A'), 100, 10, 2, [0, 1], 0, rules({ resplitAces: true }))).toBe(true);
+    expect(canSplit(createHand('A', 'A'), 100, 10, 1, [], 0, rules({ resplitAces: false }))).toBe(true);
+  });
+
+  test('late surrender only as the first decision on the opening hand', () => {
+    const hand = createHand('10', '6');
+    const ls = rules({ lateSurrender: true });
+    expect(canSurrender(hand, 1, [], ls)).toBe(true);
+    expect(canSurrender(hand, 1, ['insurance'], ls)).toBe(true);
+    expect(canSurrender(hand, 1, [], DEFAULT_TABLE_RULES)).toBe(false);
+    expect(canSurrender(createHand('10', '2', '4'), 1, ['hit'], ls)).toBe(false);
+    expect(canSurrender(hand, 2, ['split'], ls)).toBe(false);
+  });
+
+  test('surrender returns half the bet unless the dealer has blackjack', () => {
+    const player = createHand('10', '6');
+    expect(compareHands(player, createHand('10', '9'), false, true)).toBe('player_surrender');
+    expect(compareHands(player, createHand('A', 'K'), false, true)).toBe('dealer_win');
+    expect(calculatePayout('player_surrender', 10)).toBe(5);
+  });
+});
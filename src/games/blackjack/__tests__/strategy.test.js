@@ -0,0 +1,231 @@
+/**
+ * Blackjack Strategy Tests
+ *
+ * Tests:
+ * - Generated basic strategy tables (S17/H17, surrender, DAS)
+ * - Optimal action for a live hand (legal actions only)
+ * - Hi-Lo counts and index plays
+ * - Mistakes and EV cost over a round history
+ */
+
+import {
+  generateStrategyTable,
+  getOptimalAction,
+  getInsuranceAction,
+  analyzeRoundHistory
+} from '../../../core/games/blackjack/strategy';
+import {
+  getRunningCount,
+  getTrueCount,
+  getCardsSeenBeforeRounds
+} from '../../../core/games/blackjack/counting';
+import { DEFAULT_TABLE_RULES } from '../../../core/games/blackjack/tableRules';
+
+// ============================================
+// TEST HELPERS
+// ============================================
+
+function createCard(rank, suit = 'hearts') {
+  return { rank, suit, faceUp: true };
+}
+
+function createHand(...ranks) {
+  return ranks.map(rank => createCard(rank));
+}
+
+const rules = overrides => ({ ...DEFAULT_TABLE_RULES, ...overrides });
+
+/**
+ * Round record as RESOLVE_ROUND writes it (only the fields the analysis reads)
+ */
+function createRound(roundNumber, { playerHands, dealerHand, bet = 10, actions, balanceAfter = 1000 }) {
+  return {
+    roundNumber,
+    playerHands: playerHands.map(ranks => createHand(...ranks)),
+    dealerHand: createHand(...dealerHand),
+    bet,
+    actions,
+    balanceAfter
+  };
+}
+
+// ============================================
+// STRATEGY TABLES
+// ============================================
+
+describe('generateStrategyTable', () => {
+  const table = generateStrategyTable(DEFAULT_TABLE_RULES);
+
+  test('textbook plays', () => {
+    expect(table.hard[16][10].action).toBe('hit');
+    expect(table.hard[12][4].action).toBe('stand');
+    expect(table.hard[12][2].action).toBe('hit');
+    expect(table.hard[11][6].action).toBe('double');
+    expect(table.soft[18][9].action).toBe('hit');
+    expect(table.soft[18][7].action).toBe('stand');
+    expect(table.pairs[8][6].action).toBe('split');
+    expect(table.pairs[1][6].action).toBe('split');
+    expect(table.pairs[10][6].action).toBe('stand');
+    expect(table.pairs[5][6].action).toBe('double');
+  });
+
+  test('no dealer peek: no doubling 11 or splitting 8s into a 10', () => {
+    expect(table.hard[11][10].action).toBe('hit');
+    expect(table.pairs[8][10].action).toBe('hit');
+  });
+
+  test('surrender shows up only at late surrender tables', () => {
+    expect(table.hard[16][10].evs.surrender).toBeUndefined();
+    expect(generateStrategyTable(rules({ lateSurrender: true })).hard[16][10].action).toBe('surrender');
+  });
+
+  test('H17 doubles soft 18 against a 2', () => {
+    expect(table.soft[18][2].action).toBe('stand');
+    expect(generateStrategyTable(rules({ dealerHitsSoft17: true })).soft[18][2].action).toBe('double');
+  });
+
+  test('no splitting at a one-hand table', () => {
+    expect(generateStrategyTable(rules({ maxHands: 1 })).pairs[8][6].evs.split).toBeUndefined();
+  });
+});
+
+// ============================================
+// LIVE DECISIONS
+// ============================================
+
+describe('getOptimalAction', () => {
+  const situation = (hand, up, extra = {}) => ({
+    hand: createHand(...hand), dealerUpCard: createCard(up), bet: 10, chipBalance: 990, ...extra
+  });
+
+  test('falls back to hitting when doubling is no longer allowed', () => {
+    expect(getOptimalAction(situation(['5', '6'], '6')).action).toBe('double');
+    expect(getOptimalAction(situation(['2', '3', '6'], '6')).action).toBe('hit');
+    expect(getOptimalAction(situation(['5', '6'], '6', { chipBalance: 5 })).action).toBe('hit');
+  });
+
+  test('plays unsplittable pairs as totals', () => {
+    expect(getOptimalAction(situation(['8', '8'], '6', { numHands: 4 })).action).toBe('stand');
+    expect(getOptimalAction(situation(['K', 'Q'], '6')).evs.split).toBeUndefined();
+  });
+
+  test('nothing to decide on 21 or split Aces without resplitting', () => {
+    expect(getOptimalAction(situation(['10', '5', '6'], '6'))).toBeNull();
+    expect(getOptimalAction(situation(['A', '7'], '6', {
+      numHands: 2, splitAcesHands: [0, 1], rules: rules({ resplitAces: false })
+    }))).toBeNull();
+  });
+
+  test('index plays move with the count', () => {
+    expect(getOptimalAction(situation(['10', '6'], '10', { trueCount: 1.5 }))).toMatchObject({
+      action: 'stand', basicAction: 'hit', indexPlay: { total: 16, up: 10, action: 'stand', min: 0 }
+    });
+    expect(getOptimalAction(situation(['10', '6'], '10', { trueCount: -0.5 })).action).toBe('hit');
+    expect(getOptimalAction(situation(['10', '2'], '4', { trueCount: -0.5 })).action).toBe('hit');
+    expect(getOptimalAction(situation(['10', '10'], '6', { trueCount: 4.2 })).action).toBe('split');
+  });
+
+  test('a low count talks the player out of surrendering 15 against a 10', () => {
+    const lateSurrender = rules({ lateSurrender: true });
+    expect(getOptimalAction(situation(['10', '5'], '10', { rules: lateSurrender })).action).toBe('surrender');
+    expect(getOptimalAction(situation(['10', '5'], '10', { rules: lateSurrender, trueCount: -1 })).action).toBe('hit');
+  });
+
+  test('insurance only at a true count of 3 or more', () => {
+    expect(getInsuranceAction().action).toBe('decline');
+    expect(getInsuranceAction(2.9).action).toBe('decline');
+    expect(getInsuranceAction(3).action).toBe('insurance');
+    expect(getInsuranceAction().ev).toBeCloseTo(-1 / 13);
+  });
+});
+
+// ============================================
+// COUNTING
+// ============================================
+
+describe('Hi-Lo counting', () => {
+  test('running and true counts', () => {
+    expect(getRunningCount(createHand('2', '6', '7', 'K', 'A', '5'))).toBe(1);
+    expect(getTrueCount(6, 156)).toBe(2);
+  });
+
+  test('counts restart after the cut card', () => {
+    // One deck, cut card at 26: the fifth round is dealt from a new shoe
+    const table = rules({ decks: 1, penetration: 0.5 });
+    const round = n => createRound(n, {
+      playerHands: [['2', '3', '4', '5']], dealerHand: ['6', '7', '8', '9'], actions: ['hit', 'hit', 'stand']
+    });
+    const seen = getCardsSeenBeforeRounds([1, 2, 3, 4, 5].map(round), table);
+
+    expect(seen.map(entry => entry.shoe)).toEqual([1, 1, 1, 1, 2]);
+    expect(seen[3].seen).toHaveLength(24);
+    expect(seen[4].seen).toHaveLength(0);
+  });
+});
+
+// ============================================
+// SESSION ANALYSIS
+// ============================================
+
+describe('analyzeRoundHistory', () => {
+  const history = [
+    // Stands on 16 against a 10
+    createRound(1, { playerHands: [['10', '6']], dealerHand: ['10', '7'], actions: ['stand'], balanceAfter: 990 }),
+    // Doubles 11 against a 6
+    createRound(2, { playerHands: [['5', '6', '9']], dealerHand: ['6', '10', '5'], actions: ['double'], balanceAfter: 1010 }),
+    // Splits 8s, then hits 11 instead of doubling
+    createRound(3, {
+      playerHands: [['8', '3', '10'], ['8', '10']],
+      dealerHand: ['6', '10', '9'],
+      actions: ['split', 'hit', 'stand', 'stand'],
+      balanceAfter: 1030
+    }),
+    // Takes insurance, stands on 19
+    createRound(4, { playerHands: [['10', '9']], dealerHand: ['A', '8'], actions: ['insurance', 'stand'], balanceAfter: 1035 })
+  ];
+
+  test('flags mistakes and prices them against basic strategy', () => {
+    const report = analyzeRoundHistory(history, { rules: DEFAULT_TABLE_RULES });
+    const [stiff, double, split, insured] = report.rounds;
+
+    expect(stiff.decisions).toEqual([expect.objectContaining({ chosen: 'stand', optimal: 'hit', mistake: true })]);
+    expect(stiff.evCost).toBeGreaterThan(0);
+
+    expect(double.mistakes).toBe(0);
+    expect(double.evCost).toBe(0);
+
+    // Auto-stand on 21 isn't a decision
+    expect(split.decisions.map(d => [d.handIndex, d.chosen, d.optimal])).toEqual([
+      [0, 'split', 'split'],
+      [0, 'hit', 'double'],
+      [1, 'stand', 'stand']
+    ]);
+    expect(split.decisions[1].cards).toEqual(createHand('8', '3'));
+    expect(split.mistakes).toBe(1);
+
+    expect(insured.decisions[0]).toMatchObject({ chosen: 'insurance', optimal: 'decline', mistake: true });
+    expect(insured.decisions[0].evCost).toBeCloseTo(5 / 13);
+
+    expect(report.totalDecisions).toBe(7);
+    expect(report.totalMistakes).toBe(3);
+    expect(report.totalEvCost).toBeCloseTo(stiff.evCost + split.evCost + insured.evCost);
+  });
+
+  test('a followed index play is not a mistake', () => {
+    // Small cards out: the count is high by round 2
+    const highCount = [
+      createRound(1, {
+        playerHands: [['2', '3', '4', '5', '6']], dealerHand: ['5', '6', '4', '3'],
+        actions: ['hit', 'hit', 'hit', 'stand'], balanceAfter: 1010
+      }),
+      createRound(2, { playerHands: [['10', '6']], dealerHand: ['10', '7'], actions: ['stand'], balanceAfter: 1000 })
+    ];
+
+    const basic = analyzeRoundHistory(highCount, { rules: DEFAULT_TABLE_RULES });
+    const counted = analyzeRoundHistory(highCount, { rules: DEFAULT_TABLE_RULES, useIndexPlays: true });
+
+    expect(basic.rounds[1].mistakes).toBe(1);
+    expect(counted.rounds[1].decisions[0]).toMatchObject({ optimal: 'stand', mistake: false, evCost: 0 });
+    expect(counted.rounds[1].decisions[0].trueCount).toBeGreaterThan(0);
+  });
+});
@@ -1,11 +1,23 @@
 /**
  * Blackjack Game State Management
  * React useReducer pattern for provably-fair blackjack
+ *
+ * Each round record carries the opening bet, the player's actions
+ * ('insurance' | 'hit' | 'stand' | 'double' | 'split' | 'surrender') and the
+ * ruleset ID of the table so the server can re-deal the shoe and replay the
+ * round card by card.
+ *
+ * Deck count, cut card and the doubling/splitting/surrender policy come from
+ * the table rules committed with the session (state.tableRules).
  */
 
-const DECK_COUNT = 6;
-const TOTAL_CARDS = DECK_COUNT * 52; // 312
-const CUT_CARD_POSITION = Math.floor(TOTAL_CARDS * 0.75); // ~234
+import {
+  DEFAULT_TABLE_RULES,
+  getCutCardPosition,
+  getRulesetId
+} from '../../core/games/blackjack/tableRules';
+import { canDoubleDown, canSplit, canSurrender } from '../../core/games/blackjack/gameLogic';
+
 const SESSION_DURATION = 5 * 60; // 5 minutes
 const EXTENSION_DURATION = 5 * 60; // 5 minute extension
 const STARTING_BALANCE = 1000;
@@ -22,7 +34,8 @@ export const initialState = {
   gameId: null,
   shoe: [],
   shoePosition: 0,
-  cutCardPosition: CUT_CARD_POSITION,
+  tableRules: DEFAULT_TABLE_RULES,
+  cutCardPosition: getCutCardPosition(DEFAULT_TABLE_RULES),
   playerHands: [[]],
   activeHandIndex: 0,
   dealerHand: [],
@@ -30,6 +43,7 @@ export const initialState = {
   chipBalance: STARTING_BALANCE,
   handBets: [],
   insuranceBet: 0,
+  actions: [],      // Player actions this round, in order
   phase: 'betting', // betting | dealing | playerTurn | dealerTurn | payout | sessionOver
   roundResult: null,
   sessionStartTime: null,
@@ -43,7 +57,9 @@ export const initialState = {
   blackjacksHit: 0,
   peakBalance: STARTING_BALANCE,
   startingBalance: STARTING_BALANCE,
-  splitAcesHands: [] // Track which hands are from split Aces (can only take 1 card)
+  splitAcesHands: [], // Track which hands are from split Aces (can only take 1 card)
+  surrendered: false,
+  countingAidsUsed: false // Count overlay or count-based hints were on at some point this session
 };
 
 // =============================================================================
@@ -55,10 +71,10 @@ export function generateGameId() {
   return `BJK-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
 }
 
-/** Create 6-deck shoe (312 cards) with unique IDs */
-export function createSixDeckShoe() {
+/** Create an n-deck shoe (52 * n cards) with unique IDs */
+export function createShoe(deckCount = DEFAULT_TABLE_RULES.decks) {
   const shoe = [];
-  for (let deck = 1; deck <= DECK_COUNT; deck++) {
+  for (let deck = 1; deck <= deckCount; deck++) {
     for (const suit of SUITS) {
       for (const rank of RANKS) {
         shoe.push({
@@ -88,13 +104,14 @@ export function dealCard(shoe, shoePosition, faceUp = true) {
 export function blackjackReducer(state, action) {
   switch (action.type) {
     case 'INIT_SHOE': {
-      const { shuffledShoe, blockchainData, gameId } = action.payload;
+      const { shuffledShoe, blockchainData, gameId, tableRules = DEFAULT_TABLE_RULES } = action.payload;
       // Reset to full initial state for new session
       return {
         ...initialState,
         shoe: shuffledShoe,
         shoePosition: 0,
-        cutCardPosition: CUT_CARD_POSITION,
+        tableRules,
+        cutCardPosition: getCutCardPosition(tableRules),
         gameId: gameId || generateGameId(),
         blockchainData,
         phase: 'betting'
@@ -137,7 +154,9 @@ export function blackjackReducer(state, action) {
         chipBalance: state.chipBalance - betAmount,
         phase: 'playerTurn',
         roundResult: null,
-        splitAcesHands: []
+        splitAcesHands: [],
+        surrendered: false,
+        actions: []
       };
     }
 
@@ -151,23 +170,31 @@ export function blackjackReducer(state, action) {
       const newHands = state.playerHands.map((hand, i) =>
         i === state.activeHandIndex ? [...hand, card] : hand
       );
-      return { ...state, playerHands: newHands, shoePosition: newPosition };
+      return {
+        ...state,
+        playerHands: newHands,
+        shoePosition: newPosition,
+        actions: [...state.actions, 'hit']
+      };
     }
 
     case 'STAND': {
+      // A queued auto-stand can land after the last hand already finished
+      if (state.phase !== 'playerTurn') return state;
+
+      const actions = [...state.actions, 'stand'];
       const nextIdx = state.activeHandIndex + 1;
       if (nextIdx < state.playerHands.length) {
-        return { ...state, activeHandIndex: nextIdx };
+        return { ...state, activeHandIndex: nextIdx, actions };
       }
-      return { ...state, phase: 'dealerTurn' };
+      return { ...state, phase: 'dealerTurn', actions };
     }
 
     case 'DOUBLE_DOWN': {
       const bet = state.handBets[state.activeHandIndex];
-      if (bet > state.chipBalance) return state;
-      
-      // Can't double on split Aces
-      if (state.splitAcesHands.includes(state.activeHandIndex)) {
+      // Chips, split Aces and double-after-split
+      if (!canDoubleDown(state.playerHands[state.activeHandIndex], state.chipBalance, bet,
+        state.splitAcesHands, state.activeHandIndex, state.playerHands.length, state.tableRules)) {
         return state;
       }
 
@@ -186,16 +213,20 @@ export function blackjackReducer(state, action) {
         chipBalance: state.chipBalance - bet,
         handBets: newBets,
         activeHandIndex: nextIdx < state.playerHands.length ? nextIdx : state.activeHandIndex,
-        phase: nextIdx < state.playerHands.length ? 'playerTurn' : 'dealerTurn'
+        phase: nextIdx < state.playerHands.length ? 'playerTurn' : 'dealerTurn',
+        actions: [...state.actions, 'double']
       };
     }
 
     case 'SPLIT': {
-      if (state.playerHands.length >= 4) return state; // Max 4 hands
       const bet = state.handBets[state.activeHandIndex];
-      if (bet > state.chipBalance) return state;
-
       const hand = state.playerHands[state.activeHandIndex];
+      // Pair, chips, the table's hand limit and resplitting Aces
+      if (!canSplit(hand, state.chipBalance, bet, state.playerHands.length,
+        state.splitAcesHands, state.activeHandIndex, state.tableRules)) {
+        return state;
+      }
+
       const isSplittingAces = hand[0].rank === 'A';
       
       let pos = state.shoePosition;
@@ -244,14 +275,33 @@ export function blackjackReducer(state, action) {
         chipBalance: state.chipBalance - bet,
         splitAcesHands: newSplitAcesHands,
         activeHandIndex: state.activeHandIndex,
-        phase: 'playerTurn'
+        phase: 'playerTurn',
+        actions: [...state.actions, 'split']
+      };
+    }
+
+    case 'SURRENDER': {
+      // Half the bet comes back when the round resolves (unless dealer has blackjack)
+      if (!canSurrender(state.playerHands[0], state.playerHands.length, state.actions, state.tableRules)) {
+        return state;
+      }
+      return {
+        ...state,
+        surrendered: true,
+        phase: 'dealerTurn',
+        actions: [...state.actions, 'surrender']
       };
     }
 
     case 'TAKE_INSURANCE': {
       const amount = Math.floor(state.currentBet / 2);
       if (amount > state.chipBalance) return state;
-      return { ...state, insuranceBet: amount, chipBalance: state.chipBalance - amount };
+      return {
+        ...state,
+        insuranceBet: amount,
+        chipBalance: state.chipBalance - amount,
+        actions: [...state.actions, 'insurance']
+      };
     }
 
     case 'DEALER_PLAY': {
@@ -278,6 +328,9 @@ export function blackjackReducer(state, action) {
         playerHands: payloadPlayerHands || state.playerHands,
         dealerHand: payloadDealerHand || state.dealerHand,
         handBets: payloadHandBets || state.handBets,
+        bet: state.currentBet,
+        actions: state.actions,
+        rules: getRulesetId(state.tableRules),
         results,
         insuranceBet: insuranceBet || 0,
         insurancePayout: insurancePayout || 0,
@@ -307,9 +360,11 @@ export function blackjackReducer(state, action) {
         currentBet: 0,
         handBets: [],
         insuranceBet: 0,
+        actions: [],
         phase: 'betting',
         roundResult: null,
-        splitAcesHands: []
+        splitAcesHands: [],
+        surrendered: false
       };
 
     case 'RESHUFFLE': {
@@ -329,12 +384,20 @@ export function blackjackReducer(state, action) {
         extensionsUsed: state.extensionsUsed + 1
       };
 
+    case 'USE_COUNTING_AIDS':
+      return { ...state, countingAidsUsed: true };
+
     case 'CASH_OUT':
       return { ...state, phase: 'sessionOver' };
 
     case 'END_SESSION':
       return { ...state, phase: 'sessionOver' };
 
+    case 'RESTORE':
+      // Resume a saved in-progress session (reshuffles served after the
+      // snapshot are replayed by the caller with RESHUFFLE + NEW_ROUND)
+      return { ...initialState, ...action.payload.state };
+
     default:
       return state;
   }
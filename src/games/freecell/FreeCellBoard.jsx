@@ -0,0 +1,175 @@
+/**
+ * FreeCellBoard Component
+ *
+ * Lays out the four free cells, the foundations and the eight tableau
+ * columns, and turns clicks into moves. Columns and foundations reuse the
+ * Solitaire components.
+ */
+
+import React from 'react';
+import TableauColumn from '../solitaire/TableauColumn';
+import FoundationPile from '../solitaire/FoundationPile';
+import FreeCellSlot from './FreeCellSlot';
+import {
+  canPlaceOnFoundation,
+  getMovableSequence,
+  isValidMove
+} from '../../core/games/freecell/gameLogic';
+
+export default function FreeCellBoard({ state, dispatch }) {
+  const { tableau, freeCells, foundations, selectedCards } = state;
+
+  // Check if selected cards can be placed on a tableau column
+  const isValidTableauTarget = (columnIndex) => {
+    if (!selectedCards || !selectedCards.cards || selectedCards.cards.length === 0) return false;
+    if (selectedCards.source.type === 'tableau' && selectedCards.source.index === columnIndex) return false;
+    return isValidMove(selectedCards.cards, { type: 'tableau', index: columnIndex }, state);
+  };
+
+  // Check if selected card can be parked in a free cell
+  const isValidFreeCellTarget = (cellIndex) => {
+    if (!selectedCards || selectedCards.source.type !== 'tableau') return false;
+    return isValidMove(selectedCards.cards, { type: 'freecell', index: cellIndex }, state);
+  };
+
+  // Check if selected card can be placed on a foundation
+  const isValidFoundationTarget = (suit) => {
+    if (!selectedCards || !selectedCards.cards || selectedCards.cards.length !== 1) return false;
+    return isValidMove(selectedCards.cards, { type: 'foundation', suit }, state);
+  };
+
+  // Send a single card straight to its foundation if it fits
+  const tryFoundation = (card, source) => {
+    if (!canPlaceOnFoundation(card, foundations[card.suit], card.suit)) return false;
+    dispatch({ type: 'SELECT_CARDS', payload: { cards: [card], source } });
+    dispatch({ type: 'MOVE_TO_FOUNDATION', payload: { suit: card.suit } });
+    return true;
+  };
+
+  // Handle tableau card click
+  const handleTableauClick = (cardIndex, columnIndex) => {
+    const column = tableau[columnIndex];
+
+    // Clicking empty column or placeholder
+    if (cardIndex === -1 || column.length === 0) {
+      if (selectedCards && isValidTableauTarget(columnIndex)) {
+        dispatch({ type: 'MOVE_TO_TABLEAU', payload: { targetIndex: columnIndex } });
+      }
+      return;
+    }
+
+    if (selectedCards) {
+      // Clicking on valid drop target
+      if (isValidTableauTarget(columnIndex)) {
+        dispatch({ type: 'MOVE_TO_TABLEAU', payload: { targetIndex: columnIndex } });
+        return;
+      }
+
+      // Clicking same selection - try auto-move to foundation or deselect
+      if (selectedCards.source.type === 'tableau' && selectedCards.source.index === columnIndex) {
+        const source = { type: 'tableau', index: columnIndex };
+        if (cardIndex !== column.length - 1 || !tryFoundation(column[column.length - 1], source)) {
+          dispatch({ type: 'CLEAR_SELECTION' });
+        }
+        return;
+      }
+    }
+
+    // Select cards from this position to end of column
+    const sequence = getMovableSequence(column, cardIndex);
+    if (sequence) {
+      dispatch({
+        type: 'SELECT_CARDS',
+        payload: { cards: sequence, source: { type: 'tableau', index: columnIndex } }
+      });
+    }
+  };
+
+  // Handle free cell click: park the selection, or pick the parked card up
+  const handleFreeCellClick = (cellIndex) => {
+    const card = freeCells[cellIndex];
+
+    if (selectedCards && isValidFreeCellTarget(cellIndex)) {
+      dispatch({ type: 'MOVE_TO_FREECELL', payload: { cellIndex } });
+      return;
+    }
+
+    if (!card) return;
+
+    if (selectedCards?.source.type === 'freecell' && selectedCards.source.index === cellIndex) {
+      if (!tryFoundation(card, { type: 'freecell', index: cellIndex })) {
+        dispatch({ type: 'CLEAR_SELECTION' });
+      }
+      return;
+    }
+
+    dispatch({
+      type: 'SELECT_CARDS',
+      payload: { cards: [card], source: { type: 'freecell', index: cellIndex } }
+    });
+  };
+
+  // Handle foundation click
+  const handleFoundationDrop = (suit) => {
+    if (selectedCards && isValidFoundationTarget(suit)) {
+      dispatch({ type: 'MOVE_TO_FOUNDATION', payload: { suit } });
+    }
+  };
+
+  return (
+    <div style={{ padding: 'clamp(6px, 2vw, 12px)', maxWidth: '1000px', margin: '0 auto', flex: 1 }}>
+      {/* Top Row: Free cells and Foundations */}
+      <div style={{
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'flex-start',
+        marginBottom: 'clamp(12px, 3vw, 25px)',
+        gap: 'clamp(4px, 1.5vw, 10px)'
+      }}>
+        <div style={{ display: 'flex', gap: 'clamp(2px, 1vw, 4px)' }}>
+          {freeCells.map((card, index) => (
+            <FreeCellSlot
+              key={index}
+              card={card}
+              cellIndex={index}
+              onClick={handleFreeCellClick}
+              isSelected={selectedCards?.source.type === 'freecell' && selectedCards.source.index === index}
+              isValidDropTarget={isValidFreeCellTarget(index)}
+            />
+          ))}
+        </div>
+
+        <div style={{ display: 'flex', gap: 'clamp(2px, 1vw, 4px)' }}>
+          {['hearts', 'diamonds', 'clubs', 'spades'].map(suit => (
+            <FoundationPile
+              key={suit}
+              cards={foundations[suit]}
+              suit={suit}
+              onDrop={handleFoundationDrop}
+              isValidDropTarget={isValidFoundationTarget(suit)}
+            />
+          ))}
+        </div>
+      </div>
+
+      {/* Tableau Row */}
+      <div style={{
+        display: 'flex',
+        justifyContent: 'center',
+        gap: 'clamp(2px, 1vw, 4px)'
+      }}>
+        {tableau.map((column, index) => (
+          <TableauColumn
+            key={index}
+            cards={column}
+            columnIndex={index}
+            onCardClick={handleTableauClick}
+            selectedCards={selectedCards}
+            isValidDropTarget={isValidTableauTarget(index)}
+            emptyLabel=""
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,833 @@
+/**
+ * FreeCellGame Component - Mobile-optimized
+ *
+ * Every deal is a classic Microsoft FreeCell game (1-32000), its number
+ * picked by the session's 'deck-shuffle' random value. Leaderboard ranks by
+ * cards to foundation > time > moves. Both wins and losses can be submitted.
+ */
+
+import React, { useReducer, useEffect, useState, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { CURRENT_RNG_VERSION } from '../../core/shuffle';
+import { startSecureGame, getSecureRandom, endSecureSession } from '../../blockchain/secureRng';
+import { loadResumableGame, saveResumableGame, clearResumableGame } from '../../blockchain/sessionResume';
+import { freecellReducer, initialState, getFoundationCount } from '../../core/games/freecell/gameState';
+import {
+  checkWinCondition,
+  getHint,
+  isGameStuck,
+  getDealNumber,
+  createMicrosoftDeal
+} from '../../core/games/freecell/gameLogic';
+import { submitScore } from '../../services/leaderboard';
+import FreeCellBoard from './FreeCellBoard';
+import Leaderboard from '../../components/Leaderboard';
+
+const formatTime = (seconds) => {
+  const mins = Math.floor(seconds / 60);
+  const secs = seconds % 60;
+  return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+};
+
+export default function FreeCellGame() {
+  const [state, dispatch] = useReducer(freecellReducer, initialState);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [elapsed, setElapsed] = useState(0);
+  const [showLeaderboard, setShowLeaderboard] = useState(false);
+  const [isStuck, setIsStuck] = useState(false);
+  const [showMenu, setShowMenu] = useState(false);
+
+  // Submission state
+  const [playerName, setPlayerName] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [submitted, setSubmitted] = useState(false);
+  const [submitError, setSubmitError] = useState(null);
+  const [submitRank, setSubmitRank] = useState(null);
+  const [showGameOver, setShowGameOver] = useState(true);
+
+  // Secure RNG session
+  const [sessionId, setSessionId] = useState(null);
+  const [secretHash, setSecretHash] = useState(null);
+  const [revealedSecret, setRevealedSecret] = useState(null);
+
+  // Prevent default touch behavior on game area
+  useEffect(() => {
+    const preventDefault = (e) => {
+      if (e.target.closest('[data-game-area]')) {
+        e.preventDefault();
+      }
+    };
+    document.addEventListener('touchmove', preventDefault, { passive: false });
+    return () => document.removeEventListener('touchmove', preventDefault);
+  }, []);
+
+  // Resume a saved game on mount
+  useEffect(() => {
+    loadResumableGame('freecell').then(resumed => {
+      if (!resumed) return;
+      setSessionId(resumed.session.sessionId);
+      setSecretHash(resumed.session.secretHash);
+
+      // Resumed on another device: rebuild the verification record
+      const { blockchainData, dealNumber } = resumed.state;
+      if (!localStorage.getItem(`freecell-${blockchainData.gameId}`)) {
+        localStorage.setItem(`freecell-${blockchainData.gameId}`, JSON.stringify({
+          ...blockchainData,
+          dealNumber,
+          deck: createMicrosoftDeal(dealNumber)
+        }));
+      }
+
+      dispatch({ type: 'RESTORE', payload: resumed.state });
+    });
+  }, []);
+
+  // Save the game while it's in progress so a reload can resume it
+  // (the undo stack holds a full board per move, so it isn't saved)
+  useEffect(() => {
+    if (!sessionId || !state.blockchainData) return;
+    if (state.gameStatus === 'playing') {
+      const { moveHistory, selectedCards, ...snapshot } = state;
+      saveResumableGame('freecell', sessionId, snapshot);
+    } else {
+      clearResumableGame('freecell');
+    }
+  }, [state, sessionId]);
+
+  // Timer effect
+  useEffect(() => {
+    if (!state.startTime || state.gameStatus !== 'playing') return;
+
+    const interval = setInterval(() => {
+      setElapsed(Math.floor((Date.now() - state.startTime) / 1000));
+    }, 1000);
+
+    return () => clearInterval(interval);
+  }, [state.startTime, state.gameStatus]);
+
+  // Win detection
+  useEffect(() => {
+    if (state.gameStatus === 'playing' && checkWinCondition(state.foundations)) {
+      dispatch({ type: 'SET_WON' });
+    }
+  }, [state.foundations, state.gameStatus]);
+
+  // Show game over modal when game ends
+  useEffect(() => {
+    if (state.gameStatus === 'won' || state.gameStatus === 'lost') {
+      setShowGameOver(true);
+    }
+  }, [state.gameStatus]);
+
+  // Stuck detection
+  useEffect(() => {
+    if (state.gameStatus === 'playing' && state.blockchainData) {
+      const stuck = isGameStuck(state);
+      setIsStuck(stuck);
+      if (stuck) {
+        dispatch({ type: 'SET_LOST' });
+      }
+    }
+  }, [state]);
+
+  // End secure session and reveal secret when game ends
+  useEffect(() => {
+    if ((state.gameStatus === 'won' || state.gameStatus === 'lost') && sessionId && state.blockchainData) {
+      endSecureSession(sessionId, {
+        gameId: state.blockchainData.gameId,
+        status: state.gameStatus,
+        dealNumber: state.dealNumber,
+        foundationCount: getFoundationCount(state.foundations),
+        moves: state.moves,
+        time: elapsed
+      }).then(revealData => {
+        setRevealedSecret(revealData.serverSecret);
+      }).catch(error => {
+        console.error('❌ Failed to end secure session:', error);
+      });
+    }
+  }, [state.gameStatus, sessionId, state.blockchainData, state.dealNumber, state.foundations, state.moves, elapsed]);
+
+  // Save verification data to localStorage when revealed secret is available
+  useEffect(() => {
+    if (revealedSecret && state.blockchainData) {
+      const gameId = state.blockchainData.gameId;
+      const existingData = JSON.parse(localStorage.getItem(`freecell-${gameId}`) || '{}');
+      localStorage.setItem(`freecell-${gameId}`, JSON.stringify({
+        ...existingData,  // Preserves deal number, deck and block data
+        serverSecret: revealedSecret,
+        secretHash,
+        sessionId,
+        moves: state.moves,
+        foundationCount: getFoundationCount(state.foundations),
+        gameStatus: state.gameStatus
+      }));
+    }
+  }, [revealedSecret, state.blockchainData, secretHash, sessionId, state.moves, state.foundations, state.gameStatus]);
+
+  const foundationCount = getFoundationCount(state.foundations);
+
+  // Start a new game
+  const startNewGame = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    setElapsed(0);
+    setSubmitted(false);
+    setSubmitError(null);
+    setSubmitRank(null);
+    setIsStuck(false);
+    setShowGameOver(true);
+    setShowMenu(false);
+    setRevealedSecret(null);
+
+    try {
+      // Initialize secure session (server commits secret, then get blockchain data)
+      const { sessionId, secretHash, clientSeed, beacon, blockData } = await startSecureGame('freecell');
+
+      const gameId = `FRC-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+      // The secure random value picks the deal number
+      const seed = await getSecureRandom(sessionId, 'deck-shuffle');
+      const dealNumber = getDealNumber(seed);
+
+      const blockchainData = {
+        blockHeight: blockData.blockHeight,
+        blockHash: blockData.blockHash,
+        timestamp: blockData.timestamp,
+        txHash: blockData.txHash,
+        txIndex: blockData.txIndex,
+        txCount: blockData.txCount,
+        sessionId,
+        secretHash,
+        clientSeed,
+        beacon,
+        seed,
+        rngVersion: CURRENT_RNG_VERSION,
+        gameId
+      };
+
+      setSessionId(sessionId);
+      setSecretHash(secretHash);
+
+      // Save to localStorage with the deal for verification
+      localStorage.setItem(`freecell-${gameId}`, JSON.stringify({
+        ...blockchainData,
+        dealNumber,
+        deck: createMicrosoftDeal(dealNumber)
+      }));
+
+      dispatch({ type: 'INIT_GAME', payload: { dealNumber, blockchainData } });
+    } catch (err) {
+      setError('Failed to start secure game. Please try again.');
+      console.error('New game error:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const handleUndo = () => dispatch({ type: 'UNDO' });
+
+  const handleHint = () => {
+    const hint = getHint(state);
+    if (hint) {
+      dispatch({ type: 'SELECT_CARDS', payload: { cards: hint.cards, source: hint.from } });
+      setTimeout(() => dispatch({ type: 'CLEAR_SELECTION' }), 2000);
+    } else {
+      alert('No useful moves found. Try undoing or give up.');
+    }
+    setShowMenu(false);
+  };
+
+  const handleGiveUp = () => {
+    if (window.confirm('Are you sure you want to give up?')) {
+      dispatch({ type: 'SET_LOST' });
+    }
+    setShowMenu(false);
+  };
+
+  // Submit score to leaderboard
+  const handleSubmitScore = async () => {
+    if (!state.blockchainData) return;
+
+    setSubmitting(true);
+    setSubmitError(null);
+
+    try {
+      const result = await submitScore({
+        game: 'freecell',
+        gameId: state.blockchainData.gameId,
+        playerName: playerName.trim() || 'Anonymous',
+        score: foundationCount,
+        timeSeconds: elapsed,
+        moves: state.moves,
+        blockHeight: state.blockchainData.blockHeight,
+        blockHash: state.blockchainData.blockHash,
+        txHash: state.blockchainData.txHash,
+        blockTimestamp: state.blockchainData.timestamp,
+        txIndex: state.blockchainData.txIndex,
+        seed: state.blockchainData.seed,
+        rngVersion: state.blockchainData.rngVersion,
+        sessionId: state.blockchainData.sessionId,
+        moveHistory: state.moveLog,
+        dealNumber: state.dealNumber
+      });
+
+      setSubmitted(true);
+      setSubmitRank(result.rank);
+    } catch (err) {
+      setSubmitError(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const isGameOver = state.gameStatus === 'won' || state.gameStatus === 'lost';
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.gameWrapper}>
+        {/* Compact Header */}
+        <div style={styles.header}>
+          <div style={styles.titleSection}>
+            <button style={styles.menuBtn} onClick={() => setShowMenu(!showMenu)}>☰</button>
+            <h1 style={styles.title}>FreeCell</h1>
+            <span style={styles.badge}>provably fair</span>
+          </div>
+          <button style={styles.refreshBtn} onClick={startNewGame} title="New Game">↻</button>
+        </div>
+
+        {/* Dropdown Menu */}
+        {showMenu && (
+          <div style={styles.menu}>
+            <button style={styles.menuItem} onClick={handleUndo} disabled={state.moveHistory?.length === 0}>
+              ↶ Undo
+            </button>
+            <button style={styles.menuItem} onClick={handleHint}>
+              💡 Hint
+            </button>
+            {state.gameStatus === 'playing' && state.blockchainData && (
+              <button style={styles.menuItem} onClick={handleGiveUp}>
+                🏳️ Give Up
+              </button>
+            )}
+            {state.blockchainData && (
+              <Link
+                to={`/verify/freecell/${state.blockchainData.gameId}`}
+                style={styles.menuItem}
+                onClick={() => setShowMenu(false)}
+              >
+                ✓ Verify Game
+              </Link>
+            )}
+            <button style={styles.menuItem} onClick={() => { setShowLeaderboard(!showLeaderboard); setShowMenu(false); }}>
+              🏆 Leaderboard
+            </button>
+            <Link to="/" style={styles.menuItem} onClick={() => setShowMenu(false)}>
+              🏠 Home
+            </Link>
+          </div>
+        )}
+
+        {/* Stats Bar */}
+        {state.blockchainData && (
+          <div style={styles.statsBar}>
+            <div style={styles.stat}>
+              <span style={styles.statValue}>#{state.dealNumber}</span>
+              <span style={styles.statLabel}>deal</span>
+            </div>
+            <div style={styles.stat}>
+              <span style={styles.statValue}>{foundationCount}/52</span>
+              <span style={styles.statLabel}>cards</span>
+            </div>
+            <div style={styles.stat}>
+              <span style={styles.statValue}>{formatTime(elapsed)}</span>
+              <span style={styles.statLabel}>time</span>
+            </div>
+            <div style={styles.stat}>
+              <span style={styles.statValue}>{state.moves}</span>
+              <span style={styles.statLabel}>moves</span>
+            </div>
+          </div>
+        )}
+
+        {/* Leaderboard Panel */}
+        {showLeaderboard && (
+          <div style={styles.leaderboardPanel}>
+            <Leaderboard game="freecell" currentGameId={state.blockchainData?.gameId} />
+          </div>
+        )}
+
+        {/* Game Area */}
+        <div data-game-area style={styles.gameArea}>
+          {loading ? (
+            <div style={styles.loadingState}>
+              <div style={styles.spinner}></div>
+              <span>Picking a deal from the blockchain...</span>
+            </div>
+          ) : error ? (
+            <div style={styles.errorState}>
+              <span>{error}</span>
+              <button onClick={startNewGame} style={styles.actionBtn}>Try Again</button>
+            </div>
+          ) : !state.blockchainData ? (
+            <div style={styles.startScreen}>
+              <div style={styles.startContent}>
+                <h2 style={styles.startTitle}>♣ FreeCell</h2>
+                <p style={styles.startSubtitle}>Provably Fair</p>
+
+                <div style={styles.rulesBox}>
+                  <div style={styles.rulesTitle}>Rules:</div>
+                  <div>Build columns down in alternating colors</div>
+                  <div>Park any single card in the four free cells</div>
+                  <div>Any card can start an empty column</div>
+                  <div>Deals are numbered like the classic Windows game</div>
+                </div>
+
+                <button onClick={startNewGame} style={styles.startBtn}>
+                  Start Game
+                </button>
+              </div>
+            </div>
+          ) : (
+            <FreeCellBoard state={state} dispatch={dispatch} />
+          )}
+        </div>
+
+        {/* Footer */}
+        <div style={styles.footer}>
+          <span>Ergo Blockchain Verified</span>
+          {state.blockchainData?.blockHeight > 0 && (
+            <span style={styles.blockInfo}>Block #{state.blockchainData.blockHeight}</span>
+          )}
+        </div>
+      </div>
+
+      {/* Game Over Modal */}
+      {isGameOver && showGameOver && (
+        <div style={styles.modalOverlay}>
+          <div style={styles.modal}>
+            <button onClick={() => setShowGameOver(false)} style={styles.modalClose}>×</button>
+
+            <h2 style={styles.modalTitle}>
+              {state.gameStatus === 'won' ? '🎉 You Won!' : (isStuck ? '😔 No Moves Left' : '🏳️ Game Over')}
+            </h2>
+
+            <div style={styles.modalScore}>
+              <span style={{ fontSize: '3rem', fontWeight: 'bold', color: foundationCount === 52 ? '#4ade80' : '#3b82f6' }}>
+                {foundationCount}/52
+              </span>
+              <span style={{ color: '#94a3b8', fontSize: '0.875rem' }}>Cards to Foundation · Deal #{state.dealNumber}</span>
+            </div>
+
+            <div style={styles.modalStats}>
+              <div style={styles.modalStat}>
+                <span style={styles.modalStatValue}>{formatTime(elapsed)}</span>
+                <span style={styles.modalStatLabel}>Time</span>
+              </div>
+              <div style={styles.modalStat}>
+                <span style={styles.modalStatValue}>{state.moves}</span>
+                <span style={styles.modalStatLabel}>Moves</span>
+              </div>
+            </div>
+
+            {/* Submission Form */}
+            {!submitted ? (
+              <div style={styles.submitSection}>
+                <input
+                  type="text"
+                  placeholder="Your name (optional)"
+                  value={playerName}
+                  onChange={(e) => setPlayerName(e.target.value)}
+                  maxLength={20}
+                  style={styles.nameInput}
+                />
+                <button
+                  onClick={handleSubmitScore}
+                  disabled={submitting}
+                  style={{ ...styles.submitBtn, opacity: submitting ? 0.5 : 1 }}
+                >
+                  {submitting ? 'Submitting...' : 'Submit Score'}
+                </button>
+                {submitError && <p style={styles.submitError}>{submitError}</p>}
+              </div>
+            ) : (
+              <div style={styles.submitSuccess}>
+                ✓ Submitted! Ranked #{submitRank}
+              </div>
+            )}
+
+            <div style={styles.modalActions}>
+              <button onClick={startNewGame} style={styles.playAgainBtn}>Play Again</button>
+              <Link to={`/verify/freecell/${state.blockchainData.gameId}`} style={{ ...styles.verifyBtn, textDecoration: 'none' }}>
+                Verify
+              </Link>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Mobile-optimized styles, shared look with Solitaire
+const styles = {
+  container: {
+    minHeight: '100dvh',
+    backgroundColor: '#0f172a',
+    color: '#f1f5f9',
+    display: 'flex',
+    flexDirection: 'column',
+    overflow: 'hidden',
+    touchAction: 'none',
+    userSelect: 'none',
+    WebkitUserSelect: 'none',
+    WebkitTouchCallout: 'none'
+  },
+  gameWrapper: {
+    flex: 1,
+    display: 'flex',
+    flexDirection: 'column',
+    maxWidth: '1050px', // Wider: increased from 700px to spread out
+    width: '100%',
+    margin: '0 auto',
+    padding: '12px',
+    boxSizing: 'border-box'
+  },
+  header: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: '8px',
+    padding: '0 4px'
+  },
+  titleSection: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '10px'
+  },
+  menuBtn: {
+    width: '36px',
+    height: '36px',
+    borderRadius: '8px',
+    backgroundColor: 'transparent',
+    border: 'none',
+    color: '#94a3b8',
+    fontSize: '1.25rem',
+    cursor: 'pointer',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center'
+  },
+  title: {
+    fontSize: 'clamp(1.25rem, 5vw, 1.5rem)',
+    fontWeight: 'bold',
+    color: '#f1f5f9',
+    fontFamily: 'system-ui, sans-serif',
+    margin: 0
+  },
+  badge: {
+    fontSize: '0.55rem',
+    padding: '3px 6px',
+    backgroundColor: '#22c55e',
+    color: '#fff',
+    borderRadius: '4px',
+    fontWeight: 'bold',
+    textTransform: 'uppercase'
+  },
+  refreshBtn: {
+    width: '36px',
+    height: '36px',
+    borderRadius: '8px',
+    backgroundColor: 'transparent',
+    border: 'none',
+    color: '#94a3b8',
+    fontSize: '1.5rem',
+    cursor: 'pointer'
+  },
+  menu: {
+    backgroundColor: '#1e293b',
+    borderRadius: '8px',
+    marginBottom: '8px',
+    padding: '4px',
+    border: '1px solid #334155'
+  },
+  menuItem: {
+    display: 'block',
+    width: '100%',
+    padding: '10px 12px',
+    backgroundColor: 'transparent',
+    border: 'none',
+    borderRadius: '6px',
+    color: '#f1f5f9',
+    fontSize: '0.9rem',
+    textDecoration: 'none',
+    textAlign: 'left',
+    cursor: 'pointer',
+    fontFamily: 'system-ui, sans-serif'
+  },
+  statsBar: {
+    display: 'flex',
+    justifyContent: 'space-around',
+    backgroundColor: '#1e293b',
+    borderRadius: '8px',
+    padding: '8px',
+    marginBottom: '8px'
+  },
+  stat: {
+    display: 'flex',
+    flexDirection: 'column',
+    alignItems: 'center'
+  },
+  statValue: {
+    fontSize: '1rem',
+    fontWeight: 'bold',
+    color: '#f1f5f9'
+  },
+  statLabel: {
+    fontSize: '0.65rem',
+    color: '#64748b',
+    textTransform: 'uppercase'
+  },
+  leaderboardPanel: {
+    marginBottom: '8px'
+  },
+  gameArea: {
+    flex: 1,
+    display: 'flex',
+    flexDirection: 'column',
+    minHeight: 0,
+    touchAction: 'none',
+    backgroundColor: '#1e293b', // Cypherpunk: dark slate (was green felt #166534)
+    borderRadius: '12px',
+    overflow: 'hidden',
+    border: '1px solid #334155' // Subtle border
+  },
+  loadingState: {
+    flex: 1,
+    display: 'flex',
+    flexDirection: 'column',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: '12px',
+    color: '#d1fae5'
+  },
+  spinner: {
+    width: '32px',
+    height: '32px',
+    border: '3px solid rgba(255,255,255,0.2)',
+    borderTopColor: '#4ade80',
+    borderRadius: '50%',
+    animation: 'spin 1s linear infinite'
+  },
+  errorState: {
+    flex: 1,
+    display: 'flex',
+    flexDirection: 'column',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: '12px',
+    color: '#fecaca',
+    padding: '20px'
+  },
+  startScreen: {
+    flex: 1,
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: '20px'
+  },
+  startContent: {
+    backgroundColor: 'rgba(0,0,0,0.3)',
+    borderRadius: '12px',
+    padding: '24px',
+    textAlign: 'center',
+    maxWidth: '320px',
+    width: '100%'
+  },
+  startTitle: {
+    fontSize: '2rem',
+    margin: '0 0 4px 0',
+    color: '#fff'
+  },
+  startSubtitle: {
+    fontSize: '0.875rem',
+    color: '#86efac',
+    margin: '0 0 20px 0'
+  },
+  rulesBox: {
+    backgroundColor: 'rgba(0,0,0,0.2)',
+    borderRadius: '8px',
+    padding: '12px',
+    fontSize: '0.8rem',
+    color: '#d1fae5',
+    marginBottom: '20px',
+    textAlign: 'left'
+  },
+  rulesTitle: {
+    fontWeight: 'bold',
+    marginBottom: '6px',
+    color: '#fff'
+  },
+  startBtn: {
+    width: '100%',
+    padding: '14px 24px',
+    fontSize: '1rem',
+    fontWeight: '600',
+    backgroundColor: '#22c55e',
+    color: '#fff',
+    border: 'none',
+    borderRadius: '8px',
+    cursor: 'pointer'
+  },
+  actionBtn: {
+    padding: '10px 20px',
+    backgroundColor: '#22c55e',
+    color: '#fff',
+    border: 'none',
+    borderRadius: '6px',
+    cursor: 'pointer',
+    fontSize: '0.9rem'
+  },
+  footer: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: '8px 4px',
+    color: '#64748b',
+    fontSize: '0.7rem',
+    fontFamily: 'system-ui, sans-serif'
+  },
+  blockInfo: {
+    color: '#475569'
+  },
+  modalOverlay: {
+    position: 'fixed',
+    inset: 0,
+    backgroundColor: 'rgba(0,0,0,0.9)',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    zIndex: 1000,
+    padding: '16px'
+  },
+  modal: {
+    backgroundColor: '#1e293b',
+    borderRadius: '16px',
+    padding: '24px',
+    maxWidth: '400px',
+    width: '100%',
+    maxHeight: '90vh',
+    overflowY: 'auto',
+    position: 'relative',
+    textAlign: 'center'
+  },
+  modalClose: {
+    position: 'absolute',
+    top: '12px',
+    right: '12px',
+    background: 'none',
+    border: 'none',
+    color: '#64748b',
+    fontSize: '1.5rem',
+    cursor: 'pointer',
+    padding: '4px'
+  },
+  modalTitle: {
+    fontSize: '1.5rem',
+    margin: '0 0 16px 0',
+    color: '#f1f5f9'
+  },
+  modalScore: {
+    display: 'flex',
+    flexDirection: 'column',
+    alignItems: 'center',
+    marginBottom: '16px'
+  },
+  modalStats: {
+    display: 'flex',
+    justifyContent: 'center',
+    gap: '32px',
+    marginBottom: '20px'
+  },
+  modalStat: {
+    display: 'flex',
+    flexDirection: 'column',
+    alignItems: 'center'
+  },
+  modalStatValue: {
+    fontSize: '1.25rem',
+    fontWeight: 'bold',
+    color: '#f1f5f9'
+  },
+  modalStatLabel: {
+    fontSize: '0.75rem',
+    color: '#64748b'
+  },
+  submitSection: {
+    backgroundColor: '#0f172a',
+    borderRadius: '8px',
+    padding: '16px',
+    marginBottom: '16px'
+  },
+  nameInput: {
+    width: '100%',
+    padding: '12px',
+    fontSize: '0.9rem',
+    borderRadius: '6px',
+    border: '1px solid #334155',
+    backgroundColor: '#1e293b',
+    color: '#f1f5f9',
+    marginBottom: '10px',
+    boxSizing: 'border-box'
+  },
+  submitBtn: {
+    width: '100%',
+    padding: '12px',
+    fontSize: '0.9rem',
+    fontWeight: '600',
+    backgroundColor: '#22c55e',
+    color: '#fff',
+    border: 'none',
+    borderRadius: '6px',
+    cursor: 'pointer'
+  },
+  submitError: {
+    color: '#f87171',
+    fontSize: '0.8rem',
+    marginTop: '8px'
+  },
+  submitSuccess: {
+    backgroundColor: '#166534',
+    borderRadius: '8px',
+    padding: '16px',
+    marginBottom: '16px',
+    color: '#4ade80',
+    fontWeight: '600'
+  },
+  modalActions: {
+    display: 'flex',
+    gap: '10px',
+    justifyContent: 'center'
+  },
+  playAgainBtn: {
+    padding: '12px 24px',
+    fontSize: '0.9rem',
+    fontWeight: '600',
+    backgroundColor: '#3b82f6',
+    color: '#fff',
+    border: 'none',
+    borderRadius: '6px',
+    cursor: 'pointer'
+  },
+  verifyBtn: {
+    padding: '12px 24px',
+    fontSize: '0.9rem',
+    fontWeight: '600',
+    backgroundColor: '#f59e0b',
+    color: '#fff',
+    border: 'none',
+    borderRadius: '6px',
+    cursor: 'pointer'
+  }
+};
@@ -0,0 +1,88 @@
+/**
+ * FreeCellSlot Component
+ *
+ * Renders one free cell: an empty slot, or the single card parked in it.
+ * Highlights when selected or when the selected card can be parked here.
+ */
+
+import React from 'react';
+
+const SUIT_SYMBOLS = {
+  hearts: '♥',
+  diamonds: '♦',
+  clubs: '♣',
+  spades: '♠'
+};
+
+const isRedSuit = (suit) => suit === 'hearts' || suit === 'diamonds';
+
+export default function FreeCellSlot({
+  card,
+  cellIndex,
+  onClick,
+  isSelected,
+  isValidDropTarget
+}) {
+  // Responsive sizing - larger for desktop, smaller for mobile
+  const isSmallScreen = typeof window !== 'undefined' && window.innerWidth < 768;
+  const cardWidth = isSmallScreen ? 'clamp(36px, 7vmin, 60px)' : '75px';
+  const cardHeight = isSmallScreen ? 'clamp(50px, 10vmin, 84px)' : '105px';
+
+  return (
+    <div
+      onClick={() => onClick(cellIndex)}
+      style={{
+        width: cardWidth,
+        height: cardHeight,
+        borderRadius: '5px',
+        margin: '0 2px',
+        cursor: 'pointer',
+        boxShadow: isSelected
+          ? '0 0 20px rgba(139, 92, 246, 0.6)' // Cypherpunk: violet glow when selected
+          : isValidDropTarget
+          ? '0 0 12px rgba(34, 197, 94, 0.4)' // Cypherpunk: green glow for valid drop
+          : 'none',
+        transition: 'box-shadow 0.2s'
+      }}
+    >
+      {card ? (
+        <div
+          style={{
+            width: '100%',
+            height: '100%',
+            backgroundColor: '#f8fafc', // Cypherpunk: off-white slate-50
+            borderRadius: '5px',
+            border: '1px solid #cbd5e1', // Cypherpunk: slate-300
+            display: 'flex',
+            flexDirection: 'column',
+            justifyContent: 'space-between',
+            padding: '3px',
+            boxSizing: 'border-box',
+            color: isRedSuit(card.suit) ? '#dc2626' : '#0f172a' // Cypherpunk: red-600 / slate-900
+          }}
+        >
+          <div style={{ fontSize: '11px', fontWeight: 'bold', lineHeight: 1 }}>
+            {card.rank}
+            <span style={{ fontSize: '10px', marginLeft: '1px' }}>{SUIT_SYMBOLS[card.suit]}</span>
+          </div>
+          <div style={{ fontSize: '20px', textAlign: 'center' }}>{SUIT_SYMBOLS[card.suit]}</div>
+          <div style={{ fontSize: '11px', fontWeight: 'bold', lineHeight: 1, alignSelf: 'flex-end', transform: 'rotate(180deg)' }}>
+            {card.rank}
+            <span style={{ fontSize: '10px', marginLeft: '1px' }}>{SUIT_SYMBOLS[card.suit]}</span>
+          </div>
+        </div>
+      ) : (
+        <div
+          style={{
+            width: '100%',
+            height: '100%',
+            border: isValidDropTarget ? '2px solid #22c55e' : '2px dashed #334155', // Cypherpunk: green / slate-700
+            borderRadius: '5px',
+            boxSizing: 'border-box',
+            backgroundColor: '#1e293b' // Cypherpunk: lighter slate background
+          }}
+        />
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,144 @@
+/**
+ * FreeCell Game Logic Tests
+ *
+ * Tests:
+ * - Microsoft deal numbering
+ * - Supermove limits
+ * - Free cell, tableau and foundation moves with undo
+ * - Stuck detection
+ */
+
+import {
+  getDealNumber,
+  createMicrosoftDeal,
+  getMaxMovableCards,
+  canPlaceOnTableau,
+  isGameStuck
+} from '../../../core/games/freecell/gameLogic';
+import { initialState, dealCards, freecellReducer } from '../../../core/games/freecell/gameState';
+
+// ============================================
+// TEST HELPERS
+// ============================================
+
+function createCard(rank, suit) {
+  return { id: `${rank}${suit[0].toUpperCase()}`, rank, suit, faceUp: true };
+}
+
+function select(state, index, count = 1) {
+  const column = state.tableau[index];
+  return freecellReducer(state, {
+    type: 'SELECT_CARDS',
+    payload: { cards: column.slice(column.length - count), source: { type: 'tableau', index } }
+  });
+}
+
+const ids = cards => cards.map(card => card.id).join(' ');
+
+// ============================================
+// DEALS
+// ============================================
+
+describe('Microsoft deals', () => {
+  test('deal 1 matches the original game', () => {
+    expect(ids(createMicrosoftDeal(1).slice(0, 8))).toBe('JD 2D 9H JC 5D 7H 7C 5H');
+  });
+
+  test('deal 617 matches the original game', () => {
+    expect(ids(createMicrosoftDeal(617).slice(0, 8))).toBe('7D AD 5C 3S 5S 8C 2D AH');
+  });
+
+  test('every card dealt once, face-up', () => {
+    const deal = createMicrosoftDeal(11982);
+    expect(new Set(deal.map(card => card.id)).size).toBe(52);
+    expect(deal.every(card => card.faceUp)).toBe(true);
+  });
+
+  test('seed maps onto deals 1-32000', () => {
+    expect(getDealNumber('00000000' + 'f'.repeat(56))).toBe(1);
+    expect(getDealNumber('00007cff')).toBe(32000);
+    expect(getDealNumber('00007d00')).toBe(1);
+    expect(() => getDealNumber('zz')).toThrow('Seed is not hex');
+    expect(() => createMicrosoftDeal(32001)).toThrow();
+  });
+
+  test('first four columns get seven cards, the rest six', () => {
+    expect(dealCards(1).tableau.map(column => column.length)).toEqual([7, 7, 7, 7, 6, 6, 6, 6]);
+  });
+});
+
+// ============================================
+// RULES
+// ============================================
+
+describe('Move rules', () => {
+  test('any card can start an empty column', () => {
+    expect(canPlaceOnTableau(createCard('7', 'hearts'), [])).toBe(true);
+    expect(canPlaceOnTableau(createCard('7', 'hearts'), [createCard('8', 'spades')])).toBe(true);
+    expect(canPlaceOnTableau(createCard('7', 'hearts'), [createCard('8', 'diamonds')])).toBe(false);
+  });
+
+  test('supermove limit doubles per empty column, not counting the target', () => {
+    const full = Array(8).fill([createCard('K', 'spades')]);
+    const twoEmpty = [[], [], ...full.slice(2)];
+
+    expect(getMaxMovableCards([null, null, null, null], full, 0)).toBe(5);
+    expect(getMaxMovableCards([null, null, createCard('A', 'clubs'), null], twoEmpty, 5)).toBe(16);
+    expect(getMaxMovableCards([null, null, createCard('A', 'clubs'), null], twoEmpty, 0)).toBe(8);
+  });
+});
+
+describe('freecellReducer', () => {
+  test('park a card in a free cell, then undo', () => {
+    let state = dealCards(1);
+    const top = state.tableau[0][6];
+
+    state = freecellReducer(select(state, 0), { type: 'MOVE_TO_FREECELL', payload: { cellIndex: 2 } });
+    expect(state.freeCells[2]).toEqual(top);
+    expect(state.tableau[0]).toHaveLength(6);
+    expect(state.moveLog).toEqual([{ type: 'MOVE_TO_FREECELL', source: { type: 'tableau', index: 0 }, cellIndex: 2 }]);
+
+    state = freecellReducer(state, { type: 'UNDO' });
+    expect(state.freeCells[2]).toBeNull();
+    expect(state.tableau[0]).toHaveLength(7);
+    expect(state.moveLog).toEqual([]);
+  });
+
+  test('refuses an occupied free cell', () => {
+    let state = freecellReducer(select(dealCards(1), 0), { type: 'MOVE_TO_FREECELL', payload: { cellIndex: 0 } });
+    const before = state;
+    state = freecellReducer(select(state, 1), { type: 'MOVE_TO_FREECELL', payload: { cellIndex: 0 } });
+    expect(state.freeCells).toEqual(before.freeCells);
+    expect(state.moves).toBe(1);
+  });
+
+  test('aces go to the foundation', () => {
+    const ace = createCard('A', 'clubs');
+    let state = { ...dealCards(1), tableau: [[createCard('9', 'hearts'), ace], ...dealCards(1).tableau.slice(1)] };
+
+    state = freecellReducer(select(state, 0), { type: 'MOVE_TO_FOUNDATION', payload: { suit: 'clubs' } });
+    expect(state.foundations.clubs).toEqual([ace]);
+    expect(state.tableau[0]).toHaveLength(1);
+    expect(state.moveLog[0]).toEqual({ type: 'MOVE_TO_FOUNDATION', source: { type: 'tableau', index: 0 }, suit: 'clubs' });
+  });
+});
+
+// ============================================
+// STUCK DETECTION
+// ============================================
+
+describe('isGameStuck', () => {
+  const blocked = {
+    ...initialState,
+    freeCells: [createCard('K', 'hearts'), createCard('K', 'diamonds'), createCard('K', 'clubs'), createCard('K', 'spades')],
+    tableau: Array.from({ length: 8 }, (_, i) => [createCard(String(2 + (i % 4)), i < 4 ? 'hearts' : 'diamonds')])
+  };
+
+  test('no moves with full free cells and no empty column', () => {
+    expect(isGameStuck(blocked)).toBe(true);
+  });
+
+  test('an empty free cell is never stuck', () => {
+    expect(isGameStuck({ ...blocked, freeCells: [null, ...blocked.freeCells.slice(1)] })).toBe(false);
+  });
+});
@@ -3,12 +3,16 @@
  *
  * Complete game with blockchain-verified shuffling and leaderboard.
  * Player vs AI with provably fair deck ordering.
+ *
+ * Every turn (player and AI) is recorded in turnHistory, which the server
+ * replays from the dealt deck: { by, source, placements, endCard }.
  */
 
-import React, { useState, useCallback, useEffect } from 'react';
+import React, { useState, useCallback, useEffect, useRef } from 'react';
 import { Link } from 'react-router-dom';
-import { shuffleDeckStrings } from '../../blockchain/shuffle';
+import { shuffleDeckStrings, CURRENT_RNG_VERSION } from '../../core/shuffle';
 import { startSecureGame, getSecureRandom, endSecureSession } from '../../blockchain/secureRng';
+import { loadResumableGame, saveResumableGame, clearResumableGame } from '../../blockchain/sessionResume';
 import {
   dealInitialCards,
   getValidPositions,
@@ -16,7 +20,7 @@ import {
   isWild,
   checkWin,
   countFilledPositions
-} from './game-logic';
+} from '../../core/games/garbage/game-logic';
 import { makeMove } from './ai';
 import Card from '../../components/Card';
 import Verification from '../../components/Verification';
@@ -52,6 +56,8 @@ function GarbageGame() {
   const [currentTurn, setCurrentTurn] = useState('player');
   const [heldCard, setHeldCard] = useState(null);
   const [winner, setWinner] = useState(null);
+  const [turnHistory, setTurnHistory] = useState([]);
+  const playerTurnRef = useRef(null); // Player turn in progress
   const [message, setMessage] = useState('');
   const [error, setError] = useState(null);
   const [showVerification, setShowVerification] = useState(false);
@@ -120,14 +126,62 @@ function GarbageGame() {
           console.log('🔐 Server secret revealed and verified!');
         }
         setRevealedSecret(revealData.serverSecret);
-        // Update blockData with revealed secret
-        setBlockData(prev => ({ ...prev, serverSecret: revealData.serverSecret }));
+        // Update blockData with revealed secret and its seed batch proof
+        setBlockData(prev => ({ ...prev, serverSecret: revealData.serverSecret, seedBatch: revealData.seedBatch }));
       }).catch(error => {
         console.error('❌ Failed to end secure session:', error);
       });
     }
   }, [gameState, sessionId, blockData, gameId, winner, moves, getElapsedSeconds, playerCards, calculateScore]);
 
+  /**
+   * Resume a saved game on mount
+   */
+  useEffect(() => {
+    loadResumableGame('garbage').then(resumed => {
+      if (!resumed) return;
+      const saved = resumed.state;
+
+      setSessionId(resumed.session.sessionId);
+      setSecretHash(resumed.session.secretHash);
+      setGameId(saved.gameId);
+      setBlockData(saved.blockData);
+      setDeck(saved.deck);
+      setDifficulty(saved.difficulty);
+      setPlayerCards(saved.playerCards);
+      setPlayerHidden(saved.playerHidden);
+      setAiCards(saved.aiCards);
+      setAiHidden(saved.aiHidden);
+      setDrawPile(saved.drawPile);
+      setDiscardPile(saved.discardPile);
+      setCurrentTurn(saved.currentTurn);
+      setHeldCard(saved.heldCard);
+      setTurnHistory(saved.turnHistory);
+      playerTurnRef.current = saved.playerTurn;
+      setMoves(saved.moves);
+      setStartTime(saved.startTime);
+      setMessage(saved.currentTurn === 'ai' ? 'AI is thinking...' : 'Game resumed. Your turn!');
+      setGameState('playing');
+    });
+  }, []);
+
+  /**
+   * Save the game while it's in progress so a reload can resume it
+   */
+  useEffect(() => {
+    if (!sessionId || !blockData) return;
+    if (gameState === 'finished') {
+      clearResumableGame('garbage');
+    } else if (gameState === 'playing') {
+      saveResumableGame('garbage', sessionId, {
+        gameId, blockData, deck, difficulty, playerCards, playerHidden, aiCards, aiHidden,
+        drawPile, discardPile, currentTurn, heldCard, turnHistory, moves, startTime,
+        playerTurn: playerTurnRef.current && { ...playerTurnRef.current, placements: [...playerTurnRef.current.placements] }
+      });
+    }
+  }, [sessionId, blockData, gameState, gameId, deck, difficulty, playerCards, playerHidden, aiCards, aiHidden,
+      drawPile, discardPile, currentTurn, heldCard, turnHistory, moves, startTime]);
+
   /**
    * Start a new game
    */
@@ -144,7 +198,7 @@ function GarbageGame() {
 
     try {
       // Initialize secure session (server commits secret, then get blockchain data)
-      const { sessionId, secretHash, blockData: block } = await startSecureGame('garbage');
+      const { sessionId, secretHash, clientSeed, beacon, blockData: block } = await startSecureGame('garbage');
       setMessage(`Block #${block.blockHeight} loaded. Shuffling...`);
 
       const newGameId = generateGameId();
@@ -152,13 +206,17 @@ function GarbageGame() {
 
       // Get secure random value for deck shuffle
       const seed = await getSecureRandom(sessionId, 'deck-shuffle');
-      const shuffledDeck = shuffleDeckStrings(seed);
+      const shuffledDeck = shuffleDeckStrings(seed, CURRENT_RNG_VERSION);
       setDeck(shuffledDeck);
 
       const blockDataWithSession = {
         ...block,
         sessionId,      // Add session ID
         secretHash,     // Add commitment hash
+        clientSeed,     // Player's seed mixed into every derivation
+        beacon,         // Randomness beacon the block came from
+        seed,
+        rngVersion: CURRENT_RNG_VERSION,
         gameId: newGameId
       };
       setBlockData(blockDataWithSession);
@@ -178,6 +236,8 @@ function GarbageGame() {
       setCurrentTurn('player');
       setHeldCard(null);
       setWinner(null);
+      setTurnHistory([]);
+      playerTurnRef.current = null;
       setShowVerification(false);
       setMessage('Your turn! Draw a card.');
       setGameState('playing');
@@ -199,6 +259,7 @@ function GarbageGame() {
     setDrawPile(prev => prev.slice(1));
     setHeldCard(card);
     setMoves(m => m + 1);
+    playerTurnRef.current = { by: 'player', source: 'draw', placements: [] };
 
     if (isGarbage(card)) {
       setMessage(`Drew ${card} - Garbage! Turn ends.`);
@@ -234,9 +295,26 @@ function GarbageGame() {
     setDiscardPile(prev => prev.slice(0, -1));
     setHeldCard(card);
     setMoves(m => m + 1);
+    playerTurnRef.current = { by: 'player', source: 'discard', placements: [] };
     setMessage(`Took ${card} - Tap position ${positions.join(' or ')}.`);
   }, [currentTurn, heldCard, discardPile, playerCards]);
 
+  /**
+   * End player turn, discarding the card in hand (null when the turn won)
+   */
+  const endPlayerTurn = useCallback((card) => {
+    const turn = { ...playerTurnRef.current, endCard: card || null };
+    playerTurnRef.current = null;
+    setTurnHistory(prev => [...prev, turn]);
+
+    if (card) {
+      setDiscardPile(prev => [...prev, card]);
+    }
+    setHeldCard(null);
+    setCurrentTurn('ai');
+    setMessage("AI is thinking...");
+  }, []);
+
   /**
    * Player clicks a position to place held card
    */
@@ -254,6 +332,7 @@ function GarbageGame() {
 
     const index = position - 1;
     const hiddenCard = playerHidden[index];
+    playerTurnRef.current.placements.push({ card: heldCard, position });
 
     setPlayerCards(prev => {
       const updated = [...prev];
@@ -271,6 +350,8 @@ function GarbageGame() {
     newPlayerCards[index] = heldCard;
 
     if (checkWin(newPlayerCards)) {
+      setTurnHistory(prev => [...prev, { ...playerTurnRef.current, endCard: null }]);
+      playerTurnRef.current = null;
       setWinner('player');
       setGameState('finished');
       setEndTime(Date.now());
@@ -294,29 +375,15 @@ function GarbageGame() {
       }
     }
 
-    endPlayerTurn();
-  }, [currentTurn, heldCard, playerCards, playerHidden]);
-
-  /**
-   * End player turn and discard held card
-   */
-  const endPlayerTurn = useCallback(() => {
-    if (heldCard) {
-      setDiscardPile(prev => [...prev, heldCard]);
-    }
-    setHeldCard(null);
-    setCurrentTurn('ai');
-    setMessage("AI is thinking...");
-
-    setTimeout(executeAITurn, 1000);
-  }, [heldCard]);
+    endPlayerTurn(hiddenCard);
+  }, [currentTurn, heldCard, playerCards, playerHidden, endPlayerTurn]);
 
   /**
    * Discard held card
    */
   const discardHeldCard = useCallback(() => {
     if (!heldCard) return;
-    endPlayerTurn();
+    endPlayerTurn(heldCard);
   }, [heldCard, endPlayerTurn]);
 
   /**
@@ -329,6 +396,12 @@ function GarbageGame() {
     setAiHidden(result.newAiHidden);
     setDrawPile(result.newDrawPile);
     setDiscardPile(result.newDiscardPile);
+    setTurnHistory(prev => [...prev, {
+      by: 'ai',
+      source: result.action === 'take_discard' ? 'discard' : 'draw',
+      placements: result.placements,
+      endCard: result.discarded
+    }]);
 
     let aiMessage = result.action === 'take_discard' ? 'AI took discard. ' : 'AI drew. ';
 
@@ -348,6 +421,14 @@ function GarbageGame() {
     setCurrentTurn('player');
   }, [aiCards, aiHidden, drawPile, discardPile, difficulty]);
 
+  // AI plays once the player's discard has landed in state
+  useEffect(() => {
+    if (gameState !== 'playing' || currentTurn !== 'ai') return;
+
+    const timer = setTimeout(executeAITurn, 1000);
+    return () => clearTimeout(timer);
+  }, [gameState, currentTurn, executeAITurn]);
+
   /**
    * Submit score to leaderboard
    */
@@ -372,7 +453,13 @@ function GarbageGame() {
         blockHash: blockData.blockHash,
         txHash: blockData.txHash,
         blockTimestamp: blockData.timestamp,
-        difficulty: difficulty
+        txIndex: blockData.txIndex,
+        seed: blockData.seed,
+        rngVersion: blockData.rngVersion,
+        sessionId: blockData.sessionId,
+        difficulty: difficulty,
+        rounds: turnHistory.filter(turn => turn.by === 'player').length,
+        turnHistory
       });
 
       setSubmitted(true);
@@ -7,8 +7,9 @@ import React, { useState, useEffect } from 'react';
 import { useParams, useLocation } from 'react-router-dom';
 import UnifiedVerification from '../../components/UnifiedVerification';
 import CryptoJS from 'crypto-js';
-import { shuffleDeckStrings } from '../../blockchain/shuffle';
-import { dealInitialCards } from './game-logic';
+import { shuffleDeckStrings, resolveRngVersion } from '../../core/shuffle';
+import { deriveRandomValue } from '../../core/seed';
+import { dealInitialCards } from '../../core/games/garbage/game-logic';
 
 // ============================================
 // COMMIT-REVEAL VERIFICATION FUNCTIONS
@@ -22,15 +23,6 @@ function verifySecretCommitment(serverSecret, secretHash) {
   return calculatedHash === secretHash;
 }
 
-/**
- * Generate seed using commit-reveal formula
- * Formula: SHA256(serverSecret + blockHash + timestamp + purpose)
- */
-function generateCommitRevealSeed(serverSecret, blockHash, timestamp, purpose) {
-  const input = serverSecret + blockHash + timestamp.toString() + purpose;
-  return CryptoJS.SHA256(input).toString();
-}
-
 const truncateHash = (hash, len = 12) => {
   if (!hash) return 'N/A';
   return `${hash.slice(0, len)}...${hash.slice(-6)}`;
@@ -231,7 +223,8 @@ export default function GarbageVerificationPage() {
                 blockHeight: entry.block_height,
                 blockHash: entry.block_hash,
                 txHash: entry.tx_hash,
-                timestamp: entry.block_timestamp
+                timestamp: entry.block_timestamp,
+                rngVersion: entry.rng_version
               },
               winner: entry.score > 500 ? 'player' : 'ai', // Approximate from score
               score: entry.score,
@@ -267,7 +260,7 @@ export default function GarbageVerificationPage() {
     }
 
     try {
-      const { serverSecret, secretHash, blockHash, timestamp } = data.blockData;
+      const { serverSecret, secretHash, blockHash, timestamp, clientSeed } = data.blockData;
 
       // Verify commitment if we have both secret and hash
       if (serverSecret && secretHash) {
@@ -291,11 +284,11 @@ export default function GarbageVerificationPage() {
       // Generate seed using commit-reveal formula
       // Purpose is 'deck-shuffle' for Garbage (single deck shuffle at game start)
       if (serverSecret && blockHash && timestamp) {
-        const seed = generateCommitRevealSeed(serverSecret, blockHash, timestamp, 'deck-shuffle');
+        const seed = deriveRandomValue(serverSecret, data.blockData, 'deck-shuffle', clientSeed);
         console.log('Generated commit-reveal seed for deck-shuffle');
 
         // Shuffle deck with same seed
-        const regeneratedDeck = shuffleDeckStrings(seed);
+        const regeneratedDeck = shuffleDeckStrings(seed, resolveRngVersion(data.blockData));
 
         // Deal cards
         const dealt = dealInitialCards(regeneratedDeck);
@@ -453,7 +446,7 @@ export default function GarbageVerificationPage() {
         }}>
           <strong style={{ color: '#22c55e' }}>Commit-Reveal Formula:</strong>
           <code style={{ display: 'block', marginTop: 6, color: '#a5b4fc', fontSize: 10 }}>
-            seed = SHA256(serverSecret + blockHash + timestamp + "deck-shuffle")
+            seed = SHA256(serverSecret:blockHash:txHash:timestamp:txIndex[:clientSeed]:deck-shuffle)
           </code>
         </div>
       </div>
@@ -587,7 +580,11 @@ export default function GarbageVerificationPage() {
     // Include commit-reveal data from blockData
     sessionId: gameData.blockData?.sessionId || gameData.blockchainData?.sessionId,
     secretHash: gameData.blockData?.secretHash || gameData.blockchainData?.secretHash,
-    serverSecret: gameData.blockData?.serverSecret || gameData.blockchainData?.serverSecret
+    serverSecret: gameData.blockData?.serverSecret || gameData.blockchainData?.serverSecret,
+    clientSeed: gameData.blockData?.clientSeed || gameData.blockchainData?.clientSeed,
+    beacon: gameData.blockData?.beacon || gameData.blockchainData?.beacon,
+    seedBatch: gameData.blockData?.seedBatch || gameData.blockchainData?.seedBatch,
+    rngVersion: resolveRngVersion(gameData.blockData || gameData.blockchainData)
   } : null;
 
   return (
@@ -27,7 +27,7 @@ import {
   dealInitialCards,
   getValidPositions,
   countFilledPositions
-} from '../game-logic';
+} from '../../../core/games/garbage/game-logic';
 
 // ============================================
 // CARD PARSING
@@ -16,7 +16,7 @@ import {
   isPositionFilled,
   getValidPositions,
   countFilledPositions
-} from './game-logic';
+} from '../../core/games/garbage/game-logic';
 
 /**
  * Decides if AI should take from discard pile or draw pile
@@ -22,9 +22,9 @@ import {
   dealInitialCards,
   getValidPositions,
   countFilledPositions
-} from './game-logic.js';
+} from '../../core/games/garbage/game-logic.js';
 
-import { createDeck } from '../../blockchain/shuffle.js';
+import { createDeck } from '../../core/shuffle.js';
 
 let passed = 0;
 let failed = 0;
@@ -12,8 +12,9 @@ import StockPile from './StockPile';
 import {
   canPlaceOnTableau,
   canPlaceOnFoundation,
-  getMovableSequence
-} from './gameLogic';
+  getMovableSequence,
+  canRecycleStock
+} from '../../core/games/solitaire/gameLogic';
 
 export default function SolitaireBoard({ state, dispatch }) {
   const { tableau, stock, waste, foundations, selectedCards } = state;
@@ -157,6 +158,7 @@ export default function SolitaireBoard({ state, dispatch }) {
           waste={waste}
           onDrawClick={handleDraw}
           onRecycleClick={handleRecycle}
+          canRecycle={canRecycleStock(stock, waste, state.recycleCount, state.options.stockPasses)}
           onWasteCardClick={handleWasteSelect}
           selectedCards={selectedCards}
         />
@@ -1,17 +1,29 @@
 /**
  * SolitaireGame Component - Mobile-optimized
  *
- * Leaderboard ranks by: cards to foundation > time > moves
- * Both wins and losses can be submitted.
+ * Leaderboard ranks by: cards to foundation > time > moves, per variant
+ * (draw count, scoring, stock passes). Both wins and losses can be submitted.
  */
 
 import React, { useReducer, useEffect, useState, useCallback, useRef } from 'react';
 import { Link } from 'react-router-dom';
 import { getLatestBlock } from '../../blockchain/ergo-api';
-import { generateSeed, shuffleDeck } from '../../blockchain/shuffle';
+import { generateSeed, shuffleDeck, CURRENT_RNG_VERSION } from '../../core/shuffle';
 import { startSecureGame, getSecureRandom, endSecureSession } from '../../blockchain/secureRng';
-import { solitaireReducer, initialState, getFoundationCount } from './gameState';
-import { checkWinCondition, canAutoComplete, getHint, isGameStuck } from './gameLogic';
+import { loadResumableGame, saveResumableGame, clearResumableGame } from '../../blockchain/sessionResume';
+import { solitaireReducer, initialState, getFoundationCount } from '../../core/games/solitaire/gameState';
+import { checkWinCondition, canAutoComplete, getHint, isGameStuck } from '../../core/games/solitaire/gameLogic';
+import {
+  DEFAULT_GAME_OPTIONS,
+  SCORING_MODES,
+  DRAW_COUNTS,
+  STOCK_PASS_LIMITS,
+  normalizeGameOptions,
+  validateGameOptions,
+  isVegasScoring,
+  getVariantId,
+  describeGameOptions
+} from '../../core/games/solitaire/variants';
 import { submitScore } from '../../services/leaderboard';
 import SolitaireBoard from './SolitaireBoard';
 import Leaderboard from '../../components/Leaderboard';
@@ -22,13 +34,42 @@ const formatTime = (seconds) => {
   return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
 };
 
+const formatCash = (amount) => (amount >= 0 ? `+$${amount}` : `-$${Math.abs(amount)}`);
+
+const GAME_OPTIONS_KEY = 'solitaire_game_options';
+const VEGAS_CARRY_KEY = 'solitaire_vegas_carry';
+
+function loadGameOptions() {
+  try {
+    const saved = normalizeGameOptions(JSON.parse(localStorage.getItem(GAME_OPTIONS_KEY)));
+    return validateGameOptions(saved).valid ? saved : DEFAULT_GAME_OPTIONS;
+  } catch (err) {
+    return DEFAULT_GAME_OPTIONS;
+  }
+}
+
+/**
+ * Vegas cumulative: the last submitted game ({ sessionId, balance, playerName }).
+ * The server carries its validated balance into the next session, for the
+ * player who submitted it
+ */
+function loadVegasCarry() {
+  try {
+    const carry = JSON.parse(localStorage.getItem(VEGAS_CARRY_KEY));
+    return carry && carry.sessionId && carry.playerName && Number.isInteger(carry.balance) ? carry : null;
+  } catch (err) {
+    return null;
+  }
+}
+
 export default function SolitaireGame() {
   const [state, dispatch] = useReducer(solitaireReducer, initialState);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [elapsed, setElapsed] = useState(0);
   const [showAutoComplete, setShowAutoComplete] = useState(false);
-  const [scoringMode, setScoringMode] = useState('standard');
+  const [gameOptions, setGameOptions] = useState(loadGameOptions);
+  const [vegasBalance, setVegasBalance] = useState(() => loadVegasCarry()?.balance || 0);
   const [showLeaderboard, setShowLeaderboard] = useState(false);
   const [isStuck, setIsStuck] = useState(false);
   const [showMenu, setShowMenu] = useState(false);
@@ -71,6 +112,50 @@ export default function SolitaireGame() {
     return () => document.removeEventListener('touchmove', preventDefault);
   }, []);
 
+  // Resume a saved game on mount
+  useEffect(() => {
+    loadResumableGame('solitaire').then(resumed => {
+      if (!resumed) return;
+      setSessionId(resumed.session.sessionId);
+      setSecretHash(resumed.session.secretHash);
+      // The session's committed options are what the server replays under
+      const resumedOptions = normalizeGameOptions(resumed.session?.gameOptions
+        || resumed.state.options
+        || (resumed.state.scoringMode && { scoring: resumed.state.scoringMode }));
+      setGameOptions(resumedOptions);
+
+      // Resumed on another device: rebuild the verification record
+      const { blockchainData } = resumed.state;
+      if (!localStorage.getItem(`solitaire-${blockchainData.gameId}`)) {
+        localStorage.setItem(`solitaire-${blockchainData.gameId}`, JSON.stringify({
+          ...blockchainData,
+          deck: shuffleDeck(blockchainData.seed, blockchainData.rngVersion),
+          gameOptions: resumedOptions,
+          startingBalance: resumed.state.startingBalance || 0
+        }));
+      }
+
+      dispatch({ type: 'RESTORE', payload: { ...resumed.state, options: resumedOptions } });
+    });
+  }, []);
+
+  // Save the game while it's in progress so a reload can resume it
+  // (the undo stack holds a full board per move, so it isn't saved)
+  useEffect(() => {
+    if (!sessionId || !state.blockchainData) return;
+    if (state.gameStatus === 'playing') {
+      const { moveHistory, selectedCards, ...snapshot } = state;
+      saveResumableGame('solitaire', sessionId, snapshot);
+    } else {
+      clearResumableGame('solitaire');
+    }
+  }, [state, sessionId]);
+
+  // Remember the chosen options for the next visit
+  useEffect(() => {
+    localStorage.setItem(GAME_OPTIONS_KEY, JSON.stringify(gameOptions));
+  }, [gameOptions]);
+
   // Timer effect
   useEffect(() => {
     if (!state.startTime || state.gameStatus !== 'playing') return;
@@ -195,14 +280,25 @@ export default function SolitaireGame() {
     autoCompleteInProgress.current = false;
 
     try {
-      // Initialize secure session (server commits secret, then get blockchain data)
-      const { sessionId, secretHash, blockData } = await startSecureGame('solitaire');
+      // Initialize secure session (server commits secret and game options, then get blockchain data)
+      // Vegas cumulative: the server starts us from the last submitted balance
+      const carry = gameOptions.scoring === 'vegas-cumulative' ? loadVegasCarry() : null;
+      const { sessionId, secretHash, clientSeed, beacon, blockData, startingBalance, gameOptions: committedOptions } = await startSecureGame(
+        'solitaire',
+        carry ? { gameOptions, carryBalanceFrom: carry.sessionId, playerName: carry.playerName } : { gameOptions }
+      );
+
+      // A balance carries into one game only
+      if (carry) {
+        localStorage.removeItem(VEGAS_CARRY_KEY);
+        setVegasBalance(0);
+      }
 
       const gameId = `SOL-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
 
       // Get secure random value for deck shuffle
       const seed = await getSecureRandom(sessionId, 'deck-shuffle');
-      const shuffledDeck = shuffleDeck(seed);
+      const shuffledDeck = shuffleDeck(seed, CURRENT_RNG_VERSION);
 
       const blockchainData = {
         blockHeight: blockData.blockHeight,
@@ -213,7 +309,10 @@ export default function SolitaireGame() {
         txCount: blockData.txCount,
         sessionId,      // Add session ID
         secretHash,     // Add commitment hash
+        clientSeed,     // Player's seed mixed into every derivation
+        beacon,         // Randomness beacon the block came from
         seed,
+        rngVersion: CURRENT_RNG_VERSION,
         gameId
       };
 
@@ -225,7 +324,8 @@ export default function SolitaireGame() {
       const verificationData = {
         ...blockchainData,
         deck: shuffledDeck,  // Include the shuffled deck!
-        scoringMode
+        gameOptions: committedOptions,
+        startingBalance
       };
       localStorage.setItem(`solitaire-${gameId}`, JSON.stringify(verificationData));
 
@@ -234,7 +334,8 @@ export default function SolitaireGame() {
         payload: {
           shuffledDeck,
           blockchainData,
-          scoringMode
+          options: committedOptions,
+          startingBalance
         }
       });
     } catch (err) {
@@ -243,7 +344,7 @@ export default function SolitaireGame() {
     } finally {
       setLoading(false);
     }
-  }, [scoringMode]);
+  }, [gameOptions]);
 
   const handleUndo = () => dispatch({ type: 'UNDO' });
 
@@ -363,9 +464,27 @@ export default function SolitaireGame() {
         blockHeight: state.blockchainData.blockHeight,
         blockHash: state.blockchainData.blockHash,
         txHash: state.blockchainData.txHash,
-        blockTimestamp: state.blockchainData.timestamp
+        blockTimestamp: state.blockchainData.timestamp,
+        txIndex: state.blockchainData.txIndex,
+        seed: state.blockchainData.seed,
+        rngVersion: state.blockchainData.rngVersion,
+        sessionId: state.blockchainData.sessionId,
+        moveHistory: state.moveLog,
+        gameOptions: state.options,
+        balance: isVegasScoring(state.options) ? state.score : undefined
       });
 
+      // Vegas cumulative: this balance (buy-in included) carries into the
+      // next game, for named players only
+      if (state.options.scoring === 'vegas-cumulative' && playerName.trim()) {
+        localStorage.setItem(VEGAS_CARRY_KEY, JSON.stringify({
+          sessionId: state.blockchainData.sessionId,
+          balance: state.score,
+          playerName: playerName.trim()
+        }));
+        setVegasBalance(state.score);
+      }
+
       setSubmitted(true);
       setSubmitRank(result.rank);
     } catch (err) {
@@ -444,12 +563,9 @@ export default function SolitaireGame() {
             </div>
             <div style={styles.stat}>
               <span style={{ ...styles.statValue, color: state.score >= 0 ? '#4ade80' : '#fb923c' }}>
-                {state.scoringMode === 'vegas'
-                  ? (state.score >= 0 ? `+$${state.score}` : `-$${Math.abs(state.score)}`)
-                  : state.score
-                }
+                {isVegasScoring(state.options) ? formatCash(state.score) : state.score}
               </span>
-              <span style={styles.statLabel}>{state.scoringMode === 'vegas' ? 'cash' : 'pts'}</span>
+              <span style={styles.statLabel}>{isVegasScoring(state.options) ? 'cash' : 'pts'}</span>
             </div>
           </div>
         )}
@@ -457,7 +573,11 @@ export default function SolitaireGame() {
         {/* Leaderboard Panel */}
         {showLeaderboard && (
           <div style={styles.leaderboardPanel}>
-            <Leaderboard game="solitaire" currentGameId={state.blockchainData?.gameId} />
+            <Leaderboard
+              game="solitaire"
+              currentGameId={state.blockchainData?.gameId}
+              initialRuleset={getVariantId(state.blockchainData ? state.options : gameOptions)}
+            />
           </div>
         )}
 
@@ -479,20 +599,49 @@ export default function SolitaireGame() {
                 <h2 style={styles.startTitle}>♠ Solitaire</h2>
                 <p style={styles.startSubtitle}>Provably Fair</p>
 
+                <div style={styles.modeSelector}>
+                  <label style={styles.modeLabel}>Draw:</label>
+                  <select
+                    value={gameOptions.drawCount}
+                    onChange={(e) => setGameOptions({ ...gameOptions, drawCount: Number(e.target.value) })}
+                    style={styles.modeSelect}
+                  >
+                    {DRAW_COUNTS.map(count => (
+                      <option key={count} value={count}>Draw {count}</option>
+                    ))}
+                  </select>
+                </div>
+
                 <div style={styles.modeSelector}>
                   <label style={styles.modeLabel}>Scoring Mode:</label>
                   <select
-                    value={scoringMode}
-                    onChange={(e) => setScoringMode(e.target.value)}
+                    value={gameOptions.scoring}
+                    onChange={(e) => setGameOptions({ ...gameOptions, scoring: e.target.value })}
+                    style={styles.modeSelect}
+                  >
+                    {Object.entries(SCORING_MODES).map(([key, { name }]) => (
+                      <option key={key} value={key}>{key === 'standard' ? `${name} (Points)` : `${name} ($52 buy-in)`}</option>
+                    ))}
+                  </select>
+                </div>
+
+                <div style={styles.modeSelector}>
+                  <label style={styles.modeLabel}>Stock Passes:</label>
+                  <select
+                    value={String(gameOptions.stockPasses)}
+                    onChange={(e) => setGameOptions({ ...gameOptions, stockPasses: e.target.value === 'null' ? null : Number(e.target.value) })}
                     style={styles.modeSelect}
                   >
-                    <option value="standard">Standard (Points)</option>
-                    <option value="vegas">Vegas ($52 buy-in)</option>
+                    {STOCK_PASS_LIMITS.map(passes => (
+                      <option key={String(passes)} value={String(passes)}>
+                        {passes === null ? 'Unlimited' : passes === 1 ? '1 (no recycling)' : passes}
+                      </option>
+                    ))}
                   </select>
                 </div>
 
                 <div style={styles.rulesBox}>
-                  {scoringMode === 'standard' ? (
+                  {gameOptions.scoring === 'standard' ? (
                     <>
                       <div style={styles.rulesTitle}>Standard Scoring:</div>
                       <div>Waste → Tableau: +5</div>
@@ -504,6 +653,20 @@ export default function SolitaireGame() {
                       <div style={styles.rulesTitle}>Vegas Scoring:</div>
                       <div>Buy-in: -$52</div>
                       <div>Each card to foundation: +$5</div>
+                      {gameOptions.scoring === 'vegas-cumulative' && (
+                        <div>
+                          Carried balance: {formatCash(vegasBalance)}{' '}
+                          <button
+                            onClick={() => { localStorage.removeItem(VEGAS_CARRY_KEY); setVegasBalance(0); }}
+                            style={styles.resetBalanceBtn}
+                          >
+                            Reset
+                          </button>
+                        </div>
+                      )}
+                      {gameOptions.scoring === 'vegas-cumulative' && (
+                        <div>Submit a game under your name to carry its balance into the next one</div>
+                      )}
                     </>
                   )}
                 </div>
@@ -544,6 +707,11 @@ export default function SolitaireGame() {
               <span style={{ color: '#94a3b8', fontSize: '0.875rem' }}>Cards to Foundation</span>
             </div>
 
+            <div style={{ color: '#94a3b8', fontSize: '0.75rem', textAlign: 'center', marginBottom: '8px' }}>
+              {describeGameOptions(state.options).join(' · ')}
+              {isVegasScoring(state.options) && ` · ${formatCash(state.score)}`}
+            </div>
+
             <div style={styles.modalStats}>
               <div style={styles.modalStat}>
                 <span style={styles.modalStatValue}>{formatTime(elapsed)}</span>
@@ -953,6 +1121,15 @@ const styles = {
     marginBottom: '6px',
     color: '#fff'
   },
+  resetBalanceBtn: {
+    padding: '2px 8px',
+    fontSize: '0.7rem',
+    backgroundColor: 'transparent',
+    color: '#a7f3d0',
+    border: '1px solid #a7f3d0',
+    borderRadius: '4px',
+    cursor: 'pointer'
+  },
   startBtn: {
     width: '100%',
     padding: '14px 24px',
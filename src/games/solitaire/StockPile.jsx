@@ -2,7 +2,8 @@
  * StockPile Component
  * 
  * Renders stock pile (draw pile) and waste pile side by side.
- * Handles drawing cards and recycling waste back to stock.
+ * Handles drawing cards and recycling waste back to stock (until the
+ * variant's stock pass limit is reached).
  */
 
 import React from 'react';
@@ -21,13 +22,14 @@ export default function StockPile({
   waste,
   onDrawClick,
   onRecycleClick,
+  canRecycle = true,
   onWasteCardClick,
   selectedCards
 }) {
   const handleStockClick = () => {
     if (stock.length > 0) {
       onDrawClick();
-    } else if (waste.length > 0) {
+    } else if (canRecycle) {
       onRecycleClick();
     }
   };
@@ -49,7 +51,7 @@ export default function StockPile({
           width: cardWidth,
           height: cardHeight,
           borderRadius: '5px',
-          cursor: stock.length > 0 || waste.length > 0 ? 'pointer' : 'default',
+          cursor: stock.length > 0 || canRecycle ? 'pointer' : 'default',
           display: 'flex',
           alignItems: 'center',
           justifyContent: 'center'
@@ -85,10 +87,10 @@ export default function StockPile({
               justifyContent: 'center',
               fontSize: '24px',
               backgroundColor: '#1e293b', // Cypherpunk: lighter slate background
-              color: waste.length > 0 ? '#94a3b8' : '#64748b' // Cypherpunk: slate-400 / slate-500
+              color: canRecycle ? '#94a3b8' : '#64748b' // Cypherpunk: slate-400 / slate-500
             }}
           >
-            {waste.length > 0 ? '↻' : '∅'}
+            {canRecycle ? '↻' : '∅'}
           </div>
         )}
       </div>
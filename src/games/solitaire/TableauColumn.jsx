@@ -3,6 +3,7 @@
  * 
  * Renders a single tableau column with vertically stacked, overlapping cards.
  * Handles card selection and drop target highlighting.
+ * Also used by FreeCell and Spider, where any card can start an empty column.
  */
 
 import React from 'react';
@@ -22,7 +23,8 @@ export default function TableauColumn({
   columnIndex,
   onCardClick,
   selectedCards,
-  isValidDropTarget
+  isValidDropTarget,
+  emptyLabel = 'K'
 }) {
   const isEmpty = cards.length === 0;
 
@@ -84,7 +86,7 @@ export default function TableauColumn({
             boxShadow: isValidDropTarget ? '0 0 12px rgba(34, 197, 94, 0.4)' : 'none' // Green glow
           }}
         >
-          K
+          {emptyLabel}
         </div>
       )}
 
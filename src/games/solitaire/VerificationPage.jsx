@@ -7,7 +7,10 @@ import React, { useState, useEffect } from 'react';
 import { useParams } from 'react-router-dom';
 import { Link } from 'react-router-dom';
 import CryptoJS from 'crypto-js';
-import { shuffleDeck } from '../../blockchain/shuffle';
+import { shuffleDeck, resolveRngVersion } from '../../core/shuffle';
+import { deriveRandomValue } from '../../core/seed';
+import { describeBeaconRound } from '../../core/beacons';
+import { normalizeGameOptions, describeGameOptions } from '../../core/games/solitaire/variants';
 
 // ============================================
 // CARD DISPLAY HELPERS
@@ -43,15 +46,6 @@ function verifySecretCommitment(serverSecret, secretHash) {
   return calculatedHash === secretHash;
 }
 
-/**
- * Generate seed using commit-reveal formula
- * Formula: SHA256(serverSecret + blockHash + timestamp + purpose)
- */
-function generateCommitRevealSeed(serverSecret, blockHash, timestamp, purpose) {
-  const input = serverSecret + blockHash + timestamp.toString() + purpose;
-  return CryptoJS.SHA256(input).toString();
-}
-
 const truncateHash = (hash, len = 12) => {
   if (!hash) return 'N/A';
   return `${hash.slice(0, len)}...${hash.slice(-6)}`;
@@ -103,11 +97,17 @@ export default function SolitaireVerificationPage() {
             anchor: {
               blockHash: blockchainData.blockHash,
               blockHeight: blockchainData.blockHeight,
-              timestamp: blockchainData.timestamp
+              timestamp: blockchainData.timestamp,
+              txHash: blockchainData.txHash,
+              txIndex: blockchainData.txIndex,
+              beacon: blockchainData.beacon
             },
+            clientSeed: blockchainData.clientSeed,
             deck: data.deck || data.shuffledDeck || [],
+            rngVersion: resolveRngVersion(blockchainData),
             finalScore: data.score || data.foundationCount || 0,
-            moves: data.moves || 0
+            moves: data.moves || 0,
+            gameOptions: normalizeGameOptions(data.gameOptions || (data.scoringMode && { scoring: data.scoringMode }))
           });
 
           // Verify commitment if we have the server secret
@@ -146,14 +146,14 @@ export default function SolitaireVerificationPage() {
     }
 
     const purpose = 'deck-shuffle';
-    const seed = generateCommitRevealSeed(
+    const seed = deriveRandomValue(
       verificationData.serverSecret,
-      verificationData.anchor.blockHash,
-      verificationData.anchor.timestamp,
-      purpose
+      verificationData.anchor,
+      purpose,
+      verificationData.clientSeed
     );
 
-    const calculatedDeck = shuffleDeck(seed);
+    const calculatedDeck = shuffleDeck(seed, verificationData.rngVersion);
     const matches = JSON.stringify(calculatedDeck) === JSON.stringify(verificationData.deck);
 
     setShuffledDeck(calculatedDeck);
@@ -203,6 +203,8 @@ export default function SolitaireVerificationPage() {
 
   const dealBreakdown = getDealBreakdown(shuffledDeck || verificationData.deck);
 
+  const anchorRound = describeBeaconRound(verificationData.anchor, verificationData.anchor?.beacon);
+
   return (
     <div style={styles.container}>
       <div style={styles.wrapper}>
@@ -275,6 +277,11 @@ export default function SolitaireVerificationPage() {
             <p style={{ margin: 0, color: '#94a3b8', fontSize: 12 }}>
               The entire deck order was determined before the game started
             </p>
+            {verificationData.gameOptions && (
+              <p style={{ margin: '8px 0 0', color: '#94a3b8', fontSize: 12 }}>
+                <strong>Variant:</strong> {describeGameOptions(verificationData.gameOptions).join(' · ')}
+              </p>
+            )}
           </div>
         </div>
 
@@ -282,19 +289,22 @@ export default function SolitaireVerificationPage() {
         <div style={styles.section}>
           <h2 style={styles.sectionTitle}>⚓ Blockchain Anchor</h2>
           <div style={{ fontSize: 12, color: '#94a3b8', lineHeight: 1.8 }}>
+            <div><strong>Beacon:</strong> {anchorRound.label}</div>
             <div><strong>Block Height:</strong> #{verificationData.anchor?.blockHeight?.toLocaleString()}</div>
             <div><strong>Block Hash:</strong> <span style={styles.mono}>{verificationData.anchor?.blockHash}</span></div>
             <div><strong>Timestamp:</strong> {new Date(verificationData.anchor?.timestamp).toLocaleString()}</div>
             <div><strong>Session ID:</strong> <span style={styles.mono}>{verificationData.sessionId}</span></div>
           </div>
-          <a
-            href={`https://explorer.ergoplatform.com/en/blocks/${verificationData.anchor?.blockHash}`}
-            target="_blank"
-            rel="noopener noreferrer"
-            style={styles.explorerLink}
-          >
-            View on Ergo Explorer ↗
-          </a>
+          {anchorRound.url && (
+            <a
+              href={anchorRound.url}
+              target="_blank"
+              rel="noopener noreferrer"
+              style={styles.explorerLink}
+            >
+              View on {anchorRound.siteName} ↗
+            </a>
+          )}
         </div>
 
         {/* Deck Shuffle Verification */}
@@ -315,7 +325,7 @@ export default function SolitaireVerificationPage() {
             }}>
               <div style={{ color: '#94a3b8', fontSize: 11, marginBottom: 6 }}>🔐 Commit-Reveal Formula:</div>
               <code style={{ color: '#22c55e', fontSize: 11, display: 'block', marginBottom: 8 }}>
-                seed = SHA256(serverSecret + blockHash + timestamp + 'deck-shuffle')
+                seed = SHA256(serverSecret:blockHash:txHash:timestamp:txIndex[:clientSeed]:deck-shuffle)
               </code>
               <div style={{ fontSize: 10, color: '#64748b' }}>
                 <div>• Server commits hash BEFORE blockchain data</div>
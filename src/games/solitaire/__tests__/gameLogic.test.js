@@ -28,7 +28,7 @@ import {
   checkWinCondition,
   canAutoComplete,
   hasValidMoves
-} from '../gameLogic';
+} from '../../../core/games/solitaire/gameLogic';
 
 // ============================================
 // TEST HELPERS
@@ -417,6 +417,14 @@ describe('Stock and Waste', () => {
     const waste = [];
     expect(canRecycleStock(stock, waste)).toBe(false);
   });
+
+  test('recycling stops at the stock pass limit', () => {
+    const waste = [createCard('A', 'hearts')];
+    expect(canRecycleStock([], waste, 5, null)).toBe(true);
+    expect(canRecycleStock([], waste, 1, 3)).toBe(true);
+    expect(canRecycleStock([], waste, 2, 3)).toBe(false);
+    expect(canRecycleStock([], waste, 0, 1)).toBe(false);
+  });
 });
 
 // ============================================
@@ -0,0 +1,155 @@
+/**
+ * Solitaire Variant Tests
+ *
+ * Tests:
+ * - Game option validation and variant IDs
+ * - Draw 1 / draw 3
+ * - Stock pass limits
+ * - Vegas and Vegas cumulative scoring
+ */
+
+import {
+  DEFAULT_GAME_OPTIONS,
+  DEFAULT_VARIANT_ID,
+  validateGameOptions,
+  normalizeGameOptions,
+  getVariantId,
+  listVariants,
+  getVariantOptions,
+  describeGameOptions
+} from '../../../core/games/solitaire/variants';
+import { dealCards, solitaireReducer } from '../../../core/games/solitaire/gameState';
+
+// ============================================
+// TEST HELPERS
+// ============================================
+
+const RANKS = ['A', '2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K'];
+const SUITS = ['hearts', 'diamonds', 'clubs', 'spades'];
+
+// Unshuffled deck: the stock is the last 24 cards, its top card the last one
+const DECK = SUITS.flatMap(suit => RANKS.map(rank => ({ id: `${rank}-${suit}`, rank, suit })));
+
+const deal = overrides => dealCards(DECK, { ...DEFAULT_GAME_OPTIONS, ...overrides });
+
+function play(state, ...types) {
+  return types.reduce((current, type) => solitaireReducer(current, { type }), state);
+}
+
+// ============================================
+// OPTIONS
+// ============================================
+
+describe('Game options', () => {
+  test('defaults are valid and legacy games map to them', () => {
+    expect(validateGameOptions(DEFAULT_GAME_OPTIONS)).toEqual({ valid: true });
+    expect(normalizeGameOptions(null)).toEqual(DEFAULT_GAME_OPTIONS);
+    expect(DEFAULT_VARIANT_ID).toBe('D1-STD-PU');
+  });
+
+  test('rejects unknown or out-of-range options', () => {
+    expect(validateGameOptions(normalizeGameOptions({ drawCount: 2 })).valid).toBe(false);
+    expect(validateGameOptions(normalizeGameOptions({ scoring: 'casino' })).valid).toBe(false);
+    expect(validateGameOptions(normalizeGameOptions({ stockPasses: 2 })).valid).toBe(false);
+    expect(validateGameOptions({ ...DEFAULT_GAME_OPTIONS, undo: false }).reason).toBe("Unknown game option 'undo'");
+  });
+
+  test('one leaderboard per variant', () => {
+    const ids = listVariants().map(variant => variant.id);
+    expect(ids).toHaveLength(18);
+    expect(new Set(ids).size).toBe(18);
+    expect(getVariantId({ drawCount: 3, scoring: 'vegas-cumulative', stockPasses: 3 })).toBe('D3-VEGASCUM-P3');
+    expect(describeGameOptions({ drawCount: 3, scoring: 'vegas', stockPasses: 1 })).toEqual(['Draw 3', 'Vegas', 'Single pass']);
+  });
+
+  test('variant IDs map back to their options', () => {
+    expect(getVariantOptions('D3-VEGASCUM-P3')).toEqual({ drawCount: 3, scoring: 'vegas-cumulative', stockPasses: 3 });
+    expect(getVariantOptions(DEFAULT_VARIANT_ID)).toEqual(DEFAULT_GAME_OPTIONS);
+    expect(getVariantOptions('D2-STD-PU')).toBeNull();
+  });
+});
+
+// ============================================
+// DRAWING AND RECYCLING
+// ============================================
+
+describe('Drawing from the stock', () => {
+  test('draw 1 turns one card', () => {
+    const state = play(deal(), 'DRAW_FROM_STOCK');
+    expect(state.stock).toHaveLength(23);
+    expect(state.waste.map(card => card.id)).toEqual(['K-spades']);
+  });
+
+  test('draw 3 turns three cards, the third on top', () => {
+    const state = play(deal({ drawCount: 3 }), 'DRAW_FROM_STOCK');
+    expect(state.stock).toHaveLength(21);
+    expect(state.waste.map(card => card.id)).toEqual(['K-spades', 'Q-spades', 'J-spades']);
+    expect(state.waste.every(card => card.faceUp)).toBe(true);
+    expect(state.moveLog).toEqual([{ type: 'DRAW_FROM_STOCK' }]);
+  });
+
+  test('draw 3 turns what is left at the end of the stock', () => {
+    const state = play(deal({ drawCount: 3 }), ...Array(9).fill('DRAW_FROM_STOCK'));
+    expect(state.stock).toHaveLength(0);
+    expect(state.waste).toHaveLength(24);
+  });
+
+  test('undo puts all drawn cards back', () => {
+    const state = play(deal({ drawCount: 3 }), 'DRAW_FROM_STOCK', 'UNDO');
+    expect(state.stock).toHaveLength(24);
+    expect(state.waste).toHaveLength(0);
+  });
+});
+
+describe('Stock pass limits', () => {
+  const throughStock = Array(24).fill('DRAW_FROM_STOCK');
+
+  test('a single pass never recycles', () => {
+    const state = play(deal({ stockPasses: 1 }), ...throughStock, 'RECYCLE_STOCK');
+    expect(state.recycleCount).toBe(0);
+    expect(state.waste).toHaveLength(24);
+  });
+
+  test('three passes recycle twice', () => {
+    const state = play(deal({ stockPasses: 3 }),
+      ...throughStock, 'RECYCLE_STOCK',
+      ...throughStock, 'RECYCLE_STOCK',
+      ...throughStock, 'RECYCLE_STOCK');
+    expect(state.recycleCount).toBe(2);
+    expect(state.stock).toHaveLength(0);
+  });
+});
+
+// ============================================
+// SCORING
+// ============================================
+
+describe('Vegas scoring', () => {
+  test('buy-in and +$5 per foundation card', () => {
+    // Unshuffled deal: column 0 is the Ace of hearts
+    let state = deal({ scoring: 'vegas' });
+    expect(state.score).toBe(-52);
+
+    const ace = state.tableau[0][0];
+    state = solitaireReducer(state, { type: 'SELECT_CARDS', payload: { cards: [ace], source: { type: 'tableau', index: 0 } } });
+    state = solitaireReducer(state, { type: 'MOVE_TO_FOUNDATION', payload: { suit: 'hearts' } });
+    expect(state.score).toBe(-47);
+  });
+
+  test('no recycle penalty', () => {
+    const state = play(deal({ scoring: 'vegas' }), ...Array(24).fill('DRAW_FROM_STOCK'), 'RECYCLE_STOCK',
+      ...Array(24).fill('DRAW_FROM_STOCK'), 'RECYCLE_STOCK');
+    expect(state.score).toBe(-52);
+  });
+
+  test('cumulative carries the balance in; plain Vegas ignores it', () => {
+    expect(dealCards(DECK, { ...DEFAULT_GAME_OPTIONS, scoring: 'vegas-cumulative' }, 30).score).toBe(-22);
+    expect(dealCards(DECK, { ...DEFAULT_GAME_OPTIONS, scoring: 'vegas' }, 30).score).toBe(-52);
+  });
+
+  test('saves from before options existed keep their scoring mode', () => {
+    const state = solitaireReducer(undefined, { type: 'RESTORE', payload: { ...deal(), options: undefined, scoringMode: 'vegas' } });
+    expect(state.options).toEqual({ ...DEFAULT_GAME_OPTIONS, scoring: 'vegas' });
+    expect(state.scoringMode).toBeUndefined();
+  });
+});
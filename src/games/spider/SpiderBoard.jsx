@@ -0,0 +1,146 @@
+/**
+ * SpiderBoard Component
+ *
+ * Lays out the stock, the completed runs and the ten tableau columns, and
+ * turns clicks into moves. Columns and completed runs reuse the Solitaire
+ * components.
+ */
+
+import React from 'react';
+import TableauColumn from '../solitaire/TableauColumn';
+import FoundationPile from '../solitaire/FoundationPile';
+import {
+  getMovableSequence,
+  canDealFromStock,
+  isValidMove,
+  RUNS_TO_WIN,
+  TABLEAU_COLUMNS
+} from '../../core/games/spider/gameLogic';
+
+export default function SpiderBoard({ state, dispatch }) {
+  const { tableau, stock, completed, selectedCards } = state;
+  const canDeal = canDealFromStock(stock, tableau);
+
+  // Responsive sizing - matches TableauColumn
+  const isSmallScreen = typeof window !== 'undefined' && window.innerWidth < 768;
+  const cardWidth = isSmallScreen ? 'clamp(30px, 7vmin, 60px)' : '75px';
+  const cardHeight = isSmallScreen ? 'clamp(42px, 10vmin, 84px)' : '105px';
+
+  // Check if selected cards can be placed on a tableau column
+  const isValidTableauTarget = (columnIndex) => {
+    if (!selectedCards || !selectedCards.cards || selectedCards.cards.length === 0) return false;
+    if (selectedCards.source.index === columnIndex) return false;
+    return isValidMove(selectedCards.cards, { type: 'tableau', index: columnIndex }, state);
+  };
+
+  // Handle tableau card click
+  const handleTableauClick = (cardIndex, columnIndex) => {
+    const column = tableau[columnIndex];
+
+    // Clicking empty column or placeholder
+    if (cardIndex === -1 || column.length === 0) {
+      if (selectedCards && isValidTableauTarget(columnIndex)) {
+        dispatch({ type: 'MOVE_TO_TABLEAU', payload: { targetIndex: columnIndex } });
+      }
+      return;
+    }
+
+    if (selectedCards) {
+      // Clicking on valid drop target
+      if (isValidTableauTarget(columnIndex)) {
+        dispatch({ type: 'MOVE_TO_TABLEAU', payload: { targetIndex: columnIndex } });
+        return;
+      }
+
+      // Clicking same selection - deselect
+      if (selectedCards.source.index === columnIndex) {
+        dispatch({ type: 'CLEAR_SELECTION' });
+        return;
+      }
+    }
+
+    // Select the same-suit run from this card to the end of the column
+    const sequence = getMovableSequence(column, cardIndex);
+    if (sequence) {
+      dispatch({
+        type: 'SELECT_CARDS',
+        payload: { cards: sequence, source: { type: 'tableau', index: columnIndex } }
+      });
+    }
+  };
+
+  const handleDeal = () => {
+    if (canDeal) {
+      dispatch({ type: 'DEAL_FROM_STOCK' });
+    }
+  };
+
+  return (
+    <div style={{ padding: 'clamp(6px, 2vw, 12px)', maxWidth: '1000px', margin: '0 auto', flex: 1 }}>
+      {/* Top Row: Stock and completed runs */}
+      <div style={{
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'flex-start',
+        marginBottom: 'clamp(12px, 3vw, 25px)',
+        gap: 'clamp(4px, 1.5vw, 10px)'
+      }}>
+        {/* Stock: one deal of ten cards per click */}
+        <div
+          onClick={handleDeal}
+          title={stock.length > 0 && !canDeal ? 'Fill every empty column before dealing' : 'Deal a row'}
+          style={{
+            width: cardWidth,
+            height: cardHeight,
+            borderRadius: '5px',
+            cursor: canDeal ? 'pointer' : 'default',
+            opacity: stock.length > 0 ? 1 : 0.3,
+            backgroundColor: '#1e3a8a', // Cypherpunk: blue-900
+            border: '2px solid #3b82f6', // Cypherpunk: blue-500
+            backgroundImage: 'repeating-linear-gradient(45deg, transparent, transparent 5px, rgba(59, 130, 246, 0.15) 5px, rgba(59, 130, 246, 0.15) 10px)', // Blue pattern
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            boxSizing: 'border-box'
+          }}
+        >
+          <span style={{ color: '#f1f5f9', fontSize: '16px', fontWeight: 'bold', textShadow: '0 1px 2px rgba(0,0,0,0.5)' }}>
+            {stock.length / TABLEAU_COLUMNS}
+          </span>
+        </div>
+
+        {/* Completed runs */}
+        <div style={{ display: 'flex', gap: 'clamp(1px, 0.5vw, 4px)', flexWrap: 'wrap', justifyContent: 'flex-end' }}>
+          {Array.from({ length: RUNS_TO_WIN }, (_, i) => (
+            <FoundationPile
+              key={i}
+              cards={completed[i] ? [...completed[i]].reverse() : []}
+              suit={completed[i] ? completed[i][0].suit : 'spades'}
+              onDrop={() => {}}
+              isValidDropTarget={false}
+            />
+          ))}
+        </div>
+      </div>
+
+      {/* Tableau Row */}
+      <div style={{
+        display: 'flex',
+        justifyContent: 'center',
+        gap: 'clamp(1px, 0.5vw, 4px)'
+      }}>
+        {tableau.map((column, index) => (
+          <TableauColumn
+            key={index}
+            cards={column}
+            columnIndex={index}
+            onCardClick={handleTableauClick}
+            selectedCards={selectedCards}
+            isValidDropTarget={isValidTableauTarget(index)}
+            emptyLabel=""
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
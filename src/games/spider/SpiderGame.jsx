@@ -0,0 +1,887 @@
+/**
+ * SpiderGame Component - Mobile-optimized
+ *
+ * Two decks shuffled from the session's 'deck-shuffle' random value, played
+ * as 1, 2 or 4 suits. Leaderboard ranks by score (500 - moves + 100 per
+ * completed run), per suit count. Both wins and losses can be submitted.
+ */
+
+import React, { useReducer, useEffect, useState, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { CURRENT_RNG_VERSION } from '../../core/shuffle';
+import { startSecureGame, getSecureRandom, endSecureSession } from '../../blockchain/secureRng';
+import { loadResumableGame, saveResumableGame, clearResumableGame } from '../../blockchain/sessionResume';
+import { spiderReducer, initialState } from '../../core/games/spider/gameState';
+import {
+  checkWinCondition,
+  getHint,
+  isGameStuck,
+  createSpiderDeck,
+  getVariantId,
+  SUIT_COUNTS,
+  DEFAULT_SUIT_COUNT,
+  RUNS_TO_WIN
+} from '../../core/games/spider/gameLogic';
+import { submitScore } from '../../services/leaderboard';
+import SpiderBoard from './SpiderBoard';
+import Leaderboard from '../../components/Leaderboard';
+
+const formatTime = (seconds) => {
+  const mins = Math.floor(seconds / 60);
+  const secs = seconds % 60;
+  return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+};
+
+const SUITS_KEY = 'spider_suits';
+
+function loadSuitCount() {
+  const suits = Number(localStorage.getItem(SUITS_KEY));
+  return SUIT_COUNTS.includes(suits) ? suits : DEFAULT_SUIT_COUNT;
+}
+
+export default function SpiderGame() {
+  const [state, dispatch] = useReducer(spiderReducer, initialState);
+  const [suits, setSuits] = useState(loadSuitCount);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [elapsed, setElapsed] = useState(0);
+  const [showLeaderboard, setShowLeaderboard] = useState(false);
+  const [isStuck, setIsStuck] = useState(false);
+  const [showMenu, setShowMenu] = useState(false);
+
+  // Submission state
+  const [playerName, setPlayerName] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [submitted, setSubmitted] = useState(false);
+  const [submitError, setSubmitError] = useState(null);
+  const [submitRank, setSubmitRank] = useState(null);
+  const [showGameOver, setShowGameOver] = useState(true);
+
+  // Secure RNG session
+  const [sessionId, setSessionId] = useState(null);
+  const [secretHash, setSecretHash] = useState(null);
+  const [revealedSecret, setRevealedSecret] = useState(null);
+
+  // Prevent default touch behavior on game area
+  useEffect(() => {
+    const preventDefault = (e) => {
+      if (e.target.closest('[data-game-area]')) {
+        e.preventDefault();
+      }
+    };
+    document.addEventListener('touchmove', preventDefault, { passive: false });
+    return () => document.removeEventListener('touchmove', preventDefault);
+  }, []);
+
+  // Resume a saved game on mount
+  useEffect(() => {
+    loadResumableGame('spider').then(resumed => {
+      if (!resumed) return;
+      setSessionId(resumed.session.sessionId);
+      setSecretHash(resumed.session.secretHash);
+      setSuits(resumed.state.suits);
+
+      // Resumed on another device: rebuild the verification record
+      const { blockchainData } = resumed.state;
+      if (!localStorage.getItem(`spider-${blockchainData.gameId}`)) {
+        localStorage.setItem(`spider-${blockchainData.gameId}`, JSON.stringify({
+          ...blockchainData,
+          suits: resumed.state.suits,
+          deck: createSpiderDeck(blockchainData.seed, blockchainData.rngVersion, resumed.state.suits)
+        }));
+      }
+
+      dispatch({ type: 'RESTORE', payload: resumed.state });
+    });
+  }, []);
+
+  // Save the game while it's in progress so a reload can resume it
+  // (the undo stack holds a full board per move, so it isn't saved)
+  useEffect(() => {
+    if (!sessionId || !state.blockchainData) return;
+    if (state.gameStatus === 'playing') {
+      const { moveHistory, selectedCards, ...snapshot } = state;
+      saveResumableGame('spider', sessionId, snapshot);
+    } else {
+      clearResumableGame('spider');
+    }
+  }, [state, sessionId]);
+
+  // Remember the chosen suit count for the next visit
+  useEffect(() => {
+    localStorage.setItem(SUITS_KEY, String(suits));
+  }, [suits]);
+
+  // Timer effect
+  useEffect(() => {
+    if (!state.startTime || state.gameStatus !== 'playing') return;
+
+    const interval = setInterval(() => {
+      setElapsed(Math.floor((Date.now() - state.startTime) / 1000));
+    }, 1000);
+
+    return () => clearInterval(interval);
+  }, [state.startTime, state.gameStatus]);
+
+  // Win detection
+  useEffect(() => {
+    if (state.gameStatus === 'playing' && checkWinCondition(state.completed)) {
+      dispatch({ type: 'SET_WON' });
+    }
+  }, [state.completed, state.gameStatus]);
+
+  // Show game over modal when game ends
+  useEffect(() => {
+    if (state.gameStatus === 'won' || state.gameStatus === 'lost') {
+      setShowGameOver(true);
+    }
+  }, [state.gameStatus]);
+
+  // Stuck detection
+  useEffect(() => {
+    if (state.gameStatus === 'playing' && state.blockchainData) {
+      const stuck = isGameStuck(state);
+      setIsStuck(stuck);
+      if (stuck) {
+        dispatch({ type: 'SET_LOST' });
+      }
+    }
+  }, [state]);
+
+  // End secure session and reveal secret when game ends
+  useEffect(() => {
+    if ((state.gameStatus === 'won' || state.gameStatus === 'lost') && sessionId && state.blockchainData) {
+      endSecureSession(sessionId, {
+        gameId: state.blockchainData.gameId,
+        status: state.gameStatus,
+        suits: state.suits,
+        score: state.score,
+        completedRuns: state.completed.length,
+        moves: state.moves,
+        time: elapsed
+      }).then(revealData => {
+        setRevealedSecret(revealData.serverSecret);
+      }).catch(error => {
+        console.error('❌ Failed to end secure session:', error);
+      });
+    }
+  }, [state.gameStatus, sessionId, state.blockchainData, state.suits, state.score, state.completed.length, state.moves, elapsed]);
+
+  // Save verification data to localStorage when revealed secret is available
+  useEffect(() => {
+    if (revealedSecret && state.blockchainData) {
+      const gameId = state.blockchainData.gameId;
+      const existingData = JSON.parse(localStorage.getItem(`spider-${gameId}`) || '{}');
+      localStorage.setItem(`spider-${gameId}`, JSON.stringify({
+        ...existingData,  // Preserves suits, deck and block data
+        serverSecret: revealedSecret,
+        secretHash,
+        sessionId,
+        moves: state.moves,
+        score: state.score,
+        completedRuns: state.completed.length,
+        gameStatus: state.gameStatus
+      }));
+    }
+  }, [revealedSecret, state.blockchainData, secretHash, sessionId, state.moves, state.score, state.completed, state.gameStatus]);
+
+  // Start a new game
+  const startNewGame = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    setElapsed(0);
+    setSubmitted(false);
+    setSubmitError(null);
+    setSubmitRank(null);
+    setIsStuck(false);
+    setShowGameOver(true);
+    setShowMenu(false);
+    setRevealedSecret(null);
+
+    try {
+      // Initialize secure session (server commits secret, then get blockchain data)
+      const { sessionId, secretHash, clientSeed, beacon, blockData } = await startSecureGame('spider');
+
+      const gameId = `SPD-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+      // Get secure random value for deck shuffle
+      const seed = await getSecureRandom(sessionId, 'deck-shuffle');
+      const deck = createSpiderDeck(seed, CURRENT_RNG_VERSION, suits);
+
+      const blockchainData = {
+        blockHeight: blockData.blockHeight,
+        blockHash: blockData.blockHash,
+        timestamp: blockData.timestamp,
+        txHash: blockData.txHash,
+        txIndex: blockData.txIndex,
+        txCount: blockData.txCount,
+        sessionId,
+        secretHash,
+        clientSeed,
+        beacon,
+        seed,
+        rngVersion: CURRENT_RNG_VERSION,
+        gameId
+      };
+
+      setSessionId(sessionId);
+      setSecretHash(secretHash);
+
+      // Save to localStorage with the deck for verification
+      localStorage.setItem(`spider-${gameId}`, JSON.stringify({
+        ...blockchainData,
+        suits,
+        deck
+      }));
+
+      dispatch({ type: 'INIT_GAME', payload: { deck, suits, blockchainData } });
+    } catch (err) {
+      setError('Failed to start secure game. Please try again.');
+      console.error('New game error:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [suits]);
+
+  const handleUndo = () => dispatch({ type: 'UNDO' });
+
+  const handleHint = () => {
+    const hint = getHint(state);
+    if (hint) {
+      dispatch({ type: 'SELECT_CARDS', payload: { cards: hint.cards, source: hint.from } });
+      setTimeout(() => dispatch({ type: 'CLEAR_SELECTION' }), 2000);
+    } else {
+      alert('No useful moves found. Try undoing or give up.');
+    }
+    setShowMenu(false);
+  };
+
+  const handleGiveUp = () => {
+    if (window.confirm('Are you sure you want to give up?')) {
+      dispatch({ type: 'SET_LOST' });
+    }
+    setShowMenu(false);
+  };
+
+  // Submit score to leaderboard
+  const handleSubmitScore = async () => {
+    if (!state.blockchainData) return;
+
+    setSubmitting(true);
+    setSubmitError(null);
+
+    try {
+      const result = await submitScore({
+        game: 'spider',
+        gameId: state.blockchainData.gameId,
+        playerName: playerName.trim() || 'Anonymous',
+        score: state.score,
+        timeSeconds: elapsed,
+        moves: state.moves,
+        blockHeight: state.blockchainData.blockHeight,
+        blockHash: state.blockchainData.blockHash,
+        txHash: state.blockchainData.txHash,
+        blockTimestamp: state.blockchainData.timestamp,
+        txIndex: state.blockchainData.txIndex,
+        seed: state.blockchainData.seed,
+        rngVersion: state.blockchainData.rngVersion,
+        sessionId: state.blockchainData.sessionId,
+        moveHistory: state.moveLog,
+        suits: state.suits
+      });
+
+      setSubmitted(true);
+      setSubmitRank(result.rank);
+    } catch (err) {
+      setSubmitError(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const isGameOver = state.gameStatus === 'won' || state.gameStatus === 'lost';
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.gameWrapper}>
+        {/* Compact Header */}
+        <div style={styles.header}>
+          <div style={styles.titleSection}>
+            <button style={styles.menuBtn} onClick={() => setShowMenu(!showMenu)}>☰</button>
+            <h1 style={styles.title}>Spider</h1>
+            <span style={styles.badge}>provably fair</span>
+          </div>
+          <button style={styles.refreshBtn} onClick={startNewGame} title="New Game">↻</button>
+        </div>
+
+        {/* Dropdown Menu */}
+        {showMenu && (
+          <div style={styles.menu}>
+            <button style={styles.menuItem} onClick={handleUndo} disabled={state.moveHistory?.length === 0}>
+              ↶ Undo
+            </button>
+            <button style={styles.menuItem} onClick={handleHint}>
+              💡 Hint
+            </button>
+            {state.gameStatus === 'playing' && state.blockchainData && (
+              <button style={styles.menuItem} onClick={handleGiveUp}>
+                🏳️ Give Up
+              </button>
+            )}
+            {state.blockchainData && (
+              <Link
+                to={`/verify/spider/${state.blockchainData.gameId}`}
+                style={styles.menuItem}
+                onClick={() => setShowMenu(false)}
+              >
+                ✓ Verify Game
+              </Link>
+            )}
+            <button style={styles.menuItem} onClick={() => { setShowLeaderboard(!showLeaderboard); setShowMenu(false); }}>
+              🏆 Leaderboard
+            </button>
+            <Link to="/" style={styles.menuItem} onClick={() => setShowMenu(false)}>
+              🏠 Home
+            </Link>
+          </div>
+        )}
+
+        {/* Stats Bar */}
+        {state.blockchainData && (
+          <div style={styles.statsBar}>
+            <div style={styles.stat}>
+              <span style={styles.statValue}>{state.completed.length}/{RUNS_TO_WIN}</span>
+              <span style={styles.statLabel}>runs</span>
+            </div>
+            <div style={styles.stat}>
+              <span style={styles.statValue}>{formatTime(elapsed)}</span>
+              <span style={styles.statLabel}>time</span>
+            </div>
+            <div style={styles.stat}>
+              <span style={styles.statValue}>{state.moves}</span>
+              <span style={styles.statLabel}>moves</span>
+            </div>
+            <div style={styles.stat}>
+              <span style={{ ...styles.statValue, color: '#4ade80' }}>{state.score}</span>
+              <span style={styles.statLabel}>pts</span>
+            </div>
+          </div>
+        )}
+
+        {/* Leaderboard Panel */}
+        {showLeaderboard && (
+          <div style={styles.leaderboardPanel}>
+            <Leaderboard
+              game="spider"
+              currentGameId={state.blockchainData?.gameId}
+              initialRuleset={getVariantId(state.blockchainData ? state.suits : suits)}
+            />
+          </div>
+        )}
+
+        {/* Game Area */}
+        <div data-game-area style={styles.gameArea}>
+          {loading ? (
+            <div style={styles.loadingState}>
+              <div style={styles.spinner}></div>
+              <span>Shuffling with blockchain...</span>
+            </div>
+          ) : error ? (
+            <div style={styles.errorState}>
+              <span>{error}</span>
+              <button onClick={startNewGame} style={styles.actionBtn}>Try Again</button>
+            </div>
+          ) : !state.blockchainData ? (
+            <div style={styles.startScreen}>
+              <div style={styles.startContent}>
+                <h2 style={styles.startTitle}>🕷 Spider</h2>
+                <p style={styles.startSubtitle}>Provably Fair</p>
+
+                <div style={styles.modeSelector}>
+                  <label style={styles.modeLabel}>Suits:</label>
+                  <select
+                    value={suits}
+                    onChange={(e) => setSuits(Number(e.target.value))}
+                    style={styles.modeSelect}
+                  >
+                    {SUIT_COUNTS.map(count => (
+                      <option key={count} value={count}>{count === 1 ? '1 suit' : `${count} suits`}</option>
+                    ))}
+                  </select>
+                </div>
+
+                <div style={styles.rulesBox}>
+                  <div style={styles.rulesTitle}>Scoring:</div>
+                  <div>Start with 500 points</div>
+                  <div>Each move or deal: -1</div>
+                  <div>Each King-to-Ace run of one suit: +100</div>
+                </div>
+
+                <button onClick={startNewGame} style={styles.startBtn}>
+                  Start Game
+                </button>
+              </div>
+            </div>
+          ) : (
+            <SpiderBoard state={state} dispatch={dispatch} />
+          )}
+        </div>
+
+        {/* Footer */}
+        <div style={styles.footer}>
+          <span>Ergo Blockchain Verified</span>
+          {state.blockchainData?.blockHeight > 0 && (
+            <span style={styles.blockInfo}>Block #{state.blockchainData.blockHeight}</span>
+          )}
+        </div>
+      </div>
+
+      {/* Game Over Modal */}
+      {isGameOver && showGameOver && (
+        <div style={styles.modalOverlay}>
+          <div style={styles.modal}>
+            <button onClick={() => setShowGameOver(false)} style={styles.modalClose}>×</button>
+
+            <h2 style={styles.modalTitle}>
+              {state.gameStatus === 'won' ? '🎉 You Won!' : (isStuck ? '😔 No Moves Left' : '🏳️ Game Over')}
+            </h2>
+
+            <div style={styles.modalScore}>
+              <span style={{ fontSize: '3rem', fontWeight: 'bold', color: state.gameStatus === 'won' ? '#4ade80' : '#3b82f6' }}>
+                {state.score}
+              </span>
+              <span style={{ color: '#94a3b8', fontSize: '0.875rem' }}>
+                Points · {state.completed.length}/{RUNS_TO_WIN} runs · {state.suits === 1 ? '1 suit' : `${state.suits} suits`}
+              </span>
+            </div>
+
+            <div style={styles.modalStats}>
+              <div style={styles.modalStat}>
+                <span style={styles.modalStatValue}>{formatTime(elapsed)}</span>
+                <span style={styles.modalStatLabel}>Time</span>
+              </div>
+              <div style={styles.modalStat}>
+                <span style={styles.modalStatValue}>{state.moves}</span>
+                <span style={styles.modalStatLabel}>Moves</span>
+              </div>
+            </div>
+
+            {/* Submission Form */}
+            {!submitted ? (
+              <div style={styles.submitSection}>
+                <input
+                  type="text"
+                  placeholder="Your name (optional)"
+                  value={playerName}
+                  onChange={(e) => setPlayerName(e.target.value)}
+                  maxLength={20}
+                  style={styles.nameInput}
+                />
+                <button
+                  onClick={handleSubmitScore}
+                  disabled={submitting}
+                  style={{ ...styles.submitBtn, opacity: submitting ? 0.5 : 1 }}
+                >
+                  {submitting ? 'Submitting...' : 'Submit Score'}
+                </button>
+                {submitError && <p style={styles.submitError}>{submitError}</p>}
+              </div>
+            ) : (
+              <div style={styles.submitSuccess}>
+                ✓ Submitted! Ranked #{submitRank}
+              </div>
+            )}
+
+            <div style={styles.modalActions}>
+              <button onClick={startNewGame} style={styles.playAgainBtn}>Play Again</button>
+              <Link to={`/verify/spider/${state.blockchainData.gameId}`} style={{ ...styles.verifyBtn, textDecoration: 'none' }}>
+                Verify
+              </Link>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Mobile-optimized styles, shared look with Solitaire
+const styles = {
+  container: {
+    minHeight: '100dvh',
+    backgroundColor: '#0f172a',
+    color: '#f1f5f9',
+    display: 'flex',
+    flexDirection: 'column',
+    overflow: 'hidden',
+    touchAction: 'none',
+    userSelect: 'none',
+    WebkitUserSelect: 'none',
+    WebkitTouchCallout: 'none'
+  },
+  gameWrapper: {
+    flex: 1,
+    display: 'flex',
+    flexDirection: 'column',
+    maxWidth: '1050px', // Wider: increased from 700px to spread out
+    width: '100%',
+    margin: '0 auto',
+    padding: '12px',
+    boxSizing: 'border-box'
+  },
+  header: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: '8px',
+    padding: '0 4px'
+  },
+  titleSection: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '10px'
+  },
+  menuBtn: {
+    width: '36px',
+    height: '36px',
+    borderRadius: '8px',
+    backgroundColor: 'transparent',
+    border: 'none',
+    color: '#94a3b8',
+    fontSize: '1.25rem',
+    cursor: 'pointer',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center'
+  },
+  title: {
+    fontSize: 'clamp(1.25rem, 5vw, 1.5rem)',
+    fontWeight: 'bold',
+    color: '#f1f5f9',
+    fontFamily: 'system-ui, sans-serif',
+    margin: 0
+  },
+  badge: {
+    fontSize: '0.55rem',
+    padding: '3px 6px',
+    backgroundColor: '#22c55e',
+    color: '#fff',
+    borderRadius: '4px',
+    fontWeight: 'bold',
+    textTransform: 'uppercase'
+  },
+  refreshBtn: {
+    width: '36px',
+    height: '36px',
+    borderRadius: '8px',
+    backgroundColor: 'transparent',
+    border: 'none',
+    color: '#94a3b8',
+    fontSize: '1.5rem',
+    cursor: 'pointer'
+  },
+  menu: {
+    backgroundColor: '#1e293b',
+    borderRadius: '8px',
+    marginBottom: '8px',
+    padding: '4px',
+    border: '1px solid #334155'
+  },
+  menuItem: {
+    display: 'block',
+    width: '100%',
+    padding: '10px 12px',
+    backgroundColor: 'transparent',
+    border: 'none',
+    borderRadius: '6px',
+    color: '#f1f5f9',
+    fontSize: '0.9rem',
+    textDecoration: 'none',
+    textAlign: 'left',
+    cursor: 'pointer',
+    fontFamily: 'system-ui, sans-serif'
+  },
+  statsBar: {
+    display: 'flex',
+    justifyContent: 'space-around',
+    backgroundColor: '#1e293b',
+    borderRadius: '8px',
+    padding: '8px',
+    marginBottom: '8px'
+  },
+  stat: {
+    display: 'flex',
+    flexDirection: 'column',
+    alignItems: 'center'
+  },
+  statValue: {
+    fontSize: '1rem',
+    fontWeight: 'bold',
+    color: '#f1f5f9'
+  },
+  statLabel: {
+    fontSize: '0.65rem',
+    color: '#64748b',
+    textTransform: 'uppercase'
+  },
+  leaderboardPanel: {
+    marginBottom: '8px'
+  },
+  gameArea: {
+    flex: 1,
+    display: 'flex',
+    flexDirection: 'column',
+    minHeight: 0,
+    touchAction: 'none',
+    backgroundColor: '#1e293b', // Cypherpunk: dark slate (was green felt #166534)
+    borderRadius: '12px',
+    overflow: 'hidden',
+    border: '1px solid #334155' // Subtle border
+  },
+  loadingState: {
+    flex: 1,
+    display: 'flex',
+    flexDirection: 'column',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: '12px',
+    color: '#d1fae5'
+  },
+  spinner: {
+    width: '32px',
+    height: '32px',
+    border: '3px solid rgba(255,255,255,0.2)',
+    borderTopColor: '#4ade80',
+    borderRadius: '50%',
+    animation: 'spin 1s linear infinite'
+  },
+  errorState: {
+    flex: 1,
+    display: 'flex',
+    flexDirection: 'column',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: '12px',
+    color: '#fecaca',
+    padding: '20px'
+  },
+  startScreen: {
+    flex: 1,
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: '20px'
+  },
+  startContent: {
+    backgroundColor: 'rgba(0,0,0,0.3)',
+    borderRadius: '12px',
+    padding: '24px',
+    textAlign: 'center',
+    maxWidth: '320px',
+    width: '100%'
+  },
+  startTitle: {
+    fontSize: '2rem',
+    margin: '0 0 4px 0',
+    color: '#fff'
+  },
+  startSubtitle: {
+    fontSize: '0.875rem',
+    color: '#86efac',
+    margin: '0 0 20px 0'
+  },
+  modeSelector: {
+    marginBottom: '16px'
+  },
+  modeLabel: {
+    display: 'block',
+    fontSize: '0.75rem',
+    color: '#a7f3d0',
+    marginBottom: '6px'
+  },
+  modeSelect: {
+    width: '100%',
+    padding: '10px',
+    fontSize: '0.9rem',
+    borderRadius: '6px',
+    border: 'none',
+    backgroundColor: '#15803d',
+    color: '#fff',
+    cursor: 'pointer'
+  },
+  rulesBox: {
+    backgroundColor: 'rgba(0,0,0,0.2)',
+    borderRadius: '8px',
+    padding: '12px',
+    fontSize: '0.8rem',
+    color: '#d1fae5',
+    marginBottom: '20px',
+    textAlign: 'left'
+  },
+  rulesTitle: {
+    fontWeight: 'bold',
+    marginBottom: '6px',
+    color: '#fff'
+  },
+  startBtn: {
+    width: '100%',
+    padding: '14px 24px',
+    fontSize: '1rem',
+    fontWeight: '600',
+    backgroundColor: '#22c55e',
+    color: '#fff',
+    border: 'none',
+    borderRadius: '8px',
+    cursor: 'pointer'
+  },
+  actionBtn: {
+    padding: '10px 20px',
+    backgroundColor: '#22c55e',
+    color: '#fff',
+    border: 'none',
+    borderRadius: '6px',
+    cursor: 'pointer',
+    fontSize: '0.9rem'
+  },
+  footer: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: '8px 4px',
+    color: '#64748b',
+    fontSize: '0.7rem',
+    fontFamily: 'system-ui, sans-serif'
+  },
+  blockInfo: {
+    color: '#475569'
+  },
+  modalOverlay: {
+    position: 'fixed',
+    inset: 0,
+    backgroundColor: 'rgba(0,0,0,0.9)',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    zIndex: 1000,
+    padding: '16px'
+  },
+  modal: {
+    backgroundColor: '#1e293b',
+    borderRadius: '16px',
+    padding: '24px',
+    maxWidth: '400px',
+    width: '100%',
+    maxHeight: '90vh',
+    overflowY: 'auto',
+    position: 'relative',
+    textAlign: 'center'
+  },
+  modalClose: {
+    position: 'absolute',
+    top: '12px',
+    right: '12px',
+    background: 'none',
+    border: 'none',
+    color: '#64748b',
+    fontSize: '1.5rem',
+    cursor: 'pointer',
+    padding: '4px'
+  },
+  modalTitle: {
+    fontSize: '1.5rem',
+    margin: '0 0 16px 0',
+    color: '#f1f5f9'
+  },
+  modalScore: {
+    display: 'flex',
+    flexDirection: 'column',
+    alignItems: 'center',
+    marginBottom: '16px'
+  },
+  modalStats: {
+    display: 'flex',
+    justifyContent: 'center',
+    gap: '32px',
+    marginBottom: '20px'
+  },
+  modalStat: {
+    display: 'flex',
+    flexDirection: 'column',
+    alignItems: 'center'
+  },
+  modalStatValue: {
+    fontSize: '1.25rem',
+    fontWeight: 'bold',
+    color: '#f1f5f9'
+  },
+  modalStatLabel: {
+    fontSize: '0.75rem',
+    color: '#64748b'
+  },
+  submitSection: {
+    backgroundColor: '#0f172a',
+    borderRadius: '8px',
+    padding: '16px',
+    marginBottom: '16px'
+  },
+  nameInput: {
+    width: '100%',
+    padding: '12px',
+    fontSize: '0.9rem',
+    borderRadius: '6px',
+    border: '1px solid #334155',
+    backgroundColor: '#1e293b',
+    color: '#f1f5f9',
+    marginBottom: '10px',
+    boxSizing: 'border-box'
+  },
+  submitBtn: {
+    width: '100%',
+    padding: '12px',
+    fontSize: '0.9rem',
+    fontWeight: '600',
+    backgroundColor: '#22c55e',
+    color: '#fff',
+    border: 'none',
+    borderRadius: '6px',
+    cursor: 'pointer'
+  },
+  submitError: {
+    color: '#f87171',
+    fontSize: '0.8rem',
+    marginTop: '8px'
+  },
+  submitSuccess: {
+    backgroundColor: '#166534',
+    borderRadius: '8px',
+    padding: '16px',
+    marginBottom: '16px',
+    color: '#4ade80',
+    fontWeight: '600'
+  },
+  modalActions: {
+    display: 'flex',
+    gap: '10px',
+    justifyContent: 'center'
+  },
+  playAgainBtn: {
+    padding: '12px 24px',
+    fontSize: '0.9rem',
+    fontWeight: '600',
+    backgroundColor: '#3b82f6',
+    color: '#fff',
+    border: 'none',
+    borderRadius: '6px',
+    cursor: 'pointer'
+  },
+  verifyBtn: {
+    padding: '12px 24px',
+    fontSize: '0.9rem',
+    fontWeight: '600',
+    backgroundColor: '#f59e0b',
+    color: '#fff',
+    border: 'none',
+    borderRadius: '6px',
+    cursor: 'pointer'
+  }
+};
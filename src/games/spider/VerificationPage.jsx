@@ -0,0 +1,299 @@
+/**
+ * Spider Verification Page - Commit-Reveal System
+ * Verifies the double-deck shuffle using server secret + blockchain data
+ */
+
+import React, { useState, useEffect } from 'react';
+import { useParams, useLocation } from 'react-router-dom';
+import UnifiedVerification from '../../components/UnifiedVerification';
+import CryptoJS from 'crypto-js';
+import { resolveRngVersion } from '../../core/shuffle';
+import { deriveRandomValue } from '../../core/seed';
+import { createSpiderDeck, dealTableau } from '../../core/games/spider/gameLogic';
+
+// ============================================
+// COMMIT-REVEAL VERIFICATION FUNCTIONS
+// ============================================
+
+/**
+ * Verify that the server secret matches the commitment hash
+ */
+function verifySecretCommitment(serverSecret, secretHash) {
+  const calculatedHash = CryptoJS.SHA256(serverSecret).toString();
+  return calculatedHash === secretHash;
+}
+
+// ============================================
+// CARD DISPLAY
+// ============================================
+const SUIT_SYMBOLS = { hearts: '♥', diamonds: '♦', clubs: '♣', spades: '♠' };
+const isRedSuit = (suit) => suit === 'hearts' || suit === 'diamonds';
+
+const MiniCard = ({ card }) => (
+  <span style={{
+    display: 'inline-block',
+    padding: '2px 5px',
+    margin: '1px',
+    backgroundColor: '#fff',
+    borderRadius: 3,
+    fontSize: 11,
+    fontWeight: 'bold',
+    color: isRedSuit(card.suit) ? '#d32f2f' : '#1a1a1a',
+    border: '1px solid #ccc'
+  }}>
+    {card.rank}{SUIT_SYMBOLS[card.suit]}
+  </span>
+);
+
+// ============================================
+// MAIN COMPONENT
+// ============================================
+export default function SpiderVerificationPage() {
+  const { gameId } = useParams();
+  const location = useLocation();
+
+  const [gameData, setGameData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [notFound, setNotFound] = useState(false);
+  const [isVerified, setIsVerified] = useState(false);
+  const [commitmentVerified, setCommitmentVerified] = useState(null);
+  const [regeneratedDeal, setRegeneratedDeal] = useState(null);
+
+  const backLink = '/spider';
+  const backText = '← Back to Spider';
+
+  // Load game data
+  useEffect(() => {
+    // Try location state
+    if (location.state?.gameData) {
+      const data = location.state.gameData;
+      setGameData(data);
+      verifyGame(data);
+      setLoading(false);
+      return;
+    }
+
+    // Try localStorage
+    const stored = localStorage.getItem(`spider-${gameId}`);
+    if (stored) {
+      try {
+        const data = JSON.parse(stored);
+        setGameData(data);
+        verifyGame(data);
+        setLoading(false);
+        return;
+      } catch (e) {
+        console.error('Failed to parse stored game:', e);
+      }
+    }
+
+    setNotFound(true);
+    setLoading(false);
+  }, [gameId, location.state]);
+
+  // Verify game by regenerating the deck using commit-reveal
+  const verifyGame = (data) => {
+    const { serverSecret, secretHash, blockHash, txHash, timestamp, txIndex, clientSeed } = data;
+
+    try {
+      // Verify commitment if we have both secret and hash
+      if (serverSecret && secretHash) {
+        const verified = verifySecretCommitment(serverSecret, secretHash);
+        setCommitmentVerified(verified);
+
+        if (!verified) {
+          console.error('Commitment verification failed!');
+          setIsVerified(false);
+          return;
+        }
+      } else {
+        setCommitmentVerified(null);
+      }
+
+      if (serverSecret && blockHash && timestamp) {
+        const seed = deriveRandomValue(serverSecret, { blockHash, txHash, timestamp, txIndex }, 'deck-shuffle', clientSeed);
+        const deck = createSpiderDeck(seed, resolveRngVersion(data), data.suits);
+
+        setRegeneratedDeal({ seed, deck, ...dealTableau(deck) });
+
+        // Verify matches stored deck (if available)
+        const matches = data.deck
+          ? JSON.stringify(deck) === JSON.stringify(data.deck)
+          : deck.length === 104;
+        setIsVerified(matches);
+      } else {
+        setIsVerified(false);
+      }
+    } catch (e) {
+      console.error('Verification failed:', e);
+      setIsVerified(false);
+      setCommitmentVerified(false);
+    }
+  };
+
+  const statBoxStyle = {
+    backgroundColor: 'rgba(0,0,0,0.2)',
+    padding: 12,
+    borderRadius: 6,
+    textAlign: 'center'
+  };
+
+  // Render game summary
+  const renderGameSummary = () => {
+    if (!gameData) return null;
+
+    const isWin = gameData.gameStatus === 'won';
+    const suits = gameData.suits || 1;
+
+    return (
+      <div>
+        {gameData.serverSecret && (
+          <div style={{
+            marginBottom: 16,
+            padding: 12,
+            borderRadius: 8,
+            border: '1px solid',
+            backgroundColor: commitmentVerified ? 'rgba(34, 197, 94, 0.1)' : 'rgba(239, 68, 68, 0.1)',
+            borderColor: commitmentVerified ? '#22c55e' : '#ef4444',
+            color: commitmentVerified ? '#22c55e' : '#ef4444',
+            fontSize: 13,
+            fontWeight: 'bold'
+          }}>
+            {commitmentVerified ? '✓ Server Commitment Verified' : '✗ Commitment Verification Failed'}
+          </div>
+        )}
+
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(100px, 1fr))', gap: 10 }}>
+          <div style={statBoxStyle}>
+            <div style={{ color: '#94a3b8', fontSize: 11 }}>Result</div>
+            <div style={{ fontSize: 18, fontWeight: 'bold', color: isWin ? '#22c55e' : '#ef4444' }}>
+              {isWin ? 'Solved' : 'Unsolved'}
+            </div>
+          </div>
+          <div style={statBoxStyle}>
+            <div style={{ color: '#94a3b8', fontSize: 11 }}>Score</div>
+            <div style={{ fontSize: 24, fontWeight: 'bold', color: '#fbbf24' }}>
+              {gameData.score || 0}
+            </div>
+          </div>
+          <div style={statBoxStyle}>
+            <div style={{ color: '#94a3b8', fontSize: 11 }}>Runs</div>
+            <div style={{ fontSize: 18, fontWeight: 'bold' }}>
+              {gameData.completedRuns || 0} / 8
+            </div>
+          </div>
+          <div style={statBoxStyle}>
+            <div style={{ color: '#94a3b8', fontSize: 11 }}>Moves</div>
+            <div style={{ fontSize: 18, fontWeight: 'bold' }}>
+              {gameData.moves || 0}
+            </div>
+          </div>
+          <div style={statBoxStyle}>
+            <div style={{ color: '#94a3b8', fontSize: 11 }}>Suits</div>
+            <div style={{ fontSize: 18, fontWeight: 'bold' }}>
+              {suits}
+            </div>
+          </div>
+        </div>
+
+        <p style={{ marginTop: 16, fontSize: 13, color: '#f1f5f9' }}>
+          <strong>104 cards</strong> (two decks played as {suits} {suits === 1 ? 'suit' : 'suits'}) shuffled
+          using the commit-reveal system. The whole deck order, stock included, was fixed before the first move.
+        </p>
+        <div style={{
+          marginTop: 12,
+          padding: 10,
+          backgroundColor: 'rgba(0,0,0,0.2)',
+          borderRadius: 6,
+          fontSize: 11,
+          color: '#94a3b8'
+        }}>
+          <strong style={{ color: '#22c55e' }}>Commit-Reveal Formula:</strong>
+          <code style={{ display: 'block', marginTop: 6, color: '#a5b4fc', fontSize: 10 }}>
+            seed = SHA256(serverSecret:blockHash:txHash:timestamp:txIndex[:clientSeed]:deck-shuffle)
+          </code>
+        </div>
+      </div>
+    );
+  };
+
+  // Render replay / deal breakdown
+  const renderReplay = () => {
+    if (!regeneratedDeal) {
+      return <p style={{ color: '#94a3b8' }}>Deck data not available for replay</p>;
+    }
+
+    return (
+      <div>
+        <p style={{ color: '#94a3b8', fontSize: 12, marginBottom: 16 }}>
+          54 cards dealt left to right into 10 columns; the top card of each column is face-up.
+          The other 50 wait in the stock, 10 per deal.
+        </p>
+
+        <div style={{
+          marginBottom: 16,
+          padding: 10,
+          backgroundColor: isVerified ? 'rgba(34, 197, 94, 0.1)' : 'rgba(239, 68, 68, 0.1)',
+          borderRadius: 6,
+          border: `1px solid ${isVerified ? '#22c55e' : '#ef4444'}`
+        }}>
+          <span style={{ color: isVerified ? '#22c55e' : '#ef4444', fontSize: 12, fontWeight: 'bold' }}>
+            {isVerified ? '✓ Deck Order Verified' : '✗ Deck does not match'}
+          </span>
+        </div>
+
+        {regeneratedDeal.tableau.map((column, i) => (
+          <div key={i} style={{ marginBottom: 8, display: 'flex', alignItems: 'center' }}>
+            <span style={{ color: '#94a3b8', fontSize: 12, width: 80, flexShrink: 0 }}>
+              Column {i + 1}:
+            </span>
+            <div style={{ display: 'flex', flexWrap: 'wrap' }}>
+              {column.map(card => <MiniCard key={card.id} card={card} />)}
+            </div>
+          </div>
+        ))}
+
+        <div style={{ marginTop: 15, paddingTop: 12, borderTop: '1px solid rgba(255,255,255,0.1)' }}>
+          <span style={{ color: '#94a3b8', fontSize: 12 }}>Stock ({regeneratedDeal.stock.length} cards):</span>
+          <div style={{ display: 'flex', flexWrap: 'wrap', marginTop: 6 }}>
+            {regeneratedDeal.stock.map(card => <MiniCard key={card.id} card={card} />)}
+          </div>
+        </div>
+      </div>
+    );
+  };
+
+  // Build unified data
+  const unifiedData = gameData ? {
+    gameId: gameData.gameId || gameId,
+    blockHash: gameData.blockHash,
+    blockHeight: gameData.blockHeight,
+    txHash: gameData.txHash,
+    timestamp: gameData.timestamp,
+    txIndex: gameData.txIndex,
+    sessionId: gameData.sessionId,
+    secretHash: gameData.secretHash,
+    serverSecret: gameData.serverSecret,
+    clientSeed: gameData.clientSeed,
+    beacon: gameData.beacon,
+    seedBatch: gameData.seedBatch,
+    rngVersion: resolveRngVersion(gameData),
+    suits: gameData.suits
+  } : null;
+
+  return (
+    <UnifiedVerification
+      game="spider"
+      gameId={gameData?.gameId || gameId}
+      data={unifiedData}
+      verified={isVerified}
+      eventCount={1}
+      backLink={backLink}
+      backText={backText}
+      loading={loading}
+      notFound={notFound}
+      renderGameSummary={renderGameSummary}
+      renderReplay={renderReplay}
+    />
+  );
+}
@@ -0,0 +1,159 @@
+/**
+ * Spider Game Logic Tests
+ *
+ * Tests:
+ * - 104-card deck with 1, 2 and 4 suits
+ * - Initial deal and stock
+ * - Same-suit runs and completed run removal
+ * - Dealing from the stock
+ * - Scoring
+ */
+
+import {
+  createSpiderDeck,
+  dealTableau,
+  canPlaceOnTableau,
+  getMovableSequence,
+  findCompletedRun,
+  calculateScore,
+  isGameStuck
+} from '../../../core/games/spider/gameLogic';
+import { dealCards, spiderReducer } from '../../../core/games/spider/gameState';
+
+// ============================================
+// TEST HELPERS
+// ============================================
+
+const SEED = 'a3f1c9e27b5d48e6a3f1c9e27b5d48e6a3f1c9e27b5d48e6a3f1c9e27b5d48e6';
+const RANKS = ['A', '2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K'];
+
+let nextId = 0;
+
+function createCard(rank, suit = 'spades', faceUp = true) {
+  return { id: `${rank}${suit[0].toUpperCase()}-${++nextId}`, rank, suit, faceUp };
+}
+
+// King down to the given rank, all face up
+function createRun(lowest, suit = 'spades') {
+  return RANKS.slice(RANKS.indexOf(lowest)).reverse().map(rank => createCard(rank, suit));
+}
+
+function countBySuit(deck) {
+  return deck.reduce((counts, card) => ({ ...counts, [card.suit]: (counts[card.suit] || 0) + 1 }), {});
+}
+
+const DECK = createSpiderDeck(SEED, 2, 1);
+
+function boardWith(tableau, stock = []) {
+  const columns = [...tableau, ...Array(10 - tableau.length).fill(null).map(() => [createCard('2', 'hearts')])];
+  return { ...dealCards(DECK, 1), tableau: columns, stock };
+}
+
+// ============================================
+// DECK AND DEAL
+// ============================================
+
+describe('createSpiderDeck', () => {
+  test('104 unique cards per suit count', () => {
+    expect(countBySuit(createSpiderDeck(SEED, 2, 1))).toEqual({ spades: 104 });
+    expect(countBySuit(createSpiderDeck(SEED, 2, 2))).toEqual({ spades: 52, hearts: 52 });
+    expect(countBySuit(createSpiderDeck(SEED, 2, 4))).toEqual({ spades: 26, hearts: 26, clubs: 26, diamonds: 26 });
+    expect(new Set(DECK.map(card => card.id)).size).toBe(104);
+  });
+
+  test('same seed, same order; only the suits change', () => {
+    const twoSuits = createSpiderDeck(SEED, 2, 2);
+    expect(createSpiderDeck(SEED, 2, 1)).toEqual(DECK);
+    expect(twoSuits.map(card => card.rank)).toEqual(DECK.map(card => card.rank));
+  });
+
+  test('rejects other suit counts', () => {
+    expect(() => createSpiderDeck(SEED, 2, 3)).toThrow('Unsupported suit count: 3');
+  });
+
+  test('54 cards dealt, top card of each column face up, 50 in the stock', () => {
+    const { tableau, stock } = dealTableau(DECK);
+    expect(tableau.map(column => column.length)).toEqual([6, 6, 6, 6, 5, 5, 5, 5, 5, 5]);
+    expect(tableau.every(column => column[column.length - 1].faceUp && !column[0].faceUp)).toBe(true);
+    expect(stock).toHaveLength(50);
+  });
+});
+
+// ============================================
+// RULES
+// ============================================
+
+describe('Move rules', () => {
+  test('builds down regardless of suit', () => {
+    expect(canPlaceOnTableau(createCard('7', 'hearts'), [createCard('8', 'spades')])).toBe(true);
+    expect(canPlaceOnTableau(createCard('7', 'hearts'), [createCard('9', 'spades')])).toBe(false);
+    expect(canPlaceOnTableau(createCard('7', 'hearts'), [createCard('8', 'spades', false)])).toBe(false);
+    expect(canPlaceOnTableau(createCard('7', 'hearts'), [])).toBe(true);
+  });
+
+  test('only same-suit runs move together', () => {
+    const column = [createCard('9', 'spades'), createCard('8', 'spades'), createCard('7', 'hearts')];
+    expect(getMovableSequence(column, 0)).toBeNull();
+    expect(getMovableSequence(column, 2)).toHaveLength(1);
+    expect(getMovableSequence(column.slice(0, 2), 0)).toHaveLength(2);
+  });
+
+  test('finds a King-to-Ace run at the bottom of a column', () => {
+    expect(findCompletedRun([createCard('5', 'hearts'), ...createRun('A')])).toBe(1);
+    expect(findCompletedRun(createRun('2'))).toBe(-1);
+  });
+});
+
+// ============================================
+// REDUCER
+// ============================================
+
+describe('spiderReducer', () => {
+  test('completing a run removes it and scores it', () => {
+    const ace = createCard('A');
+    let state = boardWith([[createCard('5', 'hearts', false), ...createRun('2')], [createCard('3', 'hearts'), ace]]);
+
+    state = spiderReducer(state, { type: 'SELECT_CARDS', payload: { cards: [ace], source: { type: 'tableau', index: 1 } } });
+    state = spiderReducer(state, { type: 'MOVE_TO_TABLEAU', payload: { targetIndex: 0 } });
+
+    expect(state.completed).toHaveLength(1);
+    expect(state.tableau[0]).toHaveLength(1);
+    expect(state.tableau[0][0].faceUp).toBe(true);
+    expect(state.score).toBe(calculateScore(1, 1));
+    expect(state.moveLog).toEqual([{ type: 'MOVE_TO_TABLEAU', source: { type: 'tableau', index: 1 }, count: 1, targetIndex: 0 }]);
+  });
+
+  test('dealing puts one face-up card on every column', () => {
+    const start = dealCards(DECK, 1);
+    const state = spiderReducer(start, { type: 'DEAL_FROM_STOCK' });
+
+    expect(state.stock).toHaveLength(40);
+    expect(state.tableau.every((column, i) => column.length === start.tableau[i].length + 1 && column[column.length - 1].faceUp)).toBe(true);
+    expect(state.moveLog).toEqual([{ type: 'DEAL_FROM_STOCK' }]);
+    expect(spiderReducer(state, { type: 'UNDO' }).stock).toHaveLength(50);
+  });
+
+  test('no deal while a column is empty', () => {
+    const state = boardWith([[]], DECK.slice(0, 10));
+    expect(spiderReducer(state, { type: 'DEAL_FROM_STOCK' })).toBe(state);
+  });
+});
+
+// ============================================
+// SCORING AND STUCK DETECTION
+// ============================================
+
+describe('Scoring', () => {
+  test('500 to start, -1 per move, +100 per run, never below zero', () => {
+    expect(dealCards(DECK, 1).score).toBe(500);
+    expect(calculateScore(120, 3)).toBe(680);
+    expect(calculateScore(900, 0)).toBe(0);
+  });
+
+  test('not stuck while the stock has cards', () => {
+    // Kings and twos: nothing builds
+    const state = boardWith([[createCard('K', 'hearts')]], DECK.slice(0, 10));
+    expect(isGameStuck(state)).toBe(false);
+    expect(isGameStuck({ ...state, stock: [] })).toBe(true);
+  });
+});
@@ -12,7 +12,7 @@ import {
   calculateUpperTotal,
   calculateLowerTotal,
   calculateGrandTotal
-} from './scoringLogic';
+} from '../../core/games/yahtzee/scoringLogic';
 
 function GameOverModal({
   gameId,
@@ -86,6 +86,7 @@ function GameOverModal({
           blockHash: anchor?.blockHash,
           txHash: anchor?.txHash,
           blockTimestamp: anchor?.timestamp,
+          sessionId: anchor?.sessionId,
           rollHistory: rollHistory || [],
           scorecard: scorecard
         })
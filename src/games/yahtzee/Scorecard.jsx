@@ -13,7 +13,7 @@ import {
   calculateLowerTotal,
   calculateGrandTotal,
   CATEGORY_DISPLAY_NAMES
-} from './scoringLogic';
+} from '../../core/games/yahtzee/scoringLogic';
 
 const UPPER_CATEGORIES = ['ones', 'twos', 'threes', 'fours', 'fives', 'sixes'];
 const LOWER_CATEGORIES = [
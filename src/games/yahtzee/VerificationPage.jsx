@@ -8,6 +8,14 @@ import { useParams, useSearchParams } from 'react-router-dom';
 import { Link } from 'react-router-dom';
 import CryptoJS from 'crypto-js';
 import { calculateDieValue } from './diceLogic';
+import { deriveRandomValue } from '../../core/seed';
+import { describeBeaconRound } from '../../core/beacons';
+import {
+  isLegacyRollHistory,
+  buildVerificationTrail,
+  TRAIL_VERIFIED,
+  TRAIL_MISMATCH
+} from './blockTraversal';
 
 // ============================================
 // DICE DISPLAY HELPERS
@@ -43,15 +51,6 @@ function verifySecretCommitment(serverSecret, secretHash) {
   return calculatedHash === secretHash;
 }
 
-/**
- * Generate seed using commit-reveal formula
- * Formula: SHA256(serverSecret + blockHash + timestamp + purpose)
- */
-function generateCommitRevealSeed(serverSecret, blockHash, timestamp, purpose) {
-  const input = serverSecret + blockHash + timestamp.toString() + purpose;
-  return CryptoJS.SHA256(input).toString();
-}
-
 const truncateHash = (hash, len = 12) => {
   if (!hash) return 'N/A';
   return `${hash.slice(0, len)}...${hash.slice(-6)}`;
@@ -104,7 +103,7 @@ function RollBreakdown({ roll, serverSecret, blockHash, timestamp, onVerify, ver
           <div style={rollStyles.formula}>
             <div style={{ color: '#94a3b8', fontSize: 11, marginBottom: 6 }}>🔐 Commit-Reveal Formula:</div>
             <code style={{ color: '#22c55e', fontSize: 11, display: 'block', marginBottom: 8 }}>
-              seed = SHA256(serverSecret + blockHash + timestamp + purpose)
+              seed = SHA256(serverSecret:blockHash:txHash:timestamp:txIndex[:clientSeed]:purpose)
             </code>
             <div style={{ fontSize: 10, color: '#64748b' }}>
               <div>• Server commits hash BEFORE blockchain data</div>
@@ -259,6 +258,8 @@ export default function YahtzeeVerificationPage() {
   const [notFound, setNotFound] = useState(false);
   const [loading, setLoading] = useState(true);
   const [verificationResults, setVerificationResults] = useState({});
+  const [legacyTrail, setLegacyTrail] = useState(null);
+  const [retracing, setRetracing] = useState(false);
 
   const backLink = '/yahtzee';
   const backText = '← Back to Yahtzee';
@@ -318,11 +319,11 @@ export default function YahtzeeVerificationPage() {
     }
 
     const purpose = roll.purpose || `turn-${roll.turn}-roll-${roll.roll}`;
-    const seed = generateCommitRevealSeed(
+    const seed = deriveRandomValue(
       verificationData.serverSecret,
-      verificationData.anchor.blockHash,
-      verificationData.anchor.timestamp,
-      purpose
+      verificationData.anchor,
+      purpose,
+      verificationData.anchor.clientSeed
     );
 
     const calculatedDice = [0, 1, 2, 3, 4].map(i => calculateDieValue(seed, i));
@@ -334,6 +335,16 @@ export default function YahtzeeVerificationPage() {
     }));
   };
 
+  // Re-trace a game played before secure sessions (block traversal rolls)
+  const retraceLegacyGame = async () => {
+    setRetracing(true);
+    try {
+      setLegacyTrail(await buildVerificationTrail(verificationData.rollHistory, verificationData.gameId));
+    } finally {
+      setRetracing(false);
+    }
+  };
+
   // Group rolls by turn
   const getRollsByTurn = () => {
     if (!verificationData?.rollHistory) return {};
@@ -373,6 +384,8 @@ export default function YahtzeeVerificationPage() {
   const totalRolls = verificationData.rollHistory?.length || 0;
   const totalTurns = Object.keys(rollsByTurn).length;
 
+  const anchorRound = describeBeaconRound(verificationData.anchor, verificationData.anchor?.beacon);
+
   return (
     <div style={styles.container}>
       <div style={styles.wrapper}>
@@ -444,21 +457,64 @@ export default function YahtzeeVerificationPage() {
         <div style={styles.section}>
           <h2 style={styles.sectionTitle}>⚓ Blockchain Anchor</h2>
           <div style={{ fontSize: 12, color: '#94a3b8', lineHeight: 1.8 }}>
+            <div><strong>Beacon:</strong> {anchorRound.label}</div>
             <div><strong>Block Height:</strong> #{verificationData.anchor?.blockHeight?.toLocaleString()}</div>
             <div><strong>Block Hash:</strong> <span style={styles.mono}>{verificationData.anchor?.blockHash}</span></div>
             <div><strong>Timestamp:</strong> {new Date(verificationData.anchor?.timestamp).toLocaleString()}</div>
             <div><strong>Session ID:</strong> <span style={styles.mono}>{verificationData.sessionId}</span></div>
           </div>
-          <a
-            href={`https://explorer.ergoplatform.com/en/blocks/${verificationData.anchor?.blockHash}`}
-            target="_blank"
-            rel="noopener noreferrer"
-            style={styles.explorerLink}
-          >
-            View on Ergo Explorer ↗
-          </a>
+          {anchorRound.url && (
+            <a
+              href={anchorRound.url}
+              target="_blank"
+              rel="noopener noreferrer"
+              style={styles.explorerLink}
+            >
+              View on {anchorRound.siteName} ↗
+            </a>
+          )}
         </div>
 
+        {/* Legacy Block Traversal */}
+        {isLegacyRollHistory(verificationData.rollHistory) && (
+          <div style={styles.section}>
+            <h2 style={styles.sectionTitle}>🔗 Block Traversal (legacy game)</h2>
+            <p style={{ color: '#94a3b8', fontSize: 12, marginBottom: 12 }}>
+              This game was played before rolls came from the server session: each roll's seed was
+              traced through the Ergo transaction graph. Re-tracing follows the same path again.
+            </p>
+            <button
+              style={{
+                padding: '8px 16px',
+                fontSize: 12,
+                backgroundColor: '#3b82f6',
+                color: '#fff',
+                border: 'none',
+                borderRadius: 6,
+                cursor: retracing ? 'not-allowed' : 'pointer',
+                fontWeight: 'bold'
+              }}
+              disabled={retracing}
+              onClick={retraceLegacyGame}
+            >
+              {retracing ? 'Re-tracing...' : 'Re-trace from blockchain'}
+            </button>
+            {legacyTrail && (
+              <div style={{ marginTop: 12, fontSize: 12, color: '#94a3b8', lineHeight: 1.8 }}>
+                <div style={{ color: legacyTrail.verified ? '#22c55e' : '#ef4444', fontWeight: 'bold' }}>
+                  {legacyTrail.verified ? '✓ No mismatches' : '✗ Mismatches found'}
+                  {' '}({legacyTrail.rolls.filter(roll => roll.status === TRAIL_VERIFIED).length}/{legacyTrail.totalRolls} rolls re-traced)
+                </div>
+                {legacyTrail.rolls.filter(roll => roll.status !== TRAIL_VERIFIED).map(roll => (
+                  <div key={roll.rollIndex} style={{ color: roll.status === TRAIL_MISMATCH ? '#ef4444' : '#f59e0b' }}>
+                    Turn {roll.turn}, Roll {roll.roll}: {roll.reason}
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
         {/* Roll History */}
         <div style={styles.section}>
           <h2 style={styles.sectionTitle}>🎯 Roll History</h2>
@@ -22,13 +22,9 @@ import {
   calculateGrandTotal,
   isGameComplete,
   isYahtzee
-} from './scoringLogic';
-import {
-  initializeAnchor,
-  createInitialTraceState,
-  buildVerificationTrail
-} from './blockTraversal';
+} from '../../core/games/yahtzee/scoringLogic';
 import { startSecureGame, getSecureRandom, endSecureSession } from '../../blockchain/secureRng';
+import { loadResumableGame, saveResumableGame, clearResumableGame } from '../../blockchain/sessionResume';
 
 /**
  * Generate unique game ID
@@ -39,6 +35,44 @@ function generateGameId() {
   return `YAH-${timestamp}-${random}`;
 }
 
+/**
+ * Roll every die that isn't held, using a secure random value
+ */
+function rollUnheldDice(dice, seed) {
+  return dice.map((die, index) => {
+    if (die.isHeld) {
+      return { ...die };
+    }
+    return {
+      ...die,
+      value: calculateDieValue(seed, index)
+    };
+  });
+}
+
+/**
+ * Roll history entry for verification
+ * held records which dice kept their value, so the server can recompute
+ * the roll from the revealed secret
+ */
+function createRollRecord(anchor, sessionId, turn, roll, purpose, seed, dice) {
+  return {
+    turn,
+    roll,
+    source: 'secure-rng',
+    blockHeight: anchor?.blockHeight,
+    blockHash: anchor?.blockHash,
+    txHash: anchor?.txHash,
+    timestamp: anchor?.timestamp,
+    txIndex: anchor?.txIndex,
+    sessionId,
+    purpose,
+    seed,
+    held: dice.map(die => die.isHeld),
+    diceValues: getDiceValues(dice)
+  };
+}
+
 function YahtzeeGame() {
   const navigate = useNavigate();
 
@@ -54,9 +88,8 @@ function YahtzeeGame() {
   const [sessionId, setSessionId] = useState(null);
   const [secretHash, setSecretHash] = useState(null);
 
-  // Block traversal state
+  // Anchor block and rolls for verification
   const [anchor, setAnchor] = useState(null);
-  const [traceState, setTraceState] = useState(createInitialTraceState());
   const [rollHistory, setRollHistory] = useState([]);
 
   // UI state
@@ -79,7 +112,7 @@ function YahtzeeGame() {
       setGameId(newGameId);
 
       // Initialize secure session (server commits secret, then get blockchain data)
-      const { sessionId, secretHash, blockData } = await startSecureGame('yahtzee');
+      const { sessionId, secretHash, clientSeed, beacon, blockData } = await startSecureGame('yahtzee');
 
       // Store session info
       setSessionId(sessionId);
@@ -94,13 +127,12 @@ function YahtzeeGame() {
         txIndex: blockData.txIndex,
         txCount: blockData.txCount,
         sessionId,
-        secretHash
+        secretHash,
+        clientSeed,
+        beacon
       };
       setAnchor(anchorBlock);
 
-      // Reset trace state for new game
-      setTraceState(createInitialTraceState());
-
       // Initialize game state
       setCurrentTurn(1);
       setDice(resetDice());
@@ -118,6 +150,56 @@ function YahtzeeGame() {
     }
   }, []);
 
+  /**
+   * Resume a saved game on mount
+   */
+  useEffect(() => {
+    loadResumableGame('yahtzee').then(resumed => {
+      if (!resumed) return;
+      const saved = resumed.state;
+      let restoredDice = saved.dice;
+      let restoredRollsRemaining = saved.rollsRemaining;
+      let restoredHistory = saved.rollHistory;
+
+      // Rolls served after the snapshot (reloaded while a roll was in flight)
+      for (const { purpose, random } of resumed.pendingRandom) {
+        const rollNumber = 4 - restoredRollsRemaining;
+        if (purpose !== `turn-${saved.currentTurn}-roll-${rollNumber}`) continue;
+        restoredDice = rollUnheldDice(restoredDice, random);
+        restoredRollsRemaining -= 1;
+        restoredHistory = [...restoredHistory, createRollRecord(
+          saved.anchor, resumed.session.sessionId, saved.currentTurn, rollNumber, purpose, random, restoredDice
+        )];
+      }
+
+      setSessionId(resumed.session.sessionId);
+      setSecretHash(resumed.session.secretHash);
+      setGameId(saved.gameId);
+      setAnchor(saved.anchor);
+      setCurrentTurn(saved.currentTurn);
+      setDice(restoredDice);
+      setRollsRemaining(restoredRollsRemaining);
+      setScorecard(saved.scorecard);
+      setRollHistory(restoredHistory);
+      setStartTime(saved.startTime);
+      setPhase(saved.phase);
+    });
+  }, []);
+
+  /**
+   * Save the game while it's in progress so a reload can resume it
+   */
+  useEffect(() => {
+    if (!sessionId || !anchor) return;
+    if (phase === 'gameOver') {
+      clearResumableGame('yahtzee');
+    } else if (phase === 'rolling') {
+      saveResumableGame('yahtzee', sessionId, {
+        gameId, anchor, currentTurn, dice, rollsRemaining, scorecard, rollHistory, startTime, phase
+      });
+    }
+  }, [sessionId, anchor, phase, gameId, currentTurn, dice, rollsRemaining, scorecard, rollHistory, startTime]);
+
   /**
    * Handle dice roll - uses secure RNG
    */
@@ -135,31 +217,10 @@ function YahtzeeGame() {
       const seed = await getSecureRandom(sessionId, purpose);
 
       // Roll the dice using secure seed
-      const newDice = dice.map((die, index) => {
-        if (die.isHeld) {
-          return { ...die };
-        }
-        return {
-          ...die,
-          value: calculateDieValue(seed, index)
-        };
-      });
+      const newDice = rollUnheldDice(dice, seed);
 
       // Record roll in history for verification
-      const historyEntry = {
-        turn: currentTurn,
-        roll: rollNumber,
-        source: 'secure-rng',
-        blockHeight: anchor?.blockHeight,
-        blockHash: anchor?.blockHash,
-        txHash: anchor?.txHash,
-        timestamp: anchor?.timestamp,
-        txIndex: anchor?.txIndex,
-        sessionId: sessionId,
-        purpose: purpose,
-        seed: seed,
-        diceValues: getDiceValues(newDice)
-      };
+      const historyEntry = createRollRecord(anchor, sessionId, currentTurn, rollNumber, purpose, seed, newDice);
 
       setRollHistory(prev => [...prev, historyEntry]);
       setDice(newDice);
@@ -200,6 +261,11 @@ function YahtzeeGame() {
       return updated;
     });
 
+    // Record the category on the turn's final roll so the server can check its score
+    setRollHistory(prev => prev.map((roll, index) => (
+      index === prev.length - 1 ? { ...roll, category } : roll
+    )));
+
     // Check if game is complete
     const updatedScorecard = { ...scorecard, [category]: score };
     if (isGameComplete(updatedScorecard)) {
@@ -210,8 +276,6 @@ function YahtzeeGame() {
       setCurrentTurn(prev => prev + 1);
       setDice(clearAllHolds(resetDice()));
       setRollsRemaining(3);
-      // Reset trace state for new turn
-      setTraceState(createInitialTraceState());
     }
   }, [rollsRemaining, dice, scorecard]);
 
@@ -246,11 +310,11 @@ function YahtzeeGame() {
    * Start new game
    */
   const handleNewGame = () => {
+    clearResumableGame('yahtzee');
     setPhase('ready');
     setShowGameOver(false);
     setGameId(null);
     setAnchor(null);
-    setTraceState(createInitialTraceState());
     setRollHistory([]);
     setDice(resetDice());
     setRollsRemaining(3);
@@ -261,10 +325,10 @@ function YahtzeeGame() {
   };
 
   // Calculate elapsed time
-  const getElapsedSeconds = () => {
+  const getElapsedSeconds = useCallback(() => {
     if (!startTime) return 0;
     return Math.floor((Date.now() - startTime) / 1000);
-  };
+  }, [startTime]);
 
   const formatTime = (seconds) => {
     const m = Math.floor(seconds / 60);
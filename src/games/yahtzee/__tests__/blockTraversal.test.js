@@ -0,0 +1,185 @@
+/**
+ * Tests for Legacy Block Traversal Verification
+ * @module blockTraversal.test
+ */
+
+import {
+  isLegacyRollHistory,
+  buildVerificationTrail,
+  TRAIL_VERIFIED,
+  TRAIL_MISMATCH,
+  TRAIL_UNVERIFIABLE
+} from '../blockTraversal';
+import { generateSeedFromSource, calculateDieValue } from '../diceLogic';
+import { ergoClient } from '../../../core/ergoClient';
+
+// ============================================
+// TEST HELPERS
+// ============================================
+
+const GAME_ID = 'YAH-1700000000000-abcd';
+const ANCHOR_ID = 'a1'.repeat(32);
+const PARENT_ID = 'b2'.repeat(32);
+
+function jsonResponse(body, status = 200) {
+  return { ok: status >= 200 && status < 300, status, json: async () => body };
+}
+
+function explorerBlock(id, height, timestamp, txIds) {
+  return { block: { header: { id, height, timestamp }, blockTransactions: txIds.map(txId => ({ id: txId })) } };
+}
+
+/**
+ * Anchor block → tx-0 spends a box created by tx-parent in an older block
+ */
+function mockChain() {
+  const routes = {
+    [`/blocks/${ANCHOR_ID}`]: jsonResponse(explorerBlock(ANCHOR_ID, 1500000, 1700000000000, ['tx-0', 'tx-1', 'tx-2'])),
+    [`/blocks/${PARENT_ID}`]: jsonResponse(explorerBlock(PARENT_ID, 1499990, 1699990000000, ['tx-other', 'tx-parent'])),
+    '/transactions/tx-0': jsonResponse({ id: 'tx-0', blockId: ANCHOR_ID, inputs: [{ boxId: 'box-1' }] }),
+    '/transactions/tx-parent': jsonResponse({ id: 'tx-parent', blockId: PARENT_ID, inputs: [] }),
+    '/boxes/box-1': jsonResponse({ boxId: 'box-1', transactionId: 'tx-parent' })
+  };
+
+  global.fetch = jest.fn(async (url) => {
+    const path = Object.keys(routes).find(key => url.endsWith(key));
+    return path ? routes[path] : jsonResponse({}, 404);
+  });
+}
+
+/**
+ * Roll record as the traversal game wrote it (all dice rolled)
+ */
+function createRoll(turn, roll, source) {
+  const seed = generateSeedFromSource(source, GAME_ID, turn, roll);
+  return {
+    turn,
+    roll,
+    ...source,
+    seed,
+    diceValues: [0, 1, 2, 3, 4].map(i => calculateDieValue(seed, i))
+  };
+}
+
+const ANCHOR_ROLL = createRoll(1, 1, {
+  source: 'anchor',
+  blockHeight: 1500000,
+  blockHash: ANCHOR_ID,
+  txHash: 'tx-0',
+  timestamp: 1700000000000,
+  txIndex: 0,
+  traceDepth: 0
+});
+
+const TRACED_ROLL = createRoll(1, 2, {
+  source: 'trace',
+  blockHeight: 1499990,
+  blockHash: PARENT_ID,
+  txHash: 'tx-parent',
+  timestamp: 1699990000000,
+  txIndex: 1,
+  traceDepth: 1,
+  parentTxHash: 'tx-0'
+});
+
+const originalFetch = global.fetch;
+
+beforeEach(() => {
+  ergoClient.cache.clear();
+  mockChain();
+});
+
+afterEach(() => {
+  global.fetch = originalFetch;
+});
+
+// ============================================
+// LEGACY DETECTION
+// ============================================
+
+describe('isLegacyRollHistory', () => {
+  test('detects block traversal rolls', () => {
+    expect(isLegacyRollHistory([ANCHOR_ROLL])).toBe(true);
+  });
+
+  test('ignores secure session rolls', () => {
+    expect(isLegacyRollHistory([{ turn: 1, roll: 1, source: 'secure-rng' }])).toBe(false);
+    expect(isLegacyRollHistory(undefined)).toBe(false);
+  });
+});
+
+// ============================================
+// RE-TRACING
+// ============================================
+
+describe('buildVerificationTrail', () => {
+  test('re-traces anchor and traced rolls', async () => {
+    const trail = await buildVerificationTrail([ANCHOR_ROLL, TRACED_ROLL], GAME_ID);
+
+    expect(trail.verified).toBe(true);
+    expect(trail.totalRolls).toBe(2);
+    expect(trail.rolls.map(roll => roll.status)).toEqual([TRAIL_VERIFIED, TRAIL_VERIFIED]);
+  });
+
+  test('flags a traced roll that points at another block', async () => {
+    const forged = createRoll(1, 2, { ...TRACED_ROLL, blockHash: ANCHOR_ID, blockHeight: 1500000 });
+
+    const trail = await buildVerificationTrail([ANCHOR_ROLL, forged], GAME_ID);
+
+    expect(trail.verified).toBe(false);
+    expect(trail.rolls[1].status).toBe(TRAIL_MISMATCH);
+    expect(trail.rolls[1].reason).toContain('blockHeight, blockHash');
+  });
+
+  test('flags an anchor roll using the wrong transaction for its turn', async () => {
+    // Turn 2 should use the anchor's tx-1, not tx-0 again
+    const { seed, diceValues, ...source } = ANCHOR_ROLL;
+    const forged = createRoll(2, 1, { ...source, turn: 2 });
+
+    const trail = await buildVerificationTrail([forged], GAME_ID);
+
+    expect(trail.rolls[0].status).toBe(TRAIL_MISMATCH);
+    expect(trail.rolls[0].reason).toContain('txIndex, txHash');
+  });
+
+  test('flags dice that do not come from the seed', async () => {
+    const forged = { ...ANCHOR_ROLL, diceValues: [6, 6, 6, 6, 6] };
+
+    const trail = await buildVerificationTrail([forged], GAME_ID);
+
+    expect(trail.rolls[0]).toMatchObject({ status: TRAIL_MISMATCH, reason: 'Dice do not match the seed' });
+  });
+
+  test('flags a seed computed for another game', async () => {
+    const trail = await buildVerificationTrail([ANCHOR_ROLL], 'YAH-1-other');
+
+    expect(trail.rolls[0]).toMatchObject({ status: TRAIL_MISMATCH, reason: 'Seed does not match the roll source' });
+  });
+
+  test('only checks the block of a restart', async () => {
+    const restart = createRoll(1, 3, {
+      source: 'restart',
+      blockHeight: 1500000,
+      blockHash: ANCHOR_ID,
+      txHash: 'tx-1',
+      timestamp: 1700000123456,
+      txIndex: 1,
+      traceDepth: 0,
+      nowTimestamp: true
+    });
+
+    const trail = await buildVerificationTrail([ANCHOR_ROLL, TRACED_ROLL, restart], GAME_ID);
+
+    expect(trail.verified).toBe(true);
+    expect(trail.rolls[2].status).toBe(TRAIL_UNVERIFIABLE);
+  });
+
+  test('reports rolls it cannot re-trace without failing them', async () => {
+    global.fetch = jest.fn(async () => jsonResponse({}, 404));
+
+    const trail = await buildVerificationTrail([ANCHOR_ROLL], GAME_ID);
+
+    expect(trail.rolls[0].status).toBe(TRAIL_UNVERIFIABLE);
+    expect(trail.rolls[0].reason).toContain('Could not re-trace');
+  });
+});
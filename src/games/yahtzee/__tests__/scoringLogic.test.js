@@ -36,7 +36,7 @@ import {
   getRemainingTurns,
   UPPER_CATEGORIES,
   LOWER_CATEGORIES
-} from '../scoringLogic';
+} from '../../../core/games/yahtzee/scoringLogic';
 
 // ============================================
 // TEST HELPERS
@@ -1,261 +1,234 @@
 /**
- * Block Traversal Logic for Yahtzee
- * 
- * Traverses the Ergo blockchain transaction graph to get different block data
- * for each roll. Instead of fetching a new block on every roll (which could be
- * manipulated if player waits), we trace backwards through transaction inputs
- * to historical blocks.
- * 
- * TRAVERSAL PATTERN:
- * - Roll 1 of each turn: Use anchor block (fetched at game start)
- * - Roll 2: Trace tx[0] from anchor → find its input box → find parent block
- * - Roll 3: Continue tracing from roll 2's block
- * 
- * If traversal hits a dead end (coinbase/mining reward with no input), restart
- * with a fresh block + now() timestamp. Player can't predict when this happens.
+ * Block Traversal Verification for Legacy Yahtzee Games
+ *
+ * Yahtzee now rolls from the commit-reveal session (getSecureRandom with
+ * purpose turn-N-roll-K). Games played before that took each roll's seed
+ * from the Ergo transaction graph instead, and their roll history records
+ * the source of every roll. This module only re-traces those old games; it
+ * no longer produces rolls.
+ *
+ * TRAVERSAL PATTERN (as played):
+ * - Roll 1 of each turn: anchor block, tx[min(turn - 1, txCount - 1)]
+ * - Roll 2: trace the roll 1 tx → its first input box → the tx that created
+ *   the box → that tx's block
+ * - Roll 3: continue tracing from roll 2's tx
+ *
+ * If traversal hit a dead end (coinbase/mining reward with no input), the
+ * game restarted from a fresh block with a now() timestamp. Those rolls
+ * can't be reproduced; only their block and transaction are checked.
+ *
+ * Every roll's seed is generateSeedFromSource(source, gameId, turn, roll).
+ *
+ * Reads go through the shared Ergo client (src/core/ergoClient.js), which
+ * caches the blocks and transactions a trace revisits.
  */
 
-import axios from 'axios';
+import { ergoClient } from '../../core/ergoClient';
+import { generateSeedFromSource, calculateDieValue } from './diceLogic';
 
-const API_BASE = 'https://api.ergoplatform.com/api/v1';
-const MIN_TX_COUNT = 3;
+// Roll sources written by the traversal
+export const SOURCE_ANCHOR = 'anchor';
+export const SOURCE_TRACE = 'trace';
+export const SOURCE_RESTART = 'restart';
+
+// Per-roll results of buildVerificationTrail
+export const TRAIL_VERIFIED = 'verified';
+export const TRAIL_MISMATCH = 'mismatch';
+export const TRAIL_UNVERIFIABLE = 'unverifiable';
 
 /**
- * Initialize anchor block at game start
- * @returns {Promise<Object>} Anchor object with block data and tx list
+ * Full block with transactions
+ * @param {string} blockId - Block ID
+ * @returns {Promise<Object>} { header, blockTransactions }
+ * @throws {Error} If no endpoint knows the block
  */
-export async function initializeAnchor() {
-  try {
-    // Fetch recent blocks to find one with enough TXs
-    const blocksRes = await axios.get(`${API_BASE}/blocks?limit=10`);
-    const blocks = blocksRes.data.items;
-    
-    // Find first block with enough transactions
-    let blockSummary = blocks[0];
-    for (const block of blocks) {
-      if (block.transactionsCount >= MIN_TX_COUNT) {
-        blockSummary = block;
-        break;
-      }
-    }
-    
-    // Fetch full block details with transactions
-    const blockRes = await axios.get(`${API_BASE}/blocks/${blockSummary.id}`);
-    const blockData = blockRes.data.block; // API nests under .block
-    
-    const transactions = blockData.blockTransactions || [];
-    
-    if (transactions.length < MIN_TX_COUNT) {
-      throw new Error('Block has insufficient transactions for tracing');
-    }
-    
-    // Build txList with hash and index
-    const txList = transactions.map((tx, index) => ({
-      txHash: tx.id,
-      txIndex: index
-    }));
-    
-    return {
-      blockHeight: blockSummary.height,
-      blockHash: blockSummary.id,
-      timestamp: blockSummary.timestamp,
-      txList: txList,
-      txCount: transactions.length
-    };
-  } catch (error) {
-    console.error('Failed to initialize anchor:', error);
-    throw new Error(`Failed to fetch anchor block: ${error.message}`);
+async function fetchBlock(blockId) {
+  const block = await ergoClient.getBlock(blockId);
+  if (!block) {
+    throw new Error(`Block ${blockId} not found`);
   }
+  return block;
 }
 
 /**
- * Get roll source for a specific turn and roll
- * @param {Object} anchor - Anchor block data from initializeAnchor()
- * @param {Object} traceState - Current trace state (mutated during traversal)
- * @param {number} turnNumber - Current turn (1-13)
- * @param {number} rollNumber - Roll within turn (1-3)
- * @returns {Promise<Object>} Roll source with block data
+ * Check whether a roll history was produced by block traversal
+ * @param {Array} rollHistory - Roll records
+ * @returns {boolean}
  */
-export async function getSourceForRoll(anchor, traceState, turnNumber, rollNumber) {
-  // Roll 1 of any turn: use anchor block
-  if (rollNumber === 1) {
-    // Use different TX from anchor for each turn
-    const txIdx = Math.min(turnNumber - 1, anchor.txList.length - 1);
-    const txData = anchor.txList[txIdx];
-    
-    // Reset trace state for new turn
-    traceState.currentTxHash = txData.txHash;
-    traceState.currentBlockHeight = anchor.blockHeight;
-    traceState.traceDepth = 0;
-    
-    const source = {
-      blockHeight: anchor.blockHeight,
-      blockHash: anchor.blockHash,
-      txHash: txData.txHash,
-      timestamp: anchor.timestamp,
-      txIndex: txData.txIndex,
-      source: 'anchor',
-      traceDepth: 0,
-      nowTimestamp: false
-    };
-    
-    traceState.lastSource = source;
-    return source;
-  }
-  
-  // Roll 2 or 3: trace backwards through transaction graph
-  try {
-    const traced = await traceToNextBlock(traceState.currentTxHash, traceState);
-    
-    if (traced) {
-      // Successful trace - update state for next potential trace
-      traceState.currentTxHash = traced.txHash;
-      traceState.currentBlockHeight = traced.blockHeight;
-      traceState.traceDepth++;
-      traceState.lastSource = traced;
-      return traced;
-    }
-  } catch (error) {
-    console.error('Trace failed:', error.message);
-  }
-  
-  // Dead end or error - restart with fresh block
-  return await handleDeadEnd(traceState);
+export function isLegacyRollHistory(rollHistory) {
+  return Array.isArray(rollHistory) &&
+    rollHistory.some(roll => [SOURCE_ANCHOR, SOURCE_TRACE, SOURCE_RESTART].includes(roll.source));
 }
 
 /**
  * Trace backwards through transaction inputs to find parent block
- * 
+ *
  * Flow: currentTx → input box → parent tx that created box → parent's block
- * 
+ *
  * @param {string} currentTxHash - Transaction to trace from
- * @param {Object} traceState - Current trace state
+ * @param {number} traceDepth - Depth of currentTxHash in the trace
  * @returns {Promise<Object|null>} Roll source or null if dead end
  */
-export async function traceToNextBlock(currentTxHash, traceState) {
+export async function traceToNextBlock(currentTxHash, traceDepth = 0) {
   // Step 1: Fetch the current transaction
-  const txRes = await axios.get(`${API_BASE}/transactions/${currentTxHash}`);
-  const tx = txRes.data;
-  
+  const tx = await ergoClient.getTransaction(currentTxHash);
+  if (!tx) {
+    throw new Error(`Transaction ${currentTxHash} not found`);
+  }
+
   // Check if this is a coinbase (no inputs = mining reward)
   if (!tx.inputs || tx.inputs.length === 0) {
-    console.log('Dead end: coinbase transaction (no inputs)');
     return null;
   }
-  
+
   // Step 2: Get the first input box ID
   const inputBoxId = tx.inputs[0].boxId;
-  
+
   // Step 3: Fetch the input box to find what TX created it
-  const boxRes = await axios.get(`${API_BASE}/boxes/${inputBoxId}`);
-  const box = boxRes.data;
-  
+  const box = await ergoClient.getBox(inputBoxId);
+
   // The box has transactionId = the TX that created this box
-  const parentTxId = box.transactionId;
+  const parentTxId = box?.transactionId;
   if (!parentTxId) {
-    console.log('Dead end: box has no parent transaction');
     return null;
   }
-  
+
   // Step 4: Fetch parent transaction to get its block info
-  const parentTxRes = await axios.get(`${API_BASE}/transactions/${parentTxId}`);
-  const parentTx = parentTxRes.data;
-  
+  const parentTx = await ergoClient.getTransaction(parentTxId);
+
   // Parent TX should have blockId field
-  const parentBlockId = parentTx.blockId;
+  const parentBlockId = parentTx?.blockId;
   if (!parentBlockId) {
-    console.log('Dead end: parent transaction has no blockId');
     return null;
   }
-  
+
   // Step 5: Fetch the parent block for full details
-  const blockRes = await axios.get(`${API_BASE}/blocks/${parentBlockId}`);
-  const blockData = blockRes.data.block; // API nests under .block
-  
+  const blockData = await fetchBlock(parentBlockId);
+
   // Find TX index within the block
   const txs = blockData.blockTransactions || [];
   const txIndex = txs.findIndex(t => t.id === parentTxId);
-  
+
   return {
     blockHeight: blockData.header.height,
     blockHash: blockData.header.id,
     txHash: parentTxId,
     timestamp: blockData.header.timestamp,
     txIndex: Math.max(0, txIndex),
-    source: 'trace',
-    traceDepth: traceState.traceDepth + 1,
+    source: SOURCE_TRACE,
+    traceDepth: traceDepth + 1,
     parentTxHash: currentTxHash,
     nowTimestamp: false
   };
 }
 
 /**
- * Handle dead end by fetching fresh block with now() timestamp
- * This prevents manipulation since player can't predict coinbase encounters
- * @param {Object} traceState - Current trace state (mutated)
- * @returns {Promise<Object>} Fresh roll source
+ * Names of the fields where a recorded source differs from the re-traced one
  */
-async function handleDeadEnd(traceState) {
-  console.log('Handling dead end - fetching fresh block with now() timestamp');
-  
-  // Fetch current block
-  const blocksRes = await axios.get(`${API_BASE}/blocks?limit=1`);
-  const blockSummary = blocksRes.data.items[0];
-  
-  const blockRes = await axios.get(`${API_BASE}/blocks/${blockSummary.id}`);
-  const blockData = blockRes.data.block;
-  
-  // Use NOW timestamp, not block timestamp - this adds unpredictability
-  const nowTimestamp = Date.now();
-  
-  // Select a transaction from this block
-  const txs = blockData.blockTransactions || [];
-  const txIndex = Math.min(traceState.traceDepth, Math.max(0, txs.length - 1));
-  const tx = txs[txIndex] || txs[0];
-  
-  const source = {
-    blockHeight: blockData.header.height,
-    blockHash: blockData.header.id,
-    txHash: tx?.id || blockData.header.id,
-    timestamp: nowTimestamp,
-    txIndex: txIndex,
-    source: 'restart',
-    traceDepth: 0,
-    reason: 'dead_end_coinbase',
-    nowTimestamp: true
-  };
-  
-  // Update trace state - this becomes new anchor for subsequent traces
-  traceState.currentTxHash = source.txHash;
-  traceState.currentBlockHeight = source.blockHeight;
-  traceState.traceDepth = 0;
-  traceState.lastSource = source;
-  
-  return source;
+function diffSource(recorded, expected, fields) {
+  return fields.filter(field => recorded[field] !== expected[field]);
 }
 
 /**
- * Create initial trace state for a new game
- * @returns {Object} Fresh trace state
+ * Re-derive where a recorded roll's block data came from
+ * @param {Object} roll - Recorded roll source
+ * @param {Object|null} previous - Previous roll of the same turn
+ * @returns {Promise<{status: string, reason?: string}>}
  */
-export function createInitialTraceState() {
-  return {
-    currentTxHash: null,
-    currentBlockHeight: null,
-    traceDepth: 0,
-    lastSource: null
-  };
+async function retraceSource(roll, previous) {
+  if (roll.source === SOURCE_ANCHOR) {
+    const block = await fetchBlock(roll.blockHash);
+    const txs = block.blockTransactions || [];
+    const txIndex = Math.min(roll.turn - 1, txs.length - 1);
+    const mismatched = diffSource(roll, {
+      blockHeight: block.header.height,
+      timestamp: block.header.timestamp,
+      txIndex,
+      txHash: txs[txIndex]?.id
+    }, ['blockHeight', 'timestamp', 'txIndex', 'txHash']);
+
+    return mismatched.length === 0
+      ? { status: TRAIL_VERIFIED }
+      : { status: TRAIL_MISMATCH, reason: `Anchor ${mismatched.join(', ')} differ from block ${roll.blockHash}` };
+  }
+
+  if (roll.source === SOURCE_TRACE) {
+    if (!previous || roll.parentTxHash !== previous.txHash) {
+      return { status: TRAIL_MISMATCH, reason: 'Trace does not start from the previous roll of the turn' };
+    }
+
+    const traced = await traceToNextBlock(roll.parentTxHash, previous.traceDepth || 0);
+    if (!traced) {
+      return { status: TRAIL_MISMATCH, reason: `Transaction ${roll.parentTxHash} is a dead end, not a trace` };
+    }
+
+    const mismatched = diffSource(roll, traced, ['blockHeight', 'blockHash', 'txHash', 'timestamp', 'txIndex']);
+    return mismatched.length === 0
+      ? { status: TRAIL_VERIFIED }
+      : { status: TRAIL_MISMATCH, reason: `Re-traced ${mismatched.join(', ')} differ` };
+  }
+
+  if (roll.source === SOURCE_RESTART) {
+    const block = await fetchBlock(roll.blockHash);
+    const txs = block.blockTransactions || [];
+    const txHash = txs[roll.txIndex]?.id || txs[0]?.id || block.header.id;
+
+    if (block.header.height !== roll.blockHeight || txHash !== roll.txHash) {
+      return { status: TRAIL_MISMATCH, reason: `Restart transaction is not in block ${roll.blockHash}` };
+    }
+    return { status: TRAIL_UNVERIFIABLE, reason: 'Restarted after a dead end with the wall-clock timestamp; only the block is checked' };
+  }
+
+  return { status: TRAIL_UNVERIFIABLE, reason: `Not a block traversal roll (${roll.source || 'no source'})` };
 }
 
 /**
- * Build verification trail for a completed game
- * @param {Array} rollHistory - Array of all roll sources used
- * @returns {Object} Verification data for blockchain proof
+ * Check a roll's seed and dice against its source
+ * Held dice weren't recorded, so a die may also keep the previous value.
+ * @returns {string|null} Mismatch reason, or null
  */
-export function buildVerificationTrail(rollHistory) {
-  return {
-    totalRolls: rollHistory.length,
-    rolls: rollHistory.map((source, idx) => ({
+function checkSeedAndDice(roll, previous, gameId) {
+  const seed = generateSeedFromSource(roll, gameId, roll.turn, roll.roll);
+  if (seed !== roll.seed) {
+    return 'Seed does not match the roll source';
+  }
+
+  const mismatch = (roll.diceValues || []).some((value, i) => (
+    value !== calculateDieValue(seed, i) && value !== previous?.diceValues?.[i]
+  ));
+  return mismatch ? 'Dice do not match the seed' : null;
+}
+
+/**
+ * Re-trace a completed legacy game
+ * Each roll is re-derived from the chain in order: anchor rolls from the
+ * anchor block, traced rolls by following the previous roll's transaction
+ * again. Same chain, same result, so any edited source, seed or die shows up
+ * as a mismatch.
+ * @param {Array} rollHistory - Roll records ({turn, roll, source, ...block data, seed, diceValues})
+ * @param {string} gameId - Game ID mixed into every seed
+ * @returns {Promise<Object>} { totalRolls, verified (no roll mismatched), rolls: [...record, status, reason] }
+ */
+export async function buildVerificationTrail(rollHistory, gameId) {
+  const rolls = [];
+
+  for (let idx = 0; idx < rollHistory.length; idx++) {
+    const source = rollHistory[idx];
+    const previous = idx > 0 && rollHistory[idx - 1].turn === source.turn ? rollHistory[idx - 1] : null;
+
+    let result;
+    try {
+      result = await retraceSource(source, previous);
+    } catch (error) {
+      result = { status: TRAIL_UNVERIFIABLE, reason: `Could not re-trace: ${error.message}` };
+    }
+
+    if (result.status !== TRAIL_MISMATCH && source.seed) {
+      const reason = checkSeedAndDice(source, previous, gameId);
+      if (reason) result = { status: TRAIL_MISMATCH, reason };
+    }
+
+    rolls.push({
       rollIndex: idx,
       turn: source.turn,
       roll: source.roll,
@@ -269,15 +242,21 @@ export function buildVerificationTrail(rollHistory) {
       parentTxHash: source.parentTxHash || null,
       nowTimestamp: source.nowTimestamp || false,
       seed: source.seed,
-      diceValues: source.diceValues
-    }))
+      diceValues: source.diceValues,
+      status: result.status,
+      reason: result.reason || null
+    });
+  }
+
+  return {
+    totalRolls: rollHistory.length,
+    verified: rolls.every(roll => roll.status !== TRAIL_MISMATCH),
+    rolls
   };
 }
 
 export default {
-  initializeAnchor,
-  getSourceForRoll,
+  isLegacyRollHistory,
   traceToNextBlock,
-  createInitialTraceState,
   buildVerificationTrail
 };
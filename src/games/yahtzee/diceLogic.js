@@ -4,6 +4,9 @@
  */
 
 import CryptoJS from 'crypto-js';
+import { calculateDieValue } from '../../core/dice';
+
+export { calculateDieValue };
 
 /**
  * Generate a deterministic seed from blockchain roll source data
@@ -27,18 +30,6 @@ export function generateSeedFromSource(rollSource, gameId, turnNumber, rollNumbe
   return CryptoJS.SHA256(seedInput).toString();
 }
 
-/**
- * Calculate a single die value from seed and die index
- * @param {string} seed - SHA256 seed string
- * @param {number} dieIndex - Die index (0-4)
- * @returns {number} Die value (1-6)
- */
-export function calculateDieValue(seed, dieIndex) {
-  const dieHash = CryptoJS.SHA256(seed + dieIndex.toString()).toString();
-  const numericValue = parseInt(dieHash.slice(0, 8), 16);
-  return (numericValue % 6) + 1;
-}
-
 /**
  * Roll all non-held dice using blockchain seed
  * @param {Array} dice - Current dice array
@@ -93,11 +93,14 @@
  * It may require additional build tools on some systems.
  */
 
+/* global BigInt */
+
 // ===== Dependencies ===== //
 
 // dotenv: Loads environment variables from .env.local file
 // This keeps sensitive data (mnemonic) out of code
 import 'dotenv/config';
+import { getErgoExplorerUrl, getErgoNodeUrl } from '../core/beacons/index.js';
 
 // ergo-lib-wasm-nodejs: Core Ergo cryptography library
 // This is imported dynamically because it's a WASM module
@@ -119,8 +122,9 @@ let ergolib = null;
 //    - Required because Explorer API returns headers in wrong format
 //    - Using public node; replace with your own for production
 
-const ERGO_EXPLORER = 'https://api.ergoplatform.com/api/v1';
-const ERGO_NODE = 'http://213.239.193.208:9053';
+// Shared with the randomness beacons; ERGO_EXPLORER_URL / ERGO_NODE_URL override
+const ERGO_EXPLORER = getErgoExplorerUrl();
+const ERGO_NODE = getErgoNodeUrl();
 
 
 // ===== Constants ===== //
@@ -1034,6 +1038,111 @@ export async function postScoresBatch(scores) {
 }
 
 
+/**
+ * Post a seed batch Merkle root to the blockchain
+ * 
+ * Publishes the root before any of the batch's secrets is assigned, so
+ * anyone can check later that a session secret came from a batch fixed in
+ * advance (see src/core/merkle.js, lib/seed-batches.js).
+ * 
+ * ===== Register Layout ===== //
+ * 
+ *   R4: "seed-batch" (Coll[Byte], UTF-8)
+ *   R5: batch ID (Coll[Byte], UTF-8)
+ *   R6: Merkle root (Coll[Byte], UTF-8 hex)
+ *   R7: batch size (Long)
+ * 
+ * Cost: ~0.0021 ERG (0.001 locked + 0.0011 fee)
+ * 
+ * @param {Object} batch - { batchId, merkleRoot, size }
+ * @returns {Promise<string>} Transaction ID
+ */
+export async function postSeedBatchRoot(batch) {
+  try {
+    const { address, secretKey, ergolib: lib } = await initServerWallet();
+    
+    const [currentHeight, utxos] = await Promise.all([
+      getCurrentHeight(),
+      getUtxos(address)
+    ]);
+    
+    if (utxos.length === 0) {
+      throw new Error('Server wallet has no UTXOs. Please fund it with ERG.');
+    }
+    
+    const totalInput = utxos.reduce((sum, box) => sum + BigInt(box.value), 0n);
+    const requiredAmount = MIN_BOX_VALUE + MIN_FEE;
+    
+    if (totalInput < requiredAmount) {
+      throw new Error(
+        `Insufficient funds for seed batch root. ` +
+        `Have: ${totalInput} nanoERG, need: ${requiredAmount} nanoERG`
+      );
+    }
+    
+    const recipientAddr = lib.Address.from_base58(getGameAddress());
+    const changeAddress = lib.Address.from_base58(address);
+    
+    const inputBoxesErgo = lib.ErgoBoxes.empty();
+    for (const box of utxos) {
+      inputBoxesErgo.add(lib.ErgoBox.from_json(JSON.stringify(box)));
+    }
+    
+    const builder = new lib.ErgoBoxCandidateBuilder(
+      lib.BoxValue.from_i64(lib.I64.from_str(MIN_BOX_VALUE.toString())),
+      lib.Contract.pay_to_address(recipientAddr),
+      currentHeight
+    );
+    
+    builder.set_register_value(
+      lib.NonMandatoryRegisterId.R4,
+      lib.Constant.from_byte_array(Array.from(Buffer.from('seed-batch', 'utf-8')))
+    );
+    builder.set_register_value(
+      lib.NonMandatoryRegisterId.R5,
+      lib.Constant.from_byte_array(Array.from(Buffer.from(batch.batchId, 'utf-8')))
+    );
+    builder.set_register_value(
+      lib.NonMandatoryRegisterId.R6,
+      lib.Constant.from_byte_array(Array.from(Buffer.from(batch.merkleRoot, 'utf-8')))
+    );
+    builder.set_register_value(
+      lib.NonMandatoryRegisterId.R7,
+      lib.Constant.from_i64(lib.I64.from_str(batch.size.toString()))
+    );
+    
+    const outputCandidates = new lib.ErgoBoxCandidates(builder.build());
+    
+    const boxSelector = new lib.SimpleBoxSelector();
+    const selection = boxSelector.select(
+      inputBoxesErgo,
+      lib.BoxValue.from_i64(lib.I64.from_str(requiredAmount.toString())),
+      new lib.Tokens()
+    );
+    
+    const txBuilder = lib.TxBuilder.new(
+      selection,
+      outputCandidates,
+      currentHeight,
+      lib.BoxValue.from_i64(lib.I64.from_str(MIN_FEE.toString())),
+      changeAddress
+    );
+    
+    const unsignedTx = JSON.parse(txBuilder.build().to_json());
+    const signedTx = await signTransaction(lib, secretKey, unsignedTx, utxos);
+    const result = await submitTransaction(signedTx);
+    
+    console.log(`✓ Seed batch root posted to chain: ${result.id}`);
+    console.log(`  Batch: ${batch.batchId} (${batch.size} secrets)`);
+    
+    return result.id;
+    
+  } catch (error) {
+    console.error('✗ Failed to post seed batch root:', error.message);
+    throw error;
+  }
+}
+
 // ===== Module Exports ===== //
 //
 // Default export for convenient importing:
@@ -1057,5 +1166,6 @@ export default {
   // Transaction operations
   submitTransaction,
   postScoreToChain,
-  postScoresBatch
+  postScoresBatch,
+  postSeedBatchRoot
 };
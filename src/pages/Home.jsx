@@ -40,6 +40,36 @@ function Home() {
             <div style={styles.playBadge}>Play Now →</div>
           </Link>
 
+          {/* FreeCell Card */}
+          <Link to="/freecell" style={styles.gameCard}>
+            <div style={styles.gameIcon}>♣</div>
+            <h3 style={styles.gameTitle}>FreeCell</h3>
+            <p style={styles.gameTagline}>32,000 classic deals</p>
+            <p style={styles.gameDesc}>
+              Every card face-up, four free cells to work with. Ergo block data picks one of the classic Microsoft deals—look up your deal number and play it anywhere.
+            </p>
+            <div style={styles.gameStats}>
+              <span>👤 Solo</span>
+              <span>~10 min</span>
+            </div>
+            <div style={styles.playBadge}>Play Now →</div>
+          </Link>
+
+          {/* Spider Card */}
+          <Link to="/spider" style={styles.gameCard}>
+            <div style={styles.gameIcon}>♠</div>
+            <h3 style={styles.gameTitle}>Spider</h3>
+            <p style={styles.gameTagline}>Two decks, one, two or four suits</p>
+            <p style={styles.gameDesc}>
+              Build eight King-to-Ace runs from a 104-card double deck. The whole deck, stock included, is shuffled from blockchain randomness before your first move.
+            </p>
+            <div style={styles.gameStats}>
+              <span>👤 Solo</span>
+              <span>~15 min</span>
+            </div>
+            <div style={styles.playBadge}>Play Now →</div>
+          </Link>
+
           {/* Blackjack Card */}
           <Link to="/blackjack" style={styles.gameCard}>
             <div style={styles.gameIcon}>♥</div>
@@ -27,6 +27,18 @@ function LeaderboardPage() {
         >
           ♠️ Solitaire
         </button>
+        <button
+          onClick={() => setActiveGame('freecell')}
+          style={activeGame === 'freecell' ? styles.tabActive : styles.tab}
+        >
+          ♣️ FreeCell
+        </button>
+        <button
+          onClick={() => setActiveGame('spider')}
+          style={activeGame === 'spider' ? styles.tabActive : styles.tab}
+        >
+          🕷️ Spider
+        </button>
         <button
           onClick={() => setActiveGame('blackjack')}
           style={activeGame === 'blackjack' ? styles.tabActive : styles.tab}
@@ -59,8 +71,8 @@ function LeaderboardPage() {
         </button>
       </div>
 
-      {/* Leaderboard */}
-      <Leaderboard game={activeGame} />
+      {/* Leaderboard (remounted per game so the rule set picker starts at that game's default) */}
+      <Leaderboard key={activeGame} game={activeGame} />
 
       {/* Scoring Explanation */}
       <section style={styles.scoringSection}>
@@ -108,6 +120,83 @@ function LeaderboardPage() {
           </div>
         )}
 
+        {activeGame === 'freecell' && (
+          <div style={styles.scoringContent}>
+            <div style={styles.rankingBox}>
+              <h3 style={styles.rankingTitle}>Ranking Order</h3>
+              <div style={styles.rankingList}>
+                <div style={styles.rankingItem}>
+                  <span style={styles.rankNum}>1st</span>
+                  <span style={styles.rankLabel}>Cards to Foundation</span>
+                  <span style={styles.rankDesc}>More cards = higher rank (max 52)</span>
+                </div>
+                <div style={styles.rankingItem}>
+                  <span style={styles.rankNum}>2nd</span>
+                  <span style={styles.rankLabel}>Time</span>
+                  <span style={styles.rankDesc}>Faster completion = higher rank</span>
+                </div>
+                <div style={styles.rankingItem}>
+                  <span style={styles.rankNum}>3rd</span>
+                  <span style={styles.rankLabel}>Moves</span>
+                  <span style={styles.rankDesc}>Fewer moves = higher rank</span>
+                </div>
+              </div>
+            </div>
+
+            <div style={styles.infoGrid}>
+              <div style={styles.infoCard}>
+                <h4 style={styles.infoTitle}>🔢 Numbered Deals</h4>
+                <p style={styles.infoText}>
+                  Block data picks one of the 32,000 classic Microsoft deals. Every deal number
+                  is shown on the verification page, so you can replay it in any FreeCell program.
+                </p>
+              </div>
+              <div style={styles.infoCard}>
+                <h4 style={styles.infoTitle}>🔁 Replayed Moves</h4>
+                <p style={styles.infoText}>
+                  The server replays your full move list against the deal before a score is ranked.
+                </p>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {activeGame === 'spider' && (
+          <div style={styles.scoringContent}>
+            <div style={styles.rankingBox}>
+              <h3 style={styles.rankingTitle}>Ranking Order</h3>
+              <div style={styles.rankingList}>
+                <div style={styles.rankingItem}>
+                  <span style={styles.rankNum}>1st</span>
+                  <span style={styles.rankLabel}>Score</span>
+                  <span style={styles.rankDesc}>500 to start, -1 per move, +100 per completed run</span>
+                </div>
+                <div style={styles.rankingItem}>
+                  <span style={styles.rankNum}>2nd</span>
+                  <span style={styles.rankLabel}>Time</span>
+                  <span style={styles.rankDesc}>Faster completion = higher rank</span>
+                </div>
+              </div>
+            </div>
+
+            <div style={styles.infoGrid}>
+              <div style={styles.infoCard}>
+                <h4 style={styles.infoTitle}>🕷️ One Board per Suit Count</h4>
+                <p style={styles.infoText}>
+                  1-suit, 2-suit and 4-suit games are ranked separately. Pick the board above the table.
+                </p>
+              </div>
+              <div style={styles.infoCard}>
+                <h4 style={styles.infoTitle}>🎯 Perfect Game</h4>
+                <p style={styles.infoText}>
+                  All 8 runs completed in as few moves as possible. Unfinished games still score
+                  for the runs they completed.
+                </p>
+              </div>
+            </div>
+          </div>
+        )}
+
         {activeGame === 'blackjack' && (
           <div style={styles.scoringContent}>
             <div style={styles.rankingBox}>
@@ -469,6 +558,8 @@ function LeaderboardPage() {
         <h3 style={styles.ctaTitle}>Ready to compete?</h3>
         <div style={styles.ctaButtons}>
           <Link to="/solitaire" style={styles.primaryBtn}>Play Solitaire</Link>
+          <Link to="/freecell" style={styles.primaryBtn}>Play FreeCell</Link>
+          <Link to="/spider" style={styles.primaryBtn}>Play Spider</Link>
           <Link to="/blackjack" style={styles.primaryBtn}>Play Blackjack</Link>
           <Link to="/yahtzee" style={styles.primaryBtn}>Play Yahtzee</Link>
           <Link to="/2048" style={styles.primaryBtn}>Play 2048</Link>
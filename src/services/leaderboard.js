@@ -28,14 +28,25 @@ export async function submitScore(scoreData) {
       blockHash: scoreData.blockHash,
       txHash: scoreData.txHash,
       blockTimestamp: scoreData.blockTimestamp,
+      txIndex: scoreData.txIndex,
+      seed: scoreData.seed,
+      rngVersion: scoreData.rngVersion,
+      sessionId: scoreData.sessionId,
       // Game-specific fields
-      moveHistory: scoreData.moveHistory,      // 2048
+      moveHistory: scoreData.moveHistory,      // 2048, Solitaire, FreeCell, Spider
+      gameOptions: scoreData.gameOptions,      // Solitaire
+      balance: scoreData.balance,              // Solitaire (Vegas)
+      dealNumber: scoreData.dealNumber,        // FreeCell
+      suits: scoreData.suits,                  // Spider
       highestTile: scoreData.highestTile,      // 2048
-      rollHistory: scoreData.rollHistory,      // Yahtzee
+      rollHistory: scoreData.rollHistory,      // Yahtzee/Backgammon
       roundHistory: scoreData.roundHistory,    // Blackjack
+      reshuffleSeeds: scoreData.reshuffleSeeds, // Blackjack
       winType: scoreData.winType,              // Backgammon
       difficulty: scoreData.difficulty,        // Backgammon/Garbage
-      cubeValue: scoreData.cubeValue           // Backgammon
+      cubeValue: scoreData.cubeValue,          // Backgammon
+      rounds: scoreData.rounds,                // Garbage
+      turnHistory: scoreData.turnHistory       // Garbage
     })
   });
 
@@ -0,0 +1,23 @@
+-- =====================================================
+-- RNG Version Column for LeaderBoard
+-- =====================================================
+-- Records which shuffle algorithm dealt each game so
+-- verification can replay legacy (v1) and SHA-256 (v2)
+-- games with the matching generator
+-- =====================================================
+
+ALTER TABLE "LeaderBoard"
+  ADD COLUMN IF NOT EXISTS rng_version INTEGER;
+
+-- Rows submitted before this column existed were dealt with v1
+UPDATE "LeaderBoard"
+  SET rng_version = 1
+  WHERE rng_version IS NULL;
+
+ALTER TABLE "LeaderBoard"
+  ALTER COLUMN rng_version SET DEFAULT 1;
+
+-- =====================================================
+-- Comments for documentation
+-- =====================================================
+COMMENT ON COLUMN "LeaderBoard".rng_version IS 'Shuffle RNG version: 1 = legacy LCG, 2 = SHA-256 counter mode.';
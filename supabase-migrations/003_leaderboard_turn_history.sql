@@ -0,0 +1,15 @@
+-- =====================================================
+-- Turn History Column for LeaderBoard
+-- =====================================================
+-- Stores the Garbage turn transcript (player and AI turns:
+-- draw source, placements, card that ended the turn) so
+-- the game can be replayed from the dealt deck
+-- =====================================================
+
+ALTER TABLE "LeaderBoard"
+  ADD COLUMN IF NOT EXISTS turn_history JSONB;
+
+-- =====================================================
+-- Comments for documentation
+-- =====================================================
+COMMENT ON COLUMN "LeaderBoard".turn_history IS 'Garbage turn transcript: [{ by, source, placements: [{ card, position }], endCard }].';
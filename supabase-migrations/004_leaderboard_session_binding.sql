@@ -0,0 +1,20 @@
+-- =====================================================
+-- Session Binding for LeaderBoard
+-- =====================================================
+-- Links each leaderboard row to the commit-reveal session
+-- (game_sessions) its randomness came from. The unique
+-- index means one dealt game can back at most one score.
+-- =====================================================
+
+ALTER TABLE "LeaderBoard"
+  ADD COLUMN IF NOT EXISTS session_id UUID REFERENCES game_sessions(session_id);
+
+-- One leaderboard row per session (rows from before binding stay NULL)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_leaderboard_session_id
+  ON "LeaderBoard"(session_id)
+  WHERE session_id IS NOT NULL;
+
+-- =====================================================
+-- Comments for documentation
+-- =====================================================
+COMMENT ON COLUMN "LeaderBoard".session_id IS 'Commit-reveal session the score was played in (required for backgammon, blackjack, solitaire, yahtzee, garbage).';
@@ -0,0 +1,52 @@
+-- =====================================================
+-- Move Server Secrets Out of game_sessions
+-- =====================================================
+-- 001 let anyone SELECT/UPDATE game_sessions, so a player
+-- could read server_secret mid-game and defeat the
+-- commitment. Secrets now live in game_session_secrets,
+-- which has RLS on and no policies: only the service key
+-- (which bypasses RLS) can reach it, via the API routes.
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS game_session_secrets (
+  session_id UUID PRIMARY KEY REFERENCES game_sessions(session_id) ON DELETE CASCADE,
+  server_secret TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Copy existing secrets, then drop the public column
+-- (guarded so the migration can be re-run)
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_schema = 'public'
+      AND table_name = 'game_sessions'
+      AND column_name = 'server_secret'
+  ) THEN
+    INSERT INTO game_session_secrets (session_id, server_secret)
+      SELECT session_id, server_secret FROM game_sessions
+      ON CONFLICT (session_id) DO NOTHING;
+
+    ALTER TABLE game_sessions DROP COLUMN server_secret;
+  END IF;
+END $$;
+
+-- =====================================================
+-- Row Level Security (RLS)
+-- =====================================================
+-- No policies on purpose: anon and authenticated get nothing
+ALTER TABLE game_session_secrets ENABLE ROW LEVEL SECURITY;
+REVOKE ALL ON game_session_secrets FROM anon, authenticated;
+
+-- Sessions are created, anchored and ended by the API routes
+-- (service key); players keep read access to the commitment
+DROP POLICY IF EXISTS "Allow public insert" ON game_sessions;
+DROP POLICY IF EXISTS "Allow public update" ON game_sessions;
+REVOKE INSERT, UPDATE, DELETE ON game_sessions FROM anon, authenticated;
+
+-- =====================================================
+-- Comments for documentation
+-- =====================================================
+COMMENT ON TABLE game_session_secrets IS 'Commit-reveal server secrets. Service key only; revealed to players by /api/game/end.';
+COMMENT ON COLUMN game_session_secrets.server_secret IS '64-char hex secret whose SHA256 is game_sessions.secret_hash.';
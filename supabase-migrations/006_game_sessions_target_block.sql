@@ -0,0 +1,17 @@
+-- =====================================================
+-- Future-Block Anchoring for Game Sessions
+-- =====================================================
+-- /api/game/start commits to a block height that has not
+-- been mined yet, alongside the secret hash. The session
+-- is anchored (block_hash, tx_hash, ...) by the server
+-- once that block exists, so clients can no longer pick
+-- the block their randomness is derived from.
+-- =====================================================
+
+ALTER TABLE game_sessions
+  ADD COLUMN IF NOT EXISTS target_block_height INTEGER;
+
+-- =====================================================
+-- Comments for documentation
+-- =====================================================
+COMMENT ON COLUMN game_sessions.target_block_height IS 'Block height committed at session start; block_height must equal it once anchored (NULL for sessions from before anchoring).';
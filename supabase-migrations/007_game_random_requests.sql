@@ -0,0 +1,46 @@
+-- =====================================================
+-- Random Request Ledger
+-- =====================================================
+-- Every value served by /api/game/random is recorded
+-- with a per-session nonce before it is returned. The
+-- ledger is revealed by /api/game/end, so a player can
+-- see that no roll or shuffle was drawn more than once.
+-- Rows are append-only; they go away with their session.
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS game_random_requests (
+  session_id UUID NOT NULL REFERENCES game_sessions(session_id) ON DELETE CASCADE,
+  nonce INTEGER NOT NULL CHECK (nonce > 0),
+  purpose TEXT NOT NULL,
+  random_value TEXT NOT NULL,
+  requested_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (session_id, nonce),
+  UNIQUE (session_id, purpose)
+);
+
+-- Append-only: entries can be added but never rewritten
+CREATE OR REPLACE FUNCTION reject_random_request_update()
+RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'game_random_requests is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS game_random_requests_append_only ON game_random_requests;
+CREATE TRIGGER game_random_requests_append_only
+  BEFORE UPDATE ON game_random_requests
+  FOR EACH ROW EXECUTE FUNCTION reject_random_request_update();
+
+-- =====================================================
+-- Row Level Security (RLS)
+-- =====================================================
+-- Values are derived from the unrevealed secret: service key only
+ALTER TABLE game_random_requests ENABLE ROW LEVEL SECURITY;
+REVOKE ALL ON game_random_requests FROM anon, authenticated;
+
+-- =====================================================
+-- Comments for documentation
+-- =====================================================
+COMMENT ON TABLE game_random_requests IS 'Append-only ledger of commit-reveal random values per session. Service key only; revealed by /api/game/end.';
+COMMENT ON COLUMN game_random_requests.nonce IS 'Position in the session ledger, starting at 1 with no gaps.';
+COMMENT ON COLUMN game_random_requests.purpose IS 'Purpose string in the game schema (src/core/purposes.js).';
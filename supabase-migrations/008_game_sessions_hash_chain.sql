@@ -0,0 +1,23 @@
+-- =====================================================
+-- Hash-Chain Session Mode
+-- =====================================================
+-- A hash-chain session commits to SHA256^chain_length of
+-- its secret (secret_hash) and reveals one link per round
+-- through /api/game/chain. chain_position is the last
+-- link served; commit-reveal sessions leave it at 0.
+-- =====================================================
+
+ALTER TABLE game_sessions
+  ADD COLUMN IF NOT EXISTS rng_mode TEXT NOT NULL DEFAULT 'commit-reveal'
+    CHECK (rng_mode IN ('commit-reveal', 'hash-chain')),
+  ADD COLUMN IF NOT EXISTS chain_length INTEGER
+    CHECK (chain_length IS NULL OR chain_length > 0),
+  ADD COLUMN IF NOT EXISTS chain_position INTEGER NOT NULL DEFAULT 0
+    CHECK (chain_position >= 0);
+
+-- =====================================================
+-- Comments for documentation
+-- =====================================================
+COMMENT ON COLUMN game_sessions.rng_mode IS 'commit-reveal (values from /api/game/random) or hash-chain (links from /api/game/chain).';
+COMMENT ON COLUMN game_sessions.chain_length IS 'Hash-chain sessions: number of links; secret_hash is SHA256 applied this many times to the secret.';
+COMMENT ON COLUMN game_sessions.chain_position IS 'Hash-chain sessions: index of the last link revealed.';
@@ -0,0 +1,17 @@
+-- =====================================================
+-- Player Client Seed
+-- =====================================================
+-- The player's own entropy, fixed at /api/game/start
+-- (before the anchor block is mined) and mixed into
+-- every random value the session derives. NULL for
+-- sessions started before client seeds existed.
+-- =====================================================
+
+ALTER TABLE game_sessions
+  ADD COLUMN IF NOT EXISTS client_seed TEXT
+    CHECK (client_seed IS NULL OR client_seed ~ '^[A-Za-z0-9_-]{1,64}$');
+
+-- =====================================================
+-- Comments for documentation
+-- =====================================================
+COMMENT ON COLUMN game_sessions.client_seed IS 'Player-supplied (or client-generated) seed bound into every derivation: SHA256(secret:blockHash:txHash:timestamp:txIndex:clientSeed:purpose).';
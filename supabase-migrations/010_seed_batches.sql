@@ -0,0 +1,68 @@
+-- =====================================================
+-- Pre-Published Seed Batches
+-- =====================================================
+-- Server secrets are generated in batches ahead of time.
+-- seed_batches holds each batch's Merkle root (public,
+-- optionally posted to Ergo); seed_batch_secrets holds
+-- the secrets and inclusion proofs (service key only).
+-- /api/game/start assigns secrets in leaf order and
+-- records which one each session got.
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS seed_batches (
+  batch_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  merkle_root TEXT NOT NULL,
+  size INTEGER NOT NULL CHECK (size > 0),
+  next_index INTEGER NOT NULL DEFAULT 0,
+  published_tx_id TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT valid_next_index CHECK (next_index >= 0 AND next_index <= size)
+);
+
+CREATE TABLE IF NOT EXISTS seed_batch_secrets (
+  batch_id UUID NOT NULL REFERENCES seed_batches(batch_id) ON DELETE CASCADE,
+  leaf_index INTEGER NOT NULL CHECK (leaf_index >= 0),
+  server_secret TEXT NOT NULL,
+  merkle_proof JSONB NOT NULL,
+  PRIMARY KEY (batch_id, leaf_index)
+);
+
+-- Oldest batch with secrets left is used first
+CREATE INDEX IF NOT EXISTS idx_seed_batches_created
+  ON seed_batches(created_at);
+
+ALTER TABLE game_sessions
+  ADD COLUMN IF NOT EXISTS seed_batch_id UUID REFERENCES seed_batches(batch_id),
+  ADD COLUMN IF NOT EXISTS seed_batch_index INTEGER;
+
+-- A secret is assigned to at most one session
+CREATE UNIQUE INDEX IF NOT EXISTS idx_game_sessions_seed_batch_leaf
+  ON game_sessions(seed_batch_id, seed_batch_index)
+  WHERE seed_batch_id IS NOT NULL;
+
+-- =====================================================
+-- Row Level Security (RLS)
+-- =====================================================
+-- Roots are public so anyone can compare them with reveals
+ALTER TABLE seed_batches ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Allow public read access" ON seed_batches;
+CREATE POLICY "Allow public read access"
+  ON seed_batches
+  FOR SELECT
+  USING (true);
+REVOKE INSERT, UPDATE, DELETE ON seed_batches FROM anon, authenticated;
+
+-- Unassigned secrets: service key only
+ALTER TABLE seed_batch_secrets ENABLE ROW LEVEL SECURITY;
+REVOKE ALL ON seed_batch_secrets FROM anon, authenticated;
+
+-- =====================================================
+-- Comments for documentation
+-- =====================================================
+COMMENT ON TABLE seed_batches IS 'Pre-generated secret batches. merkle_root commits to every secret hash before any is used.';
+COMMENT ON COLUMN seed_batches.next_index IS 'Next leaf to assign; secrets are handed out strictly in order.';
+COMMENT ON COLUMN seed_batches.published_tx_id IS 'Ergo transaction the root was posted in (NULL if not posted).';
+COMMENT ON TABLE seed_batch_secrets IS 'Batch secrets and their Merkle inclusion proofs. Service key only.';
+COMMENT ON COLUMN game_sessions.seed_batch_id IS 'Batch the session secret came from (NULL for sessions before batches).';
+COMMENT ON COLUMN game_sessions.seed_batch_index IS 'Leaf index of the session secret in its batch.';
@@ -0,0 +1,24 @@
+-- =====================================================
+-- Resumable Sessions
+-- =====================================================
+-- The client's latest snapshot of an in-progress game,
+-- saved through PUT /api/game/session/:id so the game
+-- can be picked up after a reload or on another device.
+-- The snapshot is player-supplied and never trusted for
+-- scoring: random values always come from the ledger
+-- (game_random_requests) and the server validators
+-- replay from the revealed secret.
+-- =====================================================
+
+ALTER TABLE game_sessions
+  ADD COLUMN IF NOT EXISTS resume_state JSONB,
+  ADD COLUMN IF NOT EXISTS resume_saved_at TIMESTAMPTZ;
+
+-- Writes stay service-key only (005 revoked anon/authenticated
+-- INSERT, UPDATE, DELETE on game_sessions).
+
+-- =====================================================
+-- Comments for documentation
+-- =====================================================
+COMMENT ON COLUMN game_sessions.resume_state IS 'Client snapshot of an in-progress game (opaque JSON, cleared when the session ends).';
+COMMENT ON COLUMN game_sessions.resume_saved_at IS 'When resume_state was last saved.';
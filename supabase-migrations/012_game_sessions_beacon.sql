@@ -0,0 +1,18 @@
+-- =====================================================
+-- Randomness Beacon
+-- =====================================================
+-- Which entropy source a session's target block (round)
+-- comes from, fixed at /api/game/start. The anchor is
+-- fetched from and verified against this beacon only.
+-- Existing sessions were all anchored to Ergo blocks
+-- read from the explorer.
+-- =====================================================
+
+ALTER TABLE game_sessions
+  ADD COLUMN IF NOT EXISTS beacon TEXT NOT NULL DEFAULT 'ergo-explorer'
+    CHECK (beacon IN ('ergo-explorer', 'ergo-node', 'drand', 'local-mock'));
+
+-- =====================================================
+-- Comments for documentation
+-- =====================================================
+COMMENT ON COLUMN game_sessions.beacon IS 'Randomness beacon the session is anchored to (src/core/beacons): ergo-explorer, ergo-node, drand or local-mock. block_height holds the drand round for drand sessions.';
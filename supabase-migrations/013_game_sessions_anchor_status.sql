@@ -0,0 +1,34 @@
+-- =====================================================
+-- Anchor Reorg Checks
+-- =====================================================
+-- Ergo blocks can be orphaned after a session is
+-- anchored to them. /api/cron/verify-anchors re-checks
+-- recently anchored sessions against their beacon:
+-- - unchecked: anchored, not yet final (checked again)
+-- - confirmed: still on the main chain and final
+-- - orphaned: another block is now at the anchor height
+--   (anchor_replaced_by); the game can't be verified
+--   against the main chain and is refused by the
+--   leaderboard
+-- =====================================================
+
+ALTER TABLE game_sessions
+  ADD COLUMN IF NOT EXISTS anchor_status TEXT NOT NULL DEFAULT 'unchecked'
+    CHECK (anchor_status IN ('unchecked', 'confirmed', 'orphaned')),
+  ADD COLUMN IF NOT EXISTS anchor_checked_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS anchor_replaced_by TEXT;
+
+-- The cron only looks at anchored sessions still being watched
+CREATE INDEX IF NOT EXISTS idx_game_sessions_anchor_unchecked
+  ON game_sessions (created_at)
+  WHERE anchor_status = 'unchecked' AND block_hash IS NOT NULL;
+
+-- Writes stay service-key only (005 revoked anon/authenticated
+-- INSERT, UPDATE, DELETE on game_sessions).
+
+-- =====================================================
+-- Comments for documentation
+-- =====================================================
+COMMENT ON COLUMN game_sessions.anchor_status IS 'Reorg check result for the anchor block: unchecked, confirmed or orphaned (set by /api/cron/verify-anchors).';
+COMMENT ON COLUMN game_sessions.anchor_checked_at IS 'When the anchor block was last re-checked.';
+COMMENT ON COLUMN game_sessions.anchor_replaced_by IS 'Block now at the anchor height, for orphaned anchors.';
@@ -0,0 +1,34 @@
+-- =====================================================
+-- Blackjack Table Rules
+-- =====================================================
+-- The player picks the table rules (decks, soft 17,
+-- surrender, doubling/splitting policy, payout,
+-- penetration) at /api/game/start. They are committed
+-- with the session and the validator replays every round
+-- under them (src/core/games/blackjack/tableRules.js).
+--
+-- Leaderboard rows record the ruleset ID so scores from
+-- different tables are ranked separately. Blackjack rows
+-- from before rules existed were all dealt at the default
+-- table.
+-- =====================================================
+
+ALTER TABLE game_sessions
+  ADD COLUMN IF NOT EXISTS table_rules JSONB;
+
+ALTER TABLE "LeaderBoard"
+  ADD COLUMN IF NOT EXISTS ruleset TEXT;
+
+UPDATE "LeaderBoard"
+  SET ruleset = '6D-S17-3:2-DAS-RSA-NS-SP4-PEN75'
+  WHERE game = 'blackjack' AND ruleset IS NULL;
+
+-- Leaderboard queries filter by game and ruleset, ordered by score
+CREATE INDEX IF NOT EXISTS idx_leaderboard_game_ruleset_score
+  ON "LeaderBoard"(game, ruleset, score DESC);
+
+-- =====================================================
+-- Comments for documentation
+-- =====================================================
+COMMENT ON COLUMN game_sessions.table_rules IS 'Blackjack table rules committed at session start (NULL = default table).';
+COMMENT ON COLUMN "LeaderBoard".ruleset IS 'Blackjack ruleset ID, e.g. 6D-S17-3:2-DAS-RSA-NS-SP4-PEN75 (NULL for other games).';
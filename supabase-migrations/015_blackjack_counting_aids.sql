@@ -0,0 +1,24 @@
+-- =====================================================
+-- Blackjack Counting Aids
+-- =====================================================
+-- Players can turn on a count overlay (Hi-Lo, KO,
+-- Omega II) and count-based strategy hints while they
+-- play. Leaderboard rows record whether any of them were
+-- on during the session so assisted scores can be told
+-- apart.
+--
+-- Rows from before the aids existed were played without
+-- them.
+-- =====================================================
+
+ALTER TABLE "LeaderBoard"
+  ADD COLUMN IF NOT EXISTS counting_aids BOOLEAN;
+
+UPDATE "LeaderBoard"
+  SET counting_aids = false
+  WHERE game = 'blackjack' AND counting_aids IS NULL;
+
+-- =====================================================
+-- Comments for documentation
+-- =====================================================
+COMMENT ON COLUMN "LeaderBoard".counting_aids IS 'Blackjack: count overlay or count-based hints were on during the session (NULL for other games).';
@@ -0,0 +1,25 @@
+-- =====================================================
+-- Solitaire Variants
+-- =====================================================
+-- Solitaire games are played under a variant: draw 1 or
+-- draw 3, standard / Vegas / Vegas cumulative scoring,
+-- and an unlimited, 3 or 1 pass limit on the stock
+-- (src/core/games/solitaire/variants.js). The options
+-- are part of the submission and the validator replays
+-- the move log under them.
+--
+-- Leaderboard rows record the variant ID in the ruleset
+-- column (shared with blackjack) so each variant is
+-- ranked separately. Solitaire rows from before variants
+-- existed were all draw 1 with unlimited passes, and
+-- Vegas scoring didn't affect the ranked score.
+-- =====================================================
+
+UPDATE "LeaderBoard"
+  SET ruleset = 'D1-STD-PU'
+  WHERE game = 'solitaire' AND ruleset IS NULL;
+
+-- =====================================================
+-- Comments for documentation
+-- =====================================================
+COMMENT ON COLUMN "LeaderBoard".ruleset IS 'Blackjack ruleset ID, e.g. 6D-S17-3:2-DAS-RSA-NS-SP4-PEN75, or Solitaire variant ID, e.g. D3-VEGAS-P3 (NULL for other games).';
@@ -0,0 +1,25 @@
+-- =====================================================
+-- FreeCell and Spider
+-- =====================================================
+-- Two more patience games dealt from a commit-reveal
+-- session ('deck-shuffle' purpose, like solitaire).
+-- FreeCell maps the seed to a classic Microsoft deal
+-- number (1-32000); Spider shuffles a 104-card double
+-- deck played as 1, 2 or 4 suits.
+--
+-- Spider leaderboard rows record the suit count in the
+-- ruleset column (e.g. 2-SUIT) so each is ranked
+-- separately. FreeCell has a single leaderboard.
+-- =====================================================
+
+ALTER TABLE game_sessions
+  DROP CONSTRAINT IF EXISTS game_sessions_game_type_check;
+
+ALTER TABLE game_sessions
+  ADD CONSTRAINT game_sessions_game_type_check
+    CHECK (game_type IN ('backgammon', 'blackjack', 'solitaire', 'yahtzee', 'garbage', '2048', 'freecell', 'spider'));
+
+-- =====================================================
+-- Comments for documentation
+-- =====================================================
+COMMENT ON COLUMN "LeaderBoard".ruleset IS 'Blackjack ruleset ID, e.g. 6D-S17-3:2-DAS-RSA-NS-SP4-PEN75, Solitaire variant ID, e.g. D3-VEGAS-P3, or Spider suit count, e.g. 2-SUIT (NULL for other games).';
@@ -0,0 +1,19 @@
+-- =====================================================
+-- RNG Version Column for game_sessions
+-- =====================================================
+-- Records which shuffle algorithm a session's games are
+-- dealt with, so validators and the offline verifier read
+-- it from the session (and the /api/game/end reveal)
+-- instead of trusting the client's submission.
+--
+-- Session games are dealt with v2 (SHA-256 counter mode);
+-- existing rows take the default.
+-- =====================================================
+
+ALTER TABLE game_sessions
+  ADD COLUMN IF NOT EXISTS rng_version INTEGER NOT NULL DEFAULT 2;
+
+-- =====================================================
+-- Comments for documentation
+-- =====================================================
+COMMENT ON COLUMN game_sessions.rng_version IS 'Shuffle RNG version the session deals with: 1 = legacy LCG, 2 = SHA-256 counter mode.';
@@ -0,0 +1,32 @@
+-- =====================================================
+-- Solitaire Vegas Balance
+-- =====================================================
+-- Vegas and Vegas cumulative games are ranked by their
+-- cash balance, which the validator recomputes from the
+-- move log. Leaderboard rows record it in balance.
+--
+-- A Vegas cumulative game starts from the balance of an
+-- earlier submitted game, named at /api/game/start and
+-- read server-side from its leaderboard row. The session
+-- records the balance it carried in and the session it
+-- came from; a balance carries into one game only.
+-- =====================================================
+
+ALTER TABLE game_sessions
+  ADD COLUMN IF NOT EXISTS starting_balance INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS carried_from_session_id UUID UNIQUE
+    REFERENCES game_sessions(session_id);
+
+ALTER TABLE "LeaderBoard"
+  ADD COLUMN IF NOT EXISTS balance INTEGER;
+
+-- Vegas leaderboards are ordered by balance
+CREATE INDEX IF NOT EXISTS idx_leaderboard_game_ruleset_balance
+  ON "LeaderBoard"(game, ruleset, balance DESC);
+
+-- =====================================================
+-- Comments for documentation
+-- =====================================================
+COMMENT ON COLUMN game_sessions.starting_balance IS 'Solitaire Vegas cumulative: balance carried in from carried_from_session_id (0 otherwise).';
+COMMENT ON COLUMN game_sessions.carried_from_session_id IS 'Solitaire Vegas cumulative: session whose leaderboard balance this session started from.';
+COMMENT ON COLUMN "LeaderBoard".balance IS 'Solitaire Vegas variants: cash balance at the end of the game, as replayed by the validator (NULL for other games).';
@@ -0,0 +1,17 @@
+-- =====================================================
+-- Solitaire Vegas Carried Balance Owner
+-- =====================================================
+-- A Vegas cumulative balance may only be carried forward
+-- by the player who earned it. /api/game/start checks the
+-- name against the earlier leaderboard row and records it
+-- on the new session; the game has to be submitted under
+-- the same name (see the Solitaire validator).
+-- =====================================================
+
+ALTER TABLE game_sessions
+  ADD COLUMN IF NOT EXISTS player_name TEXT;
+
+-- =====================================================
+-- Comments for documentation
+-- =====================================================
+COMMENT ON COLUMN game_sessions.player_name IS 'Solitaire Vegas cumulative: player who carried their balance in from carried_from_session_id (NULL otherwise).';
@@ -0,0 +1,21 @@
+-- =====================================================
+-- Solitaire Game Options
+-- =====================================================
+-- The player picks the Solitaire variant (draw count,
+-- scoring, stock passes) at /api/game/start. It is
+-- committed with the session, next to the Blackjack
+-- table rules, and the validator replays the move log
+-- under it (src/core/games/solitaire/variants.js) instead
+-- of the options the client submits with the score.
+--
+-- Solitaire sessions from before options were committed
+-- were dealt with the defaults.
+-- =====================================================
+
+ALTER TABLE game_sessions
+  ADD COLUMN IF NOT EXISTS game_options JSONB;
+
+-- =====================================================
+-- Comments for documentation
+-- =====================================================
+COMMENT ON COLUMN game_sessions.game_options IS 'Solitaire game options committed at session start (NULL = default variant).';
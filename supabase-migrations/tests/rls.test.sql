@@ -0,0 +1,160 @@
+-- =====================================================
+-- Row Level Security checks for game sessions
+-- =====================================================
+-- Runs after every migration. Any RAISE EXCEPTION fails
+-- the run (psql ON_ERROR_STOP).
+-- =====================================================
+
+\echo 'Secrets moved out of game_sessions'
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_schema = 'public'
+      AND table_name = 'game_sessions'
+      AND column_name = 'server_secret'
+  ) THEN
+    RAISE EXCEPTION 'game_sessions.server_secret still exists';
+  END IF;
+
+  IF (SELECT server_secret FROM game_session_secrets
+      WHERE session_id = '00000000-0000-4000-8000-000000000001') IS DISTINCT FROM repeat('a1', 32) THEN
+    RAISE EXCEPTION 'existing secret was not copied to game_session_secrets';
+  END IF;
+END $$;
+
+\echo 'anon cannot read or change secrets'
+SET ROLE anon;
+SELECT assert_denied('SELECT server_secret FROM game_session_secrets', 'anon select secrets');
+SELECT assert_denied($q$INSERT INTO game_session_secrets (session_id, server_secret)
+  VALUES ('00000000-0000-4000-8000-000000000001', 'x')$q$, 'anon insert secret');
+SELECT assert_denied($q$UPDATE game_session_secrets SET server_secret = 'x'$q$, 'anon update secrets');
+RESET ROLE;
+
+\echo 'authenticated cannot read secrets'
+SET ROLE authenticated;
+SELECT assert_denied('SELECT server_secret FROM game_session_secrets', 'authenticated select secrets');
+RESET ROLE;
+
+\echo 'anon can read commitments but not create, end or re-anchor sessions'
+SET ROLE anon;
+DO $$
+BEGIN
+  IF (SELECT count(*) FROM game_sessions) <> 2 THEN
+    RAISE EXCEPTION 'anon should still read game_sessions commitments';
+  END IF;
+END $$;
+SELECT assert_denied($q$INSERT INTO game_sessions (game_type, secret_hash)
+  VALUES ('solitaire', 'x')$q$, 'anon insert session');
+SELECT assert_denied($q$UPDATE game_sessions SET ended_at = NOW()
+  WHERE session_id = '00000000-0000-4000-8000-000000000001'$q$, 'anon end session');
+SELECT assert_denied($q$UPDATE game_sessions SET block_hash = 'x'$q$, 'anon re-anchor session');
+SELECT assert_denied('DELETE FROM game_sessions', 'anon delete sessions');
+RESET ROLE;
+
+\echo 'service_role reads and writes secrets'
+SET ROLE service_role;
+DO $$
+BEGIN
+  IF (SELECT count(*) FROM game_session_secrets) <> 2 THEN
+    RAISE EXCEPTION 'service_role should read every secret';
+  END IF;
+
+  INSERT INTO game_sessions (session_id, game_type, secret_hash)
+    VALUES ('00000000-0000-4000-8000-000000000003', 'garbage', repeat('0', 64));
+  INSERT INTO game_session_secrets (session_id, server_secret)
+    VALUES ('00000000-0000-4000-8000-000000000003', repeat('c3', 32));
+END $$;
+RESET ROLE;
+
+\echo 'secrets are deleted with their session'
+DELETE FROM game_sessions WHERE session_id = '00000000-0000-4000-8000-000000000003';
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM game_session_secrets
+             WHERE session_id = '00000000-0000-4000-8000-000000000003') THEN
+    RAISE EXCEPTION 'secret outlived its session';
+  END IF;
+END $$;
+
+\echo 'one leaderboard row per session'
+INSERT INTO "LeaderBoard" (game, game_id, score, session_id)
+  VALUES ('blackjack', 'BJK-1', 1500, '00000000-0000-4000-8000-000000000002');
+DO $$
+BEGIN
+  INSERT INTO "LeaderBoard" (game, game_id, score, session_id)
+    VALUES ('blackjack', 'BJK-2', 2500, '00000000-0000-4000-8000-000000000002');
+  RAISE EXCEPTION 'a session was reused for a second leaderboard row';
+EXCEPTION
+  WHEN unique_violation THEN
+    NULL;
+END $$;
+
+\echo 'random request ledger is service-only and append-only'
+INSERT INTO game_random_requests (session_id, nonce, purpose, random_value)
+  VALUES ('00000000-0000-4000-8000-000000000001', 1, 'deck-shuffle', repeat('d4', 32));
+SET ROLE anon;
+SELECT assert_denied('SELECT random_value FROM game_random_requests', 'anon select ledger');
+SELECT assert_denied($q$INSERT INTO game_random_requests (session_id, nonce, purpose, random_value)
+  VALUES ('00000000-0000-4000-8000-000000000001', 2, 'deck-shuffle-2', 'x')$q$, 'anon append ledger');
+RESET ROLE;
+DO $$
+BEGIN
+  BEGIN
+    INSERT INTO game_random_requests (session_id, nonce, purpose, random_value)
+      VALUES ('00000000-0000-4000-8000-000000000001', 1, 'other', 'x');
+    RAISE EXCEPTION 'a nonce was reused';
+  EXCEPTION
+    WHEN unique_violation THEN
+      NULL;
+  END;
+
+  BEGIN
+    INSERT INTO game_random_requests (session_id, nonce, purpose, random_value)
+      VALUES ('00000000-0000-4000-8000-000000000001', 2, 'deck-shuffle', 'x');
+    RAISE EXCEPTION 'a purpose was requested twice';
+  EXCEPTION
+    WHEN unique_violation THEN
+      NULL;
+  END;
+
+  BEGIN
+    UPDATE game_random_requests SET random_value = 'x';
+    RAISE EXCEPTION 'a ledger entry was rewritten';
+  EXCEPTION
+    WHEN raise_exception THEN
+      IF SQLERRM <> 'game_random_requests is append-only' THEN
+        RAISE;
+      END IF;
+  END;
+END $$;
+
+\echo 'seed batch roots are public, batch secrets are not'
+INSERT INTO seed_batches (batch_id, merkle_root, size)
+  VALUES ('00000000-0000-4000-8000-0000000000b1', repeat('e5', 32), 2);
+INSERT INTO seed_batch_secrets (batch_id, leaf_index, server_secret, merkle_proof)
+  VALUES ('00000000-0000-4000-8000-0000000000b1', 0, repeat('f6', 32), '[]');
+SET ROLE anon;
+DO $$
+BEGIN
+  IF (SELECT count(*) FROM seed_batches) <> 1 THEN
+    RAISE EXCEPTION 'anon should read published seed batch roots';
+  END IF;
+END $$;
+SELECT assert_denied('SELECT server_secret FROM seed_batch_secrets', 'anon select batch secrets');
+SELECT assert_denied($q$UPDATE seed_batches SET next_index = 2$q$, 'anon advance seed batch');
+SELECT assert_denied($q$INSERT INTO seed_batches (merkle_root, size) VALUES ('x', 1)$q$, 'anon publish seed batch');
+RESET ROLE;
+SET ROLE authenticated;
+SELECT assert_denied('SELECT server_secret FROM seed_batch_secrets', 'authenticated select batch secrets');
+RESET ROLE;
+
+\echo 'resume snapshots are written by the API only'
+SET ROLE anon;
+SELECT assert_denied($q$UPDATE game_sessions SET resume_state = '{}'$q$, 'anon overwrite resume snapshot');
+RESET ROLE;
+
+\echo 'anchor reorg flags are written by the API only'
+SET ROLE anon;
+SELECT assert_denied($q$UPDATE game_sessions SET anchor_status = 'confirmed'$q$, 'anon clear orphaned anchor flag');
+RESET ROLE;
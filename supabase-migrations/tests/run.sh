@@ -0,0 +1,42 @@
+#!/bin/sh
+# Apply every migration to a throwaway database on a local Postgres and run
+# the row-level security checks in rls.test.sql.
+#
+# Connects with the standard libpq variables (PGHOST, PGPORT, PGUSER,
+# PGPASSWORD, PGDATABASE for the maintenance database) as a superuser.
+# A disposable server:
+#
+#   docker run --rm -d -p 5432:5432 -e POSTGRES_PASSWORD=postgres postgres:15
+#   PGHOST=localhost PGUSER=postgres PGPASSWORD=postgres npm run test:migrations
+
+set -eu
+
+DIR=$(cd "$(dirname "$0")" && pwd)
+DB="pfg_migrations_test_$$"
+
+psql_admin() {
+  psql -X -q -v ON_ERROR_STOP=1 -d "${PGDATABASE:-postgres}" "$@"
+}
+
+psql_test() {
+  psql -X -q -v ON_ERROR_STOP=1 -d "$DB" "$@"
+}
+
+psql_admin -c "CREATE DATABASE $DB"
+trap 'psql_admin -c "DROP DATABASE IF EXISTS $DB"' EXIT
+
+psql_test -f "$DIR/setup.sql"
+
+for migration in "$DIR"/../[0-9][0-9][0-9]_*.sql; do
+  name=$(basename "$migration")
+  echo "Applying $name"
+  psql_test -f "$migration"
+
+  # Sessions created while server_secret was still a game_sessions column
+  if [ "$name" = "001_game_sessions.sql" ]; then
+    psql_test -f "$DIR/seed.sql"
+  fi
+done
+
+psql_test -f "$DIR/rls.test.sql"
+echo "Migration checks passed"
@@ -0,0 +1,8 @@
+-- =====================================================
+-- Sessions created before secrets moved out (after 001)
+-- =====================================================
+
+INSERT INTO game_sessions (session_id, game_type, server_secret, secret_hash, ended_at)
+VALUES
+  ('00000000-0000-4000-8000-000000000001', 'solitaire', repeat('a1', 32), repeat('0', 64), NULL),
+  ('00000000-0000-4000-8000-000000000002', 'blackjack', repeat('b2', 32), repeat('0', 64), NOW());
@@ -0,0 +1,51 @@
+-- =====================================================
+-- Local stand-in for the Supabase project
+-- =====================================================
+-- Roles and default grants the way a Supabase project has
+-- them, so migrations run here face the same privileges.
+-- "LeaderBoard" was created in the dashboard, not by a
+-- migration, so a minimal version is created here.
+-- =====================================================
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_roles WHERE rolname = 'anon') THEN
+    CREATE ROLE anon NOLOGIN;
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM pg_roles WHERE rolname = 'authenticated') THEN
+    CREATE ROLE authenticated NOLOGIN;
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM pg_roles WHERE rolname = 'service_role') THEN
+    CREATE ROLE service_role NOLOGIN BYPASSRLS;
+  END IF;
+END $$;
+
+GRANT USAGE ON SCHEMA public TO anon, authenticated, service_role;
+
+-- Supabase grants every API role full table privileges and relies on RLS
+ALTER DEFAULT PRIVILEGES IN SCHEMA public
+  GRANT ALL ON TABLES TO anon, authenticated, service_role;
+ALTER DEFAULT PRIVILEGES IN SCHEMA public
+  GRANT ALL ON SEQUENCES TO anon, authenticated, service_role;
+
+CREATE TABLE IF NOT EXISTS "LeaderBoard" (
+  id BIGSERIAL PRIMARY KEY,
+  game TEXT NOT NULL,
+  game_id TEXT NOT NULL,
+  player_name TEXT,
+  score INTEGER NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Expect `statement` to fail with permission denied
+CREATE OR REPLACE FUNCTION public.assert_denied(statement TEXT, label TEXT)
+RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  EXECUTE statement;
+  RAISE EXCEPTION '%: expected permission denied as %', label, current_user;
+EXCEPTION
+  WHEN insufficient_privilege THEN
+    RETURN;
+END $$;